@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 /**
  * Export memories matching a search query to a portable JSON format
+ * For whole projects use `claude-mem export` (versioned JSONL) instead
  * Usage: npx tsx scripts/export-memories.ts <query> <output-file> [--project=name]
  * Example: npx tsx scripts/export-memories.ts "windows" windows-memories.json --project=claude-mem
  */
@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 /**
  * Import memories from a JSON export file with duplicate prevention
+ * For files from `claude-mem export` use `claude-mem import` instead
  * Usage: npx tsx scripts/import-memories.ts <input-file>
  * Example: npx tsx scripts/import-memories.ts windows-memories.json
  *
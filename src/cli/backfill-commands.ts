@@ -0,0 +1,115 @@
+/**
+ * Backfill Commands
+ *
+ * CLI: `claude-mem backfill [path...] [--project <name>] [--dry-run]`
+ *      `claude-mem backfill --status` / `claude-mem backfill --stop`
+ *
+ * Builds memory from Claude Code transcripts (default ~/.claude/projects) written before
+ * claude-mem was installed. The worker does the work (POST /api/backfill): it owns the
+ * pending queue and the agent that turns queued tool uses into observations and summaries.
+ */
+
+import path from 'path';
+import { isPortInUse } from '../services/infrastructure/HealthMonitor.js';
+import type { BackfillStatus, BackfillTranscriptPlan } from '../services/worker/BackfillService.js';
+import { logger } from '../utils/logger.js';
+
+async function callWorker<T>(port: number, route: string, body?: unknown): Promise<T> {
+  const response = await fetch(`http://127.0.0.1:${port}/api/backfill${route}`, body === undefined ? undefined : {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  const result = await response.json() as T & { error?: string };
+  if (!response.ok) {
+    throw new Error(result.error || `Worker returned ${response.status}`);
+  }
+  return result;
+}
+
+function printPlan(plans: BackfillTranscriptPlan[]): void {
+  for (const plan of plans) {
+    const detail = plan.action === 'skip'
+      ? plan.reason
+      : `${plan.turns - plan.turnsQueued} of ${plan.turns} prompts, ${plan.toolUses} tool uses`;
+    console.log(`  ${plan.action.padEnd(8)} ${plan.project.padEnd(24)} ${path.basename(plan.transcriptPath)}  (${detail})`);
+  }
+
+  const pending = plans.filter(plan => plan.action !== 'skip');
+  console.log('');
+  console.log(`${pending.length} of ${plans.length} transcripts would be backfilled`);
+}
+
+function printStatus(status: BackfillStatus): void {
+  console.log(status.running
+    ? `Running: ${status.processed} of ${status.total} transcripts done${status.current ? `, now ${path.basename(status.current)}` : ''}`
+    : 'Not running');
+  if (status.lastError) {
+    console.log(`Last run stopped: ${status.lastError}`);
+  }
+  console.log(`Transcripts: ${status.counts.completed} completed, ${status.counts.queued} in progress, ${status.counts.skipped} skipped`);
+}
+
+/**
+ * Handle `claude-mem backfill`
+ */
+export async function handleBackfillCommand(args: string[], port: number): Promise<number> {
+  if (args.includes('--help')) {
+    console.log(`
+Claude-Mem Backfill
+
+Usage:
+  claude-mem backfill [path...] [--project <name>] [--dry-run]
+  claude-mem backfill --status
+  claude-mem backfill --stop
+
+Paths are transcript files or directories (default: ~/.claude/projects).
+Re-running is safe: finished transcripts are skipped and interrupted ones resume.
+    `);
+    return 0;
+  }
+
+  if (!await isPortInUse(port)) {
+    console.error('The worker is not running. Backfill needs the worker to process transcripts; start it and try again.');
+    return 1;
+  }
+
+  const paths: string[] = [];
+  let project: string | undefined;
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--project') {
+      project = args[++i];
+    } else if (!args[i].startsWith('--')) {
+      paths.push(path.resolve(args[i]));
+    }
+  }
+
+  try {
+    if (args.includes('--status')) {
+      printStatus(await callWorker<BackfillStatus>(port, ''));
+      return 0;
+    }
+
+    if (args.includes('--stop')) {
+      const { stopping } = await callWorker<{ stopping: boolean }>(port, '/stop', {});
+      console.log(stopping ? 'Backfill will stop after the current step; re-run to resume' : 'No backfill is running');
+      return 0;
+    }
+
+    const request = { paths: paths.length > 0 ? paths : undefined, project };
+    if (args.includes('--dry-run')) {
+      const { transcripts } = await callWorker<{ transcripts: BackfillTranscriptPlan[] }>(port, '', { ...request, dryRun: true });
+      printPlan(transcripts);
+      return 0;
+    }
+
+    const { transcripts } = await callWorker<{ transcripts: number }>(port, '', request);
+    console.log(`Backfill started for ${transcripts} transcripts. Follow progress with \`claude-mem backfill --status\`.`);
+    return 0;
+  } catch (error) {
+    logger.error('WORKER', 'Backfill command failed', { project }, error as Error);
+    console.error(`Backfill failed: ${(error as Error).message}`);
+    return 1;
+  }
+}
@@ -0,0 +1,151 @@
+/**
+ * Backup Commands
+ *
+ * CLI: `claude-mem backup [list] [--dir <path>]` and `claude-mem restore <file|latest>`
+ *
+ * - backup: write a consistent snapshot of the database (safe while the worker runs)
+ *   and rotate old snapshots down to CLAUDE_MEM_BACKUP_KEEP
+ * - backup list: show existing snapshots, newest first
+ * - restore: replace the database with a snapshot; the worker must be stopped
+ */
+
+import path from 'path';
+import { existsSync } from 'fs';
+import { ClaudeMemDatabase } from '../services/sqlite/Database.js';
+import {
+  createSnapshot,
+  listSnapshots,
+  rotateSnapshots,
+  restoreSnapshot
+} from '../services/sqlite/Backup.js';
+import { isPortInUse } from '../services/infrastructure/HealthMonitor.js';
+import { SettingsDefaultsManager } from '../shared/SettingsDefaultsManager.js';
+import { USER_SETTINGS_PATH, BACKUPS_DIR, DB_PATH } from '../shared/paths.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Pull a --dir option out of args, returning the directory and the remaining args
+ */
+function parseDirOption(args: string[]): { dir: string; rest: string[] } {
+  const index = args.indexOf('--dir');
+  if (index === -1 || index + 1 >= args.length) {
+    return { dir: BACKUPS_DIR, rest: args.filter(arg => arg !== '--dir') };
+  }
+  return {
+    dir: path.resolve(args[index + 1]),
+    rest: [...args.slice(0, index), ...args.slice(index + 2)]
+  };
+}
+
+function formatSize(bytes: number): string {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${Math.ceil(bytes / 1024)} KB`;
+}
+
+function listBackups(dir: string): number {
+  const snapshots = listSnapshots(dir);
+  if (snapshots.length === 0) {
+    console.log(`No backups in ${dir}`);
+    return 0;
+  }
+
+  for (const snapshot of snapshots) {
+    console.log(`${path.basename(snapshot.path)}  ${formatSize(snapshot.sizeBytes)}  ${new Date(snapshot.createdAtEpoch).toISOString()}`);
+  }
+  return 0;
+}
+
+/**
+ * Handle `claude-mem backup`
+ */
+export async function handleBackupCommand(args: string[]): Promise<number> {
+  const { dir, rest } = parseDirOption(args);
+
+  if (rest[0] === 'list') {
+    return listBackups(dir);
+  }
+
+  if (rest.length > 0) {
+    console.log(`
+Claude-Mem Backup
+
+Usage:
+  claude-mem backup [--dir <path>]          Write a snapshot and rotate old ones
+  claude-mem backup list [--dir <path>]     List snapshots, newest first
+  claude-mem restore <file|latest> [--dir <path>]
+                                            Replace the database with a snapshot (stop the worker first)
+
+Snapshots default to ${BACKUPS_DIR}
+    `);
+    return 0;
+  }
+
+  const keep = parseInt(SettingsDefaultsManager.loadFromFile(USER_SETTINGS_PATH).CLAUDE_MEM_BACKUP_KEEP, 10) || 7;
+  const database = new ClaudeMemDatabase();
+  try {
+    const snapshot = createSnapshot(database.db, dir);
+    const removed = rotateSnapshots(dir, keep);
+
+    console.log(`Backup written: ${snapshot.path} (${formatSize(snapshot.sizeBytes)}, schema v${snapshot.schemaVersion})`);
+    if (removed.length > 0) {
+      console.log(`Rotated out ${removed.length} old backup(s), keeping ${keep}`);
+    }
+    return 0;
+  } catch (error) {
+    logger.error('DB', 'Backup failed', { dir }, error as Error);
+    console.error(`Backup failed: ${(error as Error).message}`);
+    return 1;
+  } finally {
+    database.close();
+  }
+}
+
+/**
+ * Handle `claude-mem restore`
+ */
+export async function handleRestoreCommand(args: string[], port: number): Promise<number> {
+  const { dir, rest } = parseDirOption(args);
+  const [target] = rest;
+
+  if (!target) {
+    console.error('Usage: claude-mem restore <file|latest> [--dir <path>]');
+    return 1;
+  }
+
+  let snapshotPath: string;
+  if (target === 'latest') {
+    const newest = listSnapshots(dir)[0];
+    if (!newest) {
+      console.error(`No backups in ${dir}`);
+      return 1;
+    }
+    snapshotPath = newest.path;
+  } else {
+    snapshotPath = path.resolve(target);
+    if (!existsSync(snapshotPath) && existsSync(path.join(dir, target))) {
+      snapshotPath = path.join(dir, target);
+    }
+  }
+
+  if (await isPortInUse(port)) {
+    console.error('The worker is running. Stop it before restoring: claude-mem stop');
+    return 1;
+  }
+
+  try {
+    const result = restoreSnapshot(snapshotPath, DB_PATH, dir);
+
+    console.log(`Restored ${DB_PATH} from ${result.restoredFrom} (schema v${result.schemaVersion})`);
+    if (result.schemaVersion < result.supportedSchemaVersion) {
+      console.log(`Migrations up to v${result.supportedSchemaVersion} will run when the worker next starts`);
+    }
+    if (result.safetyCopyPath) {
+      console.log(`Previous database saved to ${result.safetyCopyPath}`);
+    }
+    return 0;
+  } catch (error) {
+    logger.error('DB', 'Restore failed', { snapshotPath }, error as Error);
+    console.error(`Restore failed: ${(error as Error).message}`);
+    return 1;
+  }
+}
@@ -26,6 +26,7 @@ import { SettingsDefaultsManager } from '../shared/SettingsDefaultsManager.js';
 import { formatTime, groupByDate } from '../shared/timeline-formatting.js';
 import { isDirectChild } from '../shared/path-utils.js';
 import { logger } from '../utils/logger.js';
+import { getProjectName } from '../utils/project-name.js';
 
 const DB_PATH = path.join(os.homedir(), '.claude-mem', 'claude-mem.db');
 const SETTINGS_PATH = path.join(os.homedir(), '.claude-mem', 'settings.json');
@@ -360,7 +361,7 @@ export async function generateClaudeMd(dryRun: boolean): Promise<number> {
       observationLimit
     });
 
-    const project = path.basename(workingDir);
+    const project = getProjectName(workingDir);
     const trackedFolders = getTrackedFolders(workingDir);
 
     if (trackedFolders.size === 0) {
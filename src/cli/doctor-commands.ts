@@ -0,0 +1,152 @@
+/**
+ * Doctor Commands
+ *
+ * CLI: `claude-mem doctor [--only <categories>] [--json]` and `claude-mem repair [...]`
+ *
+ * doctor reports orphaned rows, FTS drift, stuck queue messages and vector drift;
+ * repair (or doctor --fix) fixes them. When the worker is running the work is done
+ * by the worker (GET /api/doctor, POST /api/doctor/repair) so only one process
+ * writes; otherwise the database is opened directly.
+ */
+
+import { DatabaseManager } from '../services/worker/DatabaseManager.js';
+import { DoctorService, type DoctorReport } from '../services/worker/DoctorService.js';
+import { DOCTOR_CATEGORIES, type DoctorCategory } from '../services/sqlite/Doctor.js';
+import { isPortInUse } from '../services/infrastructure/HealthMonitor.js';
+import { logger } from '../utils/logger.js';
+
+const SAMPLE_SIZE = 10;
+
+function sample(ids: number[]): string {
+  if (ids.length === 0) return '';
+  const shown = ids.slice(0, SAMPLE_SIZE).join(', ');
+  return ids.length > SAMPLE_SIZE ? ` (${shown}, ...)` : ` (${shown})`;
+}
+
+function printReport(report: DoctorReport): void {
+  if (report.orphans) {
+    const { observationIds, summaryIds, promptIds, pendingMessageIds, repaired } = report.orphans;
+    console.log('Orphaned rows (session missing)');
+    console.log(`  observations:     ${observationIds.length}${sample(observationIds)}`);
+    console.log(`  summaries:        ${summaryIds.length}${sample(summaryIds)}`);
+    console.log(`  prompts:          ${promptIds.length}${sample(promptIds)}`);
+    console.log(`  pending messages: ${pendingMessageIds.length}${sample(pendingMessageIds)}`);
+    if (repaired) {
+      console.log(`  fixed: ${repaired.sessionsRecreated} sessions recreated, ${repaired.promptsDeleted} prompts and ${repaired.pendingMessagesDeleted} pending messages deleted`);
+    }
+  }
+
+  if (report.fts) {
+    console.log('Full-text indexes');
+    for (const check of report.fts) {
+      const status = check.ok ? 'ok' : `out of sync (${check.error})${check.rebuilt ? ' - rebuilt' : ''}`;
+      console.log(`  ${check.table}: ${status}`);
+    }
+  }
+
+  if (report.stuck) {
+    const { messageIds, thresholdMs, reset } = report.stuck;
+    console.log(`Queue messages processing for over ${Math.round(thresholdMs / 60000)} min: ${messageIds.length}${sample(messageIds)}`);
+    if (reset > 0) console.log(`  fixed: ${reset} reset to pending`);
+  }
+
+  if (report.vectors) {
+    const { skipped, drift, resynced, deleted } = report.vectors;
+    console.log('Vector index');
+    if (skipped || !drift) {
+      console.log(`  skipped: ${skipped}`);
+    } else {
+      const { missing, stale } = drift;
+      console.log(`  missing: ${missing.observations.length} observations, ${missing.summaries.length} summaries, ${missing.prompts.length} prompts`);
+      console.log(`  stale:   ${stale.observations.length} observations, ${stale.summaries.length} summaries, ${stale.prompts.length} prompts`);
+      if (report.repair) console.log(`  fixed: ${resynced} records resynced, ${deleted} stale records removed`);
+    }
+  }
+
+  console.log('');
+  if (report.issues === 0) {
+    console.log('No problems found');
+  } else if (!report.repair) {
+    console.log(`${report.issues} problem(s) found. Run \`claude-mem repair\` to fix them.`);
+  } else {
+    console.log(`${report.issues} problem(s) found and repaired`);
+  }
+}
+
+async function runThroughWorker(port: number, categories: DoctorCategory[] | undefined, repair: boolean): Promise<DoctorReport> {
+  const base = `http://127.0.0.1:${port}/api/doctor`;
+  const response = repair
+    ? await fetch(`${base}/repair`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ categories })
+      })
+    : await fetch(categories ? `${base}?categories=${categories.join(',')}` : base);
+
+  const body = await response.json() as DoctorReport & { error?: string };
+  if (!response.ok) {
+    throw new Error(body.error || `Worker returned ${response.status}`);
+  }
+  return body;
+}
+
+async function runInProcess(categories: DoctorCategory[] | undefined, repair: boolean): Promise<DoctorReport> {
+  const dbManager = new DatabaseManager();
+  await dbManager.initialize();
+  try {
+    return await new DoctorService(dbManager).run({ categories, repair });
+  } finally {
+    await dbManager.close();
+  }
+}
+
+/**
+ * Handle `claude-mem doctor` (repair = false unless --fix) and `claude-mem repair`
+ */
+export async function handleDoctorCommand(args: string[], port: number, repair: boolean = false): Promise<number> {
+  if (args.includes('--help')) {
+    console.log(`
+Claude-Mem Doctor
+
+Usage:
+  claude-mem doctor [--fix] [--only <categories>] [--json]
+  claude-mem repair [--only <categories>] [--json]
+
+Categories: ${DOCTOR_CATEGORIES.join(', ')}
+  orphans   observations, summaries, prompts and queue messages whose session is gone
+  fts       full-text indexes out of sync with their tables
+  stuck     queue messages stuck in 'processing'
+  vectors   records missing from, or deleted but still in, the vector index
+    `);
+    return 0;
+  }
+
+  const onlyIndex = args.indexOf('--only');
+  const categories = onlyIndex !== -1 && args[onlyIndex + 1]
+    ? args[onlyIndex + 1].split(',').map(item => item.trim()).filter(Boolean) as DoctorCategory[]
+    : undefined;
+  const unknown = (categories ?? []).filter(item => !DOCTOR_CATEGORIES.includes(item));
+  if (unknown.length > 0) {
+    console.error(`Unknown categories: ${unknown.join(', ')} (expected ${DOCTOR_CATEGORIES.join(', ')})`);
+    return 1;
+  }
+
+  const fix = repair || args.includes('--fix');
+
+  try {
+    const report = await isPortInUse(port)
+      ? await runThroughWorker(port, categories, fix)
+      : await runInProcess(categories, fix);
+
+    if (args.includes('--json')) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      printReport(report);
+    }
+    return report.issues > 0 && !fix ? 2 : 0;
+  } catch (error) {
+    logger.error('DB', 'Doctor failed', { repair: fix }, error as Error);
+    console.error(`Doctor failed: ${(error as Error).message}`);
+    return 1;
+  }
+}
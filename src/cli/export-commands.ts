@@ -0,0 +1,186 @@
+/**
+ * Export/Import Commands
+ *
+ * CLI: `claude-mem export [project...] [--out <file>]`
+ *      `claude-mem export [project...] --format obsidian [--out <dir>]`
+ *      `claude-mem import <file> [--conflict skip|overwrite] [--remap old=new]`
+ *
+ * Whole projects (sessions, prompts, summaries, observations) in the versioned
+ * JSONL format, or as an Obsidian vault for browsing (export only).
+ * Export reads the database directly (safe while the worker runs).
+ * Import goes through the worker when it is running, so imported records are also
+ * added to the vector index; otherwise it writes to the database directly.
+ */
+
+import path from 'path';
+import { closeSync, createReadStream, existsSync, openSync, writeSync } from 'fs';
+import { Readable } from 'stream';
+import { SessionStore } from '../services/sqlite/SessionStore.js';
+import { exportProjectLines, type ImportConflictPolicy, type ProjectImportResult } from '../services/sqlite/Export.js';
+import { importProjectLines, parseProjectRemaps, readFileLines } from '../services/sqlite/Import.js';
+import { exportObsidianVault } from '../services/integrations/ObsidianVaultExporter.js';
+import { isPortInUse } from '../services/infrastructure/HealthMonitor.js';
+import { logger } from '../utils/logger.js';
+
+interface ParsedArgs {
+  positional: string[];
+  options: Record<string, string[]>;
+}
+
+/**
+ * Split args into positionals and (repeatable) --key value options
+ */
+function parseArgs(args: string[]): ParsedArgs {
+  const parsed: ParsedArgs = { positional: [], options: {} };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('--')) {
+      parsed.positional.push(arg);
+    } else if (i + 1 < args.length) {
+      const key = arg.slice(2);
+      parsed.options[key] = [...(parsed.options[key] ?? []), args[++i]];
+    }
+  }
+
+  return parsed;
+}
+
+function formatStats(label: string, stats: { inserted: number; updated: number; skipped: number }): string {
+  return `  ${label.padEnd(13)} ${stats.inserted} imported, ${stats.updated} overwritten, ${stats.skipped} skipped`;
+}
+
+/**
+ * Handle `claude-mem export --format obsidian`
+ */
+function exportVault(parsed: ParsedArgs): number {
+  const vaultDir = path.resolve(parsed.options.out?.[0] ?? 'claude-mem-vault');
+
+  const store = new SessionStore();
+  try {
+    const result = exportObsidianVault(store.db, vaultDir, parsed.positional);
+    console.log(`Exported ${result.observations} observations and ${result.summaries} summaries `
+      + `(${result.projects.join(', ') || 'no projects'}) to ${vaultDir}`);
+    console.log(`  Index notes: ${result.fileNotes} files, ${result.conceptNotes} concepts`);
+    return 0;
+  } catch (error) {
+    logger.error('SYSTEM', 'Obsidian vault export failed', { vaultDir }, error as Error);
+    console.error(`Export failed: ${(error as Error).message}`);
+    return 1;
+  } finally {
+    store.close();
+  }
+}
+
+/**
+ * Handle `claude-mem export`
+ */
+export async function handleExportCommand(args: string[]): Promise<number> {
+  const parsed = parseArgs(args);
+  const format = parsed.options.format?.[0] ?? 'jsonl';
+  if (format === 'obsidian') {
+    return exportVault(parsed);
+  }
+  if (format !== 'jsonl') {
+    console.error('Usage: claude-mem export [project...] [--format jsonl|obsidian] [--out <file|dir>]');
+    return 1;
+  }
+
+  const outFile = path.resolve(
+    parsed.options.out?.[0] ?? `claude-mem-export-${new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19)}.jsonl`
+  );
+
+  const store = new SessionStore();
+  const fd = openSync(outFile, 'w');
+  try {
+    let records = -2; // header and footer
+    for (const line of exportProjectLines(store.db, parsed.positional)) {
+      writeSync(fd, line + '\n');
+      records++;
+    }
+
+    const scope = parsed.positional.length > 0 ? parsed.positional.join(', ') : 'all projects';
+    console.log(`Exported ${records} records (${scope}) to ${outFile}`);
+    return 0;
+  } catch (error) {
+    logger.error('DB', 'Export failed', { outFile }, error as Error);
+    console.error(`Export failed: ${(error as Error).message}`);
+    return 1;
+  } finally {
+    closeSync(fd);
+    store.close();
+  }
+}
+
+async function importThroughWorker(
+  port: number,
+  file: string,
+  conflict: ImportConflictPolicy,
+  remaps: string[]
+): Promise<Omit<ProjectImportResult, 'touched'>> {
+  const params = new URLSearchParams({ conflict });
+  for (const remap of remaps) params.append('remap', remap);
+
+  // Stream the file so a large export is never held in memory; fetch needs duplex for a stream body
+  const response = await fetch(`http://127.0.0.1:${port}/api/import/jsonl?${params.toString()}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-ndjson' },
+    body: Readable.toWeb(createReadStream(file)) as ReadableStream,
+    duplex: 'half'
+  } as RequestInit);
+
+  const body = await response.json() as Omit<ProjectImportResult, 'touched'> & { error?: string };
+  if (!response.ok) {
+    throw new Error(body.error || `Worker returned ${response.status}`);
+  }
+  return body;
+}
+
+/**
+ * Handle `claude-mem import`
+ */
+export async function handleImportCommand(args: string[], port: number): Promise<number> {
+  const parsed = parseArgs(args);
+  const [file] = parsed.positional;
+  const conflict = parsed.options.conflict?.[0] ?? 'skip';
+  const remaps = parsed.options.remap ?? [];
+
+  if (!file || (conflict !== 'skip' && conflict !== 'overwrite')) {
+    console.error('Usage: claude-mem import <file> [--conflict skip|overwrite] [--remap old=new ...]');
+    return 1;
+  }
+  if (!existsSync(file)) {
+    console.error(`Import file not found: ${file}`);
+    return 1;
+  }
+
+  try {
+    const workerRunning = await isPortInUse(port);
+    let result: Omit<ProjectImportResult, 'touched'>;
+
+    if (workerRunning) {
+      result = await importThroughWorker(port, file, conflict, remaps);
+    } else {
+      const store = new SessionStore();
+      try {
+        result = importProjectLines(store.db, readFileLines(file), { conflict, projectMap: parseProjectRemaps(remaps) });
+      } finally {
+        store.close();
+      }
+    }
+
+    console.log(`Imported ${file} (exported ${result.header.exportedAt}, projects: ${result.header.projects.join(', ') || 'none'})`);
+    console.log(formatStats('Sessions:', result.sessions));
+    console.log(formatStats('Prompts:', result.prompts));
+    console.log(formatStats('Summaries:', result.summaries));
+    console.log(formatStats('Observations:', result.observations));
+    if (!workerRunning) {
+      console.log('The worker was not running: run `claude-mem repair --only vectors` after it starts to index the imported records.');
+    }
+    return 0;
+  } catch (error) {
+    logger.error('DB', 'Import failed', { file }, error as Error);
+    console.error(`Import failed: ${(error as Error).message}`);
+    return 1;
+  }
+}
@@ -0,0 +1,130 @@
+/**
+ * Git History Commands
+ *
+ * CLI: `claude-mem git-history [repo] [--project <name>] [--max <n>] [--since <date>] [--batch-size <n>] [--dry-run]`
+ *      `claude-mem git-history --status` / `claude-mem git-history --stop`
+ *
+ * Generates observations from a repository's commits so a project has memory before
+ * anyone works in it. The worker does the work (POST /api/git-history): it owns the
+ * pending queue and the agent that turns queued commits into observations.
+ */
+
+import path from 'path';
+import { isPortInUse } from '../services/infrastructure/HealthMonitor.js';
+import type { GitHistoryPlan, GitHistoryStatus } from '../services/worker/GitHistoryService.js';
+import { logger } from '../utils/logger.js';
+
+async function callWorker<T>(port: number, route: string, body?: unknown): Promise<T> {
+  const response = await fetch(`http://127.0.0.1:${port}/api/git-history${route}`, body === undefined ? undefined : {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  const result = await response.json() as T & { error?: string };
+  if (!response.ok) {
+    throw new Error(result.error || `Worker returned ${response.status}`);
+  }
+  return result;
+}
+
+function formatDay(epoch: number | null): string {
+  return epoch === null ? '-' : new Date(epoch).toISOString().slice(0, 10);
+}
+
+function printPlan(plan: GitHistoryPlan): void {
+  console.log(`Project: ${plan.project}`);
+  console.log(`Commits read: ${plan.commits} (${plan.alreadyImported} already imported)`);
+  console.log(`Would import: ${plan.commits - plan.alreadyImported} commits from ${formatDay(plan.firstCommitEpoch)} to ${formatDay(plan.lastCommitEpoch)}, in ${plan.batches} batches`);
+}
+
+function printStatus(status: GitHistoryStatus): void {
+  console.log(status.running
+    ? `Running: ${status.project}, ${status.batchesDone} of ${status.batchesTotal} batches done`
+    : 'Not running');
+  if (status.lastError) {
+    console.log(`Last run stopped: ${status.lastError}`);
+  }
+  console.log(`Commits: ${status.counts.linked} imported, ${status.counts.queued} waiting for the agent`);
+}
+
+function parsePositiveInt(flag: string, value: string | undefined): number {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1) {
+    throw new Error(`${flag} must be a positive integer`);
+  }
+  return parsed;
+}
+
+/**
+ * Handle `claude-mem git-history`
+ */
+export async function handleGitHistoryCommand(args: string[], port: number): Promise<number> {
+  if (args.includes('--help')) {
+    console.log(`
+Claude-Mem Git History Import
+
+Usage:
+  claude-mem git-history [repo] [--project <name>] [--max <n>] [--since <date>] [--batch-size <n>] [--dry-run]
+  claude-mem git-history --status
+  claude-mem git-history --stop
+
+repo defaults to the current directory. --max defaults to the 500 most recent commits.
+Re-running is safe: commits already imported are skipped.
+    `);
+    return 0;
+  }
+
+  if (!await isPortInUse(port)) {
+    console.error('The worker is not running. Git history import needs the worker to process commits; start it and try again.');
+    return 1;
+  }
+
+  let repoPath = process.cwd();
+  let project: string | undefined;
+  try {
+    if (args.includes('--status')) {
+      printStatus(await callWorker<GitHistoryStatus>(port, ''));
+      return 0;
+    }
+
+    if (args.includes('--stop')) {
+      const { stopping } = await callWorker<{ stopping: boolean }>(port, '/stop', {});
+      console.log(stopping ? 'Import will stop after the current step; re-run to resume' : 'No import is running');
+      return 0;
+    }
+
+    let maxCommits: number | undefined;
+    let since: string | undefined;
+    let batchSize: number | undefined;
+    for (let i = 0; i < args.length; i++) {
+      if (args[i] === '--project') {
+        project = args[++i];
+      } else if (args[i] === '--max') {
+        maxCommits = parsePositiveInt('--max', args[++i]);
+      } else if (args[i] === '--since') {
+        since = args[++i];
+      } else if (args[i] === '--batch-size') {
+        batchSize = parsePositiveInt('--batch-size', args[++i]);
+      } else if (!args[i].startsWith('--')) {
+        repoPath = path.resolve(args[i]);
+      }
+    }
+
+    const request = { repoPath, project, maxCommits, since, batchSize };
+    if (args.includes('--dry-run')) {
+      printPlan(await callWorker<GitHistoryPlan>(port, '', { ...request, dryRun: true }));
+      return 0;
+    }
+
+    const { commits } = await callWorker<{ commits: number }>(port, '', request);
+    console.log(commits > 0
+      ? `Import started for ${commits} commits. Follow progress with \`claude-mem git-history --status\`.`
+      : 'No new commits to import');
+    return 0;
+  } catch (error) {
+    logger.error('WORKER', 'Git history command failed', { repoPath, project }, error as Error);
+    console.error(`Git history import failed: ${(error as Error).message}`);
+    return 1;
+  }
+}
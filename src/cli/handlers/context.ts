@@ -9,6 +9,37 @@ import type { EventHandler, NormalizedHookInput, HookResult } from '../types.js'
 import { ensureWorkerRunning, getWorkerPort } from '../../shared/worker-utils.js';
 import { getProjectContext } from '../../utils/project-name.js';
 import { HOOK_EXIT_CODES } from '../../shared/hook-constants.js';
+import { logger } from '../../utils/logger.js';
+import { isProjectExcluded } from '../../utils/project-filter.js';
+import { SettingsDefaultsManager } from '../../shared/SettingsDefaultsManager.js';
+import { USER_SETTINGS_PATH } from '../../shared/paths.js';
+
+/**
+ * Import teammates' repo-committed memory before context is built, so it is included
+ * Opt-in: for every project with CLAUDE_MEM_TEAM_SYNC_IMPORT, or for the projects listed
+ * in CLAUDE_MEM_TEAM_SYNC_IMPORT_PROJECTS
+ * Failures are logged and swallowed - a bad entry file must never block session start
+ */
+async function importTeamMemory(port: number, cwd: string, project: string): Promise<void> {
+  const settings = SettingsDefaultsManager.loadFromFile(USER_SETTINGS_PATH);
+  const importProjects = settings.CLAUDE_MEM_TEAM_SYNC_IMPORT_PROJECTS.split(',').map(name => name.trim());
+  if (settings.CLAUDE_MEM_TEAM_SYNC_IMPORT !== 'true' && !importProjects.includes(project)) return;
+  if (isProjectExcluded(cwd, settings.CLAUDE_MEM_EXCLUDED_PROJECTS)) return;
+
+  try {
+    const response = await fetch(`http://127.0.0.1:${port}/api/team-sync/import`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ cwd, project })
+    });
+    // 400: cwd is not inside a git repository, nothing to import
+    if (!response.ok && response.status !== 400) {
+      logger.failure('HOOK', `Team memory import failed: ${response.status}`, { cwd, project });
+    }
+  } catch (error) {
+    logger.failure('HOOK', 'Team memory import failed', { cwd, project }, error as Error);
+  }
+}
 
 export const contextHandler: EventHandler = {
   async execute(input: NormalizedHookInput): Promise<HookResult> {
@@ -29,9 +60,15 @@ export const contextHandler: EventHandler = {
     const context = getProjectContext(cwd);
     const port = getWorkerPort();
 
+    await importTeamMemory(port, cwd, context.primary);
+
     // Pass all projects (parent + worktree if applicable) for unified timeline
-    const projectsParam = context.allProjects.join(',');
-    const url = `http://127.0.0.1:${port}/api/context/inject?projects=${encodeURIComponent(projectsParam)}`;
+    // sessionId lets prompt-time retrieval skip observations injected here
+    const params = new URLSearchParams({ projects: context.allProjects.join(',') });
+    if (input.sessionId) {
+      params.set('sessionId', input.sessionId);
+    }
+    const url = `http://127.0.0.1:${port}/api/context/inject?${params}`;
 
     // Note: Removed AbortSignal.timeout due to Windows Bun cleanup issue (libuv assertion)
     // Worker service has its own timeouts, so client-side timeout is redundant
@@ -2,6 +2,8 @@
  * Session Init Handler - UserPromptSubmit
  *
  * Extracted from new-hook.ts - initializes session and starts SDK agent.
+ * When CLAUDE_MEM_PROMPT_CONTEXT_ENABLED is on, also returns observations
+ * relevant to the prompt as hookSpecificOutput.
  */
 
 import type { EventHandler, NormalizedHookInput, HookResult } from '../types.js';
@@ -13,6 +15,32 @@ import { isProjectExcluded } from '../../utils/project-filter.js';
 import { SettingsDefaultsManager } from '../../shared/SettingsDefaultsManager.js';
 import { USER_SETTINGS_PATH } from '../../shared/paths.js';
 
+/**
+ * Fetch prompt-time context from the worker
+ * Failures are logged and swallowed - retrieval must never block the user's prompt
+ */
+async function fetchPromptContext(port: number, prompt: string, project: string, sessionId: string): Promise<string> {
+  try {
+    // POST: pasted prompts are too long for a query string
+    const response = await fetch(`http://127.0.0.1:${port}/api/context/prompt`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ query: prompt, project, sessionId })
+    });
+    if (!response.ok) {
+      logger.failure('HOOK', `Prompt context fetch failed: ${response.status}`, { contentSessionId: sessionId, project });
+      return '';
+    }
+
+    const result = await response.json() as { context: string; observationIds: number[] };
+    logger.debug('HOOK', 'session-init: Prompt context received', { observationIds: result.observationIds });
+    return result.context.trim();
+  } catch (error) {
+    logger.failure('HOOK', 'Prompt context fetch failed', { contentSessionId: sessionId, project }, error as Error);
+    return '';
+  }
+}
+
 export const sessionInitHandler: EventHandler = {
   async execute(input: NormalizedHookInput): Promise<HookResult> {
     // Ensure worker is running before any other logic
@@ -109,6 +137,19 @@ export const sessionInitHandler: EventHandler = {
       sessionId: sessionDbId
     });
 
+    // Opt-in prompt-time retrieval (Cursor has no additionalContext support)
+    if (settings.CLAUDE_MEM_PROMPT_CONTEXT_ENABLED === 'true' && input.platform !== 'cursor' && rawPrompt?.trim()) {
+      const additionalContext = await fetchPromptContext(port, rawPrompt, project, sessionId);
+      if (additionalContext) {
+        return {
+          hookSpecificOutput: {
+            hookEventName: 'UserPromptSubmit',
+            additionalContext
+          }
+        };
+      }
+    }
+
     return { continue: true, suppressOutput: true };
   }
 };
@@ -0,0 +1,267 @@
+/**
+ * Project Identity Commands
+ *
+ * CLI: `claude-mem projects <command>`
+ *
+ * One-time migration helpers for moving existing memory onto stable project
+ * identities (CLAUDE_MEM_PROJECT_IDENTITY=git):
+ * - list: project names with row counts
+ * - identify: show how a directory resolves
+ * - merge: fold several project names into one (subdirectories, renamed folders)
+ * - split: move selected sessions out of a shared name (two repos both called "api")
+ *
+ * Merge and split run in the worker when it is up (POST /api/projects/*), so it can
+ * re-index the moved records in Chroma; otherwise they run here and resync Chroma directly.
+ */
+
+import path from 'path';
+import { SessionStore } from '../services/sqlite/SessionStore.js';
+import {
+  getProjectSummaries,
+  mergeProjects,
+  moveSessionsToProject,
+  findSessionsByFilePath,
+  type ProjectMoveResult
+} from '../services/sqlite/Projects.js';
+import { getVectorSyncRows } from '../services/sqlite/Doctor.js';
+import { ChromaSync, type StoredRecords } from '../services/sync/ChromaSync.js';
+import { isPortInUse } from '../services/infrastructure/HealthMonitor.js';
+import { SettingsDefaultsManager } from '../shared/SettingsDefaultsManager.js';
+import { USER_SETTINGS_PATH } from '../shared/paths.js';
+import { getDirectoryProjectName } from '../utils/project-name.js';
+import { resolveProjectIdentity } from '../utils/project-identity.js';
+import { logger } from '../utils/logger.js';
+
+interface ParsedArgs {
+  positional: string[];
+  options: Record<string, string>;
+  flags: Set<string>;
+}
+
+/**
+ * Split args into positionals, --key value options and bare --flags
+ */
+function parseArgs(args: string[]): ParsedArgs {
+  const parsed: ParsedArgs = { positional: [], options: {}, flags: new Set() };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('--')) {
+      parsed.positional.push(arg);
+    } else if (arg === '--dry-run') {
+      parsed.flags.add('dry-run');
+    } else if (i + 1 < args.length) {
+      parsed.options[arg.slice(2)] = args[++i];
+    }
+  }
+
+  return parsed;
+}
+
+// The worker syncs every project into a single collection
+const DEFAULT_COLLECTION_PROJECT = 'claude-mem';
+
+type MoveCounts = Omit<ProjectMoveResult, 'touched'>;
+
+function formatMoveResult(result: MoveCounts): string {
+  return `${result.sessions} sessions, ${result.observations} observations, ${result.summaries} summaries, ${result.vectors} local vectors`;
+}
+
+/**
+ * The worker replies with row counts and how many records it is re-indexing in Chroma
+ */
+async function moveThroughWorker(
+  port: number,
+  route: 'merge' | 'split',
+  body: unknown
+): Promise<MoveCounts & { resyncing: number }> {
+  const response = await fetch(`http://127.0.0.1:${port}/api/projects/${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  const result = await response.json() as MoveCounts & { resyncing: number; error?: string };
+  if (!response.ok) {
+    throw new Error(result.error || `Worker returned ${response.status}`);
+  }
+  return result;
+}
+
+/**
+ * Chroma stores project in document metadata, so moved records are re-indexed
+ * The local index shares the database and was already rewritten by the move
+ */
+async function resyncMovedInChroma(store: SessionStore, touched: ProjectMoveResult['touched']): Promise<number> {
+  const chromaSync = new ChromaSync(DEFAULT_COLLECTION_PROJECT);
+  try {
+    if (chromaSync.isLocalBackend() || chromaSync.isDisabled()) return 0;
+    const rows = getVectorSyncRows(store.db, touched) as unknown as StoredRecords;
+    return await chromaSync.resyncRecords(rows);
+  } finally {
+    await chromaSync.close();
+  }
+}
+
+/**
+ * Run a merge or split in the worker if it is up, otherwise here
+ * Prints the summary line, then how many records were re-indexed in Chroma
+ */
+async function runMove(
+  store: SessionStore,
+  port: number,
+  route: 'merge' | 'split',
+  body: unknown,
+  moveLocally: () => ProjectMoveResult,
+  describe: (result: MoveCounts) => string
+): Promise<void> {
+  if (await isPortInUse(port)) {
+    const result = await moveThroughWorker(port, route, body);
+    console.log(describe(result));
+    if (result.resyncing > 0) console.log(`Re-indexing ${result.resyncing} moved records in Chroma (in the worker)`);
+    return;
+  }
+
+  const { touched, ...counts } = moveLocally();
+  console.log(describe(counts));
+  const resynced = await resyncMovedInChroma(store, touched);
+  if (resynced > 0) console.log(`Re-indexed ${resynced} moved records in Chroma`);
+}
+
+function listProjects(store: SessionStore): number {
+  const projects = getProjectSummaries(store.db);
+  if (projects.length === 0) {
+    console.log('No projects found');
+    return 0;
+  }
+
+  for (const project of projects) {
+    const lastActivity = project.last_activity_epoch
+      ? new Date(project.last_activity_epoch).toISOString().slice(0, 10)
+      : 'never';
+    console.log(`${project.project}`);
+    console.log(`  ${project.sessions} sessions, ${project.observations} observations, ${project.summaries} summaries (last active ${lastActivity})`);
+  }
+  return 0;
+}
+
+function identifyDirectory(dir: string): number {
+  const absolute = path.resolve(dir);
+  const identity = resolveProjectIdentity(absolute, getDirectoryProjectName(absolute));
+  const settings = SettingsDefaultsManager.loadFromFile(USER_SETTINGS_PATH);
+
+  console.log(`Directory: ${absolute}`);
+  console.log(`  Git identity: ${identity.name} (from ${identity.source})`);
+  console.log(`  Basename:     ${getDirectoryProjectName(absolute)}`);
+  if (identity.root) console.log(`  Git root:     ${identity.root}`);
+  if (identity.remote) console.log(`  Remote:       ${identity.remote}`);
+  console.log(`  Active mode:  CLAUDE_MEM_PROJECT_IDENTITY=${settings.CLAUDE_MEM_PROJECT_IDENTITY}`);
+  return 0;
+}
+
+async function merge(store: SessionStore, parsed: ParsedArgs, port: number): Promise<number> {
+  const target = parsed.options.into;
+  if (parsed.positional.length === 0 || !target) {
+    console.error('Usage: claude-mem projects merge <project...> --into <target> [--dry-run]');
+    return 1;
+  }
+
+  const known = new Map(getProjectSummaries(store.db).map(p => [p.project, p]));
+  const missing = parsed.positional.filter(name => !known.has(name));
+  if (missing.length > 0) {
+    console.error(`Unknown project(s): ${missing.join(', ')}`);
+    return 1;
+  }
+
+  if (parsed.flags.has('dry-run')) {
+    for (const name of parsed.positional) {
+      const summary = known.get(name)!;
+      console.log(`Would merge ${name} -> ${target}: ${summary.sessions} sessions, ${summary.observations} observations, ${summary.summaries} summaries`);
+    }
+    return 0;
+  }
+
+  await runMove(store, port, 'merge', { sources: parsed.positional, target },
+    () => mergeProjects(store.db, parsed.positional, target),
+    result => `Merged ${parsed.positional.join(', ')} -> ${target}: ${formatMoveResult(result)}`);
+  return 0;
+}
+
+async function split(store: SessionStore, parsed: ParsedArgs, port: number): Promise<number> {
+  const [source] = parsed.positional;
+  const target = parsed.options.into;
+  const sessionList = parsed.options.sessions;
+  const pathPrefix = parsed.options.path;
+
+  if (!source || !target || (!sessionList && !pathPrefix)) {
+    console.error('Usage: claude-mem projects split <project> --into <target> (--sessions <id,...> | --path <prefix>) [--dry-run]');
+    return 1;
+  }
+
+  const sessionIds = sessionList
+    ? sessionList.split(',').map(id => id.trim()).filter(Boolean)
+    : findSessionsByFilePath(store.db, source, path.resolve(pathPrefix));
+
+  if (sessionIds.length === 0) {
+    console.log(`No matching sessions in ${source}`);
+    return 0;
+  }
+
+  if (parsed.flags.has('dry-run')) {
+    console.log(`Would move ${sessionIds.length} sessions from ${source} -> ${target}:`);
+    for (const id of sessionIds) console.log(`  ${id}`);
+    return 0;
+  }
+
+  await runMove(store, port, 'split', { source, target, sessionIds },
+    () => moveSessionsToProject(store.db, source, target, sessionIds),
+    result => `Moved ${source} -> ${target}: ${formatMoveResult(result)}`);
+  return 0;
+}
+
+/**
+ * Dispatch `claude-mem projects <subcommand>`. Returns a process exit code.
+ */
+export async function handleProjectsCommand(subcommand: string | undefined, args: string[], port: number): Promise<number> {
+  if (subcommand === 'identify') {
+    return identifyDirectory(args[0] || process.cwd());
+  }
+
+  if (subcommand !== 'list' && subcommand !== 'merge' && subcommand !== 'split') {
+    console.log(`
+Claude-Mem Project Identity
+
+Usage: claude-mem projects <command> [options]
+
+Commands:
+  list                                    List project names with row counts
+  identify [dir]                          Show how a directory resolves to a project name
+  merge <project...> --into <target>      Rename projects into one
+  split <project> --into <target>         Move some sessions to another project
+        --sessions <id,...>               by content or memory session ID
+        --path <prefix>                   by files read/modified under a path
+
+Options:
+  --dry-run                               Show what would change without writing
+
+Examples:
+  claude-mem projects identify ~/work/api
+  claude-mem projects merge api api-server --into acme/api
+  claude-mem projects split api --into other-org/api --path ~/work/other-api
+    `);
+    return 0;
+  }
+
+  const parsed = parseArgs(args);
+  const store = new SessionStore();
+  try {
+    if (subcommand === 'list') return listProjects(store);
+    if (subcommand === 'merge') return await merge(store, parsed, port);
+    return await split(store, parsed, port);
+  } catch (error) {
+    logger.error('DB', 'Project migration failed', { subcommand }, error as Error);
+    return 1;
+  } finally {
+    store.close();
+  }
+}
@@ -0,0 +1,131 @@
+/**
+ * Team Memory Commands
+ *
+ * CLI: `claude-mem team export [--all] [--pinned] [--type <a,b>] [--id <1,2>] [--project <name>]`
+ *      `claude-mem team import [--project <name>]`
+ *
+ * Shares observations through the current repository's .claude-mem/ directory.
+ * Export writes to the database directly (safe while the worker runs).
+ * Import goes through the worker when it is running, so imported observations are
+ * also added to the vector index; otherwise it writes to the database directly.
+ */
+
+import { SessionStore } from '../services/sqlite/SessionStore.js';
+import { exportTeamMemory, importTeamMemory } from '../services/integrations/TeamMemorySync.js';
+import type { TeamImportResult } from '../services/integrations/types.js';
+import type { TeamSyncSelection } from '../services/sqlite/TeamSync.js';
+import { isPortInUse } from '../services/infrastructure/HealthMonitor.js';
+import { getGitAuthor, getGitRoot } from '../utils/project-identity.js';
+import { getProjectName } from '../utils/project-name.js';
+import { logger } from '../utils/logger.js';
+
+const USAGE = 'Usage: claude-mem team export [--all] [--pinned] [--type <a,b>] [--id <1,2>] [--project <name>]\n'
+  + '       claude-mem team import [--project <name>]';
+
+function parseList(value: string | undefined): string[] {
+  return (value ?? '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function parseSelection(args: string[]): { selection: TeamSyncSelection; project?: string } {
+  const selection: TeamSyncSelection = {};
+  let project: string | undefined;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--all') {
+      selection.all = true;
+    } else if (args[i] === '--pinned') {
+      selection.pinned = true;
+    } else if (args[i] === '--type') {
+      selection.types = [...(selection.types ?? []), ...parseList(args[++i])];
+    } else if (args[i] === '--id') {
+      const ids = parseList(args[++i]).map(Number);
+      if (!ids.every(id => Number.isInteger(id) && id > 0)) {
+        throw new Error('--id must be a comma-separated list of observation IDs');
+      }
+      selection.ids = [...(selection.ids ?? []), ...ids];
+    } else if (args[i] === '--project') {
+      project = args[++i];
+    }
+  }
+
+  return { selection, project };
+}
+
+async function importThroughWorker(port: number, cwd: string, project: string): Promise<Omit<TeamImportResult, 'touched'>> {
+  const response = await fetch(`http://127.0.0.1:${port}/api/team-sync/import`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ cwd, project })
+  });
+
+  const body = await response.json() as Omit<TeamImportResult, 'touched'> & { error?: string };
+  if (!response.ok) {
+    throw new Error(body.error || `Worker returned ${response.status}`);
+  }
+  return body;
+}
+
+/**
+ * Handle `claude-mem team`
+ */
+export async function handleTeamCommand(args: string[], port: number): Promise<number> {
+  const [subcommand, ...rest] = args;
+  if (subcommand !== 'export' && subcommand !== 'import') {
+    console.error(USAGE);
+    return 1;
+  }
+
+  const cwd = process.cwd();
+  const repoRoot = getGitRoot(cwd);
+  if (!repoRoot) {
+    console.error(`${cwd} is not inside a git repository`);
+    return 1;
+  }
+
+  try {
+    const { selection, project: projectArg } = parseSelection(rest);
+    const project = projectArg || getProjectName(cwd);
+
+    if (subcommand === 'export') {
+      const store = new SessionStore();
+      try {
+        const result = exportTeamMemory(store.db, repoRoot, project, selection, getGitAuthor(repoRoot));
+        console.log(`Exported ${project} to ${result.dir}: ${result.written} written, ${result.unchanged} unchanged`);
+        if (result.pendingImport > 0) {
+          console.log(`${result.pendingImport} entries were changed by teammates; run \`claude-mem team import\` before exporting them again.`);
+        }
+        console.log('Commit the directory to share these observations with your team.');
+      } finally {
+        store.close();
+      }
+      return 0;
+    }
+
+    const workerRunning = await isPortInUse(port);
+    let result: Omit<TeamImportResult, 'touched'>;
+    if (workerRunning) {
+      result = await importThroughWorker(port, cwd, project);
+    } else {
+      const store = new SessionStore();
+      try {
+        result = importTeamMemory(store.db, repoRoot, project);
+      } finally {
+        store.close();
+      }
+    }
+
+    console.log(`Imported ${result.dir} into ${project}: ${result.inserted} new, ${result.updated} updated, `
+      + `${result.unchanged} unchanged, ${result.deleted} deleted locally`);
+    if (result.invalid > 0) {
+      console.log(`${result.invalid} invalid entry files were skipped (see the worker log).`);
+    }
+    if (!workerRunning) {
+      console.log('The worker was not running: run `claude-mem repair --only vectors` after it starts to index the imported observations.');
+    }
+    return 0;
+  } catch (error) {
+    logger.error('SYSTEM', `Team memory ${subcommand} failed`, { repoRoot }, error as Error);
+    console.error(`Team memory ${subcommand} failed: ${(error as Error).message}`);
+    return 1;
+  }
+}
@@ -0,0 +1,43 @@
+/**
+ * Vector Backend Commands
+ *
+ * CLI: `claude-mem migrate-vectors [project]`
+ *
+ * Copies an existing cm__<project> Chroma collection into the local SQLite
+ * vector index (CLAUDE_MEM_VECTOR_BACKEND=local), so switching backends does
+ * not require re-embedding from scratch through the worker backfill.
+ */
+
+import { ChromaSync } from '../services/sync/ChromaSync.js';
+import { SettingsDefaultsManager } from '../shared/SettingsDefaultsManager.js';
+import { USER_SETTINGS_PATH } from '../shared/paths.js';
+import { logger } from '../utils/logger.js';
+
+// The worker syncs every project into a single collection
+const DEFAULT_COLLECTION_PROJECT = 'claude-mem';
+
+/**
+ * Migrate a Chroma collection into the local vector index.
+ * Returns a process exit code.
+ */
+export async function migrateVectors(project: string = DEFAULT_COLLECTION_PROJECT): Promise<number> {
+  const settings = SettingsDefaultsManager.loadFromFile(USER_SETTINGS_PATH);
+  if (settings.CLAUDE_MEM_VECTOR_BACKEND !== 'local') {
+    logger.error('CHROMA', 'Set CLAUDE_MEM_VECTOR_BACKEND to "local" before migrating vectors', {
+      backend: settings.CLAUDE_MEM_VECTOR_BACKEND
+    });
+    return 1;
+  }
+
+  const chromaSync = new ChromaSync(project);
+  try {
+    const copied = await chromaSync.migrateCollectionToLocal();
+    logger.info('CHROMA', `Migrated ${copied} documents from cm__${project}`, { project, copied });
+    return 0;
+  } catch (error) {
+    logger.error('CHROMA', 'Vector migration failed', { project }, error as Error);
+    return 1;
+  } finally {
+    await chromaSync.close();
+  }
+}
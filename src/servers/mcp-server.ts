@@ -136,6 +136,60 @@ async function callWorkerAPIPost(
   }
 }
 
+/**
+ * Call Worker HTTP API with PATCH/DELETE (record edits)
+ */
+async function callWorkerAPIMutation(
+  method: 'PATCH' | 'DELETE',
+  endpoint: string,
+  body?: Record<string, any>
+): Promise<{ content: Array<{ type: 'text'; text: string }>; isError?: boolean }> {
+  logger.debug('HTTP', `Worker API request (${method})`, undefined, { endpoint });
+
+  try {
+    const url = `${WORKER_BASE_URL}${endpoint}`;
+    const response = await fetch(url, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Worker API error (${response.status}): ${errorText}`);
+    }
+
+    const data = await response.json();
+
+    logger.debug('HTTP', `Worker API success (${method})`, undefined, { endpoint });
+
+    return {
+      content: [{
+        type: 'text' as const,
+        text: JSON.stringify(data, null, 2)
+      }]
+    };
+  } catch (error) {
+    logger.error('HTTP', `Worker API error (${method})`, { endpoint }, error as Error);
+    return {
+      content: [{
+        type: 'text' as const,
+        text: `Error calling Worker API: ${error instanceof Error ? error.message : String(error)}`
+      }],
+      isError: true
+    };
+  }
+}
+
+/**
+ * Map editable record kinds to Worker HTTP endpoints
+ */
+const RECORD_ENDPOINT_MAP: Record<string, string> = {
+  'observation': '/api/observation',
+  'summary': '/api/summary',
+  'prompt': '/api/prompt'
+};
+
 /**
  * Verify Worker is accessible
  */
@@ -191,7 +245,11 @@ NEVER fetch full details without filtering first. 10x token savings.`,
   },
   {
     name: 'search',
-    description: 'Step 1: Search memory. Returns index with IDs. Params: query, limit, project, type, obs_type, dateStart, dateEnd, offset, orderBy',
+    description: 'Step 1: Search memory. Returns index with IDs. Params: query, limit, project, type, obs_type, dateStart, dateEnd, offset, orderBy. ' +
+      'Or q, a single query string: q="type:bugfix file:src/services/** concept:gotcha after:2026-09-01 \\"race condition\\"" ' +
+      '(filters: type, file, concept, project, after, before, in:observations|sessions|prompts, sort:relevance|newest|oldest). ' +
+      'facets=true adds counts over all matches (type, concept, project, directory, date) with the filter that narrows to each. ' +
+      'Date-ordered results end with "Next page: cursor=..."; pass cursor to get the next page',
     inputSchema: {
       type: 'object',
       properties: {},
@@ -215,6 +273,28 @@ NEVER fetch full details without filtering first. 10x token savings.`,
       return await callWorkerAPI(endpoint, args);
     }
   },
+  {
+    name: 'similar',
+    description: 'Find past work related to an observation: ranked neighbors by vector similarity, shared files and shared concepts, with the reason for each match. Params: id (observation ID, required), limit',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'number',
+          description: 'ID of the observation to find neighbors for (required)'
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum neighbors to return (default: 20)'
+        }
+      },
+      required: ['id']
+    },
+    handler: async (args: any) => {
+      const { id, ...params } = args;
+      return await callWorkerAPI(`/api/observation/${id}/similar`, params);
+    }
+  },
   {
     name: 'get_observations',
     description: 'Step 3: Fetch full details for filtered IDs. Params: ids (array of observation IDs, required), orderBy, limit, project',
@@ -258,6 +338,83 @@ NEVER fetch full details without filtering first. 10x token savings.`,
     handler: async (args: any) => {
       return await callWorkerAPIPost('/api/memory/save', args);
     }
+  },
+  {
+    name: 'update_memory',
+    description: 'Correct a stored observation, summary or prompt. Params: id (required), record (observation|summary|prompt, default observation), plus fields to change. Observation: type, title, subtitle, narrative, facts, concepts, files_read, files_modified. Summary: request, investigated, learned, completed, next_steps, notes. Prompt: prompt_text',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'number',
+          description: 'ID of the record to update (required)'
+        },
+        record: {
+          type: 'string',
+          enum: ['observation', 'summary', 'prompt'],
+          description: 'Kind of record (default: observation)'
+        }
+      },
+      required: ['id'],
+      additionalProperties: true
+    },
+    handler: async (args: any) => {
+      const { id, record = 'observation', ...fields } = args;
+      const endpoint = RECORD_ENDPOINT_MAP[record];
+      if (!endpoint) {
+        throw new Error(`Unknown record kind: ${record}`);
+      }
+      return await callWorkerAPIMutation('PATCH', `${endpoint}/${id}`, fields);
+    }
+  },
+  {
+    name: 'delete_memory',
+    description: 'Permanently delete a wrong or hallucinated observation, summary or prompt. Params: id (required), record (observation|summary|prompt, default observation)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'number',
+          description: 'ID of the record to delete (required)'
+        },
+        record: {
+          type: 'string',
+          enum: ['observation', 'summary', 'prompt'],
+          description: 'Kind of record (default: observation)'
+        }
+      },
+      required: ['id']
+    },
+    handler: async (args: any) => {
+      const { id, record = 'observation' } = args;
+      const endpoint = RECORD_ENDPOINT_MAP[record];
+      if (!endpoint) {
+        throw new Error(`Unknown record kind: ${record}`);
+      }
+      return await callWorkerAPIMutation('DELETE', `${endpoint}/${id}`);
+    }
+  },
+  {
+    name: 'pin_memory',
+    description: 'Pin an observation so it is always injected into context, regardless of recency limits. Params: id (required), pinned (default true, false to unpin)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'number',
+          description: 'ID of the observation to pin (required)'
+        },
+        pinned: {
+          type: 'boolean',
+          description: 'true to pin, false to unpin (default: true)'
+        }
+      },
+      required: ['id']
+    },
+    handler: async (args: any) => {
+      const { id, pinned = true } = args;
+      return await callWorkerAPIPost(`/api/observation/${id}/pin`, { pinned });
+    }
   }
 ];
 
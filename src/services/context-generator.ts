@@ -15,5 +15,5 @@
 import { logger } from '../utils/logger.js';
 
 // Re-export everything from the new context module
-export { generateContext } from './context/index.js';
-export type { ContextInput, ContextConfig } from './context/types.js';
+export { generateContext, generateContextWithIds } from './context/index.js';
+export type { ContextInput, ContextConfig, GeneratedContext } from './context/types.js';
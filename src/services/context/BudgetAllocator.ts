@@ -0,0 +1,192 @@
+/**
+ * BudgetAllocator - Pack context sections into a token budget
+ *
+ * With CLAUDE_MEM_CONTEXT_TOKEN_BUDGET set, each section gets a share of the
+ * budget and its items are packed greedily in priority order, skipping items
+ * that no longer fit. Budget a section leaves unspent is then offered to the
+ * items still left out, in section order, so a project with nothing pinned
+ * spends that share on observations instead. That pass may also upgrade an
+ * index line to a full observation, in priority order.
+ *
+ * Costs are estimated from the markdown rendering of each item, so the colored
+ * preview makes the same choices as the injected context. The header, legend
+ * and footer are fixed overhead and are not counted.
+ */
+
+import type {
+  BudgetAllocation,
+  BudgetSection,
+  ContextConfig,
+  Observation,
+  PriorMessages,
+  SectionAllocation,
+  SessionSummary,
+  SummaryTimelineItem,
+} from './types.js';
+import { estimateTokens } from './TokenCalculator.js';
+import { getDetailField } from './sections/TimelineRenderer.js';
+import { renderSummaryFields } from './sections/SummaryRenderer.js';
+import { formatDateTime, formatTime } from '../../shared/timeline-formatting.js';
+import * as Markdown from './formatters/MarkdownFormatter.js';
+
+/**
+ * Share of the budget reserved for each section, in priority order
+ */
+export const BUDGET_SHARES: Record<BudgetSection, number> = {
+  pinned: 0.2,
+  summary: 0.15,
+  full: 0.3,
+  index: 0.3,
+  previous: 0.05
+};
+
+const SECTION_ORDER = Object.keys(BUDGET_SHARES) as BudgetSection[];
+
+/**
+ * Everything that could be injected, each list in priority order
+ */
+export interface BudgetCandidates {
+  /** Most recently pinned first */
+  pinned: Observation[];
+  /** Most recent summary, if shouldShowSummary allows it */
+  lastSummary: SessionSummary | null;
+  /** Session rows for the timeline, newest first */
+  sessions: SummaryTimelineItem[];
+  /** Observations in priority order: most recent first, or by relevance score */
+  observations: Observation[];
+  priorMessages: PriorMessages;
+}
+
+/**
+ * The candidates that fit the budget, ready to render
+ */
+export interface BudgetedContext {
+  pinned: Observation[];
+  showLastSummary: boolean;
+  sessions: SummaryTimelineItem[];
+  /** Observations on the timeline, shown in full or as index lines */
+  observations: Observation[];
+  fullObservationIds: Set<number>;
+  priorMessages: PriorMessages;
+  allocation: BudgetAllocation;
+}
+
+interface BudgetItem {
+  section: BudgetSection;
+  /** Items sharing a key are alternatives; at most one is included */
+  key: string;
+  tokens: number;
+}
+
+function buildItems(candidates: BudgetCandidates, config: ContextConfig): BudgetItem[] {
+  const items: BudgetItem[] = [];
+
+  for (const obs of candidates.pinned) {
+    const lines = Markdown.renderMarkdownFullObservation(obs, formatDateTime(obs.created_at), getDetailField(obs, config), config);
+    items.push({ section: 'pinned', key: `pinned:${obs.id}`, tokens: estimateTokens(lines) });
+  }
+
+  if (candidates.lastSummary) {
+    items.push({ section: 'summary', key: 'last-summary', tokens: estimateTokens(renderSummaryFields(candidates.lastSummary, false)) });
+  }
+  for (const session of candidates.sessions) {
+    const lines = Markdown.renderMarkdownSummaryItem(session, formatDateTime(session.displayTime));
+    items.push({ section: 'summary', key: `session:${session.id}`, tokens: estimateTokens(lines) });
+  }
+
+  // An observation is either shown in full or as an index line, never both
+  for (const obs of candidates.observations) {
+    const lines = Markdown.renderMarkdownFullObservation(obs, formatTime(obs.created_at), getDetailField(obs, config), config);
+    items.push({ section: 'full', key: `obs:${obs.id}`, tokens: estimateTokens(lines) });
+  }
+  for (const obs of candidates.observations) {
+    const line = Markdown.renderMarkdownTableRow(obs, formatTime(obs.created_at), config);
+    items.push({ section: 'index', key: `obs:${obs.id}`, tokens: estimateTokens([line]) });
+  }
+
+  if (candidates.priorMessages.assistantMessage) {
+    const lines = Markdown.renderMarkdownPreviouslySection(candidates.priorMessages);
+    items.push({ section: 'previous', key: 'previous', tokens: estimateTokens(lines) });
+  }
+
+  return items;
+}
+
+/**
+ * Greedily pack items into the budget
+ * Returns the item packed for each included key
+ */
+function packItems(
+  items: BudgetItem[],
+  budget: number
+): { packed: Map<string, BudgetItem>; allocation: BudgetAllocation } {
+  const packed = new Map<string, BudgetItem>();
+  const sections: SectionAllocation[] = SECTION_ORDER.map(section => ({
+    section,
+    share: Math.floor(budget * BUDGET_SHARES[section]),
+    used: 0,
+    included: 0,
+    candidates: items.filter(item => item.section === section).length
+  }));
+  const allocationFor = (section: BudgetSection): SectionAllocation =>
+    sections.find(allocation => allocation.section === section)!;
+
+  // Tokens needed to include an item, net of an alternative it replaces
+  const cost = (item: BudgetItem): number => item.tokens - (packed.get(item.key)?.tokens ?? 0);
+
+  const include = (item: BudgetItem): void => {
+    const replaced = packed.get(item.key);
+    if (replaced) {
+      allocationFor(replaced.section).used -= replaced.tokens;
+      allocationFor(replaced.section).included--;
+    }
+    packed.set(item.key, item);
+    allocationFor(item.section).used += item.tokens;
+    allocationFor(item.section).included++;
+  };
+
+  // First pass: each section spends its own share
+  for (const allocation of sections) {
+    let remaining = allocation.share;
+    for (const item of items) {
+      if (item.section !== allocation.section || packed.has(item.key) || item.tokens > remaining) continue;
+      include(item);
+      remaining -= item.tokens;
+    }
+  }
+
+  // Second pass: whatever the sections left unspent, in section order
+  // An index line can still be upgraded to a full observation here
+  let spare = budget - sections.reduce((sum, allocation) => sum + allocation.used, 0);
+  for (const section of SECTION_ORDER) {
+    for (const item of items) {
+      if (item.section !== section || cost(item) > spare) continue;
+      const current = packed.get(item.key);
+      if (current && SECTION_ORDER.indexOf(current.section) <= SECTION_ORDER.indexOf(section)) continue;
+      spare -= cost(item);
+      include(item);
+    }
+  }
+
+  return { packed, allocation: { budget, used: budget - spare, sections } };
+}
+
+/**
+ * Choose what to inject within config.tokenBudget
+ */
+export function allocateBudget(candidates: BudgetCandidates, config: ContextConfig): BudgetedContext {
+  const { packed, allocation } = packItems(buildItems(candidates, config), config.tokenBudget);
+  const observations = candidates.observations.filter(obs => packed.has(`obs:${obs.id}`));
+
+  return {
+    pinned: candidates.pinned.filter(obs => packed.has(`pinned:${obs.id}`)),
+    showLastSummary: packed.has('last-summary'),
+    sessions: candidates.sessions.filter(session => packed.has(`session:${session.id}`)),
+    observations,
+    fullObservationIds: new Set(
+      observations.filter(obs => packed.get(`obs:${obs.id}`)!.section === 'full').map(obs => obs.id)
+    ),
+    priorMessages: packed.has('previous') ? candidates.priorMessages : { userMessage: '', assistantMessage: '' },
+    allocation
+  };
+}
@@ -12,21 +12,28 @@ import { SessionStore } from '../sqlite/SessionStore.js';
 import { logger } from '../../utils/logger.js';
 import { getProjectName } from '../../utils/project-name.js';
 
-import type { ContextInput, ContextConfig, Observation, SessionSummary } from './types.js';
+import type { ContextInput, ContextConfig, GeneratedContext, Observation, SessionSummary, BudgetAllocation } from './types.js';
 import { loadContextConfig } from './ContextConfigLoader.js';
 import { calculateTokenEconomics } from './TokenCalculator.js';
+import { allocateBudget } from './BudgetAllocator.js';
+import type { BudgetedContext } from './BudgetAllocator.js';
 import {
   queryObservations,
   queryObservationsMulti,
+  queryPinnedObservations,
   querySummaries,
   querySummariesMulti,
   getPriorSessionMessages,
   prepareSummariesForTimeline,
   buildTimeline,
   getFullObservationIds,
+  getCandidateLimits,
 } from './ObservationCompiler.js';
+import { rankByRelevance } from './RelevanceScorer.js';
 import { renderHeader } from './sections/HeaderRenderer.js';
+import { renderBudgetAllocation } from './sections/BudgetRenderer.js';
 import { renderTimeline } from './sections/TimelineRenderer.js';
+import { renderPinned } from './sections/PinnedRenderer.js';
 import { shouldShowSummary, renderSummaryFields } from './sections/SummaryRenderer.js';
 import { renderPreviouslySection, renderFooter } from './sections/FooterRenderer.js';
 import { renderMarkdownEmptyState } from './formatters/MarkdownFormatter.js';
@@ -70,51 +77,101 @@ function renderEmptyState(project: string, useColors: boolean): string {
   return useColors ? renderColorEmptyState(project) : renderMarkdownEmptyState(project);
 }
 
+/**
+ * What to render: everything selected by counts, or what fits the token budget
+ */
+type ContextSelection = Omit<BudgetedContext, 'allocation'> & { allocation: BudgetAllocation | null };
+
+/**
+ * Select the items to render from loaded data
+ */
+function selectContent(
+  observations: Observation[],
+  pinned: Observation[],
+  summaries: SessionSummary[],
+  config: ContextConfig,
+  cwd: string,
+  sessionId: string | undefined
+): ContextSelection {
+  const sessions = prepareSummariesForTimeline(summaries.slice(0, getCandidateLimits(config).sessions), summaries);
+  const showLastSummary = shouldShowSummary(config, summaries[0], observations[0]);
+  const priorMessages = getPriorSessionMessages(observations, config, sessionId, cwd);
+
+  if (config.tokenBudget <= 0) {
+    return {
+      pinned,
+      showLastSummary,
+      sessions,
+      observations,
+      fullObservationIds: getFullObservationIds(observations, config.fullObservationCount),
+      priorMessages,
+      allocation: null
+    };
+  }
+
+  // In relevance mode the budget goes to the highest scoring observations first
+  const budgeted = allocateBudget({
+    pinned,
+    lastSummary: showLastSummary ? summaries[0] : null,
+    sessions,
+    observations: config.selectionMode === 'relevance' ? rankByRelevance(observations, config.decayHalfLifeDays) : observations,
+    priorMessages
+  }, config);
+
+  const included = new Set(budgeted.observations.map(obs => obs.id));
+  return { ...budgeted, observations: observations.filter(obs => included.has(obs.id)) };
+}
+
 /**
  * Build context output from loaded data
  */
 function buildContextOutput(
   project: string,
   observations: Observation[],
+  pinned: Observation[],
   summaries: SessionSummary[],
   config: ContextConfig,
   cwd: string,
   sessionId: string | undefined,
-  useColors: boolean
-): string {
+  useColors: boolean,
+  showBudgetAllocation: boolean
+): GeneratedContext {
   const output: string[] = [];
+  const selection = selectContent(observations, pinned, summaries, config, cwd, sessionId);
 
   // Calculate token economics
-  const economics = calculateTokenEconomics(observations);
+  const economics = calculateTokenEconomics([...selection.pinned, ...selection.observations]);
 
   // Render header section
   output.push(...renderHeader(project, economics, config, useColors));
 
-  // Prepare timeline data
-  const displaySummaries = summaries.slice(0, config.sessionCount);
-  const summariesForTimeline = prepareSummariesForTimeline(displaySummaries, summaries);
-  const timeline = buildTimeline(observations, summariesForTimeline);
-  const fullObservationIds = getFullObservationIds(observations, config.fullObservationCount);
+  // Render budget allocation (context preview only)
+  if (showBudgetAllocation) {
+    output.push(...renderBudgetAllocation(selection.allocation, useColors));
+  }
+
+  // Render pinned observations ahead of the timeline
+  output.push(...renderPinned(selection.pinned, config, useColors));
 
   // Render timeline
-  output.push(...renderTimeline(timeline, fullObservationIds, config, cwd, useColors));
+  const timeline = buildTimeline(selection.observations, selection.sessions);
+  output.push(...renderTimeline(timeline, selection.fullObservationIds, config, cwd, useColors));
 
   // Render most recent summary if applicable
-  const mostRecentSummary = summaries[0];
-  const mostRecentObservation = observations[0];
-
-  if (shouldShowSummary(config, mostRecentSummary, mostRecentObservation)) {
-    output.push(...renderSummaryFields(mostRecentSummary, useColors));
+  if (selection.showLastSummary) {
+    output.push(...renderSummaryFields(summaries[0], useColors));
   }
 
   // Render previously section (prior assistant message)
-  const priorMessages = getPriorSessionMessages(observations, config, sessionId, cwd);
-  output.push(...renderPreviouslySection(priorMessages, useColors));
+  output.push(...renderPreviouslySection(selection.priorMessages, useColors));
 
   // Render footer
   output.push(...renderFooter(economics, config, useColors));
 
-  return output.join('\n').trimEnd();
+  return {
+    context: output.join('\n').trimEnd(),
+    observationIds: [...selection.pinned, ...selection.observations].map(obs => obs.id)
+  };
 }
 
 /**
@@ -127,6 +184,16 @@ export async function generateContext(
   input?: ContextInput,
   useColors: boolean = false
 ): Promise<string> {
+  return (await generateContextWithIds(input, useColors)).context;
+}
+
+/**
+ * Generate context for a project, reporting which observations it injects
+ */
+export async function generateContextWithIds(
+  input?: ContextInput,
+  useColors: boolean = false
+): Promise<GeneratedContext> {
   const config = loadContextConfig();
   const cwd = input?.cwd ?? process.cwd();
   const project = getProjectName(cwd);
@@ -137,7 +204,7 @@ export async function generateContext(
   // Initialize database
   const db = initializeDatabase();
   if (!db) {
-    return '';
+    return { context: '', observationIds: [] };
   }
 
   try {
@@ -145,24 +212,27 @@ export async function generateContext(
     const observations = projects.length > 1
       ? queryObservationsMulti(db, projects, config)
       : queryObservations(db, project, config);
+    const pinned = queryPinnedObservations(db, projects);
     const summaries = projects.length > 1
       ? querySummariesMulti(db, projects, config)
       : querySummaries(db, project, config);
 
     // Handle empty state
-    if (observations.length === 0 && summaries.length === 0) {
-      return renderEmptyState(project, useColors);
+    if (observations.length === 0 && pinned.length === 0 && summaries.length === 0) {
+      return { context: renderEmptyState(project, useColors), observationIds: [] };
     }
 
     // Build and return context
     return buildContextOutput(
       project,
       observations,
+      pinned,
       summaries,
       config,
       cwd,
       input?.session_id,
-      useColors
+      useColors,
+      input?.showBudgetAllocation ?? false
     );
   } finally {
     db.close();
@@ -50,6 +50,9 @@ export function loadContextConfig(): ContextConfig {
     showSavingsPercent: settings.CLAUDE_MEM_CONTEXT_SHOW_SAVINGS_PERCENT === 'true',
     observationTypes,
     observationConcepts,
+    selectionMode: settings.CLAUDE_MEM_CONTEXT_SELECTION === 'relevance' ? 'relevance' : 'recent',
+    decayHalfLifeDays: parseFloat(settings.CLAUDE_MEM_CONTEXT_DECAY_HALF_LIFE_DAYS),
+    tokenBudget: parseInt(settings.CLAUDE_MEM_CONTEXT_TOKEN_BUDGET, 10) || 0,
     fullObservationField: settings.CLAUDE_MEM_CONTEXT_FULL_FIELD as 'narrative' | 'facts',
     showLastSummary: settings.CLAUDE_MEM_CONTEXT_SHOW_LAST_SUMMARY === 'true',
     showLastMessage: settings.CLAUDE_MEM_CONTEXT_SHOW_LAST_MESSAGE === 'true',
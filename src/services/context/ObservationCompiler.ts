@@ -17,36 +17,128 @@ import type {
   TimelineItem,
   PriorMessages,
 } from './types.js';
-import { SUMMARY_LOOKAHEAD } from './types.js';
+import { SUMMARY_LOOKAHEAD, RELEVANCE_CANDIDATE_MULTIPLIER, MIN_BUDGET_ITEM_TOKENS } from './types.js';
+import { selectByRelevance } from './RelevanceScorer.js';
 
 /**
- * Query observations from database with type and concept filtering
+ * How many observations and sessions to load for the timeline
+ *
+ * Without a token budget these are the count settings. With one, the counts do not
+ * apply: load as many as the budget could hold at the cheapest item cost and let
+ * BudgetAllocator decide what fits.
  */
-export function queryObservations(
+export function getCandidateLimits(config: ContextConfig): { observations: number; sessions: number } {
+  if (config.tokenBudget <= 0) {
+    return { observations: config.totalObservationCount, sessions: config.sessionCount };
+  }
+  const limit = Math.ceil(config.tokenBudget / MIN_BUDGET_ITEM_TOKENS);
+  return { observations: limit, sessions: limit };
+}
+
+/**
+ * Candidate observations for the timeline, most recent first
+ *
+ * Recent mode takes the newest rows. Relevance mode preselects, in SQL, the rows
+ * that can make the top N without scoring the whole project:
+ * - the newest N of each type: without retrievals, an observation never outscores
+ *   a newer one of the same type
+ * - the most retrieved: retrievals can lift an old observation above newer ones
+ * Pinned observations are excluded here; see queryPinnedObservations
+ */
+function queryCandidates(
   db: SessionStore,
-  project: string,
+  projects: string[],
   config: ContextConfig
 ): Observation[] {
   const typeArray = Array.from(config.observationTypes);
   const typePlaceholders = typeArray.map(() => '?').join(',');
   const conceptArray = Array.from(config.observationConcepts);
   const conceptPlaceholders = conceptArray.map(() => '?').join(',');
+  const projectPlaceholders = projects.map(() => '?').join(',');
+  const limit = getCandidateLimits(config).observations;
+
+  const columns = `
+    id, memory_session_id, type, title, subtitle, narrative,
+    facts, concepts, files_read, files_modified, discovery_tokens,
+    created_at, created_at_epoch, retrieval_count, project`;
+  const filters = `
+    project IN (${projectPlaceholders})
+    AND pinned = 0
+    AND type IN (${typePlaceholders})
+    AND EXISTS (
+      SELECT 1 FROM json_each(concepts)
+      WHERE value IN (${conceptPlaceholders})
+    )`;
+  const params = [...projects, ...typeArray, ...conceptArray];
+
+  if (config.selectionMode !== 'relevance') {
+    return db.db.prepare(`
+      SELECT ${columns}
+      FROM observations
+      WHERE ${filters}
+      ORDER BY created_at_epoch DESC
+      LIMIT ?
+    `).all(...params, limit) as Observation[];
+  }
+
+  return db.db.prepare(`
+    WITH matching AS (
+      SELECT ${columns},
+        ROW_NUMBER() OVER (PARTITION BY type ORDER BY created_at_epoch DESC) AS type_rank,
+        ROW_NUMBER() OVER (ORDER BY retrieval_count DESC, created_at_epoch DESC) AS retrieval_rank
+      FROM observations
+      WHERE ${filters}
+    )
+    SELECT ${columns}
+    FROM matching
+    WHERE type_rank <= ? OR (retrieval_count > 0 AND retrieval_rank <= ?)
+    ORDER BY created_at_epoch DESC
+  `).all(...params, limit, limit * RELEVANCE_CANDIDATE_MULTIPLIER) as Observation[];
+}
+
+/**
+ * Apply relevance selection to a recency-ordered candidate pool (no-op in recent mode)
+ */
+function selectObservations(candidates: Observation[], config: ContextConfig): Observation[] {
+  return config.selectionMode === 'relevance'
+    ? selectByRelevance(candidates, getCandidateLimits(config).observations, config.decayHalfLifeDays)
+    : candidates;
+}
+
+/**
+ * Query observations from database with type and concept filtering
+ * In relevance mode, a preselected pool is narrowed by RelevanceScorer
+ */
+export function queryObservations(
+  db: SessionStore,
+  project: string,
+  config: ContextConfig
+): Observation[] {
+  return selectObservations(queryCandidates(db, [project], config), config);
+}
+
+/**
+ * Query pinned observations for one or more projects (worktree: parent + worktree)
+ *
+ * Pinned observations ignore type/concept filters and recency limits; they are
+ * rendered in their own section ahead of the timeline, most recently pinned first.
+ */
+export function queryPinnedObservations(
+  db: SessionStore,
+  projects: string[]
+): Observation[] {
+  const projectPlaceholders = projects.map(() => '?').join(',');
 
   return db.db.prepare(`
     SELECT
       id, memory_session_id, type, title, subtitle, narrative,
       facts, concepts, files_read, files_modified, discovery_tokens,
-      created_at, created_at_epoch
+      created_at, created_at_epoch, project
     FROM observations
-    WHERE project = ?
-      AND type IN (${typePlaceholders})
-      AND EXISTS (
-        SELECT 1 FROM json_each(concepts)
-        WHERE value IN (${conceptPlaceholders})
-      )
-    ORDER BY created_at_epoch DESC
-    LIMIT ?
-  `).all(project, ...typeArray, ...conceptArray, config.totalObservationCount) as Observation[];
+    WHERE project IN (${projectPlaceholders})
+      AND pinned = 1
+    ORDER BY pinned_at_epoch DESC
+  `).all(...projects) as Observation[];
 }
 
 /**
@@ -63,7 +155,7 @@ export function querySummaries(
     WHERE project = ?
     ORDER BY created_at_epoch DESC
     LIMIT ?
-  `).all(project, config.sessionCount + SUMMARY_LOOKAHEAD) as SessionSummary[];
+  `).all(project, getCandidateLimits(config).sessions + SUMMARY_LOOKAHEAD) as SessionSummary[];
 }
 
 /**
@@ -77,29 +169,7 @@ export function queryObservationsMulti(
   projects: string[],
   config: ContextConfig
 ): Observation[] {
-  const typeArray = Array.from(config.observationTypes);
-  const typePlaceholders = typeArray.map(() => '?').join(',');
-  const conceptArray = Array.from(config.observationConcepts);
-  const conceptPlaceholders = conceptArray.map(() => '?').join(',');
-
-  // Build IN clause for projects
-  const projectPlaceholders = projects.map(() => '?').join(',');
-
-  return db.db.prepare(`
-    SELECT
-      id, memory_session_id, type, title, subtitle, narrative,
-      facts, concepts, files_read, files_modified, discovery_tokens,
-      created_at, created_at_epoch, project
-    FROM observations
-    WHERE project IN (${projectPlaceholders})
-      AND type IN (${typePlaceholders})
-      AND EXISTS (
-        SELECT 1 FROM json_each(concepts)
-        WHERE value IN (${conceptPlaceholders})
-      )
-    ORDER BY created_at_epoch DESC
-    LIMIT ?
-  `).all(...projects, ...typeArray, ...conceptArray, config.totalObservationCount) as Observation[];
+  return selectObservations(queryCandidates(db, projects, config), config);
 }
 
 /**
@@ -122,7 +192,7 @@ export function querySummariesMulti(
     WHERE project IN (${projectPlaceholders})
     ORDER BY created_at_epoch DESC
     LIMIT ?
-  `).all(...projects, config.sessionCount + SUMMARY_LOOKAHEAD) as SessionSummary[];
+  `).all(...projects, getCandidateLimits(config).sessions + SUMMARY_LOOKAHEAD) as SessionSummary[];
 }
 
 /**
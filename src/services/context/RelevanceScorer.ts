@@ -0,0 +1,79 @@
+/**
+ * RelevanceScorer - Relevance-based observation selection for context
+ *
+ * With CLAUDE_MEM_CONTEXT_SELECTION=relevance, context keeps the highest-scoring
+ * observations instead of the most recent ones, so an architectural decision from
+ * weeks ago is not pushed out by a burst of small changes.
+ *
+ *   score = typeWeight × 0.5^(ageDays / halfLife) + RETRIEVAL_WEIGHT × log2(1 + retrievals)
+ *
+ * Pinned observations are not scored: they are always injected in their own section.
+ */
+
+import type { Observation } from './types.js';
+
+/**
+ * How much each observation type is worth at age zero
+ * Types from non-code modes fall back to DEFAULT_TYPE_WEIGHT
+ */
+export const TYPE_WEIGHTS: Record<string, number> = {
+  decision: 1.0,
+  bugfix: 0.8,
+  feature: 0.7,
+  discovery: 0.6,
+  refactor: 0.5,
+  change: 0.3,
+};
+
+export const DEFAULT_TYPE_WEIGHT = 0.5;
+
+// Each doubling of retrievals is worth about as much as a fresh 'change'
+const RETRIEVAL_WEIGHT = 0.15;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Score a single observation
+ */
+export function scoreObservation(obs: Observation, halfLifeDays: number, nowEpoch: number): number {
+  const typeWeight = TYPE_WEIGHTS[obs.type] ?? DEFAULT_TYPE_WEIGHT;
+  const ageDays = Math.max(0, nowEpoch - obs.created_at_epoch) / MS_PER_DAY;
+  const decay = Math.pow(0.5, ageDays / halfLifeDays);
+  const retrievals = RETRIEVAL_WEIGHT * Math.log2(1 + (obs.retrieval_count ?? 0));
+
+  return typeWeight * decay + retrievals;
+}
+
+/**
+ * Order candidates by score, highest first (newest first on ties)
+ */
+export function rankByRelevance(
+  candidates: Observation[],
+  halfLifeDays: number,
+  nowEpoch: number = Date.now()
+): Observation[] {
+  return candidates
+    .map(obs => ({ obs, score: scoreObservation(obs, halfLifeDays, nowEpoch) }))
+    .sort((a, b) => b.score - a.score || b.obs.created_at_epoch - a.obs.created_at_epoch)
+    .map(item => item.obs);
+}
+
+/**
+ * Keep the top `limit` candidates by score
+ * Returns them most recent first, the same order as recency selection,
+ * so the timeline and "full observation" logic behave the same in both modes.
+ */
+export function selectByRelevance(
+  candidates: Observation[],
+  limit: number,
+  halfLifeDays: number,
+  nowEpoch: number = Date.now()
+): Observation[] {
+  if (candidates.length <= limit) {
+    return candidates;
+  }
+
+  const selected = rankByRelevance(candidates, halfLifeDays, nowEpoch).slice(0, limit);
+
+  return selected.sort((a, b) => b.created_at_epoch - a.created_at_epoch);
+}
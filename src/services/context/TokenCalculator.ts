@@ -19,6 +19,13 @@ export function calculateObservationTokens(obs: Observation): number {
   return Math.ceil(obsSize / CHARS_PER_TOKEN_ESTIMATE);
 }
 
+/**
+ * Estimate the tokens needed to inject rendered context lines
+ */
+export function estimateTokens(lines: string[]): number {
+  return Math.ceil(lines.join('\n').length / CHARS_PER_TOKEN_ESTIMATE);
+}
+
 /**
  * Calculate context economics for a set of observations
  */
@@ -9,8 +9,9 @@ import type {
   Observation,
   TokenEconomics,
   PriorMessages,
+  BudgetAllocation,
 } from '../types.js';
-import { colors } from '../types.js';
+import { colors, BUDGET_SECTION_LABELS } from '../types.js';
 import { ModeManager } from '../../domain/ModeManager.js';
 import { formatObservationTokenDisplay } from '../TokenCalculator.js';
 
@@ -110,6 +111,32 @@ export function renderColorContextEconomics(
   return output;
 }
 
+/**
+ * Render colored token budget allocation
+ */
+export function renderColorBudgetAllocation(allocation: BudgetAllocation): string[] {
+  const output: string[] = [];
+
+  output.push(`${colors.bright}${colors.cyan}Token Budget${colors.reset}`);
+  for (const section of allocation.sections) {
+    output.push(`${colors.dim}  ${BUDGET_SECTION_LABELS[section.section]}: ${section.included} of ${section.candidates} items, ${section.used.toLocaleString()} tokens (share ${section.share.toLocaleString()})${colors.reset}`);
+  }
+  output.push(`${colors.green}  Used: ${allocation.used.toLocaleString()} of ${allocation.budget.toLocaleString()} tokens${colors.reset}`);
+  output.push('');
+
+  return output;
+}
+
+/**
+ * Render colored pinned section header
+ */
+export function renderColorPinnedHeader(): string[] {
+  return [
+    `${colors.bright}${colors.magenta}Pinned${colors.reset}`,
+    ''
+  ];
+}
+
 /**
  * Render colored day header
  */
@@ -10,7 +10,9 @@ import type {
   SessionSummary,
   TokenEconomics,
   PriorMessages,
+  BudgetAllocation,
 } from '../types.js';
+import { BUDGET_SECTION_LABELS } from '../types.js';
 import { ModeManager } from '../../domain/ModeManager.js';
 import { formatObservationTokenDisplay } from '../TokenCalculator.js';
 
@@ -108,6 +110,31 @@ export function renderMarkdownContextEconomics(
   return output;
 }
 
+/**
+ * Render markdown token budget allocation
+ */
+export function renderMarkdownBudgetAllocation(allocation: BudgetAllocation): string[] {
+  const output: string[] = [];
+
+  output.push(`**Token Budget**: ${allocation.used.toLocaleString()} of ${allocation.budget.toLocaleString()} tokens used`);
+  for (const section of allocation.sections) {
+    output.push(`- ${BUDGET_SECTION_LABELS[section.section]}: ${section.included} of ${section.candidates} items, ${section.used.toLocaleString()} tokens (share ${section.share.toLocaleString()})`);
+  }
+  output.push('');
+
+  return output;
+}
+
+/**
+ * Render markdown pinned section header
+ */
+export function renderMarkdownPinnedHeader(): string[] {
+  return [
+    `### Pinned`,
+    ''
+  ];
+}
+
 /**
  * Render markdown day header
  */
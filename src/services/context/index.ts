@@ -4,15 +4,19 @@
  * Re-exports the main context generation functionality.
  */
 
-export { generateContext } from './ContextBuilder.js';
-export type { ContextInput, ContextConfig } from './types.js';
+export { generateContext, generateContextWithIds } from './ContextBuilder.js';
+export type { ContextInput, ContextConfig, GeneratedContext } from './types.js';
 
 // Component exports for advanced usage
 export { loadContextConfig } from './ContextConfigLoader.js';
 export { calculateTokenEconomics, calculateObservationTokens } from './TokenCalculator.js';
+export { scoreObservation, rankByRelevance, selectByRelevance } from './RelevanceScorer.js';
+export { allocateBudget, BUDGET_SHARES } from './BudgetAllocator.js';
 export {
   queryObservations,
+  queryPinnedObservations,
   querySummaries,
+  getCandidateLimits,
   buildTimeline,
   getPriorSessionMessages,
 } from './ObservationCompiler.js';
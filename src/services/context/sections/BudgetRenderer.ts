@@ -0,0 +1,26 @@
+/**
+ * BudgetRenderer - Renders how the token budget was spent
+ *
+ * Shown after the header in the context preview, so budget shares can be tuned.
+ */
+
+import type { BudgetAllocation } from '../types.js';
+import * as Markdown from '../formatters/MarkdownFormatter.js';
+import * as Color from '../formatters/ColorFormatter.js';
+
+/**
+ * Render the allocation per section (empty without a budget)
+ */
+export function renderBudgetAllocation(
+  allocation: BudgetAllocation | null,
+  useColors: boolean
+): string[] {
+  if (!allocation) {
+    return [];
+  }
+
+  if (useColors) {
+    return Color.renderColorBudgetAllocation(allocation);
+  }
+  return Markdown.renderMarkdownBudgetAllocation(allocation);
+}
@@ -0,0 +1,39 @@
+/**
+ * PinnedRenderer - Renders pinned observations ahead of the timeline
+ *
+ * Pinned observations are always shown in full, regardless of recency limits.
+ */
+
+import type { ContextConfig, Observation } from '../types.js';
+import { formatDateTime } from '../../../shared/timeline-formatting.js';
+import { getDetailField } from './TimelineRenderer.js';
+import * as Markdown from '../formatters/MarkdownFormatter.js';
+import * as Color from '../formatters/ColorFormatter.js';
+
+/**
+ * Render the pinned section (empty when nothing is pinned)
+ */
+export function renderPinned(
+  pinned: Observation[],
+  config: ContextConfig,
+  useColors: boolean
+): string[] {
+  if (pinned.length === 0) {
+    return [];
+  }
+
+  const output: string[] = useColors ? Color.renderColorPinnedHeader() : Markdown.renderMarkdownPinnedHeader();
+
+  for (const obs of pinned) {
+    const detailField = getDetailField(obs, config);
+    const dateTime = formatDateTime(obs.created_at);
+
+    if (useColors) {
+      output.push(...Color.renderColorFullObservation(obs, dateTime, true, detailField, config));
+    } else {
+      output.push(...Markdown.renderMarkdownFullObservation(obs, dateTime, detailField, config));
+    }
+  }
+
+  return output;
+}
@@ -42,7 +42,7 @@ export function groupTimelineByDay(timeline: TimelineItem[]): Map<string, Timeli
 /**
  * Get detail field content for full observation display
  */
-function getDetailField(obs: Observation, config: ContextConfig): string | null {
+export function getDetailField(obs: Observation, config: ContextConfig): string | null {
   if (config.fullObservationField === 'narrative') {
     return obs.narrative;
   }
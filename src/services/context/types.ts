@@ -13,9 +13,20 @@ export interface ContextInput {
   source?: "startup" | "resume" | "clear" | "compact";
   /** Array of projects to query (for worktree support: [parent, worktree]) */
   projects?: string[];
+  /** Render the token budget allocation after the header (context preview) */
+  showBudgetAllocation?: boolean;
   [key: string]: any;
 }
 
+/**
+ * Rendered context plus the observations it contains
+ */
+export interface GeneratedContext {
+  context: string;
+  /** Pinned and timeline observations, so later injections can skip them */
+  observationIds: number[];
+}
+
 /**
  * Configuration for context generation
  */
@@ -35,6 +46,13 @@ export interface ContextConfig {
   observationTypes: Set<string>;
   observationConcepts: Set<string>;
 
+  // Selection: most recent N, or top N by relevance score (see RelevanceScorer)
+  selectionMode: 'recent' | 'relevance';
+  decayHalfLifeDays: number;
+
+  // Token budget: 0 selects by the counts above, otherwise sections are packed by BudgetAllocator
+  tokenBudget: number;
+
   // Display options
   fullObservationField: 'narrative' | 'facts';
   showLastSummary: boolean;
@@ -60,6 +78,8 @@ export interface Observation {
   created_at_epoch: number;
   /** Project this observation belongs to (for multi-project queries) */
   project?: string;
+  /** Times fetched via get_observations / GET /api/observation/:id (relevance selection only) */
+  retrieval_count?: number;
 }
 
 /**
@@ -106,6 +126,41 @@ export interface TokenEconomics {
   savingsPercent: number;
 }
 
+/**
+ * Context sections that receive a share of the token budget
+ */
+export type BudgetSection = 'pinned' | 'summary' | 'full' | 'index' | 'previous';
+
+export const BUDGET_SECTION_LABELS: Record<BudgetSection, string> = {
+  pinned: 'Pinned',
+  summary: 'Summary',
+  full: 'Full observations',
+  index: 'Index lines',
+  previous: 'Previous message',
+};
+
+/**
+ * Tokens planned and spent for one section
+ */
+export interface SectionAllocation {
+  section: BudgetSection;
+  /** Tokens reserved by the section's share */
+  share: number;
+  /** Tokens spent, including unused budget claimed from other sections */
+  used: number;
+  included: number;
+  candidates: number;
+}
+
+/**
+ * Result of packing a context into a token budget
+ */
+export interface BudgetAllocation {
+  budget: number;
+  used: number;
+  sections: SectionAllocation[];
+}
+
 /**
  * Prior messages from transcript
  */
@@ -135,3 +190,7 @@ export const colors = {
  */
 export const CHARS_PER_TOKEN_ESTIMATE = 4;
 export const SUMMARY_LOOKAHEAD = 1;
+// Relevance selection also scores this many times the observation count of the most retrieved observations
+export const RELEVANCE_CANDIDATE_MULTIPLIER = 10;
+// Fewest tokens an observation index line or session row can cost; sizes the candidate pool in budget mode
+export const MIN_BUDGET_ITEM_TOKENS = 8;
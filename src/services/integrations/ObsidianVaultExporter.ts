@@ -0,0 +1,324 @@
+/**
+ * ObsidianVaultExporter - Memory as an Obsidian-compatible Markdown vault
+ *
+ * Writes one note per observation and per session summary, with YAML frontmatter
+ * (type, concepts, files, dates). Observation notes link to the other observations
+ * and summaries of their session, and to per-file and per-concept index notes:
+ *
+ *   <vault>/<project>/Index.md                          sessions by day
+ *   <vault>/<project>/Observations/<id> <title>.md
+ *   <vault>/<project>/Summaries/S<id> <request>.md
+ *   <vault>/<project>/Files/<path>.md                   observations that read or modified the file
+ *   <vault>/<project>/Concepts/<concept>.md
+ *
+ * Exporting into an existing vault overwrites notes with the same name and leaves others alone.
+ */
+
+import path from 'path';
+import { mkdirSync, writeFileSync } from 'fs';
+import type { Database } from 'bun:sqlite';
+import {
+  iterateVaultSessions,
+  type VaultObservationRow,
+  type VaultSession,
+  type VaultSummaryRow
+} from '../sqlite/Export.js';
+import { renderMarkdownDayHeader, renderMarkdownSummaryField } from '../context/formatters/MarkdownFormatter.js';
+import { formatDate, formatTime, groupByDate, parseJsonArray } from '../../shared/timeline-formatting.js';
+import { logger } from '../../utils/logger.js';
+import type { ObsidianVaultResult } from './types.js';
+
+const MAX_NOTE_NAME_LENGTH = 80;
+
+/**
+ * A note's vault path (without .md) and the text shown for links to it
+ */
+interface NoteLink {
+  target: string;
+  label: string;
+  type: string;
+  epoch: number;
+}
+
+/**
+ * Links collected while a project's sessions are written, for its index notes
+ */
+interface ProjectIndex {
+  project: string;
+  dir: string;
+  notes: NoteLink[];
+  files: Map<string, NoteLink[]>;
+  concepts: Map<string, NoteLink[]>;
+}
+
+type FrontmatterValue = string | number | string[];
+
+/**
+ * Make text safe as a note name: no path separators or link syntax, bounded length
+ */
+function toNoteName(text: string | null, fallback: string): string {
+  const name = (text ?? '')
+    .replace(/[\\/:*?"<>|#^[\]\r\n\t]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^\.+/, '');
+  return name.slice(0, MAX_NOTE_NAME_LENGTH).trim() || fallback;
+}
+
+/**
+ * Vault-relative path for a file's index note: directories become folders,
+ * drive letters and `.`/`..` segments are dropped so notes stay inside the vault
+ */
+function toFileNotePath(filePath: string): string {
+  return filePath
+    .replace(/\\/g, '/')
+    .replace(/^[A-Za-z]:/, '')
+    .split('/')
+    .filter(segment => segment && segment !== '.' && segment !== '..')
+    .map(segment => toNoteName(segment, '_'))
+    .join('/');
+}
+
+function toTag(value: string): string {
+  return value.replace(/[^\w/-]+/g, '-');
+}
+
+function wikiLink(link: NoteLink): string {
+  return `[[${link.target}|${link.label}]]`;
+}
+
+function linkList(links: NoteLink[], showType: boolean = false): string[] {
+  return links.map(link => showType ? `- ${wikiLink(link)} (${link.type})` : `- ${wikiLink(link)}`);
+}
+
+function fileLink(dir: string, file: string): NoteLink | null {
+  const notePath = toFileNotePath(file);
+  return notePath ? { target: `${dir}/Files/${notePath}`, label: notePath, type: 'file', epoch: 0 } : null;
+}
+
+function conceptLink(dir: string, concept: string): NoteLink {
+  const name = toNoteName(concept, 'concept');
+  return { target: `${dir}/Concepts/${name}`, label: name, type: 'concept', epoch: 0 };
+}
+
+/**
+ * Render YAML frontmatter; strings are JSON-quoted, which is valid YAML
+ */
+function renderFrontmatter(fields: Record<string, FrontmatterValue>): string[] {
+  const lines = ['---'];
+  for (const [key, value] of Object.entries(fields)) {
+    if (Array.isArray(value)) {
+      lines.push(value.length > 0 ? `${key}:` : `${key}: []`);
+      lines.push(...value.map(item => `  - ${JSON.stringify(item)}`));
+    } else {
+      lines.push(`${key}: ${JSON.stringify(value)}`);
+    }
+  }
+  lines.push('---', '');
+  return lines;
+}
+
+function renderSection(title: string, items: string[]): string[] {
+  return items.length > 0 ? [`## ${title}`, '', ...items, ''] : [];
+}
+
+function renderDateField(epoch: number): string[] {
+  return renderMarkdownSummaryField('Date', `${formatDate(epoch)}, ${formatTime(epoch)}`);
+}
+
+function renderObservationNote(
+  obs: VaultObservationRow,
+  dir: string,
+  sessionLinks: NoteLink[],
+  summaryLinks: NoteLink[]
+): string {
+  const concepts = parseJsonArray(obs.concepts);
+  const filesRead = parseJsonArray(obs.files_read);
+  const filesModified = parseJsonArray(obs.files_modified);
+  const created = new Date(obs.created_at_epoch).toISOString();
+
+  const fileItems = [
+    ...filesModified.map(file => ({ link: fileLink(dir, file), access: 'modified' })),
+    ...filesRead.filter(file => !filesModified.includes(file)).map(file => ({ link: fileLink(dir, file), access: 'read' }))
+  ].filter(item => item.link).map(item => `- ${wikiLink(item.link!)} (${item.access})`);
+
+  const lines = [
+    ...renderFrontmatter({
+      id: obs.id,
+      type: obs.type,
+      project: obs.project,
+      session: obs.memory_session_id,
+      concepts,
+      files_read: filesRead,
+      files_modified: filesModified,
+      created,
+      date: created.slice(0, 10),
+      tags: ['claude-mem', toTag(`claude-mem/${obs.type}`)]
+    }),
+    `# ${obs.title || 'Untitled'}`,
+    ''
+  ];
+  if (obs.subtitle) {
+    lines.push(`*${obs.subtitle}*`, '');
+  }
+  lines.push(...renderDateField(obs.created_at_epoch));
+  lines.push(...renderMarkdownSummaryField('Narrative', obs.narrative));
+  lines.push(...renderSection('Facts', parseJsonArray(obs.facts).map(fact => `- ${fact}`)));
+  lines.push(...renderSection('Session', [...linkList(summaryLinks), ...linkList(sessionLinks, true)]));
+  lines.push(...renderSection('Files', fileItems));
+  lines.push(...renderSection('Concepts', linkList(concepts.map(concept => conceptLink(dir, concept)))));
+
+  return lines.join('\n');
+}
+
+function renderSummaryNote(summary: VaultSummaryRow, observationLinks: NoteLink[]): string {
+  const created = new Date(summary.created_at_epoch).toISOString();
+
+  return [
+    ...renderFrontmatter({
+      id: summary.id,
+      type: 'summary',
+      project: summary.project,
+      session: summary.memory_session_id,
+      created,
+      date: created.slice(0, 10),
+      tags: ['claude-mem', 'claude-mem/summary']
+    }),
+    `# ${summary.request || 'Session summary'}`,
+    '',
+    ...renderDateField(summary.created_at_epoch),
+    ...renderMarkdownSummaryField('Investigated', summary.investigated),
+    ...renderMarkdownSummaryField('Learned', summary.learned),
+    ...renderMarkdownSummaryField('Completed', summary.completed),
+    ...renderMarkdownSummaryField('Next Steps', summary.next_steps),
+    ...renderSection('Observations', linkList(observationLinks, true))
+  ].join('\n');
+}
+
+function renderIndexNote(kind: 'file' | 'concept', name: string, links: NoteLink[]): string {
+  return [
+    ...renderFrontmatter({ type: kind, [kind === 'file' ? 'path' : 'name']: name, tags: ['claude-mem', `claude-mem/${kind}`] }),
+    `# ${name}`,
+    '',
+    ...renderSection('Observations', linkList(links, true))
+  ].join('\n');
+}
+
+/**
+ * Project index: every note, grouped by day, oldest first
+ */
+function renderProjectIndexNote(index: ProjectIndex): string {
+  const lines = [
+    ...renderFrontmatter({ type: 'project', project: index.project, tags: ['claude-mem', 'claude-mem/project'] }),
+    `# ${index.project}`,
+    ''
+  ];
+
+  const sorted = [...index.notes].sort((a, b) => a.epoch - b.epoch);
+  for (const [day, links] of groupByDate(sorted, link => new Date(link.epoch).toISOString())) {
+    lines.push(...renderMarkdownDayHeader(day));
+    lines.push(...links.map(link => `- ${formatTime(link.epoch)} ${wikiLink(link)} (${link.type})`));
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+function writeNote(vaultDir: string, target: string, content: string): void {
+  const filePath = path.join(vaultDir, `${target}.md`);
+  mkdirSync(path.dirname(filePath), { recursive: true });
+  writeFileSync(filePath, content, 'utf-8');
+}
+
+function addToIndex(index: Map<string, NoteLink[]>, key: string, link: NoteLink): void {
+  const links = index.get(key);
+  if (links) {
+    links.push(link);
+  } else {
+    index.set(key, [link]);
+  }
+}
+
+function writeSession(vaultDir: string, session: VaultSession, index: ProjectIndex): void {
+  const observationLinks: NoteLink[] = session.observations.map(obs => ({
+    target: `${index.dir}/Observations/${toNoteName(`${obs.id} ${obs.title ?? ''}`, String(obs.id))}`,
+    label: toNoteName(obs.title, 'Untitled'),
+    type: obs.type,
+    epoch: obs.created_at_epoch
+  }));
+  const summaryLinks: NoteLink[] = session.summaries.map(summary => ({
+    target: `${index.dir}/Summaries/${toNoteName(`S${summary.id} ${summary.request ?? ''}`, `S${summary.id}`)}`,
+    label: toNoteName(summary.request, 'Session summary'),
+    type: 'summary',
+    epoch: summary.created_at_epoch
+  }));
+
+  session.observations.forEach((obs, i) => {
+    const link = observationLinks[i];
+    const siblings = observationLinks.filter((_, j) => j !== i);
+    writeNote(vaultDir, link.target, renderObservationNote(obs, index.dir, siblings, summaryLinks));
+
+    const files = new Set([...parseJsonArray(obs.files_modified), ...parseJsonArray(obs.files_read)]);
+    for (const file of files) {
+      const notePath = toFileNotePath(file);
+      if (notePath) addToIndex(index.files, notePath, link);
+    }
+    for (const concept of new Set(parseJsonArray(obs.concepts))) {
+      addToIndex(index.concepts, toNoteName(concept, 'concept'), link);
+    }
+  });
+
+  session.summaries.forEach((summary, i) => {
+    writeNote(vaultDir, summaryLinks[i].target, renderSummaryNote(summary, observationLinks));
+  });
+
+  index.notes.push(...summaryLinks, ...observationLinks);
+}
+
+function writeProjectIndexes(vaultDir: string, index: ProjectIndex, result: ObsidianVaultResult): void {
+  for (const [notePath, links] of index.files) {
+    writeNote(vaultDir, `${index.dir}/Files/${notePath}`, renderIndexNote('file', notePath, links));
+  }
+  for (const [name, links] of index.concepts) {
+    writeNote(vaultDir, `${index.dir}/Concepts/${name}`, renderIndexNote('concept', name, links));
+  }
+  writeNote(vaultDir, `${index.dir}/Index`, renderProjectIndexNote(index));
+
+  result.projects.push(index.project);
+  result.observations += index.notes.filter(link => link.type !== 'summary').length;
+  result.summaries += index.notes.filter(link => link.type === 'summary').length;
+  result.fileNotes += index.files.size;
+  result.conceptNotes += index.concepts.size;
+}
+
+/**
+ * Write the given projects (all when empty) to an Obsidian vault directory
+ * Sessions are read and written one at a time; only link lists are kept per project.
+ */
+export function exportObsidianVault(db: Database, vaultDir: string, projects: string[] = []): ObsidianVaultResult {
+  const result: ObsidianVaultResult = { vaultDir, projects: [], observations: 0, summaries: 0, fileNotes: 0, conceptNotes: 0 };
+  let index = null as ProjectIndex | null;
+
+  for (const session of iterateVaultSessions(db, projects)) {
+    if (index?.project !== session.project) {
+      if (index) writeProjectIndexes(vaultDir, index, result);
+      index = {
+        project: session.project,
+        dir: toNoteName(session.project, 'project'),
+        notes: [],
+        files: new Map(),
+        concepts: new Map()
+      };
+    }
+    writeSession(vaultDir, session, index);
+  }
+  if (index) writeProjectIndexes(vaultDir, index, result);
+
+  logger.info('SYSTEM', 'Obsidian vault exported', {
+    vaultDir,
+    projects: result.projects.length,
+    observations: result.observations,
+    summaries: result.summaries
+  });
+  return result;
+}
@@ -0,0 +1,201 @@
+/**
+ * TeamMemorySync - Share a project's memory among teammates through its git repository
+ *
+ * Selected observations are exported into the repository, one file per observation
+ * named by a stable UUID, so teammates commit, merge and review them like any file:
+ *
+ *   <repo>/.claude-mem/observations/<uuid>.json
+ *
+ * Files are written deterministically (fixed key order, no export timestamps): an
+ * unchanged observation never produces a diff, and two teammates sharing different
+ * observations never touch the same file. Each entry records who created it.
+ * Teammates' entries are imported at SessionStart, under the importing user's project.
+ */
+
+import path from 'path';
+import { createHash, randomUUID } from 'crypto';
+import { existsSync, mkdirSync, readdirSync, readFileSync, writeFileSync } from 'fs';
+import type { Database } from 'bun:sqlite';
+import {
+  applyTeamMemoryEntry,
+  getTeamSyncObservations,
+  recordTeamSyncEntry,
+  type TeamAuthor,
+  type TeamMemoryEntry,
+  type TeamSyncObservationRow,
+  type TeamSyncSelection
+} from '../sqlite/TeamSync.js';
+import { parseJsonArray } from '../../shared/timeline-formatting.js';
+import { logger } from '../../utils/logger.js';
+import type { TeamExportResult, TeamImportResult } from './types.js';
+
+export const TEAM_SYNC_DIR = '.claude-mem';
+const ENTRIES_DIR = 'observations';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+export function getTeamEntriesDir(repoRoot: string): string {
+  return path.join(repoRoot, TEAM_SYNC_DIR, ENTRIES_DIR);
+}
+
+function hashContent(content: string): string {
+  return createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Serialize an entry with a fixed key order, one array item per line
+ */
+export function serializeTeamEntry(entry: TeamMemoryEntry): string {
+  const ordered: TeamMemoryEntry = {
+    uuid: entry.uuid,
+    type: entry.type,
+    title: entry.title,
+    subtitle: entry.subtitle,
+    narrative: entry.narrative,
+    facts: entry.facts,
+    concepts: entry.concepts,
+    files_read: entry.files_read,
+    files_modified: entry.files_modified,
+    created_at: entry.created_at,
+    author: { name: entry.author.name, email: entry.author.email }
+  };
+  return `${JSON.stringify(ordered, null, 2)}\n`;
+}
+
+/**
+ * Parse and validate an entry file
+ * @throws on malformed JSON or missing fields
+ */
+export function parseTeamEntry(content: string): TeamMemoryEntry {
+  const raw = JSON.parse(content);
+  if (!raw || typeof raw !== 'object') throw new Error('entry is not an object');
+  if (typeof raw.uuid !== 'string' || !UUID_PATTERN.test(raw.uuid)) throw new Error('uuid is missing or invalid');
+  if (typeof raw.type !== 'string' || !raw.type) throw new Error('type is missing');
+
+  const text = (value: unknown): string | null => typeof value === 'string' ? value : null;
+  const list = (value: unknown): string[] => Array.isArray(value) ? value.filter((item): item is string => typeof item === 'string') : [];
+
+  return {
+    uuid: raw.uuid,
+    type: raw.type,
+    title: text(raw.title),
+    subtitle: text(raw.subtitle),
+    narrative: text(raw.narrative),
+    facts: list(raw.facts),
+    concepts: list(raw.concepts),
+    files_read: list(raw.files_read),
+    files_modified: list(raw.files_modified),
+    created_at: text(raw.created_at) ?? new Date(0).toISOString(),
+    author: { name: text(raw.author?.name), email: text(raw.author?.email) }
+  };
+}
+
+function rowToEntry(row: TeamSyncObservationRow, uuid: string, author: TeamAuthor): TeamMemoryEntry {
+  return {
+    uuid,
+    type: row.type,
+    title: row.title,
+    subtitle: row.subtitle,
+    narrative: row.narrative,
+    facts: parseJsonArray(row.facts),
+    concepts: parseJsonArray(row.concepts),
+    files_read: parseJsonArray(row.files_read),
+    files_modified: parseJsonArray(row.files_modified),
+    created_at: new Date(row.created_at_epoch).toISOString(),
+    author
+  };
+}
+
+/**
+ * Write a project's shared and selected observations into the repository
+ * Entries whose file was changed by a teammate since the last sync are left alone
+ * until they are imported, so an export never overwrites a teammate's edit.
+ *
+ * @param author - provenance for observations shared for the first time
+ */
+export function exportTeamMemory(
+  db: Database,
+  repoRoot: string,
+  project: string,
+  selection: TeamSyncSelection,
+  author: TeamAuthor
+): TeamExportResult {
+  const dir = getTeamEntriesDir(repoRoot);
+  const result: TeamExportResult = { dir, written: 0, unchanged: 0, pendingImport: 0 };
+  const hasCriteria = selection.all || selection.pinned || selection.types?.length || selection.ids?.length;
+  const rows = getTeamSyncObservations(db, project, hasCriteria ? selection : { pinned: true });
+
+  mkdirSync(dir, { recursive: true });
+  const exportTx = db.transaction(() => {
+    for (const row of rows) {
+      const uuid = row.uuid ?? randomUUID();
+      const filePath = path.join(dir, `${uuid}.json`);
+
+      if (row.uuid && row.content_hash && existsSync(filePath) && hashContent(readFileSync(filePath, 'utf-8')) !== row.content_hash) {
+        result.pendingImport++;
+        continue;
+      }
+
+      const entryAuthor = row.uuid ? { name: row.author_name, email: row.author_email } : author;
+      const content = serializeTeamEntry(rowToEntry(row, uuid, entryAuthor));
+      const contentHash = hashContent(content);
+
+      if (contentHash === row.content_hash && existsSync(filePath)) {
+        result.unchanged++;
+        continue;
+      }
+
+      writeFileSync(filePath, content, 'utf-8');
+      recordTeamSyncEntry(db, { uuid, observationId: row.id, author: entryAuthor, origin: 'local', contentHash });
+      result.written++;
+    }
+  });
+  exportTx();
+
+  logger.info('SYSTEM', 'Team memory exported', { project, ...result });
+  return result;
+}
+
+/**
+ * Import teammates' entries from the repository into a project
+ * Malformed files are skipped (and counted) so one bad merge never blocks the rest.
+ */
+export function importTeamMemory(db: Database, repoRoot: string, project: string): TeamImportResult {
+  const dir = getTeamEntriesDir(repoRoot);
+  const result: TeamImportResult = { dir, inserted: 0, updated: 0, unchanged: 0, deleted: 0, invalid: 0, touched: [] };
+  if (!existsSync(dir)) return result;
+
+  const files = readdirSync(dir).filter(name => name.endsWith('.json')).sort();
+  const importTx = db.transaction(() => {
+    for (const name of files) {
+      const content = readFileSync(path.join(dir, name), 'utf-8');
+
+      let entry: TeamMemoryEntry;
+      try {
+        entry = parseTeamEntry(content);
+        if (`${entry.uuid}.json` !== name) throw new Error('file name does not match uuid');
+      } catch (error) {
+        logger.warn('SYSTEM', 'Skipping invalid team memory entry', { file: name }, error as Error);
+        result.invalid++;
+        continue;
+      }
+
+      const applied = applyTeamMemoryEntry(db, project, entry, hashContent(content));
+      result[applied.action]++;
+      if ((applied.action === 'inserted' || applied.action === 'updated') && applied.observationId !== null) {
+        result.touched.push(applied.observationId);
+      }
+    }
+  });
+  importTx();
+
+  if (result.touched.length > 0 || result.invalid > 0) {
+    logger.info('SYSTEM', 'Team memory imported', {
+      project,
+      inserted: result.inserted,
+      updated: result.updated,
+      invalid: result.invalid
+    });
+  }
+  return result;
+}
@@ -1,6 +1,9 @@
 /**
- * Integrations module - IDE integrations (Cursor, etc.)
+ * Integrations module - IDE integrations (Cursor, etc.), note-app exports (Obsidian)
+ * and repo-committed team memory
  */
 
 export * from './types.js';
 export * from './CursorHooksInstaller.js';
+export * from './ObsidianVaultExporter.js';
+export * from './TeamMemorySync.js';
@@ -25,3 +25,40 @@ export interface CursorHooksJson {
     stop?: Array<{ command: string }>;
   };
 }
+
+/**
+ * Notes written by an Obsidian vault export
+ */
+export interface ObsidianVaultResult {
+  vaultDir: string;
+  projects: string[];
+  observations: number;
+  summaries: number;
+  fileNotes: number;
+  conceptNotes: number;
+}
+
+/**
+ * Files written by a team memory export
+ * pendingImport: entries a teammate changed since the last sync, left for the next import
+ */
+export interface TeamExportResult {
+  dir: string;
+  written: number;
+  unchanged: number;
+  pendingImport: number;
+}
+
+/**
+ * Entries read by a team memory import
+ */
+export interface TeamImportResult {
+  dir: string;
+  inserted: number;
+  updated: number;
+  unchanged: number;
+  deleted: number;
+  invalid: number;
+  /** Observations inserted or updated, for the vector index */
+  touched: number[];
+}
@@ -0,0 +1,12 @@
+/**
+ * Backfill module - re-exports transcript backfill progress tracking
+ *
+ * Usage:
+ *   import { getBackfillTranscript, markBackfillTurnQueued } from './Backfill.js';
+ *   const record = getBackfillTranscript(db, contentSessionId);
+ *   markBackfillTurnQueued(db, contentSessionId, 3);
+ */
+import { logger } from '../../utils/logger.js';
+
+export * from './backfill/types.js';
+export * from './backfill/progress.js';
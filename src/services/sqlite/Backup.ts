@@ -0,0 +1,12 @@
+/**
+ * Backup module - re-exports all backup-related functions
+ *
+ * Usage:
+ *   import { createSnapshot, rotateSnapshots } from './Backup.js';
+ *   createSnapshot(db, BACKUPS_DIR);
+ *   rotateSnapshots(BACKUPS_DIR, 7);
+ */
+import { logger } from '../../utils/logger.js';
+
+export * from './backup/types.js';
+export * from './backup/snapshot.js';
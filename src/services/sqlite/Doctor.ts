@@ -0,0 +1,12 @@
+/**
+ * Doctor module - re-exports all integrity check and repair functions
+ *
+ * Usage:
+ *   import { findOrphanedRows, repairOrphanedRows } from './Doctor.js';
+ *   const orphans = findOrphanedRows(db);
+ *   repairOrphanedRows(db, orphans);
+ */
+import { logger } from '../../utils/logger.js';
+
+export * from './doctor/types.js';
+export * from './doctor/checks.js';
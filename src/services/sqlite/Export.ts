@@ -0,0 +1,13 @@
+/**
+ * Export module - re-exports the project export format and writer,
+ * plus the session-grouped reads used by the Obsidian vault exporter
+ *
+ * Usage:
+ *   import { exportProjectLines } from './Export.js';
+ *   for (const line of exportProjectLines(db, ['my-project'])) write(line + '\n');
+ */
+import { logger } from '../../utils/logger.js';
+
+export * from './export/types.js';
+export * from './export/jsonl.js';
+export * from './export/vault.js';
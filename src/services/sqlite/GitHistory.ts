@@ -0,0 +1,12 @@
+/**
+ * GitHistory module - re-exports imported git commit tracking
+ *
+ * Usage:
+ *   import { recordQueuedCommits, linkCommitObservations } from './GitHistory.js';
+ *   recordQueuedCommits(db, sessionDbId, commits);
+ *   linkCommitObservations(db, sessionDbId);
+ */
+import { logger } from '../../utils/logger.js';
+
+export * from './git-history/types.js';
+export * from './git-history/commits.js';
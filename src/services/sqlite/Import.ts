@@ -1,6 +1,8 @@
 /**
- * Import functions for bulk data import with duplicate checking
+ * Import functions for bulk data import with duplicate checking,
+ * and for project imports from the versioned JSONL export format
  */
 import { logger } from '../../utils/logger.js';
 
 export * from './import/bulk.js';
+export * from './import/jsonl.js';
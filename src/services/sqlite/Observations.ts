@@ -9,3 +9,7 @@ export * from './observations/store.js';
 export * from './observations/get.js';
 export * from './observations/recent.js';
 export * from './observations/files.js';
+export * from './observations/merge.js';
+export * from './observations/retrieval.js';
+export * from './observations/pin.js';
+export * from './observations/related.js';
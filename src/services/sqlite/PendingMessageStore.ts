@@ -47,10 +47,10 @@ export class PendingMessageStore {
 
   /**
    * Enqueue a new message (persist before processing)
+   * @param createdAtEpoch - When the work happened; becomes the stored observation/summary time
    * @returns The database ID of the persisted message
    */
-  enqueue(sessionDbId: number, contentSessionId: string, message: PendingMessage): number {
-    const now = Date.now();
+  enqueue(sessionDbId: number, contentSessionId: string, message: PendingMessage, createdAtEpoch: number = Date.now()): number {
     const stmt = this.db.prepare(`
       INSERT INTO pending_messages (
         session_db_id, content_session_id, message_type,
@@ -70,7 +70,7 @@ export class PendingMessageStore {
       message.cwd || null,
       message.last_assistant_message || null,
       message.prompt_number || null,
-      now
+      createdAtEpoch
     );
 
     return result.lastInsertRowid as number;
@@ -159,6 +159,20 @@ export class PendingMessageStore {
     return stmt.all(sessionDbId) as PersistentPendingMessage[];
   }
 
+  /**
+   * Get messages by ID, whatever their status
+   */
+  getMessagesByIds(messageIds: number[]): PersistentPendingMessage[] {
+    if (messageIds.length === 0) return [];
+    const placeholders = messageIds.map(() => '?').join(', ');
+    const stmt = this.db.prepare(`
+      SELECT * FROM pending_messages
+      WHERE id IN (${placeholders})
+      ORDER BY id ASC
+    `);
+    return stmt.all(...messageIds) as PersistentPendingMessage[];
+  }
+
   /**
    * Get all queue messages (for UI display)
    * Returns pending, processing, and failed messages (not processed - they're deleted)
@@ -0,0 +1,11 @@
+/**
+ * Projects module - re-exports all project-related functions
+ *
+ * Usage:
+ *   import { getProjectSummaries, mergeProjects } from './Projects.js';
+ *   const result = mergeProjects(db, ['api', 'api-server'], 'acme/api');
+ */
+import { logger } from '../../utils/logger.js';
+
+export * from './projects/types.js';
+export * from './projects/migrate.js';
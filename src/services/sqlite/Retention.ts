@@ -0,0 +1,12 @@
+/**
+ * Retention module - re-exports all retention-related functions
+ *
+ * Usage:
+ *   import { planRetention, applyRetention } from './Retention.js';
+ *   const plan = planRetention(db, 'my-project', { maxAgeDays: 90, maxObservations: 0, keepTypes: ['decision'], keepPinned: true });
+ *   applyRetention(db, plan);
+ */
+import { logger } from '../../utils/logger.js';
+
+export * from './retention/types.js';
+export * from './retention/prune.js';
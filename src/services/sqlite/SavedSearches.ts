@@ -0,0 +1,12 @@
+/**
+ * SavedSearches module - re-exports saved search storage
+ *
+ * Usage:
+ *   import { createSavedSearch, getSavedSearches } from './SavedSearches.js';
+ *   createSavedSearch(db, { name: 'Sync gotchas', query: 'file:src/services/sync/** concept:gotcha' });
+ *   const searches = getSavedSearches(db);
+ */
+import { logger } from '../../utils/logger.js';
+
+export * from './saved-searches/types.js';
+export * from './saved-searches/store.js';
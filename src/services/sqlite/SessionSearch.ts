@@ -13,11 +13,63 @@ import {
   ObservationRow,
   UserPromptRow
 } from './types.js';
+import { InvalidCursorError, keysetCondition } from './cursor.js';
+
+// bm25() column weights, in FTS table column order
+// observations_fts: title, subtitle, narrative, text, facts, concepts
+const OBSERVATION_BM25_WEIGHTS = '10.0, 5.0, 3.0, 1.0, 3.0, 2.0';
+// session_summaries_fts: request, investigated, learned, completed, next_steps, notes
+const SUMMARY_BM25_WEIGHTS = '5.0, 2.0, 3.0, 3.0, 1.0, 1.0';
+
+// snippet() markers around matched terms (markdown bold renders in both the viewer and MCP output)
+const SNIPPET_OPEN = '**';
+const SNIPPET_CLOSE = '**';
+const SNIPPET_ELLIPSIS = '...';
+const SNIPPET_TOKENS = 16;
+
+const FTS5_OPERATORS = ['AND', 'OR', 'NOT'];
+
+/**
+ * Translate free-form search text into an FTS5 MATCH expression
+ *
+ * Supports "quoted phrases", prefix terms (auth*) and uppercase AND/OR/NOT.
+ * Every term is quoted so punctuation in the query can't raise FTS5 syntax errors.
+ * Returns null when the query contains nothing searchable.
+ */
+export function buildFTS5MatchQuery(query: string): string | null {
+  const tokens = query.match(/"[^"]*"?|[^\s"]+/g) ?? [];
+  const parts: string[] = [];
+
+  for (const token of tokens) {
+    if (FTS5_OPERATORS.includes(token)) {
+      // Operators need a term on the left - drop leading and repeated operators
+      if (parts.length > 0 && !FTS5_OPERATORS.includes(parts[parts.length - 1])) {
+        parts.push(token);
+      }
+      continue;
+    }
+
+    // Split on the same boundaries as the unicode61 tokenizer so "session-init"
+    // becomes the phrase "session init" instead of a column filter or NOT
+    const words = token.match(/[\p{L}\p{N}_]+/gu);
+    if (!words) continue;
+
+    const phrase = `"${words.join(' ')}"`;
+    const isPrefix = !token.startsWith('"') && token.endsWith('*');
+    parts.push(isPrefix ? `${phrase}*` : phrase);
+  }
+
+  while (parts.length > 0 && FTS5_OPERATORS.includes(parts[parts.length - 1])) {
+    parts.pop();
+  }
+
+  return parts.length > 0 ? parts.join(' ') : null;
+}
 
 /**
  * Search interface for session-based memory
- * Provides filter-only structured queries for sessions, observations, and user prompts
- * Vector search is handled by ChromaDB - this class only supports filtering without query text
+ * Provides structured filter queries and FTS5 keyword search for sessions, observations, and user prompts
+ * Semantic search is handled by ChromaDB - FTS5 covers keyword search and the no-Chroma fallback
  */
 export class SessionSearch {
   private db: Database;
@@ -35,18 +87,11 @@ export class SessionSearch {
   }
 
   /**
-   * Ensure FTS5 tables exist (backward compatibility only - no longer used for search)
-   *
-   * FTS5 tables are maintained for backward compatibility but not used for search.
-   * Vector search (Chroma) is now the primary search mechanism.
+   * Ensure FTS5 tables exist
    *
-   * Retention Rationale:
-   * - Prevents breaking existing installations with FTS5 tables
-   * - Allows graceful migration path for users
-   * - Tables maintained but search paths removed
-   * - Triggers still fire to keep tables synchronized
-   *
-   * TODO: Remove FTS5 infrastructure in future major version (v7.0.0)
+   * FTS5 backs keyword search (BM25 ranking, snippets, phrase/prefix syntax) and is
+   * the search path when Chroma is unavailable. Triggers keep the tables synchronized
+   * with their content tables.
    */
   private ensureFTSTables(): void {
     // Check if FTS tables already exist
@@ -221,29 +266,59 @@ export class SessionSearch {
     return conditions.length > 0 ? conditions.join(' AND ') : '';
   }
 
+  /**
+   * Attach normalized scores (0-1, higher is better) to FTS5-ranked rows
+   * bm25() is negative with lower meaning more relevant, so scores are relative to the best hit
+   */
+  private withScores<T extends { rank?: number; score?: number }>(rows: T[]): T[] {
+    const bestRank = rows.reduce((best, row) => Math.min(best, row.rank ?? 0), 0);
+    for (const row of rows) {
+      row.score = bestRank < 0 && row.rank !== undefined ? row.rank / bestRank : 0;
+    }
+    return rows;
+  }
+
   /**
    * Build ORDER BY clause
    */
   private buildOrderClause(orderBy: SearchOptions['orderBy'] = 'relevance', hasFTS: boolean = true, ftsTable: string = 'observations_fts'): string {
     switch (orderBy) {
       case 'relevance':
-        return hasFTS ? `ORDER BY ${ftsTable}.rank ASC` : 'ORDER BY o.created_at_epoch DESC';
+        return hasFTS ? `ORDER BY ${ftsTable}.rank ASC` : 'ORDER BY o.created_at_epoch DESC, o.id DESC';
       case 'date_desc':
-        return 'ORDER BY o.created_at_epoch DESC';
+        return 'ORDER BY o.created_at_epoch DESC, o.id DESC';
       case 'date_asc':
-        return 'ORDER BY o.created_at_epoch ASC';
+        return 'ORDER BY o.created_at_epoch ASC, o.id ASC';
       default:
-        return 'ORDER BY o.created_at_epoch DESC';
+        return 'ORDER BY o.created_at_epoch DESC, o.id DESC';
     }
   }
 
   /**
-   * Search observations using filter-only direct SQLite query.
-   * Vector search is handled by ChromaDB - this only supports filtering without query text.
+   * Keyset condition for a cursor page, or '' without a cursor
+   * Filter-only queries order by date even when relevance is requested, so they accept cursors too.
+   * @throws InvalidCursorError when paging keyword matches ordered by relevance
+   */
+  private buildCursorClause(
+    options: Pick<SearchOptions, 'cursor' | 'orderBy'>,
+    hasFTS: boolean,
+    params: any[],
+    tableAlias: string
+  ): string {
+    if (!options.cursor) return '';
+    if (hasFTS && (options.orderBy ?? 'relevance') === 'relevance') {
+      throw new InvalidCursorError('Cursor pagination requires date ordering (sort:newest or sort:oldest)');
+    }
+    return keysetCondition(tableAlias, options.cursor, options.orderBy === 'date_asc' ? 'date_asc' : 'date_desc', params);
+  }
+
+  /**
+   * Search observations by FTS5 keyword match, or by filters alone when no query text is given.
+   * Keyword results carry bm25 rank, normalized score and a highlighted snippet.
    */
   searchObservations(query: string | undefined, options: SearchOptions = {}): ObservationSearchResult[] {
     const params: any[] = [];
-    const { limit = 50, offset = 0, orderBy = 'relevance', ...filters } = options;
+    const { limit = 50, offset = 0, orderBy = 'relevance', cursor, ...filters } = options;
 
     // FILTER-ONLY PATH: When no query text, query table directly
     // This enables date filtering which Chroma cannot do (requires direct SQLite access)
@@ -253,12 +328,13 @@ export class SessionSearch {
         throw new Error('Either query or filters required for search');
       }
 
+      const cursorClause = this.buildCursorClause({ cursor, orderBy }, false, params, 'o');
       const orderClause = this.buildOrderClause(orderBy, false);
 
       const sql = `
         SELECT o.*, o.discovery_tokens
         FROM observations o
-        WHERE ${filterClause}
+        WHERE ${filterClause}${cursorClause ? ` AND ${cursorClause}` : ''}
         ${orderClause}
         LIMIT ? OFFSET ?
       `;
@@ -267,19 +343,66 @@ export class SessionSearch {
       return this.db.prepare(sql).all(...params) as ObservationSearchResult[];
     }
 
-    // Vector search with query text should be handled by ChromaDB
-    // This method only supports filter-only queries (query=undefined)
-    logger.warn('DB', 'Text search not supported - use ChromaDB for vector search');
-    return [];
+    // FTS5 PATH: keyword match ranked by weighted bm25
+    const matchQuery = buildFTS5MatchQuery(query);
+    if (!matchQuery) {
+      return [];
+    }
+
+    const conditions = [
+      this.buildFilterClause(filters, params, 'o'),
+      this.buildCursorClause({ cursor, orderBy }, true, params, 'o')
+    ].filter(Boolean);
+    const orderClause = orderBy === 'relevance' ? 'ORDER BY rank ASC' : this.buildOrderClause(orderBy, false);
+
+    const sql = `
+      SELECT o.*, o.discovery_tokens,
+        bm25(observations_fts, ${OBSERVATION_BM25_WEIGHTS}) AS rank,
+        snippet(observations_fts, -1, '${SNIPPET_OPEN}', '${SNIPPET_CLOSE}', '${SNIPPET_ELLIPSIS}', ${SNIPPET_TOKENS}) AS snippet
+      FROM observations_fts
+      JOIN observations o ON o.id = observations_fts.rowid
+      WHERE ${conditions.map(condition => `${condition} AND `).join('')}observations_fts MATCH ?
+      ${orderClause}
+      LIMIT ? OFFSET ?
+    `;
+
+    params.push(matchQuery, limit, offset);
+    return this.withScores(this.db.prepare(sql).all(...params) as ObservationSearchResult[]);
   }
 
   /**
-   * Search session summaries using filter-only direct SQLite query.
-   * Vector search is handled by ChromaDB - this only supports filtering without query text.
+   * Whether a single observation matches a keyword query and filters, with the same
+   * semantics as searchObservations (used to evaluate saved searches as observations arrive)
+   */
+  observationMatches(observationId: number, query: string | undefined, filters: SearchFilters = {}): boolean {
+    const params: any[] = [];
+    const filterClause = this.buildFilterClause(filters, params, 'o');
+
+    if (!query) {
+      const sql = `SELECT 1 FROM observations o WHERE o.id = ?${filterClause ? ` AND ${filterClause}` : ''}`;
+      return this.db.prepare(sql).get(observationId, ...params) !== null;
+    }
+
+    const matchQuery = buildFTS5MatchQuery(query);
+    if (!matchQuery) {
+      return false;
+    }
+
+    const sql = `
+      SELECT 1
+      FROM observations_fts
+      JOIN observations o ON o.id = observations_fts.rowid
+      WHERE o.id = ? AND ${filterClause ? `${filterClause} AND ` : ''}observations_fts MATCH ?
+    `;
+    return this.db.prepare(sql).get(observationId, ...params, matchQuery) !== null;
+  }
+
+  /**
+   * Search session summaries by FTS5 keyword match, or by filters alone when no query text is given.
    */
   searchSessions(query: string | undefined, options: SearchOptions = {}): SessionSummarySearchResult[] {
     const params: any[] = [];
-    const { limit = 50, offset = 0, orderBy = 'relevance', ...filters } = options;
+    const { limit = 50, offset = 0, orderBy = 'relevance', cursor, ...filters } = options;
 
     // FILTER-ONLY PATH: When no query text, query session_summaries table directly
     if (!query) {
@@ -290,14 +413,15 @@ export class SessionSearch {
         throw new Error('Either query or filters required for search');
       }
 
+      const cursorClause = this.buildCursorClause({ cursor, orderBy }, false, params, 's');
       const orderClause = orderBy === 'date_asc'
-        ? 'ORDER BY s.created_at_epoch ASC'
-        : 'ORDER BY s.created_at_epoch DESC';
+        ? 'ORDER BY s.created_at_epoch ASC, s.id ASC'
+        : 'ORDER BY s.created_at_epoch DESC, s.id DESC';
 
       const sql = `
         SELECT s.*, s.discovery_tokens
         FROM session_summaries s
-        WHERE ${filterClause}
+        WHERE ${filterClause}${cursorClause ? ` AND ${cursorClause}` : ''}
         ${orderClause}
         LIMIT ? OFFSET ?
       `;
@@ -306,10 +430,35 @@ export class SessionSearch {
       return this.db.prepare(sql).all(...params) as SessionSummarySearchResult[];
     }
 
-    // Vector search with query text should be handled by ChromaDB
-    // This method only supports filter-only queries (query=undefined)
-    logger.warn('DB', 'Text search not supported - use ChromaDB for vector search');
-    return [];
+    // FTS5 PATH: keyword match ranked by weighted bm25
+    const matchQuery = buildFTS5MatchQuery(query);
+    if (!matchQuery) {
+      return [];
+    }
+
+    const filterOptions = { ...filters };
+    delete filterOptions.type;
+    const conditions = [
+      this.buildFilterClause(filterOptions, params, 's'),
+      this.buildCursorClause({ cursor, orderBy }, true, params, 's')
+    ].filter(Boolean);
+    const orderClause = orderBy === 'date_asc'
+      ? 'ORDER BY s.created_at_epoch ASC, s.id ASC'
+      : orderBy === 'date_desc' ? 'ORDER BY s.created_at_epoch DESC, s.id DESC' : 'ORDER BY rank ASC';
+
+    const sql = `
+      SELECT s.*, s.discovery_tokens,
+        bm25(session_summaries_fts, ${SUMMARY_BM25_WEIGHTS}) AS rank,
+        snippet(session_summaries_fts, -1, '${SNIPPET_OPEN}', '${SNIPPET_CLOSE}', '${SNIPPET_ELLIPSIS}', ${SNIPPET_TOKENS}) AS snippet
+      FROM session_summaries_fts
+      JOIN session_summaries s ON s.id = session_summaries_fts.rowid
+      WHERE ${conditions.map(condition => `${condition} AND `).join('')}session_summaries_fts MATCH ?
+      ${orderClause}
+      LIMIT ? OFFSET ?
+    `;
+
+    params.push(matchQuery, limit, offset);
+    return this.withScores(this.db.prepare(sql).all(...params) as SessionSummarySearchResult[]);
   }
 
   /**
@@ -490,12 +639,11 @@ export class SessionSearch {
   }
 
   /**
-   * Search user prompts using filter-only direct SQLite query.
-   * Vector search is handled by ChromaDB - this only supports filtering without query text.
+   * Search user prompts by FTS5 keyword match, or by filters alone when no query text is given.
    */
   searchUserPrompts(query: string | undefined, options: SearchOptions = {}): UserPromptSearchResult[] {
     const params: any[] = [];
-    const { limit = 20, offset = 0, orderBy = 'relevance', ...filters } = options;
+    const { limit = 20, offset = 0, orderBy = 'relevance', cursor, ...filters } = options;
 
     // Build filter conditions (join with sdk_sessions for project filtering)
     const baseConditions: string[] = [];
@@ -524,10 +672,13 @@ export class SessionSearch {
         throw new Error('Either query or filters required for search');
       }
 
+      const cursorClause = this.buildCursorClause({ cursor, orderBy }, false, params, 'up');
+      if (cursorClause) baseConditions.push(cursorClause);
+
       const whereClause = `WHERE ${baseConditions.join(' AND ')}`;
       const orderClause = orderBy === 'date_asc'
-        ? 'ORDER BY up.created_at_epoch ASC'
-        : 'ORDER BY up.created_at_epoch DESC';
+        ? 'ORDER BY up.created_at_epoch ASC, up.id ASC'
+        : 'ORDER BY up.created_at_epoch DESC, up.id DESC';
 
       const sql = `
         SELECT up.*
@@ -542,10 +693,33 @@ export class SessionSearch {
       return this.db.prepare(sql).all(...params) as UserPromptSearchResult[];
     }
 
-    // Vector search with query text should be handled by ChromaDB
-    // This method only supports filter-only queries (query=undefined)
-    logger.warn('DB', 'Text search not supported - use ChromaDB for vector search');
-    return [];
+    // FTS5 PATH: keyword match ranked by bm25
+    const matchQuery = buildFTS5MatchQuery(query);
+    if (!matchQuery) {
+      return [];
+    }
+
+    const cursorClause = this.buildCursorClause({ cursor, orderBy }, true, params, 'up');
+    if (cursorClause) baseConditions.push(cursorClause);
+    baseConditions.push('user_prompts_fts MATCH ?');
+    const orderClause = orderBy === 'date_asc'
+      ? 'ORDER BY up.created_at_epoch ASC, up.id ASC'
+      : orderBy === 'date_desc' ? 'ORDER BY up.created_at_epoch DESC, up.id DESC' : 'ORDER BY rank ASC';
+
+    const sql = `
+      SELECT up.*,
+        bm25(user_prompts_fts) AS rank,
+        snippet(user_prompts_fts, 0, '${SNIPPET_OPEN}', '${SNIPPET_CLOSE}', '${SNIPPET_ELLIPSIS}', ${SNIPPET_TOKENS}) AS snippet
+      FROM user_prompts_fts
+      JOIN user_prompts up ON up.id = user_prompts_fts.rowid
+      JOIN sdk_sessions s ON up.content_session_id = s.content_session_id
+      WHERE ${baseConditions.join(' AND ')}
+      ${orderClause}
+      LIMIT ? OFFSET ?
+    `;
+
+    params.push(matchQuery, limit, offset);
+    return this.withScores(this.db.prepare(sql).all(...params) as UserPromptSearchResult[]);
   }
 
   /**
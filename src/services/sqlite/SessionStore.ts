@@ -10,9 +10,20 @@ import {
   ObservationRecord,
   SessionSummaryRecord,
   UserPromptRecord,
-  LatestPromptResult
+  LatestPromptResult,
+  ObservationUpdate,
+  SessionSummaryUpdate
 } from '../../types/database.js';
 import type { PendingMessageStore } from './PendingMessageStore.js';
+import type { ObservationDedupOptions, ObservationMergeRecord, MergeObservationsResult } from './observations/types.js';
+import {
+  findDuplicateObservation,
+  foldIntoObservation,
+  mergeObservations,
+  getObservationMerges
+} from './observations/merge.js';
+import { recordObservationRetrievals } from './observations/retrieval.js';
+import { setObservationPinned, getPinnedObservations } from './observations/pin.js';
 
 /**
  * Session data store for SDK sessions, observations, and summaries
@@ -48,6 +59,14 @@ export class SessionStore {
     this.repairSessionIdColumnRename();
     this.addFailedAtEpochColumn();
     this.addOnUpdateCascadeToForeignKeys();
+    this.createVectorDocumentsTable();
+    this.createObservationMergesTable();
+    this.addObservationRetrievalColumns();
+    this.addObservationPinnedColumns();
+    this.createBackfillTranscriptsTable();
+    this.createGitCommitsTables();
+    this.createTeamSyncEntriesTable();
+    this.createSavedSearchesTable();
   }
 
   /**
@@ -825,6 +844,256 @@ export class SessionStore {
     }
   }
 
+  /**
+   * Create vector_documents table for the in-process vector index (migration 22)
+   * Stores one embedding per Chroma-style document (obs_{id}_narrative, summary_{id}_learned, prompt_{id})
+   * so semantic search works without the chroma-mcp Python server.
+   */
+  private createVectorDocumentsTable(): void {
+    const applied = this.db.prepare('SELECT version FROM schema_versions WHERE version = ?').get(22) as SchemaVersion | undefined;
+    if (applied) return;
+
+    logger.debug('DB', 'Creating vector_documents table');
+
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS vector_documents (
+        doc_id TEXT NOT NULL,
+        model TEXT NOT NULL,
+        doc_type TEXT NOT NULL CHECK(doc_type IN ('observation', 'session_summary', 'user_prompt')),
+        sqlite_id INTEGER NOT NULL,
+        project TEXT NOT NULL,
+        document TEXT NOT NULL,
+        metadata TEXT NOT NULL,
+        embedding BLOB NOT NULL,
+        created_at_epoch INTEGER NOT NULL,
+        PRIMARY KEY (doc_id, model)
+      )
+    `);
+
+    this.db.run('CREATE INDEX IF NOT EXISTS idx_vector_documents_record ON vector_documents(doc_type, sqlite_id)');
+    this.db.run('CREATE INDEX IF NOT EXISTS idx_vector_documents_model_project ON vector_documents(model, project)');
+
+    this.db.prepare('INSERT OR IGNORE INTO schema_versions (version, applied_at) VALUES (?, ?)').run(22, new Date().toISOString());
+
+    logger.debug('DB', 'vector_documents table created successfully');
+  }
+
+  /**
+   * Create observation_merges table for deduplication provenance (migration 23)
+   * One row per observation folded into a canonical observation, with a JSON snapshot
+   * of the merged record so the original wording, session and prompt are never lost.
+   */
+  private createObservationMergesTable(): void {
+    const applied = this.db.prepare('SELECT version FROM schema_versions WHERE version = ?').get(23) as SchemaVersion | undefined;
+    if (applied) return;
+
+    logger.debug('DB', 'Creating observation_merges table');
+
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS observation_merges (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        canonical_id INTEGER NOT NULL,
+        source_id INTEGER,
+        memory_session_id TEXT,
+        prompt_number INTEGER,
+        method TEXT NOT NULL CHECK(method IN ('auto', 'manual')),
+        similarity REAL,
+        snapshot TEXT NOT NULL,
+        merged_at_epoch INTEGER NOT NULL,
+        FOREIGN KEY(canonical_id) REFERENCES observations(id) ON DELETE CASCADE
+      )
+    `);
+
+    this.db.run('CREATE INDEX IF NOT EXISTS idx_observation_merges_canonical ON observation_merges(canonical_id)');
+
+    this.db.prepare('INSERT OR IGNORE INTO schema_versions (version, applied_at) VALUES (?, ?)').run(23, new Date().toISOString());
+
+    logger.debug('DB', 'observation_merges table created successfully');
+  }
+
+  /**
+   * Add retrieval tracking columns to observations (migration 24)
+   * retrieval_count feeds relevance-based context selection: observations that
+   * keep getting fetched by search tools are worth keeping in injected context.
+   */
+  private addObservationRetrievalColumns(): void {
+    const applied = this.db.prepare('SELECT version FROM schema_versions WHERE version = ?').get(24) as SchemaVersion | undefined;
+    if (applied) return;
+
+    const observationsInfo = this.db.query('PRAGMA table_info(observations)').all() as TableColumnInfo[];
+
+    if (!observationsInfo.some(col => col.name === 'retrieval_count')) {
+      this.db.run('ALTER TABLE observations ADD COLUMN retrieval_count INTEGER NOT NULL DEFAULT 0');
+      logger.debug('DB', 'Added retrieval_count column to observations table');
+    }
+
+    if (!observationsInfo.some(col => col.name === 'last_retrieved_at_epoch')) {
+      this.db.run('ALTER TABLE observations ADD COLUMN last_retrieved_at_epoch INTEGER');
+      logger.debug('DB', 'Added last_retrieved_at_epoch column to observations table');
+    }
+
+    this.db.prepare('INSERT OR IGNORE INTO schema_versions (version, applied_at) VALUES (?, ?)').run(24, new Date().toISOString());
+  }
+
+  /**
+   * Add pinned flag to observations (migration 25)
+   * Pinned observations are always injected into context, in their own section
+   * ahead of the timeline, regardless of recency limits.
+   */
+  private addObservationPinnedColumns(): void {
+    const applied = this.db.prepare('SELECT version FROM schema_versions WHERE version = ?').get(25) as SchemaVersion | undefined;
+    if (applied) return;
+
+    const observationsInfo = this.db.query('PRAGMA table_info(observations)').all() as TableColumnInfo[];
+
+    if (!observationsInfo.some(col => col.name === 'pinned')) {
+      this.db.run('ALTER TABLE observations ADD COLUMN pinned INTEGER NOT NULL DEFAULT 0');
+      logger.debug('DB', 'Added pinned column to observations table');
+    }
+
+    if (!observationsInfo.some(col => col.name === 'pinned_at_epoch')) {
+      this.db.run('ALTER TABLE observations ADD COLUMN pinned_at_epoch INTEGER');
+      logger.debug('DB', 'Added pinned_at_epoch column to observations table');
+    }
+
+    this.db.run('CREATE INDEX IF NOT EXISTS idx_observations_pinned ON observations(project) WHERE pinned = 1');
+
+    this.db.prepare('INSERT OR IGNORE INTO schema_versions (version, applied_at) VALUES (?, ?)').run(25, new Date().toISOString());
+  }
+
+  /**
+   * Create backfill_transcripts table for transcript backfill progress (migration 26)
+   * One row per historic transcript, keyed on its session ID, recording how many
+   * prompt turns were queued so an interrupted backfill resumes where it stopped.
+   */
+  private createBackfillTranscriptsTable(): void {
+    const applied = this.db.prepare('SELECT version FROM schema_versions WHERE version = ?').get(26) as SchemaVersion | undefined;
+    if (applied) return;
+
+    logger.debug('DB', 'Creating backfill_transcripts table');
+
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS backfill_transcripts (
+        content_session_id TEXT PRIMARY KEY,
+        transcript_path TEXT NOT NULL,
+        project TEXT NOT NULL,
+        session_db_id INTEGER,
+        status TEXT NOT NULL CHECK(status IN ('queued', 'completed', 'skipped')),
+        skip_reason TEXT,
+        file_size INTEGER NOT NULL DEFAULT 0,
+        turns_total INTEGER NOT NULL DEFAULT 0,
+        turns_queued INTEGER NOT NULL DEFAULT 0,
+        updated_at_epoch INTEGER NOT NULL
+      )
+    `);
+
+    this.db.prepare('INSERT OR IGNORE INTO schema_versions (version, applied_at) VALUES (?, ?)').run(26, new Date().toISOString());
+
+    logger.debug('DB', 'backfill_transcripts table created successfully');
+  }
+
+  /**
+   * Create git_commits and observation_commits tables for git history import (migration 27)
+   * git_commits records every imported commit (keyed on SHA, so a history is imported once
+   * however many projects share it); observation_commits tags observations with the commits
+   * they were generated from.
+   */
+  private createGitCommitsTables(): void {
+    const applied = this.db.prepare('SELECT version FROM schema_versions WHERE version = ?').get(27) as SchemaVersion | undefined;
+    if (applied) return;
+
+    logger.debug('DB', 'Creating git_commits and observation_commits tables');
+
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS git_commits (
+        sha TEXT PRIMARY KEY,
+        session_db_id INTEGER NOT NULL,
+        author_name TEXT NOT NULL,
+        author_date_epoch INTEGER NOT NULL,
+        subject TEXT NOT NULL,
+        files TEXT NOT NULL,
+        status TEXT NOT NULL CHECK(status IN ('queued', 'linked')),
+        imported_at_epoch INTEGER NOT NULL,
+        FOREIGN KEY(session_db_id) REFERENCES sdk_sessions(id) ON DELETE CASCADE
+      )
+    `);
+    this.db.run('CREATE INDEX IF NOT EXISTS idx_git_commits_session ON git_commits(session_db_id)');
+
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS observation_commits (
+        observation_id INTEGER NOT NULL,
+        commit_sha TEXT NOT NULL,
+        PRIMARY KEY(observation_id, commit_sha),
+        FOREIGN KEY(observation_id) REFERENCES observations(id) ON DELETE CASCADE,
+        FOREIGN KEY(commit_sha) REFERENCES git_commits(sha) ON DELETE CASCADE
+      )
+    `);
+    this.db.run('CREATE INDEX IF NOT EXISTS idx_observation_commits_sha ON observation_commits(commit_sha)');
+
+    this.db.prepare('INSERT OR IGNORE INTO schema_versions (version, applied_at) VALUES (?, ?)').run(27, new Date().toISOString());
+
+    logger.debug('DB', 'git_commits and observation_commits tables created successfully');
+  }
+
+  /**
+   * Create team_sync_entries table for repo-committed team memory (migration 28)
+   * One row per observation shared through a repository's .claude-mem/ directory,
+   * keyed on the stable UUID that names its file, with the teammate who created it.
+   * Deleting the observation keeps the row (observation_id NULL) so it is not imported again.
+   */
+  private createTeamSyncEntriesTable(): void {
+    const applied = this.db.prepare('SELECT version FROM schema_versions WHERE version = ?').get(28) as SchemaVersion | undefined;
+    if (applied) return;
+
+    logger.debug('DB', 'Creating team_sync_entries table');
+
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS team_sync_entries (
+        uuid TEXT PRIMARY KEY,
+        observation_id INTEGER UNIQUE,
+        author_name TEXT,
+        author_email TEXT,
+        origin TEXT NOT NULL CHECK(origin IN ('local', 'imported')),
+        content_hash TEXT NOT NULL,
+        synced_at_epoch INTEGER NOT NULL,
+        FOREIGN KEY(observation_id) REFERENCES observations(id) ON DELETE SET NULL
+      )
+    `);
+
+    this.db.prepare('INSERT OR IGNORE INTO schema_versions (version, applied_at) VALUES (?, ?)').run(28, new Date().toISOString());
+
+    logger.debug('DB', 'team_sync_entries table created successfully');
+  }
+
+  /**
+   * Create saved_searches table for watched topics (migration 29)
+   * Each row is a query-language string evaluated against every newly stored observation;
+   * matches are counted here and pushed to viewers as saved_search_match events.
+   */
+  private createSavedSearchesTable(): void {
+    const applied = this.db.prepare('SELECT version FROM schema_versions WHERE version = ?').get(29) as SchemaVersion | undefined;
+    if (applied) return;
+
+    logger.debug('DB', 'Creating saved_searches table');
+
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS saved_searches (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        query TEXT NOT NULL,
+        created_at_epoch INTEGER NOT NULL,
+        updated_at_epoch INTEGER NOT NULL,
+        match_count INTEGER NOT NULL DEFAULT 0,
+        last_match_at_epoch INTEGER,
+        last_match_observation_id INTEGER
+      )
+    `);
+
+    this.db.prepare('INSERT OR IGNORE INTO schema_versions (version, applied_at) VALUES (?, ?)').run(29, new Date().toISOString());
+
+    logger.debug('DB', 'saved_searches table created successfully');
+  }
+
   /**
    * Update the memory session ID for a session
    * Called by SDKAgent when it captures the session ID from the first SDK message
@@ -1133,6 +1402,13 @@ export class SessionStore {
     return stmt.get(id) as ObservationRecord | undefined || null;
   }
 
+  /**
+   * Count an explicit fetch of these observations (feeds relevance-based context selection)
+   */
+  recordObservationRetrievals(ids: number[]): number {
+    return recordObservationRetrievals(this.db, ids);
+  }
+
   /**
    * Get observations by array of IDs with ordering and limit
    */
@@ -1558,6 +1834,7 @@ export class SessionStore {
    * @param promptNumber - Optional prompt number
    * @param discoveryTokens - Discovery tokens count
    * @param overrideTimestampEpoch - Optional override timestamp
+   * @param dedup - Optional store-time deduplication; duplicates are folded into the matching observation
    * @returns Object with observation IDs, optional summary ID, and timestamp
    */
   storeObservations(
@@ -1583,8 +1860,9 @@ export class SessionStore {
     } | null,
     promptNumber?: number,
     discoveryTokens: number = 0,
-    overrideTimestampEpoch?: number
-  ): { observationIds: number[]; summaryId: number | null; createdAtEpoch: number } {
+    overrideTimestampEpoch?: number,
+    dedup?: ObservationDedupOptions
+  ): { observationIds: number[]; summaryId: number | null; createdAtEpoch: number; foldedIndexes?: number[] } {
     // Use override timestamp if provided
     const timestampEpoch = overrideTimestampEpoch ?? Date.now();
     const timestampIso = new Date(timestampEpoch).toISOString();
@@ -1592,6 +1870,7 @@ export class SessionStore {
     // Create transaction that wraps all operations
     const storeTx = this.db.transaction(() => {
       const observationIds: number[] = [];
+      const foldedIndexes: number[] = [];
 
       // 1. Store all observations
       const obsStmt = this.db.prepare(`
@@ -1602,6 +1881,15 @@ export class SessionStore {
       `);
 
       for (const observation of observations) {
+        // Fold near-duplicates into the existing observation instead of inserting a new row
+        const duplicate = dedup ? findDuplicateObservation(this.db, memorySessionId, observation, dedup) : null;
+        if (duplicate) {
+          foldIntoObservation(this.db, duplicate.id, observation, memorySessionId, promptNumber || null, duplicate.similarity);
+          foldedIndexes.push(observationIds.length);
+          observationIds.push(duplicate.id);
+          continue;
+        }
+
         const result = obsStmt.run(
           memorySessionId,
           project,
@@ -1648,7 +1936,7 @@ export class SessionStore {
         summaryId = Number(result.lastInsertRowid);
       }
 
-      return { observationIds, summaryId, createdAtEpoch: timestampEpoch };
+      return { observationIds, summaryId, createdAtEpoch: timestampEpoch, foldedIndexes };
     });
 
     // Execute the transaction and return results
@@ -2156,6 +2444,153 @@ export class SessionStore {
     return memorySessionId;
   }
 
+  // ===========================================
+  // Edit Methods (for manual corrections)
+  // ===========================================
+
+  /**
+   * Update editable fields of a single observation
+   * FTS5 rows are kept in sync by the observations_au trigger
+   * Returns the updated observation, or null if it does not exist
+   */
+  updateObservation(id: number, updates: ObservationUpdate): ObservationRecord | null {
+    const jsonFields = ['facts', 'concepts', 'files_read', 'files_modified'];
+    const editableFields = ['type', 'title', 'subtitle', 'narrative', 'text', ...jsonFields];
+
+    const assignments: string[] = [];
+    const params: any[] = [];
+    for (const field of editableFields) {
+      const value = updates[field as keyof ObservationUpdate];
+      if (value === undefined) continue;
+      assignments.push(`${field} = ?`);
+      params.push(jsonFields.includes(field) ? JSON.stringify(value) : value);
+    }
+
+    if (assignments.length > 0) {
+      const result = this.db.prepare(`
+        UPDATE observations SET ${assignments.join(', ')} WHERE id = ?
+      `).run(...params, id);
+
+      if (result.changes === 0) return null;
+      logger.info('DB', 'Updated observation', { id, fields: assignments.length });
+    }
+
+    return this.getObservationById(id);
+  }
+
+  /**
+   * Delete a single observation
+   * FTS5 rows are removed by the observations_ad trigger
+   * Returns true if a row was deleted
+   */
+  deleteObservation(id: number): boolean {
+    const result = this.db.prepare('DELETE FROM observations WHERE id = ?').run(id);
+    if (result.changes > 0) {
+      logger.info('DB', 'Deleted observation', { id });
+    }
+    return result.changes > 0;
+  }
+
+  /**
+   * Pin or unpin an observation (pinned observations are always injected into context)
+   * Returns the updated observation, or null if it does not exist
+   */
+  setObservationPinned(id: number, pinned: boolean): ObservationRecord | null {
+    return setObservationPinned(this.db, id, pinned);
+  }
+
+  /**
+   * Get pinned observations for a project, most recently pinned first
+   */
+  getPinnedObservations(project: string): ObservationRecord[] {
+    return getPinnedObservations(this.db, project);
+  }
+
+  /**
+   * Merge observations into a canonical observation
+   * Facts, concepts and files are unioned; sources are deleted and kept as provenance snapshots
+   * Returns null if the canonical observation does not exist
+   */
+  mergeObservations(canonicalId: number, sourceIds: number[]): MergeObservationsResult | null {
+    return mergeObservations(this.db, canonicalId, sourceIds);
+  }
+
+  /**
+   * Get merge provenance for a canonical observation
+   */
+  getObservationMerges(canonicalId: number): ObservationMergeRecord[] {
+    return getObservationMerges(this.db, canonicalId);
+  }
+
+  /**
+   * Update editable fields of a single session summary
+   * FTS5 rows are kept in sync by the session_summaries_au trigger
+   * Returns the updated summary, or null if it does not exist
+   */
+  updateSessionSummary(id: number, updates: SessionSummaryUpdate): SessionSummaryRecord | null {
+    const editableFields = ['request', 'investigated', 'learned', 'completed', 'next_steps', 'notes'];
+
+    const assignments: string[] = [];
+    const params: any[] = [];
+    for (const field of editableFields) {
+      const value = updates[field as keyof SessionSummaryUpdate];
+      if (value === undefined) continue;
+      assignments.push(`${field} = ?`);
+      params.push(value);
+    }
+
+    if (assignments.length > 0) {
+      const result = this.db.prepare(`
+        UPDATE session_summaries SET ${assignments.join(', ')} WHERE id = ?
+      `).run(...params, id);
+
+      if (result.changes === 0) return null;
+      logger.info('DB', 'Updated session summary', { id, fields: assignments.length });
+    }
+
+    return this.getSessionSummariesByIds([id])[0] ?? null;
+  }
+
+  /**
+   * Delete a single session summary
+   * Returns true if a row was deleted
+   */
+  deleteSessionSummary(id: number): boolean {
+    const result = this.db.prepare('DELETE FROM session_summaries WHERE id = ?').run(id);
+    if (result.changes > 0) {
+      logger.info('DB', 'Deleted session summary', { id });
+    }
+    return result.changes > 0;
+  }
+
+  /**
+   * Replace the text of a single user prompt
+   * FTS5 rows are kept in sync by the user_prompts_au trigger
+   * Returns the updated prompt (joined with session info), or null if it does not exist
+   */
+  updateUserPrompt(id: number, promptText: string): UserPromptRecord | null {
+    const result = this.db.prepare(`
+      UPDATE user_prompts SET prompt_text = ? WHERE id = ?
+    `).run(promptText, id);
+
+    if (result.changes === 0) return null;
+    logger.info('DB', 'Updated user prompt', { id });
+
+    return this.getUserPromptsByIds([id])[0] ?? null;
+  }
+
+  /**
+   * Delete a single user prompt
+   * Returns true if a row was deleted
+   */
+  deleteUserPrompt(id: number): boolean {
+    const result = this.db.prepare('DELETE FROM user_prompts WHERE id = ?').run(id);
+    if (result.changes > 0) {
+      logger.info('DB', 'Deleted user prompt', { id });
+    }
+    return result.changes > 0;
+  }
+
   /**
    * Close the database connection
    */
@@ -0,0 +1,12 @@
+/**
+ * TeamSync module - re-exports team memory sync entry tracking
+ *
+ * Usage:
+ *   import { getTeamSyncObservations, applyTeamMemoryEntry } from './TeamSync.js';
+ *   const rows = getTeamSyncObservations(db, project, { pinned: true });
+ *   applyTeamMemoryEntry(db, project, entry, contentHash);
+ */
+import { logger } from '../../utils/logger.js';
+
+export * from './team-sync/types.js';
+export * from './team-sync/entries.js';
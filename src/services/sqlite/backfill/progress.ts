@@ -0,0 +1,116 @@
+/**
+ * Transcript backfill progress
+ * turns_queued only moves forward, in the same transaction as the turn's queued
+ * messages, so re-running a backfill never queues a turn twice.
+ */
+
+import type { Database } from 'bun:sqlite';
+import { logger } from '../../../utils/logger.js';
+import type { BackfillCounts, BackfillTranscriptInput, BackfillTranscriptRecord } from './types.js';
+
+/**
+ * Get the backfill record of a transcript, by its session ID
+ */
+export function getBackfillTranscript(db: Database, contentSessionId: string): BackfillTranscriptRecord | null {
+  return db.prepare('SELECT * FROM backfill_transcripts WHERE content_session_id = ?')
+    .get(contentSessionId) as BackfillTranscriptRecord | null;
+}
+
+/**
+ * Start (or continue) backfilling a transcript; turns already queued are kept
+ */
+export function startBackfillTranscript(
+  db: Database,
+  input: BackfillTranscriptInput,
+  nowEpoch: number = Date.now()
+): void {
+  db.prepare(`
+    INSERT INTO backfill_transcripts (
+      content_session_id, transcript_path, project, session_db_id, status,
+      file_size, turns_total, turns_queued, updated_at_epoch
+    ) VALUES (?, ?, ?, ?, 'queued', ?, ?, 0, ?)
+    ON CONFLICT(content_session_id) DO UPDATE SET
+      transcript_path = excluded.transcript_path,
+      session_db_id = excluded.session_db_id,
+      status = 'queued',
+      skip_reason = NULL,
+      file_size = excluded.file_size,
+      turns_total = excluded.turns_total,
+      updated_at_epoch = excluded.updated_at_epoch
+  `).run(
+    input.contentSessionId,
+    input.transcriptPath,
+    input.project,
+    input.sessionDbId,
+    input.fileSize,
+    input.turnsTotal,
+    nowEpoch
+  );
+}
+
+/**
+ * Record that turns up to turnNumber are on the pending queue
+ */
+export function markBackfillTurnQueued(
+  db: Database,
+  contentSessionId: string,
+  turnNumber: number,
+  nowEpoch: number = Date.now()
+): void {
+  db.prepare(`
+    UPDATE backfill_transcripts
+    SET turns_queued = MAX(turns_queued, ?), updated_at_epoch = ?
+    WHERE content_session_id = ?
+  `).run(turnNumber, nowEpoch, contentSessionId);
+}
+
+/**
+ * Mark a transcript completed once its queued turns have been processed
+ */
+export function completeBackfillTranscript(db: Database, contentSessionId: string, nowEpoch: number = Date.now()): void {
+  db.prepare(`
+    UPDATE backfill_transcripts SET status = 'completed', updated_at_epoch = ?
+    WHERE content_session_id = ?
+  `).run(nowEpoch, contentSessionId);
+}
+
+/**
+ * Record a transcript that will not be backfilled, so later runs skip it without parsing
+ */
+export function skipBackfillTranscript(
+  db: Database,
+  contentSessionId: string,
+  transcriptPath: string,
+  project: string,
+  fileSize: number,
+  reason: string,
+  nowEpoch: number = Date.now()
+): void {
+  db.prepare(`
+    INSERT INTO backfill_transcripts (
+      content_session_id, transcript_path, project, status, skip_reason, file_size, updated_at_epoch
+    ) VALUES (?, ?, ?, 'skipped', ?, ?, ?)
+    ON CONFLICT(content_session_id) DO UPDATE SET
+      transcript_path = excluded.transcript_path,
+      status = 'skipped',
+      skip_reason = excluded.skip_reason,
+      file_size = excluded.file_size,
+      updated_at_epoch = excluded.updated_at_epoch
+  `).run(contentSessionId, transcriptPath, project, reason, fileSize, nowEpoch);
+
+  logger.debug('DB', 'Backfill transcript skipped', { contentSessionId, reason });
+}
+
+/**
+ * Number of transcripts in each backfill state
+ */
+export function getBackfillCounts(db: Database): BackfillCounts {
+  const counts: BackfillCounts = { queued: 0, completed: 0, skipped: 0 };
+  const rows = db.prepare('SELECT status, COUNT(*) as count FROM backfill_transcripts GROUP BY status')
+    .all() as { status: keyof BackfillCounts; count: number }[];
+
+  for (const row of rows) {
+    counts[row.status] = row.count;
+  }
+  return counts;
+}
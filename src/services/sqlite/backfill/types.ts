@@ -0,0 +1,36 @@
+/**
+ * Transcript backfill type definitions
+ * Used to track per-transcript progress of a backfill
+ */
+import { logger } from '../../../utils/logger.js';
+
+/**
+ * queued: some or all turns have been put on the pending queue
+ * completed: every turn was queued and the queue for its session has drained
+ * skipped: not backfilled (already captured live, no turns, ...)
+ */
+export type BackfillStatus = 'queued' | 'completed' | 'skipped';
+
+export interface BackfillTranscriptRecord {
+  content_session_id: string;
+  transcript_path: string;
+  project: string;
+  session_db_id: number | null;
+  status: BackfillStatus;
+  skip_reason: string | null;
+  file_size: number;
+  turns_total: number;
+  turns_queued: number;
+  updated_at_epoch: number;
+}
+
+export interface BackfillTranscriptInput {
+  contentSessionId: string;
+  transcriptPath: string;
+  project: string;
+  sessionDbId: number;
+  fileSize: number;
+  turnsTotal: number;
+}
+
+export type BackfillCounts = Record<BackfillStatus, number>;
@@ -0,0 +1,187 @@
+/**
+ * Snapshot, rotation and restore functions
+ *
+ * Snapshots are written with VACUUM INTO, which reads the database in a single
+ * transaction: the copy is consistent (WAL contents included) while the worker keeps
+ * writing. Restore replaces the database file and must only run with the worker stopped.
+ */
+
+import { Database } from 'bun:sqlite';
+import { copyFileSync, existsSync, readdirSync, renameSync, statSync, unlinkSync } from 'fs';
+import path from 'path';
+import { MigrationRunner } from '../migrations/runner.js';
+import { ensureDir } from '../../../shared/paths.js';
+import { logger } from '../../../utils/logger.js';
+import type { BackupFile, BackupSnapshot, BackupInspection, RestoreResult } from './types.js';
+
+const SNAPSHOT_PREFIX = 'claude-mem-';
+const SAFETY_COPY_PREFIX = 'pre-restore-';
+const SNAPSHOT_EXTENSION = '.db';
+
+let supportedSchemaVersion: number | null = null;
+
+function timestampForFilename(epoch: number): string {
+  return new Date(epoch).toISOString().replace(/[:.]/g, '-').replace('T', '_').slice(0, 23);
+}
+
+/**
+ * Highest migration version recorded in a database (0 for an empty one)
+ */
+export function getSchemaVersion(db: Database): number {
+  const table = db.prepare(
+    "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_versions'"
+  ).get();
+  if (!table) return 0;
+
+  const row = db.prepare('SELECT MAX(version) as version FROM schema_versions').get() as { version: number | null };
+  return row.version ?? 0;
+}
+
+/**
+ * Highest migration version this build knows how to run
+ * Found by migrating an empty in-memory database, so it never drifts from MigrationRunner
+ */
+export function getSupportedSchemaVersion(): number {
+  if (supportedSchemaVersion === null) {
+    const db = new Database(':memory:');
+    try {
+      new MigrationRunner(db).runAllMigrations();
+      supportedSchemaVersion = getSchemaVersion(db);
+    } finally {
+      db.close();
+    }
+  }
+  return supportedSchemaVersion;
+}
+
+/**
+ * Write a consistent snapshot of the database to a new timestamped file in dir
+ */
+export function createSnapshot(db: Database, dir: string, nowEpoch: number = Date.now()): BackupSnapshot {
+  ensureDir(dir);
+  const filePath = path.join(dir, `${SNAPSHOT_PREFIX}${timestampForFilename(nowEpoch)}${SNAPSHOT_EXTENSION}`);
+
+  db.run('VACUUM INTO ?', [filePath]);
+
+  return {
+    path: filePath,
+    sizeBytes: statSync(filePath).size,
+    createdAtEpoch: nowEpoch,
+    schemaVersion: getSchemaVersion(db)
+  };
+}
+
+/**
+ * Snapshots in dir, newest first (pre-restore safety copies are not listed)
+ */
+export function listSnapshots(dir: string): BackupFile[] {
+  if (!existsSync(dir)) return [];
+
+  return readdirSync(dir)
+    .filter(name => name.startsWith(SNAPSHOT_PREFIX) && name.endsWith(SNAPSHOT_EXTENSION))
+    .map(name => {
+      const filePath = path.join(dir, name);
+      const stats = statSync(filePath);
+      return { path: filePath, sizeBytes: stats.size, createdAtEpoch: stats.mtimeMs };
+    })
+    .sort((a, b) => b.createdAtEpoch - a.createdAtEpoch || b.path.localeCompare(a.path));
+}
+
+/**
+ * Delete all but the newest `keep` snapshots in dir and return the deleted paths
+ */
+export function rotateSnapshots(dir: string, keep: number): string[] {
+  const removed: string[] = [];
+
+  for (const snapshot of listSnapshots(dir).slice(Math.max(keep, 1))) {
+    unlinkSync(snapshot.path);
+    removed.push(snapshot.path);
+  }
+
+  return removed;
+}
+
+/**
+ * Check a snapshot's integrity and schema version without modifying it
+ * Throws if the file is not a claude-mem database
+ */
+export function inspectSnapshot(snapshotPath: string): BackupInspection {
+  if (!existsSync(snapshotPath)) {
+    throw new Error(`Backup not found: ${snapshotPath}`);
+  }
+
+  const db = new Database(snapshotPath, { readonly: true });
+  try {
+    const schemaVersion = getSchemaVersion(db);
+    if (schemaVersion === 0) {
+      throw new Error(`${snapshotPath} is not a claude-mem database (no schema_versions)`);
+    }
+
+    const problems = db.prepare('PRAGMA integrity_check').all() as { integrity_check: string }[];
+
+    return {
+      path: snapshotPath,
+      schemaVersion,
+      supportedSchemaVersion: getSupportedSchemaVersion(),
+      integrity: problems.map(row => row.integrity_check).join('; ')
+    };
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Replace the database at dbPath with a snapshot
+ *
+ * Refuses snapshots that fail the integrity check or were written by a newer
+ * claude-mem (schema version above what MigrationRunner knows). Older snapshots are
+ * fine: the remaining migrations run the next time the database is opened.
+ * The current database is first snapshotted into safetyDir as pre-restore-<timestamp>.db.
+ */
+export function restoreSnapshot(snapshotPath: string, dbPath: string, safetyDir: string): RestoreResult {
+  const inspection = inspectSnapshot(snapshotPath);
+
+  if (inspection.integrity !== 'ok') {
+    throw new Error(`Backup failed integrity check: ${inspection.integrity}`);
+  }
+  if (inspection.schemaVersion > inspection.supportedSchemaVersion) {
+    throw new Error(
+      `Backup schema version ${inspection.schemaVersion} is newer than this claude-mem supports ` +
+      `(${inspection.supportedSchemaVersion}); upgrade claude-mem before restoring it`
+    );
+  }
+
+  let safetyCopyPath: string | null = null;
+  if (existsSync(dbPath)) {
+    ensureDir(safetyDir);
+    safetyCopyPath = path.join(safetyDir, `${SAFETY_COPY_PREFIX}${timestampForFilename(Date.now())}${SNAPSHOT_EXTENSION}`);
+    const current = new Database(dbPath);
+    try {
+      current.run('VACUUM INTO ?', [safetyCopyPath]);
+    } finally {
+      current.close();
+    }
+  }
+
+  // Copy next to the target first so the swap is a rename. The old WAL and shared-memory
+  // files must go before it: SQLite would otherwise replay them into the restored file.
+  const tempPath = `${dbPath}.restore-tmp`;
+  copyFileSync(snapshotPath, tempPath);
+  for (const suffix of ['-wal', '-shm']) {
+    if (existsSync(dbPath + suffix)) unlinkSync(dbPath + suffix);
+  }
+  renameSync(tempPath, dbPath);
+
+  logger.info('DB', 'Database restored from backup', {
+    restoredFrom: snapshotPath,
+    schemaVersion: inspection.schemaVersion,
+    safetyCopyPath
+  });
+
+  return {
+    restoredFrom: snapshotPath,
+    schemaVersion: inspection.schemaVersion,
+    supportedSchemaVersion: inspection.supportedSchemaVersion,
+    safetyCopyPath
+  };
+}
@@ -0,0 +1,43 @@
+/**
+ * Backup-related type definitions
+ * Used by snapshots, rotation and restore
+ */
+import { logger } from '../../../utils/logger.js';
+
+/**
+ * A snapshot file in a backup directory
+ */
+export interface BackupFile {
+  path: string;
+  sizeBytes: number;
+  createdAtEpoch: number;
+}
+
+/**
+ * A snapshot that was just written
+ */
+export interface BackupSnapshot extends BackupFile {
+  schemaVersion: number;
+}
+
+/**
+ * Result of checking a snapshot before restoring it
+ * integrity is 'ok' or the problems reported by PRAGMA integrity_check
+ */
+export interface BackupInspection {
+  path: string;
+  schemaVersion: number;
+  supportedSchemaVersion: number;
+  integrity: string;
+}
+
+/**
+ * Result of a restore
+ * safetyCopyPath is the snapshot of the database that was replaced, if one existed
+ */
+export interface RestoreResult {
+  restoredFrom: string;
+  schemaVersion: number;
+  supportedSchemaVersion: number;
+  safetyCopyPath: string | null;
+}
@@ -0,0 +1,42 @@
+/**
+ * Batched ID statements
+ *
+ * Deletes and lookups by ID list are split into chunks so a long list stays under
+ * SQLite's bound-parameter limit.
+ */
+
+import type { Database } from 'bun:sqlite';
+import { logger } from '../../utils/logger.js';
+
+const ID_CHUNK_SIZE = 500;
+
+/** Placeholder for the ID list in selectRowsByIds queries */
+const IDS_PLACEHOLDER = '$IDS';
+
+/**
+ * Run a query over an ID list in chunks and return the rows of every chunk
+ * @param sql - a SELECT with `IN ($IDS)` where the ID list goes; its ORDER BY applies per chunk
+ */
+export function selectRowsByIds<T = Record<string, unknown>>(db: Database, sql: string, ids: number[]): T[] {
+  const rows: T[] = [];
+  for (let i = 0; i < ids.length; i += ID_CHUNK_SIZE) {
+    const chunk = ids.slice(i, i + ID_CHUNK_SIZE);
+    rows.push(...db.prepare(sql.replace(IDS_PLACEHOLDER, chunk.map(() => '?').join(','))).all(...chunk) as T[]);
+  }
+  return rows;
+}
+
+/**
+ * Delete rows by ID in chunks and return how many were deleted
+ * Counts only rows of `table`: run().changes also counts rows written by the FTS
+ * triggers, changes() does not
+ */
+export function deleteRowsByIds(db: Database, table: string, ids: number[]): number {
+  let deleted = 0;
+  for (let i = 0; i < ids.length; i += ID_CHUNK_SIZE) {
+    const chunk = ids.slice(i, i + ID_CHUNK_SIZE);
+    db.prepare(`DELETE FROM ${table} WHERE id IN (${chunk.map(() => '?').join(',')})`).run(...chunk);
+    deleted += (db.prepare('SELECT changes() as count').get() as { count: number }).count;
+  }
+  return deleted;
+}
@@ -0,0 +1,94 @@
+/**
+ * Keyset pagination cursors
+ *
+ * Lists ordered by created_at_epoch page by position instead of offset: a cursor holds
+ * the (created_at_epoch, id) of the last row returned and the next page starts strictly
+ * after it. Rows inserted while a client pages - observations streaming in during a live
+ * session - sort before the cursor, so later pages neither skip nor repeat rows.
+ *
+ * Cursors are opaque to clients (base64url-encoded JSON) so their contents can change.
+ */
+
+import { logger } from '../../utils/logger.js';
+import type { KeysetPosition } from './types.js';
+
+export type KeysetOrder = 'date_desc' | 'date_asc';
+
+export class InvalidCursorError extends Error {
+  constructor(message: string = 'Invalid cursor') {
+    super(message);
+    this.name = 'InvalidCursorError';
+  }
+}
+
+/**
+ * Encode any JSON payload as an opaque cursor string
+ */
+export function encodeCursorPayload(payload: unknown): string {
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode an opaque cursor string back to its JSON payload
+ * @throws InvalidCursorError if the cursor is not one we issued
+ */
+export function decodeCursorPayload(cursor: string): unknown {
+  try {
+    return JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+  } catch (error) {
+    logger.debug('DB', 'Cursor is not base64url JSON', { cursor }, error as Error);
+    throw new InvalidCursorError();
+  }
+}
+
+/**
+ * Position of a row, as stored in cursors: [created_at_epoch, id]
+ */
+export function toCursorPosition(row: { created_at_epoch: number; id: number }): [number, number] {
+  return [row.created_at_epoch, row.id];
+}
+
+/**
+ * Validate a decoded [created_at_epoch, id] pair
+ * @throws InvalidCursorError if value is not a pair of integers
+ */
+export function parseKeysetPosition(value: unknown): KeysetPosition {
+  if (!Array.isArray(value) || value.length !== 2 || !value.every(Number.isInteger)) {
+    throw new InvalidCursorError();
+  }
+  return { epoch: value[0], id: value[1] };
+}
+
+/**
+ * Cursor pointing just after a row
+ */
+export function encodeCursor(row: { created_at_epoch: number; id: number }): string {
+  return encodeCursorPayload(toCursorPosition(row));
+}
+
+/**
+ * @throws InvalidCursorError if the cursor is malformed
+ */
+export function decodeCursor(cursor: string): KeysetPosition {
+  return parseKeysetPosition(decodeCursorPayload(cursor));
+}
+
+/**
+ * SQL condition for rows strictly after position in the given order
+ * Pair it with ORDER BY created_at_epoch, id in the same direction.
+ */
+export function keysetCondition(alias: string, position: KeysetPosition, orderBy: KeysetOrder, params: any[]): string {
+  const op = orderBy === 'date_asc' ? '>' : '<';
+  const prefix = alias ? `${alias}.` : '';
+  params.push(position.epoch, position.epoch, position.id);
+  return `(${prefix}created_at_epoch ${op} ? OR (${prefix}created_at_epoch = ? AND ${prefix}id ${op} ?))`;
+}
+
+/**
+ * In-memory equivalent of keysetCondition, for rows already loaded in date order
+ */
+export function isAfterPosition(row: { created_at_epoch: number; id: number }, position: KeysetPosition, orderBy: KeysetOrder): boolean {
+  const sign = orderBy === 'date_asc' ? 1 : -1;
+  const byEpoch = (row.created_at_epoch - position.epoch) * sign;
+  return byEpoch > 0 || (byEpoch === 0 && (row.id - position.id) * sign > 0);
+}
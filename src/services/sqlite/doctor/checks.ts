@@ -0,0 +1,224 @@
+/**
+ * Integrity checks and repairs for the memory database
+ * Each check is read-only; each repair fixes exactly what its check reported.
+ */
+
+import type { Database } from 'bun:sqlite';
+import { logger } from '../../../utils/logger.js';
+import { deleteRowsByIds, selectRowsByIds } from '../batch.js';
+import type { OrphanedRows, OrphanRepairResult, FtsCheck, RecordIdSets, VectorDrift } from './types.js';
+
+const FTS_TABLES = ['observations_fts', 'session_summaries_fts', 'user_prompts_fts'];
+
+// Same default as PendingMessageStore.resetStaleProcessingMessages
+export const DEFAULT_STUCK_THRESHOLD_MS = 5 * 60 * 1000;
+
+interface OrphanedSession {
+  memory_session_id: string;
+  project: string;
+  started_at_epoch: number;
+}
+
+function ids(db: Database, sql: string, ...params: number[]): number[] {
+  return (db.prepare(sql).all(...params) as { id: number }[]).map(row => row.id);
+}
+
+/**
+ * Find rows whose session no longer exists
+ */
+export function findOrphanedRows(db: Database): OrphanedRows {
+  return {
+    observationIds: ids(db, `
+      SELECT o.id FROM observations o
+      LEFT JOIN sdk_sessions s ON s.memory_session_id = o.memory_session_id
+      WHERE s.id IS NULL ORDER BY o.id
+    `),
+    summaryIds: ids(db, `
+      SELECT ss.id FROM session_summaries ss
+      LEFT JOIN sdk_sessions s ON s.memory_session_id = ss.memory_session_id
+      WHERE s.id IS NULL ORDER BY ss.id
+    `),
+    promptIds: ids(db, `
+      SELECT up.id FROM user_prompts up
+      LEFT JOIN sdk_sessions s ON s.content_session_id = up.content_session_id
+      WHERE s.id IS NULL ORDER BY up.id
+    `),
+    pendingMessageIds: ids(db, `
+      SELECT pm.id FROM pending_messages pm
+      LEFT JOIN sdk_sessions s ON s.id = pm.session_db_id
+      WHERE s.id IS NULL ORDER BY pm.id
+    `)
+  };
+}
+
+/**
+ * Repair orphaned rows in one transaction
+ *
+ * Observations and summaries still hold their project, so a completed session is
+ * recreated for each missing memory_session_id (content_session_id 'repaired-<id>').
+ * Orphaned prompts and queue messages are deleted.
+ */
+export function repairOrphanedRows(db: Database, orphans: OrphanedRows): OrphanRepairResult {
+  const result: OrphanRepairResult = { sessionsRecreated: 0, promptsDeleted: 0, pendingMessagesDeleted: 0 };
+
+  db.transaction(() => {
+    // Re-derived with the same joins as findOrphanedRows so large ID lists need no bound parameters
+    const sessions: OrphanedSession[] = [];
+    if (orphans.observationIds.length > 0) {
+      sessions.push(...db.prepare(`
+        SELECT o.memory_session_id, o.project, MIN(o.created_at_epoch) as started_at_epoch
+        FROM observations o
+        LEFT JOIN sdk_sessions s ON s.memory_session_id = o.memory_session_id
+        WHERE s.id IS NULL
+        GROUP BY o.memory_session_id
+      `).all() as OrphanedSession[]);
+    }
+    if (orphans.summaryIds.length > 0) {
+      sessions.push(...db.prepare(`
+        SELECT ss.memory_session_id, ss.project, MIN(ss.created_at_epoch) as started_at_epoch
+        FROM session_summaries ss
+        LEFT JOIN sdk_sessions s ON s.memory_session_id = ss.memory_session_id
+        WHERE s.id IS NULL
+        GROUP BY ss.memory_session_id
+      `).all() as OrphanedSession[]);
+    }
+
+    const insertSession = db.prepare(`
+      INSERT OR IGNORE INTO sdk_sessions
+      (content_session_id, memory_session_id, project, started_at, started_at_epoch, completed_at, completed_at_epoch, status)
+      VALUES (?, ?, ?, ?, ?, ?, ?, 'completed')
+    `);
+    for (const session of sessions) {
+      const startedAt = new Date(session.started_at_epoch).toISOString();
+      const change = insertSession.run(
+        `repaired-${session.memory_session_id}`,
+        session.memory_session_id,
+        session.project,
+        startedAt,
+        session.started_at_epoch,
+        startedAt,
+        session.started_at_epoch
+      );
+      result.sessionsRecreated += change.changes;
+    }
+
+    result.promptsDeleted = deleteRowsByIds(db, 'user_prompts', orphans.promptIds);
+    result.pendingMessagesDeleted = deleteRowsByIds(db, 'pending_messages', orphans.pendingMessageIds);
+  })();
+
+  return result;
+}
+
+/**
+ * Run FTS5 integrity-check against the content table for each full-text index that exists
+ */
+export function checkFtsIndexes(db: Database): FtsCheck[] {
+  const existing = new Set(
+    (db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name LIKE '%_fts'").all() as { name: string }[])
+      .map(row => row.name)
+  );
+
+  return FTS_TABLES.filter(table => existing.has(table)).map(table => {
+    try {
+      // rank = 1 also compares the index with the external content table
+      db.run(`INSERT INTO ${table}(${table}, rank) VALUES('integrity-check', 1)`);
+      return { table, ok: true, error: null };
+    } catch (error) {
+      return { table, ok: false, error: error instanceof Error ? error.message : String(error) };
+    }
+  });
+}
+
+/**
+ * Rebuild a full-text index from its content table
+ */
+export function rebuildFtsIndex(db: Database, table: string): void {
+  if (!FTS_TABLES.includes(table)) {
+    throw new Error(`Unknown FTS table: ${table}`);
+  }
+  db.run(`INSERT INTO ${table}(${table}) VALUES('rebuild')`);
+}
+
+/**
+ * Queue messages stuck in 'processing' for longer than thresholdMs
+ */
+export function findStuckMessages(
+  db: Database,
+  thresholdMs: number = DEFAULT_STUCK_THRESHOLD_MS,
+  nowEpoch: number = Date.now()
+): number[] {
+  return ids(db, `
+    SELECT id FROM pending_messages
+    WHERE status = 'processing' AND started_processing_at_epoch < ?
+    ORDER BY id
+  `, nowEpoch - thresholdMs);
+}
+
+/**
+ * Put stuck messages back in the queue
+ */
+export function resetStuckMessages(db: Database, messageIds: number[]): number {
+  if (messageIds.length === 0) return 0;
+
+  return db.prepare(`
+    UPDATE pending_messages
+    SET status = 'pending', started_processing_at_epoch = NULL
+    WHERE status = 'processing' AND id IN (${messageIds.map(() => '?').join(',')})
+  `).run(...messageIds).changes;
+}
+
+/**
+ * IDs of every record that should have vector documents
+ * Prompts are only synced with a session (the project comes from it)
+ */
+export function getVectorRecordIds(db: Database): RecordIdSets {
+  return {
+    observations: new Set(ids(db, 'SELECT id FROM observations')),
+    summaries: new Set(ids(db, 'SELECT id FROM session_summaries')),
+    prompts: new Set(ids(db, `
+      SELECT up.id FROM user_prompts up
+      JOIN sdk_sessions s ON s.content_session_id = up.content_session_id
+    `))
+  };
+}
+
+/**
+ * Compare SQLite record IDs with the IDs present in the vector index
+ */
+export function diffVectorIds(sqlite: RecordIdSets, vector: RecordIdSets): VectorDrift {
+  const minus = (a: Set<number>, b: Set<number>) => [...a].filter(id => !b.has(id)).sort((x, y) => x - y);
+
+  return {
+    missing: {
+      observations: minus(sqlite.observations, vector.observations),
+      summaries: minus(sqlite.summaries, vector.summaries),
+      prompts: minus(sqlite.prompts, vector.prompts)
+    },
+    stale: {
+      observations: minus(vector.observations, sqlite.observations),
+      summaries: minus(vector.summaries, sqlite.summaries),
+      prompts: minus(vector.prompts, sqlite.prompts)
+    }
+  };
+}
+
+/**
+ * Full rows for records missing from the vector index, ready for resync
+ * Prompts include project and memory_session_id from their session, like the backfill
+ */
+export function getVectorSyncRows(db: Database, missing: VectorDrift['missing']): {
+  observations: Record<string, unknown>[];
+  summaries: Record<string, unknown>[];
+  prompts: Record<string, unknown>[];
+} {
+  return {
+    observations: selectRowsByIds(db, 'SELECT * FROM observations WHERE id IN ($IDS) ORDER BY id', missing.observations),
+    summaries: selectRowsByIds(db, 'SELECT * FROM session_summaries WHERE id IN ($IDS) ORDER BY id', missing.summaries),
+    prompts: selectRowsByIds(db, `
+      SELECT up.*, s.project, s.memory_session_id
+      FROM user_prompts up
+      JOIN sdk_sessions s ON s.content_session_id = up.content_session_id
+      WHERE up.id IN ($IDS) ORDER BY up.id
+    `, missing.prompts)
+  };
+}
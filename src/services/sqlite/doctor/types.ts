@@ -0,0 +1,59 @@
+/**
+ * Doctor-related type definitions
+ * Used by the integrity checks and their repairs
+ */
+import { logger } from '../../../utils/logger.js';
+
+export type DoctorCategory = 'orphans' | 'fts' | 'stuck' | 'vectors';
+
+export const DOCTOR_CATEGORIES: DoctorCategory[] = ['orphans', 'fts', 'stuck', 'vectors'];
+
+/**
+ * Rows whose session no longer exists
+ * Observations and summaries reference sdk_sessions.memory_session_id, prompts
+ * reference content_session_id and queue messages reference sdk_sessions.id
+ */
+export interface OrphanedRows {
+  observationIds: number[];
+  summaryIds: number[];
+  promptIds: number[];
+  pendingMessageIds: number[];
+}
+
+/**
+ * What repairing orphaned rows did
+ * Observations and summaries are kept by recreating their session; prompts and
+ * queue messages cannot be attributed to a project and are deleted
+ */
+export interface OrphanRepairResult {
+  sessionsRecreated: number;
+  promptsDeleted: number;
+  pendingMessagesDeleted: number;
+}
+
+/**
+ * Result of FTS5 integrity-check for one index (error is null when in sync)
+ */
+export interface FtsCheck {
+  table: string;
+  ok: boolean;
+  error: string | null;
+}
+
+/**
+ * SQLite record IDs by vector document type
+ */
+export interface RecordIdSets {
+  observations: Set<number>;
+  summaries: Set<number>;
+  prompts: Set<number>;
+}
+
+/**
+ * Record IDs out of step between SQLite and the vector index
+ * missing: in SQLite, no vector documents; stale: vector documents for deleted rows
+ */
+export interface VectorDrift {
+  missing: { observations: number[]; summaries: number[]; prompts: number[] };
+  stale: { observations: number[]; summaries: number[]; prompts: number[] };
+}
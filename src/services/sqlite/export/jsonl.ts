@@ -0,0 +1,90 @@
+/**
+ * Project export as versioned JSONL
+ * Lines are generated lazily in ID order, a page at a time, so whole projects can be
+ * streamed to a file or HTTP response without holding them in memory.
+ */
+
+import type { Database } from 'bun:sqlite';
+import { logger } from '../../../utils/logger.js';
+import { getSchemaVersion } from '../backup/snapshot.js';
+import {
+  EXPORT_FORMAT,
+  EXPORT_FORMAT_VERSION,
+  type ExportCounts,
+  type ExportHeader,
+  type ExportFooter,
+  type ExportRecordKind
+} from './types.js';
+
+const PAGE_SIZE = 500;
+
+/**
+ * Page through a query keyed on `<alias>.id`, yielding rows in ID order
+ * sql must contain a `$AFTER` placeholder for the keyset condition
+ */
+function* pageRows(db: Database, sql: string, alias: string, params: string[]): Generator<Record<string, unknown>> {
+  let afterId = 0;
+  const stmt = db.prepare(sql.replace('$AFTER', `${alias}.id > ?`) + ` ORDER BY ${alias}.id LIMIT ${PAGE_SIZE}`);
+
+  while (true) {
+    const rows = stmt.all(...params, afterId) as Record<string, unknown>[];
+    yield* rows;
+    if (rows.length < PAGE_SIZE) return;
+    afterId = rows[rows.length - 1].id as number;
+  }
+}
+
+/**
+ * Export the given projects (all projects when empty) as JSONL lines, without newlines
+ */
+export function* exportProjectLines(
+  db: Database,
+  projects: string[] = [],
+  nowEpoch: number = Date.now()
+): Generator<string> {
+  const selected = projects.length > 0
+    ? projects
+    : (db.prepare('SELECT DISTINCT project FROM sdk_sessions ORDER BY project').all() as { project: string }[]).map(row => row.project);
+  const inList = selected.map(() => '?').join(',') || 'NULL';
+
+  const header: ExportHeader = {
+    kind: 'header',
+    format: EXPORT_FORMAT,
+    version: EXPORT_FORMAT_VERSION,
+    schemaVersion: getSchemaVersion(db),
+    exportedAt: new Date(nowEpoch).toISOString(),
+    exportedAtEpoch: nowEpoch,
+    projects: selected
+  };
+  yield JSON.stringify(header);
+
+  const counts: ExportCounts = { sessions: 0, prompts: 0, summaries: 0, observations: 0 };
+  const sources: Array<[ExportRecordKind, keyof ExportCounts, string, string]> = [
+    // Sessions of the projects, plus any other session their observations or summaries belong to
+    ['session', 'sessions', `
+      SELECT s.* FROM sdk_sessions s
+      WHERE (s.project IN (${inList})
+        OR s.memory_session_id IN (SELECT memory_session_id FROM observations WHERE project IN (${inList}))
+        OR s.memory_session_id IN (SELECT memory_session_id FROM session_summaries WHERE project IN (${inList})))
+        AND $AFTER`, 's'],
+    ['prompt', 'prompts', `
+      SELECT up.* FROM user_prompts up
+      JOIN sdk_sessions s ON s.content_session_id = up.content_session_id
+      WHERE s.project IN (${inList}) AND $AFTER`, 'up'],
+    ['summary', 'summaries', `SELECT ss.* FROM session_summaries ss WHERE ss.project IN (${inList}) AND $AFTER`, 'ss'],
+    ['observation', 'observations', `SELECT o.* FROM observations o WHERE o.project IN (${inList}) AND $AFTER`, 'o']
+  ];
+
+  for (const [kind, countKey, sql, alias] of sources) {
+    const params = kind === 'session' ? [...selected, ...selected, ...selected] : selected;
+    for (const row of pageRows(db, sql, alias, params)) {
+      counts[countKey]++;
+      yield JSON.stringify({ kind, data: row });
+    }
+  }
+
+  const footer: ExportFooter = { kind: 'footer', counts };
+  yield JSON.stringify(footer);
+
+  logger.info('DB', 'Projects exported', { projects: selected.length, ...counts });
+}
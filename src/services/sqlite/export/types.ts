@@ -0,0 +1,116 @@
+/**
+ * Project export format (claude-mem-export, JSONL)
+ *
+ * One JSON object per line:
+ *   header          first line: format, version, schema version, projects
+ *   session         sdk_sessions row
+ *   prompt          user_prompts row
+ *   summary         session_summaries row
+ *   observation     observations row
+ *   footer          last line: record counts, used to detect truncated files
+ *
+ * Records carry every column of their row; importers ignore columns their schema lacks.
+ * The JSON Schema is published at docs/public/schemas/claude-mem-export-v1.schema.json.
+ */
+import { logger } from '../../../utils/logger.js';
+
+export const EXPORT_FORMAT = 'claude-mem-export';
+export const EXPORT_FORMAT_VERSION = 1;
+
+export type ExportRecordKind = 'session' | 'prompt' | 'summary' | 'observation';
+
+export interface ExportCounts {
+  sessions: number;
+  prompts: number;
+  summaries: number;
+  observations: number;
+}
+
+export interface ExportHeader {
+  kind: 'header';
+  format: typeof EXPORT_FORMAT;
+  version: number;
+  schemaVersion: number;
+  exportedAt: string;
+  exportedAtEpoch: number;
+  projects: string[];
+}
+
+export interface ExportRecord {
+  kind: ExportRecordKind;
+  data: Record<string, unknown>;
+}
+
+export interface ExportFooter {
+  kind: 'footer';
+  counts: ExportCounts;
+}
+
+export type ExportLine = ExportHeader | ExportRecord | ExportFooter;
+
+/**
+ * What to do when an imported record already exists
+ * skip keeps the local row; overwrite replaces its columns with the imported ones
+ */
+export type ImportConflictPolicy = 'skip' | 'overwrite';
+
+export interface ImportOptions {
+  conflict?: ImportConflictPolicy;
+  projectMap?: Record<string, string>;
+}
+
+export interface ImportKindStats {
+  inserted: number;
+  updated: number;
+  skipped: number;
+}
+
+export interface ProjectImportResult {
+  header: ExportHeader;
+  sessions: ImportKindStats;
+  prompts: ImportKindStats;
+  summaries: ImportKindStats;
+  observations: ImportKindStats;
+  /** IDs inserted or updated, for vector resync */
+  touched: { observations: number[]; summaries: number[]; prompts: number[] };
+}
+
+export interface VaultObservationRow {
+  id: number;
+  memory_session_id: string;
+  project: string;
+  type: string;
+  title: string | null;
+  subtitle: string | null;
+  narrative: string | null;
+  facts: string | null;
+  concepts: string | null;
+  files_read: string | null;
+  files_modified: string | null;
+  created_at: string;
+  created_at_epoch: number;
+}
+
+export interface VaultSummaryRow {
+  id: number;
+  memory_session_id: string;
+  project: string;
+  request: string | null;
+  investigated: string | null;
+  learned: string | null;
+  completed: string | null;
+  next_steps: string | null;
+  created_at: string;
+  created_at_epoch: number;
+}
+
+/**
+ * Observations and summaries of one session in one project, oldest first
+ */
+export interface VaultSession {
+  project: string;
+  memorySessionId: string;
+  startedAtEpoch: number;
+  observations: VaultObservationRow[];
+  summaries: VaultSummaryRow[];
+}
@@ -0,0 +1,54 @@
+/**
+ * Session-grouped reads for note-based exports (Obsidian vault)
+ * Sessions are loaded one at a time so a whole project is never held in memory.
+ */
+
+import type { Database } from 'bun:sqlite';
+import { logger } from '../../../utils/logger.js';
+import type { VaultObservationRow, VaultSession, VaultSummaryRow } from './types.js';
+
+/**
+ * Yield every session with observations or summaries in the given projects (all when empty),
+ * ordered by project, then by first activity
+ */
+export function* iterateVaultSessions(db: Database, projects: string[] = []): Generator<VaultSession> {
+  const filter = projects.length > 0 ? `WHERE project IN (${projects.map(() => '?').join(',')})` : '';
+  const params = projects.length > 0 ? [...projects, ...projects] : [];
+
+  const sessions = db.prepare(`
+    SELECT project, memory_session_id, MIN(created_at_epoch) as started_at_epoch FROM (
+      SELECT project, memory_session_id, created_at_epoch FROM observations ${filter}
+      UNION ALL
+      SELECT project, memory_session_id, created_at_epoch FROM session_summaries ${filter}
+    )
+    GROUP BY project, memory_session_id
+    ORDER BY project, started_at_epoch
+  `).all(...params) as { project: string; memory_session_id: string; started_at_epoch: number }[];
+
+  const observationsStmt = db.prepare(`
+    SELECT id, memory_session_id, project, type, title, subtitle, narrative, facts, concepts,
+           files_read, files_modified, created_at, created_at_epoch
+    FROM observations
+    WHERE project = ? AND memory_session_id = ?
+    ORDER BY created_at_epoch, id
+  `);
+  const summariesStmt = db.prepare(`
+    SELECT id, memory_session_id, project, request, investigated, learned, completed, next_steps,
+           created_at, created_at_epoch
+    FROM session_summaries
+    WHERE project = ? AND memory_session_id = ?
+    ORDER BY created_at_epoch, id
+  `);
+
+  logger.debug('DB', 'Iterating sessions for vault export', { projects: projects.length, sessions: sessions.length });
+
+  for (const session of sessions) {
+    yield {
+      project: session.project,
+      memorySessionId: session.memory_session_id,
+      startedAtEpoch: session.started_at_epoch,
+      observations: observationsStmt.all(session.project, session.memory_session_id) as VaultObservationRow[],
+      summaries: summariesStmt.all(session.project, session.memory_session_id) as VaultSummaryRow[]
+    };
+  }
+}
@@ -0,0 +1,204 @@
+/**
+ * Imported git commits and the observations generated from them
+ *
+ * Each commit is queued as its own observation message, dated at its author date,
+ * and recorded in the same transaction. Observations are linked to the commit of the
+ * message they were generated from as they are stored. Once the session's queue has
+ * drained, observations still unlinked (e.g. stored before a restart) are matched on
+ * the most specific evidence first:
+ *   1. the observation cites the commit's short SHA
+ *   2. the observation is dated at the commit's author date (queued timestamp)
+ *   3. the observation mentions files the commit changed
+ * An observation matching none of these is left unlinked rather than guessed.
+ */
+
+import type { Database } from 'bun:sqlite';
+import { logger } from '../../../utils/logger.js';
+import { parseJsonArray } from '../../../shared/timeline-formatting.js';
+import type {
+  GitCommitCounts,
+  GitCommitInput,
+  GitCommitRecord,
+  LinkCommitObservationsResult
+} from './types.js';
+
+const SHORT_SHA_LENGTH = 7;
+
+/** tool_name of the queued observation message for one commit */
+export const GIT_COMMIT_TOOL_NAME = 'GitCommit';
+
+interface LinkableObservationRow {
+  id: number;
+  title: string | null;
+  subtitle: string | null;
+  narrative: string | null;
+  facts: string | null;
+  files_read: string | null;
+  files_modified: string | null;
+  created_at_epoch: number;
+}
+
+/**
+ * Which of the given SHAs have already been imported
+ */
+export function getImportedCommitShas(db: Database, shas: string[]): Set<string> {
+  const imported = new Set<string>();
+  const stmt = db.prepare('SELECT 1 FROM git_commits WHERE sha = ?');
+  for (const sha of shas) {
+    if (stmt.get(sha)) imported.add(sha);
+  }
+  return imported;
+}
+
+/**
+ * Record commits queued on an import session
+ */
+export function recordQueuedCommits(
+  db: Database,
+  sessionDbId: number,
+  commits: GitCommitInput[],
+  nowEpoch: number = Date.now()
+): void {
+  const stmt = db.prepare(`
+    INSERT OR IGNORE INTO git_commits (
+      sha, session_db_id, author_name, author_date_epoch, subject, files, status, imported_at_epoch
+    ) VALUES (?, ?, ?, ?, ?, ?, 'queued', ?)
+  `);
+  for (const commit of commits) {
+    stmt.run(
+      commit.sha,
+      sessionDbId,
+      commit.authorName,
+      commit.authorDateEpoch,
+      commit.subject,
+      JSON.stringify(commit.files),
+      nowEpoch
+    );
+  }
+}
+
+/**
+ * Import sessions that still have commits waiting to be linked, oldest first
+ */
+export function getUnlinkedCommitSessions(db: Database): number[] {
+  const rows = db.prepare(`
+    SELECT session_db_id FROM git_commits
+    WHERE status = 'queued'
+    GROUP BY session_db_id
+    ORDER BY MIN(author_date_epoch)
+  `).all() as { session_db_id: number }[];
+  return rows.map(row => row.session_db_id);
+}
+
+function pickCommits(obs: LinkableObservationRow, commits: GitCommitRecord[]): GitCommitRecord[] {
+  const text = [obs.title, obs.subtitle, obs.narrative, obs.facts].filter(Boolean).join('\n').toLowerCase();
+  const cited = commits.filter(commit => text.includes(commit.sha.slice(0, SHORT_SHA_LENGTH).toLowerCase()));
+  if (cited.length > 0) return cited;
+
+  const dated = commits.filter(commit => commit.author_date_epoch === obs.created_at_epoch);
+  if (dated.length > 0) return dated;
+
+  const obsFiles = new Set([...parseJsonArray(obs.files_read), ...parseJsonArray(obs.files_modified)]);
+  const touching = commits.filter(commit =>
+    parseJsonArray(commit.files).some(file => obsFiles.has(file) || [...obsFiles].some(obsFile => obsFile.endsWith(`/${file}`)))
+  );
+  return touching;
+}
+
+/**
+ * SHA of the commit a queued GitCommit message describes, or null for any other message
+ * @param toolInput - the message's tool_input as stored on the queue
+ */
+export function getMessageCommitSha(toolName: string | null, toolInput: string | null): string | null {
+  if (toolName !== GIT_COMMIT_TOOL_NAME || !toolInput) return null;
+  try {
+    // Queued as a JSON string, which the queue stores JSON-encoded again
+    let input: unknown = JSON.parse(toolInput);
+    if (typeof input === 'string') input = JSON.parse(input);
+    const sha = (input as { sha?: unknown } | null)?.sha;
+    return typeof sha === 'string' && sha ? sha : null;
+  } catch (error) {
+    logger.debug('DB', 'Unreadable GitCommit message input', {}, error as Error);
+    return null;
+  }
+}
+
+/**
+ * Tag observations with the imported commits they were generated from
+ * SHAs that were never imported are ignored.
+ * @returns the number of links added
+ */
+export function linkObservationsToCommits(db: Database, observationIds: number[], shas: string[]): number {
+  const link = db.prepare(`
+    INSERT OR IGNORE INTO observation_commits (observation_id, commit_sha)
+    SELECT ?, sha FROM git_commits WHERE sha = ?
+  `);
+  let linked = 0;
+  for (const observationId of observationIds) {
+    for (const sha of shas) {
+      linked += link.run(observationId, sha).changes;
+    }
+  }
+  return linked;
+}
+
+/**
+ * Tag the observations of a drained import session that are not linked yet
+ */
+export function linkCommitObservations(db: Database, sessionDbId: number): LinkCommitObservationsResult {
+  const linkTx = db.transaction((): LinkCommitObservationsResult => {
+    const commits = db.prepare(`
+      SELECT * FROM git_commits WHERE session_db_id = ? AND status = 'queued' ORDER BY author_date_epoch
+    `).all(sessionDbId) as GitCommitRecord[];
+    if (commits.length === 0) return { observations: 0, commits: 0 };
+
+    const observations = db.prepare(`
+      SELECT o.id, o.title, o.subtitle, o.narrative, o.facts, o.files_read, o.files_modified, o.created_at_epoch
+      FROM observations o
+      JOIN sdk_sessions s ON s.memory_session_id = o.memory_session_id
+      WHERE s.id = ?
+        AND NOT EXISTS (SELECT 1 FROM observation_commits oc WHERE oc.observation_id = o.id)
+    `).all(sessionDbId) as LinkableObservationRow[];
+
+    const link = db.prepare('INSERT OR IGNORE INTO observation_commits (observation_id, commit_sha) VALUES (?, ?)');
+    for (const obs of observations) {
+      for (const commit of pickCommits(obs, commits)) {
+        link.run(obs.id, commit.sha);
+      }
+    }
+
+    db.prepare(`UPDATE git_commits SET status = 'linked' WHERE session_db_id = ? AND status = 'queued'`).run(sessionDbId);
+
+    return { observations: observations.length, commits: commits.length };
+  });
+
+  const result = linkTx();
+  logger.debug('DB', 'Linked observations to git commits', { sessionDbId, ...result });
+  return result;
+}
+
+/**
+ * Commits an observation was generated from, oldest first
+ */
+export function getObservationCommits(db: Database, observationId: number): GitCommitRecord[] {
+  return db.prepare(`
+    SELECT c.* FROM git_commits c
+    JOIN observation_commits oc ON oc.commit_sha = c.sha
+    WHERE oc.observation_id = ?
+    ORDER BY c.author_date_epoch
+  `).all(observationId) as GitCommitRecord[];
+}
+
+/**
+ * Number of imported commits in each state
+ */
+export function getGitCommitCounts(db: Database): GitCommitCounts {
+  const counts: GitCommitCounts = { queued: 0, linked: 0 };
+  const rows = db.prepare('SELECT status, COUNT(*) as count FROM git_commits GROUP BY status')
+    .all() as { status: keyof GitCommitCounts; count: number }[];
+
+  for (const row of rows) {
+    counts[row.status] = row.count;
+  }
+  return counts;
+}
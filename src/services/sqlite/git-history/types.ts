@@ -0,0 +1,39 @@
+/**
+ * Git history import type definitions
+ * Used to track imported commits and tag observations with them
+ */
+import { logger } from '../../../utils/logger.js';
+
+/**
+ * queued: on the pending queue of its import session
+ * linked: the session drained and its observations were tagged with the commit
+ */
+export type GitCommitStatus = 'queued' | 'linked';
+
+export interface GitCommitRecord {
+  sha: string;
+  session_db_id: number;
+  author_name: string;
+  author_date_epoch: number;
+  subject: string;
+  /** JSON array of changed file paths */
+  files: string;
+  status: GitCommitStatus;
+  imported_at_epoch: number;
+}
+
+export interface GitCommitInput {
+  sha: string;
+  authorName: string;
+  authorDateEpoch: number;
+  subject: string;
+  files: string[];
+}
+
+export interface LinkCommitObservationsResult {
+  /** Observations that were not linked when they were stored */
+  observations: number;
+  commits: number;
+}
+
+export type GitCommitCounts = Record<GitCommitStatus, number>;
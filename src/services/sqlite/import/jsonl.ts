@@ -0,0 +1,247 @@
+/**
+ * Project import from versioned JSONL (see ../export/types.ts)
+ *
+ * The whole file is applied in one transaction: a malformed line, a missing footer
+ * or a footer whose counts disagree with the records aborts the import unchanged.
+ * Existing records are matched on natural keys, not IDs, since IDs differ between
+ * installations:
+ *   session      content_session_id
+ *   prompt       content_session_id + prompt_number
+ *   summary      memory_session_id + created_at_epoch
+ *   observation  memory_session_id + title + created_at_epoch
+ */
+
+import type { Database } from 'bun:sqlite';
+import { closeSync, openSync, readSync } from 'fs';
+import { StringDecoder } from 'string_decoder';
+import { logger } from '../../../utils/logger.js';
+import {
+  EXPORT_FORMAT,
+  EXPORT_FORMAT_VERSION,
+  type ExportHeader,
+  type ExportCounts,
+  type ExportRecordKind,
+  type ImportKindStats,
+  type ImportOptions,
+  type ProjectImportResult
+} from '../export/types.js';
+
+interface KindSpec {
+  table: string;
+  countKey: keyof ExportCounts;
+  required: string[];
+  findExisting: (db: Database, data: Record<string, unknown>) => { id: number } | null;
+}
+
+const KINDS: Record<ExportRecordKind, KindSpec> = {
+  session: {
+    table: 'sdk_sessions',
+    countKey: 'sessions',
+    required: ['content_session_id', 'project'],
+    findExisting: (db, data) => db.prepare('SELECT id FROM sdk_sessions WHERE content_session_id = ?')
+      .get(data.content_session_id as string) as { id: number } | null
+  },
+  prompt: {
+    table: 'user_prompts',
+    countKey: 'prompts',
+    required: ['content_session_id', 'prompt_number'],
+    findExisting: (db, data) => db.prepare('SELECT id FROM user_prompts WHERE content_session_id = ? AND prompt_number = ?')
+      .get(data.content_session_id as string, data.prompt_number as number) as { id: number } | null
+  },
+  summary: {
+    table: 'session_summaries',
+    countKey: 'summaries',
+    required: ['memory_session_id', 'project', 'created_at_epoch'],
+    findExisting: (db, data) => db.prepare('SELECT id FROM session_summaries WHERE memory_session_id = ? AND created_at_epoch = ?')
+      .get(data.memory_session_id as string, data.created_at_epoch as number) as { id: number } | null
+  },
+  observation: {
+    table: 'observations',
+    countKey: 'observations',
+    required: ['memory_session_id', 'project', 'type', 'created_at_epoch'],
+    findExisting: (db, data) => db.prepare('SELECT id FROM observations WHERE memory_session_id = ? AND title IS ? AND created_at_epoch = ?')
+      .get(data.memory_session_id as string, (data.title ?? null) as string | null, data.created_at_epoch as number) as { id: number } | null
+  }
+};
+
+/**
+ * Parse `old=new` project remappings (repeated or comma-separated) into ImportOptions.projectMap
+ * Throws on malformed entries
+ */
+export function parseProjectRemaps(values: string[]): Record<string, string> {
+  const map: Record<string, string> = {};
+  for (const entry of values.flatMap(value => value.split(','))) {
+    const separator = entry.indexOf('=');
+    const from = entry.slice(0, separator).trim();
+    const to = entry.slice(separator + 1).trim();
+    if (separator === -1 || !from || !to) {
+      throw new Error(`Invalid project remap "${entry}" (expected old=new)`);
+    }
+    map[from] = to;
+  }
+  return map;
+}
+
+const READ_CHUNK_BYTES = 1024 * 1024;
+
+/**
+ * Lines of a file, read a chunk at a time so large exports are never held in memory whole
+ * Synchronous, so it can feed importProjectLines inside its transaction
+ */
+export function* readFileLines(filePath: string): Generator<string> {
+  const fd = openSync(filePath, 'r');
+  const decoder = new StringDecoder('utf8');
+  const buffer = Buffer.alloc(READ_CHUNK_BYTES);
+  let pending = '';
+
+  try {
+    let bytesRead: number;
+    while ((bytesRead = readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+      const lines = (pending + decoder.write(buffer.subarray(0, bytesRead))).split('\n');
+      pending = lines.pop()!;
+      yield* lines;
+    }
+    yield pending + decoder.end();
+  } finally {
+    closeSync(fd);
+  }
+}
+
+function emptyStats(): ImportKindStats {
+  return { inserted: 0, updated: 0, skipped: 0 };
+}
+
+/**
+ * Validate the header line against the formats this build can read
+ */
+function parseHeader(line: unknown): ExportHeader {
+  const header = line as Partial<ExportHeader> | null;
+  if (!header || header.kind !== 'header' || header.format !== EXPORT_FORMAT) {
+    throw new Error(`Line 1: not a ${EXPORT_FORMAT} file (missing header)`);
+  }
+  if (typeof header.version !== 'number' || header.version > EXPORT_FORMAT_VERSION) {
+    throw new Error(`Line 1: export format version ${header.version} is newer than supported (${EXPORT_FORMAT_VERSION})`);
+  }
+  return header as ExportHeader;
+}
+
+/**
+ * Import JSONL lines (blank lines are ignored) in a single transaction
+ */
+export function importProjectLines(db: Database, lines: Iterable<string>, options: ImportOptions = {}): ProjectImportResult {
+  const conflict = options.conflict ?? 'skip';
+  const projectMap = options.projectMap ?? {};
+
+  const columnCache = new Map<string, Set<string>>();
+  const columnsOf = (table: string): Set<string> => {
+    if (!columnCache.has(table)) {
+      const info = db.prepare(`PRAGMA table_info(${table})`).all() as { name: string }[];
+      columnCache.set(table, new Set(info.map(column => column.name).filter(name => name !== 'id')));
+    }
+    return columnCache.get(table)!;
+  };
+
+  const run = db.transaction((): ProjectImportResult => {
+    let result: ProjectImportResult | null = null;
+    const seen: ExportCounts = { sessions: 0, prompts: 0, summaries: 0, observations: 0 };
+    let footer: ExportCounts | null = null;
+    let lineNumber = 0;
+
+    for (const raw of lines) {
+      lineNumber++;
+      if (raw.trim().length === 0) continue;
+
+      let line: any;
+      try {
+        line = JSON.parse(raw);
+      } catch {
+        throw new Error(`Line ${lineNumber}: invalid JSON`);
+      }
+
+      if (!result) {
+        result = {
+          header: parseHeader(line),
+          sessions: emptyStats(),
+          prompts: emptyStats(),
+          summaries: emptyStats(),
+          observations: emptyStats(),
+          touched: { observations: [], summaries: [], prompts: [] }
+        };
+        continue;
+      }
+      if (footer) {
+        throw new Error(`Line ${lineNumber}: content after footer`);
+      }
+      if (line?.kind === 'footer') {
+        footer = line.counts;
+        continue;
+      }
+
+      const spec = KINDS[line?.kind as ExportRecordKind];
+      const data = line?.data;
+      if (!spec || !data || typeof data !== 'object') {
+        throw new Error(`Line ${lineNumber}: unknown record kind ${JSON.stringify(line?.kind)}`);
+      }
+      const missing = spec.required.filter(field => data[field] === undefined || data[field] === null);
+      if (missing.length > 0) {
+        throw new Error(`Line ${lineNumber}: ${line.kind} is missing ${missing.join(', ')}`);
+      }
+
+      seen[spec.countKey]++;
+      if (typeof data.project === 'string' && projectMap[data.project]) {
+        data.project = projectMap[data.project];
+      }
+
+      const columns = [...columnsOf(spec.table)].filter(column => data[column] !== undefined);
+      const existing = spec.findExisting(db, data);
+      const stats = result[spec.countKey];
+      let id: number;
+
+      try {
+        if (existing && conflict === 'skip') {
+          stats.skipped++;
+          continue;
+        } else if (existing) {
+          db.prepare(`UPDATE ${spec.table} SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`)
+            .run(...columns.map(column => data[column] as any), existing.id);
+          id = existing.id;
+          stats.updated++;
+        } else {
+          const inserted = db.prepare(`INSERT INTO ${spec.table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`)
+            .run(...columns.map(column => data[column] as any));
+          id = Number(inserted.lastInsertRowid);
+          stats.inserted++;
+        }
+      } catch (error) {
+        throw new Error(`Line ${lineNumber}: ${line.kind} could not be written: ${error instanceof Error ? error.message : String(error)}`);
+      }
+
+      if (spec.countKey !== 'sessions') {
+        result.touched[spec.countKey].push(id);
+      }
+    }
+
+    if (!result) {
+      throw new Error('Empty import file');
+    }
+    if (!footer) {
+      throw new Error('Missing footer: the export file is truncated');
+    }
+    for (const key of Object.keys(seen) as (keyof ExportCounts)[]) {
+      if (footer[key] !== seen[key]) {
+        throw new Error(`Footer expects ${footer[key]} ${key} but the file has ${seen[key]}`);
+      }
+    }
+
+    return result;
+  });
+
+  const result = run();
+  logger.info('DB', 'Projects imported', {
+    conflict,
+    projects: result.header.projects.length,
+    sessions: result.sessions.inserted + result.sessions.updated,
+    observations: result.observations.inserted + result.observations.updated
+  });
+  return result;
+}
@@ -23,6 +23,9 @@ export { migrations } from './migrations.js';
 // Export transactions
 export { storeObservations, storeObservationsAndMarkComplete } from './transactions.js';
 
+// Export keyset pagination cursors
+export * from './cursor.js';
+
 // Re-export all modular functions for convenient access
 export * from './Sessions.js';
 export * from './Observations.js';
@@ -30,3 +33,12 @@ export * from './Summaries.js';
 export * from './Prompts.js';
 export * from './Timeline.js';
 export * from './Import.js';
+export * from './Projects.js';
+export * from './Retention.js';
+export * from './Backup.js';
+export * from './Doctor.js';
+export * from './Export.js';
+export * from './Backfill.js';
+export * from './GitHistory.js';
+export * from './TeamSync.js';
+export * from './SavedSearches.js';
@@ -0,0 +1,284 @@
+/**
+ * Observation deduplication and merging
+ *
+ * Long sessions tend to re-record the same finding with slightly different wording.
+ * Duplicates are detected by title/narrative token overlap plus files_modified overlap,
+ * and folded into a canonical observation: facts, concepts and files are unioned,
+ * and every folded record is kept as a JSON snapshot in observation_merges.
+ */
+
+import { Database } from 'bun:sqlite';
+import { logger } from '../../../utils/logger.js';
+import type {
+  ObservationInput,
+  ObservationDedupOptions,
+  ObservationSimilarity,
+  DuplicateObservationMatch,
+  ObservationMergeRecord,
+  MergeObservationsResult
+} from './types.js';
+
+const DEFAULT_CANDIDATE_LIMIT = 50;
+
+// Score weights; the files weight is redistributed when neither side modified files
+const TITLE_WEIGHT = 0.5;
+const NARRATIVE_WEIGHT = 0.3;
+const FILES_WEIGHT = 0.2;
+
+/**
+ * Columns needed to compare and merge, with array fields still JSON-encoded
+ */
+interface MergeableObservationRow {
+  id: number;
+  memory_session_id: string;
+  project: string;
+  type: string;
+  title: string | null;
+  subtitle: string | null;
+  narrative: string | null;
+  facts: string | null;
+  concepts: string | null;
+  files_read: string | null;
+  files_modified: string | null;
+  prompt_number: number | null;
+  created_at_epoch: number;
+}
+
+type ComparableObservation = Pick<ObservationInput, 'title' | 'narrative' | 'files_modified'>;
+
+function tokenize(text: string | null): Set<string> {
+  if (!text) return new Set();
+  return new Set(text.toLowerCase().split(/[^a-z0-9]+/).filter(token => token.length > 1));
+}
+
+function jaccard<T>(a: Set<T>, b: Set<T>): number {
+  if (a.size === 0 && b.size === 0) return 0;
+  let intersection = 0;
+  for (const item of a) {
+    if (b.has(item)) intersection++;
+  }
+  return intersection / (a.size + b.size - intersection);
+}
+
+function parseJsonArray(value: string | null): string[] {
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed.filter((v): v is string => typeof v === 'string') : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Union string arrays in order, skipping entries that only differ by case or whitespace
+ */
+function unionStrings(...lists: string[][]): string[] {
+  const seen = new Set<string>();
+  const result: string[] = [];
+  for (const list of lists) {
+    for (const item of list) {
+      const key = item.trim().replace(/\s+/g, ' ').toLowerCase();
+      if (!key || seen.has(key)) continue;
+      seen.add(key);
+      result.push(item);
+    }
+  }
+  return result;
+}
+
+function rowToComparable(row: MergeableObservationRow): ComparableObservation {
+  return {
+    title: row.title,
+    narrative: row.narrative,
+    files_modified: parseJsonArray(row.files_modified)
+  };
+}
+
+/**
+ * Score how similar two observations are (0-1)
+ * Title and narrative use token Jaccard; files use Jaccard over files_modified paths
+ */
+export function scoreObservationSimilarity(a: ComparableObservation, b: ComparableObservation): ObservationSimilarity {
+  const title = jaccard(tokenize(a.title), tokenize(b.title));
+  const narrative = jaccard(tokenize(a.narrative), tokenize(b.narrative));
+
+  const filesA = new Set(a.files_modified);
+  const filesB = new Set(b.files_modified);
+  const files = filesA.size === 0 && filesB.size === 0 ? null : jaccard(filesA, filesB);
+
+  const score = files === null
+    ? (title * TITLE_WEIGHT + narrative * NARRATIVE_WEIGHT) / (TITLE_WEIGHT + NARRATIVE_WEIGHT)
+    : title * TITLE_WEIGHT + narrative * NARRATIVE_WEIGHT + files * FILES_WEIGHT;
+
+  return { score, title, narrative, files };
+}
+
+/**
+ * Find the most similar recent observation of the same session and type
+ * Returns null when nothing scores at or above the threshold
+ */
+export function findDuplicateObservation(
+  db: Database,
+  memorySessionId: string,
+  observation: ObservationInput,
+  options: ObservationDedupOptions
+): DuplicateObservationMatch | null {
+  const candidates = db.prepare(`
+    SELECT id, title, narrative, files_modified
+    FROM observations
+    WHERE memory_session_id = ? AND type = ?
+    ORDER BY created_at_epoch DESC, id DESC
+    LIMIT ?
+  `).all(memorySessionId, observation.type, options.candidateLimit ?? DEFAULT_CANDIDATE_LIMIT) as MergeableObservationRow[];
+
+  let best: DuplicateObservationMatch | null = null;
+  for (const candidate of candidates) {
+    const { score } = scoreObservationSimilarity(observation, rowToComparable(candidate));
+    if (score >= options.threshold && (!best || score > best.similarity)) {
+      best = { id: candidate.id, similarity: score };
+    }
+  }
+  return best;
+}
+
+function getMergeableObservation(db: Database, id: number): MergeableObservationRow | null {
+  return db.prepare(`
+    SELECT id, memory_session_id, project, type, title, subtitle, narrative, facts, concepts,
+           files_read, files_modified, prompt_number, created_at_epoch
+    FROM observations
+    WHERE id = ?
+  `).get(id) as MergeableObservationRow | null;
+}
+
+function recordMerge(
+  db: Database,
+  canonicalId: number,
+  sourceId: number | null,
+  memorySessionId: string | null,
+  promptNumber: number | null,
+  method: 'auto' | 'manual',
+  similarity: number | null,
+  snapshot: Record<string, unknown>
+): void {
+  db.prepare(`
+    INSERT INTO observation_merges
+    (canonical_id, source_id, memory_session_id, prompt_number, method, similarity, snapshot, merged_at_epoch)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(canonicalId, sourceId, memorySessionId, promptNumber, method, similarity, JSON.stringify(snapshot), Date.now());
+}
+
+/**
+ * Fold a not-yet-stored observation into an existing one (store-time dedup)
+ * Unions facts, concepts and files into the canonical row and records provenance.
+ * Call inside the storing transaction.
+ */
+export function foldIntoObservation(
+  db: Database,
+  canonicalId: number,
+  observation: ObservationInput,
+  memorySessionId: string,
+  promptNumber: number | null,
+  similarity: number
+): void {
+  const canonical = getMergeableObservation(db, canonicalId);
+  if (!canonical) {
+    throw new Error(`Observation #${canonicalId} not found`);
+  }
+
+  db.prepare(`
+    UPDATE observations SET facts = ?, concepts = ?, files_read = ?, files_modified = ? WHERE id = ?
+  `).run(
+    JSON.stringify(unionStrings(parseJsonArray(canonical.facts), observation.facts)),
+    JSON.stringify(unionStrings(parseJsonArray(canonical.concepts), observation.concepts)),
+    JSON.stringify(unionStrings(parseJsonArray(canonical.files_read), observation.files_read)),
+    JSON.stringify(unionStrings(parseJsonArray(canonical.files_modified), observation.files_modified)),
+    canonicalId
+  );
+
+  recordMerge(db, canonicalId, null, memorySessionId, promptNumber, 'auto', similarity, { ...observation });
+
+  logger.debug('DB', 'Folded duplicate observation', { canonicalId, similarity: similarity.toFixed(2), title: observation.title });
+}
+
+/**
+ * Merge existing observations into a canonical observation (manual merge)
+ *
+ * Sources must belong to the same project as the canonical observation.
+ * Provenance already recorded against a source is re-pointed at the canonical
+ * observation before the source row is deleted. Returns null if the canonical
+ * observation does not exist.
+ */
+export function mergeObservations(
+  db: Database,
+  canonicalId: number,
+  sourceIds: number[]
+): MergeObservationsResult | null {
+  const mergeTx = db.transaction(() => {
+    const canonical = getMergeableObservation(db, canonicalId);
+    if (!canonical) return null;
+
+    const sources = [...new Set(sourceIds)]
+      .filter(id => id !== canonicalId)
+      .map(id => getMergeableObservation(db, id))
+      .filter((row): row is MergeableObservationRow => row !== null);
+
+    const crossProject = sources.find(source => source.project !== canonical.project);
+    if (crossProject) {
+      throw new Error(`Observation #${crossProject.id} belongs to project ${crossProject.project}, not ${canonical.project}`);
+    }
+
+    db.prepare(`
+      UPDATE observations SET facts = ?, concepts = ?, files_read = ?, files_modified = ? WHERE id = ?
+    `).run(
+      JSON.stringify(unionStrings(parseJsonArray(canonical.facts), ...sources.map(s => parseJsonArray(s.facts)))),
+      JSON.stringify(unionStrings(parseJsonArray(canonical.concepts), ...sources.map(s => parseJsonArray(s.concepts)))),
+      JSON.stringify(unionStrings(parseJsonArray(canonical.files_read), ...sources.map(s => parseJsonArray(s.files_read)))),
+      JSON.stringify(unionStrings(parseJsonArray(canonical.files_modified), ...sources.map(s => parseJsonArray(s.files_modified)))),
+      canonicalId
+    );
+
+    const repoint = db.prepare('UPDATE observation_merges SET canonical_id = ? WHERE canonical_id = ?');
+    const moveCommits = db.prepare(`
+      INSERT OR IGNORE INTO observation_commits (observation_id, commit_sha)
+      SELECT ?, commit_sha FROM observation_commits WHERE observation_id = ?
+    `);
+    const moveTeamEntry = db.prepare('UPDATE OR IGNORE team_sync_entries SET observation_id = ? WHERE observation_id = ?');
+    const remove = db.prepare('DELETE FROM observations WHERE id = ?');
+    for (const source of sources) {
+      recordMerge(
+        db,
+        canonicalId,
+        source.id,
+        source.memory_session_id,
+        source.prompt_number,
+        'manual',
+        scoreObservationSimilarity(rowToComparable(canonical), rowToComparable(source)).score,
+        { ...source }
+      );
+      repoint.run(canonicalId, source.id);
+      moveCommits.run(canonicalId, source.id);
+      moveTeamEntry.run(canonicalId, source.id);
+      remove.run(source.id);
+    }
+
+    return { canonicalId, mergedIds: sources.map(source => source.id) };
+  });
+
+  const result = mergeTx();
+  if (result && result.mergedIds.length > 0) {
+    logger.info('DB', 'Merged observations', { canonicalId, mergedIds: result.mergedIds.join(',') });
+  }
+  return result;
+}
+
+/**
+ * Provenance for a canonical observation, oldest first
+ */
+export function getObservationMerges(db: Database, canonicalId: number): ObservationMergeRecord[] {
+  return db.prepare(`
+    SELECT * FROM observation_merges
+    WHERE canonical_id = ?
+    ORDER BY merged_at_epoch ASC, id ASC
+  `).all(canonicalId) as ObservationMergeRecord[];
+}
@@ -0,0 +1,42 @@
+/**
+ * Observation pinning
+ * Pinned observations are always injected into context ahead of the timeline
+ */
+
+import { Database } from 'bun:sqlite';
+import { logger } from '../../../utils/logger.js';
+import type { ObservationRecord } from '../../../types/database.js';
+
+/**
+ * Pin or unpin a single observation
+ * Returns the updated observation, or null if it does not exist
+ */
+export function setObservationPinned(
+  db: Database,
+  id: number,
+  pinned: boolean,
+  pinnedAtEpoch: number = Date.now()
+): ObservationRecord | null {
+  const result = db.prepare(`
+    UPDATE observations
+    SET pinned = ?, pinned_at_epoch = ?
+    WHERE id = ?
+  `).run(pinned ? 1 : 0, pinned ? pinnedAtEpoch : null, id);
+
+  if (result.changes === 0) return null;
+  logger.info('DB', pinned ? 'Pinned observation' : 'Unpinned observation', { id });
+
+  return db.prepare('SELECT * FROM observations WHERE id = ?').get(id) as ObservationRecord;
+}
+
+/**
+ * Get pinned observations for a project, most recently pinned first
+ */
+export function getPinnedObservations(db: Database, project: string): ObservationRecord[] {
+  return db.prepare(`
+    SELECT *
+    FROM observations
+    WHERE project = ? AND pinned = 1
+    ORDER BY pinned_at_epoch DESC
+  `).all(project) as ObservationRecord[];
+}
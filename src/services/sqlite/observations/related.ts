@@ -0,0 +1,44 @@
+/**
+ * Related observation lookup
+ * Candidates for "similar observations" that share files or concepts with a target
+ */
+
+import { Database } from 'bun:sqlite';
+import { logger } from '../../../utils/logger.js';
+import type { ObservationRow } from '../types.js';
+
+/**
+ * Observations in the target's project that read or modified one of its files or
+ * share one of its concepts, most recent first (the target itself excluded)
+ */
+export function getObservationsSharingFilesOrConcepts(
+  db: Database,
+  observationId: number,
+  limit: number = 200
+): ObservationRow[] {
+  const rows = db.prepare(`
+    WITH target AS (
+      SELECT * FROM observations WHERE id = ?
+    ),
+    target_files AS (
+      SELECT value FROM target, json_each(target.files_read)
+      UNION
+      SELECT value FROM target, json_each(target.files_modified)
+    ),
+    target_concepts AS (
+      SELECT value FROM target, json_each(target.concepts)
+    )
+    SELECT o.*
+    FROM observations o, target t
+    WHERE o.project = t.project AND o.id != t.id AND (
+      EXISTS (SELECT 1 FROM json_each(o.files_read) WHERE value IN target_files)
+      OR EXISTS (SELECT 1 FROM json_each(o.files_modified) WHERE value IN target_files)
+      OR EXISTS (SELECT 1 FROM json_each(o.concepts) WHERE value IN target_concepts)
+    )
+    ORDER BY o.created_at_epoch DESC
+    LIMIT ?
+  `).all(observationId, limit) as ObservationRow[];
+
+  logger.debug('DB', 'Found observations sharing files or concepts', { observationId, count: rows.length });
+  return rows;
+}
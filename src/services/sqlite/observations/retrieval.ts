@@ -0,0 +1,31 @@
+/**
+ * Observation retrieval tracking
+ * Counts explicit fetches (get_observations, GET /api/observation/:id) so that
+ * relevance-based context selection can favor observations that keep being looked up
+ */
+
+import { Database } from 'bun:sqlite';
+import { logger } from '../../../utils/logger.js';
+
+/**
+ * Increment retrieval_count and stamp last_retrieved_at_epoch for the given observations
+ * Returns the number of rows updated
+ */
+export function recordObservationRetrievals(
+  db: Database,
+  ids: number[],
+  retrievedAtEpoch: number = Date.now()
+): number {
+  const uniqueIds = [...new Set(ids)];
+  if (uniqueIds.length === 0) return 0;
+
+  const placeholders = uniqueIds.map(() => '?').join(',');
+  const result = db.prepare(`
+    UPDATE observations
+    SET retrieval_count = retrieval_count + 1, last_retrieved_at_epoch = ?
+    WHERE id IN (${placeholders})
+  `).run(retrievedAtEpoch, ...uniqueIds);
+
+  logger.debug('DB', 'Recorded observation retrievals', { count: result.changes });
+  return result.changes;
+}
@@ -80,3 +80,56 @@ export interface AllRecentObservationRow {
   created_at: string;
   created_at_epoch: number;
 }
+
+/**
+ * Store-time deduplication options (CLAUDE_MEM_DEDUP_*)
+ */
+export interface ObservationDedupOptions {
+  /** Minimum similarity score (0-1) for an observation to be folded into an existing one */
+  threshold: number;
+  /** How many recent observations of the same session and type to compare against */
+  candidateLimit?: number;
+}
+
+/**
+ * Similarity breakdown between two observations
+ * files is null when neither observation modified any files
+ */
+export interface ObservationSimilarity {
+  score: number;
+  title: number;
+  narrative: number;
+  files: number | null;
+}
+
+/**
+ * Existing observation that a new observation duplicates
+ */
+export interface DuplicateObservationMatch {
+  id: number;
+  similarity: number;
+}
+
+/**
+ * Provenance row for an observation folded into a canonical observation
+ * source_id is null when the duplicate was folded in at store time and never got its own row
+ */
+export interface ObservationMergeRecord {
+  id: number;
+  canonical_id: number;
+  source_id: number | null;
+  memory_session_id: string | null;
+  prompt_number: number | null;
+  method: 'auto' | 'manual';
+  similarity: number | null;
+  snapshot: string;  // JSON of the merged observation's fields
+  merged_at_epoch: number;
+}
+
+/**
+ * Result from merging observations into a canonical observation
+ */
+export interface MergeObservationsResult {
+  canonicalId: number;
+  mergedIds: number[];
+}
@@ -0,0 +1,180 @@
+/**
+ * Project listing and migration functions
+ * Merge renames whole projects; split moves selected sessions to another project.
+ * Both run in a single transaction and update every table that stores a project name.
+ */
+
+import type { Database } from 'bun:sqlite';
+import { logger } from '../../../utils/logger.js';
+import type { ProjectSummary, ProjectMoveResult } from './types.js';
+
+/**
+ * List every project name with row counts, most recently active first
+ */
+export function getProjectSummaries(db: Database): ProjectSummary[] {
+  return db.prepare(`
+    SELECT
+      p.project,
+      (SELECT COUNT(*) FROM sdk_sessions WHERE project = p.project) as sessions,
+      (SELECT COUNT(*) FROM observations WHERE project = p.project) as observations,
+      (SELECT COUNT(*) FROM session_summaries WHERE project = p.project) as summaries,
+      (SELECT MAX(started_at_epoch) FROM sdk_sessions WHERE project = p.project) as last_activity_epoch
+    FROM (
+      SELECT project FROM sdk_sessions
+      UNION SELECT project FROM observations
+      UNION SELECT project FROM session_summaries
+    ) p
+    WHERE p.project IS NOT NULL AND p.project != ''
+    ORDER BY last_activity_epoch DESC
+  `).all() as ProjectSummary[];
+}
+
+function emptyMoveResult(): ProjectMoveResult {
+  return {
+    sessions: 0,
+    observations: 0,
+    summaries: 0,
+    vectors: 0,
+    touched: { observations: [], summaries: [], prompts: [] }
+  };
+}
+
+function selectIds(db: Database, sql: string, ...params: Array<string | number>): number[] {
+  return (db.prepare(sql).all(...params) as Array<{ id: number }>).map(row => row.id);
+}
+
+/**
+ * Rename one or more projects into a target project
+ * Used when several names refer to the same repo (subdirectories, renamed folders)
+ */
+export function mergeProjects(db: Database, sources: string[], target: string): ProjectMoveResult {
+  const result = emptyMoveResult();
+  const names = sources.filter(source => source !== target);
+  if (names.length === 0) return result;
+
+  const placeholders = names.map(() => '?').join(', ');
+
+  const merge = db.transaction(() => {
+    result.touched = {
+      observations: selectIds(db, `SELECT id FROM observations WHERE project IN (${placeholders})`, ...names),
+      summaries: selectIds(db, `SELECT id FROM session_summaries WHERE project IN (${placeholders})`, ...names),
+      prompts: selectIds(db, `
+        SELECT up.id FROM user_prompts up
+        JOIN sdk_sessions s ON s.content_session_id = up.content_session_id
+        WHERE s.project IN (${placeholders})
+      `, ...names)
+    };
+
+    result.sessions = db.prepare(`UPDATE sdk_sessions SET project = ? WHERE project IN (${placeholders})`)
+      .run(target, ...names).changes;
+    result.observations = db.prepare(`UPDATE observations SET project = ? WHERE project IN (${placeholders})`)
+      .run(target, ...names).changes;
+    result.summaries = db.prepare(`UPDATE session_summaries SET project = ? WHERE project IN (${placeholders})`)
+      .run(target, ...names).changes;
+    result.vectors = db.prepare(`
+      UPDATE vector_documents SET project = ?, metadata = json_set(metadata, '$.project', ?)
+      WHERE project IN (${placeholders})
+    `).run(target, target, ...names).changes;
+  });
+  merge();
+
+  const { touched, ...counts } = result;
+  logger.info('DB', 'Projects merged', { sources: names, target, ...counts });
+  return result;
+}
+
+/**
+ * Move selected sessions (and their observations, summaries and prompt vectors) from one project to another
+ * Sessions are matched by content_session_id or memory_session_id.
+ * Used when one project name holds memory from several unrelated repos.
+ */
+export function moveSessionsToProject(
+  db: Database,
+  source: string,
+  target: string,
+  sessionIds: string[]
+): ProjectMoveResult {
+  const result = emptyMoveResult();
+  if (sessionIds.length === 0 || source === target) return result;
+
+  const placeholders = sessionIds.map(() => '?').join(', ');
+  const sessions = db.prepare(`
+    SELECT id, memory_session_id FROM sdk_sessions
+    WHERE project = ? AND (content_session_id IN (${placeholders}) OR memory_session_id IN (${placeholders}))
+  `).all(source, ...sessionIds, ...sessionIds) as Array<{ id: number; memory_session_id: string | null }>;
+
+  if (sessions.length === 0) return result;
+
+  const sessionDbIds = sessions.map(s => s.id);
+  const memoryIds = sessions.map(s => s.memory_session_id).filter((id): id is string => !!id);
+  const sessionPlaceholders = sessionDbIds.map(() => '?').join(', ');
+  const memoryPlaceholders = memoryIds.map(() => '?').join(', ');
+
+  const move = db.transaction(() => {
+    const updateVectors = db.prepare(`
+      UPDATE vector_documents SET project = ?, metadata = json_set(metadata, '$.project', ?)
+      WHERE doc_type = ? AND sqlite_id = ? AND project = ?
+    `);
+
+    result.sessions = db.prepare(`UPDATE sdk_sessions SET project = ? WHERE id IN (${sessionPlaceholders})`)
+      .run(target, ...sessionDbIds).changes;
+    result.touched.prompts = selectIds(db, `
+      SELECT up.id FROM user_prompts up
+      JOIN sdk_sessions s ON s.content_session_id = up.content_session_id
+      WHERE s.id IN (${sessionPlaceholders})
+    `, ...sessionDbIds);
+    // Prompts take their project from the session; only their vectors store it
+    for (const id of result.touched.prompts) {
+      result.vectors += updateVectors.run(target, target, 'user_prompt', id, source).changes;
+    }
+
+    if (memoryIds.length === 0) return;
+
+    const observationIds = selectIds(db, `
+      SELECT id FROM observations WHERE project = ? AND memory_session_id IN (${memoryPlaceholders})
+    `, source, ...memoryIds);
+    const summaryIds = selectIds(db, `
+      SELECT id FROM session_summaries WHERE project = ? AND memory_session_id IN (${memoryPlaceholders})
+    `, source, ...memoryIds);
+    result.touched.observations = observationIds;
+    result.touched.summaries = summaryIds;
+
+    result.observations = db.prepare(`
+      UPDATE observations SET project = ? WHERE project = ? AND memory_session_id IN (${memoryPlaceholders})
+    `).run(target, source, ...memoryIds).changes;
+    result.summaries = db.prepare(`
+      UPDATE session_summaries SET project = ? WHERE project = ? AND memory_session_id IN (${memoryPlaceholders})
+    `).run(target, source, ...memoryIds).changes;
+
+    for (const id of observationIds) {
+      result.vectors += updateVectors.run(target, target, 'observation', id, source).changes;
+    }
+    for (const id of summaryIds) {
+      result.vectors += updateVectors.run(target, target, 'session_summary', id, source).changes;
+    }
+  });
+  move();
+
+  const { touched, ...counts } = result;
+  logger.info('DB', 'Sessions moved to project', { source, target, ...counts });
+  return result;
+}
+
+/**
+ * Find sessions in a project whose observations read or modified a file under a path prefix
+ * Returns content_session_ids, suitable for moveSessionsToProject
+ */
+export function findSessionsByFilePath(db: Database, project: string, pathPrefix: string): string[] {
+  // File lists are JSON arrays of strings, so a path starts right after an opening quote
+  const pattern = `%"${pathPrefix.replace(/[\\%_]/g, char => `\\${char}`)}%`;
+
+  const rows = db.prepare(`
+    SELECT DISTINCT s.content_session_id
+    FROM sdk_sessions s
+    JOIN observations o ON o.memory_session_id = s.memory_session_id
+    WHERE s.project = ?
+      AND (o.files_read LIKE ? ESCAPE '\\' OR o.files_modified LIKE ? ESCAPE '\\')
+  `).all(project, pattern, pattern) as Array<{ content_session_id: string }>;
+
+  return rows.map(row => row.content_session_id);
+}
@@ -0,0 +1,28 @@
+/**
+ * Project-related type definitions
+ * Used by project listing and project merge/split migrations
+ */
+import { logger } from '../../../utils/logger.js';
+
+/**
+ * Row counts and last activity for one project name
+ */
+export interface ProjectSummary {
+  project: string;
+  sessions: number;
+  observations: number;
+  summaries: number;
+  last_activity_epoch: number | null;
+}
+
+/**
+ * Rows reassigned by a project merge or split
+ */
+export interface ProjectMoveResult {
+  sessions: number;
+  observations: number;
+  summaries: number;
+  vectors: number;
+  /** Moved record IDs; their Chroma documents still carry the old project name */
+  touched: { observations: number[]; summaries: number[]; prompts: number[] };
+}
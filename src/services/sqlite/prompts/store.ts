@@ -7,15 +7,17 @@ import { logger } from '../../../utils/logger.js';
 
 /**
  * Save a user prompt to the database
+ * @param overrideTimestampEpoch - Optional timestamp override (transcript backfill keeps original times)
  * @returns The inserted row ID
  */
 export function saveUserPrompt(
   db: Database,
   contentSessionId: string,
   promptNumber: number,
-  promptText: string
+  promptText: string,
+  overrideTimestampEpoch?: number
 ): number {
-  const now = new Date();
+  const now = new Date(overrideTimestampEpoch ?? Date.now());
   const nowEpoch = now.getTime();
 
   const stmt = db.prepare(`
@@ -0,0 +1,135 @@
+/**
+ * Retention planning and pruning functions
+ * Planning is read-only (used for dry-run reports); applying a plan deletes its rows
+ * in a single transaction. FTS5 rows follow via the delete triggers and merge
+ * provenance via ON DELETE CASCADE; vector documents are removed by the caller.
+ */
+
+import type { Database } from 'bun:sqlite';
+import { logger } from '../../../utils/logger.js';
+import { deleteRowsByIds, selectRowsByIds } from '../batch.js';
+import type { RetentionPolicy, RetentionPlan, RetentionArchiveRows, RetentionResult } from './types.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether a policy can remove anything at all
+ */
+export function hasRetentionLimits(policy: RetentionPolicy): boolean {
+  return policy.maxAgeDays > 0 || policy.maxObservations > 0;
+}
+
+/**
+ * Work out which rows of a project a policy would remove, without deleting anything
+ *
+ * Observations of a kept type (and pinned ones, when keepPinned) are never removed and
+ * do not count toward maxObservations. Summaries, prompts and finished queue messages
+ * are only aged out by maxAgeDays.
+ */
+export function planRetention(
+  db: Database,
+  project: string,
+  policy: RetentionPolicy,
+  nowEpoch: number = Date.now()
+): RetentionPlan {
+  const cutoffEpoch = policy.maxAgeDays > 0 ? nowEpoch - policy.maxAgeDays * MS_PER_DAY : null;
+  const plan: RetentionPlan = {
+    project,
+    policy,
+    cutoffEpoch,
+    observationIds: [],
+    summaryIds: [],
+    promptIds: [],
+    pendingMessageIds: []
+  };
+
+  if (!hasRetentionLimits(policy)) {
+    return plan;
+  }
+
+  const protectedClauses: string[] = [];
+  const protectedParams: (string | number)[] = [];
+  if (policy.keepTypes.length > 0) {
+    protectedClauses.push(`type IN (${policy.keepTypes.map(() => '?').join(',')})`);
+    protectedParams.push(...policy.keepTypes);
+  }
+  if (policy.keepPinned) {
+    protectedClauses.push('pinned = 1');
+  }
+  const prunableWhere = protectedClauses.length > 0
+    ? `project = ? AND NOT (${protectedClauses.join(' OR ')})`
+    : 'project = ?';
+
+  const observationIds = new Set<number>();
+
+  if (cutoffEpoch !== null) {
+    const aged = db.prepare(`
+      SELECT id FROM observations
+      WHERE ${prunableWhere} AND created_at_epoch < ?
+    `).all(project, ...protectedParams, cutoffEpoch) as { id: number }[];
+    aged.forEach(row => observationIds.add(row.id));
+  }
+
+  if (policy.maxObservations > 0) {
+    const overflow = db.prepare(`
+      SELECT id FROM observations
+      WHERE ${prunableWhere}
+      ORDER BY created_at_epoch DESC, id DESC
+      LIMIT -1 OFFSET ?
+    `).all(project, ...protectedParams, policy.maxObservations) as { id: number }[];
+    overflow.forEach(row => observationIds.add(row.id));
+  }
+
+  plan.observationIds = [...observationIds].sort((a, b) => a - b);
+
+  if (cutoffEpoch !== null) {
+    plan.summaryIds = (db.prepare(`
+      SELECT id FROM session_summaries
+      WHERE project = ? AND created_at_epoch < ?
+      ORDER BY id
+    `).all(project, cutoffEpoch) as { id: number }[]).map(row => row.id);
+
+    plan.promptIds = (db.prepare(`
+      SELECT up.id FROM user_prompts up
+      JOIN sdk_sessions s ON up.content_session_id = s.content_session_id
+      WHERE s.project = ? AND up.created_at_epoch < ?
+      ORDER BY up.id
+    `).all(project, cutoffEpoch) as { id: number }[]).map(row => row.id);
+
+    plan.pendingMessageIds = (db.prepare(`
+      SELECT pm.id FROM pending_messages pm
+      JOIN sdk_sessions s ON pm.session_db_id = s.id
+      WHERE s.project = ? AND pm.status IN ('processed', 'failed') AND pm.created_at_epoch < ?
+      ORDER BY pm.id
+    `).all(project, cutoffEpoch) as { id: number }[]).map(row => row.id);
+  }
+
+  return plan;
+}
+
+/**
+ * Load the full rows a plan would remove, for archiving before applyRetention
+ * Queue messages are transient and not archived
+ */
+export function getRetentionArchiveRows(db: Database, plan: RetentionPlan): RetentionArchiveRows {
+  return {
+    observations: selectRowsByIds(db, 'SELECT * FROM observations WHERE id IN ($IDS) ORDER BY id', plan.observationIds),
+    summaries: selectRowsByIds(db, 'SELECT * FROM session_summaries WHERE id IN ($IDS) ORDER BY id', plan.summaryIds),
+    prompts: selectRowsByIds(db, 'SELECT * FROM user_prompts WHERE id IN ($IDS) ORDER BY id', plan.promptIds)
+  };
+}
+
+/**
+ * Delete every row in a plan in a single transaction
+ */
+export function applyRetention(db: Database, plan: RetentionPlan): RetentionResult {
+  const result = db.transaction((): RetentionResult => ({
+    observations: deleteRowsByIds(db, 'observations', plan.observationIds),
+    summaries: deleteRowsByIds(db, 'session_summaries', plan.summaryIds),
+    prompts: deleteRowsByIds(db, 'user_prompts', plan.promptIds),
+    pendingMessages: deleteRowsByIds(db, 'pending_messages', plan.pendingMessageIds)
+  }))();
+
+  logger.info('DB', 'Applied retention policy', { project: plan.project, ...result });
+  return result;
+}
@@ -0,0 +1,48 @@
+/**
+ * Retention-related type definitions
+ * Used by retention planning (dry run) and pruning
+ */
+import { logger } from '../../../utils/logger.js';
+
+/**
+ * Retention rules for one project
+ * maxAgeDays and maxObservations of 0 mean "no limit"
+ */
+export interface RetentionPolicy {
+  maxAgeDays: number;
+  maxObservations: number;
+  keepTypes: string[];
+  keepPinned: boolean;
+}
+
+/**
+ * Row IDs that a policy would remove from one project
+ */
+export interface RetentionPlan {
+  project: string;
+  policy: RetentionPolicy;
+  cutoffEpoch: number | null;
+  observationIds: number[];
+  summaryIds: number[];
+  promptIds: number[];
+  pendingMessageIds: number[];
+}
+
+/**
+ * Full rows of a plan, written to the project archive before deleting
+ */
+export interface RetentionArchiveRows {
+  observations: Record<string, unknown>[];
+  summaries: Record<string, unknown>[];
+  prompts: Record<string, unknown>[];
+}
+
+/**
+ * Rows deleted when a plan was applied
+ */
+export interface RetentionResult {
+  observations: number;
+  summaries: number;
+  prompts: number;
+  pendingMessages: number;
+}
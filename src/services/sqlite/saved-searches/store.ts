@@ -0,0 +1,92 @@
+/**
+ * Saved search storage
+ *
+ * Saved searches are plain rows; validating the query string is up to the caller
+ * (see parseSearchQuery). Match counters are only written by recordSavedSearchMatch.
+ */
+
+import type { Database } from 'bun:sqlite';
+import { logger } from '../../../utils/logger.js';
+import type { SavedSearchInput, SavedSearchRecord, SavedSearchUpdate } from './types.js';
+
+/**
+ * All saved searches, oldest first
+ */
+export function getSavedSearches(db: Database): SavedSearchRecord[] {
+  return db.prepare('SELECT * FROM saved_searches ORDER BY created_at_epoch, id').all() as SavedSearchRecord[];
+}
+
+/**
+ * Get a saved search by ID
+ */
+export function getSavedSearchById(db: Database, id: number): SavedSearchRecord | null {
+  return db.prepare('SELECT * FROM saved_searches WHERE id = ?').get(id) as SavedSearchRecord | null;
+}
+
+/**
+ * Create a saved search
+ */
+export function createSavedSearch(db: Database, input: SavedSearchInput, nowEpoch: number = Date.now()): SavedSearchRecord {
+  const result = db.prepare(`
+    INSERT INTO saved_searches (name, query, created_at_epoch, updated_at_epoch)
+    VALUES (?, ?, ?, ?)
+  `).run(input.name, input.query, nowEpoch, nowEpoch);
+
+  const id = Number(result.lastInsertRowid);
+  logger.info('DB', 'Saved search created', { id, name: input.name });
+  return getSavedSearchById(db, id)!;
+}
+
+/**
+ * Rename a saved search or change its query
+ * @returns the updated row, or null if it does not exist
+ */
+export function updateSavedSearch(
+  db: Database,
+  id: number,
+  update: SavedSearchUpdate,
+  nowEpoch: number = Date.now()
+): SavedSearchRecord | null {
+  const existing = getSavedSearchById(db, id);
+  if (!existing) {
+    return null;
+  }
+
+  db.prepare('UPDATE saved_searches SET name = ?, query = ?, updated_at_epoch = ? WHERE id = ?').run(
+    update.name ?? existing.name,
+    update.query ?? existing.query,
+    nowEpoch,
+    id
+  );
+
+  logger.debug('DB', 'Saved search updated', { id, fields: Object.keys(update) });
+  return getSavedSearchById(db, id);
+}
+
+/**
+ * Delete a saved search
+ * @returns whether a row was deleted
+ */
+export function deleteSavedSearch(db: Database, id: number): boolean {
+  const result = db.prepare('DELETE FROM saved_searches WHERE id = ?').run(id);
+  if (result.changes > 0) {
+    logger.info('DB', 'Saved search deleted', { id });
+  }
+  return result.changes > 0;
+}
+
+/**
+ * Count a match of a newly stored observation against a saved search
+ */
+export function recordSavedSearchMatch(
+  db: Database,
+  id: number,
+  observationId: number,
+  nowEpoch: number = Date.now()
+): void {
+  db.prepare(`
+    UPDATE saved_searches
+    SET match_count = match_count + 1, last_match_at_epoch = ?, last_match_observation_id = ?
+    WHERE id = ?
+  `).run(nowEpoch, observationId, id);
+}
@@ -0,0 +1,24 @@
+/**
+ * Saved search type definitions
+ * Used to watch topics: newly stored observations are matched against each saved query
+ */
+import { logger } from '../../../utils/logger.js';
+
+export interface SavedSearchRecord {
+  id: number;
+  name: string;
+  /** Query-language string, e.g. `file:src/services/sync/** concept:gotcha` */
+  query: string;
+  created_at_epoch: number;
+  updated_at_epoch: number;
+  match_count: number;
+  last_match_at_epoch: number | null;
+  last_match_observation_id: number | null;
+}
+
+export interface SavedSearchInput {
+  name: string;
+  query: string;
+}
+
+export type SavedSearchUpdate = Partial<SavedSearchInput>;
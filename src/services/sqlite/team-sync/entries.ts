@@ -0,0 +1,160 @@
+/**
+ * Team memory sync entries
+ *
+ * Each shared observation has a stable UUID (its file name in the repository) and
+ * the hash of its file as last written or read: an import only touches observations
+ * whose file changed since, so local edits survive until a teammate edits the entry.
+ */
+
+import type { Database } from 'bun:sqlite';
+import { logger } from '../../../utils/logger.js';
+import { storeObservation } from '../observations/store.js';
+import type {
+  TeamMemoryEntry,
+  TeamSyncApplyResult,
+  TeamSyncEntryInput,
+  TeamSyncEntryRecord,
+  TeamSyncObservationRow,
+  TeamSyncSelection
+} from './types.js';
+
+/**
+ * Get a shared entry by its UUID
+ */
+export function getTeamSyncEntry(db: Database, uuid: string): TeamSyncEntryRecord | null {
+  return db.prepare('SELECT * FROM team_sync_entries WHERE uuid = ?').get(uuid) as TeamSyncEntryRecord | null;
+}
+
+/**
+ * Observations of a project to export: those already shared plus the selected ones, oldest first
+ */
+export function getTeamSyncObservations(
+  db: Database,
+  project: string,
+  selection: TeamSyncSelection
+): TeamSyncObservationRow[] {
+  const conditions: string[] = ['e.uuid IS NOT NULL'];
+  const params: (string | number)[] = [project];
+
+  if (selection.all) {
+    conditions.push('1');
+  }
+  if (selection.pinned) {
+    conditions.push('o.pinned = 1');
+  }
+  if (selection.types && selection.types.length > 0) {
+    conditions.push(`o.type IN (${selection.types.map(() => '?').join(',')})`);
+    params.push(...selection.types);
+  }
+  if (selection.ids && selection.ids.length > 0) {
+    conditions.push(`o.id IN (${selection.ids.map(() => '?').join(',')})`);
+    params.push(...selection.ids);
+  }
+
+  return db.prepare(`
+    SELECT o.id, o.type, o.title, o.subtitle, o.narrative, o.facts, o.concepts, o.files_read, o.files_modified,
+           o.created_at_epoch, e.uuid, e.author_name, e.author_email, e.content_hash
+    FROM observations o
+    LEFT JOIN team_sync_entries e ON e.observation_id = o.id
+    WHERE o.project = ? AND (${conditions.join(' OR ')})
+    ORDER BY o.created_at_epoch, o.id
+  `).all(...params) as TeamSyncObservationRow[];
+}
+
+/**
+ * Record an entry as written or read; origin and author of an existing entry are kept
+ */
+export function recordTeamSyncEntry(db: Database, entry: TeamSyncEntryInput, nowEpoch: number = Date.now()): void {
+  db.prepare(`
+    INSERT INTO team_sync_entries (uuid, observation_id, author_name, author_email, origin, content_hash, synced_at_epoch)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(uuid) DO UPDATE SET
+      observation_id = excluded.observation_id,
+      content_hash = excluded.content_hash,
+      synced_at_epoch = excluded.synced_at_epoch
+  `).run(
+    entry.uuid,
+    entry.observationId,
+    entry.author.name,
+    entry.author.email,
+    entry.origin,
+    entry.contentHash,
+    nowEpoch
+  );
+}
+
+/**
+ * Session that holds a project's imported team observations
+ * Predictable ID format, like manual sessions: "team-sync-{project}"
+ */
+export function getOrCreateTeamSyncSession(db: Database, project: string): string {
+  const memorySessionId = `team-sync-${project}`;
+
+  const existing = db.prepare('SELECT 1 FROM sdk_sessions WHERE memory_session_id = ?').get(memorySessionId);
+  if (!existing) {
+    const now = new Date();
+    db.prepare(`
+      INSERT INTO sdk_sessions (memory_session_id, content_session_id, project, started_at, started_at_epoch, status)
+      VALUES (?, ?, ?, ?, ?, 'completed')
+    `).run(memorySessionId, `team-sync-content-${project}`, project, now.toISOString(), now.getTime());
+
+    logger.info('SESSION', 'Created team sync session', { memorySessionId, project });
+  }
+
+  return memorySessionId;
+}
+
+/**
+ * Bring one entry read from the repository into the project
+ */
+export function applyTeamMemoryEntry(
+  db: Database,
+  project: string,
+  entry: TeamMemoryEntry,
+  contentHash: string,
+  nowEpoch: number = Date.now()
+): TeamSyncApplyResult {
+  const existing = getTeamSyncEntry(db, entry.uuid);
+
+  if (existing && existing.observation_id === null) {
+    return { action: 'deleted', observationId: null };
+  }
+  if (existing && existing.content_hash === contentHash) {
+    return { action: 'unchanged', observationId: existing.observation_id };
+  }
+
+  if (existing) {
+    const observationId = existing.observation_id as number;
+    db.prepare(`
+      UPDATE observations
+      SET type = ?, title = ?, subtitle = ?, narrative = ?, facts = ?, concepts = ?, files_read = ?, files_modified = ?
+      WHERE id = ?
+    `).run(
+      entry.type,
+      entry.title,
+      entry.subtitle,
+      entry.narrative,
+      JSON.stringify(entry.facts),
+      JSON.stringify(entry.concepts),
+      JSON.stringify(entry.files_read),
+      JSON.stringify(entry.files_modified),
+      observationId
+    );
+    recordTeamSyncEntry(db, { uuid: entry.uuid, observationId, author: entry.author, origin: existing.origin, contentHash }, nowEpoch);
+    return { action: 'updated', observationId };
+  }
+
+  const createdAtEpoch = Date.parse(entry.created_at);
+  const { id } = storeObservation(
+    db,
+    getOrCreateTeamSyncSession(db, project),
+    project,
+    entry,
+    undefined,
+    0,
+    Number.isNaN(createdAtEpoch) ? nowEpoch : createdAtEpoch
+  );
+  recordTeamSyncEntry(db, { uuid: entry.uuid, observationId: id, author: entry.author, origin: 'imported', contentHash }, nowEpoch);
+  return { action: 'inserted', observationId: id };
+}
+
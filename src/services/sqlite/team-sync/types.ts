@@ -0,0 +1,92 @@
+/**
+ * Team memory sync type definitions
+ * Used to share observations through files committed to a repository
+ */
+import { logger } from '../../../utils/logger.js';
+
+/**
+ * local: created here and exported
+ * imported: created by a teammate and read from the repository
+ */
+export type TeamSyncOrigin = 'local' | 'imported';
+
+export interface TeamSyncEntryRecord {
+  uuid: string;
+  /** null once the observation was deleted locally; the entry is then not imported again */
+  observation_id: number | null;
+  author_name: string | null;
+  author_email: string | null;
+  origin: TeamSyncOrigin;
+  /** SHA-256 of the entry file as last written or read */
+  content_hash: string;
+  synced_at_epoch: number;
+}
+
+export interface TeamAuthor {
+  name: string | null;
+  email: string | null;
+}
+
+/**
+ * One shared observation, as stored in its file
+ */
+export interface TeamMemoryEntry {
+  uuid: string;
+  type: string;
+  title: string | null;
+  subtitle: string | null;
+  narrative: string | null;
+  facts: string[];
+  concepts: string[];
+  files_read: string[];
+  files_modified: string[];
+  created_at: string;
+  author: TeamAuthor;
+}
+
+/**
+ * Which observations to export, besides those already shared
+ * Without any criteria, pinned observations are exported.
+ */
+export interface TeamSyncSelection {
+  all?: boolean;
+  pinned?: boolean;
+  types?: string[];
+  ids?: number[];
+}
+
+export interface TeamSyncObservationRow {
+  id: number;
+  type: string;
+  title: string | null;
+  subtitle: string | null;
+  narrative: string | null;
+  facts: string | null;
+  concepts: string | null;
+  files_read: string | null;
+  files_modified: string | null;
+  created_at_epoch: number;
+  uuid: string | null;
+  author_name: string | null;
+  author_email: string | null;
+  content_hash: string | null;
+}
+
+/**
+ * What importing one entry file did
+ * deleted: the entry's observation was deleted locally, so it was left out
+ */
+export type TeamSyncApplyAction = 'inserted' | 'updated' | 'unchanged' | 'deleted';
+
+export interface TeamSyncApplyResult {
+  action: TeamSyncApplyAction;
+  observationId: number | null;
+}
+
+export interface TeamSyncEntryInput {
+  uuid: string;
+  observationId: number;
+  author: TeamAuthor;
+  origin: TeamSyncOrigin;
+  contentHash: string;
+}
@@ -8,7 +8,8 @@
 
 import { Database } from 'bun:sqlite';
 import { logger } from '../../utils/logger.js';
-import type { ObservationInput } from './observations/types.js';
+import type { ObservationInput, ObservationDedupOptions } from './observations/types.js';
+import { findDuplicateObservation, foldIntoObservation } from './observations/merge.js';
 import type { SummaryInput } from './summaries/types.js';
 
 /**
@@ -18,6 +19,8 @@ export interface StoreObservationsResult {
   observationIds: number[];
   summaryId: number | null;
   createdAtEpoch: number;
+  /** Indexes into observationIds whose observation was folded into an existing one instead of inserted */
+  foldedIndexes?: number[];
 }
 
 // Legacy alias for backwards compatibility
@@ -154,6 +157,7 @@ export function storeObservationsAndMarkComplete(
  * @param promptNumber - Optional prompt number
  * @param discoveryTokens - Discovery tokens count
  * @param overrideTimestampEpoch - Optional override timestamp
+ * @param dedup - Optional store-time deduplication; duplicates are folded into the matching observation
  * @returns Object with observation IDs, optional summary ID, and timestamp
  */
 export function storeObservations(
@@ -164,7 +168,8 @@ export function storeObservations(
   summary: SummaryInput | null,
   promptNumber?: number,
   discoveryTokens: number = 0,
-  overrideTimestampEpoch?: number
+  overrideTimestampEpoch?: number,
+  dedup?: ObservationDedupOptions
 ): StoreObservationsResult {
   // Use override timestamp if provided
   const timestampEpoch = overrideTimestampEpoch ?? Date.now();
@@ -173,6 +178,7 @@ export function storeObservations(
   // Create transaction that wraps all operations
   const storeTx = db.transaction(() => {
     const observationIds: number[] = [];
+    const foldedIndexes: number[] = [];
 
     // 1. Store all observations
     const obsStmt = db.prepare(`
@@ -183,6 +189,14 @@ export function storeObservations(
     `);
 
     for (const observation of observations) {
+      const duplicate = dedup ? findDuplicateObservation(db, memorySessionId, observation, dedup) : null;
+      if (duplicate) {
+        foldIntoObservation(db, duplicate.id, observation, memorySessionId, promptNumber || null, duplicate.similarity);
+        foldedIndexes.push(observationIds.length);
+        observationIds.push(duplicate.id);
+        continue;
+      }
+
       const result = obsStmt.run(
         memorySessionId,
         project,
@@ -229,7 +243,7 @@ export function storeObservations(
       summaryId = Number(result.lastInsertRowid);
     }
 
-    return { observationIds, summaryId, createdAtEpoch: timestampEpoch };
+    return { observationIds, summaryId, createdAtEpoch: timestampEpoch, foldedIndexes };
   });
 
   // Execute the transaction and return results
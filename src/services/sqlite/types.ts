@@ -263,10 +263,21 @@ export interface SearchFilters {
   dateRange?: DateRange;
 }
 
+/**
+ * Position in a list ordered by created_at_epoch, with id breaking ties
+ * (see cursor.ts for keyset pagination)
+ */
+export interface KeysetPosition {
+  epoch: number;
+  id: number;
+}
+
 export interface SearchOptions extends SearchFilters {
   limit?: number;
   offset?: number;
   orderBy?: 'relevance' | 'date_desc' | 'date_asc';
+  /** Keyset pagination: only rows strictly after this position in date order (replaces offset) */
+  cursor?: KeysetPosition;
   /** When true, treats filePath as a folder and only matches direct children (not descendants) */
   isFolder?: boolean;
 }
@@ -274,14 +285,17 @@ export interface SearchOptions extends SearchFilters {
 export interface ObservationSearchResult extends ObservationRow {
   rank?: number; // FTS5 relevance score (lower is better)
   score?: number; // Normalized score (higher is better, 0-1)
+  snippet?: string; // FTS5 excerpt with matched terms highlighted
 }
 
 export interface SessionSummarySearchResult extends SessionSummaryRow {
   rank?: number; // FTS5 relevance score (lower is better)
   score?: number; // Normalized score (higher is better, 0-1)
+  snippet?: string; // FTS5 excerpt with matched terms highlighted
 }
 
 export interface UserPromptSearchResult extends UserPromptRow {
   rank?: number; // FTS5 relevance score (lower is better)
   score?: number; // Normalized score (higher is better, 0-1)
+  snippet?: string; // FTS5 excerpt with matched terms highlighted
 }
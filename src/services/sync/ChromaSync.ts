@@ -6,6 +6,10 @@
  * a vector database synchronized with SQLite.
  *
  * Design: Fail-fast with no fallbacks - if Chroma is unavailable, syncing fails.
+ *
+ * Backends (CLAUDE_MEM_VECTOR_BACKEND):
+ * - chroma (default): chroma-mcp Python server spawned via uvx
+ * - local: LocalVectorIndex in SQLite with a pluggable Embedder - no Python, works on Windows
  */
 
 import { Client } from '@modelcontextprotocol/sdk/client/index.js';
@@ -15,6 +19,8 @@ import { SessionStore } from '../sqlite/SessionStore.js';
 import { logger } from '../../utils/logger.js';
 import { SettingsDefaultsManager } from '../../shared/SettingsDefaultsManager.js';
 import { USER_SETTINGS_PATH } from '../../shared/paths.js';
+import { LocalVectorIndex } from './LocalVectorIndex.js';
+import { createEmbedder } from './Embedder.js';
 import path from 'path';
 import os from 'os';
 import fs from 'fs';
@@ -30,7 +36,7 @@ interface ChromaDocument {
   metadata: Record<string, string | number>;
 }
 
-interface StoredObservation {
+export interface StoredObservation {
   id: number;
   memory_session_id: string;
   project: string;
@@ -49,7 +55,7 @@ interface StoredObservation {
   created_at_epoch: number;
 }
 
-interface StoredSummary {
+export interface StoredSummary {
   id: number;
   memory_session_id: string;
   project: string;
@@ -65,7 +71,7 @@ interface StoredSummary {
   created_at_epoch: number;
 }
 
-interface StoredUserPrompt {
+export interface StoredUserPrompt {
   id: number;
   content_session_id: string;
   prompt_number: number;
@@ -76,6 +82,15 @@ interface StoredUserPrompt {
   project: string;
 }
 
+/**
+ * Full rows for a set of records, as returned by getVectorSyncRows
+ */
+export interface StoredRecords {
+  observations: StoredObservation[];
+  summaries: StoredSummary[];
+  prompts: StoredUserPrompt[];
+}
+
 export class ChromaSync {
   private client: Client | null = null;
   private transport: StdioClientTransport | null = null;
@@ -84,20 +99,27 @@ export class ChromaSync {
   private collectionName: string;
   private readonly VECTOR_DB_DIR: string;
   private readonly BATCH_SIZE = 100;
+  private readonly backend: 'chroma' | 'local';
+  private localIndex: LocalVectorIndex | null = null;
 
   // Windows: Chroma disabled due to MCP SDK spawning console popups
   // See: https://github.com/anthropics/claude-mem/issues/675
   // Will be re-enabled when we migrate to persistent HTTP server
   private readonly disabled: boolean;
 
-  constructor(project: string) {
+  constructor(project: string, localIndex?: LocalVectorIndex) {
     this.project = project;
     this.collectionName = `cm__${project}`;
     this.VECTOR_DB_DIR = path.join(os.homedir(), '.claude-mem', 'vector-db');
 
+    const settings = SettingsDefaultsManager.loadFromFile(USER_SETTINGS_PATH);
+    this.backend = localIndex || settings.CLAUDE_MEM_VECTOR_BACKEND === 'local' ? 'local' : 'chroma';
+    this.localIndex = localIndex ?? null;
+
     // Disable on Windows to prevent console popups from MCP subprocess spawning
     // The MCP SDK's StdioClientTransport spawns Python processes that create visible windows
-    this.disabled = process.platform === 'win32';
+    // The local backend runs in-process, so it stays enabled
+    this.disabled = this.backend === 'chroma' && process.platform === 'win32';
     if (this.disabled) {
       logger.warn('CHROMA_SYNC', 'Vector search disabled on Windows (prevents console popups)', {
         project: this.project,
@@ -187,6 +209,26 @@ export class ChromaSync {
     return this.disabled;
   }
 
+  /**
+   * Check if vectors live in the in-process SQLite index
+   * That index shares the database, so SQL migrations can rewrite its metadata directly
+   */
+  isLocalBackend(): boolean {
+    return this.backend === 'local';
+  }
+
+  /**
+   * Get the in-process vector index, opening it on first use
+   */
+  private getLocalIndex(): LocalVectorIndex {
+    if (!this.localIndex) {
+      const settings = SettingsDefaultsManager.loadFromFile(USER_SETTINGS_PATH);
+      this.localIndex = new LocalVectorIndex(createEmbedder(settings));
+      logger.info('CHROMA', 'Local vector index opened', { project: this.project, model: this.localIndex.model });
+    }
+    return this.localIndex;
+  }
+
   /**
    * Ensure MCP client is connected to Chroma server
    * Throws error if connection fails
@@ -475,6 +517,11 @@ export class ChromaSync {
       return;
     }
 
+    if (this.backend === 'local') {
+      await this.getLocalIndex().addDocuments(documents);
+      return;
+    }
+
     await this.ensureCollection();
 
     if (!this.client) {
@@ -655,15 +702,166 @@ export class ChromaSync {
     await this.addDocuments([document]);
   }
 
+  /**
+   * Delete every Chroma document belonging to one SQLite record
+   * Observations and summaries are split across several documents, so IDs are looked up by metadata
+   * Returns the number of documents deleted, throws on error
+   */
+  private async deleteDocumentsForRecord(
+    docType: 'observation' | 'session_summary' | 'user_prompt',
+    sqliteId: number
+  ): Promise<number> {
+    if (this.backend === 'local') {
+      return this.getLocalIndex().deleteRecord(docType, sqliteId);
+    }
+
+    await this.ensureCollection();
+
+    if (!this.client) {
+      throw new Error(
+        'Chroma client not initialized. Call ensureConnection() before using client methods.' +
+        ` Project: ${this.project}`
+      );
+    }
+
+    try {
+      const result = await this.client.callTool({
+        name: 'chroma_get_documents',
+        arguments: {
+          collection_name: this.collectionName,
+          where: { $and: [{ doc_type: docType }, { sqlite_id: sqliteId }] },
+          include: ['metadatas']
+        }
+      });
+
+      const data = (result.content as Array<{ type: string; text: string }>)[0];
+      if (data.type !== 'text') {
+        throw new Error('Unexpected response type from chroma_get_documents');
+      }
+
+      const ids: string[] = JSON.parse(data.text).ids || [];
+      if (ids.length === 0) {
+        return 0;
+      }
+
+      await this.client.callTool({
+        name: 'chroma_delete_documents',
+        arguments: {
+          collection_name: this.collectionName,
+          ids
+        }
+      });
+
+      logger.debug('CHROMA', 'Documents deleted', {
+        collection: this.collectionName,
+        docType,
+        sqliteId,
+        count: ids.length
+      });
+
+      return ids.length;
+    } catch (error) {
+      logger.error('CHROMA', 'Failed to delete documents', {
+        collection: this.collectionName,
+        docType,
+        sqliteId
+      }, error as Error);
+      throw new Error(`Document delete failed: ${error instanceof Error ? error.message : String(error)}`);
+    }
+  }
+
+  /**
+   * Remove an observation's documents from Chroma
+   * No-op on Windows (Chroma disabled to prevent console popups)
+   */
+  async deleteObservation(observationId: number): Promise<void> {
+    if (this.disabled) return;
+    await this.deleteDocumentsForRecord('observation', observationId);
+  }
+
+  /**
+   * Remove a summary's documents from Chroma
+   * No-op on Windows (Chroma disabled to prevent console popups)
+   */
+  async deleteSummary(summaryId: number): Promise<void> {
+    if (this.disabled) return;
+    await this.deleteDocumentsForRecord('session_summary', summaryId);
+  }
+
+  /**
+   * Remove a user prompt's document from Chroma
+   * No-op on Windows (Chroma disabled to prevent console popups)
+   */
+  async deleteUserPrompt(promptId: number): Promise<void> {
+    if (this.disabled) return;
+    await this.deleteDocumentsForRecord('user_prompt', promptId);
+  }
+
+  /**
+   * Replace an edited observation's documents with freshly formatted ones
+   * Old documents are deleted first because the number of fact documents may change
+   */
+  async resyncObservation(obs: StoredObservation): Promise<void> {
+    if (this.disabled) return;
+    await this.deleteDocumentsForRecord('observation', obs.id);
+    await this.addDocuments(this.formatObservationDocs(obs));
+  }
+
+  /**
+   * Replace an edited summary's documents with freshly formatted ones
+   */
+  async resyncSummary(summary: StoredSummary): Promise<void> {
+    if (this.disabled) return;
+    await this.deleteDocumentsForRecord('session_summary', summary.id);
+    await this.addDocuments(this.formatSummaryDocs(summary));
+  }
+
+  /**
+   * Replace an edited user prompt's document
+   */
+  async resyncUserPrompt(prompt: StoredUserPrompt): Promise<void> {
+    if (this.disabled) return;
+    await this.deleteDocumentsForRecord('user_prompt', prompt.id);
+    await this.addDocuments([this.formatUserPromptDoc(prompt)]);
+  }
+
+  /**
+   * Resync a batch of records, one at a time
+   * A record that fails is logged and skipped so the rest still reach the index
+   * Returns the number of records resynced
+   */
+  async resyncRecords(rows: StoredRecords): Promise<number> {
+    let resynced = 0;
+    const attempt = async (kind: string, id: number, resync: () => Promise<void>) => {
+      try {
+        await resync();
+        resynced++;
+      } catch (error) {
+        logger.error('CHROMA', 'Vector resync failed for record', { kind, id }, error as Error);
+      }
+    };
+
+    for (const obs of rows.observations) await attempt('observation', obs.id, () => this.resyncObservation(obs));
+    for (const summary of rows.summaries) await attempt('summary', summary.id, () => this.resyncSummary(summary));
+    for (const prompt of rows.prompts) await attempt('prompt', prompt.id, () => this.resyncUserPrompt(prompt));
+
+    return resynced;
+  }
+
   /**
    * Fetch all existing document IDs from Chroma collection
    * Returns Sets of SQLite IDs for observations, summaries, and prompts
+   * Pass project = null to include documents of every project (used by doctor)
    */
-  private async getExistingChromaIds(): Promise<{
+  async getExistingChromaIds(project: string | null = this.project): Promise<{
     observations: Set<number>;
     summaries: Set<number>;
     prompts: Set<number>;
   }> {
+    if (this.backend === 'local') {
+      return this.getLocalIndex().getExistingIds(project);
+    }
+
     await this.ensureConnection();
 
     if (!this.client) {
@@ -680,7 +878,7 @@ export class ChromaSync {
     let offset = 0;
     const limit = 1000; // Large batches, metadata only = fast
 
-    logger.info('CHROMA_SYNC', 'Fetching existing Chroma document IDs...', { project: this.project });
+    logger.info('CHROMA_SYNC', 'Fetching existing Chroma document IDs...', { project: project ?? 'all' });
 
     while (true) {
       try {
@@ -690,7 +888,7 @@ export class ChromaSync {
             collection_name: this.collectionName,
             limit,
             offset,
-            where: { project: this.project }, // Filter by project
+            ...(project ? { where: { project } } : {}), // Filter by project
             include: ['metadatas']
           }
         });
@@ -723,18 +921,18 @@ export class ChromaSync {
         offset += limit;
 
         logger.debug('CHROMA_SYNC', 'Fetched batch of existing IDs', {
-          project: this.project,
+          project: project ?? 'all',
           offset,
           batchSize: metadatas.length
         });
       } catch (error) {
-        logger.error('CHROMA_SYNC', 'Failed to fetch existing IDs', { project: this.project }, error as Error);
+        logger.error('CHROMA_SYNC', 'Failed to fetch existing IDs', { project: project ?? 'all' }, error as Error);
         throw error;
       }
     }
 
     logger.info('CHROMA_SYNC', 'Existing IDs fetched', {
-      project: this.project,
+      project: project ?? 'all',
       observations: observationIds.size,
       summaries: summaryIds.size,
       prompts: promptIds.size
@@ -754,7 +952,9 @@ export class ChromaSync {
 
     logger.info('CHROMA_SYNC', 'Starting smart backfill', { project: this.project });
 
-    await this.ensureCollection();
+    if (this.backend === 'chroma') {
+      await this.ensureCollection();
+    }
 
     // Fetch existing IDs from Chroma (fast, metadata only)
     const existing = await this.getExistingChromaIds();
@@ -929,6 +1129,10 @@ export class ChromaSync {
       return { ids: [], distances: [], metadatas: [] };
     }
 
+    if (this.backend === 'local') {
+      return await this.getLocalIndex().query(query, limit, whereFilter);
+    }
+
     await this.ensureConnection();
 
     if (!this.client) {
@@ -1030,10 +1234,77 @@ export class ChromaSync {
     return { ids, distances, metadatas };
   }
 
+  /**
+   * Copy every document in the cm__<project> Chroma collection into the local vector index
+   * Documents are re-embedded with the local embedder; IDs and metadata are kept, so
+   * re-running is safe. Requires uvx for the one-time read from Chroma.
+   * Returns the number of documents copied.
+   */
+  async migrateCollectionToLocal(): Promise<number> {
+    await this.ensureConnection();
+
+    if (!this.client) {
+      throw new Error(
+        'Chroma client not initialized. Call ensureConnection() before using client methods.' +
+        ` Project: ${this.project}`
+      );
+    }
+
+    const index = this.getLocalIndex();
+    let offset = 0;
+    let copied = 0;
+
+    logger.info('CHROMA', 'Migrating Chroma collection to local vector index', {
+      collection: this.collectionName,
+      model: index.model
+    });
+
+    while (true) {
+      const result = await this.client.callTool({
+        name: 'chroma_get_documents',
+        arguments: {
+          collection_name: this.collectionName,
+          limit: this.BATCH_SIZE,
+          offset,
+          include: ['documents', 'metadatas']
+        }
+      });
+
+      const data = (result.content as Array<{ type: string; text: string }>)[0];
+      if (data.type !== 'text') {
+        throw new Error('Unexpected response type from chroma_get_documents');
+      }
+
+      const parsed = JSON.parse(data.text);
+      const ids: string[] = parsed.ids || [];
+      if (ids.length === 0) {
+        break;
+      }
+
+      const documents: ChromaDocument[] = ids
+        .map((id, i) => ({ id, document: parsed.documents?.[i], metadata: parsed.metadatas?.[i] }))
+        .filter(doc => doc.document && doc.metadata?.sqlite_id !== undefined && doc.metadata?.doc_type);
+
+      await index.addDocuments(documents);
+      copied += documents.length;
+      offset += ids.length;
+
+      logger.debug('CHROMA', 'Migration progress', { collection: this.collectionName, copied });
+    }
+
+    logger.info('CHROMA', 'Chroma collection migrated', { collection: this.collectionName, copied });
+    return copied;
+  }
+
   /**
    * Close the Chroma client connection and cleanup subprocess
    */
   async close(): Promise<void> {
+    if (this.localIndex) {
+      this.localIndex.close();
+      this.localIndex = null;
+    }
+
     if (!this.connected && !this.client && !this.transport) {
       return;
     }
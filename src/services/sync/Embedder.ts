@@ -0,0 +1,150 @@
+/**
+ * Embedders for the in-process vector index
+ *
+ * An Embedder turns document text into fixed-length vectors. Implementations:
+ * - HashEmbedder: deterministic feature hashing, no model or network (tests, offline fallback)
+ * - OpenAICompatibleEmbedder: any server exposing POST /embeddings (Ollama, vLLM, llama.cpp, OpenAI)
+ *
+ * The embedder id is stored with every vector. Changing embedder or model makes
+ * existing vectors invisible to queries, and backfill re-embeds under the new id.
+ */
+
+import { logger } from '../../utils/logger.js';
+import type { SettingsDefaults } from '../../shared/SettingsDefaultsManager.js';
+
+export interface Embedder {
+  /** Stable identifier stored with each vector (embedder kind + model) */
+  readonly id: string;
+  /** Embed a batch of texts, returning one vector per text in input order */
+  embed(texts: string[]): Promise<Float32Array[]>;
+}
+
+/**
+ * Scale a vector to unit length so cosine similarity reduces to a dot product
+ */
+export function normalizeVector(vector: Float32Array): Float32Array {
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) {
+    norm += vector[i] * vector[i];
+  }
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < vector.length; i++) {
+      vector[i] /= norm;
+    }
+  }
+  return vector;
+}
+
+/**
+ * Deterministic feature-hashing embedder
+ *
+ * Hashes lowercase word tokens into a fixed number of signed buckets. Similar
+ * wording gives similar vectors, so it doubles as a dependency-free fallback,
+ * but it has no notion of synonyms - use a real embedding model for semantic recall.
+ */
+export class HashEmbedder implements Embedder {
+  readonly id: string;
+
+  constructor(private dimensions: number = 256) {
+    this.id = `hash-${dimensions}`;
+  }
+
+  async embed(texts: string[]): Promise<Float32Array[]> {
+    return texts.map(text => this.embedOne(text));
+  }
+
+  private embedOne(text: string): Float32Array {
+    const vector = new Float32Array(this.dimensions);
+    const tokens = text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) ?? [];
+
+    for (const token of tokens) {
+      const hash = this.fnv1a(token);
+      const bucket = hash % this.dimensions;
+      // Top bit picks the sign so collisions tend to cancel rather than accumulate
+      vector[bucket] += (hash & 0x80000000) ? -1 : 1;
+    }
+
+    return normalizeVector(vector);
+  }
+
+  /**
+   * 32-bit FNV-1a hash
+   */
+  private fnv1a(token: string): number {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < token.length; i++) {
+      hash ^= token.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+}
+
+/**
+ * Embedder backed by an OpenAI-compatible /embeddings endpoint
+ */
+export class OpenAICompatibleEmbedder implements Embedder {
+  readonly id: string;
+
+  constructor(
+    private baseUrl: string,
+    private model: string,
+    private apiKey: string = ''
+  ) {
+    this.id = `openai-compatible:${model}`;
+  }
+
+  async embed(texts: string[]): Promise<Float32Array[]> {
+    if (texts.length === 0) {
+      return [];
+    }
+
+    const headers: Record<string, string> = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await fetch(`${this.baseUrl.replace(/\/+$/, '')}/embeddings`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ model: this.model, input: texts })
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Embedding request failed: ${response.status} - ${errorText}`);
+    }
+
+    const data = await response.json() as { data?: Array<{ index: number; embedding: number[] }> };
+    if (!data.data || data.data.length !== texts.length) {
+      throw new Error(`Embedding response returned ${data.data?.length ?? 0} vectors for ${texts.length} inputs`);
+    }
+
+    return [...data.data]
+      .sort((a, b) => a.index - b.index)
+      .map(item => normalizeVector(Float32Array.from(item.embedding)));
+  }
+}
+
+/**
+ * Build the embedder selected by CLAUDE_MEM_EMBEDDING_PROVIDER
+ * Falls back to HashEmbedder when the OpenAI-compatible endpoint is not configured
+ */
+export function createEmbedder(settings: SettingsDefaults): Embedder {
+  if (settings.CLAUDE_MEM_EMBEDDING_PROVIDER === 'openai-compatible') {
+    if (settings.CLAUDE_MEM_EMBEDDING_BASE_URL && settings.CLAUDE_MEM_EMBEDDING_MODEL) {
+      return new OpenAICompatibleEmbedder(
+        settings.CLAUDE_MEM_EMBEDDING_BASE_URL,
+        settings.CLAUDE_MEM_EMBEDDING_MODEL,
+        settings.CLAUDE_MEM_EMBEDDING_API_KEY
+      );
+    }
+    logger.warn('CHROMA', 'Embedding endpoint not configured, using hash embedder', {
+      hasBaseUrl: !!settings.CLAUDE_MEM_EMBEDDING_BASE_URL,
+      hasModel: !!settings.CLAUDE_MEM_EMBEDDING_MODEL
+    });
+  }
+
+  return new HashEmbedder();
+}
@@ -0,0 +1,216 @@
+/**
+ * LocalVectorIndex - In-process vector index stored in SQLite
+ *
+ * Drop-in storage for ChromaSync when CLAUDE_MEM_VECTOR_BACKEND=local: documents
+ * use the same IDs and metadata as the Chroma collection, embeddings live in the
+ * vector_documents table next to observations, and queries are a brute-force
+ * cosine scan. No Python toolchain or subprocess is involved, so it also works on Windows.
+ */
+
+import { Database } from 'bun:sqlite';
+import { DATA_DIR, DB_PATH, ensureDir } from '../../shared/paths.js';
+import { logger } from '../../utils/logger.js';
+import type { Embedder } from './Embedder.js';
+
+export interface VectorDocument {
+  id: string;
+  document: string;
+  metadata: Record<string, string | number>;
+}
+
+export type VectorWhereFilter = Record<string, any>;
+
+interface VectorDocumentRow {
+  doc_id: string;
+  sqlite_id: number;
+  metadata: string;
+  embedding: Uint8Array;
+}
+
+// Columns stored outside the metadata JSON so they can be filtered in SQL
+const INDEXED_FIELDS = ['doc_type', 'sqlite_id', 'project'];
+
+export class LocalVectorIndex {
+  private db: Database;
+
+  constructor(private embedder: Embedder, dbPath?: string) {
+    if (!dbPath) {
+      ensureDir(DATA_DIR);
+      dbPath = DB_PATH;
+    }
+    this.db = new Database(dbPath);
+    this.db.run('PRAGMA journal_mode = WAL');
+  }
+
+  /**
+   * Embedder identifier that vectors are stored and queried under
+   */
+  get model(): string {
+    return this.embedder.id;
+  }
+
+  /**
+   * Embed and upsert documents
+   */
+  async addDocuments(documents: VectorDocument[]): Promise<void> {
+    if (documents.length === 0) {
+      return;
+    }
+
+    const embeddings = await this.embedder.embed(documents.map(d => d.document));
+
+    const stmt = this.db.prepare(`
+      INSERT OR REPLACE INTO vector_documents
+      (doc_id, model, doc_type, sqlite_id, project, document, metadata, embedding, created_at_epoch)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const insertAll = this.db.transaction(() => {
+      documents.forEach((doc, index) => {
+        const vector = embeddings[index];
+        stmt.run(
+          doc.id,
+          this.model,
+          String(doc.metadata.doc_type),
+          Number(doc.metadata.sqlite_id),
+          String(doc.metadata.project ?? ''),
+          doc.document,
+          JSON.stringify(doc.metadata),
+          new Uint8Array(vector.buffer, vector.byteOffset, vector.byteLength),
+          Number(doc.metadata.created_at_epoch ?? Date.now())
+        );
+      });
+    });
+    insertAll();
+
+    logger.debug('CHROMA', 'Local vector documents added', { model: this.model, count: documents.length });
+  }
+
+  /**
+   * Delete every document (all models) belonging to a SQLite record
+   * Returns the number of documents deleted
+   */
+  deleteRecord(docType: string, sqliteId: number): number {
+    const result = this.db.prepare('DELETE FROM vector_documents WHERE doc_type = ? AND sqlite_id = ?').run(docType, sqliteId);
+    return result.changes;
+  }
+
+  /**
+   * SQLite IDs already embedded under the current model, by document type
+   * A null project returns IDs across all projects
+   */
+  getExistingIds(project: string | null): { observations: Set<number>; summaries: Set<number>; prompts: Set<number> } {
+    const rows = (project === null
+      ? this.db.prepare('SELECT DISTINCT doc_type, sqlite_id FROM vector_documents WHERE model = ?').all(this.model)
+      : this.db.prepare(`
+          SELECT DISTINCT doc_type, sqlite_id FROM vector_documents
+          WHERE model = ? AND project = ?
+        `).all(this.model, project)) as Array<{ doc_type: string; sqlite_id: number }>;
+
+    const existing = { observations: new Set<number>(), summaries: new Set<number>(), prompts: new Set<number>() };
+    for (const row of rows) {
+      if (row.doc_type === 'observation') existing.observations.add(row.sqlite_id);
+      else if (row.doc_type === 'session_summary') existing.summaries.add(row.sqlite_id);
+      else if (row.doc_type === 'user_prompt') existing.prompts.add(row.sqlite_id);
+    }
+    return existing;
+  }
+
+  /**
+   * Nearest documents to the query text by cosine distance
+   * Returns the same shape as ChromaSync.queryChroma: unique SQLite IDs in rank
+   * order, plus per-document distances and metadatas
+   */
+  async query(
+    queryText: string,
+    limit: number,
+    whereFilter?: VectorWhereFilter
+  ): Promise<{ ids: number[]; distances: number[]; metadatas: any[] }> {
+    const [queryVector] = await this.embedder.embed([queryText]);
+
+    const conditions = ['model = ?'];
+    const params: (string | number)[] = [this.model];
+    const equalities = this.flattenWhere(whereFilter);
+    for (const field of INDEXED_FIELDS) {
+      if (equalities[field] !== undefined) {
+        conditions.push(`${field} = ?`);
+        params.push(equalities[field]);
+      }
+    }
+
+    const rows = this.db.prepare(`
+      SELECT doc_id, sqlite_id, metadata, embedding FROM vector_documents
+      WHERE ${conditions.join(' AND ')}
+    `).all(...params) as VectorDocumentRow[];
+
+    const scored: Array<{ sqliteId: number; distance: number; metadata: Record<string, any> }> = [];
+    for (const row of rows) {
+      const metadata = JSON.parse(row.metadata);
+      if (!this.matchesWhere(metadata, equalities)) continue;
+
+      // Copy the BLOB so the Float32Array view is 4-byte aligned
+      const vector = new Float32Array(row.embedding.slice().buffer);
+      scored.push({ sqliteId: row.sqlite_id, distance: 1 - this.dot(queryVector, vector), metadata });
+    }
+
+    scored.sort((a, b) => a.distance - b.distance);
+    const top = scored.slice(0, limit);
+
+    const ids: number[] = [];
+    for (const item of top) {
+      if (!ids.includes(item.sqliteId)) {
+        ids.push(item.sqliteId);
+      }
+    }
+
+    return {
+      ids,
+      distances: top.map(item => item.distance),
+      metadatas: top.map(item => item.metadata)
+    };
+  }
+
+  /**
+   * Count stored documents for the current model
+   */
+  count(): number {
+    const row = this.db.prepare('SELECT COUNT(*) as count FROM vector_documents WHERE model = ?').get(this.model) as { count: number };
+    return row.count;
+  }
+
+  close(): void {
+    this.db.close();
+  }
+
+  /**
+   * Reduce a Chroma-style where filter ({field: value} or {$and: [...]}) to field equalities
+   */
+  private flattenWhere(whereFilter?: VectorWhereFilter): Record<string, string | number> {
+    const equalities: Record<string, string | number> = {};
+    if (!whereFilter) return equalities;
+
+    for (const [key, value] of Object.entries(whereFilter)) {
+      if (key === '$and' && Array.isArray(value)) {
+        for (const clause of value) {
+          Object.assign(equalities, this.flattenWhere(clause));
+        }
+      } else if (typeof value === 'string' || typeof value === 'number') {
+        equalities[key] = value;
+      }
+    }
+    return equalities;
+  }
+
+  private matchesWhere(metadata: Record<string, any>, equalities: Record<string, string | number>): boolean {
+    return Object.entries(equalities).every(([key, value]) => metadata[key] === value);
+  }
+
+  private dot(a: Float32Array, b: Float32Array): number {
+    const length = Math.min(a.length, b.length);
+    let sum = 0;
+    for (let i = 0; i < length; i++) {
+      sum += a[i] * b[i];
+    }
+    return sum;
+  }
+}
@@ -95,7 +95,13 @@ import { SSEBroadcaster } from './worker/SSEBroadcaster.js';
 import { SDKAgent } from './worker/SDKAgent.js';
 import { GeminiAgent, isGeminiAvailable } from './worker/GeminiAgent.js';
 import { OpenRouterAgent, isOpenRouterAvailable } from './worker/OpenRouterAgent.js';
+import { OpenAICompatibleAgent, isOpenAICompatibleAvailable } from './worker/OpenAICompatibleAgent.js';
 import { PaginationHelper } from './worker/PaginationHelper.js';
+import { RetentionService } from './worker/RetentionService.js';
+import { BackupService } from './worker/BackupService.js';
+import { DoctorService } from './worker/DoctorService.js';
+import { BackfillService } from './worker/BackfillService.js';
+import { GitHistoryService } from './worker/GitHistoryService.js';
 import { SettingsManager } from './worker/SettingsManager.js';
 import { SearchManager } from './worker/SearchManager.js';
 import { FormattingService } from './worker/FormattingService.js';
@@ -110,6 +116,15 @@ import { SearchRoutes } from './worker/http/routes/SearchRoutes.js';
 import { SettingsRoutes } from './worker/http/routes/SettingsRoutes.js';
 import { LogsRoutes } from './worker/http/routes/LogsRoutes.js';
 import { MemoryRoutes } from './worker/http/routes/MemoryRoutes.js';
+import { RetentionRoutes } from './worker/http/routes/RetentionRoutes.js';
+import { BackupRoutes } from './worker/http/routes/BackupRoutes.js';
+import { DoctorRoutes } from './worker/http/routes/DoctorRoutes.js';
+import { ExportRoutes } from './worker/http/routes/ExportRoutes.js';
+import { BackfillRoutes } from './worker/http/routes/BackfillRoutes.js';
+import { GitHistoryRoutes } from './worker/http/routes/GitHistoryRoutes.js';
+import { TeamSyncRoutes } from './worker/http/routes/TeamSyncRoutes.js';
+import { SavedSearchRoutes } from './worker/http/routes/SavedSearchRoutes.js';
+import { ProjectRoutes } from './worker/http/routes/ProjectRoutes.js';
 
 // Process management for zombie cleanup (Issue #737)
 import { startOrphanReaper, reapOrphanedProcesses } from './worker/ProcessRegistry.js';
@@ -155,7 +170,13 @@ export class WorkerService {
   private sdkAgent: SDKAgent;
   private geminiAgent: GeminiAgent;
   private openRouterAgent: OpenRouterAgent;
+  private openAICompatibleAgent: OpenAICompatibleAgent;
   private paginationHelper: PaginationHelper;
+  private retentionService: RetentionService;
+  private backupService: BackupService;
+  private doctorService: DoctorService;
+  private backfillService: BackfillService;
+  private gitHistoryService: GitHistoryService;
   private settingsManager: SettingsManager;
   private sessionEventBroadcaster: SessionEventBroadcaster;
 
@@ -182,7 +203,17 @@ export class WorkerService {
     this.sdkAgent = new SDKAgent(this.dbManager, this.sessionManager);
     this.geminiAgent = new GeminiAgent(this.dbManager, this.sessionManager);
     this.openRouterAgent = new OpenRouterAgent(this.dbManager, this.sessionManager);
+    this.openAICompatibleAgent = new OpenAICompatibleAgent(this.dbManager, this.sessionManager);
     this.paginationHelper = new PaginationHelper(this.dbManager);
+    this.retentionService = new RetentionService(this.dbManager);
+    this.backupService = new BackupService(this.dbManager);
+    this.doctorService = new DoctorService(this.dbManager);
+    this.backfillService = new BackfillService(this.dbManager, this.sessionManager, (sessionDbId) => {
+      this.ensureSessionProcessor(sessionDbId, 'backfill');
+    });
+    this.gitHistoryService = new GitHistoryService(this.dbManager, this.sessionManager, (sessionDbId) => {
+      this.ensureSessionProcessor(sessionDbId, 'git-history');
+    });
     this.settingsManager = new SettingsManager(this.dbManager);
     this.sessionEventBroadcaster = new SessionEventBroadcaster(this.sseBroadcaster, this);
 
@@ -276,11 +307,20 @@ export class WorkerService {
 
     // Standard routes (registered AFTER guard middleware)
     this.server.registerRoutes(new ViewerRoutes(this.sseBroadcaster, this.dbManager, this.sessionManager));
-    this.server.registerRoutes(new SessionRoutes(this.sessionManager, this.dbManager, this.sdkAgent, this.geminiAgent, this.openRouterAgent, this.sessionEventBroadcaster, this));
+    this.server.registerRoutes(new SessionRoutes(this.sessionManager, this.dbManager, this.sdkAgent, this.geminiAgent, this.openRouterAgent, this.openAICompatibleAgent, this.sessionEventBroadcaster, this));
     this.server.registerRoutes(new DataRoutes(this.paginationHelper, this.dbManager, this.sessionManager, this.sseBroadcaster, this, this.startTime));
     this.server.registerRoutes(new SettingsRoutes(this.settingsManager));
     this.server.registerRoutes(new LogsRoutes());
-    this.server.registerRoutes(new MemoryRoutes(this.dbManager, 'claude-mem'));
+    this.server.registerRoutes(new MemoryRoutes(this.dbManager, 'claude-mem', this.sseBroadcaster));
+    this.server.registerRoutes(new RetentionRoutes(this.retentionService));
+    this.server.registerRoutes(new BackupRoutes(this.backupService));
+    this.server.registerRoutes(new DoctorRoutes(this.doctorService));
+    this.server.registerRoutes(new ExportRoutes(this.dbManager));
+    this.server.registerRoutes(new BackfillRoutes(this.backfillService));
+    this.server.registerRoutes(new GitHistoryRoutes(this.gitHistoryService, this.dbManager));
+    this.server.registerRoutes(new TeamSyncRoutes(this.dbManager));
+    this.server.registerRoutes(new SavedSearchRoutes(this.dbManager));
+    this.server.registerRoutes(new ProjectRoutes(this.dbManager));
   }
 
   /**
@@ -383,6 +423,12 @@ export class WorkerService {
       });
       logger.info('SYSTEM', 'Started orphan reaper (runs every 5 minutes)');
 
+      // Start retention job (prunes only when CLAUDE_MEM_RETENTION_ENABLED=true)
+      this.retentionService.start();
+
+      // Start backup job (snapshots only when CLAUDE_MEM_BACKUP_ENABLED=true)
+      this.backupService.start();
+
       // Auto-recover orphaned queues (fire-and-forget with error logging)
       this.processPendingQueues(50).then(result => {
         if (result.sessionsStarted > 0) {
@@ -405,10 +451,14 @@ export class WorkerService {
    * Get the appropriate agent based on provider settings.
    * Same logic as SessionRoutes.getActiveAgent() for consistency.
    */
-  private getActiveAgent(): SDKAgent | GeminiAgent | OpenRouterAgent {
+  private getActiveAgent(): SDKAgent | GeminiAgent | OpenRouterAgent | OpenAICompatibleAgent {
     const settings = SettingsDefaultsManager.loadFromFile(USER_SETTINGS_PATH);
     const provider = settings.CLAUDE_MEM_PROVIDER;
 
+    if (provider === 'openai-compatible') {
+      return isOpenAICompatibleAvailable() ? this.openAICompatibleAgent : this.sdkAgent;
+    }
+
     if (provider === 'openrouter') {
       return isOpenRouterAvailable() ? this.openRouterAgent : this.sdkAgent;
     }
@@ -425,6 +475,16 @@ export class WorkerService {
     return this.sdkAgent;
   }
 
+  /**
+   * Start a session's processor unless one is already running (bulk importers)
+   */
+  private ensureSessionProcessor(sessionDbId: number, source: string): void {
+    const session = this.sessionManager.initializeSession(sessionDbId);
+    if (!session.generatorPromise) {
+      this.startSessionProcessor(session, source);
+    }
+  }
+
   /**
    * Start a session processor
    * On SDK resume failure (terminated session), falls back to Gemini/OpenRouter if available,
@@ -555,8 +615,8 @@ export class WorkerService {
   }
 
   /**
-   * When SDK resume fails due to terminated session: try Gemini then OpenRouter to drain
-   * pending messages; if no fallback available, mark messages abandoned and remove session.
+   * When SDK resume fails due to terminated session: try Gemini, OpenRouter, then an
+   * OpenAI-compatible server to drain pending messages; if no fallback available, mark messages abandoned and remove session.
    */
   private async runFallbackForTerminatedSession(
     session: ReturnType<typeof this.sessionManager.getSession>,
@@ -597,7 +657,19 @@ export class WorkerService {
       }
     }
 
-    // No fallback or both failed: mark messages abandoned and remove session so queue doesn't grow
+    if (isOpenAICompatibleAvailable()) {
+      try {
+        await this.openAICompatibleAgent.startSession(session, this);
+        return;
+      } catch (e) {
+        logger.warn('SDK', 'Fallback OpenAI-compatible failed', {
+          sessionId: sessionDbId,
+          error: e instanceof Error ? e.message : String(e)
+        });
+      }
+    }
+
+    // No fallback or all failed: mark messages abandoned and remove session so queue doesn't grow
     const pendingStore = this.sessionManager.getPendingMessageStore();
     const abandoned = pendingStore.markAllSessionMessagesAbandoned(sessionDbId);
     if (abandoned > 0) {
@@ -713,6 +785,10 @@ export class WorkerService {
       this.stopOrphanReaper();
       this.stopOrphanReaper = null;
     }
+    this.retentionService.stop();
+    this.backupService.stop();
+    this.backfillService.stop();
+    this.gitHistoryService.stop();
 
     await performGracefulShutdown({
       server: this.server.getHttpServer(),
@@ -974,6 +1050,67 @@ async function main() {
       process.exit(result);
     }
 
+    case 'projects': {
+      const { handleProjectsCommand } = await import('../cli/project-commands.js');
+      const result = await handleProjectsCommand(process.argv[3], process.argv.slice(4), port);
+      process.exit(result);
+    }
+
+    case 'migrate-vectors': {
+      const { migrateVectors } = await import('../cli/vector-commands.js');
+      const result = await migrateVectors(process.argv[3]);
+      process.exit(result);
+    }
+
+    case 'backup': {
+      const { handleBackupCommand } = await import('../cli/backup-commands.js');
+      const result = await handleBackupCommand(process.argv.slice(3));
+      process.exit(result);
+    }
+
+    case 'restore': {
+      const { handleRestoreCommand } = await import('../cli/backup-commands.js');
+      const result = await handleRestoreCommand(process.argv.slice(3), port);
+      process.exit(result);
+    }
+
+    case 'doctor':
+    case 'repair': {
+      const { handleDoctorCommand } = await import('../cli/doctor-commands.js');
+      const result = await handleDoctorCommand(process.argv.slice(3), port, command === 'repair');
+      process.exit(result);
+    }
+
+    case 'export': {
+      const { handleExportCommand } = await import('../cli/export-commands.js');
+      const result = await handleExportCommand(process.argv.slice(3));
+      process.exit(result);
+    }
+
+    case 'import': {
+      const { handleImportCommand } = await import('../cli/export-commands.js');
+      const result = await handleImportCommand(process.argv.slice(3), port);
+      process.exit(result);
+    }
+
+    case 'backfill': {
+      const { handleBackfillCommand } = await import('../cli/backfill-commands.js');
+      const result = await handleBackfillCommand(process.argv.slice(3), port);
+      process.exit(result);
+    }
+
+    case 'git-history': {
+      const { handleGitHistoryCommand } = await import('../cli/git-history-commands.js');
+      const result = await handleGitHistoryCommand(process.argv.slice(3), port);
+      process.exit(result);
+    }
+
+    case 'team': {
+      const { handleTeamCommand } = await import('../cli/team-commands.js');
+      const result = await handleTeamCommand(process.argv.slice(3), port);
+      process.exit(result);
+    }
+
     case '--daemon':
     default: {
       const worker = new WorkerService();
@@ -3,6 +3,7 @@
  */
 
 import type { Response } from 'express';
+import type { KeysetPosition } from './sqlite/types.js';
 
 // ============================================================================
 // Active Session Types
@@ -32,7 +33,7 @@ export interface ActiveSession {
   cumulativeOutputTokens: number;  // Track output tokens for discovery cost
   earliestPendingTimestamp: number | null;  // Original timestamp of earliest pending message (for accurate observation timestamps)
   conversationHistory: ConversationMessage[];  // Shared conversation history for provider switching
-  currentProvider: 'claude' | 'gemini' | 'openrouter' | null;  // Track which provider is currently running
+  currentProvider: 'claude' | 'gemini' | 'openrouter' | 'openai-compatible' | null;  // Track which provider is currently running
   consecutiveRestarts: number;  // Track consecutive restart attempts to prevent infinite loops
   forceInit?: boolean;  // Force fresh SDK session (skip resume)
   // CLAIM-CONFIRM FIX: Track IDs of messages currently being processed
@@ -89,12 +90,16 @@ export interface PaginatedResult<T> {
   hasMore: boolean;
   offset: number;
   limit: number;
+  /** Opaque keyset cursor for the page after this one, null on the last page */
+  nextCursor: string | null;
 }
 
 export interface PaginationParams {
   offset: number;
   limit: number;
   project?: string;
+  /** Decoded keyset cursor; when set, offset is ignored */
+  cursor?: KeysetPosition;
 }
 
 // ============================================================================
@@ -0,0 +1,333 @@
+/**
+ * BackfillService - Builds memory from Claude Code transcripts written before claude-mem was installed
+ *
+ * Each transcript's prompts are saved and its tool_use/tool_result pairs and per-prompt
+ * summarize requests go through the normal pending queue, dated at their original time,
+ * so the active agent turns them into observations and summaries exactly like live hooks.
+ *
+ * Transcripts are processed one at a time (queue, then wait for the session to drain)
+ * so a backfill of hundreds of transcripts never runs hundreds of agents at once.
+ * Progress is stored per transcript (backfill_transcripts), one turn at a time in the same
+ * transaction as the turn's queued messages: re-running a backfill skips finished transcripts,
+ * resumes interrupted ones and picks up turns appended to a transcript since.
+ */
+
+import path from 'path';
+import { existsSync, readdirSync, statSync } from 'fs';
+import type { DatabaseManager } from './DatabaseManager.js';
+import type { SessionManager } from './SessionManager.js';
+import { createSDKSession } from '../sqlite/Sessions.js';
+import { saveUserPrompt, getPromptNumberFromUserPrompts } from '../sqlite/Prompts.js';
+import {
+  getBackfillTranscript,
+  startBackfillTranscript,
+  markBackfillTurnQueued,
+  completeBackfillTranscript,
+  skipBackfillTranscript,
+  getBackfillCounts,
+  type BackfillCounts
+} from '../sqlite/Backfill.js';
+import { waitForQueueDrain } from './session/QueueDrain.js';
+import { parseTranscriptTurns, type TranscriptTurn } from '../../shared/transcript-parser.js';
+import { SettingsDefaultsManager } from '../../shared/SettingsDefaultsManager.js';
+import { USER_SETTINGS_PATH, CLAUDE_CONFIG_DIR } from '../../shared/paths.js';
+import { stripMemoryTagsFromJson, stripMemoryTagsFromPrompt } from '../../utils/tag-stripping.js';
+import { getProjectName } from '../../utils/project-name.js';
+import { logger } from '../../utils/logger.js';
+
+export const DEFAULT_TRANSCRIPTS_DIR = path.join(CLAUDE_CONFIG_DIR, 'projects');
+
+export type BackfillAction = 'backfill' | 'resume' | 'skip';
+
+/**
+ * What a backfill would do (dry run) or did with one transcript
+ */
+export interface BackfillTranscriptPlan {
+  transcriptPath: string;
+  contentSessionId: string;
+  project: string;
+  action: BackfillAction;
+  reason?: string;
+  turns: number;
+  turnsQueued: number;
+  toolUses: number;
+}
+
+export interface BackfillOptions {
+  /** Transcript files or directories; defaults to ~/.claude/projects */
+  paths?: string[];
+  /** Only backfill transcripts of this project */
+  project?: string;
+}
+
+export interface BackfillStatus {
+  running: boolean;
+  current: string | null;
+  processed: number;
+  total: number;
+  lastError: string | null;
+  counts: BackfillCounts;
+}
+
+export class BackfillService {
+  private running = false;
+  private stopped = false;
+  private current: string | null = null;
+  private processed = 0;
+  private total = 0;
+  private lastError: string | null = null;
+
+  /**
+   * @param startProcessor - starts the agent for a session if it is not already running
+   */
+  constructor(
+    private dbManager: DatabaseManager,
+    private sessionManager: SessionManager,
+    private startProcessor: (sessionDbId: number) => void
+  ) {}
+
+  isRunning(): boolean {
+    return this.running;
+  }
+
+  status(): BackfillStatus {
+    return {
+      running: this.running,
+      current: this.current,
+      processed: this.processed,
+      total: this.total,
+      lastError: this.lastError,
+      counts: getBackfillCounts(this.dbManager.getSessionStore().db)
+    };
+  }
+
+  /**
+   * Report what a backfill would do, without queueing anything
+   */
+  plan(options: BackfillOptions = {}): BackfillTranscriptPlan[] {
+    return findTranscripts(options.paths)
+      .map(transcriptPath => this.inspectTranscript(transcriptPath).plan)
+      .filter(plan => !options.project || plan.project === options.project);
+  }
+
+  /**
+   * Start a backfill in the background
+   * @returns the number of transcripts found
+   */
+  start(options: BackfillOptions = {}): number {
+    if (this.running) {
+      throw new Error('A backfill is already running');
+    }
+
+    const transcripts = findTranscripts(options.paths);
+    this.running = true;
+    this.stopped = false;
+    this.processed = 0;
+    this.total = transcripts.length;
+    this.lastError = null;
+
+    this.run(transcripts, options.project)
+      .catch(error => {
+        this.lastError = (error as Error).message;
+        logger.error('WORKER', 'Backfill stopped', { processed: this.processed, total: this.total }, error as Error);
+      })
+      .finally(() => {
+        this.running = false;
+        this.current = null;
+      });
+
+    return transcripts.length;
+  }
+
+  /**
+   * Stop after the current step; progress is kept and the next run resumes
+   */
+  stop(): void {
+    this.stopped = true;
+  }
+
+  private async run(transcripts: string[], project?: string): Promise<void> {
+    logger.info('WORKER', 'Backfill started', { transcripts: transcripts.length, project });
+
+    for (const transcriptPath of transcripts) {
+      if (this.stopped) return;
+      this.current = transcriptPath;
+      await this.backfillTranscript(transcriptPath, project);
+      this.processed++;
+    }
+
+    logger.info('WORKER', 'Backfill finished', { transcripts: transcripts.length, counts: this.status().counts });
+  }
+
+  /**
+   * Decide what to do with a transcript; turns are returned when it was parsed
+   */
+  private inspectTranscript(transcriptPath: string): { plan: BackfillTranscriptPlan; turns: TranscriptTurn[] } {
+    const db = this.dbManager.getSessionStore().db;
+    const fileSize = statSync(transcriptPath).size;
+    const fallbackId = path.basename(transcriptPath, '.jsonl');
+    const record = getBackfillTranscript(db, fallbackId);
+
+    // Unchanged since the last run: no need to parse it again
+    if (record && record.status !== 'queued' && record.file_size === fileSize) {
+      const plan: BackfillTranscriptPlan = {
+        transcriptPath,
+        contentSessionId: record.content_session_id,
+        project: record.project,
+        action: 'skip',
+        reason: record.skip_reason ?? 'already backfilled',
+        turns: record.turns_total,
+        turnsQueued: record.turns_queued,
+        toolUses: 0
+      };
+      return { plan, turns: [] };
+    }
+
+    const parsed = parseTranscriptTurns(transcriptPath);
+    const contentSessionId = parsed.sessionId ?? fallbackId;
+    const plan: BackfillTranscriptPlan = {
+      transcriptPath,
+      contentSessionId,
+      project: getProjectName(parsed.cwd),
+      action: 'backfill',
+      turns: parsed.turns.length,
+      turnsQueued: 0,
+      toolUses: parsed.turns.reduce((sum, turn) => sum + turn.toolUses.length, 0)
+    };
+
+    const existing = contentSessionId === fallbackId ? record : getBackfillTranscript(db, contentSessionId);
+    if (existing && existing.status !== 'skipped') {
+      plan.turnsQueued = existing.turns_queued;
+      plan.action = existing.turns_queued < plan.turns || existing.status === 'queued' ? 'resume' : 'skip';
+      if (plan.action === 'skip') plan.reason = 'already backfilled';
+    } else if (parsed.turns.length === 0) {
+      plan.action = 'skip';
+      plan.reason = 'no prompts';
+    } else if (getPromptNumberFromUserPrompts(db, contentSessionId) > 0) {
+      // Prompts without a backfill in progress were saved by the live hooks
+      plan.action = 'skip';
+      plan.reason = 'captured live';
+    }
+
+    return { plan, turns: parsed.turns };
+  }
+
+  private async backfillTranscript(transcriptPath: string, project?: string): Promise<void> {
+    const db = this.dbManager.getSessionStore().db;
+    const { plan, turns } = this.inspectTranscript(transcriptPath);
+    if (project && plan.project !== project) return;
+
+    const fileSize = statSync(transcriptPath).size;
+    if (plan.action === 'skip') {
+      if (plan.reason === 'no prompts' || plan.reason === 'captured live') {
+        skipBackfillTranscript(db, plan.contentSessionId, transcriptPath, plan.project, fileSize, plan.reason);
+      }
+      return;
+    }
+
+    const firstPrompt = stripMemoryTagsFromPrompt(turns[0].prompt);
+    const sessionDbId = createSDKSession(db, plan.contentSessionId, plan.project, firstPrompt);
+
+    startBackfillTranscript(db, {
+      contentSessionId: plan.contentSessionId,
+      transcriptPath,
+      project: plan.project,
+      sessionDbId,
+      fileSize,
+      turnsTotal: turns.length
+    });
+
+    const skipTools = new Set(
+      SettingsDefaultsManager.loadFromFile(USER_SETTINGS_PATH).CLAUDE_MEM_SKIP_TOOLS.split(',').map(t => t.trim()).filter(Boolean)
+    );
+    const queueTurn = db.transaction((turn: TranscriptTurn, promptNumber: number) => {
+      this.queueTurn(plan.contentSessionId, sessionDbId, turn, promptNumber, skipTools);
+      markBackfillTurnQueued(db, plan.contentSessionId, promptNumber);
+    });
+
+    for (let i = plan.turnsQueued; i < turns.length; i++) {
+      if (this.stopped) return;
+      queueTurn(turns[i], i + 1);
+    }
+
+    logger.info('WORKER', 'Backfill transcript queued', {
+      contentSessionId: plan.contentSessionId,
+      project: plan.project,
+      turns: turns.length,
+      resumedAt: plan.turnsQueued
+    });
+
+    if (await waitForQueueDrain(this.sessionManager, sessionDbId, this.startProcessor, () => this.stopped)) {
+      completeBackfillTranscript(db, plan.contentSessionId);
+    }
+  }
+
+  /**
+   * Save a turn's prompt and queue its tool uses and summarize request, as the hooks would
+   * A turn whose prompt is entirely private is recorded as queued with nothing to process.
+   */
+  private queueTurn(
+    contentSessionId: string,
+    sessionDbId: number,
+    turn: TranscriptTurn,
+    promptNumber: number,
+    skipTools: Set<string>
+  ): void {
+    const prompt = stripMemoryTagsFromPrompt(turn.prompt);
+    if (!prompt.trim()) return;
+
+    const db = this.dbManager.getSessionStore().db;
+    saveUserPrompt(db, contentSessionId, promptNumber, prompt, turn.timestampEpoch || undefined);
+
+    for (const toolUse of turn.toolUses) {
+      if (skipTools.has(toolUse.toolName) || isSessionMemoryFile(toolUse.toolInput)) continue;
+
+      this.sessionManager.queueObservation(sessionDbId, {
+        tool_name: toolUse.toolName,
+        tool_input: stripMemoryTagsFromJson(JSON.stringify(toolUse.toolInput ?? {})),
+        tool_response: stripMemoryTagsFromJson(JSON.stringify(toolUse.toolResponse ?? {})),
+        prompt_number: promptNumber,
+        cwd: toolUse.cwd ?? ''
+      }, toolUse.timestampEpoch || undefined);
+    }
+
+    this.sessionManager.queueSummarize(sessionDbId, turn.lastAssistantMessage, turn.endedAtEpoch || undefined);
+  }
+}
+
+/**
+ * Same rule as the live observation route: edits of session-memory files are not observations
+ */
+function isSessionMemoryFile(toolInput: unknown): boolean {
+  if (!toolInput || typeof toolInput !== 'object') return false;
+  const input = toolInput as { file_path?: unknown; notebook_path?: unknown };
+  const filePath = input.file_path ?? input.notebook_path;
+  return typeof filePath === 'string' && filePath.includes('session-memory');
+}
+
+/**
+ * Transcript files under the given paths (files, or directories searched two levels deep
+ * as in ~/.claude/projects/<project>/<session>.jsonl), oldest first
+ */
+export function findTranscripts(paths: string[] = [DEFAULT_TRANSCRIPTS_DIR]): string[] {
+  const files = new Set<string>();
+
+  const visit = (target: string, depth: number): void => {
+    if (!existsSync(target)) return;
+    const stat = statSync(target);
+    if (stat.isFile()) {
+      if (target.endsWith('.jsonl')) files.add(path.resolve(target));
+      return;
+    }
+    if (!stat.isDirectory() || depth > 1) return;
+    for (const entry of readdirSync(target)) {
+      visit(path.join(target, entry), depth + 1);
+    }
+  };
+
+  for (const target of paths.length > 0 ? paths : [DEFAULT_TRANSCRIPTS_DIR]) {
+    visit(target, 0);
+  }
+
+  return [...files].sort((a, b) => statSync(a).mtimeMs - statSync(b).mtimeMs);
+}
@@ -0,0 +1,118 @@
+/**
+ * BackupService - Scheduled snapshots of the memory database
+ *
+ * Takes consistent snapshots of the live database into ~/.claude-mem/backups,
+ * keeping the newest CLAUDE_MEM_BACKUP_KEEP. A few minutes after start, a snapshot is
+ * taken if the newest one is older than the interval, so short-lived workers still get
+ * backed up. The snapshot blocks the worker while it copies the database, so it waits
+ * out the burst of hook requests a new session sends.
+ */
+
+import type { DatabaseManager } from './DatabaseManager.js';
+import {
+  createSnapshot,
+  listSnapshots,
+  rotateSnapshots,
+  type BackupFile,
+  type BackupSnapshot
+} from '../sqlite/Backup.js';
+import { SettingsDefaultsManager, type SettingsDefaults } from '../../shared/SettingsDefaultsManager.js';
+import { USER_SETTINGS_PATH, BACKUPS_DIR } from '../../shared/paths.js';
+import { logger } from '../../utils/logger.js';
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+const STARTUP_BACKUP_DELAY_MS = 5 * 60 * 1000;
+
+/**
+ * A snapshot and the old snapshots rotated out to make room for it
+ */
+export interface BackupRunResult {
+  snapshot: BackupSnapshot;
+  removed: string[];
+}
+
+export class BackupService {
+  private interval: ReturnType<typeof setInterval> | null = null;
+  private startupTimer: ReturnType<typeof setTimeout> | null = null;
+
+  constructor(private dbManager: DatabaseManager, private backupDir: string = BACKUPS_DIR) {}
+
+  /**
+   * Take a snapshot now and rotate old ones
+   */
+  backup(): BackupRunResult {
+    const keep = parseInt(this.loadSettings().CLAUDE_MEM_BACKUP_KEEP, 10) || 7;
+    const snapshot = createSnapshot(this.dbManager.getSessionStore().db, this.backupDir);
+    const removed = rotateSnapshots(this.backupDir, keep);
+
+    logger.info('DB', 'Database snapshot written', {
+      path: snapshot.path,
+      sizeBytes: snapshot.sizeBytes,
+      rotated: removed.length
+    });
+
+    return { snapshot, removed };
+  }
+
+  /**
+   * Existing snapshots, newest first
+   */
+  list(): BackupFile[] {
+    return listSnapshots(this.backupDir);
+  }
+
+  getBackupDir(): string {
+    return this.backupDir;
+  }
+
+  /**
+   * Start the scheduled job (interval read once; enabled flag checked on every tick)
+   */
+  start(): void {
+    if (this.interval) return;
+
+    const settings = this.loadSettings();
+    const intervalMs = (parseInt(settings.CLAUDE_MEM_BACKUP_INTERVAL_HOURS, 10) || 24) * MS_PER_HOUR;
+
+    this.startupTimer = setTimeout(() => {
+      this.startupTimer = null;
+      if (this.loadSettings().CLAUDE_MEM_BACKUP_ENABLED !== 'true') return;
+
+      const newest = this.list()[0];
+      if (!newest || Date.now() - newest.createdAtEpoch >= intervalMs) {
+        this.runScheduled();
+      }
+    }, STARTUP_BACKUP_DELAY_MS);
+
+    this.interval = setInterval(() => {
+      if (this.loadSettings().CLAUDE_MEM_BACKUP_ENABLED !== 'true') return;
+      this.runScheduled();
+    }, intervalMs);
+  }
+
+  /**
+   * Stop the scheduled job
+   */
+  stop(): void {
+    if (this.startupTimer) {
+      clearTimeout(this.startupTimer);
+      this.startupTimer = null;
+    }
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  private runScheduled(): void {
+    try {
+      this.backup();
+    } catch (error) {
+      logger.error('DB', 'Scheduled database backup failed', { backupDir: this.backupDir }, error as Error);
+    }
+  }
+
+  private loadSettings(): SettingsDefaults {
+    return SettingsDefaultsManager.loadFromFile(USER_SETTINGS_PATH);
+  }
+}
@@ -0,0 +1,185 @@
+/**
+ * DoctorService - Integrity checks and repairs across SQLite and the vector index
+ *
+ * Checks four categories and, when asked, repairs them:
+ * - orphans: rows whose session is gone (sessions recreated, or rows deleted)
+ * - fts: full-text indexes out of step with their tables (rebuilt)
+ * - stuck: queue messages left in 'processing' (reset to pending)
+ * - vectors: records missing from the vector index (resynced) or vector documents
+ *   for deleted records (removed)
+ */
+
+import type { DatabaseManager } from './DatabaseManager.js';
+import {
+  DOCTOR_CATEGORIES,
+  DEFAULT_STUCK_THRESHOLD_MS,
+  findOrphanedRows,
+  repairOrphanedRows,
+  checkFtsIndexes,
+  rebuildFtsIndex,
+  findStuckMessages,
+  resetStuckMessages,
+  getVectorRecordIds,
+  getVectorSyncRows,
+  diffVectorIds,
+  type DoctorCategory,
+  type OrphanedRows,
+  type OrphanRepairResult,
+  type FtsCheck,
+  type VectorDrift
+} from '../sqlite/Doctor.js';
+import type { StoredObservation, StoredSummary, StoredUserPrompt } from '../sync/ChromaSync.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Findings per category; a category that was not requested is left out
+ */
+export interface DoctorReport {
+  repair: boolean;
+  checkedAtEpoch: number;
+  issues: number;
+  orphans?: OrphanedRows & { repaired: OrphanRepairResult | null };
+  fts?: Array<FtsCheck & { rebuilt: boolean }>;
+  stuck?: { thresholdMs: number; messageIds: number[]; reset: number };
+  vectors?: {
+    skipped: string | null;
+    drift: VectorDrift | null;
+    resynced: number;
+    deleted: number;
+  };
+}
+
+export interface DoctorOptions {
+  categories?: DoctorCategory[];
+  repair?: boolean;
+  stuckThresholdMs?: number;
+}
+
+export class DoctorService {
+  private running = false;
+
+  constructor(private dbManager: DatabaseManager) {}
+
+  /**
+   * Whether a check or repair is in progress
+   */
+  isRunning(): boolean {
+    return this.running;
+  }
+
+  /**
+   * Check the requested categories (all by default), repairing them if options.repair
+   * @throws if a check or repair is already in progress
+   */
+  async run(options: DoctorOptions = {}): Promise<DoctorReport> {
+    if (this.running) {
+      throw new Error('A doctor run is already in progress');
+    }
+
+    const categories = options.categories ?? DOCTOR_CATEGORIES;
+    const repair = options.repair === true;
+    const db = this.dbManager.getSessionStore().db;
+    const report: DoctorReport = { repair, checkedAtEpoch: Date.now(), issues: 0 };
+
+    this.running = true;
+    try {
+      if (categories.includes('orphans')) {
+        const orphans = findOrphanedRows(db);
+        const count = orphans.observationIds.length + orphans.summaryIds.length +
+          orphans.promptIds.length + orphans.pendingMessageIds.length;
+        report.issues += count;
+        report.orphans = { ...orphans, repaired: repair && count > 0 ? repairOrphanedRows(db, orphans) : null };
+      }
+
+      if (categories.includes('fts')) {
+        report.fts = checkFtsIndexes(db).map(check => {
+          if (check.ok) return { ...check, rebuilt: false };
+          report.issues++;
+          if (repair) rebuildFtsIndex(db, check.table);
+          return { ...check, rebuilt: repair };
+        });
+      }
+
+      if (categories.includes('stuck')) {
+        const thresholdMs = options.stuckThresholdMs ?? DEFAULT_STUCK_THRESHOLD_MS;
+        const messageIds = findStuckMessages(db, thresholdMs);
+        report.issues += messageIds.length;
+        report.stuck = { thresholdMs, messageIds, reset: repair ? resetStuckMessages(db, messageIds) : 0 };
+      }
+
+      if (categories.includes('vectors')) {
+        report.vectors = await this.checkVectors(repair);
+        if (report.vectors.drift) {
+          const { missing, stale } = report.vectors.drift;
+          report.issues += [missing, stale].reduce(
+            (sum, ids) => sum + ids.observations.length + ids.summaries.length + ids.prompts.length, 0
+          );
+        }
+      }
+
+      logger.info('DB', repair ? 'Doctor repair finished' : 'Doctor check finished', {
+        categories: categories.join(','),
+        issues: report.issues
+      });
+
+      return report;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Compare SQLite with the vector index (every project in the collection)
+   * Failures to reach the vector index are reported as skipped, not thrown
+   */
+  private async checkVectors(repair: boolean): Promise<NonNullable<DoctorReport['vectors']>> {
+    const chromaSync = this.dbManager.getChromaSync();
+    const result: NonNullable<DoctorReport['vectors']> = { skipped: null, drift: null, resynced: 0, deleted: 0 };
+
+    if (chromaSync.isDisabled()) {
+      result.skipped = 'Vector search is disabled on this platform';
+      return result;
+    }
+
+    const db = this.dbManager.getSessionStore().db;
+    try {
+      result.drift = diffVectorIds(getVectorRecordIds(db), await chromaSync.getExistingChromaIds(null));
+    } catch (error) {
+      logger.warn('CHROMA', 'Doctor could not read vector document IDs', {}, error as Error);
+      result.skipped = `Vector index unavailable: ${error instanceof Error ? error.message : String(error)}`;
+      return result;
+    }
+
+    if (!repair) return result;
+
+    const logFailure = (kind: string, id: unknown) => (error: Error) => {
+      logger.error('CHROMA', 'Doctor vector repair failed', { kind, id }, error);
+      return false;
+    };
+    const succeeded = () => true;
+
+    const { stale } = result.drift;
+    for (const id of stale.observations) {
+      if (await chromaSync.deleteObservation(id).then(succeeded, logFailure('observation', id))) result.deleted++;
+    }
+    for (const id of stale.summaries) {
+      if (await chromaSync.deleteSummary(id).then(succeeded, logFailure('summary', id))) result.deleted++;
+    }
+    for (const id of stale.prompts) {
+      if (await chromaSync.deleteUserPrompt(id).then(succeeded, logFailure('prompt', id))) result.deleted++;
+    }
+
+    const rows = getVectorSyncRows(db, result.drift.missing);
+    for (const row of rows.observations) {
+      if (await chromaSync.resyncObservation(row as unknown as StoredObservation).then(succeeded, logFailure('observation', row.id))) result.resynced++;
+    }
+    for (const row of rows.summaries) {
+      if (await chromaSync.resyncSummary(row as unknown as StoredSummary).then(succeeded, logFailure('summary', row.id))) result.resynced++;
+    }
+    for (const row of rows.prompts) {
+      if (await chromaSync.resyncUserPrompt(row as unknown as StoredUserPrompt).then(succeeded, logFailure('prompt', row.id))) result.resynced++;
+    }
+
+    return result;
+  }
+}
@@ -74,7 +74,8 @@ Tips:
     const id = `#S${session.id}`;
     const time = this.formatTime(session.created_at_epoch);
     const icon = '🎯';
-    const title = session.request || `Session ${session.memory_session_id?.substring(0, 8) || 'unknown'}`;
+    const request = session.request || `Session ${session.memory_session_id?.substring(0, 8) || 'unknown'}`;
+    const title = session.snippet ? `${request} — ${this.formatSnippet(session.snippet)}` : request;
 
     return `| ${id} | ${time} | ${icon} | ${title} | - | - |`;
   }
@@ -87,10 +88,12 @@ Tips:
     const id = `#P${prompt.id}`;
     const time = this.formatTime(prompt.created_at_epoch);
     const icon = '💬';
-    // Truncate long prompts for table display
-    const title = prompt.prompt_text.length > 60
-      ? prompt.prompt_text.substring(0, 57) + '...'
-      : prompt.prompt_text;
+    // Prefer the keyword-match excerpt, otherwise truncate long prompts for table display
+    const title = prompt.snippet
+      ? this.formatSnippet(prompt.snippet)
+      : prompt.prompt_text.length > 60
+        ? prompt.prompt_text.substring(0, 57) + '...'
+        : prompt.prompt_text;
 
     return `| ${id} | ${time} | ${icon} | ${title} | - | - |`;
   }
@@ -118,7 +121,9 @@ Tips:
     const id = `#${obs.id}`;
     const time = this.formatTime(obs.created_at_epoch);
     const icon = ModeManager.getInstance().getTypeIcon(obs.type);
-    const title = obs.title || 'Untitled';
+    const title = obs.snippet
+      ? `${obs.title || 'Untitled'} — ${this.formatSnippet(obs.snippet)}`
+      : obs.title || 'Untitled';
     const readTokens = this.estimateReadTokens(obs);
 
     // Use ditto mark if same time as previous row
@@ -137,7 +142,8 @@ Tips:
     const id = `#S${session.id}`;
     const time = this.formatTime(session.created_at_epoch);
     const icon = '🎯';
-    const title = session.request || `Session ${session.memory_session_id?.substring(0, 8) || 'unknown'}`;
+    const request = session.request || `Session ${session.memory_session_id?.substring(0, 8) || 'unknown'}`;
+    const title = session.snippet ? `${request} — ${this.formatSnippet(session.snippet)}` : request;
 
     // Use ditto mark if same time as previous row
     const timeDisplay = time === lastTime ? '″' : time;
@@ -155,10 +161,12 @@ Tips:
     const id = `#P${prompt.id}`;
     const time = this.formatTime(prompt.created_at_epoch);
     const icon = '💬';
-    // Truncate long prompts for table display
-    const title = prompt.prompt_text.length > 60
-      ? prompt.prompt_text.substring(0, 57) + '...'
-      : prompt.prompt_text;
+    // Prefer the keyword-match excerpt, otherwise truncate long prompts for table display
+    const title = prompt.snippet
+      ? this.formatSnippet(prompt.snippet)
+      : prompt.prompt_text.length > 60
+        ? prompt.prompt_text.substring(0, 57) + '...'
+        : prompt.prompt_text;
 
     // Use ditto mark if same time as previous row
     const timeDisplay = time === lastTime ? '″' : time;
@@ -168,4 +176,11 @@ Tips:
       time
     };
   }
+
+  /**
+   * Collapse an FTS5 match excerpt to a single line that is safe inside a table cell
+   */
+  private formatSnippet(snippet: string): string {
+    return snippet.replace(/\s+/g, ' ').replace(/\|/g, '\\|').trim();
+  }
 }
@@ -0,0 +1,287 @@
+/**
+ * GitHistoryService - Builds memory for a repository from its git history
+ *
+ * Commits (message, author, author date, per-file diff stats) are read with `git log`
+ * and queued in batches: each batch is one session whose observation messages are
+ * one commit each, dated at the commit's author date. The active agent and mode turn
+ * them into observations like any other session, and each observation is tagged with
+ * the commit of its message (observation_commits). Once a batch's queue has drained,
+ * observations left untagged are matched to commits by evidence.
+ *
+ * Batches are processed one at a time, and every commit is recorded in the same
+ * transaction that queues it: re-running an import only queues new commits, and
+ * batches left unlinked by an interrupted run are linked first.
+ */
+
+import path from 'path';
+import type { DatabaseManager } from './DatabaseManager.js';
+import type { SessionManager } from './SessionManager.js';
+import { createSDKSession } from '../sqlite/Sessions.js';
+import { saveUserPrompt } from '../sqlite/Prompts.js';
+import {
+  getImportedCommitShas,
+  recordQueuedCommits,
+  getUnlinkedCommitSessions,
+  linkCommitObservations,
+  getGitCommitCounts,
+  GIT_COMMIT_TOOL_NAME,
+  type GitCommitCounts
+} from '../sqlite/GitHistory.js';
+import { waitForQueueDrain } from './session/QueueDrain.js';
+import { readGitLog, type GitCommit } from '../../utils/git-log.js';
+import { stripMemoryTagsFromJson } from '../../utils/tag-stripping.js';
+import { getProjectName } from '../../utils/project-name.js';
+import { logger } from '../../utils/logger.js';
+
+export const DEFAULT_MAX_COMMITS = 500;
+export const DEFAULT_BATCH_SIZE = 25;
+
+// Diff stats are listed for at most this many files per commit
+const MAX_FILES_PER_COMMIT = 100;
+
+export interface GitHistoryOptions {
+  /** Repository to read; any directory inside the work tree */
+  repoPath: string;
+  /** Project to store observations under; defaults to the project of repoPath */
+  project?: string;
+  /** Most recent commits to read */
+  maxCommits?: number;
+  /** Only commits after this date, in any format git accepts */
+  since?: string;
+  /** Commits per session */
+  batchSize?: number;
+}
+
+/**
+ * What an import would do (dry run)
+ */
+export interface GitHistoryPlan {
+  repoPath: string;
+  project: string;
+  commits: number;
+  alreadyImported: number;
+  batches: number;
+  firstCommitEpoch: number | null;
+  lastCommitEpoch: number | null;
+}
+
+export interface GitHistoryStatus {
+  running: boolean;
+  project: string | null;
+  batchesDone: number;
+  batchesTotal: number;
+  lastError: string | null;
+  counts: GitCommitCounts;
+}
+
+export class GitHistoryService {
+  private running = false;
+  private stopped = false;
+  private project: string | null = null;
+  private batchesDone = 0;
+  private batchesTotal = 0;
+  private lastError: string | null = null;
+
+  /**
+   * @param startProcessor - starts the agent for a session if it is not already running
+   */
+  constructor(
+    private dbManager: DatabaseManager,
+    private sessionManager: SessionManager,
+    private startProcessor: (sessionDbId: number) => void
+  ) {}
+
+  isRunning(): boolean {
+    return this.running;
+  }
+
+  status(): GitHistoryStatus {
+    return {
+      running: this.running,
+      project: this.project,
+      batchesDone: this.batchesDone,
+      batchesTotal: this.batchesTotal,
+      lastError: this.lastError,
+      counts: getGitCommitCounts(this.dbManager.getSessionStore().db)
+    };
+  }
+
+  /**
+   * Report what an import would do, without queueing anything
+   * @throws if repoPath is not a git repository
+   */
+  plan(options: GitHistoryOptions): GitHistoryPlan {
+    const { project, commits, pending } = this.readCommits(options);
+    return {
+      repoPath: path.resolve(options.repoPath),
+      project,
+      commits: commits.length,
+      alreadyImported: commits.length - pending.length,
+      batches: chunk(pending, options.batchSize || DEFAULT_BATCH_SIZE).length,
+      firstCommitEpoch: pending[0]?.authorDateEpoch ?? null,
+      lastCommitEpoch: pending[pending.length - 1]?.authorDateEpoch ?? null
+    };
+  }
+
+  /**
+   * Start an import in the background
+   * @returns the number of commits that will be queued
+   * @throws if an import is already running or repoPath is not a git repository
+   */
+  start(options: GitHistoryOptions): number {
+    if (this.running) {
+      throw new Error('A git history import is already running');
+    }
+
+    const { project, pending } = this.readCommits(options);
+    const batches = chunk(pending, options.batchSize || DEFAULT_BATCH_SIZE);
+    this.running = true;
+    this.stopped = false;
+    this.project = project;
+    this.batchesDone = 0;
+    this.batchesTotal = batches.length;
+    this.lastError = null;
+
+    this.run(path.resolve(options.repoPath), project, batches)
+      .catch(error => {
+        this.lastError = (error as Error).message;
+        logger.error('WORKER', 'Git history import stopped', { project, batchesDone: this.batchesDone }, error as Error);
+      })
+      .finally(() => {
+        this.running = false;
+      });
+
+    return pending.length;
+  }
+
+  /**
+   * Stop after the current step; queued commits are kept and the next run links them
+   */
+  stop(): void {
+    this.stopped = true;
+  }
+
+  private readCommits(options: GitHistoryOptions): { project: string; commits: GitCommit[]; pending: GitCommit[] } {
+    const repoPath = path.resolve(options.repoPath);
+    const commits = readGitLog(repoPath, {
+      maxCount: options.maxCommits || DEFAULT_MAX_COMMITS,
+      since: options.since
+    });
+    const imported = getImportedCommitShas(this.dbManager.getSessionStore().db, commits.map(commit => commit.sha));
+
+    return {
+      project: options.project || getProjectName(repoPath),
+      commits,
+      pending: commits.filter(commit => !imported.has(commit.sha))
+    };
+  }
+
+  private async run(repoPath: string, project: string, batches: GitCommit[][]): Promise<void> {
+    const db = this.dbManager.getSessionStore().db;
+    logger.info('WORKER', 'Git history import started', { repoPath, project, batches: batches.length });
+
+    // Batches queued by an interrupted run
+    for (const sessionDbId of getUnlinkedCommitSessions(db)) {
+      if (!await waitForQueueDrain(this.sessionManager, sessionDbId, this.startProcessor, () => this.stopped)) return;
+      linkCommitObservations(db, sessionDbId);
+    }
+
+    for (const batch of batches) {
+      if (this.stopped) return;
+
+      const sessionDbId = this.queueBatch(repoPath, project, batch);
+      if (!await waitForQueueDrain(this.sessionManager, sessionDbId, this.startProcessor, () => this.stopped)) return;
+
+      const linked = linkCommitObservations(db, sessionDbId);
+      this.batchesDone++;
+      logger.info('WORKER', 'Git history batch imported', { project, sessionDbId, ...linked });
+    }
+
+    logger.info('WORKER', 'Git history import finished', { project, counts: this.status().counts });
+  }
+
+  /**
+   * Create the batch's session and queue one observation message per commit
+   * @returns the session's database ID
+   */
+  private queueBatch(repoPath: string, project: string, batch: GitCommit[]): number {
+    const db = this.dbManager.getSessionStore().db;
+    const first = batch[0];
+    const last = batch[batch.length - 1];
+    const contentSessionId = `git-history-${first.sha.slice(0, 12)}`;
+    const prompt = buildBatchPrompt(project, batch);
+
+    const queueTx = db.transaction((): number => {
+      const sessionDbId = createSDKSession(db, contentSessionId, project, prompt);
+      saveUserPrompt(db, contentSessionId, 1, prompt, first.authorDateEpoch);
+
+      for (const commit of batch) {
+        this.sessionManager.queueObservation(sessionDbId, {
+          tool_name: GIT_COMMIT_TOOL_NAME,
+          tool_input: stripMemoryTagsFromJson(JSON.stringify({
+            sha: commit.sha,
+            author: commit.authorName,
+            date: new Date(commit.authorDateEpoch).toISOString(),
+            subject: commit.subject
+          })),
+          tool_response: stripMemoryTagsFromJson(JSON.stringify(describeCommit(commit))),
+          prompt_number: 1,
+          cwd: repoPath
+        }, commit.authorDateEpoch);
+      }
+
+      recordQueuedCommits(db, sessionDbId, batch.map(commit => ({
+        sha: commit.sha,
+        authorName: commit.authorName,
+        authorDateEpoch: commit.authorDateEpoch,
+        subject: commit.subject,
+        files: commit.files.map(file => file.path)
+      })));
+      return sessionDbId;
+    });
+
+    const sessionDbId = queueTx();
+    logger.info('WORKER', 'Git history batch queued', {
+      project,
+      sessionDbId,
+      commits: batch.length,
+      from: first.sha.slice(0, 7),
+      to: last.sha.slice(0, 7)
+    });
+    return sessionDbId;
+  }
+}
+
+/**
+ * The session's user prompt: tells the agent what the messages are and what to record
+ */
+function buildBatchPrompt(project: string, batch: GitCommit[]): string {
+  const from = new Date(batch[0].authorDateEpoch).toISOString().slice(0, 10);
+  const to = new Date(batch[batch.length - 1].authorDateEpoch).toISOString().slice(0, 10);
+  return `Learn ${project} from its git history: ${batch.length} commits from ${from} to ${to}, one per message. ` +
+    'Record what meaningful commits changed and what the history reveals about how the project works; ' +
+    'skip trivial commits such as version bumps and formatting. Cite the short commit SHA in the facts.';
+}
+
+/**
+ * Commit message and diff stats, as the observation message's outcome
+ */
+function describeCommit(commit: GitCommit): Record<string, unknown> {
+  const insertions = commit.files.reduce((sum, file) => sum + (file.added ?? 0), 0);
+  const deletions = commit.files.reduce((sum, file) => sum + (file.removed ?? 0), 0);
+  return {
+    message: commit.body,
+    filesChanged: commit.files.length,
+    insertions,
+    deletions,
+    files: commit.files.slice(0, MAX_FILES_PER_COMMIT)
+  };
+}
+
+function chunk<T>(items: T[], size: number): T[][] {
+  const chunks: T[][] = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
@@ -0,0 +1,93 @@
+/**
+ * OpenAICompatibleAgent: Observation extraction against any OpenAI-compatible server
+ *
+ * Alternative to SDKAgent for self-hosted models (Ollama, vLLM, llama.cpp server,
+ * LM Studio) or any gateway exposing POST {baseUrl}/chat/completions.
+ *
+ * Responsibility:
+ * - Resolve the base URL, model, optional API key and custom headers
+ * - Support custom headers for gateways that need more than a Bearer token
+ * - Everything else (session loop, history, parsing) lives in ChatCompletionsAgent
+ */
+
+import { logger } from '../../utils/logger.js';
+import { SettingsDefaultsManager } from '../../shared/SettingsDefaultsManager.js';
+import { USER_SETTINGS_PATH } from '../../shared/paths.js';
+import { ChatCompletionsAgent, type ChatCompletionsConfig } from './agents/index.js';
+
+export class OpenAICompatibleAgent extends ChatCompletionsAgent {
+  protected readonly providerName = 'OpenAICompatible';
+  protected readonly label = 'OpenAI-compatible';
+  protected readonly sessionIdPrefix = 'openai-compatible';
+
+  /**
+   * Get OpenAI-compatible configuration from settings
+   */
+  protected getConfig(): ChatCompletionsConfig {
+    const settings = SettingsDefaultsManager.loadFromFile(USER_SETTINGS_PATH);
+    const baseUrl = settings.CLAUDE_MEM_OPENAI_COMPATIBLE_BASE_URL.replace(/\/+$/, '');
+    const model = settings.CLAUDE_MEM_OPENAI_COMPATIBLE_MODEL;
+
+    if (!baseUrl || !model) {
+      throw new Error('OpenAI-compatible provider not configured. Set CLAUDE_MEM_OPENAI_COMPATIBLE_BASE_URL and CLAUDE_MEM_OPENAI_COMPATIBLE_MODEL in settings.');
+    }
+
+    const headers = parseHeaders(settings.CLAUDE_MEM_OPENAI_COMPATIBLE_HEADERS);
+    // The API key is optional - most self-hosted servers don't require one
+    if (settings.CLAUDE_MEM_OPENAI_COMPATIBLE_API_KEY) {
+      headers['Authorization'] = `Bearer ${settings.CLAUDE_MEM_OPENAI_COMPATIBLE_API_KEY}`;
+    }
+
+    return {
+      endpoint: `${baseUrl}/chat/completions`,
+      model,
+      headers,
+      maxContextMessages: settings.CLAUDE_MEM_OPENAI_COMPATIBLE_MAX_CONTEXT_MESSAGES,
+      maxTokens: settings.CLAUDE_MEM_OPENAI_COMPATIBLE_MAX_TOKENS
+    };
+  }
+}
+
+/**
+ * Parse the CLAUDE_MEM_OPENAI_COMPATIBLE_HEADERS JSON object
+ * Invalid JSON or non-string values are ignored rather than failing the session
+ */
+function parseHeaders(raw: string): Record<string, string> {
+  if (!raw) return {};
+
+  try {
+    const parsed = JSON.parse(raw);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('expected a JSON object');
+    }
+    const headers: Record<string, string> = {};
+    for (const [name, value] of Object.entries(parsed)) {
+      if (typeof value === 'string') {
+        headers[name] = value;
+      }
+    }
+    return headers;
+  } catch (error) {
+    logger.warn('SDK', 'Ignoring invalid CLAUDE_MEM_OPENAI_COMPATIBLE_HEADERS', {
+      error: error instanceof Error ? error.message : String(error)
+    });
+    return {};
+  }
+}
+
+/**
+ * Check if the OpenAI-compatible provider is configured (base URL and model set)
+ * The API key is optional - most self-hosted servers don't require one
+ */
+export function isOpenAICompatibleAvailable(): boolean {
+  const settings = SettingsDefaultsManager.loadFromFile(USER_SETTINGS_PATH);
+  return !!(settings.CLAUDE_MEM_OPENAI_COMPATIBLE_BASE_URL && settings.CLAUDE_MEM_OPENAI_COMPATIBLE_MODEL);
+}
+
+/**
+ * Check if the OpenAI-compatible provider is the selected provider
+ */
+export function isOpenAICompatibleSelected(): boolean {
+  const settings = SettingsDefaultsManager.loadFromFile(USER_SETTINGS_PATH);
+  return settings.CLAUDE_MEM_PROVIDER === 'openai-compatible';
+}
@@ -5,10 +5,15 @@
  * - DRY helper for paginated queries
  * - Eliminates copy-paste across observations/summaries/prompts endpoints
  * - Efficient LIMIT+1 trick to avoid COUNT(*) query
+ * - Keyset cursors (created_at_epoch + id) so pages stay stable while new rows stream in;
+ *   offset paging remains for older clients
  */
 
+import type { Database } from 'bun:sqlite';
 import { DatabaseManager } from './DatabaseManager.js';
 import { logger } from '../../utils/logger.js';
+import { encodeCursor, keysetCondition } from '../sqlite/cursor.js';
+import type { KeysetPosition } from '../sqlite/types.js';
 import type { PaginatedResult, Observation, Summary, UserPrompt } from '../worker-types.js';
 
 export class PaginationHelper {
@@ -71,13 +76,14 @@ export class PaginationHelper {
   /**
    * Get paginated observations
    */
-  getObservations(offset: number, limit: number, project?: string): PaginatedResult<Observation> {
+  getObservations(offset: number, limit: number, project?: string, cursor?: KeysetPosition): PaginatedResult<Observation> {
     const result = this.paginate<Observation>(
       'observations',
-      'id, memory_session_id, project, type, title, subtitle, narrative, text, facts, concepts, files_read, files_modified, prompt_number, created_at, created_at_epoch',
+      'id, memory_session_id, project, type, title, subtitle, narrative, text, facts, concepts, files_read, files_modified, prompt_number, pinned, created_at, created_at_epoch',
       offset,
       limit,
-      project
+      project,
+      cursor
     );
 
     // Strip project paths from file paths before returning
@@ -90,10 +96,10 @@ export class PaginationHelper {
   /**
    * Get paginated summaries
    */
-  getSummaries(offset: number, limit: number, project?: string): PaginatedResult<Summary> {
+  getSummaries(offset: number, limit: number, project?: string, cursor?: KeysetPosition): PaginatedResult<Summary> {
     const db = this.dbManager.getSessionStore().db;
 
-    let query = `
+    const query = `
       SELECT
         ss.id,
         s.content_session_id as session_id,
@@ -109,89 +115,99 @@ export class PaginationHelper {
       JOIN sdk_sessions s ON ss.memory_session_id = s.memory_session_id
     `;
     const params: any[] = [];
+    const conditions: string[] = [];
 
     if (project) {
-      query += ' WHERE ss.project = ?';
+      conditions.push('ss.project = ?');
       params.push(project);
     }
 
-    query += ' ORDER BY ss.created_at_epoch DESC LIMIT ? OFFSET ?';
-    params.push(limit + 1, offset);
-
-    const stmt = db.prepare(query);
-    const results = stmt.all(...params) as Summary[];
-
-    return {
-      items: results.slice(0, limit),
-      hasMore: results.length > limit,
-      offset,
-      limit
-    };
+    return this.runPage<Summary>(db, query, conditions, params, 'ss', offset, limit, cursor);
   }
 
   /**
    * Get paginated user prompts
    */
-  getPrompts(offset: number, limit: number, project?: string): PaginatedResult<UserPrompt> {
+  getPrompts(offset: number, limit: number, project?: string, cursor?: KeysetPosition): PaginatedResult<UserPrompt> {
     const db = this.dbManager.getSessionStore().db;
 
-    let query = `
+    const query = `
       SELECT up.id, up.content_session_id, s.project, up.prompt_number, up.prompt_text, up.created_at, up.created_at_epoch
       FROM user_prompts up
       JOIN sdk_sessions s ON up.content_session_id = s.content_session_id
     `;
     const params: any[] = [];
+    const conditions: string[] = [];
 
     if (project) {
-      query += ' WHERE s.project = ?';
+      conditions.push('s.project = ?');
       params.push(project);
     }
 
-    query += ' ORDER BY up.created_at_epoch DESC LIMIT ? OFFSET ?';
-    params.push(limit + 1, offset);
-
-    const stmt = db.prepare(query);
-    const results = stmt.all(...params) as UserPrompt[];
-
-    return {
-      items: results.slice(0, limit),
-      hasMore: results.length > limit,
-      offset,
-      limit
-    };
+    return this.runPage<UserPrompt>(db, query, conditions, params, 'up', offset, limit, cursor);
   }
 
   /**
    * Generic pagination implementation (DRY)
    */
-  private paginate<T>(
+  private paginate<T extends { id: number; created_at_epoch: number }>(
     table: string,
     columns: string,
     offset: number,
     limit: number,
-    project?: string
+    project?: string,
+    cursor?: KeysetPosition
   ): PaginatedResult<T> {
     const db = this.dbManager.getSessionStore().db;
 
-    let query = `SELECT ${columns} FROM ${table}`;
+    const query = `SELECT ${columns} FROM ${table}`;
     const params: any[] = [];
+    const conditions: string[] = [];
 
     if (project) {
-      query += ' WHERE project = ?';
+      conditions.push('project = ?');
       params.push(project);
     }
 
-    query += ' ORDER BY created_at_epoch DESC LIMIT ? OFFSET ?';
-    params.push(limit + 1, offset); // Fetch one extra to check hasMore
+    return this.runPage<T>(db, query, conditions, params, '', offset, limit, cursor);
+  }
+
+  /**
+   * Run a newest-first page query: keyset after the cursor if given, otherwise offset
+   * id breaks created_at_epoch ties so rows created in the same millisecond keep a fixed order
+   */
+  private runPage<T extends { id: number; created_at_epoch: number }>(
+    db: Database,
+    baseQuery: string,
+    conditions: string[],
+    params: any[],
+    tableAlias: string,
+    offset: number,
+    limit: number,
+    cursor?: KeysetPosition
+  ): PaginatedResult<T> {
+    if (cursor) {
+      conditions.push(keysetCondition(tableAlias, cursor, 'date_desc', params));
+    }
+
+    const column = (name: string) => tableAlias ? `${tableAlias}.${name}` : name;
+    let query = baseQuery;
+    if (conditions.length > 0) {
+      query += ` WHERE ${conditions.join(' AND ')}`;
+    }
+    query += ` ORDER BY ${column('created_at_epoch')} DESC, ${column('id')} DESC LIMIT ? OFFSET ?`;
+    params.push(limit + 1, cursor ? 0 : offset); // Fetch one extra to check hasMore
 
-    const stmt = db.prepare(query);
-    const results = stmt.all(...params) as T[];
+    const results = db.prepare(query).all(...params) as T[];
+    const items = results.slice(0, limit);
+    const hasMore = results.length > limit;
 
     return {
-      items: results.slice(0, limit),
-      hasMore: results.length > limit,
-      offset,
-      limit
+      items,
+      hasMore,
+      offset: cursor ? 0 : offset,
+      limit,
+      nextCursor: hasMore ? encodeCursor(items[items.length - 1]) : null
     };
   }
 }
@@ -0,0 +1,155 @@
+/**
+ * PromptContextService - Prompt-time memory retrieval for UserPromptSubmit
+ *
+ * Runs a relevance search against the incoming user prompt and renders the top
+ * matching observations as a compact markdown block for hookSpecificOutput.
+ * Remembers which observations were already injected into each content session,
+ * at SessionStart or by an earlier prompt, so the same memory is not repeated.
+ */
+
+import type { SearchOrchestrator } from './search/SearchOrchestrator.js';
+import type { ObservationSearchResult } from '../sqlite/types.js';
+import { estimateTokens, formatDateTime } from '../../shared/timeline-formatting.js';
+import { logger } from '../../utils/logger.js';
+
+// Bound the dedup map so long-running workers don't grow without limit
+const MAX_TRACKED_SESSIONS = 500;
+// Long prompts (pasted logs, files) add noise to the search query
+const MAX_QUERY_CHARS = 1000;
+const MAX_NARRATIVE_CHARS = 500;
+
+export interface PromptContextOptions {
+  prompt: string;
+  project?: string;
+  contentSessionId?: string;
+  limit: number;
+  tokenBudget: number;
+}
+
+export interface PromptContextResult {
+  context: string;
+  observationIds: number[];
+  tokens: number;
+}
+
+export class PromptContextService {
+  private injectedBySession = new Map<string, Set<number>>();
+
+  constructor(private orchestrator: SearchOrchestrator) {}
+
+  /**
+   * Search for observations relevant to a prompt and render them within the token budget
+   * Returns an empty context when nothing new and relevant fits
+   */
+  async buildContext(options: PromptContextOptions): Promise<PromptContextResult> {
+    const { prompt, project, contentSessionId, limit, tokenBudget } = options;
+    const empty: PromptContextResult = { context: '', observationIds: [], tokens: 0 };
+
+    const query = prompt.trim().slice(0, MAX_QUERY_CHARS);
+    if (!query || limit <= 0 || tokenBudget <= 0) {
+      return empty;
+    }
+
+    const alreadyInjected = contentSessionId ? this.injectedBySession.get(contentSessionId) : undefined;
+
+    const result = await this.orchestrator.search({
+      query,
+      project,
+      searchType: 'observations',
+      // Over-fetch so dedup doesn't starve the result list
+      limit: limit + (alreadyInjected?.size ?? 0)
+    });
+
+    // A filter-only SQLite fallback returns recent observations, not relevant ones
+    if (result.fellBack && result.strategy === 'sqlite') {
+      logger.debug('WORKER', 'Prompt context skipped - no relevance search available', { project });
+      return empty;
+    }
+
+    const candidates = result.results.observations.filter(obs => !alreadyInjected?.has(obs.id));
+
+    const header = [
+      '# Relevant memories',
+      'Past observations from claude-mem that match this prompt. Use get_observations([IDs]) for full details.',
+      ''
+    ].join('\n');
+
+    let tokens = estimateTokens(header);
+    const blocks: string[] = [];
+    const observationIds: number[] = [];
+
+    for (const obs of candidates) {
+      if (observationIds.length >= limit) break;
+
+      const block = this.formatObservation(obs);
+      const blockTokens = estimateTokens(block);
+      if (tokens + blockTokens > tokenBudget) continue;
+
+      blocks.push(block);
+      observationIds.push(obs.id);
+      tokens += blockTokens;
+    }
+
+    if (observationIds.length === 0) {
+      return empty;
+    }
+
+    if (contentSessionId) {
+      this.markInjected(contentSessionId, observationIds);
+    }
+
+    logger.debug('WORKER', 'Prompt context built', {
+      project,
+      strategy: result.strategy,
+      candidates: candidates.length,
+      injected: observationIds.length,
+      tokens
+    });
+
+    return {
+      context: [header, ...blocks].join('\n'),
+      observationIds,
+      tokens
+    };
+  }
+
+  /**
+   * Render a single observation as a compact markdown list item
+   */
+  private formatObservation(obs: ObservationSearchResult): string {
+    const title = obs.title || 'Untitled';
+    const lines = [`- **#${obs.id}** [${obs.type}] ${title} (${formatDateTime(obs.created_at_epoch)})`];
+
+    const body = obs.narrative || obs.subtitle;
+    if (body) {
+      const truncated = body.length > MAX_NARRATIVE_CHARS
+        ? body.slice(0, MAX_NARRATIVE_CHARS).trimEnd() + '...'
+        : body;
+      lines.push(`  ${truncated.replace(/\s*\n\s*/g, ' ')}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Record injected observation IDs for a session, evicting the oldest session when full
+   * Called for SessionStart context too, so prompts don't repeat what it showed
+   */
+  markInjected(contentSessionId: string, observationIds: number[]): void {
+    let injected = this.injectedBySession.get(contentSessionId);
+    if (!injected) {
+      if (this.injectedBySession.size >= MAX_TRACKED_SESSIONS) {
+        const oldest = this.injectedBySession.keys().next().value;
+        if (oldest !== undefined) {
+          this.injectedBySession.delete(oldest);
+        }
+      }
+      injected = new Set<number>();
+      this.injectedBySession.set(contentSessionId, injected);
+    }
+
+    for (const id of observationIds) {
+      injected.add(id);
+    }
+  }
+}
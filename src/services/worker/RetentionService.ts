@@ -0,0 +1,241 @@
+/**
+ * RetentionService - Scheduled pruning of old memory per project
+ *
+ * Resolves each project's retention policy from settings (global rules plus
+ * CLAUDE_MEM_RETENTION_PROJECTS overrides), reports what would be removed (dry run),
+ * and applies it: rows are optionally archived to JSONL, deleted from SQLite,
+ * then their documents are removed from the vector collection.
+ */
+
+import { writeFileSync } from 'fs';
+import path from 'path';
+import type { DatabaseManager } from './DatabaseManager.js';
+import { getProjectSummaries } from '../sqlite/Projects.js';
+import {
+  planRetention,
+  applyRetention,
+  getRetentionArchiveRows,
+  hasRetentionLimits,
+  type RetentionPlan,
+  type RetentionPolicy
+} from '../sqlite/Retention.js';
+import { SettingsDefaultsManager, type SettingsDefaults } from '../../shared/SettingsDefaultsManager.js';
+import { USER_SETTINGS_PATH, ensureDir, getProjectArchiveDir } from '../../shared/paths.js';
+import { logger } from '../../utils/logger.js';
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+export type RetentionAction = 'archive' | 'delete';
+
+/**
+ * What a policy removes (dry run) or removed from one project
+ */
+export interface RetentionReport {
+  project: string;
+  dryRun: boolean;
+  action: RetentionAction;
+  policy: RetentionPolicy;
+  cutoffEpoch: number | null;
+  observations: number;
+  summaries: number;
+  prompts: number;
+  pendingMessages: number;
+  observationIds: number[];
+  archivePath?: string;
+}
+
+export class RetentionService {
+  private interval: ReturnType<typeof setInterval> | null = null;
+  private running = false;
+
+  constructor(private dbManager: DatabaseManager) {}
+
+  /**
+   * Resolve the retention policy for a project: global settings, then per-project overrides
+   */
+  resolvePolicy(project: string, settings: SettingsDefaults = this.loadSettings()): RetentionPolicy {
+    const policy: RetentionPolicy = {
+      maxAgeDays: parseInt(settings.CLAUDE_MEM_RETENTION_MAX_AGE_DAYS, 10) || 0,
+      maxObservations: parseInt(settings.CLAUDE_MEM_RETENTION_MAX_OBSERVATIONS, 10) || 0,
+      keepTypes: settings.CLAUDE_MEM_RETENTION_KEEP_TYPES.split(',').map(t => t.trim()).filter(Boolean),
+      keepPinned: settings.CLAUDE_MEM_RETENTION_KEEP_PINNED !== 'false'
+    };
+
+    const override = this.parseOverrides(settings)[project];
+    return override ? { ...policy, ...override } : policy;
+  }
+
+  /**
+   * Whether a run (scheduled or on demand) is in progress
+   */
+  isRunning(): boolean {
+    return this.running;
+  }
+
+  /**
+   * Report what the current policies would remove, without deleting anything
+   */
+  preview(project?: string): RetentionReport[] {
+    const settings = this.loadSettings();
+    return this.planProjects(settings, project).map(plan => this.toReport(plan, settings, true));
+  }
+
+  /**
+   * Apply the current policies now
+   * Archive mode writes the removed rows to the project archive directory first
+   */
+  async run(project?: string): Promise<RetentionReport[]> {
+    if (this.running) {
+      logger.warn('WORKER', 'Retention run skipped, previous run still in progress');
+      return [];
+    }
+
+    this.running = true;
+    try {
+      const settings = this.loadSettings();
+      const db = this.dbManager.getSessionStore().db;
+      const reports: RetentionReport[] = [];
+
+      for (const plan of this.planProjects(settings, project)) {
+        const report = this.toReport(plan, settings, false);
+        if (report.observations + report.summaries + report.prompts + report.pendingMessages === 0) {
+          reports.push(report);
+          continue;
+        }
+
+        if (report.action === 'archive') {
+          report.archivePath = this.writeArchive(plan);
+        }
+
+        const result = applyRetention(db, plan);
+        Object.assign(report, result);
+        reports.push(report);
+
+        logger.info('WORKER', 'Retention applied', {
+          project: plan.project,
+          action: report.action,
+          observations: result.observations,
+          summaries: result.summaries,
+          prompts: result.prompts,
+          pendingMessages: result.pendingMessages
+        });
+
+        await this.deleteVectorDocuments(plan);
+      }
+
+      return reports;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Start the scheduled job (interval read once; enabled flag checked on every tick)
+   */
+  start(): void {
+    if (this.interval) return;
+
+    const hours = parseInt(this.loadSettings().CLAUDE_MEM_RETENTION_INTERVAL_HOURS, 10) || 24;
+    this.interval = setInterval(() => {
+      if (this.loadSettings().CLAUDE_MEM_RETENTION_ENABLED !== 'true') return;
+
+      this.run().catch(error => {
+        logger.error('WORKER', 'Scheduled retention run failed', {}, error as Error);
+      });
+    }, hours * MS_PER_HOUR);
+  }
+
+  /**
+   * Stop the scheduled job
+   */
+  stop(): void {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  private loadSettings(): SettingsDefaults {
+    return SettingsDefaultsManager.loadFromFile(USER_SETTINGS_PATH);
+  }
+
+  /**
+   * Per-project overrides; invalid JSON is logged and ignored (settings validation rejects it on save)
+   */
+  private parseOverrides(settings: SettingsDefaults): Record<string, Partial<RetentionPolicy>> {
+    try {
+      const overrides = JSON.parse(settings.CLAUDE_MEM_RETENTION_PROJECTS || '{}');
+      return overrides && typeof overrides === 'object' && !Array.isArray(overrides) ? overrides : {};
+    } catch (error) {
+      logger.warn('WORKER', 'Ignoring invalid CLAUDE_MEM_RETENTION_PROJECTS', {}, error as Error);
+      return {};
+    }
+  }
+
+  /**
+   * Plan every project that has a policy with limits (or just the requested one)
+   */
+  private planProjects(settings: SettingsDefaults, project?: string): RetentionPlan[] {
+    const db = this.dbManager.getSessionStore().db;
+    const projects = project ? [project] : getProjectSummaries(db).map(summary => summary.project);
+
+    return projects
+      .map(name => ({ name, policy: this.resolvePolicy(name, settings) }))
+      .filter(({ policy }) => hasRetentionLimits(policy))
+      .map(({ name, policy }) => planRetention(db, name, policy));
+  }
+
+  private toReport(plan: RetentionPlan, settings: SettingsDefaults, dryRun: boolean): RetentionReport {
+    return {
+      project: plan.project,
+      dryRun,
+      action: settings.CLAUDE_MEM_RETENTION_ACTION === 'delete' ? 'delete' : 'archive',
+      policy: plan.policy,
+      cutoffEpoch: plan.cutoffEpoch,
+      observations: plan.observationIds.length,
+      summaries: plan.summaryIds.length,
+      prompts: plan.promptIds.length,
+      pendingMessages: plan.pendingMessageIds.length,
+      observationIds: plan.observationIds
+    };
+  }
+
+  /**
+   * Write the rows of a plan as JSONL ({ table, row } per line) and return the file path
+   */
+  private writeArchive(plan: RetentionPlan): string {
+    const rows = getRetentionArchiveRows(this.dbManager.getSessionStore().db, plan);
+    const dir = getProjectArchiveDir(plan.project);
+    ensureDir(dir);
+
+    const filePath = path.join(dir, `retention-${new Date().toISOString().replace(/[:.]/g, '-')}.jsonl`);
+    const lines = [
+      ...rows.observations.map(row => JSON.stringify({ table: 'observations', row })),
+      ...rows.summaries.map(row => JSON.stringify({ table: 'session_summaries', row })),
+      ...rows.prompts.map(row => JSON.stringify({ table: 'user_prompts', row }))
+    ];
+    writeFileSync(filePath, lines.join('\n') + '\n', 'utf-8');
+
+    return filePath;
+  }
+
+  /**
+   * Remove deleted records from the vector collection (failures are logged, not retried)
+   */
+  private async deleteVectorDocuments(plan: RetentionPlan): Promise<void> {
+    const chromaSync = this.dbManager.getChromaSync();
+    const logFailure = (kind: string, id: number) => (error: Error) => {
+      logger.error('CHROMA', 'ChromaDB delete failed during retention', { kind, id }, error);
+    };
+
+    for (const id of plan.observationIds) {
+      await chromaSync.deleteObservation(id).catch(logFailure('observation', id));
+    }
+    for (const id of plan.summaryIds) {
+      await chromaSync.deleteSummary(id).catch(logFailure('summary', id));
+    }
+    for (const id of plan.promptIds) {
+      await chromaSync.deleteUserPrompt(id).catch(logFailure('prompt', id));
+    }
+  }
+}
@@ -16,25 +16,40 @@
 import { basename } from 'path';
 import { SessionSearch } from '../sqlite/SessionSearch.js';
 import { SessionStore } from '../sqlite/SessionStore.js';
+import { getObservationsSharingFilesOrConcepts } from '../sqlite/observations/related.js';
 import { ChromaSync } from '../sync/ChromaSync.js';
 import { FormattingService } from './FormattingService.js';
 import { TimelineService } from './TimelineService.js';
 import type { TimelineItem } from './TimelineService.js';
-import type { ObservationSearchResult, SessionSummarySearchResult, UserPromptSearchResult } from '../sqlite/types.js';
+import type { KeysetPosition, ObservationSearchResult, SessionSummarySearchResult, UserPromptSearchResult } from '../sqlite/types.js';
+import { InvalidCursorError, isAfterPosition } from '../sqlite/cursor.js';
 import { logger } from '../../utils/logger.js';
 import { formatDate, formatTime, formatDateTime, extractFirstFile, groupByDate, estimateTokens } from '../../shared/timeline-formatting.js';
 import { ModeManager } from '../domain/ModeManager.js';
+import { SettingsDefaultsManager } from '../../shared/SettingsDefaultsManager.js';
+import { USER_SETTINGS_PATH } from '../../shared/paths.js';
+import { PromptContextService } from './PromptContextService.js';
+import type { PromptContextResult } from './PromptContextService.js';
 
 import {
   SearchOrchestrator,
   TimelineBuilder,
-  SEARCH_CONSTANTS
+  SEARCH_CONSTANTS,
+  parseSearchQuery,
+  computeSearchFacets,
+  formatSearchFacets,
+  rankSimilarObservations,
+  formatSimilarObservations,
+  decodeSearchCursor,
+  encodeSearchCursor,
+  nextSearchCursor
 } from './search/index.js';
-import type { TimelineData } from './search/index.js';
+import type { TimelineData, FusionWeights, SearchFacets, SearchCursor } from './search/index.js';
 
 export class SearchManager {
   private orchestrator: SearchOrchestrator;
   private timelineBuilder: TimelineBuilder;
+  private promptContextService: PromptContextService;
 
   constructor(
     private sessionSearch: SessionSearch,
@@ -50,6 +65,7 @@ export class SearchManager {
       chromaSync
     );
     this.timelineBuilder = new TimelineBuilder();
+    this.promptContextService = new PromptContextService(this.orchestrator);
   }
 
   /**
@@ -64,6 +80,51 @@ export class SearchManager {
     return await this.chromaSync.queryChroma(query, limit, whereFilter);
   }
 
+  /**
+   * Read hybrid search rank fusion weights from settings
+   */
+  private getFusionWeights(): FusionWeights {
+    const settings = SettingsDefaultsManager.loadFromFile(USER_SETTINGS_PATH);
+    const keyword = parseFloat(settings.CLAUDE_MEM_SEARCH_KEYWORD_WEIGHT);
+    const vector = parseFloat(settings.CLAUDE_MEM_SEARCH_VECTOR_WEIGHT);
+    const k = parseInt(settings.CLAUDE_MEM_SEARCH_RRF_K, 10);
+
+    return {
+      keyword: isNaN(keyword) ? 1 : keyword,
+      vector: isNaN(vector) ? 1 : vector,
+      k: isNaN(k) || k < 1 ? SEARCH_CONSTANTS.RRF_K : k
+    };
+  }
+
+  /**
+   * Expand a structured query string (q) into the separate search params
+   * q replaces query; its filters override the matching separate params.
+   * @throws SearchQueryError if q cannot be parsed
+   */
+  private expandQueryString(args: any): any {
+    if (typeof args.q !== 'string') {
+      return args;
+    }
+
+    const { q, ...expanded } = args;
+    const parsed = parseSearchQuery(q);
+    expanded.query = parsed.query;
+
+    if (parsed.searchType) expanded.type = parsed.searchType;
+    if (parsed.obsType) expanded.obs_type = parsed.obsType;
+    if (parsed.concepts) expanded.concepts = parsed.concepts;
+    if (parsed.files) expanded.files = parsed.files;
+    if (parsed.project) expanded.project = parsed.project;
+    if (parsed.orderBy) expanded.orderBy = parsed.orderBy;
+    if (parsed.dateRange) {
+      expanded.dateRange = parsed.dateRange;
+      delete expanded.dateStart;
+      delete expanded.dateEnd;
+    }
+
+    return expanded;
+  }
+
   /**
    * Helper to normalize query parameters from URL-friendly format
    * Converts comma-separated strings to arrays and flattens date params
@@ -122,17 +183,57 @@ export class SearchManager {
    */
   async search(args: any): Promise<any> {
     // Normalize URL-friendly params to internal format
-    const normalized = this.normalizeParams(args);
-    const { query, type, obs_type, concepts, files, format, ...options } = normalized;
+    const normalized = this.normalizeParams(this.expandQueryString(args));
+    const { query, type, obs_type, concepts, files, format, facets: facetsParam, cursor: cursorParam, ...options } = normalized;
+    const pageLimit = Number(options.limit) || SEARCH_CONSTANTS.DEFAULT_LIMIT;
+
+    // Keyset cursor from a previous page's nextCursor: pages date-ordered results and replaces offset
+    const searchCursor: SearchCursor | undefined = typeof cursorParam === 'string' && cursorParam
+      ? decodeSearchCursor(cursorParam)
+      : undefined;
+    if (searchCursor) {
+      if (query && options.orderBy === 'relevance') {
+        throw new InvalidCursorError('Cursor pagination requires date ordering (sort:newest or sort:oldest)');
+      }
+      options.orderBy = options.orderBy ?? 'date_desc';
+      delete options.offset;
+    }
+    const pageOffset = Number(options.offset) || 0;
+    const dateOrdered = !query || options.orderBy === 'date_desc' || options.orderBy === 'date_asc';
+
+    // Facets count the full match set: fetch all of it (up to a cap) and page it below
+    const withFacets = facetsParam === true || facetsParam === 'true';
+    if (withFacets) {
+      options.limit = SEARCH_CONSTANTS.FACET_MATCH_LIMIT;
+      options.offset = 0;
+    }
+
+    // SQLite queries apply the cursor themselves; facet match sets and Chroma hydration
+    // are paged after the cursor in memory below
+    let cursorApplied = false;
+    const sqlCursor = (position: KeysetPosition | null | undefined) => {
+      if (withFacets || !position) return undefined;
+      cursorApplied = true;
+      return position;
+    };
+
     let observations: ObservationSearchResult[] = [];
     let sessions: SessionSummarySearchResult[] = [];
     let prompts: UserPromptSearchResult[] = [];
-    let chromaFailed = false;
-
-    // Determine which types to query based on type filter
-    const searchObservations = !type || type === 'observations';
-    const searchSessions = !type || type === 'sessions';
-    const searchPrompts = !type || type === 'prompts';
+    // Set when the Chroma result cap or recency window left out matches, so facet counts are lower bounds
+    let chromaLimited = false;
+    // Keyword search covers query text whenever Chroma is unavailable or fails
+    let useKeywordSearch = !this.chromaSync || this.chromaSync.isDisabled();
+
+    // Determine which types to query based on type filter, skipping types the cursor has exhausted
+    const pagedTypes = {
+      observations: !type || type === 'observations',
+      sessions: !type || type === 'sessions',
+      prompts: !type || type === 'prompts'
+    };
+    const searchObservations = pagedTypes.observations && searchCursor?.observations !== null;
+    const searchSessions = pagedTypes.sessions && searchCursor?.sessions !== null;
+    const searchPrompts = pagedTypes.prompts && searchCursor?.prompts !== null;
 
     // PATH 1: FILTER-ONLY (no query text) - Skip Chroma/FTS5, use direct SQLite filtering
     // This path enables date filtering which Chroma cannot do (requires direct SQLite access)
@@ -140,18 +241,33 @@ export class SearchManager {
       logger.debug('SEARCH', 'Filter-only query (no query text), using direct SQLite filtering', { enablesDateFilters: true });
       const obsOptions = { ...options, type: obs_type, concepts, files };
       if (searchObservations) {
-        observations = this.sessionSearch.searchObservations(undefined, obsOptions);
+        observations = this.sessionSearch.searchObservations(undefined, { ...obsOptions, cursor: sqlCursor(searchCursor?.observations) });
       }
       if (searchSessions) {
-        sessions = this.sessionSearch.searchSessions(undefined, options);
+        sessions = this.sessionSearch.searchSessions(undefined, { ...options, cursor: sqlCursor(searchCursor?.sessions) });
       }
       if (searchPrompts) {
-        prompts = this.sessionSearch.searchUserPrompts(undefined, options);
+        prompts = this.sessionSearch.searchUserPrompts(undefined, { ...options, cursor: sqlCursor(searchCursor?.prompts) });
       }
     }
-    // PATH 2: CHROMA SEMANTIC SEARCH (query text + Chroma available)
-    else if (this.chromaSync) {
-      let chromaSucceeded = false;
+    // PATH 2: HYBRID RELEVANCE SEARCH (query text + Chroma available + orderBy=relevance)
+    // Fuses FTS5 and Chroma rankings; results carry a normalized fused score
+    else if (options.orderBy === 'relevance' && !useKeywordSearch) {
+      logger.debug('SEARCH', 'Using hybrid keyword + semantic search', { typeFilter: type || 'all' });
+      const hybrid = await this.orchestrator.search({
+        ...options,
+        query,
+        searchType: type,
+        obsType: obs_type,
+        concepts,
+        files,
+        strategyHint: 'hybrid',
+        fusion: this.getFusionWeights()
+      });
+      ({ observations, sessions, prompts } = hybrid.results);
+    }
+    // PATH 3: CHROMA SEMANTIC SEARCH (query text + Chroma available)
+    else if (this.chromaSync && !useKeywordSearch) {
       logger.debug('SEARCH', 'Using ChromaDB semantic search', { typeFilter: type || 'all' });
 
       // Build Chroma where filter for doc_type
@@ -165,11 +281,16 @@ export class SearchManager {
       }
 
       // Step 1: Chroma semantic search with optional type filter
-      const chromaResults = await this.queryChroma(query, 100, whereFilter);
-      chromaSucceeded = true; // Chroma didn't throw error
-      logger.debug('SEARCH', 'ChromaDB returned semantic matches', { matchCount: chromaResults.ids.length });
+      let chromaResults: { ids: number[]; distances: number[]; metadatas: any[] } | null = null;
+      try {
+        chromaResults = await this.queryChroma(query, SEARCH_CONSTANTS.CHROMA_BATCH_SIZE, whereFilter);
+        logger.debug('SEARCH', 'ChromaDB returned semantic matches', { matchCount: chromaResults.ids.length });
+      } catch (error) {
+        logger.warn('SEARCH', 'ChromaDB query failed, falling back to FTS5 keyword search', {}, error as Error);
+        useKeywordSearch = true;
+      }
 
-      if (chromaResults.ids.length > 0) {
+      if (chromaResults && chromaResults.ids.length > 0) {
         // Step 2: Filter by recency (90 days)
         const ninetyDaysAgo = Date.now() - SEARCH_CONSTANTS.RECENCY_WINDOW_MS;
         const recentMetadata = chromaResults.metadatas.map((meta, idx) => ({
@@ -179,6 +300,8 @@ export class SearchManager {
         })).filter(item => item.isRecent);
 
         logger.debug('SEARCH', 'Results within 90-day window', { count: recentMetadata.length });
+        chromaLimited = chromaResults.metadatas.length >= SEARCH_CONSTANTS.CHROMA_BATCH_SIZE
+          || recentMetadata.length < chromaResults.metadatas.length;
 
         // Step 3: Categorize IDs by document type
         const obsIds: number[] = [];
@@ -199,56 +322,88 @@ export class SearchManager {
         logger.debug('SEARCH', 'Categorized results by type', { observations: obsIds.length, sessions: sessionIds.length, prompts: prompts.length });
 
         // Step 4: Hydrate from SQLite with additional filters
+        // A cursor page needs every match: rows before the cursor are dropped in memory, then limited
+        const hydrateLimit = searchCursor ? undefined : options.limit;
         if (obsIds.length > 0) {
           // Apply obs_type, concepts, files filters if provided
-          const obsOptions = { ...options, type: obs_type, concepts, files };
+          const obsOptions = { ...options, type: obs_type, concepts, files, limit: hydrateLimit };
           observations = this.sessionStore.getObservationsByIds(obsIds, obsOptions);
         }
         if (sessionIds.length > 0) {
-          sessions = this.sessionStore.getSessionSummariesByIds(sessionIds, { orderBy: 'date_desc', limit: options.limit, project: options.project });
+          sessions = this.sessionStore.getSessionSummariesByIds(sessionIds, { orderBy: 'date_desc', limit: hydrateLimit, project: options.project });
         }
         if (promptIds.length > 0) {
-          prompts = this.sessionStore.getUserPromptsByIds(promptIds, { orderBy: 'date_desc', limit: options.limit, project: options.project });
+          prompts = this.sessionStore.getUserPromptsByIds(promptIds, { orderBy: 'date_desc', limit: hydrateLimit, project: options.project });
         }
 
         logger.debug('SEARCH', 'Hydrated results from SQLite', { observations: observations.length, sessions: sessions.length, prompts: prompts.length });
-      } else {
+      } else if (chromaResults) {
         // Chroma returned 0 results - this is the correct answer, don't fall back to FTS5
         logger.debug('SEARCH', 'ChromaDB found no matches (final result, no FTS5 fallback)', {});
       }
     }
-    // ChromaDB not initialized - mark as failed to show proper error message
-    else if (query) {
-      chromaFailed = true;
-      logger.debug('SEARCH', 'ChromaDB not initialized - semantic search unavailable', {});
-      logger.debug('SEARCH', 'Install UVX/Python to enable vector search', { url: 'https://docs.astral.sh/uv/getting-started/installation/' });
-      observations = [];
-      sessions = [];
-      prompts = [];
+
+    // PATH 4: FTS5 KEYWORD SEARCH (query text + Chroma unavailable or failed)
+    if (query && useKeywordSearch) {
+      logger.debug('SEARCH', 'Using FTS5 keyword search', { typeFilter: type || 'all' });
+      const obsOptions = { ...options, type: obs_type, concepts, files };
+      if (searchObservations) {
+        observations = this.sessionSearch.searchObservations(query, { ...obsOptions, cursor: sqlCursor(searchCursor?.observations) });
+      }
+      if (searchSessions) {
+        sessions = this.sessionSearch.searchSessions(query, { ...options, cursor: sqlCursor(searchCursor?.sessions) });
+      }
+      if (searchPrompts) {
+        prompts = this.sessionSearch.searchUserPrompts(query, { ...options, cursor: sqlCursor(searchCursor?.prompts) });
+      }
+    }
+
+    let facets: SearchFacets | undefined;
+    if (withFacets) {
+      const truncated = chromaLimited
+        || [observations, sessions, prompts].some(list => list.length >= SEARCH_CONSTANTS.FACET_MATCH_LIMIT);
+      facets = computeSearchFacets({ observations, sessions, prompts }, truncated);
+    }
+
+    if (searchCursor && !cursorApplied) {
+      const order = options.orderBy === 'date_asc' ? 'date_asc' : 'date_desc';
+      const after = <T extends { id: number; created_at_epoch: number }>(rows: T[], position?: KeysetPosition | null) =>
+        position ? rows.filter(row => isAfterPosition(row, position, order)) : rows;
+      observations = after(observations, searchCursor.observations);
+      sessions = after(sessions, searchCursor.sessions);
+      prompts = after(prompts, searchCursor.prompts);
+    }
+
+    if (withFacets || searchCursor) {
+      observations = observations.slice(pageOffset, pageOffset + pageLimit);
+      sessions = sessions.slice(pageOffset, pageOffset + pageLimit);
+      prompts = prompts.slice(pageOffset, pageOffset + pageLimit);
     }
 
+    // Per-type lists that were searched, for the next page's cursor
+    const fetched = {
+      ...(pagedTypes.observations && { observations }),
+      ...(pagedTypes.sessions && { sessions }),
+      ...(pagedTypes.prompts && { prompts })
+    };
+
     const totalResults = observations.length + sessions.length + prompts.length;
 
     // JSON format: return raw data for programmatic access (e.g., export scripts)
     if (format === 'json') {
+      const nextCursor = dateOrdered ? nextSearchCursor(fetched, fetched, searchCursor ?? {}, pageLimit) : null;
       return {
         observations,
         sessions,
         prompts,
         totalResults,
-        query: query || ''
+        query: query || '',
+        nextCursor: nextCursor && encodeSearchCursor(nextCursor),
+        ...(facets ? { facets } : {})
       };
     }
 
     if (totalResults === 0) {
-      if (chromaFailed) {
-        return {
-          content: [{
-            type: 'text' as const,
-            text: `Vector search failed - semantic search unavailable.\n\nTo enable semantic search:\n1. Install uv: https://docs.astral.sh/uv/getting-started/installation/\n2. Restart the worker: npm run worker:restart\n\nNote: You can still use filter-only searches (date ranges, types, files) without a query term.`
-          }]
-        };
-      }
       return {
         content: [{
           type: 'text' as const,
@@ -291,10 +446,13 @@ export class SearchManager {
       allResults.sort((a, b) => b.epoch - a.epoch);
     } else if (options.orderBy === 'date_asc') {
       allResults.sort((a, b) => a.epoch - b.epoch);
+    } else if (query && (useKeywordSearch || options.orderBy === 'relevance')) {
+      // Interleave matches across types by normalized relevance score
+      allResults.sort((a, b) => (b.data.score ?? 0) - (a.data.score ?? 0));
     }
 
     // Apply limit across all types
-    const limitedResults = allResults.slice(0, options.limit || 20);
+    const limitedResults = allResults.slice(0, pageLimit);
 
     // Group by date, then by file within each day
     const cwd = process.cwd();
@@ -348,6 +506,24 @@ export class SearchManager {
       }
     }
 
+    if (dateOrdered) {
+      const shownOfType = (kind: CombinedResult['type']) => limitedResults.filter(r => r.type === kind).map(r => r.data);
+      const nextCursor = nextSearchCursor(
+        fetched,
+        { observations: shownOfType('observation'), sessions: shownOfType('session'), prompts: shownOfType('prompt') },
+        searchCursor ?? {},
+        pageLimit
+      );
+      if (nextCursor) {
+        lines.push(`Next page: cursor=${encodeSearchCursor(nextCursor)}`);
+        lines.push('');
+      }
+    }
+
+    if (facets) {
+      lines.push(...formatSearchFacets(facets));
+    }
+
     return {
       content: [{
         type: 'text' as const,
@@ -356,6 +532,59 @@ export class SearchManager {
     };
   }
 
+  /**
+   * Tool handler: similar
+   * Observations in the same project related to one observation by vector similarity,
+   * shared files and shared concepts, each with the reasons it matched.
+   * Without Chroma (or if the query fails), only shared files and concepts are used.
+   */
+  async similar(args: any): Promise<any> {
+    const id = Number(args.id);
+    const limit = Number.isFinite(Number(args.limit)) && Number(args.limit) > 0 ? Number(args.limit) : SEARCH_CONSTANTS.DEFAULT_LIMIT;
+    const format = (args.format || 'text').toString();
+
+    const target = this.sessionStore.getObservationById(id) as unknown as ObservationSearchResult | null;
+    if (!target) {
+      return null;
+    }
+
+    let vectorIds: number[] = [];
+    if (this.chromaSync) {
+      const text = [target.title, target.subtitle, target.narrative].filter(Boolean).join('\n');
+      try {
+        const chromaResults = await this.queryChroma(text || target.text || '', SEARCH_CONSTANTS.SIMILAR_VECTOR_CANDIDATES, {
+          $and: [{ doc_type: 'observation' }, { project: target.project }]
+        });
+        vectorIds = chromaResults.ids.filter(vectorId => vectorId !== id);
+      } catch (error) {
+        logger.warn('SEARCH', 'ChromaDB query failed, ranking similar observations by files and concepts only', { id }, error as Error);
+      }
+    }
+
+    const related = getObservationsSharingFilesOrConcepts(this.sessionStore.db, id, SEARCH_CONSTANTS.SIMILAR_RELATED_CANDIDATES);
+    const relatedIds = new Set(related.map(obs => obs.id));
+    const vectorOnly = this.sessionStore.getObservationsByIds(
+      vectorIds.filter(vectorId => !relatedIds.has(vectorId)),
+      { project: target.project }
+    ) as unknown as ObservationSearchResult[];
+
+    const similar = rankSimilarObservations(target, [...related, ...vectorOnly], vectorIds, limit);
+
+    if (format === 'json') {
+      return {
+        observation: { id: target.id, title: target.title, type: target.type, project: target.project },
+        similar
+      };
+    }
+
+    return {
+      content: [{
+        type: 'text' as const,
+        text: formatSimilarObservations(target, similar)
+      }]
+    };
+  }
+
   /**
    * Tool handler: timeline
    */
@@ -1277,6 +1506,30 @@ export class SearchManager {
     };
   }
 
+  /**
+   * Prompt-time context: observations relevant to a new user prompt
+   * Limit and token budget come from settings unless overridden by args
+   */
+  async getPromptContext(args: any): Promise<PromptContextResult> {
+    const settings = SettingsDefaultsManager.loadFromFile(USER_SETTINGS_PATH);
+    const limit = parseInt(args.limit ?? settings.CLAUDE_MEM_PROMPT_CONTEXT_LIMIT, 10);
+    const tokenBudget = parseInt(args.tokenBudget ?? settings.CLAUDE_MEM_PROMPT_CONTEXT_TOKEN_BUDGET, 10);
+
+    return await this.promptContextService.buildContext({
+      prompt: String(args.query ?? ''),
+      project: args.project,
+      contentSessionId: args.sessionId,
+      limit: isNaN(limit) ? 0 : limit,
+      tokenBudget: isNaN(tokenBudget) ? 0 : tokenBudget
+    });
+  }
+
+  /**
+   * Record observations injected at SessionStart so prompt-time context skips them
+   */
+  markContextInjected(contentSessionId: string, observationIds: number[]): void {
+    this.promptContextService.markInjected(contentSessionId, observationIds);
+  }
 
   /**
    * Tool handler: get_recent_context
@@ -0,0 +1,437 @@
+/**
+ * ChatCompletionsAgent: Shared base for agents that speak the OpenAI chat completions API
+ *
+ * OpenRouter and OpenAI-compatible servers (Ollama, vLLM, llama.cpp server, LM Studio)
+ * take the same request and return the same response shape. This class owns the
+ * session loop, history truncation and the HTTP call; subclasses only supply the
+ * endpoint, model, headers and labels.
+ *
+ * Responsibility:
+ * - Run the multi-turn session loop (init, observations, summaries)
+ * - POST the shared conversation history to {endpoint}
+ * - Process responses through the shared ResponseProcessor
+ * - Fall back to Claude on retryable errors
+ */
+
+import type { DatabaseManager } from '../DatabaseManager.js';
+import type { SessionManager } from '../SessionManager.js';
+import { logger } from '../../../utils/logger.js';
+import { buildInitPrompt, buildObservationPrompt, buildSummaryPrompt, buildContinuationPrompt } from '../../../sdk/prompts.js';
+import type { ActiveSession, ConversationMessage } from '../../worker-types.js';
+import { ModeManager } from '../../domain/ModeManager.js';
+import { processAgentResponse } from './ResponseProcessor.js';
+import { shouldFallbackToClaude, isAbortError } from './FallbackErrorHandler.js';
+import type { WorkerRef, FallbackAgent } from './types.js';
+
+// Context window management constants (defaults, overridable via settings)
+const DEFAULT_MAX_CONTEXT_MESSAGES = 20;  // Maximum messages to keep in conversation history
+const DEFAULT_MAX_ESTIMATED_TOKENS = 100000;  // ~100k tokens max context (safety limit)
+const CHARS_PER_TOKEN_ESTIMATE = 4;  // Conservative estimate: 1 token = 4 chars
+
+// OpenAI-compatible message format
+interface OpenAIMessage {
+  role: 'user' | 'assistant' | 'system';
+  content: string;
+}
+
+export interface ChatCompletionUsage {
+  prompt_tokens?: number;
+  completion_tokens?: number;
+  total_tokens?: number;
+}
+
+interface ChatCompletionResponse {
+  choices?: Array<{
+    message?: {
+      role?: string;
+      content?: string;
+    };
+    finish_reason?: string;
+  }>;
+  usage?: ChatCompletionUsage;
+  // Servers differ on string vs object
+  error?: {
+    message?: string;
+    code?: string;
+  } | string;
+}
+
+/**
+ * Per-session configuration resolved by the subclass from settings
+ */
+export interface ChatCompletionsConfig {
+  /** Full chat completions URL */
+  endpoint: string;
+  model: string;
+  /** Request headers besides Content-Type, including any Authorization */
+  headers: Record<string, string>;
+  /** Settings values for history truncation (empty falls back to the defaults) */
+  maxContextMessages: string;
+  maxTokens: string;
+}
+
+export abstract class ChatCompletionsAgent {
+  protected dbManager: DatabaseManager;
+  protected sessionManager: SessionManager;
+  private fallbackAgent: FallbackAgent | null = null;
+
+  /** Provider name passed to the ResponseProcessor, e.g. 'OpenRouter' */
+  protected abstract readonly providerName: string;
+  /** Human-readable label for logs and errors, e.g. 'OpenAI-compatible' */
+  protected abstract readonly label: string;
+  /** Prefix for synthetic memory session IDs, e.g. 'openrouter' */
+  protected abstract readonly sessionIdPrefix: string;
+
+  constructor(dbManager: DatabaseManager, sessionManager: SessionManager) {
+    this.dbManager = dbManager;
+    this.sessionManager = sessionManager;
+  }
+
+  /**
+   * Resolve endpoint, model and headers from settings
+   * Throws when the provider is not configured
+   */
+  protected abstract getConfig(): ChatCompletionsConfig;
+
+  /**
+   * Log token usage for a completed request
+   */
+  protected logUsage(model: string, usage: ChatCompletionUsage, messagesInContext: number): void {
+    logger.info('SDK', `${this.label} API usage`, {
+      model,
+      inputTokens: usage.prompt_tokens || 0,
+      outputTokens: usage.completion_tokens || 0,
+      totalTokens: usage.total_tokens,
+      messagesInContext
+    });
+  }
+
+  /**
+   * Set the fallback agent (Claude SDK) for when the API fails
+   * Must be set after construction to avoid circular dependency
+   */
+  setFallbackAgent(agent: FallbackAgent): void {
+    this.fallbackAgent = agent;
+  }
+
+  /**
+   * Start the agent for a session
+   * Uses multi-turn conversation to maintain context across messages
+   */
+  async startSession(session: ActiveSession, worker?: WorkerRef): Promise<void> {
+    try {
+      const config = this.getConfig();
+
+      // Generate synthetic memorySessionId (chat completions are stateless, no session IDs)
+      if (!session.memorySessionId) {
+        const syntheticMemorySessionId = `${this.sessionIdPrefix}-${session.contentSessionId}-${Date.now()}`;
+        session.memorySessionId = syntheticMemorySessionId;
+        this.dbManager.getSessionStore().updateMemorySessionId(session.sessionDbId, syntheticMemorySessionId);
+        logger.info('SESSION', `MEMORY_ID_GENERATED | sessionDbId=${session.sessionDbId} | provider=${this.providerName}`);
+      }
+
+      // Load active mode
+      const mode = ModeManager.getInstance().getActiveMode();
+
+      // Build initial prompt
+      const initPrompt = session.lastPromptNumber === 1
+        ? buildInitPrompt(session.project, session.contentSessionId, session.userPrompt, mode)
+        : buildContinuationPrompt(session.userPrompt, session.lastPromptNumber, session.contentSessionId, mode);
+
+      // Add to conversation history and query the endpoint with full context
+      session.conversationHistory.push({ role: 'user', content: initPrompt });
+      const initResponse = await this.queryMultiTurn(session.conversationHistory, config);
+
+      if (initResponse.content) {
+        // Add response to conversation history
+        session.conversationHistory.push({ role: 'assistant', content: initResponse.content });
+
+        // Track token usage
+        const tokensUsed = initResponse.tokensUsed || 0;
+        session.cumulativeInputTokens += Math.floor(tokensUsed * 0.7);  // Rough estimate
+        session.cumulativeOutputTokens += Math.floor(tokensUsed * 0.3);
+
+        // Process response using shared ResponseProcessor (no original timestamp for init - not from queue)
+        await processAgentResponse(
+          initResponse.content,
+          session,
+          this.dbManager,
+          this.sessionManager,
+          worker,
+          tokensUsed,
+          null,
+          this.providerName,
+          undefined  // No lastCwd yet - before message processing
+        );
+      } else {
+        logger.error('SDK', `Empty ${this.label} init response - session may lack context`, {
+          sessionId: session.sessionDbId,
+          model: config.model
+        });
+      }
+
+      // Track lastCwd from messages for CLAUDE.md generation
+      let lastCwd: string | undefined;
+
+      // Process pending messages
+      for await (const message of this.sessionManager.getMessageIterator(session.sessionDbId)) {
+        // CLAIM-CONFIRM: Track message ID for confirmProcessed() after successful storage
+        // The message is now in 'processing' status in DB until ResponseProcessor calls confirmProcessed()
+        session.processingMessageIds.push(message._persistentId);
+
+        // Capture cwd from messages for proper worktree support
+        if (message.cwd) {
+          lastCwd = message.cwd;
+        }
+        // Capture earliest timestamp BEFORE processing (will be cleared after)
+        const originalTimestamp = session.earliestPendingTimestamp;
+
+        if (message.type === 'observation') {
+          // Update last prompt number
+          if (message.prompt_number !== undefined) {
+            session.lastPromptNumber = message.prompt_number;
+          }
+
+          // CRITICAL: Check memorySessionId BEFORE making expensive LLM call
+          // This prevents wasting tokens when we won't be able to store the result anyway
+          if (!session.memorySessionId) {
+            throw new Error('Cannot process observations: memorySessionId not yet captured. This session may need to be reinitialized.');
+          }
+
+          // Build observation prompt
+          const obsPrompt = buildObservationPrompt({
+            id: 0,
+            tool_name: message.tool_name!,
+            tool_input: JSON.stringify(message.tool_input),
+            tool_output: JSON.stringify(message.tool_response),
+            created_at_epoch: originalTimestamp ?? Date.now(),
+            cwd: message.cwd
+          });
+
+          // Add to conversation history and query the endpoint with full context
+          session.conversationHistory.push({ role: 'user', content: obsPrompt });
+          const obsResponse = await this.queryMultiTurn(session.conversationHistory, config);
+
+          let tokensUsed = 0;
+          if (obsResponse.content) {
+            // Add response to conversation history
+            session.conversationHistory.push({ role: 'assistant', content: obsResponse.content });
+
+            tokensUsed = obsResponse.tokensUsed || 0;
+            session.cumulativeInputTokens += Math.floor(tokensUsed * 0.7);
+            session.cumulativeOutputTokens += Math.floor(tokensUsed * 0.3);
+          }
+
+          // Process response using shared ResponseProcessor
+          await processAgentResponse(
+            obsResponse.content || '',
+            session,
+            this.dbManager,
+            this.sessionManager,
+            worker,
+            tokensUsed,
+            originalTimestamp,
+            this.providerName,
+            lastCwd
+          );
+
+        } else if (message.type === 'summarize') {
+          // CRITICAL: Check memorySessionId BEFORE making expensive LLM call
+          if (!session.memorySessionId) {
+            throw new Error('Cannot process summary: memorySessionId not yet captured. This session may need to be reinitialized.');
+          }
+
+          // Build summary prompt
+          const summaryPrompt = buildSummaryPrompt({
+            id: session.sessionDbId,
+            memory_session_id: session.memorySessionId,
+            project: session.project,
+            user_prompt: session.userPrompt,
+            last_assistant_message: message.last_assistant_message || ''
+          }, mode);
+
+          // Add to conversation history and query the endpoint with full context
+          session.conversationHistory.push({ role: 'user', content: summaryPrompt });
+          const summaryResponse = await this.queryMultiTurn(session.conversationHistory, config);
+
+          let tokensUsed = 0;
+          if (summaryResponse.content) {
+            // Add response to conversation history
+            session.conversationHistory.push({ role: 'assistant', content: summaryResponse.content });
+
+            tokensUsed = summaryResponse.tokensUsed || 0;
+            session.cumulativeInputTokens += Math.floor(tokensUsed * 0.7);
+            session.cumulativeOutputTokens += Math.floor(tokensUsed * 0.3);
+          }
+
+          // Process response using shared ResponseProcessor
+          await processAgentResponse(
+            summaryResponse.content || '',
+            session,
+            this.dbManager,
+            this.sessionManager,
+            worker,
+            tokensUsed,
+            originalTimestamp,
+            this.providerName,
+            lastCwd
+          );
+        }
+      }
+
+      // Mark session complete
+      const sessionDuration = Date.now() - session.startTime;
+      logger.success('SDK', `${this.label} agent completed`, {
+        sessionId: session.sessionDbId,
+        duration: `${(sessionDuration / 1000).toFixed(1)}s`,
+        historyLength: session.conversationHistory.length,
+        model: config.model
+      });
+
+    } catch (error: unknown) {
+      if (isAbortError(error)) {
+        logger.warn('SDK', `${this.label} agent aborted`, { sessionId: session.sessionDbId });
+        throw error;
+      }
+
+      // Check if we should fall back to Claude
+      if (shouldFallbackToClaude(error) && this.fallbackAgent) {
+        logger.warn('SDK', `${this.label} API failed, falling back to Claude SDK`, {
+          sessionDbId: session.sessionDbId,
+          error: error instanceof Error ? error.message : String(error),
+          historyLength: session.conversationHistory.length
+        });
+
+        // Fall back to Claude - it will use the same session with shared conversationHistory
+        // Note: With claim-and-delete queue pattern, messages are already deleted on claim
+        return this.fallbackAgent.startSession(session, worker);
+      }
+
+      logger.failure('SDK', `${this.label} agent error`, { sessionDbId: session.sessionDbId }, error as Error);
+      throw error;
+    }
+  }
+
+  /**
+   * Estimate token count from text (conservative estimate)
+   */
+  private estimateTokens(text: string): number {
+    return Math.ceil(text.length / CHARS_PER_TOKEN_ESTIMATE);
+  }
+
+  /**
+   * Truncate conversation history to prevent runaway context costs
+   * Keeps most recent messages within token budget
+   */
+  private truncateHistory(history: ConversationMessage[], config: ChatCompletionsConfig): ConversationMessage[] {
+    const MAX_CONTEXT_MESSAGES = parseInt(config.maxContextMessages) || DEFAULT_MAX_CONTEXT_MESSAGES;
+    const MAX_ESTIMATED_TOKENS = parseInt(config.maxTokens) || DEFAULT_MAX_ESTIMATED_TOKENS;
+
+    if (history.length <= MAX_CONTEXT_MESSAGES) {
+      // Check token count even if message count is ok
+      const totalTokens = history.reduce((sum, m) => sum + this.estimateTokens(m.content), 0);
+      if (totalTokens <= MAX_ESTIMATED_TOKENS) {
+        return history;
+      }
+    }
+
+    // Sliding window: keep most recent messages within limits
+    const truncated: ConversationMessage[] = [];
+    let tokenCount = 0;
+
+    // Process messages in reverse (most recent first)
+    for (let i = history.length - 1; i >= 0; i--) {
+      const msg = history[i];
+      const msgTokens = this.estimateTokens(msg.content);
+
+      if (truncated.length >= MAX_CONTEXT_MESSAGES || tokenCount + msgTokens > MAX_ESTIMATED_TOKENS) {
+        logger.warn('SDK', 'Context window truncated to prevent runaway costs', {
+          originalMessages: history.length,
+          keptMessages: truncated.length,
+          droppedMessages: i + 1,
+          estimatedTokens: tokenCount,
+          tokenLimit: MAX_ESTIMATED_TOKENS
+        });
+        break;
+      }
+
+      truncated.unshift(msg);  // Add to beginning
+      tokenCount += msgTokens;
+    }
+
+    return truncated;
+  }
+
+  /**
+   * Convert shared ConversationMessage array to OpenAI-compatible message format
+   */
+  private conversationToOpenAIMessages(history: ConversationMessage[]): OpenAIMessage[] {
+    return history.map(msg => ({
+      role: msg.role === 'assistant' ? 'assistant' : 'user',
+      content: msg.content
+    }));
+  }
+
+  /**
+   * Query the chat completions endpoint with full conversation history (multi-turn)
+   * Sends the entire conversation context for coherent responses
+   */
+  private async queryMultiTurn(
+    history: ConversationMessage[],
+    config: ChatCompletionsConfig
+  ): Promise<{ content: string; tokensUsed?: number }> {
+    // Truncate history to prevent runaway costs
+    const truncatedHistory = this.truncateHistory(history, config);
+    const messages = this.conversationToOpenAIMessages(truncatedHistory);
+    const totalChars = truncatedHistory.reduce((sum, m) => sum + m.content.length, 0);
+    const estimatedTokens = this.estimateTokens(truncatedHistory.map(m => m.content).join(''));
+
+    logger.debug('SDK', `Querying ${this.label} multi-turn (${config.model})`, {
+      endpoint: config.endpoint,
+      turns: truncatedHistory.length,
+      totalChars,
+      estimatedTokens
+    });
+
+    const response = await fetch(config.endpoint, {
+      method: 'POST',
+      headers: {
+        ...config.headers,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        model: config.model,
+        messages,
+        temperature: 0.3,  // Lower temperature for structured extraction
+        max_tokens: 4096,
+      }),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`${this.label} API error: ${response.status} - ${errorText}`);
+    }
+
+    const data = await response.json() as ChatCompletionResponse;
+
+    // Check for API error in response body
+    if (data.error) {
+      const message = typeof data.error === 'string' ? data.error : `${data.error.code} - ${data.error.message}`;
+      throw new Error(`${this.label} API error: ${message}`);
+    }
+
+    if (!data.choices?.[0]?.message?.content) {
+      logger.error('SDK', `Empty response from ${this.label}`, { model: config.model });
+      return { content: '' };
+    }
+
+    const content = data.choices[0].message.content;
+    const tokensUsed = data.usage?.total_tokens;
+
+    if (tokensUsed) {
+      this.logUsage(config.model, data.usage!, truncatedHistory.length);
+    }
+
+    return { content, tokensUsed };
+  }
+}
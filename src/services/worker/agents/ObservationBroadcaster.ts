@@ -4,6 +4,8 @@
  * Responsibility:
  * - Broadcast new observations to SSE clients
  * - Broadcast new summaries to SSE clients
+ * - Broadcast observation merges (canonical record + removed IDs) to SSE clients
+ * - Broadcast saved search matches for new observations to SSE clients
  * - Handle worker reference safely (null checks)
  *
  * BUGFIX: This module fixes the incorrect field names in SDKAgent:
@@ -11,7 +13,8 @@
  * - SDKAgent used hardcoded `files_modified: JSON.stringify([])` - should use `obs.files_modified`
  */
 
-import type { WorkerRef, ObservationSSEPayload, SummarySSEPayload } from './types.js';
+import type { WorkerRef, ObservationSSEPayload, SummarySSEPayload, SavedSearchMatchSSEPayload } from './types.js';
+import type { ObservationRecord } from '../../../types/database.js';
 import { logger } from '../../../utils/logger.js';
 
 /**
@@ -53,3 +56,47 @@ export function broadcastSummary(
     summary: payload
   });
 }
+
+/**
+ * Broadcast an observation merge to SSE clients
+ * Clients replace the canonical observation and drop the merged IDs
+ *
+ * @param worker - Worker reference with SSE broadcaster (can be undefined)
+ * @param observation - Canonical observation row after the merge
+ * @param mergedIds - IDs of observations that no longer exist (empty for store-time dedup)
+ */
+export function broadcastObservationsMerged(
+  worker: WorkerRef | undefined,
+  observation: ObservationRecord,
+  mergedIds: number[]
+): void {
+  if (!worker?.sseBroadcaster) {
+    return;
+  }
+
+  worker.sseBroadcaster.broadcast({
+    type: 'observations_merged',
+    observation,
+    merged_ids: mergedIds
+  });
+}
+
+/**
+ * Broadcast a new observation matching a saved search to SSE clients
+ *
+ * @param worker - Worker reference with SSE broadcaster (can be undefined)
+ * @param payload - Saved search (with updated match count) and the matching observation
+ */
+export function broadcastSavedSearchMatch(
+  worker: WorkerRef | undefined,
+  payload: SavedSearchMatchSSEPayload
+): void {
+  if (!worker?.sseBroadcaster) {
+    return;
+  }
+
+  worker.sseBroadcaster.broadcast({
+    type: 'saved_search_match',
+    ...payload
+  });
+}
@@ -3,9 +3,9 @@
  *
  * Responsibility:
  * - Parse observations and summaries from agent responses
- * - Execute atomic database transactions
+ * - Execute atomic database transactions (folding near-duplicate observations when enabled)
  * - Orchestrate Chroma sync (fire-and-forget)
- * - Broadcast to SSE clients
+ * - Broadcast to SSE clients (including saved search matches)
  * - Clean up processed messages
  *
  * This module extracts 150+ lines of duplicate code from SDKAgent, GeminiAgent, and OpenRouterAgent.
@@ -22,7 +22,11 @@ import type { ActiveSession } from '../../worker-types.js';
 import type { DatabaseManager } from '../DatabaseManager.js';
 import type { SessionManager } from '../SessionManager.js';
 import type { WorkerRef, StorageResult } from './types.js';
-import { broadcastObservation, broadcastSummary } from './ObservationBroadcaster.js';
+import type { ObservationDedupOptions } from '../../sqlite/observations/types.js';
+import { getMessageCommitSha, linkObservationsToCommits } from '../../sqlite/GitHistory.js';
+import type { StoredObservation } from '../../sync/ChromaSync.js';
+import { broadcastObservation, broadcastSummary, broadcastObservationsMerged, broadcastSavedSearchMatch } from './ObservationBroadcaster.js';
+import { evaluateSavedSearches } from '../search/SavedSearchMatcher.js';
 import { cleanupProcessedMessages } from './SessionCleanupHelper.js';
 
 /**
@@ -99,18 +103,28 @@ export async function processAgentResponse(
     summaryForStore,
     session.lastPromptNumber,
     discoveryTokens,
-    originalTimestamp ?? undefined
+    originalTimestamp ?? undefined,
+    getDedupOptions()
   );
 
   // Log storage result with IDs for end-to-end traceability
-  logger.info('DB', `STORED | sessionDbId=${session.sessionDbId} | memorySessionId=${session.memorySessionId} | obsCount=${result.observationIds.length} | obsIds=[${result.observationIds.join(',')}] | summaryId=${result.summaryId || 'none'}`, {
+  logger.info('DB', `STORED | sessionDbId=${session.sessionDbId} | memorySessionId=${session.memorySessionId} | obsCount=${result.observationIds.length} | obsIds=[${result.observationIds.join(',')}] | folded=${result.foldedIndexes?.length ?? 0} | summaryId=${result.summaryId || 'none'}`, {
     sessionId: session.sessionDbId,
     memorySessionId: session.memorySessionId
   });
 
+  const pendingStore = sessionManager.getPendingMessageStore();
+
+  // Git history import: tag the observations with the commits of the messages they came from
+  const commitShas = pendingStore.getMessagesByIds(session.processingMessageIds)
+    .map(message => getMessageCommitSha(message.tool_name, message.tool_input))
+    .filter((sha): sha is string => sha !== null);
+  if (commitShas.length > 0) {
+    linkObservationsToCommits(sessionStore.db, result.observationIds, commitShas);
+  }
+
   // CLAIM-CONFIRM: Now that storage succeeded, confirm all processing messages (delete from queue)
   // This is the critical step that prevents message loss on generator crash
-  const pendingStore = sessionManager.getPendingMessageStore();
   for (const messageId of session.processingMessageIds) {
     pendingStore.confirmProcessed(messageId);
   }
@@ -148,6 +162,21 @@ export async function processAgentResponse(
   cleanupProcessedMessages(session, worker);
 }
 
+/**
+ * Store-time dedup options from settings (undefined when CLAUDE_MEM_DEDUP_ENABLED is off)
+ */
+function getDedupOptions(): ObservationDedupOptions | undefined {
+  const settings = SettingsDefaultsManager.loadFromFile(USER_SETTINGS_PATH);
+  // Handle both string 'true' and boolean true from JSON settings
+  const enabled = settings.CLAUDE_MEM_DEDUP_ENABLED as string | boolean;
+  if (enabled !== 'true' && enabled !== true) {
+    return undefined;
+  }
+
+  const threshold = parseFloat(settings.CLAUDE_MEM_DEDUP_THRESHOLD);
+  return { threshold: isNaN(threshold) ? 0.8 : threshold };
+}
+
 /**
  * Normalize summary for storage (convert null fields to empty strings)
  */
@@ -184,9 +213,18 @@ async function syncAndBroadcastObservations(
   agentName: string,
   projectRoot?: string
 ): Promise<void> {
+  const folded = new Set(result.foldedIndexes ?? []);
+
   for (let i = 0; i < observations.length; i++) {
     const obsId = result.observationIds[i];
     const obs = observations[i];
+
+    // Duplicate folded into an existing observation: re-embed and refresh that record instead
+    if (folded.has(i)) {
+      resyncMergedObservation(obsId, dbManager, worker, agentName);
+      continue;
+    }
+
     const chromaStart = Date.now();
 
     // Sync to Chroma (fire-and-forget)
@@ -235,6 +273,8 @@ async function syncAndBroadcastObservations(
     });
   }
 
+  notifySavedSearchMatches(observations, result, session, dbManager, worker);
+
   // Update folder CLAUDE.md files for touched folders (fire-and-forget)
   // This runs per-observation batch to ensure folders are updated as work happens
   // Only runs if CLAUDE_MEM_FOLDER_CLAUDEMD_ENABLED is true (default: false)
@@ -263,6 +303,75 @@ async function syncAndBroadcastObservations(
   }
 }
 
+/**
+ * Match newly inserted observations against saved searches and broadcast each match
+ * Folded duplicates are skipped (they are not new). Failures are logged, never thrown:
+ * the observations are already stored.
+ */
+function notifySavedSearchMatches(
+  observations: ParsedObservation[],
+  result: StorageResult,
+  session: ActiveSession,
+  dbManager: DatabaseManager,
+  worker: WorkerRef | undefined
+): void {
+  const folded = new Set(result.foldedIndexes ?? []);
+  const newIds = result.observationIds.filter((_, i) => !folded.has(i));
+  if (newIds.length === 0) {
+    return;
+  }
+
+  try {
+    const matches = evaluateSavedSearches(dbManager.getSessionStore().db, dbManager.getSessionSearch(), newIds);
+
+    for (const { savedSearch, observationId } of matches) {
+      const obs = observations[result.observationIds.indexOf(observationId)];
+      broadcastSavedSearchMatch(worker, {
+        saved_search: {
+          id: savedSearch.id,
+          name: savedSearch.name,
+          query: savedSearch.query,
+          match_count: savedSearch.match_count
+        },
+        observation: {
+          id: observationId,
+          type: obs.type,
+          title: obs.title,
+          project: session.project,
+          created_at_epoch: result.createdAtEpoch
+        }
+      });
+    }
+  } catch (error) {
+    logger.error('SEARCH', 'Saved search evaluation failed (non-critical)', {
+      sessionId: session.sessionDbId,
+      observationIds: newIds
+    }, error as Error);
+  }
+}
+
+/**
+ * Refresh a canonical observation after a duplicate was folded into it
+ * Chroma resync is fire-and-forget; SSE clients replace their copy of the record
+ */
+function resyncMergedObservation(
+  obsId: number,
+  dbManager: DatabaseManager,
+  worker: WorkerRef | undefined,
+  agentName: string
+): void {
+  const canonical = dbManager.getSessionStore().getObservationById(obsId);
+  if (!canonical) {
+    return;
+  }
+
+  dbManager.getChromaSync().resyncObservation(canonical as unknown as StoredObservation).catch((error) => {
+    logger.error('CHROMA', `${agentName} chroma resync failed for merged observation`, { obsId }, error);
+  });
+
+  broadcastObservationsMerged(worker, canonical, []);
+}
+
 /**
  * Sync summary to Chroma and broadcast to SSE clients
  */
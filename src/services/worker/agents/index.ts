@@ -1,7 +1,7 @@
 /**
  * Agent Consolidation Module
  *
- * This module provides shared utilities for SDK, Gemini, and OpenRouter agents.
+ * This module provides shared utilities for SDK, Gemini, OpenRouter and OpenAI-compatible agents.
  * It extracts common patterns to reduce code duplication and ensure consistent behavior.
  *
  * Usage:
@@ -36,3 +36,7 @@ export { cleanupProcessedMessages } from './SessionCleanupHelper.js';
 
 // Error Handling
 export { shouldFallbackToClaude, isAbortError } from './FallbackErrorHandler.js';
+
+// Chat Completions Base (OpenRouter, OpenAI-compatible)
+export { ChatCompletionsAgent } from './ChatCompletionsAgent.js';
+export type { ChatCompletionsConfig, ChatCompletionUsage } from './ChatCompletionsAgent.js';
@@ -8,6 +8,7 @@
 
 import type { ActiveSession } from '../../worker-types.js';
 import type { ParsedObservation, ParsedSummary } from '../../../sdk/parser.js';
+import type { ObservationRecord } from '../../../types/database.js';
 
 // ============================================================================
 // Worker Reference Type
@@ -61,9 +62,27 @@ export interface SummarySSEPayload {
   created_at_epoch: number;
 }
 
+export interface SavedSearchMatchSSEPayload {
+  saved_search: {
+    id: number;
+    name: string;
+    query: string;
+    match_count: number;
+  };
+  observation: {
+    id: number;
+    type: string;
+    title: string | null;
+    project: string;
+    created_at_epoch: number;
+  };
+}
+
 export type SSEEventPayload =
   | { type: 'new_observation'; observation: ObservationSSEPayload }
-  | { type: 'new_summary'; summary: SummarySSEPayload };
+  | { type: 'new_summary'; summary: SummarySSEPayload }
+  | { type: 'observations_merged'; observation: ObservationRecord; merged_ids: number[] }
+  | ({ type: 'saved_search_match' } & SavedSearchMatchSSEPayload);
 
 // ============================================================================
 // Response Processing Types
@@ -76,6 +95,8 @@ export interface StorageResult {
   observationIds: number[];
   summaryId: number | null;
   createdAtEpoch: number;
+  /** Indexes into observationIds whose observation was folded into an existing one instead of inserted */
+  foldedIndexes?: number[];
 }
 
 /**
@@ -0,0 +1,74 @@
+/**
+ * Backfill Routes
+ *
+ * Handles building memory from historic Claude Code transcripts. Localhost only:
+ * the worker reads whatever transcript paths it is given.
+ * GET /api/backfill - Progress of the current run and per-status transcript counts
+ * POST /api/backfill - Start a backfill (or report what it would do, with dryRun)
+ * POST /api/backfill/stop - Stop the current run; the next run resumes
+ */
+
+import express, { Request, Response } from 'express';
+import { BaseRouteHandler } from '../BaseRouteHandler.js';
+import { requireLocalhost } from '../middleware.js';
+import { logger } from '../../../../utils/logger.js';
+import type { BackfillService } from '../../BackfillService.js';
+
+export class BackfillRoutes extends BaseRouteHandler {
+  constructor(private backfillService: BackfillService) {
+    super();
+  }
+
+  setupRoutes(app: express.Application): void {
+    app.get('/api/backfill', requireLocalhost, this.handleStatus.bind(this));
+    app.post('/api/backfill', requireLocalhost, this.handleStart.bind(this));
+    app.post('/api/backfill/stop', requireLocalhost, this.handleStop.bind(this));
+  }
+
+  /**
+   * GET /api/backfill
+   */
+  private handleStatus = this.wrapHandler((_req: Request, res: Response): void => {
+    res.json(this.backfillService.status());
+  });
+
+  /**
+   * POST /api/backfill
+   * Body: { paths?: string[], project?: string, dryRun?: boolean }
+   */
+  private handleStart = this.wrapHandler((req: Request, res: Response): void => {
+    const { paths, project, dryRun } = req.body ?? {};
+
+    if (paths !== undefined && (!Array.isArray(paths) || !paths.every(p => typeof p === 'string'))) {
+      return this.badRequest(res, 'paths must be an array of strings');
+    }
+    if (project !== undefined && typeof project !== 'string') {
+      return this.badRequest(res, 'project must be a string');
+    }
+
+    const options = { paths, project };
+    if (dryRun) {
+      res.json({ dryRun: true, transcripts: this.backfillService.plan(options) });
+      return;
+    }
+
+    if (this.backfillService.isRunning()) {
+      res.status(409).json({ error: 'A backfill is already running' });
+      return;
+    }
+
+    const transcripts = this.backfillService.start(options);
+    logger.info('HTTP', 'Backfill requested', { transcripts, project });
+
+    res.status(202).json({ started: true, transcripts });
+  });
+
+  /**
+   * POST /api/backfill/stop
+   */
+  private handleStop = this.wrapHandler((_req: Request, res: Response): void => {
+    const running = this.backfillService.isRunning();
+    this.backfillService.stop();
+    res.json({ stopping: running });
+  });
+}
@@ -0,0 +1,43 @@
+/**
+ * Backup Routes
+ *
+ * Handles on-demand database snapshots.
+ * POST /api/admin/backup - Take a snapshot now and rotate old ones
+ * GET /api/admin/backups - List existing snapshots
+ */
+
+import express, { Request, Response } from 'express';
+import { BaseRouteHandler } from '../BaseRouteHandler.js';
+import { requireLocalhost } from '../middleware.js';
+import { logger } from '../../../../utils/logger.js';
+import type { BackupService } from '../../BackupService.js';
+
+export class BackupRoutes extends BaseRouteHandler {
+  constructor(private backupService: BackupService) {
+    super();
+  }
+
+  setupRoutes(app: express.Application): void {
+    app.post('/api/admin/backup', requireLocalhost, this.handleBackup.bind(this));
+    app.get('/api/admin/backups', requireLocalhost, this.handleList.bind(this));
+  }
+
+  /**
+   * Take a snapshot now (regardless of CLAUDE_MEM_BACKUP_ENABLED)
+   * POST /api/admin/backup
+   */
+  private handleBackup = this.wrapHandler((_req: Request, res: Response): void => {
+    const { snapshot, removed } = this.backupService.backup();
+    logger.info('HTTP', 'Database backup requested', { path: snapshot.path });
+
+    res.json({ success: true, snapshot, removed });
+  });
+
+  /**
+   * List snapshots, newest first
+   * GET /api/admin/backups
+   */
+  private handleList = this.wrapHandler((_req: Request, res: Response): void => {
+    res.json({ directory: this.backupService.getBackupDir(), backups: this.backupService.list() });
+  });
+}
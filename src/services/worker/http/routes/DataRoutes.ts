@@ -13,6 +13,9 @@ import { homedir } from 'os';
 import { getPackageRoot } from '../../../../shared/paths.js';
 import { getWorkerPort } from '../../../../shared/worker-utils.js';
 import { PaginationHelper } from '../../PaginationHelper.js';
+import { decodeCursor, InvalidCursorError } from '../../../sqlite/cursor.js';
+import type { KeysetPosition } from '../../../sqlite/types.js';
+import type { PaginationParams } from '../../../worker-types.js';
 import { DatabaseManager } from '../../DatabaseManager.js';
 import { SessionManager } from '../../SessionManager.js';
 import { SSEBroadcaster } from '../../SSEBroadcaster.js';
@@ -66,8 +69,9 @@ export class DataRoutes extends BaseRouteHandler {
    * Get paginated observations
    */
   private handleGetObservations = this.wrapHandler((req: Request, res: Response): void => {
-    const { offset, limit, project } = this.parsePaginationParams(req);
-    const result = this.paginationHelper.getObservations(offset, limit, project);
+    const params = this.parsePaginationParams(req, res);
+    if (!params) return;
+    const result = this.paginationHelper.getObservations(params.offset, params.limit, params.project, params.cursor);
     res.json(result);
   });
 
@@ -75,8 +79,9 @@ export class DataRoutes extends BaseRouteHandler {
    * Get paginated summaries
    */
   private handleGetSummaries = this.wrapHandler((req: Request, res: Response): void => {
-    const { offset, limit, project } = this.parsePaginationParams(req);
-    const result = this.paginationHelper.getSummaries(offset, limit, project);
+    const params = this.parsePaginationParams(req, res);
+    if (!params) return;
+    const result = this.paginationHelper.getSummaries(params.offset, params.limit, params.project, params.cursor);
     res.json(result);
   });
 
@@ -84,8 +89,9 @@ export class DataRoutes extends BaseRouteHandler {
    * Get paginated user prompts
    */
   private handleGetPrompts = this.wrapHandler((req: Request, res: Response): void => {
-    const { offset, limit, project } = this.parsePaginationParams(req);
-    const result = this.paginationHelper.getPrompts(offset, limit, project);
+    const params = this.parsePaginationParams(req, res);
+    if (!params) return;
+    const result = this.paginationHelper.getPrompts(params.offset, params.limit, params.project, params.cursor);
     res.json(result);
   });
 
@@ -105,6 +111,7 @@ export class DataRoutes extends BaseRouteHandler {
       return;
     }
 
+    store.recordObservationRetrievals([id]);
     res.json(observation);
   });
 
@@ -134,6 +141,7 @@ export class DataRoutes extends BaseRouteHandler {
 
     const store = this.dbManager.getSessionStore();
     const observations = store.getObservationsByIds(ids, { orderBy, limit, project });
+    store.recordObservationRetrievals(observations.map(obs => obs.id));
 
     res.json(observations);
   });
@@ -288,13 +296,26 @@ export class DataRoutes extends BaseRouteHandler {
 
   /**
    * Parse pagination parameters from request query
+   * Returns null after sending 400 for an invalid cursor
    */
-  private parsePaginationParams(req: Request): { offset: number; limit: number; project?: string } {
+  private parsePaginationParams(req: Request, res: Response): PaginationParams | null {
     const offset = parseInt(req.query.offset as string, 10) || 0;
     const limit = Math.min(parseInt(req.query.limit as string, 10) || 20, 100); // Max 100
     const project = req.query.project as string | undefined;
 
-    return { offset, limit, project };
+    // Keyset cursor from a previous page's nextCursor takes precedence over offset
+    let cursor: KeysetPosition | undefined;
+    if (typeof req.query.cursor === 'string' && req.query.cursor) {
+      try {
+        cursor = decodeCursor(req.query.cursor);
+      } catch (error) {
+        if (!(error instanceof InvalidCursorError)) throw error;
+        this.badRequest(res, error.message);
+        return null;
+      }
+    }
+
+    return { offset, limit, project, cursor };
   }
 
   /**
@@ -0,0 +1,79 @@
+/**
+ * Doctor Routes
+ *
+ * Handles database integrity checks and repairs.
+ * GET /api/doctor - Report orphaned rows, FTS drift, stuck queue messages and vector drift
+ * POST /api/doctor/repair - Check and fix the same categories
+ */
+
+import express, { Request, Response } from 'express';
+import { BaseRouteHandler } from '../BaseRouteHandler.js';
+import { requireLocalhost } from '../middleware.js';
+import { logger } from '../../../../utils/logger.js';
+import { DOCTOR_CATEGORIES, type DoctorCategory } from '../../../sqlite/Doctor.js';
+import type { DoctorService } from '../../DoctorService.js';
+
+export class DoctorRoutes extends BaseRouteHandler {
+  constructor(private doctorService: DoctorService) {
+    super();
+  }
+
+  setupRoutes(app: express.Application): void {
+    app.get('/api/doctor', this.handleCheck.bind(this));
+    app.post('/api/doctor/repair', requireLocalhost, this.handleRepair.bind(this));
+  }
+
+  /**
+   * Read-only integrity report
+   * GET /api/doctor?categories=orphans,fts,stuck,vectors
+   */
+  private handleCheck = this.wrapHandler(async (req: Request, res: Response): Promise<void> => {
+    const categories = this.parseCategories(req.query.categories, res);
+    if (categories === null) return;
+
+    if (this.doctorService.isRunning()) {
+      res.status(409).json({ error: 'A doctor run is already in progress' });
+      return;
+    }
+
+    res.json(await this.doctorService.run({ categories }));
+  });
+
+  /**
+   * Check and repair
+   * POST /api/doctor/repair
+   * Body: { categories?: string[] | string }
+   */
+  private handleRepair = this.wrapHandler(async (req: Request, res: Response): Promise<void> => {
+    const categories = this.parseCategories(req.body?.categories, res);
+    if (categories === null) return;
+
+    if (this.doctorService.isRunning()) {
+      res.status(409).json({ error: 'A doctor run is already in progress' });
+      return;
+    }
+
+    const report = await this.doctorService.run({ categories, repair: true });
+    logger.info('HTTP', 'Doctor repair requested', { categories: categories?.join(',') ?? 'all', issues: report.issues });
+
+    res.json(report);
+  });
+
+  /**
+   * Accept a comma-separated string or an array; undefined means every category
+   * Sends 400 and returns null on unknown categories
+   */
+  private parseCategories(value: unknown, res: Response): DoctorCategory[] | undefined | null {
+    if (value === undefined || value === '') return undefined;
+
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    const categories = list.map(item => String(item).trim()).filter(Boolean);
+    const unknown = categories.filter(item => !DOCTOR_CATEGORIES.includes(item as DoctorCategory));
+    if (unknown.length > 0) {
+      this.badRequest(res, `Unknown categories: ${unknown.join(', ')} (expected ${DOCTOR_CATEGORIES.join(', ')})`);
+      return null;
+    }
+
+    return categories as DoctorCategory[];
+  }
+}
@@ -0,0 +1,131 @@
+/**
+ * Export Routes
+ *
+ * Handles whole-project export and import in the versioned JSONL format.
+ * GET /api/export - Stream projects as JSONL
+ * POST /api/import/jsonl - Import a JSONL export with a conflict policy and project remapping
+ */
+
+import express, { Request, Response } from 'express';
+import { createWriteStream, rmSync, statSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { pipeline } from 'stream/promises';
+import { BaseRouteHandler } from '../BaseRouteHandler.js';
+import { requireLocalhost } from '../middleware.js';
+import { logger } from '../../../../utils/logger.js';
+import { exportProjectLines, type ProjectImportResult } from '../../../sqlite/Export.js';
+import { importProjectLines, parseProjectRemaps, readFileLines } from '../../../sqlite/Import.js';
+import { getVectorSyncRows } from '../../../sqlite/Doctor.js';
+import type { StoredRecords } from '../../../sync/ChromaSync.js';
+import type { DatabaseManager } from '../../DatabaseManager.js';
+
+export class ExportRoutes extends BaseRouteHandler {
+  constructor(private dbManager: DatabaseManager) {
+    super();
+  }
+
+  setupRoutes(app: express.Application): void {
+    app.get('/api/export', this.handleExport.bind(this));
+    app.post('/api/import/jsonl', requireLocalhost, this.handleImport.bind(this));
+  }
+
+  /**
+   * Stream an export
+   * GET /api/export?project=a&project=b (or project=a,b); no project exports everything
+   */
+  private handleExport = this.wrapHandler(async (req: Request, res: Response): Promise<void> => {
+    const projects = this.queryList(req.query.project);
+    const db = this.dbManager.getSessionStore().db;
+
+    res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="claude-mem-export-${new Date().toISOString().slice(0, 10)}.jsonl"`
+    );
+
+    try {
+      for (const line of exportProjectLines(db, projects)) {
+        if (res.destroyed) return;
+        if (!res.write(line + '\n')) {
+          await new Promise<void>(resolve => {
+            res.once('drain', resolve);
+            res.once('close', resolve);
+          });
+        }
+      }
+      res.end();
+    } catch (error) {
+      // Headers are already sent; cutting the stream leaves no footer, so importers reject it
+      logger.error('HTTP', 'Export stream failed', { projects: projects.join(',') }, error as Error);
+      res.destroy(error as Error);
+    }
+  });
+
+  /**
+   * Import a JSONL export sent as the request body
+   * POST /api/import/jsonl?conflict=skip|overwrite&remap=old=new
+   *
+   * The body is spooled to a temporary file and read back a line at a time: the import
+   * runs in one synchronous transaction, which cannot wait on the request stream.
+   */
+  private handleImport = this.wrapHandler(async (req: Request, res: Response): Promise<void> => {
+    const conflict = (req.query.conflict as string | undefined) ?? 'skip';
+    if (conflict !== 'skip' && conflict !== 'overwrite') {
+      this.badRequest(res, 'conflict must be "skip" or "overwrite"');
+      return;
+    }
+
+    let projectMap: Record<string, string>;
+    try {
+      projectMap = parseProjectRemaps(this.queryList(req.query.remap));
+    } catch (error) {
+      this.badRequest(res, error instanceof Error ? error.message : String(error));
+      return;
+    }
+
+    const spoolPath = path.join(tmpdir(), `claude-mem-import-${randomUUID()}.jsonl`);
+    let result: ProjectImportResult;
+    try {
+      await pipeline(req, createWriteStream(spoolPath));
+      if (statSync(spoolPath).size === 0) {
+        this.badRequest(res, 'Request body must be a JSONL export');
+        return;
+      }
+
+      try {
+        result = importProjectLines(this.dbManager.getSessionStore().db, readFileLines(spoolPath), { conflict, projectMap });
+      } catch (error) {
+        this.badRequest(res, error instanceof Error ? error.message : String(error));
+        return;
+      }
+    } finally {
+      rmSync(spoolPath, { force: true });
+    }
+
+    this.resyncImported(result.touched);
+
+    const { touched, ...summary } = result;
+    res.json({ success: true, ...summary });
+  });
+
+  private queryList(value: unknown): string[] {
+    const values = Array.isArray(value) ? value : value === undefined ? [] : [value];
+    return values.flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+  }
+
+  /**
+   * Bring imported and overwritten records into the vector index (fire-and-forget)
+   * A record that fails to sync is logged and skipped; the rest still reach the index
+   */
+  private resyncImported(touched: ProjectImportResult['touched']): void {
+    const rows = getVectorSyncRows(this.dbManager.getSessionStore().db, touched) as unknown as StoredRecords;
+    const total = rows.observations.length + rows.summaries.length + rows.prompts.length;
+    if (total === 0) return;
+
+    this.dbManager.getChromaSync().resyncRecords(rows).then(resynced => {
+      logger.info('CHROMA', 'Imported records resynced', { resynced, total });
+    });
+  }
+}
@@ -0,0 +1,109 @@
+/**
+ * Git History Routes
+ *
+ * Handles generating observations from a repository's git history. Localhost only:
+ * the worker runs git in whatever directory it is given.
+ * GET /api/git-history - Progress of the current import and imported commit counts
+ * POST /api/git-history - Start an import (or report what it would do, with dryRun)
+ * POST /api/git-history/stop - Stop the current import; the next run resumes
+ * GET /api/observation/:id/commits - Commits an observation was generated from
+ */
+
+import express, { Request, Response } from 'express';
+import { existsSync, statSync } from 'fs';
+import { BaseRouteHandler } from '../BaseRouteHandler.js';
+import { requireLocalhost } from '../middleware.js';
+import { logger } from '../../../../utils/logger.js';
+import { getObservationCommits } from '../../../sqlite/GitHistory.js';
+import type { DatabaseManager } from '../../DatabaseManager.js';
+import type { GitHistoryOptions, GitHistoryService } from '../../GitHistoryService.js';
+
+export class GitHistoryRoutes extends BaseRouteHandler {
+  constructor(
+    private gitHistoryService: GitHistoryService,
+    private dbManager: DatabaseManager
+  ) {
+    super();
+  }
+
+  setupRoutes(app: express.Application): void {
+    app.get('/api/git-history', requireLocalhost, this.handleStatus.bind(this));
+    app.post('/api/git-history', requireLocalhost, this.handleStart.bind(this));
+    app.post('/api/git-history/stop', requireLocalhost, this.handleStop.bind(this));
+    app.get('/api/observation/:id/commits', this.handleGetObservationCommits.bind(this));
+  }
+
+  /**
+   * GET /api/git-history
+   */
+  private handleStatus = this.wrapHandler((_req: Request, res: Response): void => {
+    res.json(this.gitHistoryService.status());
+  });
+
+  /**
+   * POST /api/git-history
+   * Body: { repoPath: string, project?: string, maxCommits?: number, since?: string, batchSize?: number, dryRun?: boolean }
+   */
+  private handleStart = this.wrapHandler((req: Request, res: Response): void => {
+    if (!this.validateRequired(req, res, ['repoPath'])) return;
+    const { repoPath, project, maxCommits, since, batchSize, dryRun } = req.body;
+
+    if (typeof repoPath !== 'string' || !existsSync(repoPath) || !statSync(repoPath).isDirectory()) {
+      return this.badRequest(res, 'repoPath must be an existing directory');
+    }
+    if (project !== undefined && typeof project !== 'string') {
+      return this.badRequest(res, 'project must be a string');
+    }
+    if (since !== undefined && typeof since !== 'string') {
+      return this.badRequest(res, 'since must be a string');
+    }
+    for (const [name, value] of Object.entries({ maxCommits, batchSize })) {
+      if (value !== undefined && (!Number.isInteger(value) || value < 1)) {
+        return this.badRequest(res, `${name} must be a positive integer`);
+      }
+    }
+
+    if (!dryRun && this.gitHistoryService.isRunning()) {
+      res.status(409).json({ error: 'A git history import is already running' });
+      return;
+    }
+
+    const options: GitHistoryOptions = { repoPath, project, maxCommits, since, batchSize };
+    try {
+      if (dryRun) {
+        res.json({ dryRun: true, ...this.gitHistoryService.plan(options) });
+        return;
+      }
+
+      const commits = this.gitHistoryService.start(options);
+      logger.info('HTTP', 'Git history import requested', { repoPath, project, commits });
+      res.status(202).json({ started: true, commits });
+    } catch (error) {
+      // Not a git repository, or git rejected the options
+      this.badRequest(res, error instanceof Error ? error.message : String(error));
+    }
+  });
+
+  /**
+   * POST /api/git-history/stop
+   */
+  private handleStop = this.wrapHandler((_req: Request, res: Response): void => {
+    const running = this.gitHistoryService.isRunning();
+    this.gitHistoryService.stop();
+    res.json({ stopping: running });
+  });
+
+  /**
+   * GET /api/observation/:id/commits
+   */
+  private handleGetObservationCommits = this.wrapHandler((req: Request, res: Response): void => {
+    const id = this.parseIntParam(req, res, 'id');
+    if (id === null) return;
+
+    const commits = getObservationCommits(this.dbManager.getSessionStore().db, id).map(commit => ({
+      ...commit,
+      files: JSON.parse(commit.files)
+    }));
+    res.json({ observationId: id, commits });
+  });
+}
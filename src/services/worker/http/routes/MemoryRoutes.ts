@@ -1,25 +1,54 @@
 /**
  * Memory Routes
  *
- * Handles manual memory/observation saving.
+ * Handles manual memory/observation saving and correction.
  * POST /api/memory/save - Save a manual memory observation
+ * PATCH/DELETE /api/observation/:id, /api/summary/:id, /api/prompt/:id - Edit or remove a single record
+ * POST /api/observations/merge - Merge duplicate observations into a canonical one
+ * GET /api/observation/:id/merges - Provenance of observations merged into this one
+ * POST /api/observation/:id/pin - Pin or unpin an observation (always injected into context)
+ * GET /api/observations/pinned - Pinned observations for a project
  */
 
 import express, { Request, Response } from 'express';
 import { BaseRouteHandler } from '../BaseRouteHandler.js';
 import { logger } from '../../../../utils/logger.js';
 import type { DatabaseManager } from '../../DatabaseManager.js';
+import type { SSEBroadcaster } from '../../SSEBroadcaster.js';
+import type { StoredObservation, StoredSummary, StoredUserPrompt } from '../../../sync/ChromaSync.js';
+import type { ObservationUpdate, SessionSummaryUpdate } from '../../../../types/database.js';
+
+const OBSERVATION_TEXT_FIELDS = ['title', 'subtitle', 'narrative', 'text'] as const;
+const OBSERVATION_ARRAY_FIELDS = ['facts', 'concepts', 'files_read', 'files_modified'] as const;
+const SUMMARY_TEXT_FIELDS = ['request', 'investigated', 'learned', 'completed', 'next_steps', 'notes'] as const;
 
 export class MemoryRoutes extends BaseRouteHandler {
   constructor(
     private dbManager: DatabaseManager,
-    private defaultProject: string
+    private defaultProject: string,
+    private sseBroadcaster?: SSEBroadcaster
   ) {
     super();
   }
 
   setupRoutes(app: express.Application): void {
     app.post('/api/memory/save', this.handleSaveMemory.bind(this));
+
+    // Edit/delete endpoints (keep SQLite, FTS5 and Chroma consistent)
+    app.patch('/api/observation/:id', this.handleUpdateObservation.bind(this));
+    app.delete('/api/observation/:id', this.handleDeleteObservation.bind(this));
+    app.patch('/api/summary/:id', this.handleUpdateSummary.bind(this));
+    app.delete('/api/summary/:id', this.handleDeleteSummary.bind(this));
+    app.patch('/api/prompt/:id', this.handleUpdatePrompt.bind(this));
+    app.delete('/api/prompt/:id', this.handleDeletePrompt.bind(this));
+
+    // Duplicate merging (facts/concepts unioned, sources kept as provenance)
+    app.post('/api/observations/merge', this.handleMergeObservations.bind(this));
+    app.get('/api/observation/:id/merges', this.handleGetObservationMerges.bind(this));
+
+    // Pinning (pinned observations are injected ahead of the context timeline)
+    app.post('/api/observation/:id/pin', this.handlePinObservation.bind(this));
+    app.get('/api/observations/pinned', this.handleGetPinnedObservations.bind(this));
   }
 
   /**
@@ -90,4 +119,331 @@ export class MemoryRoutes extends BaseRouteHandler {
       message: `Memory saved as observation #${result.id}`
     });
   });
+
+  /**
+   * Update observation fields
+   * PATCH /api/observation/:id
+   * Body: { type?, title?, subtitle?, narrative?, text?, facts?, concepts?, files_read?, files_modified? }
+   */
+  private handleUpdateObservation = this.wrapHandler((req: Request, res: Response): void => {
+    const id = this.parseIntParam(req, res, 'id');
+    if (id === null) return;
+
+    const updates: ObservationUpdate = {};
+    const body = req.body ?? {};
+
+    if (body.type !== undefined) {
+      if (typeof body.type !== 'string' || body.type.trim().length === 0) {
+        this.badRequest(res, 'type must be a non-empty string');
+        return;
+      }
+      updates.type = body.type;
+    }
+
+    for (const field of OBSERVATION_TEXT_FIELDS) {
+      if (body[field] === undefined) continue;
+      if (body[field] !== null && typeof body[field] !== 'string') {
+        this.badRequest(res, `${field} must be a string or null`);
+        return;
+      }
+      updates[field] = body[field];
+    }
+
+    for (const field of OBSERVATION_ARRAY_FIELDS) {
+      if (body[field] === undefined) continue;
+      if (!Array.isArray(body[field]) || !body[field].every((v: unknown) => typeof v === 'string')) {
+        this.badRequest(res, `${field} must be an array of strings`);
+        return;
+      }
+      updates[field] = body[field];
+    }
+
+    if (Object.keys(updates).length === 0) {
+      this.badRequest(res, 'No editable fields provided');
+      return;
+    }
+
+    const observation = this.dbManager.getSessionStore().updateObservation(id, updates);
+    if (!observation) {
+      this.notFound(res, `Observation #${id} not found`);
+      return;
+    }
+
+    logger.info('HTTP', 'Observation updated', { id, fields: Object.keys(updates) });
+
+    this.dbManager.getChromaSync().resyncObservation(observation as unknown as StoredObservation).catch(err => {
+      logger.error('CHROMA', 'ChromaDB resync failed', { id }, err as Error);
+    });
+
+    res.json(observation);
+  });
+
+  /**
+   * Delete observation
+   * DELETE /api/observation/:id
+   */
+  private handleDeleteObservation = this.wrapHandler((req: Request, res: Response): void => {
+    const id = this.parseIntParam(req, res, 'id');
+    if (id === null) return;
+
+    if (!this.dbManager.getSessionStore().deleteObservation(id)) {
+      this.notFound(res, `Observation #${id} not found`);
+      return;
+    }
+
+    logger.info('HTTP', 'Observation deleted', { id });
+
+    this.dbManager.getChromaSync().deleteObservation(id).catch(err => {
+      logger.error('CHROMA', 'ChromaDB delete failed', { id }, err as Error);
+    });
+
+    res.json({ success: true, id, message: `Observation #${id} deleted` });
+  });
+
+  /**
+   * Update session summary fields
+   * PATCH /api/summary/:id
+   * Body: { request?, investigated?, learned?, completed?, next_steps?, notes? }
+   */
+  private handleUpdateSummary = this.wrapHandler((req: Request, res: Response): void => {
+    const id = this.parseIntParam(req, res, 'id');
+    if (id === null) return;
+
+    const updates: SessionSummaryUpdate = {};
+    const body = req.body ?? {};
+
+    for (const field of SUMMARY_TEXT_FIELDS) {
+      if (body[field] === undefined) continue;
+      if (body[field] !== null && typeof body[field] !== 'string') {
+        this.badRequest(res, `${field} must be a string or null`);
+        return;
+      }
+      updates[field] = body[field];
+    }
+
+    if (Object.keys(updates).length === 0) {
+      this.badRequest(res, 'No editable fields provided');
+      return;
+    }
+
+    const summary = this.dbManager.getSessionStore().updateSessionSummary(id, updates);
+    if (!summary) {
+      this.notFound(res, `Summary #${id} not found`);
+      return;
+    }
+
+    logger.info('HTTP', 'Summary updated', { id, fields: Object.keys(updates) });
+
+    this.dbManager.getChromaSync().resyncSummary(summary as unknown as StoredSummary).catch(err => {
+      logger.error('CHROMA', 'ChromaDB resync failed', { id }, err as Error);
+    });
+
+    res.json(summary);
+  });
+
+  /**
+   * Delete session summary
+   * DELETE /api/summary/:id
+   */
+  private handleDeleteSummary = this.wrapHandler((req: Request, res: Response): void => {
+    const id = this.parseIntParam(req, res, 'id');
+    if (id === null) return;
+
+    if (!this.dbManager.getSessionStore().deleteSessionSummary(id)) {
+      this.notFound(res, `Summary #${id} not found`);
+      return;
+    }
+
+    logger.info('HTTP', 'Summary deleted', { id });
+
+    this.dbManager.getChromaSync().deleteSummary(id).catch(err => {
+      logger.error('CHROMA', 'ChromaDB delete failed', { id }, err as Error);
+    });
+
+    res.json({ success: true, id, message: `Summary #${id} deleted` });
+  });
+
+  /**
+   * Update user prompt text
+   * PATCH /api/prompt/:id
+   * Body: { prompt_text: string }
+   */
+  private handleUpdatePrompt = this.wrapHandler((req: Request, res: Response): void => {
+    const id = this.parseIntParam(req, res, 'id');
+    if (id === null) return;
+
+    const promptText = req.body?.prompt_text;
+    if (typeof promptText !== 'string' || promptText.trim().length === 0) {
+      this.badRequest(res, 'prompt_text is required and must be non-empty');
+      return;
+    }
+
+    const prompt = this.dbManager.getSessionStore().updateUserPrompt(id, promptText);
+    if (!prompt) {
+      this.notFound(res, `Prompt #${id} not found`);
+      return;
+    }
+
+    logger.info('HTTP', 'Prompt updated', { id });
+
+    this.dbManager.getChromaSync().resyncUserPrompt(prompt as unknown as StoredUserPrompt).catch(err => {
+      logger.error('CHROMA', 'ChromaDB resync failed', { id }, err as Error);
+    });
+
+    res.json(prompt);
+  });
+
+  /**
+   * Delete user prompt
+   * DELETE /api/prompt/:id
+   */
+  private handleDeletePrompt = this.wrapHandler((req: Request, res: Response): void => {
+    const id = this.parseIntParam(req, res, 'id');
+    if (id === null) return;
+
+    if (!this.dbManager.getSessionStore().deleteUserPrompt(id)) {
+      this.notFound(res, `Prompt #${id} not found`);
+      return;
+    }
+
+    logger.info('HTTP', 'Prompt deleted', { id });
+
+    this.dbManager.getChromaSync().deleteUserPrompt(id).catch(err => {
+      logger.error('CHROMA', 'ChromaDB delete failed', { id }, err as Error);
+    });
+
+    res.json({ success: true, id, message: `Prompt #${id} deleted` });
+  });
+
+  /**
+   * Merge observations into a canonical observation
+   * POST /api/observations/merge
+   * Body: { canonical_id: number, merge_ids: number[] }
+   */
+  private handleMergeObservations = this.wrapHandler((req: Request, res: Response): void => {
+    const { canonical_id: canonicalId, merge_ids: mergeIds } = req.body ?? {};
+
+    if (!Number.isInteger(canonicalId)) {
+      this.badRequest(res, 'canonical_id must be an integer');
+      return;
+    }
+    if (!Array.isArray(mergeIds) || mergeIds.length === 0 || !mergeIds.every((id: unknown) => Number.isInteger(id))) {
+      this.badRequest(res, 'merge_ids must be a non-empty array of integers');
+      return;
+    }
+
+    const sourceIds = [...new Set<number>(mergeIds)].filter(id => id !== canonicalId);
+    if (sourceIds.length === 0) {
+      this.badRequest(res, 'merge_ids must contain at least one ID other than canonical_id');
+      return;
+    }
+
+    const sessionStore = this.dbManager.getSessionStore();
+    const canonical = sessionStore.getObservationById(canonicalId);
+    if (!canonical) {
+      this.notFound(res, `Observation #${canonicalId} not found`);
+      return;
+    }
+
+    for (const id of sourceIds) {
+      const source = sessionStore.getObservationById(id);
+      if (!source) {
+        this.notFound(res, `Observation #${id} not found`);
+        return;
+      }
+      if (source.project !== canonical.project) {
+        this.badRequest(res, `Observation #${id} belongs to project ${source.project}, not ${canonical.project}`);
+        return;
+      }
+    }
+
+    const result = sessionStore.mergeObservations(canonicalId, sourceIds)!;
+    const observation = sessionStore.getObservationById(canonicalId)!;
+
+    logger.info('HTTP', 'Observations merged', { canonicalId, mergedIds: result.mergedIds.join(',') });
+
+    const chromaSync = this.dbManager.getChromaSync();
+    for (const id of result.mergedIds) {
+      chromaSync.deleteObservation(id).catch(err => {
+        logger.error('CHROMA', 'ChromaDB delete failed', { id }, err as Error);
+      });
+    }
+    chromaSync.resyncObservation(observation as unknown as StoredObservation).catch(err => {
+      logger.error('CHROMA', 'ChromaDB resync failed', { id: canonicalId }, err as Error);
+    });
+
+    this.sseBroadcaster?.broadcast({
+      type: 'observations_merged',
+      observation,
+      merged_ids: result.mergedIds
+    });
+
+    res.json({
+      success: true,
+      observation,
+      merged_ids: result.mergedIds,
+      merges: sessionStore.getObservationMerges(canonicalId)
+    });
+  });
+
+  /**
+   * Get merge provenance for an observation
+   * GET /api/observation/:id/merges
+   */
+  private handleGetObservationMerges = this.wrapHandler((req: Request, res: Response): void => {
+    const id = this.parseIntParam(req, res, 'id');
+    if (id === null) return;
+
+    const sessionStore = this.dbManager.getSessionStore();
+    if (!sessionStore.getObservationById(id)) {
+      this.notFound(res, `Observation #${id} not found`);
+      return;
+    }
+
+    res.json({ id, merges: sessionStore.getObservationMerges(id) });
+  });
+
+  /**
+   * Pin or unpin an observation
+   * POST /api/observation/:id/pin
+   * Body: { pinned?: boolean } (default true)
+   */
+  private handlePinObservation = this.wrapHandler((req: Request, res: Response): void => {
+    const id = this.parseIntParam(req, res, 'id');
+    if (id === null) return;
+
+    const pinned = req.body?.pinned ?? true;
+    if (typeof pinned !== 'boolean') {
+      this.badRequest(res, 'pinned must be a boolean');
+      return;
+    }
+
+    const observation = this.dbManager.getSessionStore().setObservationPinned(id, pinned);
+    if (!observation) {
+      this.notFound(res, `Observation #${id} not found`);
+      return;
+    }
+
+    logger.info('HTTP', pinned ? 'Observation pinned' : 'Observation unpinned', { id });
+
+    res.json({
+      success: true,
+      id,
+      pinned,
+      message: pinned ? `Observation #${id} pinned` : `Observation #${id} unpinned`
+    });
+  });
+
+  /**
+   * Get pinned observations for a project
+   * GET /api/observations/pinned?project=...
+   */
+  private handleGetPinnedObservations = this.wrapHandler((req: Request, res: Response): void => {
+    const project = typeof req.query.project === 'string' && req.query.project
+      ? req.query.project
+      : this.defaultProject;
+
+    const observations = this.dbManager.getSessionStore().getPinnedObservations(project);
+    res.json({ project, observations });
+  });
 }
@@ -0,0 +1,88 @@
+/**
+ * Project Routes
+ *
+ * Handles project merge and split for `claude-mem projects`.
+ * POST /api/projects/merge - Rename projects into one
+ * POST /api/projects/split - Move selected sessions to another project
+ */
+
+import express, { Request, Response } from 'express';
+import { BaseRouteHandler } from '../BaseRouteHandler.js';
+import { requireLocalhost } from '../middleware.js';
+import { logger } from '../../../../utils/logger.js';
+import { mergeProjects, moveSessionsToProject, type ProjectMoveResult } from '../../../sqlite/Projects.js';
+import { getVectorSyncRows } from '../../../sqlite/Doctor.js';
+import type { StoredRecords } from '../../../sync/ChromaSync.js';
+import type { DatabaseManager } from '../../DatabaseManager.js';
+
+export class ProjectRoutes extends BaseRouteHandler {
+  constructor(private dbManager: DatabaseManager) {
+    super();
+  }
+
+  setupRoutes(app: express.Application): void {
+    app.post('/api/projects/merge', requireLocalhost, this.handleMerge.bind(this));
+    app.post('/api/projects/split', requireLocalhost, this.handleSplit.bind(this));
+  }
+
+  /**
+   * POST /api/projects/merge
+   * Body: { sources: string[], target: string }
+   */
+  private handleMerge = this.wrapHandler((req: Request, res: Response): void => {
+    const { sources, target } = req.body ?? {};
+    if (!this.isStringList(sources) || typeof target !== 'string' || !target) {
+      this.badRequest(res, 'sources must be a non-empty array of project names and target a project name');
+      return;
+    }
+
+    const result = mergeProjects(this.dbManager.getSessionStore().db, sources, target);
+    this.respond(res, result);
+  });
+
+  /**
+   * POST /api/projects/split
+   * Body: { source: string, target: string, sessionIds: string[] }
+   */
+  private handleSplit = this.wrapHandler((req: Request, res: Response): void => {
+    const { source, target, sessionIds } = req.body ?? {};
+    if (typeof source !== 'string' || !source || typeof target !== 'string' || !target || !this.isStringList(sessionIds)) {
+      this.badRequest(res, 'source and target must be project names and sessionIds a non-empty array');
+      return;
+    }
+
+    const result = moveSessionsToProject(this.dbManager.getSessionStore().db, source, target, sessionIds);
+    this.respond(res, result);
+  });
+
+  private isStringList(value: unknown): value is string[] {
+    return Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string' && item);
+  }
+
+  /**
+   * Reply with the row counts and start re-indexing the moved records
+   */
+  private respond(res: Response, result: ProjectMoveResult): void {
+    const { touched, ...counts } = result;
+    res.json({ success: true, ...counts, resyncing: this.resyncMoved(touched) });
+  }
+
+  /**
+   * Replace the Chroma documents of moved records (fire-and-forget)
+   * The local index shares the database, so the move already rewrote its metadata
+   * Returns the number of records queued for resync
+   */
+  private resyncMoved(touched: ProjectMoveResult['touched']): number {
+    const chromaSync = this.dbManager.getChromaSync();
+    if (chromaSync.isLocalBackend() || chromaSync.isDisabled()) return 0;
+
+    const rows = getVectorSyncRows(this.dbManager.getSessionStore().db, touched) as unknown as StoredRecords;
+    const total = rows.observations.length + rows.summaries.length + rows.prompts.length;
+    if (total === 0) return 0;
+
+    chromaSync.resyncRecords(rows).then(resynced => {
+      logger.info('CHROMA', 'Moved records resynced', { resynced, total });
+    });
+    return total;
+  }
+}
@@ -0,0 +1,58 @@
+/**
+ * Retention Routes
+ *
+ * Handles retention reports and on-demand pruning.
+ * GET /api/retention/preview - Dry run: what the current policies would remove
+ * POST /api/retention/run - Apply the current policies now
+ */
+
+import express, { Request, Response } from 'express';
+import { BaseRouteHandler } from '../BaseRouteHandler.js';
+import { requireLocalhost } from '../middleware.js';
+import { logger } from '../../../../utils/logger.js';
+import type { RetentionService } from '../../RetentionService.js';
+
+export class RetentionRoutes extends BaseRouteHandler {
+  constructor(private retentionService: RetentionService) {
+    super();
+  }
+
+  setupRoutes(app: express.Application): void {
+    app.get('/api/retention/preview', this.handlePreview.bind(this));
+    app.post('/api/retention/run', requireLocalhost, this.handleRun.bind(this));
+  }
+
+  /**
+   * Dry-run retention report
+   * GET /api/retention/preview?project=...
+   * Without project, every project with retention limits is reported
+   */
+  private handlePreview = this.wrapHandler((req: Request, res: Response): void => {
+    const project = typeof req.query.project === 'string' && req.query.project ? req.query.project : undefined;
+
+    res.json({ dryRun: true, reports: this.retentionService.preview(project) });
+  });
+
+  /**
+   * Apply retention now (regardless of CLAUDE_MEM_RETENTION_ENABLED)
+   * POST /api/retention/run
+   * Body: { project?: string }
+   */
+  private handleRun = this.wrapHandler(async (req: Request, res: Response): Promise<void> => {
+    const project = req.body?.project;
+    if (project !== undefined && (typeof project !== 'string' || project.trim().length === 0)) {
+      this.badRequest(res, 'project must be a non-empty string');
+      return;
+    }
+
+    if (this.retentionService.isRunning()) {
+      res.status(409).json({ error: 'A retention run is already in progress' });
+      return;
+    }
+
+    const reports = await this.retentionService.run(project);
+    logger.info('HTTP', 'Retention run requested', { project: project ?? 'all', projects: reports.length });
+
+    res.json({ success: true, reports });
+  });
+}
@@ -0,0 +1,141 @@
+/**
+ * Saved Search Routes
+ *
+ * Handles saved searches (watched topics). Each newly stored observation is matched
+ * against every saved query and matches are broadcast as saved_search_match SSE events.
+ * GET /api/saved-searches - List saved searches with their match counts
+ * POST /api/saved-searches - Save a search
+ * PATCH /api/saved-searches/:id - Rename a saved search or change its query
+ * DELETE /api/saved-searches/:id - Delete a saved search
+ */
+
+import express, { Request, Response } from 'express';
+import { BaseRouteHandler } from '../BaseRouteHandler.js';
+import { logger } from '../../../../utils/logger.js';
+import { parseSearchQuery, SearchQueryError } from '../../search/QueryParser.js';
+import {
+  createSavedSearch,
+  deleteSavedSearch,
+  getSavedSearches,
+  updateSavedSearch
+} from '../../../sqlite/SavedSearches.js';
+import type { SavedSearchUpdate } from '../../../sqlite/SavedSearches.js';
+import type { DatabaseManager } from '../../DatabaseManager.js';
+
+export class SavedSearchRoutes extends BaseRouteHandler {
+  constructor(private dbManager: DatabaseManager) {
+    super();
+  }
+
+  setupRoutes(app: express.Application): void {
+    app.get('/api/saved-searches', this.handleList.bind(this));
+    app.post('/api/saved-searches', this.handleCreate.bind(this));
+    app.patch('/api/saved-searches/:id', this.handleUpdate.bind(this));
+    app.delete('/api/saved-searches/:id', this.handleDelete.bind(this));
+  }
+
+  /**
+   * Check that a query can be watched, sending 400 (with the parse error position) if not
+   * Saved searches match observations, so an empty query or in:sessions/in:prompts is rejected.
+   */
+  private validateQuery(res: Response, query: unknown): query is string {
+    if (typeof query !== 'string' || query.trim().length === 0) {
+      this.badRequest(res, 'query must be a non-empty string');
+      return false;
+    }
+
+    try {
+      const { searchType } = parseSearchQuery(query);
+      if (searchType && searchType !== 'observations') {
+        this.badRequest(res, `Saved searches match new observations; in:${searchType} would never match`);
+        return false;
+      }
+    } catch (error) {
+      if (!(error instanceof SearchQueryError)) throw error;
+      res.status(400).json({ error: error.message, position: error.position });
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * GET /api/saved-searches
+   */
+  private handleList = this.wrapHandler((_req: Request, res: Response): void => {
+    res.json({ savedSearches: getSavedSearches(this.dbManager.getSessionStore().db) });
+  });
+
+  /**
+   * POST /api/saved-searches
+   * Body: { name: string, query: string }
+   */
+  private handleCreate = this.wrapHandler((req: Request, res: Response): void => {
+    const { name, query } = req.body ?? {};
+
+    if (typeof name !== 'string' || name.trim().length === 0) {
+      this.badRequest(res, 'name must be a non-empty string');
+      return;
+    }
+    if (!this.validateQuery(res, query)) return;
+
+    const savedSearch = createSavedSearch(this.dbManager.getSessionStore().db, {
+      name: name.trim(),
+      query: query.trim()
+    });
+
+    logger.info('HTTP', 'Saved search created', { id: savedSearch.id, query: savedSearch.query });
+    res.status(201).json(savedSearch);
+  });
+
+  /**
+   * PATCH /api/saved-searches/:id
+   * Body: { name?: string, query?: string }
+   */
+  private handleUpdate = this.wrapHandler((req: Request, res: Response): void => {
+    const id = this.parseIntParam(req, res, 'id');
+    if (id === null) return;
+
+    const body = req.body ?? {};
+    const update: SavedSearchUpdate = {};
+
+    if (body.name !== undefined) {
+      if (typeof body.name !== 'string' || body.name.trim().length === 0) {
+        this.badRequest(res, 'name must be a non-empty string');
+        return;
+      }
+      update.name = body.name.trim();
+    }
+    if (body.query !== undefined) {
+      if (!this.validateQuery(res, body.query)) return;
+      update.query = body.query.trim();
+    }
+
+    if (Object.keys(update).length === 0) {
+      this.badRequest(res, 'No editable fields provided');
+      return;
+    }
+
+    const savedSearch = updateSavedSearch(this.dbManager.getSessionStore().db, id, update);
+    if (!savedSearch) {
+      this.notFound(res, `Saved search #${id} not found`);
+      return;
+    }
+
+    res.json(savedSearch);
+  });
+
+  /**
+   * DELETE /api/saved-searches/:id
+   */
+  private handleDelete = this.wrapHandler((req: Request, res: Response): void => {
+    const id = this.parseIntParam(req, res, 'id');
+    if (id === null) return;
+
+    if (!deleteSavedSearch(this.dbManager.getSessionStore().db, id)) {
+      this.notFound(res, `Saved search #${id} not found`);
+      return;
+    }
+
+    res.json({ success: true, id });
+  });
+}
@@ -7,6 +7,8 @@
 
 import express, { Request, Response } from 'express';
 import { SearchManager } from '../../SearchManager.js';
+import { SearchQueryError } from '../../search/QueryParser.js';
+import { InvalidCursorError } from '../../../sqlite/cursor.js';
 import { BaseRouteHandler } from '../BaseRouteHandler.js';
 import { logger } from '../../../../utils/logger.js';
 
@@ -25,6 +27,7 @@ export class SearchRoutes extends BaseRouteHandler {
     app.get('/api/changes', this.handleChanges.bind(this));
     app.get('/api/how-it-works', this.handleHowItWorks.bind(this));
     app.get('/api/handoff', this.handleHandoff.bind(this));
+    app.get('/api/observation/:id/similar', this.handleSimilar.bind(this));
 
     // Backward compatibility endpoints
     app.get('/api/search/observations', this.handleSearchObservations.bind(this));
@@ -39,6 +42,7 @@ export class SearchRoutes extends BaseRouteHandler {
     app.get('/api/context/timeline', this.handleGetContextTimeline.bind(this));
     app.get('/api/context/preview', this.handleContextPreview.bind(this));
     app.get('/api/context/inject', this.handleContextInject.bind(this));
+    app.post('/api/context/prompt', this.handlePromptContext.bind(this));
 
     // Timeline and help endpoints
     app.get('/api/timeline/by-query', this.handleGetTimelineByQuery.bind(this));
@@ -48,10 +52,21 @@ export class SearchRoutes extends BaseRouteHandler {
   /**
    * Unified search (observations + sessions + prompts)
    * GET /api/search?query=...&type=observations&limit=20
+   * GET /api/search?q=type:bugfix file:src/** "race condition" - structured query string
+   * GET /api/search?q=...&cursor=... - next page of a date-ordered search (cursor from nextCursor)
    */
   private handleUnifiedSearch = this.wrapHandler(async (req: Request, res: Response): Promise<void> => {
-    const result = await this.searchManager.search(req.query);
-    res.json(result);
+    try {
+      const result = await this.searchManager.search(req.query);
+      res.json(result);
+    } catch (error) {
+      if (error instanceof InvalidCursorError) {
+        this.badRequest(res, error.message);
+        return;
+      }
+      if (!(error instanceof SearchQueryError)) throw error;
+      res.status(400).json({ error: error.message, position: error.position });
+    }
   });
 
   /**
@@ -99,6 +114,22 @@ export class SearchRoutes extends BaseRouteHandler {
     res.json(result);
   });
 
+  /**
+   * Observations related to one observation, ranked, with the reasons for each match
+   * GET /api/observation/:id/similar?limit=20&format=text|json
+   */
+  private handleSimilar = this.wrapHandler(async (req: Request, res: Response): Promise<void> => {
+    const id = this.parseIntParam(req, res, 'id');
+    if (id === null) return;
+
+    const result = await this.searchManager.similar({ ...req.query, id });
+    if (!result) {
+      this.notFound(res, `Observation #${id} not found`);
+      return;
+    }
+    res.json(result);
+  });
+
   /**
    * Search observations (use /api/search?type=observations instead)
    * GET /api/search/observations?query=...&limit=20&project=...
@@ -189,11 +220,12 @@ export class SearchRoutes extends BaseRouteHandler {
     // Use project name as CWD (generateContext uses path.basename to get project)
     const cwd = `/preview/${projectName}`;
 
-    // Generate context with colors for terminal display
+    // Generate context with colors for terminal display, showing how a token budget was spent
     const contextText = await generateContext(
       {
         session_id: 'preview-' + Date.now(),
-        cwd: cwd
+        cwd: cwd,
+        showBudgetAllocation: true
       },
       true  // useColors=true for ANSI terminal output
     );
@@ -205,11 +237,12 @@ export class SearchRoutes extends BaseRouteHandler {
 
   /**
    * Context injection endpoint for hooks
-   * GET /api/context/inject?projects=...&colors=true
+   * GET /api/context/inject?projects=...&colors=true&sessionId=...
    * GET /api/context/inject?project=...&colors=true (legacy, single project)
    *
    * Returns pre-formatted context string ready for display.
    * Use colors=true for ANSI-colored terminal output.
+   * With sessionId, the injected observations are not repeated by prompt-time context.
    *
    * For worktrees, pass comma-separated projects (e.g., "main,worktree-branch")
    * to get a unified timeline from both parent and worktree.
@@ -233,14 +266,14 @@ export class SearchRoutes extends BaseRouteHandler {
     }
 
     // Import context generator (runs in worker, has access to database)
-    const { generateContext } = await import('../../../context-generator.js');
+    const { generateContextWithIds } = await import('../../../context-generator.js');
 
     // Use first project name as CWD (for display purposes)
     const primaryProject = projects[projects.length - 1]; // Last is the current/primary project
     const cwd = `/context/${primaryProject}`;
 
     // Generate context with all projects
-    const contextText = await generateContext(
+    const { context, observationIds } = await generateContextWithIds(
       {
         session_id: 'context-inject-' + Date.now(),
         cwd: cwd,
@@ -249,9 +282,32 @@ export class SearchRoutes extends BaseRouteHandler {
       useColors
     );
 
+    const sessionId = req.query.sessionId as string | undefined;
+    if (sessionId) {
+      this.searchManager.markContextInjected(sessionId, observationIds);
+    }
+
     // Return as plain text
     res.setHeader('Content-Type', 'text/plain; charset=utf-8');
-    res.send(contextText);
+    res.send(context);
+  });
+
+  /**
+   * Prompt-time context for the UserPromptSubmit hook
+   * POST /api/context/prompt { query, project?, sessionId?, limit?, tokenBudget? }
+   *
+   * A JSON body rather than a query string, since prompts can be long pastes.
+   * Returns { context, observationIds, tokens }. Observations already injected
+   * into the same sessionId are skipped; context is empty when nothing fits.
+   */
+  private handlePromptContext = this.wrapHandler(async (req: Request, res: Response): Promise<void> => {
+    if (!req.body?.query) {
+      this.badRequest(res, 'query is required');
+      return;
+    }
+
+    const result = await this.searchManager.getPromptContext(req.body);
+    res.json(result);
   });
 
   /**
@@ -362,6 +418,18 @@ export class SearchRoutes extends BaseRouteHandler {
             format: 'Response format: "text" or "json" (default: text)'
           }
         },
+        {
+          path: '/api/context/prompt',
+          method: 'POST',
+          description: 'Get observations relevant to a user prompt, formatted for hook injection',
+          parameters: {
+            query: 'User prompt text (required)',
+            project: 'Filter by project name (optional)',
+            sessionId: 'Content session ID used to skip observations already injected (optional)',
+            limit: 'Max observations (default: CLAUDE_MEM_PROMPT_CONTEXT_LIMIT)',
+            tokenBudget: 'Max estimated tokens (default: CLAUDE_MEM_PROMPT_CONTEXT_TOKEN_BUDGET)'
+          }
+        },
         {
           path: '/api/timeline/by-query',
           method: 'GET',
@@ -14,6 +14,7 @@ import { DatabaseManager } from '../../DatabaseManager.js';
 import { SDKAgent } from '../../SDKAgent.js';
 import { GeminiAgent, isGeminiAvailable } from '../../GeminiAgent.js';
 import { OpenRouterAgent, isOpenRouterAvailable } from '../../OpenRouterAgent.js';
+import { OpenAICompatibleAgent, isOpenAICompatibleAvailable } from '../../OpenAICompatibleAgent.js';
 import type { WorkerService } from '../../../worker-service.js';
 import { BaseRouteHandler } from '../BaseRouteHandler.js';
 import { SessionEventBroadcaster } from '../../events/SessionEventBroadcaster.js';
@@ -33,6 +34,7 @@ export class SessionRoutes extends BaseRouteHandler {
     private sdkAgent: SDKAgent,
     private geminiAgent: GeminiAgent,
     private openRouterAgent: OpenRouterAgent,
+    private openAICompatibleAgent: OpenAICompatibleAgent,
     private eventBroadcaster: SessionEventBroadcaster,
     private workerService: WorkerService
   ) {
@@ -50,10 +52,18 @@ export class SessionRoutes extends BaseRouteHandler {
    * Note: Session linking via contentSessionId allows provider switching mid-session.
    * The conversationHistory on ActiveSession maintains context across providers.
    */
-  private getActiveAgent(): SDKAgent | GeminiAgent | OpenRouterAgent {
+  private getActiveAgent(): SDKAgent | GeminiAgent | OpenRouterAgent | OpenAICompatibleAgent {
     const settings = SettingsDefaultsManager.loadFromFile(USER_SETTINGS_PATH);
     const provider = settings.CLAUDE_MEM_PROVIDER;
 
+    if (provider === 'openai-compatible') {
+      if (isOpenAICompatibleAvailable()) {
+        logger.debug('SESSION', 'Using OpenAI-compatible agent');
+        return this.openAICompatibleAgent;
+      }
+      throw new Error('OpenAI-compatible provider selected but not configured. Set CLAUDE_MEM_OPENAI_COMPATIBLE_BASE_URL and CLAUDE_MEM_OPENAI_COMPATIBLE_MODEL in settings.');
+    }
+
     if (provider === 'openrouter') {
       if (isOpenRouterAvailable()) {
         logger.debug('SESSION', 'Using OpenRouter agent');
@@ -87,10 +97,11 @@ export class SessionRoutes extends BaseRouteHandler {
   /**
    * Get the currently selected provider name
    */
-  private getSelectedProvider(): 'claude' | 'gemini' | 'openrouter' {
+  private getSelectedProvider(): 'claude' | 'gemini' | 'openrouter' | 'openai-compatible' {
     const settings = SettingsDefaultsManager.loadFromFile(USER_SETTINGS_PATH);
     const provider = settings.CLAUDE_MEM_PROVIDER;
 
+    if (provider === 'openai-compatible') return 'openai-compatible';
     if (provider === 'openrouter') return 'openrouter';
     if (provider === 'gemini') return 'gemini';
 
@@ -105,7 +116,7 @@ export class SessionRoutes extends BaseRouteHandler {
   /**
    * Ensures agent generator is running for a session
    * Auto-starts if not already running to process pending queue
-   * Uses Claude SDK, Gemini, or OpenRouter based on settings
+   * Uses Claude SDK, Gemini, OpenRouter, or an OpenAI-compatible server based on settings
    *
    * Provider switching: If provider setting changed while generator is running,
    * we let the current generator finish naturally (max 5s linger timeout).
@@ -148,7 +159,7 @@ export class SessionRoutes extends BaseRouteHandler {
    */
   private startGeneratorWithProvider(
     session: ReturnType<typeof this.sessionManager.getSession>,
-    provider: 'claude' | 'gemini' | 'openrouter',
+    provider: 'claude' | 'gemini' | 'openrouter' | 'openai-compatible',
     source: string
   ): void {
     if (!session) return;
@@ -164,10 +175,12 @@ export class SessionRoutes extends BaseRouteHandler {
     }
 
     const agent =
+      provider === 'openai-compatible' ? this.openAICompatibleAgent :
       provider === 'openrouter' ? this.openRouterAgent :
       provider === 'gemini' ? this.geminiAgent :
       this.sdkAgent;
     const agentName =
+      provider === 'openai-compatible' ? 'OpenAI-compatible' :
       provider === 'openrouter' ? 'OpenRouter' :
       provider === 'gemini' ? 'Gemini' :
       'Claude SDK';
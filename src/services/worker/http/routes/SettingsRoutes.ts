@@ -101,6 +101,12 @@ export class SettingsRoutes extends BaseRouteHandler {
       'CLAUDE_MEM_OPENROUTER_APP_NAME',
       'CLAUDE_MEM_OPENROUTER_MAX_CONTEXT_MESSAGES',
       'CLAUDE_MEM_OPENROUTER_MAX_TOKENS',
+      'CLAUDE_MEM_OPENAI_COMPATIBLE_BASE_URL',
+      'CLAUDE_MEM_OPENAI_COMPATIBLE_MODEL',
+      'CLAUDE_MEM_OPENAI_COMPATIBLE_API_KEY',
+      'CLAUDE_MEM_OPENAI_COMPATIBLE_HEADERS',
+      'CLAUDE_MEM_OPENAI_COMPATIBLE_MAX_CONTEXT_MESSAGES',
+      'CLAUDE_MEM_OPENAI_COMPATIBLE_MAX_TOKENS',
       // Codex CLI Configuration
       'CLAUDE_MEM_CODEX_PATH',
       'CLAUDE_MEM_CODEX_MAX_CONTEXT_MESSAGES',
@@ -122,10 +128,48 @@ export class SettingsRoutes extends BaseRouteHandler {
       'CLAUDE_MEM_CONTEXT_FULL_COUNT',
       'CLAUDE_MEM_CONTEXT_FULL_FIELD',
       'CLAUDE_MEM_CONTEXT_SESSION_COUNT',
+      'CLAUDE_MEM_CONTEXT_SELECTION',
+      'CLAUDE_MEM_CONTEXT_DECAY_HALF_LIFE_DAYS',
+      'CLAUDE_MEM_CONTEXT_TOKEN_BUDGET',
       // Feature Toggles
       'CLAUDE_MEM_CONTEXT_SHOW_LAST_SUMMARY',
       'CLAUDE_MEM_CONTEXT_SHOW_LAST_MESSAGE',
       'CLAUDE_MEM_FOLDER_CLAUDEMD_ENABLED',
+      // Prompt-time Retrieval
+      'CLAUDE_MEM_PROMPT_CONTEXT_ENABLED',
+      'CLAUDE_MEM_PROMPT_CONTEXT_LIMIT',
+      'CLAUDE_MEM_PROMPT_CONTEXT_TOKEN_BUDGET',
+      // Hybrid Search
+      'CLAUDE_MEM_SEARCH_KEYWORD_WEIGHT',
+      'CLAUDE_MEM_SEARCH_VECTOR_WEIGHT',
+      'CLAUDE_MEM_SEARCH_RRF_K',
+      // Vector Backend
+      'CLAUDE_MEM_VECTOR_BACKEND',
+      'CLAUDE_MEM_EMBEDDING_PROVIDER',
+      'CLAUDE_MEM_EMBEDDING_BASE_URL',
+      'CLAUDE_MEM_EMBEDDING_MODEL',
+      'CLAUDE_MEM_EMBEDDING_API_KEY',
+      // Project Identity
+      'CLAUDE_MEM_PROJECT_IDENTITY',
+      // Observation Deduplication
+      'CLAUDE_MEM_DEDUP_ENABLED',
+      'CLAUDE_MEM_DEDUP_THRESHOLD',
+      // Retention
+      'CLAUDE_MEM_RETENTION_ENABLED',
+      'CLAUDE_MEM_RETENTION_ACTION',
+      'CLAUDE_MEM_RETENTION_MAX_AGE_DAYS',
+      'CLAUDE_MEM_RETENTION_MAX_OBSERVATIONS',
+      'CLAUDE_MEM_RETENTION_KEEP_TYPES',
+      'CLAUDE_MEM_RETENTION_KEEP_PINNED',
+      'CLAUDE_MEM_RETENTION_INTERVAL_HOURS',
+      'CLAUDE_MEM_RETENTION_PROJECTS',
+      // Backup
+      'CLAUDE_MEM_BACKUP_ENABLED',
+      'CLAUDE_MEM_BACKUP_INTERVAL_HOURS',
+      'CLAUDE_MEM_BACKUP_KEEP',
+      // Team Memory
+      'CLAUDE_MEM_TEAM_SYNC_IMPORT',
+      'CLAUDE_MEM_TEAM_SYNC_IMPORT_PROJECTS',
     ];
 
     for (const key of settingKeys) {
@@ -238,9 +282,9 @@ export class SettingsRoutes extends BaseRouteHandler {
   private validateSettings(settings: any): { valid: boolean; error?: string } {
     // Validate CLAUDE_MEM_PROVIDER
     if (settings.CLAUDE_MEM_PROVIDER) {
-    const validProviders = ['auto', 'claude', 'gemini', 'openrouter', 'codex'];
+    const validProviders = ['auto', 'claude', 'gemini', 'openrouter', 'openai-compatible', 'codex'];
     if (!validProviders.includes(settings.CLAUDE_MEM_PROVIDER)) {
-      return { valid: false, error: 'CLAUDE_MEM_PROVIDER must be "auto", "claude", "gemini", "openrouter", or "codex"' };
+      return { valid: false, error: 'CLAUDE_MEM_PROVIDER must be "auto", "claude", "gemini", "openrouter", "openai-compatible", or "codex"' };
       }
     }
 
@@ -302,6 +346,12 @@ export class SettingsRoutes extends BaseRouteHandler {
       'CLAUDE_MEM_CONTEXT_SHOW_SAVINGS_PERCENT',
       'CLAUDE_MEM_CONTEXT_SHOW_LAST_SUMMARY',
       'CLAUDE_MEM_CONTEXT_SHOW_LAST_MESSAGE',
+      'CLAUDE_MEM_PROMPT_CONTEXT_ENABLED',
+      'CLAUDE_MEM_DEDUP_ENABLED',
+      'CLAUDE_MEM_RETENTION_ENABLED',
+      'CLAUDE_MEM_RETENTION_KEEP_PINNED',
+      'CLAUDE_MEM_BACKUP_ENABLED',
+      'CLAUDE_MEM_TEAM_SYNC_IMPORT',
     ];
 
     for (const key of booleanSettings) {
@@ -326,6 +376,92 @@ export class SettingsRoutes extends BaseRouteHandler {
       }
     }
 
+    // Validate CONTEXT_SELECTION
+    if (settings.CLAUDE_MEM_CONTEXT_SELECTION) {
+      if (!['recent', 'relevance'].includes(settings.CLAUDE_MEM_CONTEXT_SELECTION)) {
+        return { valid: false, error: 'CLAUDE_MEM_CONTEXT_SELECTION must be "recent" or "relevance"' };
+      }
+    }
+
+    // Validate CONTEXT_DECAY_HALF_LIFE_DAYS (1-365)
+    if (settings.CLAUDE_MEM_CONTEXT_DECAY_HALF_LIFE_DAYS) {
+      const days = parseFloat(settings.CLAUDE_MEM_CONTEXT_DECAY_HALF_LIFE_DAYS);
+      if (isNaN(days) || days < 1 || days > 365) {
+        return { valid: false, error: 'CLAUDE_MEM_CONTEXT_DECAY_HALF_LIFE_DAYS must be between 1 and 365' };
+      }
+    }
+
+    // Validate CONTEXT_TOKEN_BUDGET (0 = off, or 500-100000)
+    if (settings.CLAUDE_MEM_CONTEXT_TOKEN_BUDGET) {
+      const tokens = parseInt(settings.CLAUDE_MEM_CONTEXT_TOKEN_BUDGET, 10);
+      if (isNaN(tokens) || (tokens !== 0 && (tokens < 500 || tokens > 100000))) {
+        return { valid: false, error: 'CLAUDE_MEM_CONTEXT_TOKEN_BUDGET must be 0 (off) or between 500 and 100000' };
+      }
+    }
+
+    // Validate PROMPT_CONTEXT_LIMIT (1-20)
+    if (settings.CLAUDE_MEM_PROMPT_CONTEXT_LIMIT) {
+      const count = parseInt(settings.CLAUDE_MEM_PROMPT_CONTEXT_LIMIT, 10);
+      if (isNaN(count) || count < 1 || count > 20) {
+        return { valid: false, error: 'CLAUDE_MEM_PROMPT_CONTEXT_LIMIT must be between 1 and 20' };
+      }
+    }
+
+    // Validate PROMPT_CONTEXT_TOKEN_BUDGET (100-20000)
+    if (settings.CLAUDE_MEM_PROMPT_CONTEXT_TOKEN_BUDGET) {
+      const tokens = parseInt(settings.CLAUDE_MEM_PROMPT_CONTEXT_TOKEN_BUDGET, 10);
+      if (isNaN(tokens) || tokens < 100 || tokens > 20000) {
+        return { valid: false, error: 'CLAUDE_MEM_PROMPT_CONTEXT_TOKEN_BUDGET must be between 100 and 20000' };
+      }
+    }
+
+    // Validate SEARCH_KEYWORD_WEIGHT / SEARCH_VECTOR_WEIGHT (0-10)
+    for (const key of ['CLAUDE_MEM_SEARCH_KEYWORD_WEIGHT', 'CLAUDE_MEM_SEARCH_VECTOR_WEIGHT']) {
+      if (settings[key]) {
+        const weight = parseFloat(settings[key]);
+        if (isNaN(weight) || weight < 0 || weight > 10) {
+          return { valid: false, error: `${key} must be between 0 and 10` };
+        }
+      }
+    }
+
+    // Validate SEARCH_RRF_K (1-1000)
+    if (settings.CLAUDE_MEM_SEARCH_RRF_K) {
+      const k = parseInt(settings.CLAUDE_MEM_SEARCH_RRF_K, 10);
+      if (isNaN(k) || k < 1 || k > 1000) {
+        return { valid: false, error: 'CLAUDE_MEM_SEARCH_RRF_K must be between 1 and 1000' };
+      }
+    }
+
+    // Validate VECTOR_BACKEND
+    if (settings.CLAUDE_MEM_VECTOR_BACKEND) {
+      if (!['chroma', 'local'].includes(settings.CLAUDE_MEM_VECTOR_BACKEND)) {
+        return { valid: false, error: 'CLAUDE_MEM_VECTOR_BACKEND must be "chroma" or "local"' };
+      }
+    }
+
+    // Validate PROJECT_IDENTITY
+    if (settings.CLAUDE_MEM_PROJECT_IDENTITY) {
+      if (!['basename', 'git'].includes(settings.CLAUDE_MEM_PROJECT_IDENTITY)) {
+        return { valid: false, error: 'CLAUDE_MEM_PROJECT_IDENTITY must be "basename" or "git"' };
+      }
+    }
+
+    // Validate DEDUP_THRESHOLD (0.5-1)
+    if (settings.CLAUDE_MEM_DEDUP_THRESHOLD) {
+      const threshold = parseFloat(settings.CLAUDE_MEM_DEDUP_THRESHOLD);
+      if (isNaN(threshold) || threshold < 0.5 || threshold > 1) {
+        return { valid: false, error: 'CLAUDE_MEM_DEDUP_THRESHOLD must be between 0.5 and 1' };
+      }
+    }
+
+    // Validate EMBEDDING_PROVIDER
+    if (settings.CLAUDE_MEM_EMBEDDING_PROVIDER) {
+      if (!['hash', 'openai-compatible'].includes(settings.CLAUDE_MEM_EMBEDDING_PROVIDER)) {
+        return { valid: false, error: 'CLAUDE_MEM_EMBEDDING_PROVIDER must be "hash" or "openai-compatible"' };
+      }
+    }
+
     // Validate FULL_FIELD
     if (settings.CLAUDE_MEM_CONTEXT_FULL_FIELD) {
       if (!['narrative', 'facts'].includes(settings.CLAUDE_MEM_CONTEXT_FULL_FIELD)) {
@@ -360,6 +496,117 @@ export class SettingsRoutes extends BaseRouteHandler {
       }
     }
 
+    // Validate CLAUDE_MEM_OPENAI_COMPATIBLE_BASE_URL if provided
+    if (settings.CLAUDE_MEM_OPENAI_COMPATIBLE_BASE_URL) {
+      try {
+        new URL(settings.CLAUDE_MEM_OPENAI_COMPATIBLE_BASE_URL);
+      } catch (error) {
+        logger.debug('SETTINGS', 'Invalid URL format', { url: settings.CLAUDE_MEM_OPENAI_COMPATIBLE_BASE_URL, error: error instanceof Error ? error.message : String(error) });
+        return { valid: false, error: 'CLAUDE_MEM_OPENAI_COMPATIBLE_BASE_URL must be a valid URL' };
+      }
+    }
+
+    // Validate CLAUDE_MEM_OPENAI_COMPATIBLE_HEADERS (JSON object of string values)
+    if (settings.CLAUDE_MEM_OPENAI_COMPATIBLE_HEADERS) {
+      let headers: unknown;
+      try {
+        headers = JSON.parse(settings.CLAUDE_MEM_OPENAI_COMPATIBLE_HEADERS);
+      } catch {
+        return { valid: false, error: 'CLAUDE_MEM_OPENAI_COMPATIBLE_HEADERS must be valid JSON' };
+      }
+      if (!headers || typeof headers !== 'object' || Array.isArray(headers) ||
+          !Object.values(headers).every(value => typeof value === 'string')) {
+        return { valid: false, error: 'CLAUDE_MEM_OPENAI_COMPATIBLE_HEADERS must be a JSON object of string values' };
+      }
+    }
+
+    // Validate CLAUDE_MEM_OPENAI_COMPATIBLE_MAX_CONTEXT_MESSAGES
+    if (settings.CLAUDE_MEM_OPENAI_COMPATIBLE_MAX_CONTEXT_MESSAGES) {
+      const count = parseInt(settings.CLAUDE_MEM_OPENAI_COMPATIBLE_MAX_CONTEXT_MESSAGES, 10);
+      if (isNaN(count) || count < 1 || count > 100) {
+        return { valid: false, error: 'CLAUDE_MEM_OPENAI_COMPATIBLE_MAX_CONTEXT_MESSAGES must be between 1 and 100' };
+      }
+    }
+
+    // Validate CLAUDE_MEM_OPENAI_COMPATIBLE_MAX_TOKENS
+    if (settings.CLAUDE_MEM_OPENAI_COMPATIBLE_MAX_TOKENS) {
+      const tokens = parseInt(settings.CLAUDE_MEM_OPENAI_COMPATIBLE_MAX_TOKENS, 10);
+      if (isNaN(tokens) || tokens < 1000 || tokens > 1000000) {
+        return { valid: false, error: 'CLAUDE_MEM_OPENAI_COMPATIBLE_MAX_TOKENS must be between 1000 and 1000000' };
+      }
+    }
+
+    // Validate RETENTION_ACTION
+    if (settings.CLAUDE_MEM_RETENTION_ACTION) {
+      if (!['archive', 'delete'].includes(settings.CLAUDE_MEM_RETENTION_ACTION)) {
+        return { valid: false, error: 'CLAUDE_MEM_RETENTION_ACTION must be "archive" or "delete"' };
+      }
+    }
+
+    // Validate RETENTION_MAX_AGE_DAYS and RETENTION_MAX_OBSERVATIONS (0 = no limit)
+    for (const key of ['CLAUDE_MEM_RETENTION_MAX_AGE_DAYS', 'CLAUDE_MEM_RETENTION_MAX_OBSERVATIONS']) {
+      if (settings[key]) {
+        const value = parseInt(settings[key], 10);
+        if (isNaN(value) || value < 0) {
+          return { valid: false, error: `${key} must be a non-negative integer` };
+        }
+      }
+    }
+
+    // Validate RETENTION_INTERVAL_HOURS (1-168)
+    if (settings.CLAUDE_MEM_RETENTION_INTERVAL_HOURS) {
+      const hours = parseInt(settings.CLAUDE_MEM_RETENTION_INTERVAL_HOURS, 10);
+      if (isNaN(hours) || hours < 1 || hours > 168) {
+        return { valid: false, error: 'CLAUDE_MEM_RETENTION_INTERVAL_HOURS must be between 1 and 168' };
+      }
+    }
+
+    // Validate BACKUP_INTERVAL_HOURS (1-168)
+    if (settings.CLAUDE_MEM_BACKUP_INTERVAL_HOURS) {
+      const hours = parseInt(settings.CLAUDE_MEM_BACKUP_INTERVAL_HOURS, 10);
+      if (isNaN(hours) || hours < 1 || hours > 168) {
+        return { valid: false, error: 'CLAUDE_MEM_BACKUP_INTERVAL_HOURS must be between 1 and 168' };
+      }
+    }
+
+    // Validate BACKUP_KEEP (1-365)
+    if (settings.CLAUDE_MEM_BACKUP_KEEP) {
+      const keep = parseInt(settings.CLAUDE_MEM_BACKUP_KEEP, 10);
+      if (isNaN(keep) || keep < 1 || keep > 365) {
+        return { valid: false, error: 'CLAUDE_MEM_BACKUP_KEEP must be between 1 and 365' };
+      }
+    }
+
+    // Validate CLAUDE_MEM_RETENTION_PROJECTS (JSON object of per-project policy overrides)
+    if (settings.CLAUDE_MEM_RETENTION_PROJECTS) {
+      let overrides: unknown;
+      try {
+        overrides = JSON.parse(settings.CLAUDE_MEM_RETENTION_PROJECTS);
+      } catch {
+        return { valid: false, error: 'CLAUDE_MEM_RETENTION_PROJECTS must be valid JSON' };
+      }
+      if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        return { valid: false, error: 'CLAUDE_MEM_RETENTION_PROJECTS must be a JSON object keyed by project' };
+      }
+      for (const [project, override] of Object.entries(overrides as Record<string, any>)) {
+        if (!override || typeof override !== 'object' || Array.isArray(override)) {
+          return { valid: false, error: `Retention override for ${project} must be an object` };
+        }
+        for (const key of ['maxAgeDays', 'maxObservations']) {
+          if (override[key] !== undefined && !(Number.isInteger(override[key]) && override[key] >= 0)) {
+            return { valid: false, error: `Retention override ${project}.${key} must be a non-negative integer` };
+          }
+        }
+        if (override.keepTypes !== undefined &&
+            !(Array.isArray(override.keepTypes) && override.keepTypes.every((t: unknown) => typeof t === 'string'))) {
+          return { valid: false, error: `Retention override ${project}.keepTypes must be an array of strings` };
+        }
+        if (override.keepPinned !== undefined && typeof override.keepPinned !== 'boolean') {
+          return { valid: false, error: `Retention override ${project}.keepPinned must be a boolean` };
+        }
+      }
+    }
+
     // Skip observation types validation - any type string is valid since modes define their own types
     // The database accepts any TEXT value, and mode-specific validation happens at parse time
 
@@ -0,0 +1,113 @@
+/**
+ * Team Sync Routes
+ *
+ * Handles sharing observations through a repository's .claude-mem/ directory.
+ * Localhost only: the worker reads and writes files in whatever repository it is given.
+ * POST /api/team-sync/import - Import teammates' entries (called by the SessionStart hook)
+ * POST /api/team-sync/export - Write shared and selected observations into the repository
+ */
+
+import express, { Request, Response } from 'express';
+import { existsSync } from 'fs';
+import { BaseRouteHandler } from '../BaseRouteHandler.js';
+import { requireLocalhost } from '../middleware.js';
+import { logger } from '../../../../utils/logger.js';
+import { exportTeamMemory, importTeamMemory } from '../../../integrations/TeamMemorySync.js';
+import { getVectorSyncRows } from '../../../sqlite/Doctor.js';
+import { getGitAuthor, getGitRoot } from '../../../../utils/project-identity.js';
+import { getProjectName } from '../../../../utils/project-name.js';
+import type { StoredObservation } from '../../../sync/ChromaSync.js';
+import type { DatabaseManager } from '../../DatabaseManager.js';
+
+export class TeamSyncRoutes extends BaseRouteHandler {
+  constructor(private dbManager: DatabaseManager) {
+    super();
+  }
+
+  setupRoutes(app: express.Application): void {
+    app.post('/api/team-sync/import', requireLocalhost, this.handleImport.bind(this));
+    app.post('/api/team-sync/export', requireLocalhost, this.handleExport.bind(this));
+  }
+
+  /**
+   * Repository root and project for the request's cwd, or null (response sent) if invalid
+   */
+  private resolveRepo(req: Request, res: Response): { repoRoot: string; project: string } | null {
+    const { cwd, project } = req.body ?? {};
+
+    if (typeof cwd !== 'string' || !existsSync(cwd)) {
+      this.badRequest(res, 'cwd must be an existing directory');
+      return null;
+    }
+    if (project !== undefined && (typeof project !== 'string' || !project)) {
+      this.badRequest(res, 'project must be a non-empty string');
+      return null;
+    }
+
+    const repoRoot = getGitRoot(cwd);
+    if (!repoRoot) {
+      this.badRequest(res, `${cwd} is not inside a git repository`);
+      return null;
+    }
+    return { repoRoot, project: project ?? getProjectName(cwd) };
+  }
+
+  /**
+   * POST /api/team-sync/import
+   * Body: { cwd: string, project?: string }
+   */
+  private handleImport = this.wrapHandler((req: Request, res: Response): void => {
+    const repo = this.resolveRepo(req, res);
+    if (!repo) return;
+
+    const { touched, ...result } = importTeamMemory(this.dbManager.getSessionStore().db, repo.repoRoot, repo.project);
+    this.resyncObservations(touched);
+
+    res.json({ project: repo.project, ...result });
+  });
+
+  /**
+   * POST /api/team-sync/export
+   * Body: { cwd: string, project?: string, all?: boolean, pinned?: boolean, types?: string[], ids?: number[] }
+   * Without all/pinned/types/ids, pinned observations are exported. Observations shared before are always rewritten.
+   */
+  private handleExport = this.wrapHandler((req: Request, res: Response): void => {
+    const repo = this.resolveRepo(req, res);
+    if (!repo) return;
+
+    const { all, pinned, types, ids } = req.body;
+    if (types !== undefined && (!Array.isArray(types) || !types.every(t => typeof t === 'string'))) {
+      return this.badRequest(res, 'types must be an array of strings');
+    }
+    if (ids !== undefined && (!Array.isArray(ids) || !ids.every(id => Number.isInteger(id)))) {
+      return this.badRequest(res, 'ids must be an array of integers');
+    }
+
+    const result = exportTeamMemory(
+      this.dbManager.getSessionStore().db,
+      repo.repoRoot,
+      repo.project,
+      { all: all === true, pinned: pinned === true, types, ids },
+      getGitAuthor(repo.repoRoot)
+    );
+    logger.info('HTTP', 'Team memory export requested', { project: repo.project, written: result.written });
+
+    res.json({ project: repo.project, ...result });
+  });
+
+  /**
+   * Bring imported and updated observations into the vector index (fire-and-forget)
+   */
+  private resyncObservations(ids: number[]): void {
+    if (ids.length === 0) return;
+
+    const rows = getVectorSyncRows(this.dbManager.getSessionStore().db, { observations: ids, summaries: [], prompts: [] });
+    const chromaSync = this.dbManager.getChromaSync();
+
+    (async () => {
+      for (const row of rows.observations) await chromaSync.resyncObservation(row as unknown as StoredObservation);
+    })().catch(error => {
+      logger.error('CHROMA', 'Vector resync after team memory import failed', {}, error as Error);
+    });
+  }
+}
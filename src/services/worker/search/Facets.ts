@@ -0,0 +1,198 @@
+/**
+ * Facets - Counts over a search's full match set
+ *
+ * Facets summarize every match, not just the returned page, so callers can narrow
+ * a search instead of paging through it. Each value carries the query-language
+ * filter that narrows to it (type:bugfix, file:src/services/**, ...), ready to be
+ * appended to the query string.
+ *
+ * Types, concepts and directories count observations; projects and dates count
+ * all matched records.
+ */
+
+import path from 'path';
+import type { SearchResults } from './types.js';
+import { parseJsonArray } from '../../../shared/timeline-formatting.js';
+import { logger } from '../../../utils/logger.js';
+
+/** Values returned per facet, most frequent first */
+const MAX_FACET_VALUES = 20;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export interface FacetCount {
+  value: string;
+  count: number;
+  /** Query-language filter that narrows the search to this value */
+  filter: string;
+}
+
+export type DateBucket = 'day' | 'week' | 'month';
+
+export interface SearchFacets {
+  /** Matched records the facets were computed over */
+  total: number;
+  /** The match set was capped, so counts are lower bounds */
+  truncated: boolean;
+  types: FacetCount[];
+  concepts: FacetCount[];
+  projects: FacetCount[];
+  directories: FacetCount[];
+  dates: {
+    bucket: DateBucket;
+    /** Every bucket from the first to the last match, oldest first; value is the bucket's start day */
+    counts: FacetCount[];
+  };
+}
+
+/**
+ * Quote a filter value when it contains whitespace or quotes
+ */
+function filterToken(key: string, value: string): string {
+  return /[\s"]/.test(value) ? `${key}:"${value.replace(/"/g, '')}"` : `${key}:${value}`;
+}
+
+function topCounts(counts: Map<string, number>, toFilter: (value: string) => string): FacetCount[] {
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, MAX_FACET_VALUES)
+    .map(([value, count]) => ({ value, count, filter: toFilter(value) }));
+}
+
+function increment(counts: Map<string, number>, value: string): void {
+  counts.set(value, (counts.get(value) ?? 0) + 1);
+}
+
+/**
+ * Bucket size that keeps a histogram readable for the matched time span
+ */
+export function chooseDateBucket(spanMs: number): DateBucket {
+  if (spanMs <= 31 * DAY_MS) return 'day';
+  if (spanMs <= 26 * 7 * DAY_MS) return 'week';
+  return 'month';
+}
+
+/**
+ * Start of the bucket containing an epoch (UTC; weeks start on Monday)
+ */
+function bucketStart(epoch: number, bucket: DateBucket): Date {
+  const date = new Date(epoch);
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (bucket === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  } else if (bucket === 'month') {
+    start.setUTCDate(1);
+  }
+  return start;
+}
+
+function nextBucket(start: Date, bucket: DateBucket): Date {
+  const next = new Date(start);
+  if (bucket === 'day') next.setUTCDate(next.getUTCDate() + 1);
+  else if (bucket === 'week') next.setUTCDate(next.getUTCDate() + 7);
+  else next.setUTCMonth(next.getUTCMonth() + 1);
+  return next;
+}
+
+function isoDay(date: Date): string {
+  return date.toISOString().slice(0, 10);
+}
+
+function dateHistogram(epochs: number[]): SearchFacets['dates'] {
+  if (epochs.length === 0) {
+    return { bucket: 'day', counts: [] };
+  }
+
+  const first = Math.min(...epochs);
+  const last = Math.max(...epochs);
+  const bucket = chooseDateBucket(last - first);
+
+  const counts = new Map<string, number>();
+  for (const epoch of epochs) {
+    increment(counts, isoDay(bucketStart(epoch, bucket)));
+  }
+
+  // Include empty buckets so the histogram shows gaps
+  const histogram: FacetCount[] = [];
+  for (let start = bucketStart(first, bucket); start.getTime() <= last; start = nextBucket(start, bucket)) {
+    const value = isoDay(start);
+    histogram.push({
+      value,
+      count: counts.get(value) ?? 0,
+      filter: `after:${value} before:${isoDay(nextBucket(start, bucket))}`
+    });
+  }
+
+  return { bucket, counts: histogram };
+}
+
+/**
+ * Compute facets over a search's match set
+ * @param truncated - whether the match set was capped before facets were computed
+ */
+export function computeSearchFacets(results: SearchResults, truncated: boolean = false): SearchFacets {
+  const types = new Map<string, number>();
+  const concepts = new Map<string, number>();
+  const projects = new Map<string, number>();
+  const directories = new Map<string, number>();
+  const epochs: number[] = [];
+
+  for (const obs of results.observations) {
+    increment(types, obs.type);
+    for (const concept of new Set(parseJsonArray(obs.concepts))) {
+      increment(concepts, concept);
+    }
+    const files = [...parseJsonArray(obs.files_read), ...parseJsonArray(obs.files_modified)];
+    for (const dir of new Set(files.map(file => path.posix.dirname(file.replace(/\\/g, '/'))))) {
+      if (dir !== '.') increment(directories, dir);
+    }
+  }
+
+  // Prompt search results carry their session's project
+  const records: Array<{ project?: string; created_at_epoch: number }> = [
+    ...results.observations,
+    ...results.sessions,
+    ...results.prompts
+  ];
+  for (const record of records) {
+    if (record.project) increment(projects, record.project);
+    epochs.push(record.created_at_epoch);
+  }
+
+  const facets: SearchFacets = {
+    total: epochs.length,
+    truncated,
+    types: topCounts(types, value => filterToken('type', value)),
+    concepts: topCounts(concepts, value => filterToken('concept', value)),
+    projects: topCounts(projects, value => filterToken('project', value)),
+    directories: topCounts(directories, value => filterToken('file', `${value}/**`)),
+    dates: dateHistogram(epochs)
+  };
+
+  logger.debug('SEARCH', 'Computed search facets', { total: facets.total, truncated, bucket: facets.dates.bucket });
+  return facets;
+}
+
+/**
+ * Facets as markdown lines for text search output, non-empty values only
+ */
+export function formatSearchFacets(facets: SearchFacets): string[] {
+  const list = (counts: FacetCount[]): string => counts
+    .filter(facet => facet.count > 0)
+    .map(facet => `\`${facet.filter}\` (${facet.count})`)
+    .join(', ');
+
+  const lines = [`Narrow with (counts over ${facets.total}${facets.truncated ? '+' : ''} matches):`];
+  const sections: Array<[string, FacetCount[]]> = [
+    ['Types', facets.types],
+    ['Concepts', facets.concepts],
+    ['Projects', facets.projects],
+    ['Directories', facets.directories],
+    [`Dates (by ${facets.dates.bucket})`, facets.dates.counts]
+  ];
+  for (const [label, counts] of sections) {
+    const values = list(counts);
+    if (values) lines.push(`- ${label}: ${values}`);
+  }
+  return lines;
+}
@@ -0,0 +1,231 @@
+/**
+ * QueryParser - Structured search query language
+ *
+ * Parses a single query string into search options:
+ *
+ *   type:bugfix file:src/services/** concept:gotcha after:2026-09-01 "race condition"
+ *
+ * Filters are `key:value` tokens; values may be quoted (`file:"my docs/*.md"`) or
+ * comma-separated (`type:bugfix,feature`). Repeating type/file/concept matches any
+ * of the values. Everything else - words, "quoted phrases", AND/OR/NOT - is the
+ * query text, searched as before.
+ *
+ * Invalid filters raise SearchQueryError with the position of the offending token,
+ * rather than being searched as text.
+ */
+
+import type { StrategySearchOptions } from './types.js';
+import { logger } from '../../../utils/logger.js';
+
+/**
+ * Filters the query language understands, in the order they are documented
+ */
+export const SEARCH_QUERY_FILTERS = ['type', 'file', 'concept', 'project', 'after', 'before', 'in', 'sort'] as const;
+
+type SearchQueryFilter = typeof SEARCH_QUERY_FILTERS[number];
+
+const SEARCH_TYPES = ['observations', 'sessions', 'prompts'] as const;
+
+const SORT_ORDERS: Record<string, StrategySearchOptions['orderBy']> = {
+  relevance: 'relevance',
+  newest: 'date_desc',
+  oldest: 'date_asc'
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:\d{2})?)?$/;
+
+/**
+ * A query string that cannot be parsed
+ */
+export class SearchQueryError extends Error {
+  constructor(
+    message: string,
+    /** Offset of the offending token in the query string */
+    public position: number
+  ) {
+    super(message);
+    this.name = 'SearchQueryError';
+  }
+}
+
+interface QueryToken {
+  /** Filter key, or null for query text */
+  key: string | null;
+  value: string;
+  position: number;
+}
+
+/**
+ * Split a query string into filter and text tokens
+ * @throws SearchQueryError on an unterminated quote
+ */
+function tokenize(input: string): QueryToken[] {
+  const tokens: QueryToken[] = [];
+  let i = 0;
+
+  while (i < input.length) {
+    if (/\s/.test(input[i])) {
+      i++;
+      continue;
+    }
+
+    const position = i;
+    let raw = '';
+    while (i < input.length && !/\s/.test(input[i])) {
+      if (input[i] === '"') {
+        const close = input.indexOf('"', i + 1);
+        if (close === -1) {
+          throw new SearchQueryError(`Unterminated quote at position ${i}`, i);
+        }
+        raw += input.slice(i, close + 1);
+        i = close + 1;
+      } else {
+        raw += input[i++];
+      }
+    }
+
+    const filter = !raw.startsWith('"') ? raw.match(/^([A-Za-z]+):(.*)$/) : null;
+    if (filter) {
+      const value = filter[2].startsWith('"') && filter[2].endsWith('"') ? filter[2].slice(1, -1) : filter[2];
+      tokens.push({ key: filter[1].toLowerCase(), value, position });
+    } else {
+      tokens.push({ key: null, value: raw, position });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Translate a file glob into the LIKE pattern the files filter matches with
+ * `*` and `**` match any characters (including `/`), `?` matches one character
+ */
+export function globToLikePattern(glob: string): string {
+  return glob
+    .replace(/\*+/g, '%')
+    .replace(/\?/g, '_');
+}
+
+function requireValue(token: QueryToken): string {
+  if (!token.value.trim()) {
+    throw new SearchQueryError(`Missing value for ${token.key}: at position ${token.position}`, token.position);
+  }
+  return token.value.trim();
+}
+
+function splitValues(token: QueryToken): string[] {
+  return requireValue(token).split(',').map(value => value.trim()).filter(Boolean);
+}
+
+function parseDate(token: QueryToken): number {
+  const value = requireValue(token);
+  const epoch = DATE_PATTERN.test(value) ? Date.parse(value) : NaN;
+  if (Number.isNaN(epoch)) {
+    throw new SearchQueryError(
+      `Invalid date "${token.value}" for ${token.key}: at position ${token.position} (expected YYYY-MM-DD)`,
+      token.position
+    );
+  }
+  return epoch;
+}
+
+function oneOf<T extends string>(token: QueryToken, allowed: readonly T[]): T {
+  const value = requireValue(token).toLowerCase() as T;
+  if (!allowed.includes(value)) {
+    throw new SearchQueryError(
+      `Invalid value "${token.value}" for ${token.key}: at position ${token.position} (expected ${allowed.join(', ')})`,
+      token.position
+    );
+  }
+  return value;
+}
+
+/**
+ * Parse a query string into search options
+ *
+ * - `after:` matches from the start of the given day (or instant), `before:` up to it, exclusive
+ * - `file:` values are globs matched anywhere in a path
+ * - `in:` limits results to observations, sessions or prompts
+ * - `sort:` is relevance, newest or oldest
+ *
+ * @throws SearchQueryError for unknown filters, missing or invalid values and
+ *   filters that may only appear once
+ */
+export function parseSearchQuery(input: string): StrategySearchOptions {
+  const options: StrategySearchOptions = {};
+  const text: string[] = [];
+  const types: string[] = [];
+  const files: string[] = [];
+  const concepts: string[] = [];
+  const seen = new Set<SearchQueryFilter>();
+  let afterEpoch = null as number | null;
+  let beforeEpoch = null as number | null;
+  let afterPosition = 0;
+
+  for (const token of tokenize(input)) {
+    if (token.key === null) {
+      if (token.value) text.push(token.value);
+      continue;
+    }
+
+    const key = token.key as SearchQueryFilter;
+    if (!SEARCH_QUERY_FILTERS.includes(key)) {
+      throw new SearchQueryError(
+        `Unknown filter "${token.key}:" at position ${token.position}. ` +
+        `Supported filters: ${SEARCH_QUERY_FILTERS.map(filter => `${filter}:`).join(' ')} - quote text that contains a colon`,
+        token.position
+      );
+    }
+
+    const repeatable = key === 'type' || key === 'file' || key === 'concept';
+    if (!repeatable && seen.has(key)) {
+      throw new SearchQueryError(`${key}: appears more than once (position ${token.position})`, token.position);
+    }
+    seen.add(key);
+
+    switch (key) {
+      case 'type':
+        types.push(...splitValues(token));
+        break;
+      case 'file':
+        files.push(...splitValues(token).map(globToLikePattern));
+        break;
+      case 'concept':
+        concepts.push(...splitValues(token));
+        break;
+      case 'project':
+        options.project = requireValue(token);
+        break;
+      case 'after':
+        afterEpoch = parseDate(token);
+        afterPosition = token.position;
+        break;
+      case 'before':
+        beforeEpoch = parseDate(token);
+        break;
+      case 'in':
+        options.searchType = oneOf(token, SEARCH_TYPES);
+        break;
+      case 'sort':
+        options.orderBy = SORT_ORDERS[oneOf(token, Object.keys(SORT_ORDERS))];
+        break;
+    }
+  }
+
+  if (afterEpoch !== null && beforeEpoch !== null && afterEpoch >= beforeEpoch) {
+    throw new SearchQueryError(`after: must be earlier than before: (position ${afterPosition})`, afterPosition);
+  }
+
+  if (text.length > 0) options.query = text.join(' ');
+  if (types.length > 0) options.obsType = types;
+  if (files.length > 0) options.files = files;
+  if (concepts.length > 0) options.concepts = concepts;
+  if (afterEpoch !== null || beforeEpoch !== null) {
+    options.dateRange = {};
+    if (afterEpoch !== null) options.dateRange.start = afterEpoch;
+    if (beforeEpoch !== null) options.dateRange.end = beforeEpoch - 1;
+  }
+
+  logger.debug('SEARCH', 'Parsed structured query', { input, filters: [...seen] });
+  return options;
+}
@@ -0,0 +1,89 @@
+/**
+ * SavedSearchMatcher - Evaluate saved searches against newly stored observations
+ *
+ * A saved search matches an observation when searching for its query would return
+ * that observation: filters apply as in any search, and query text is matched by
+ * keyword (FTS5) since new observations may not be embedded yet. Saved searches
+ * limited to sessions or prompts (`in:sessions`) never match observations.
+ */
+
+import type { Database } from 'bun:sqlite';
+import type { SessionSearch } from '../../sqlite/SessionSearch.js';
+import type { SearchFilters } from '../../sqlite/types.js';
+import type { SavedSearchRecord } from '../../sqlite/saved-searches/types.js';
+import { getSavedSearches, getSavedSearchById, recordSavedSearchMatch } from '../../sqlite/saved-searches/store.js';
+import { parseSearchQuery, SearchQueryError } from './QueryParser.js';
+import { logger } from '../../../utils/logger.js';
+
+export interface SavedSearchMatch {
+  /** Saved search with its match counters updated */
+  savedSearch: SavedSearchRecord;
+  observationId: number;
+}
+
+/**
+ * Whether an observation matches a saved query string
+ * @throws SearchQueryError if the query does not parse
+ */
+export function savedSearchMatchesObservation(
+  sessionSearch: SessionSearch,
+  query: string,
+  observationId: number
+): boolean {
+  const { query: text, obsType, concepts, files, project, dateRange, searchType } = parseSearchQuery(query);
+  if (searchType && searchType !== 'observations') {
+    return false;
+  }
+
+  return sessionSearch.observationMatches(observationId, text, {
+    project,
+    type: obsType as SearchFilters['type'],
+    concepts,
+    files,
+    dateRange
+  });
+}
+
+/**
+ * Match newly stored observations against every saved search and record the matches
+ * Saved searches whose query no longer parses are skipped with a warning.
+ */
+export function evaluateSavedSearches(
+  db: Database,
+  sessionSearch: SessionSearch,
+  observationIds: number[]
+): SavedSearchMatch[] {
+  const savedSearches = getSavedSearches(db);
+  if (savedSearches.length === 0 || observationIds.length === 0) {
+    return [];
+  }
+
+  const matches: SavedSearchMatch[] = [];
+  for (const savedSearch of savedSearches) {
+    for (const observationId of observationIds) {
+      try {
+        if (!savedSearchMatchesObservation(sessionSearch, savedSearch.query, observationId)) {
+          continue;
+        }
+      } catch (error) {
+        if (!(error instanceof SearchQueryError)) throw error;
+        logger.warn('SEARCH', 'Skipping saved search with an invalid query', {
+          id: savedSearch.id,
+          query: savedSearch.query
+        }, error);
+        break;
+      }
+
+      recordSavedSearchMatch(db, savedSearch.id, observationId);
+      matches.push({ savedSearch: getSavedSearchById(db, savedSearch.id)!, observationId });
+    }
+  }
+
+  if (matches.length > 0) {
+    logger.info('SEARCH', 'Saved searches matched new observations', {
+      matches: matches.length,
+      searches: new Set(matches.map(match => match.savedSearch.id)).size
+    });
+  }
+  return matches;
+}
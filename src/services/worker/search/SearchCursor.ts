@@ -0,0 +1,104 @@
+/**
+ * SearchCursor - Keyset cursors for date-ordered search results
+ *
+ * A search returns observations, sessions and prompts side by side, each paged on its
+ * own, so a search cursor holds one position per result type:
+ * - absent: the type starts from its first match
+ * - [created_at_epoch, id]: the type continues after that row
+ * - null: the type has no more matches and is not queried again
+ *
+ * Relevance-ordered results have no stable position, so only date-ordered searches page by cursor.
+ */
+
+import type { KeysetPosition } from '../../sqlite/types.js';
+import {
+  decodeCursorPayload,
+  encodeCursorPayload,
+  InvalidCursorError,
+  parseKeysetPosition,
+  toCursorPosition
+} from '../../sqlite/cursor.js';
+import { logger } from '../../../utils/logger.js';
+
+export type SearchResultType = 'observations' | 'sessions' | 'prompts';
+
+export type SearchCursor = Partial<Record<SearchResultType, KeysetPosition | null>>;
+
+type PagedRow = { id: number; created_at_epoch: number };
+
+/** Payload keys, kept short so cursors stay short */
+const CURSOR_KEYS: Record<SearchResultType, string> = {
+  observations: 'o',
+  sessions: 's',
+  prompts: 'p'
+};
+
+const RESULT_TYPES = Object.keys(CURSOR_KEYS) as SearchResultType[];
+
+export function encodeSearchCursor(cursor: SearchCursor): string {
+  const payload: Record<string, [number, number] | null> = {};
+  for (const type of RESULT_TYPES) {
+    const position = cursor[type];
+    if (position === undefined) continue;
+    payload[CURSOR_KEYS[type]] = position && [position.epoch, position.id];
+  }
+  return encodeCursorPayload(payload);
+}
+
+/**
+ * @throws InvalidCursorError if the cursor is malformed
+ */
+export function decodeSearchCursor(value: string): SearchCursor {
+  const payload = decodeCursorPayload(value);
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    throw new InvalidCursorError();
+  }
+
+  const cursor: SearchCursor = {};
+  for (const type of RESULT_TYPES) {
+    const position = (payload as Record<string, unknown>)[CURSOR_KEYS[type]];
+    if (position === undefined) continue;
+    cursor[type] = position === null ? null : parseKeysetPosition(position);
+  }
+  return cursor;
+}
+
+/**
+ * Cursor for the page after the current one
+ * @param fetched - rows fetched per searched type (at most limit each)
+ * @param shown - the subset of fetched rows included in the page, in order
+ * @param previous - cursor the current page was fetched with
+ * @returns null once every type is exhausted: all its rows shown and fewer than limit fetched
+ */
+export function nextSearchCursor(
+  fetched: Partial<Record<SearchResultType, PagedRow[]>>,
+  shown: Partial<Record<SearchResultType, PagedRow[]>>,
+  previous: SearchCursor,
+  limit: number
+): SearchCursor | null {
+  const next: SearchCursor = {};
+  let hasMore = false;
+
+  for (const type of RESULT_TYPES) {
+    const rows = fetched[type];
+    if (!rows) continue;
+
+    const shownRows = shown[type] ?? [];
+    if (shownRows.length === rows.length && rows.length < limit) {
+      next[type] = null;
+      continue;
+    }
+
+    hasMore = true;
+    const last = shownRows[shownRows.length - 1];
+    if (last) {
+      const [epoch, id] = toCursorPosition(last);
+      next[type] = { epoch, id };
+    } else if (previous[type] !== undefined) {
+      next[type] = previous[type];
+    }
+  }
+
+  logger.debug('SEARCH', 'Computed next search cursor', { hasMore, types: Object.keys(next) });
+  return hasMore ? next : null;
+}
@@ -15,6 +15,7 @@ import { ChromaSync } from '../../sync/ChromaSync.js';
 
 import { ChromaSearchStrategy } from './strategies/ChromaSearchStrategy.js';
 import { SQLiteSearchStrategy } from './strategies/SQLiteSearchStrategy.js';
+import { FTS5SearchStrategy } from './strategies/FTS5SearchStrategy.js';
 import { HybridSearchStrategy } from './strategies/HybridSearchStrategy.js';
 
 import { ResultFormatter } from './ResultFormatter.js';
@@ -44,6 +45,7 @@ interface NormalizedParams extends StrategySearchOptions {
 export class SearchOrchestrator {
   private chromaStrategy: ChromaSearchStrategy | null = null;
   private sqliteStrategy: SQLiteSearchStrategy;
+  private fts5Strategy: FTS5SearchStrategy;
   private hybridStrategy: HybridSearchStrategy | null = null;
   private resultFormatter: ResultFormatter;
   private timelineBuilder: TimelineBuilder;
@@ -55,6 +57,7 @@ export class SearchOrchestrator {
   ) {
     // Initialize strategies
     this.sqliteStrategy = new SQLiteSearchStrategy(sessionSearch);
+    this.fts5Strategy = new FTS5SearchStrategy(sessionSearch);
 
     if (chromaSync) {
       this.chromaStrategy = new ChromaSearchStrategy(chromaSync, sessionStore);
@@ -87,8 +90,23 @@ export class SearchOrchestrator {
       return await this.sqliteStrategy.search(options);
     }
 
-    // PATH 2: CHROMA SEMANTIC SEARCH (query text + Chroma available)
-    if (this.chromaStrategy) {
+    // PATH 2: FTS5 KEYWORD SEARCH (explicitly requested)
+    if (options.strategyHint === 'fts5') {
+      logger.debug('SEARCH', 'Orchestrator: FTS5 keyword search requested', {});
+      return await this.fts5Strategy.search(options);
+    }
+
+    const chromaAvailable = !!this.chromaStrategy && !this.chromaSync?.isDisabled();
+
+    // PATH 3: HYBRID RELEVANCE SEARCH (query text + Chroma available + relevance ordering)
+    if (this.hybridStrategy && chromaAvailable &&
+        (options.strategyHint === 'hybrid' || options.orderBy === 'relevance')) {
+      logger.debug('SEARCH', 'Orchestrator: Using hybrid keyword + semantic search', {});
+      return await this.hybridStrategy.search(options);
+    }
+
+    // PATH 4: CHROMA SEMANTIC SEARCH (query text + Chroma available)
+    if (this.chromaStrategy && chromaAvailable) {
       logger.debug('SEARCH', 'Orchestrator: Using Chroma semantic search', {});
       const result = await this.chromaStrategy.search(options);
 
@@ -97,12 +115,9 @@ export class SearchOrchestrator {
         return result;
       }
 
-      // Chroma failed - fall back to SQLite for filter-only
-      logger.debug('SEARCH', 'Orchestrator: Chroma failed, falling back to SQLite', {});
-      const fallbackResult = await this.sqliteStrategy.search({
-        ...options,
-        query: undefined // Remove query for SQLite fallback
-      });
+      // Chroma failed - fall back to FTS5 keyword search
+      logger.debug('SEARCH', 'Orchestrator: Chroma failed, falling back to FTS5', {});
+      const fallbackResult = await this.fts5Strategy.search(options);
 
       return {
         ...fallbackResult,
@@ -110,14 +125,9 @@ export class SearchOrchestrator {
       };
     }
 
-    // PATH 3: No Chroma available
-    logger.debug('SEARCH', 'Orchestrator: Chroma not available', {});
-    return {
-      results: { observations: [], sessions: [], prompts: [] },
-      usedChroma: false,
-      fellBack: false,
-      strategy: 'sqlite'
-    };
+    // PATH 5: No Chroma available - FTS5 keyword search
+    logger.debug('SEARCH', 'Orchestrator: Chroma not available, using FTS5', {});
+    return await this.fts5Strategy.search(options);
   }
 
   /**
@@ -0,0 +1,147 @@
+/**
+ * SimilarObservations - Rank past work related to an observation
+ *
+ * Three signals, each scored 0-1 and combined with fixed weights:
+ * - vector: rank among the nearest Chroma neighbors of the observation's text
+ * - files: overlap of files read or modified (Jaccard), listing files both modified
+ * - concepts: overlap of concept tags (Jaccard)
+ *
+ * Every neighbor carries the reasons it matched, so callers can tell a semantic
+ * match from one that merely touched the same file.
+ */
+
+import type { ObservationRow } from '../../sqlite/types.js';
+import { parseJsonArray } from '../../../shared/timeline-formatting.js';
+import { ModeManager } from '../../domain/ModeManager.js';
+import { logger } from '../../../utils/logger.js';
+
+export const SIMILARITY_WEIGHTS = {
+  vector: 0.5,
+  files: 0.3,
+  concepts: 0.2
+} as const;
+
+/** Files or concepts named in a reason before the rest are summarized */
+const MAX_LISTED = 3;
+
+export interface SimilarObservation {
+  observation: ObservationRow;
+  /** Weighted similarity, 0-1 */
+  score: number;
+  reasons: string[];
+  /** 1-based rank among vector neighbors, null if not a vector match */
+  vector_rank: number | null;
+  shared_files: string[];
+  /** Subset of shared_files that both observations modified */
+  shared_files_modified: string[];
+  shared_concepts: string[];
+}
+
+function jaccard(a: Set<string>, b: Set<string>): { shared: string[]; score: number } {
+  const shared = [...a].filter(value => b.has(value));
+  const union = new Set([...a, ...b]).size;
+  return { shared, score: union > 0 ? shared.length / union : 0 };
+}
+
+function listValues(values: string[]): string {
+  const listed = values.slice(0, MAX_LISTED).join(', ');
+  return values.length > MAX_LISTED ? `${listed} (+${values.length - MAX_LISTED} more)` : listed;
+}
+
+function filesOf(obs: ObservationRow): { all: Set<string>; modified: Set<string> } {
+  const modified = new Set(parseJsonArray(obs.files_modified));
+  return { all: new Set([...parseJsonArray(obs.files_read), ...modified]), modified };
+}
+
+/**
+ * Score candidates against a target observation, best first
+ * @param vectorIds - vector neighbors of the target, nearest first
+ */
+export function rankSimilarObservations(
+  target: ObservationRow,
+  candidates: ObservationRow[],
+  vectorIds: number[],
+  limit: number
+): SimilarObservation[] {
+  const targetFiles = filesOf(target);
+  const targetConcepts = new Set(parseJsonArray(target.concepts));
+  const neighbors = vectorIds.filter(id => id !== target.id);
+  const seen = new Set<number>();
+  const ranked: SimilarObservation[] = [];
+
+  for (const candidate of candidates) {
+    if (candidate.id === target.id || seen.has(candidate.id)) continue;
+    seen.add(candidate.id);
+
+    const reasons: string[] = [];
+    const rankIndex = neighbors.indexOf(candidate.id);
+    const vectorScore = rankIndex === -1 ? 0 : 1 - rankIndex / neighbors.length;
+    if (rankIndex !== -1) {
+      reasons.push(`semantically similar (vector rank ${rankIndex + 1})`);
+    }
+
+    const candidateFiles = filesOf(candidate);
+    const files = jaccard(targetFiles.all, candidateFiles.all);
+    const bothModified = files.shared.filter(file => targetFiles.modified.has(file) && candidateFiles.modified.has(file));
+    const otherShared = files.shared.filter(file => !bothModified.includes(file));
+    if (bothModified.length > 0) {
+      reasons.push(`both modified ${listValues(bothModified)}`);
+    }
+    if (otherShared.length > 0) {
+      reasons.push(`shared files: ${listValues(otherShared)}`);
+    }
+
+    const concepts = jaccard(targetConcepts, new Set(parseJsonArray(candidate.concepts)));
+    if (concepts.shared.length > 0) {
+      reasons.push(`shared concepts: ${listValues(concepts.shared)}`);
+    }
+
+    const score = SIMILARITY_WEIGHTS.vector * vectorScore
+      + SIMILARITY_WEIGHTS.files * files.score
+      + SIMILARITY_WEIGHTS.concepts * concepts.score;
+    if (score <= 0) continue;
+
+    ranked.push({
+      observation: candidate,
+      score: Math.round(score * 1000) / 1000,
+      reasons,
+      vector_rank: rankIndex === -1 ? null : rankIndex + 1,
+      shared_files: files.shared,
+      shared_files_modified: bothModified,
+      shared_concepts: concepts.shared
+    });
+  }
+
+  ranked.sort((a, b) => b.score - a.score || b.observation.created_at_epoch - a.observation.created_at_epoch);
+
+  logger.debug('SEARCH', 'Ranked similar observations', {
+    targetId: target.id,
+    candidates: seen.size,
+    vectorNeighbors: neighbors.length,
+    returned: Math.min(limit, ranked.length)
+  });
+  return ranked.slice(0, limit);
+}
+
+/**
+ * Similar observations as a markdown table with the reasons for each match
+ */
+export function formatSimilarObservations(target: ObservationRow, similar: SimilarObservation[]): string {
+  const title = target.title || 'Untitled';
+  if (similar.length === 0) {
+    return `No observations similar to #${target.id} "${title}"`;
+  }
+
+  const rows = similar.map(({ observation, score, reasons }) => {
+    const icon = ModeManager.getInstance().getTypeIcon(observation.type);
+    return `| #${observation.id} | ${score.toFixed(2)} | ${icon} | ${observation.title || 'Untitled'} | ${reasons.join('; ')} |`;
+  });
+
+  return [
+    `Found ${similar.length} observation(s) similar to #${target.id} "${title}"`,
+    '',
+    '| ID | Score | T | Title | Why |',
+    '|----|-------|---|-------|-----|',
+    ...rows
+  ].join('\n');
+}
@@ -0,0 +1,72 @@
+/**
+ * GoldenQueries - Golden-query file format
+ *
+ * A golden-query file is JSONL: one query per line with the observation IDs a good
+ * search returns. Blank lines and lines starting with # are ignored.
+ *
+ *   # Concept filters narrow keyword matches
+ *   {"id": "sync-gotchas", "query": "concept:gotcha chroma", "expected": [4, 9], "k": 3}
+ */
+
+import { readFileSync } from 'fs';
+import type { GoldenQuery } from './types.js';
+import { parseSearchQuery } from '../QueryParser.js';
+import { logger } from '../../../../utils/logger.js';
+
+/**
+ * Parse golden queries from JSONL text
+ * @throws Error naming the line for invalid JSON, missing fields, duplicate ids
+ *   and queries that do not parse
+ */
+export function parseGoldenQueries(text: string, source: string = 'golden queries'): GoldenQuery[] {
+  const queries: GoldenQuery[] = [];
+  const ids = new Set<string>();
+
+  text.split('\n').forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) return;
+
+    const where = `${source}:${index + 1}`;
+    let entry: any;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`${where}: invalid JSON (${(error as Error).message})`);
+    }
+
+    if (typeof entry.id !== 'string' || !entry.id) {
+      throw new Error(`${where}: id must be a non-empty string`);
+    }
+    if (ids.has(entry.id)) {
+      throw new Error(`${where}: duplicate id "${entry.id}"`);
+    }
+    if (typeof entry.query !== 'string' || !entry.query.trim()) {
+      throw new Error(`${where}: query must be a non-empty string`);
+    }
+    if (!Array.isArray(entry.expected) || entry.expected.length === 0 || !entry.expected.every(Number.isInteger)) {
+      throw new Error(`${where}: expected must be a non-empty array of observation IDs`);
+    }
+    if (entry.k !== undefined && (!Number.isInteger(entry.k) || entry.k < 1)) {
+      throw new Error(`${where}: k must be a positive integer`);
+    }
+
+    try {
+      parseSearchQuery(entry.query);
+    } catch (error) {
+      throw new Error(`${where}: ${(error as Error).message}`);
+    }
+
+    ids.add(entry.id);
+    queries.push({ id: entry.id, query: entry.query, expected: entry.expected, ...(entry.k !== undefined && { k: entry.k }) });
+  });
+
+  logger.debug('SEARCH', 'Parsed golden queries', { source, count: queries.length });
+  return queries;
+}
+
+/**
+ * Load golden queries from a JSONL file
+ */
+export function loadGoldenQueries(filePath: string): GoldenQuery[] {
+  return parseGoldenQueries(readFileSync(filePath, 'utf-8'), filePath);
+}
@@ -0,0 +1,124 @@
+/**
+ * SearchEvaluator - Measure search strategies against golden queries
+ *
+ * Runs every golden query through each strategy the way the search API would
+ * (structured query parsed, observations only) and reports recall@k, MRR and
+ * latency. A strategy that cannot handle a query (canHandle() is false) has the
+ * query recorded as skipped rather than scored as a miss, so filter-only and
+ * text queries can share one golden file.
+ */
+
+import type { SearchStrategy } from '../strategies/SearchStrategy.js';
+import type { StrategySearchOptions } from '../types.js';
+import { parseSearchQuery } from '../QueryParser.js';
+import { latencyStats, recallAtK, reciprocalRank } from './metrics.js';
+import type { EvaluationReport, GoldenQuery, QueryEvaluation, StrategyEvaluation } from './types.js';
+import { logger } from '../../../../utils/logger.js';
+
+export const DEFAULT_EVALUATION_K = 5;
+
+export interface EvaluationOptions {
+  /** Default cutoff for recall@k and MRR, overridden per query by GoldenQuery.k */
+  k?: number;
+}
+
+function toSearchOptions(query: GoldenQuery, k: number): StrategySearchOptions {
+  const parsed = parseSearchQuery(query.query);
+  return {
+    ...parsed,
+    searchType: 'observations',
+    // Text queries rank by relevance unless the query sorts explicitly
+    orderBy: parsed.orderBy ?? (parsed.query ? 'relevance' : 'date_desc'),
+    limit: k
+  };
+}
+
+async function evaluateStrategy(
+  strategy: SearchStrategy,
+  queries: GoldenQuery[],
+  defaultK: number
+): Promise<StrategyEvaluation> {
+  const evaluated: QueryEvaluation[] = [];
+  const skipped: string[] = [];
+
+  for (const query of queries) {
+    const k = query.k ?? defaultK;
+    const options = toSearchOptions(query, k);
+    if (!strategy.canHandle(options)) {
+      skipped.push(query.id);
+      continue;
+    }
+
+    const started = performance.now();
+    const result = await strategy.search(options);
+    const latencyMs = performance.now() - started;
+
+    const returned = result.results.observations.map(obs => obs.id);
+    evaluated.push({
+      queryId: query.id,
+      k,
+      returned,
+      recall: recallAtK(returned, query.expected, k),
+      reciprocalRank: reciprocalRank(returned, query.expected, k),
+      latencyMs
+    });
+  }
+
+  const mean = (values: number[]) => values.length > 0
+    ? values.reduce((sum, value) => sum + value, 0) / values.length
+    : 0;
+
+  return {
+    strategy: strategy.name,
+    recallAtK: mean(evaluated.map(q => q.recall)),
+    mrr: mean(evaluated.map(q => q.reciprocalRank)),
+    latency: latencyStats(evaluated.map(q => q.latencyMs)),
+    queries: evaluated,
+    skipped
+  };
+}
+
+/**
+ * Run golden queries through each strategy, in order
+ */
+export async function evaluateStrategies(
+  strategies: SearchStrategy[],
+  queries: GoldenQuery[],
+  options: EvaluationOptions = {}
+): Promise<EvaluationReport> {
+  const k = options.k ?? DEFAULT_EVALUATION_K;
+  const results: StrategyEvaluation[] = [];
+
+  for (const strategy of strategies) {
+    const evaluation = await evaluateStrategy(strategy, queries, k);
+    logger.info('SEARCH', 'Evaluated search strategy', {
+      strategy: strategy.name,
+      recallAtK: evaluation.recallAtK.toFixed(3),
+      mrr: evaluation.mrr.toFixed(3),
+      p95Ms: evaluation.latency.p95Ms.toFixed(1),
+      skipped: evaluation.skipped.length
+    });
+    results.push(evaluation);
+  }
+
+  return { k, queryCount: queries.length, strategies: results };
+}
+
+/**
+ * Evaluation report as a markdown table, one row per strategy
+ */
+export function formatEvaluationReport(report: EvaluationReport): string {
+  const rows = report.strategies.map(s => {
+    const evaluated = s.queries.length;
+    return `| ${s.strategy} | ${evaluated}/${report.queryCount} | ${s.recallAtK.toFixed(3)} | ${s.mrr.toFixed(3)} | ` +
+      `${s.latency.p50Ms.toFixed(1)} | ${s.latency.p95Ms.toFixed(1)} |`;
+  });
+
+  return [
+    `Search evaluation: ${report.queryCount} golden queries, k=${report.k}`,
+    '',
+    `| Strategy | Queries | Recall@k | MRR | p50 ms | p95 ms |`,
+    '|----------|---------|----------|-----|--------|--------|',
+    ...rows
+  ].join('\n');
+}
@@ -0,0 +1,92 @@
+/**
+ * Fixture database for search evaluation
+ *
+ * Stores fixture observations in a fresh SQLite database and embeds them into a
+ * local vector index, so every strategy searches the same data. With the default
+ * HashEmbedder the vectors, and therefore the rankings, are deterministic.
+ */
+
+import { SessionStore } from '../../../sqlite/SessionStore.js';
+import { SessionSearch } from '../../../sqlite/SessionSearch.js';
+import { ChromaSync } from '../../../sync/ChromaSync.js';
+import { LocalVectorIndex } from '../../../sync/LocalVectorIndex.js';
+import { HashEmbedder, type Embedder } from '../../../sync/Embedder.js';
+import type { SearchStrategy } from '../strategies/SearchStrategy.js';
+import { SQLiteSearchStrategy } from '../strategies/SQLiteSearchStrategy.js';
+import { FTS5SearchStrategy } from '../strategies/FTS5SearchStrategy.js';
+import { ChromaSearchStrategy } from '../strategies/ChromaSearchStrategy.js';
+import { HybridSearchStrategy } from '../strategies/HybridSearchStrategy.js';
+import type { FixtureObservation } from './types.js';
+import { logger } from '../../../../utils/logger.js';
+
+export const EVALUATION_PROJECT = 'search-eval';
+
+const MEMORY_SESSION_ID = 'search-eval-session';
+
+/** Spacing between fixture observations, newest last */
+const OBSERVATION_INTERVAL_MS = 60 * 1000;
+
+export interface EvaluationFixture {
+  store: SessionStore;
+  search: SessionSearch;
+  chromaSync: ChromaSync;
+  /** SQLite, FTS5, Chroma and Hybrid strategies over the fixture */
+  strategies: SearchStrategy[];
+  close(): Promise<void>;
+}
+
+/**
+ * Build a fixture database at dbPath, which must not exist yet
+ * @throws Error if an observation's id does not match its position
+ */
+export async function buildEvaluationFixture(
+  dbPath: string,
+  observations: FixtureObservation[],
+  embedder: Embedder = new HashEmbedder()
+): Promise<EvaluationFixture> {
+  const store = new SessionStore(dbPath);
+  const sdkId = store.createSDKSession('search-eval', EVALUATION_PROJECT, 'search evaluation fixture');
+  store.updateMemorySessionId(sdkId, MEMORY_SESSION_ID);
+
+  // SessionStore has created vector_documents, so the index can share the file
+  const chromaSync = new ChromaSync(EVALUATION_PROJECT, new LocalVectorIndex(embedder, dbPath));
+  const search = new SessionSearch(dbPath);
+
+  // Recent epochs keep every observation inside the Chroma recency window
+  const start = Date.now() - observations.length * OBSERVATION_INTERVAL_MS;
+
+  try {
+    for (const [index, { id, ...obs }] of observations.entries()) {
+      const epoch = start + index * OBSERVATION_INTERVAL_MS;
+      const stored = store.storeObservation(MEMORY_SESSION_ID, EVALUATION_PROJECT, obs, 1, 0, epoch);
+      if (stored.id !== id) {
+        throw new Error(`Fixture observation ${index + 1} has id ${id}, expected ${stored.id}`);
+      }
+      await chromaSync.syncObservation(stored.id, MEMORY_SESSION_ID, EVALUATION_PROJECT, obs, 1, stored.createdAtEpoch);
+    }
+  } catch (error) {
+    search.close();
+    await chromaSync.close();
+    store.close();
+    throw error;
+  }
+
+  logger.debug('SEARCH', 'Built search evaluation fixture', { dbPath, observations: observations.length, embedder: embedder.id });
+
+  return {
+    store,
+    search,
+    chromaSync,
+    strategies: [
+      new SQLiteSearchStrategy(search),
+      new FTS5SearchStrategy(search),
+      new ChromaSearchStrategy(chromaSync, store),
+      new HybridSearchStrategy(chromaSync, store, search)
+    ],
+    async close() {
+      search.close();
+      await chromaSync.close();
+      store.close();
+    }
+  };
+}
@@ -0,0 +1,12 @@
+/**
+ * Search evaluation module
+ * Golden queries, fixture database and metrics for comparing search strategies
+ */
+
+export { parseGoldenQueries, loadGoldenQueries } from './GoldenQueries.js';
+export { buildEvaluationFixture, EVALUATION_PROJECT } from './fixture.js';
+export type { EvaluationFixture } from './fixture.js';
+export { evaluateStrategies, formatEvaluationReport, DEFAULT_EVALUATION_K } from './SearchEvaluator.js';
+export type { EvaluationOptions } from './SearchEvaluator.js';
+export { recallAtK, reciprocalRank, latencyStats } from './metrics.js';
+export * from './types.js';
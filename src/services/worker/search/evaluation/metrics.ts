@@ -0,0 +1,49 @@
+/**
+ * Retrieval metrics for search evaluation
+ */
+
+import type { LatencyStats } from './types.js';
+import { logger } from '../../../../utils/logger.js';
+
+/**
+ * Fraction of expected IDs found in the top k results
+ */
+export function recallAtK(returned: number[], expected: number[], k: number): number {
+  if (expected.length === 0) return 0;
+  const top = new Set(returned.slice(0, k));
+  return expected.filter(id => top.has(id)).length / expected.length;
+}
+
+/**
+ * 1 / rank of the first expected ID in the top k results, 0 if none is found
+ */
+export function reciprocalRank(returned: number[], expected: number[], k: number): number {
+  const wanted = new Set(expected);
+  const index = returned.slice(0, k).findIndex(id => wanted.has(id));
+  return index === -1 ? 0 : 1 / (index + 1);
+}
+
+/**
+ * Nearest-rank percentile of sorted values
+ */
+function percentile(sorted: number[], p: number): number {
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.max(0, rank - 1)];
+}
+
+/**
+ * Mean, median, p95 and max of latency samples in milliseconds
+ */
+export function latencyStats(samples: number[]): LatencyStats {
+  if (samples.length === 0) {
+    return { meanMs: 0, p50Ms: 0, p95Ms: 0, maxMs: 0 };
+  }
+
+  const sorted = [...samples].sort((a, b) => a - b);
+  return {
+    meanMs: sorted.reduce((sum, value) => sum + value, 0) / sorted.length,
+    p50Ms: percentile(sorted, 50),
+    p95Ms: percentile(sorted, 95),
+    maxMs: sorted[sorted.length - 1]
+  };
+}
@@ -0,0 +1,68 @@
+/**
+ * Search evaluation type definitions
+ * Used to measure search strategies against golden queries over a fixture database
+ */
+
+import type { ObservationInput } from '../../../sqlite/observations/types.js';
+
+/**
+ * One line of a golden-query file (JSONL)
+ *
+ *   {"id": "chroma-backfill", "query": "backfill vector index", "expected": [3, 7]}
+ *
+ * query uses the structured query language (type:, file:, concept:, ...).
+ * expected lists the observation IDs a good search returns, in no particular order.
+ */
+export interface GoldenQuery {
+  id: string;
+  query: string;
+  expected: number[];
+  /** Cutoff for this query's recall@k, overriding the run's default */
+  k?: number;
+}
+
+/**
+ * One observation of a fixture database
+ * Fixtures are stored in order into an empty database, so id must be its 1-based position.
+ * Golden queries refer to observations by this id.
+ */
+export interface FixtureObservation extends ObservationInput {
+  id: number;
+}
+
+export interface QueryEvaluation {
+  queryId: string;
+  k: number;
+  /** Observation IDs returned, in rank order */
+  returned: number[];
+  /** Fraction of expected IDs within the top k */
+  recall: number;
+  /** 1 / rank of the first expected ID within the top k, 0 if none */
+  reciprocalRank: number;
+  latencyMs: number;
+}
+
+export interface LatencyStats {
+  meanMs: number;
+  p50Ms: number;
+  p95Ms: number;
+  maxMs: number;
+}
+
+export interface StrategyEvaluation {
+  strategy: string;
+  /** Mean recall@k over evaluated queries */
+  recallAtK: number;
+  /** Mean reciprocal rank over evaluated queries */
+  mrr: number;
+  latency: LatencyStats;
+  queries: QueryEvaluation[];
+  /** Queries the strategy cannot handle (canHandle() was false), not counted in the means */
+  skipped: string[];
+}
+
+export interface EvaluationReport {
+  k: number;
+  queryCount: number;
+  strategies: StrategyEvaluation[];
+}
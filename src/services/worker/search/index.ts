@@ -17,8 +17,31 @@ export type { SearchStrategy } from './strategies/SearchStrategy.js';
 export { BaseSearchStrategy } from './strategies/SearchStrategy.js';
 export { ChromaSearchStrategy } from './strategies/ChromaSearchStrategy.js';
 export { SQLiteSearchStrategy } from './strategies/SQLiteSearchStrategy.js';
+export { FTS5SearchStrategy } from './strategies/FTS5SearchStrategy.js';
 export { HybridSearchStrategy } from './strategies/HybridSearchStrategy.js';
 
+// Query language
+export { parseSearchQuery, globToLikePattern, SearchQueryError, SEARCH_QUERY_FILTERS } from './QueryParser.js';
+
+// Facets
+export { computeSearchFacets, formatSearchFacets, chooseDateBucket } from './Facets.js';
+export type { SearchFacets, FacetCount, DateBucket } from './Facets.js';
+
+// Similar observations
+export { rankSimilarObservations, formatSimilarObservations, SIMILARITY_WEIGHTS } from './SimilarObservations.js';
+export type { SimilarObservation } from './SimilarObservations.js';
+
+// Search cursors
+export { encodeSearchCursor, decodeSearchCursor, nextSearchCursor } from './SearchCursor.js';
+export type { SearchCursor, SearchResultType } from './SearchCursor.js';
+
+// Saved searches
+export { evaluateSavedSearches, savedSearchMatchesObservation } from './SavedSearchMatcher.js';
+export type { SavedSearchMatch } from './SavedSearchMatcher.js';
+
+// Search quality evaluation
+export * from './evaluation/index.js';
+
 // Filters
 export * from './filters/DateFilter.js';
 export * from './filters/ProjectFilter.js';
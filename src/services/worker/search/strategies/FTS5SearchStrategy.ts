@@ -0,0 +1,108 @@
+/**
+ * FTS5SearchStrategy - Keyword search over SQLite FTS5 tables
+ *
+ * This strategy handles searches with query text without Chroma:
+ * - BM25 ranking with per-column weights (titles outrank body text)
+ * - Highlighted snippets of the matching text
+ * - "quoted phrase", prefix* and AND/OR/NOT query syntax
+ * - The same project/type/date/concept/file filters as SQLiteSearchStrategy
+ *
+ * Used when: Chroma is unavailable or fails, or when strategyHint is 'fts5'
+ */
+
+import { BaseSearchStrategy, SearchStrategy } from './SearchStrategy.js';
+import {
+  StrategySearchOptions,
+  StrategySearchResult,
+  SearchOptions,
+  SEARCH_CONSTANTS,
+  ObservationSearchResult,
+  SessionSummarySearchResult,
+  UserPromptSearchResult
+} from '../types.js';
+import { SessionSearch } from '../../../sqlite/SessionSearch.js';
+import { logger } from '../../../../utils/logger.js';
+
+export class FTS5SearchStrategy extends BaseSearchStrategy implements SearchStrategy {
+  readonly name = 'fts5';
+
+  constructor(private sessionSearch: SessionSearch) {
+    super();
+  }
+
+  canHandle(options: StrategySearchOptions): boolean {
+    // Requires query text - filter-only searches belong to SQLiteSearchStrategy
+    return !!options.query;
+  }
+
+  async search(options: StrategySearchOptions): Promise<StrategySearchResult> {
+    const {
+      query,
+      searchType = 'all',
+      obsType,
+      concepts,
+      files,
+      limit = SEARCH_CONSTANTS.DEFAULT_LIMIT,
+      offset = 0,
+      project,
+      dateRange,
+      orderBy = 'relevance'
+    } = options;
+
+    if (!query) {
+      return this.emptyResult('fts5');
+    }
+
+    const searchObservations = searchType === 'all' || searchType === 'observations';
+    const searchSessions = searchType === 'all' || searchType === 'sessions';
+    const searchPrompts = searchType === 'all' || searchType === 'prompts';
+
+    let observations: ObservationSearchResult[] = [];
+    let sessions: SessionSummarySearchResult[] = [];
+    let prompts: UserPromptSearchResult[] = [];
+
+    const baseOptions = { limit, offset, orderBy, project, dateRange };
+
+    logger.debug('SEARCH', 'FTS5SearchStrategy: Keyword query', {
+      query,
+      searchType,
+      hasProject: !!project
+    });
+
+    try {
+      if (searchObservations) {
+        observations = this.sessionSearch.searchObservations(query, {
+          ...baseOptions,
+          type: obsType as SearchOptions['type'],
+          concepts,
+          files
+        });
+      }
+
+      if (searchSessions) {
+        sessions = this.sessionSearch.searchSessions(query, baseOptions);
+      }
+
+      if (searchPrompts) {
+        prompts = this.sessionSearch.searchUserPrompts(query, baseOptions);
+      }
+
+      logger.debug('SEARCH', 'FTS5SearchStrategy: Results', {
+        observations: observations.length,
+        sessions: sessions.length,
+        prompts: prompts.length
+      });
+
+      return {
+        results: { observations, sessions, prompts },
+        usedChroma: false,
+        fellBack: false,
+        strategy: 'fts5'
+      };
+
+    } catch (error) {
+      logger.error('SEARCH', 'FTS5SearchStrategy: Search failed', { query }, error as Error);
+      return this.emptyResult('fts5');
+    }
+  }
+}
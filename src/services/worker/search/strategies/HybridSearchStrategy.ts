@@ -8,6 +8,9 @@
  * 4. Hydrate from SQLite in semantic rank order
  *
  * Used for: findByConcept, findByFile, findByType with Chroma available
+ *
+ * Generic query search fuses FTS5 BM25 ranking with Chroma similarity ranking
+ * using weighted reciprocal rank fusion (RRF). Used for orderBy=relevance.
  */
 
 import { BaseSearchStrategy, SearchStrategy } from './SearchStrategy.js';
@@ -15,14 +18,26 @@ import {
   StrategySearchOptions,
   StrategySearchResult,
   SEARCH_CONSTANTS,
+  ChromaDocType,
+  ChromaMetadata,
+  DateRange,
+  FusionWeights,
+  SearchOptions,
   ObservationSearchResult,
-  SessionSummarySearchResult
+  SessionSummarySearchResult,
+  UserPromptSearchResult
 } from '../types.js';
 import { ChromaSync } from '../../../sync/ChromaSync.js';
 import { SessionStore } from '../../../sqlite/SessionStore.js';
 import { SessionSearch } from '../../../sqlite/SessionSearch.js';
 import { logger } from '../../../../utils/logger.js';
 
+const DEFAULT_FUSION: FusionWeights = {
+  keyword: 1,
+  vector: 1,
+  k: SEARCH_CONSTANTS.RRF_K
+};
+
 export class HybridSearchStrategy extends BaseSearchStrategy implements SearchStrategy {
   readonly name = 'hybrid';
 
@@ -40,21 +55,115 @@ export class HybridSearchStrategy extends BaseSearchStrategy implements SearchSt
       !!options.concepts ||
       !!options.files ||
       (!!options.type && !!options.query) ||
+      (!!options.query && options.orderBy === 'relevance') ||
       options.strategyHint === 'hybrid'
     );
   }
 
+  /**
+   * Generic query search with reciprocal rank fusion
+   * Pattern: FTS5 ranking + Chroma ranking -> RRF -> Hydrate in fused order
+   */
   async search(options: StrategySearchOptions): Promise<StrategySearchResult> {
-    // This is the generic hybrid search - specific operations use dedicated methods
-    const { query, limit = SEARCH_CONSTANTS.DEFAULT_LIMIT, project } = options;
+    const {
+      query,
+      searchType = 'all',
+      obsType,
+      concepts,
+      files,
+      limit = SEARCH_CONSTANTS.DEFAULT_LIMIT,
+      offset = 0,
+      project,
+      dateRange,
+      fusion
+    } = options;
 
     if (!query) {
       return this.emptyResult('hybrid');
     }
 
-    // For generic hybrid search, use the standard Chroma path
-    // More specific operations (findByConcept, etc.) have dedicated methods
-    return this.emptyResult('hybrid');
+    const weights: FusionWeights = { ...DEFAULT_FUSION, ...fusion };
+    const searchObservations = searchType === 'all' || searchType === 'observations';
+    const searchSessions = searchType === 'all' || searchType === 'sessions';
+    const searchPrompts = searchType === 'all' || searchType === 'prompts';
+
+    // Each ranking must reach past the requested page, or later pages come back empty
+    const poolSize = Math.max(SEARCH_CONSTANTS.CHROMA_BATCH_SIZE, offset + limit);
+
+    // Step 1: FTS5 keyword ranking (already filtered in SQL)
+    const keywordOptions = {
+      limit: poolSize,
+      project,
+      dateRange,
+      orderBy: 'relevance' as const
+    };
+    let keywordObservations: ObservationSearchResult[] = [];
+    let keywordSessions: SessionSummarySearchResult[] = [];
+    let keywordPrompts: UserPromptSearchResult[] = [];
+
+    try {
+      if (searchObservations) {
+        keywordObservations = this.sessionSearch.searchObservations(query, {
+          ...keywordOptions,
+          type: obsType as SearchOptions['type'],
+          concepts,
+          files
+        });
+      }
+      if (searchSessions) {
+        keywordSessions = this.sessionSearch.searchSessions(query, keywordOptions);
+      }
+      if (searchPrompts) {
+        keywordPrompts = this.sessionSearch.searchUserPrompts(query, keywordOptions);
+      }
+    } catch (error) {
+      logger.error('SEARCH', 'HybridSearchStrategy: Keyword ranking failed', { query }, error as Error);
+    }
+
+    // Step 2: Chroma similarity ranking (one ranked list per document type)
+    let vectorRanks: Record<ChromaDocType, number[]> = { observation: [], session_summary: [], user_prompt: [] };
+    let usedChroma = false;
+
+    try {
+      const chromaResults = await this.chromaSync.queryChroma(query, poolSize);
+      vectorRanks = this.rankByDocType(chromaResults.metadatas);
+      usedChroma = true;
+    } catch (error) {
+      logger.error('SEARCH', 'HybridSearchStrategy: Vector ranking failed, using keyword ranking only', { query }, error as Error);
+    }
+
+    logger.debug('SEARCH', 'HybridSearchStrategy: Fusing rankings', {
+      keyword: keywordObservations.length + keywordSessions.length + keywordPrompts.length,
+      vector: vectorRanks.observation.length + vectorRanks.session_summary.length + vectorRanks.user_prompt.length,
+      weights
+    });
+
+    // Step 3: Fuse and hydrate each document type
+    const observations = searchObservations
+      ? this.fuseAndHydrate(keywordObservations, vectorRanks.observation, weights, offset, limit, dateRange,
+          ids => this.sessionStore.getObservationsByIds(ids, { project, type: obsType, concepts, files }) as ObservationSearchResult[])
+      : [];
+    const sessions = searchSessions
+      ? this.fuseAndHydrate(keywordSessions, vectorRanks.session_summary, weights, offset, limit, dateRange,
+          ids => this.sessionStore.getSessionSummariesByIds(ids, { project }) as SessionSummarySearchResult[])
+      : [];
+    const prompts = searchPrompts
+      ? this.fuseAndHydrate(keywordPrompts, vectorRanks.user_prompt, weights, offset, limit, dateRange,
+          ids => this.sessionStore.getUserPromptsByIds(ids, { project }))
+      : [];
+
+    logger.debug('SEARCH', 'HybridSearchStrategy: Fused results', {
+      observations: observations.length,
+      sessions: sessions.length,
+      prompts: prompts.length
+    });
+
+    return {
+      results: { observations, sessions, prompts },
+      usedChroma,
+      fellBack: !usedChroma,
+      strategy: 'hybrid'
+    };
   }
 
   /**
@@ -252,6 +361,76 @@ export class HybridSearchStrategy extends BaseSearchStrategy implements SearchSt
     }
   }
 
+  /**
+   * Split Chroma matches into ranked ID lists per document type
+   * Metadatas arrive in distance order with one entry per document, so an
+   * observation's best-matching document determines its rank. Applies the
+   * same 90-day recency window as ChromaSearchStrategy.
+   */
+  private rankByDocType(metadatas: ChromaMetadata[]): Record<ChromaDocType, number[]> {
+    const cutoff = Date.now() - SEARCH_CONSTANTS.RECENCY_WINDOW_MS;
+    const ranks: Record<ChromaDocType, number[]> = { observation: [], session_summary: [], user_prompt: [] };
+
+    for (const meta of metadatas) {
+      if (!meta || meta.sqlite_id === undefined || !(meta.doc_type in ranks)) continue;
+      if (meta.created_at_epoch <= cutoff) continue;
+
+      const ids = ranks[meta.doc_type];
+      if (!ids.includes(meta.sqlite_id)) {
+        ids.push(meta.sqlite_id);
+      }
+    }
+
+    return ranks;
+  }
+
+  /**
+   * Fuse keyword and vector rankings with weighted RRF, then hydrate in fused order
+   * Vector-only candidates go through the hydrate filters; keyword candidates were
+   * filtered by FTS5. Scores are normalized so a result ranked first in both lists scores 1.
+   * Paging happens on the fused list, so offset counts fused results.
+   */
+  private fuseAndHydrate<T extends { id: number; created_at_epoch: number; score?: number; snippet?: string }>(
+    keywordResults: T[],
+    vectorIds: number[],
+    weights: FusionWeights,
+    offset: number,
+    limit: number,
+    dateRange: DateRange | undefined,
+    hydrate: (ids: number[]) => T[]
+  ): T[] {
+    const fused = new Map<number, number>();
+    const addRanking = (ids: number[], weight: number) => {
+      if (weight <= 0) return;
+      ids.forEach((id, index) => {
+        fused.set(id, (fused.get(id) ?? 0) + weight / (weights.k + index + 1));
+      });
+    };
+
+    addRanking(keywordResults.map(result => result.id), weights.keyword);
+    addRanking(vectorIds, weights.vector);
+
+    if (fused.size === 0) {
+      return [];
+    }
+
+    const maxScore = (weights.keyword + weights.vector) / (weights.k + 1);
+    const snippets = new Map(keywordResults.map(result => [result.id, result.snippet]));
+    const startEpoch = dateRange?.start ? new Date(dateRange.start).getTime() : undefined;
+    const endEpoch = dateRange?.end ? new Date(dateRange.end).getTime() : undefined;
+
+    return hydrate(Array.from(fused.keys()))
+      .filter(row => (startEpoch === undefined || row.created_at_epoch >= startEpoch)
+        && (endEpoch === undefined || row.created_at_epoch <= endEpoch))
+      .map(row => ({
+        ...row,
+        score: maxScore > 0 ? (fused.get(row.id) ?? 0) / maxScore : 0,
+        snippet: snippets.get(row.id) ?? row.snippet
+      }))
+      .sort((a, b) => (b.score ?? 0) - (a.score ?? 0))
+      .slice(offset, offset + limit);
+  }
+
   /**
    * Intersect metadata IDs with Chroma IDs, preserving Chroma's rank order
    */
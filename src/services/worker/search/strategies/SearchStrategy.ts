@@ -4,6 +4,7 @@
  * Each strategy implements a different approach to searching:
  * - ChromaSearchStrategy: Vector-based semantic search via Chroma
  * - SQLiteSearchStrategy: Direct SQLite queries for filter-only searches
+ * - FTS5SearchStrategy: BM25-ranked keyword search over SQLite FTS5 tables
  * - HybridSearchStrategy: Metadata filtering + semantic ranking
  */
 
@@ -46,7 +47,7 @@ export abstract class BaseSearchStrategy implements SearchStrategy {
   /**
    * Create an empty search result
    */
-  protected emptyResult(strategy: 'chroma' | 'sqlite' | 'hybrid'): StrategySearchResult {
+  protected emptyResult(strategy: 'chroma' | 'sqlite' | 'fts5' | 'hybrid'): StrategySearchResult {
     return {
       results: {
         observations: [],
@@ -15,7 +15,11 @@ export const SEARCH_CONSTANTS = {
   RECENCY_WINDOW_DAYS: 90,
   RECENCY_WINDOW_MS: 90 * 24 * 60 * 60 * 1000,
   DEFAULT_LIMIT: 20,
-  CHROMA_BATCH_SIZE: 100
+  CHROMA_BATCH_SIZE: 100,
+  FACET_MATCH_LIMIT: 1000,
+  SIMILAR_VECTOR_CANDIDATES: 50,
+  SIMILAR_RELATED_CANDIDATES: 200,
+  RRF_K: 60
 } as const;
 
 /**
@@ -84,7 +88,20 @@ export interface ExtendedSearchOptions extends SearchOptions {
 /**
  * Search strategy selection hint
  */
-export type SearchStrategyHint = 'chroma' | 'sqlite' | 'hybrid' | 'auto';
+export type SearchStrategyHint = 'chroma' | 'sqlite' | 'fts5' | 'hybrid' | 'auto';
+
+/**
+ * Reciprocal rank fusion weights for hybrid search
+ * Each list contributes weight / (k + rank) per result
+ */
+export interface FusionWeights {
+  /** Weight of the FTS5 BM25 ranking */
+  keyword: number;
+  /** Weight of the Chroma similarity ranking */
+  vector: number;
+  /** RRF smoothing constant - higher values flatten the contribution of top ranks */
+  k: number;
+}
 
 /**
  * Options passed to search strategies
@@ -94,6 +111,8 @@ export interface StrategySearchOptions extends ExtendedSearchOptions {
   query?: string;
   /** Force a specific strategy */
   strategyHint?: SearchStrategyHint;
+  /** Rank fusion weights for hybrid search (defaults to equal weights) */
+  fusion?: Partial<FusionWeights>;
 }
 
 /**
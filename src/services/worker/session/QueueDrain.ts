@@ -0,0 +1,52 @@
+/**
+ * Queue Drain
+ *
+ * Used by bulk importers (transcript backfill, git history import) that queue a
+ * session's messages up front and must not start the next session until the agent
+ * has worked through them, so an import never runs hundreds of agents at once.
+ */
+
+import type { SessionManager } from '../SessionManager.js';
+import { logger } from '../../../utils/logger.js';
+
+const DRAIN_POLL_MS = 2000;
+// A session whose queue has not shrunk for this long stops the import (re-run to resume)
+const DRAIN_STALL_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Start the session's agent and wait until its queue is empty
+ * @param startProcessor - starts the agent for a session if it is not already running
+ * @param isStopped - polled between checks; the wait ends early when it returns true
+ * @returns false if stopped before the queue drained
+ * @throws if the queue stalls
+ */
+export async function waitForQueueDrain(
+  sessionManager: SessionManager,
+  sessionDbId: number,
+  startProcessor: (sessionDbId: number) => void,
+  isStopped: () => boolean
+): Promise<boolean> {
+  const pendingStore = sessionManager.getPendingMessageStore();
+  let remaining = pendingStore.getPendingCount(sessionDbId);
+  let lastProgressAt = Date.now();
+
+  while (remaining > 0) {
+    if (isStopped()) return false;
+
+    if (!sessionManager.getSession(sessionDbId)?.generatorPromise) {
+      logger.debug('SESSION', 'Starting processor to drain queue', { sessionDbId, remaining });
+      startProcessor(sessionDbId);
+    }
+    await new Promise(resolve => setTimeout(resolve, DRAIN_POLL_MS));
+
+    const count = pendingStore.getPendingCount(sessionDbId);
+    if (count < remaining) {
+      lastProgressAt = Date.now();
+    } else if (Date.now() - lastProgressAt > DRAIN_STALL_TIMEOUT_MS) {
+      throw new Error(`Queue for session ${sessionDbId} has not drained for ${DRAIN_STALL_TIMEOUT_MS / 60000} minutes`);
+    }
+    remaining = count;
+  }
+
+  return true;
+}
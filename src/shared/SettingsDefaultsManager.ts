@@ -19,7 +19,7 @@ export interface SettingsDefaults {
   CLAUDE_MEM_WORKER_HOST: string;
   CLAUDE_MEM_SKIP_TOOLS: string;
   // AI Provider Configuration
-  CLAUDE_MEM_PROVIDER: string;  // 'auto' | 'claude' | 'gemini' | 'openrouter'
+  CLAUDE_MEM_PROVIDER: string;  // 'auto' | 'claude' | 'gemini' | 'openrouter' | 'openai-compatible'
   CLAUDE_MEM_CLAUDE_AUTH_METHOD: string;  // 'cli' | 'api' - how Claude provider authenticates
   CLAUDE_MEM_GEMINI_API_KEY: string;
   CLAUDE_MEM_GEMINI_MODEL: string;  // 'gemini-2.5-flash-lite' | 'gemini-2.5-flash' | 'gemini-3-flash-preview'
@@ -30,6 +30,12 @@ export interface SettingsDefaults {
   CLAUDE_MEM_OPENROUTER_APP_NAME: string;
   CLAUDE_MEM_OPENROUTER_MAX_CONTEXT_MESSAGES: string;
   CLAUDE_MEM_OPENROUTER_MAX_TOKENS: string;
+  CLAUDE_MEM_OPENAI_COMPATIBLE_BASE_URL: string;
+  CLAUDE_MEM_OPENAI_COMPATIBLE_MODEL: string;
+  CLAUDE_MEM_OPENAI_COMPATIBLE_API_KEY: string;
+  CLAUDE_MEM_OPENAI_COMPATIBLE_HEADERS: string;  // JSON object of extra request headers
+  CLAUDE_MEM_OPENAI_COMPATIBLE_MAX_CONTEXT_MESSAGES: string;
+  CLAUDE_MEM_OPENAI_COMPATIBLE_MAX_TOKENS: string;
   // System Configuration
   CLAUDE_MEM_DATA_DIR: string;
   CLAUDE_MEM_LOG_LEVEL: string;
@@ -48,10 +54,48 @@ export interface SettingsDefaults {
   CLAUDE_MEM_CONTEXT_FULL_COUNT: string;
   CLAUDE_MEM_CONTEXT_FULL_FIELD: string;
   CLAUDE_MEM_CONTEXT_SESSION_COUNT: string;
+  CLAUDE_MEM_CONTEXT_SELECTION: string;  // 'recent' | 'relevance'
+  CLAUDE_MEM_CONTEXT_DECAY_HALF_LIFE_DAYS: string;  // Relevance selection: age at which recency weight halves
+  CLAUDE_MEM_CONTEXT_TOKEN_BUDGET: string;  // '0' selects by counts; otherwise sections are packed into this many tokens
   // Feature Toggles
   CLAUDE_MEM_CONTEXT_SHOW_LAST_SUMMARY: string;
   CLAUDE_MEM_CONTEXT_SHOW_LAST_MESSAGE: string;
   CLAUDE_MEM_FOLDER_CLAUDEMD_ENABLED: string;
+  // Prompt-time Retrieval
+  CLAUDE_MEM_PROMPT_CONTEXT_ENABLED: string;  // 'true' | 'false' - inject relevant observations on each user prompt
+  CLAUDE_MEM_PROMPT_CONTEXT_LIMIT: string;
+  CLAUDE_MEM_PROMPT_CONTEXT_TOKEN_BUDGET: string;
+  // Hybrid Search (orderBy=relevance)
+  CLAUDE_MEM_SEARCH_KEYWORD_WEIGHT: string;  // RRF weight of FTS5 BM25 ranking
+  CLAUDE_MEM_SEARCH_VECTOR_WEIGHT: string;  // RRF weight of Chroma similarity ranking
+  CLAUDE_MEM_SEARCH_RRF_K: string;  // RRF smoothing constant
+  // Vector Backend
+  CLAUDE_MEM_VECTOR_BACKEND: string;  // 'chroma' | 'local'
+  CLAUDE_MEM_EMBEDDING_PROVIDER: string;  // 'hash' | 'openai-compatible' (local backend only)
+  CLAUDE_MEM_EMBEDDING_BASE_URL: string;
+  CLAUDE_MEM_EMBEDDING_MODEL: string;
+  CLAUDE_MEM_EMBEDDING_API_KEY: string;
+  // Project Identity
+  CLAUDE_MEM_PROJECT_IDENTITY: string;  // 'basename' | 'git'
+  // Observation Deduplication
+  CLAUDE_MEM_DEDUP_ENABLED: string;  // 'true' | 'false' - fold near-duplicates into an existing observation at store time
+  CLAUDE_MEM_DEDUP_THRESHOLD: string;  // Similarity score (0-1) at which observations count as duplicates
+  // Retention
+  CLAUDE_MEM_RETENTION_ENABLED: string;  // 'true' | 'false' - run the scheduled pruning job in the worker
+  CLAUDE_MEM_RETENTION_ACTION: string;  // 'archive' | 'delete' - archive writes pruned rows to JSONL before deleting
+  CLAUDE_MEM_RETENTION_MAX_AGE_DAYS: string;  // 0 = keep forever
+  CLAUDE_MEM_RETENTION_MAX_OBSERVATIONS: string;  // Per project, 0 = no cap
+  CLAUDE_MEM_RETENTION_KEEP_TYPES: string;  // Comma-separated observation types never pruned
+  CLAUDE_MEM_RETENTION_KEEP_PINNED: string;  // 'true' | 'false'
+  CLAUDE_MEM_RETENTION_INTERVAL_HOURS: string;
+  CLAUDE_MEM_RETENTION_PROJECTS: string;  // JSON object of per-project overrides
+  // Backup
+  CLAUDE_MEM_BACKUP_ENABLED: string;  // 'true' | 'false' - take scheduled snapshots in the worker
+  CLAUDE_MEM_BACKUP_INTERVAL_HOURS: string;
+  CLAUDE_MEM_BACKUP_KEEP: string;  // Number of snapshots kept by rotation
+  // Team Memory
+  CLAUDE_MEM_TEAM_SYNC_IMPORT: string;  // 'true' | 'false' - import teammates' .claude-mem/ entries at SessionStart
+  CLAUDE_MEM_TEAM_SYNC_IMPORT_PROJECTS: string;  // Comma-separated projects imported at SessionStart even when import is off
   // Exclusion Settings
   CLAUDE_MEM_EXCLUDED_PROJECTS: string;  // Comma-separated glob patterns for excluded project paths
   CLAUDE_MEM_FOLDER_MD_EXCLUDE: string;  // JSON array of folder paths to exclude from CLAUDE.md generation
@@ -79,6 +123,12 @@ export class SettingsDefaultsManager {
     CLAUDE_MEM_OPENROUTER_APP_NAME: 'claude-mem',  // App name for OpenRouter analytics
     CLAUDE_MEM_OPENROUTER_MAX_CONTEXT_MESSAGES: '20',  // Max messages in context window
     CLAUDE_MEM_OPENROUTER_MAX_TOKENS: '100000',  // Max estimated tokens (~100k safety limit)
+    CLAUDE_MEM_OPENAI_COMPATIBLE_BASE_URL: '',  // e.g. http://localhost:11434/v1 (Ollama), http://localhost:8000/v1 (vLLM)
+    CLAUDE_MEM_OPENAI_COMPATIBLE_MODEL: '',  // Model name as the server knows it
+    CLAUDE_MEM_OPENAI_COMPATIBLE_API_KEY: '',  // Optional: sent as Bearer token when set
+    CLAUDE_MEM_OPENAI_COMPATIBLE_HEADERS: '{}',  // Optional: extra headers for gateways/proxies
+    CLAUDE_MEM_OPENAI_COMPATIBLE_MAX_CONTEXT_MESSAGES: '20',  // Max messages in context window
+    CLAUDE_MEM_OPENAI_COMPATIBLE_MAX_TOKENS: '100000',  // Lower for small local context windows
     // System Configuration
     CLAUDE_MEM_DATA_DIR: join(homedir(), '.claude-mem'),
     CLAUDE_MEM_LOG_LEVEL: 'INFO',
@@ -97,10 +147,48 @@ export class SettingsDefaultsManager {
     CLAUDE_MEM_CONTEXT_FULL_COUNT: '5',
     CLAUDE_MEM_CONTEXT_FULL_FIELD: 'narrative',
     CLAUDE_MEM_CONTEXT_SESSION_COUNT: '10',
+    CLAUDE_MEM_CONTEXT_SELECTION: 'recent',  // 'relevance' weighs type and retrievals against age
+    CLAUDE_MEM_CONTEXT_DECAY_HALF_LIFE_DAYS: '14',
+    CLAUDE_MEM_CONTEXT_TOKEN_BUDGET: '0',  // Off by default: counts decide what is injected
     // Feature Toggles
     CLAUDE_MEM_CONTEXT_SHOW_LAST_SUMMARY: 'true',
     CLAUDE_MEM_CONTEXT_SHOW_LAST_MESSAGE: 'false',
     CLAUDE_MEM_FOLDER_CLAUDEMD_ENABLED: 'false',
+    // Prompt-time Retrieval
+    CLAUDE_MEM_PROMPT_CONTEXT_ENABLED: 'false',  // Opt-in: adds a search to every UserPromptSubmit
+    CLAUDE_MEM_PROMPT_CONTEXT_LIMIT: '3',  // Max observations injected per prompt
+    CLAUDE_MEM_PROMPT_CONTEXT_TOKEN_BUDGET: '800',  // Separate from SessionStart context budget
+    // Hybrid Search (orderBy=relevance)
+    CLAUDE_MEM_SEARCH_KEYWORD_WEIGHT: '1.0',  // Equal weights by default
+    CLAUDE_MEM_SEARCH_VECTOR_WEIGHT: '1.0',
+    CLAUDE_MEM_SEARCH_RRF_K: '60',  // Standard RRF constant
+    // Vector Backend
+    CLAUDE_MEM_VECTOR_BACKEND: 'chroma',  // 'local' stores embeddings in SQLite, no uvx required
+    CLAUDE_MEM_EMBEDDING_PROVIDER: 'hash',  // Deterministic, no model download
+    CLAUDE_MEM_EMBEDDING_BASE_URL: '',  // e.g. http://localhost:11434/v1 for Ollama
+    CLAUDE_MEM_EMBEDDING_MODEL: '',
+    CLAUDE_MEM_EMBEDDING_API_KEY: '',
+    // Project Identity
+    CLAUDE_MEM_PROJECT_IDENTITY: 'basename',  // Legacy cwd basename; 'git' uses override file / origin remote / git root
+    // Observation Deduplication
+    CLAUDE_MEM_DEDUP_ENABLED: 'true',
+    CLAUDE_MEM_DEDUP_THRESHOLD: '0.8',  // Title/narrative/file similarity; 1.0 only folds exact repeats
+    // Retention
+    CLAUDE_MEM_RETENTION_ENABLED: 'false',  // Opt-in: pruning removes data
+    CLAUDE_MEM_RETENTION_ACTION: 'archive',
+    CLAUDE_MEM_RETENTION_MAX_AGE_DAYS: '0',
+    CLAUDE_MEM_RETENTION_MAX_OBSERVATIONS: '0',
+    CLAUDE_MEM_RETENTION_KEEP_TYPES: 'decision',
+    CLAUDE_MEM_RETENTION_KEEP_PINNED: 'true',
+    CLAUDE_MEM_RETENTION_INTERVAL_HOURS: '24',
+    CLAUDE_MEM_RETENTION_PROJECTS: '{}',  // e.g. {"scratch": {"maxAgeDays": 7}}
+    // Backup
+    CLAUDE_MEM_BACKUP_ENABLED: 'true',  // Snapshots only add files under ~/.claude-mem/backups
+    CLAUDE_MEM_BACKUP_INTERVAL_HOURS: '24',
+    CLAUDE_MEM_BACKUP_KEEP: '7',
+    // Team Memory
+    CLAUDE_MEM_TEAM_SYNC_IMPORT: 'false',  // Entries from a cloned repo are written to the database and injected as context
+    CLAUDE_MEM_TEAM_SYNC_IMPORT_PROJECTS: '',
     // Exclusion Settings
     CLAUDE_MEM_EXCLUDED_PROJECTS: '',  // Comma-separated glob patterns for excluded project paths
     CLAUDE_MEM_FOLDER_MD_EXCLUDE: '[]',  // JSON array of folder paths to exclude from CLAUDE.md generation
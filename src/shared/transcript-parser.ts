@@ -63,3 +63,128 @@ export function extractLastMessage(
 
   return '';
 }
+
+/**
+ * A tool call with its result, as the PostToolUse hook would have seen it
+ */
+export interface TranscriptToolUse {
+  toolName: string;
+  toolInput: unknown;
+  toolResponse: unknown;
+  cwd: string | null;
+  timestampEpoch: number;
+}
+
+/**
+ * One user prompt and the work done for it, up to the next prompt
+ */
+export interface TranscriptTurn {
+  prompt: string;
+  timestampEpoch: number;
+  toolUses: TranscriptToolUse[];
+  lastAssistantMessage: string;
+  endedAtEpoch: number;
+}
+
+export interface ParsedTranscript {
+  sessionId: string | null;
+  cwd: string | null;
+  turns: TranscriptTurn[];
+}
+
+function textOf(content: unknown): string {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content
+    .filter((c: any) => c?.type === 'text' && typeof c.text === 'string')
+    .map((c: any) => c.text)
+    .join('\n');
+}
+
+function stripSystemReminderTags(text: string): string {
+  return text
+    .replace(/<system-reminder>[\s\S]*?<\/system-reminder>/g, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Parse a whole transcript into prompt turns, pairing each tool_use with its tool_result
+ *
+ * Sidechain (subagent) and meta lines are ignored, as are tool calls without a result
+ * (interrupted) and unparseable lines (a transcript may end mid-write).
+ */
+export function parseTranscriptTurns(transcriptPath: string): ParsedTranscript {
+  if (!transcriptPath || !existsSync(transcriptPath)) {
+    throw new Error(`Transcript path missing or file does not exist: ${transcriptPath}`);
+  }
+
+  const parsed: ParsedTranscript = { sessionId: null, cwd: null, turns: [] };
+  const pendingToolUses = new Map<string, { name: string; input: unknown }>();
+  let turn: TranscriptTurn | null = null;
+  let skippedLines = 0;
+
+  for (const raw of readFileSync(transcriptPath, 'utf-8').split('\n')) {
+    if (!raw.trim()) continue;
+
+    let line: any;
+    try {
+      line = JSON.parse(raw);
+    } catch {
+      skippedLines++;
+      continue;
+    }
+
+    if (line.isSidechain || line.isMeta || (line.type !== 'user' && line.type !== 'assistant')) continue;
+
+    if (!parsed.sessionId && line.sessionId) parsed.sessionId = line.sessionId;
+    if (!parsed.cwd && line.cwd) parsed.cwd = line.cwd;
+    const timestampEpoch = line.timestamp ? Date.parse(line.timestamp) || 0 : 0;
+    const content = line.message?.content;
+
+    if (line.type === 'assistant') {
+      if (!turn || !Array.isArray(content)) continue;
+      for (const block of content) {
+        if (block?.type === 'tool_use' && block.id) {
+          pendingToolUses.set(block.id, { name: block.name, input: block.input });
+        }
+      }
+      const text = stripSystemReminderTags(textOf(content));
+      if (text) turn.lastAssistantMessage = text;
+      turn.endedAtEpoch = Math.max(turn.endedAtEpoch, timestampEpoch);
+      continue;
+    }
+
+    const toolResults = Array.isArray(content) ? content.filter((c: any) => c?.type === 'tool_result') : [];
+    if (toolResults.length === 0) {
+      const prompt = textOf(content).trim();
+      if (!prompt) continue;
+      turn = { prompt, timestampEpoch, toolUses: [], lastAssistantMessage: '', endedAtEpoch: timestampEpoch };
+      parsed.turns.push(turn);
+      continue;
+    }
+
+    if (!turn) continue;
+    for (const result of toolResults) {
+      const toolUse = pendingToolUses.get(result.tool_use_id);
+      if (!toolUse) continue;
+      pendingToolUses.delete(result.tool_use_id);
+
+      turn.toolUses.push({
+        toolName: toolUse.name,
+        toolInput: toolUse.input,
+        // toolUseResult is the structured response the PostToolUse hook receives
+        toolResponse: toolResults.length === 1 && line.toolUseResult !== undefined ? line.toolUseResult : result.content,
+        cwd: line.cwd ?? parsed.cwd,
+        timestampEpoch
+      });
+      turn.endedAtEpoch = Math.max(turn.endedAtEpoch, timestampEpoch);
+    }
+  }
+
+  if (skippedLines > 0) {
+    logger.debug('PARSER', 'Skipped unparseable transcript lines', { transcriptPath, skippedLines });
+  }
+
+  return parsed;
+}
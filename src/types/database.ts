@@ -74,6 +74,7 @@ export interface ObservationRecord {
   source_files?: string;
   prompt_number?: number;
   discovery_tokens?: number;
+  pinned?: number;
 }
 
 /**
@@ -107,6 +108,34 @@ export interface UserPromptRecord {
   created_at_epoch: number;
 }
 
+/**
+ * Editable observation fields (PATCH /api/observation/:id)
+ * Array fields are JSON-encoded before storage
+ */
+export interface ObservationUpdate {
+  type?: string;
+  title?: string | null;
+  subtitle?: string | null;
+  narrative?: string | null;
+  text?: string | null;
+  facts?: string[];
+  concepts?: string[];
+  files_read?: string[];
+  files_modified?: string[];
+}
+
+/**
+ * Editable session summary fields (PATCH /api/summary/:id)
+ */
+export interface SessionSummaryUpdate {
+  request?: string | null;
+  investigated?: string | null;
+  learned?: string | null;
+  completed?: string | null;
+  next_steps?: string | null;
+  notes?: string | null;
+}
+
 /**
  * Latest user prompt with session join
  */
@@ -3,12 +3,17 @@ import { Header } from './components/Header';
 import { Feed } from './components/Feed';
 import { ContextSettingsModal } from './components/ContextSettingsModal';
 import { LogsDrawer } from './components/LogsModal';
+import { SearchFacetsPanel } from './components/SearchFacetsPanel';
 import { useSSE } from './hooks/useSSE';
 import { useSettings } from './hooks/useSettings';
 import { useStats } from './hooks/useStats';
 import { usePagination } from './hooks/usePagination';
 import { useTheme } from './hooks/useTheme';
-import { Observation, Summary, UserPrompt } from './types';
+import { useObservationMerge } from './hooks/useObservationMerge';
+import { useObservationPin } from './hooks/useObservationPin';
+import { useSearch } from './hooks/useSearch';
+import { useSavedSearches } from './hooks/useSavedSearches';
+import { Observation, Summary, UserPrompt, SavedSearch } from './types';
 import { mergeAndDeduplicateByProject } from './utils/data';
 
 export function App() {
@@ -19,36 +24,53 @@ export function App() {
   const [paginatedSummaries, setPaginatedSummaries] = useState<Summary[]>([]);
   const [paginatedPrompts, setPaginatedPrompts] = useState<UserPrompt[]>([]);
 
-  const { observations, summaries, prompts, projects, isProcessing, queueDepth, isConnected } = useSSE();
+  const { observations, summaries, prompts, projects, removedObservationIds, savedSearchMatches, isProcessing, queueDepth, isConnected } = useSSE();
   const { settings, saveSettings, isSaving, saveStatus } = useSettings();
   const { stats, refreshStats } = useStats();
   const { preference, resolvedTheme, setThemePreference } = useTheme();
   const pagination = usePagination(currentFilter);
+  const merge = useObservationMerge();
+  const { pinOverrides, togglePin } = useObservationPin();
+  const search = useSearch(currentFilter);
+  const savedSearches = useSavedSearches(savedSearchMatches);
 
+  // While a search is active the feed shows its results instead of the timeline
   // When filtering by project: ONLY use paginated data (API-filtered)
   // When showing all projects: merge SSE live data with paginated data
+  // Observations merged into another one are dropped from both sources
+  // Pin toggles from this tab override the loaded pinned flag
   const allObservations = useMemo(() => {
-    if (currentFilter) {
+    const visible = search.results
+      ? search.results.observations
+      : currentFilter
       // Project filter active: API handles filtering, ignore SSE items
-      return paginatedObservations;
-    }
-    // No filter: merge SSE + paginated, deduplicate by ID
-    return mergeAndDeduplicateByProject(observations, paginatedObservations);
-  }, [observations, paginatedObservations, currentFilter]);
+      ? paginatedObservations
+      // No filter: merge SSE + paginated, deduplicate by ID
+      : mergeAndDeduplicateByProject(observations, paginatedObservations);
+    return visible
+      .filter(o => !removedObservationIds.has(o.id))
+      .map(o => pinOverrides.has(o.id) ? { ...o, pinned: pinOverrides.get(o.id) ? 1 : 0 } : o);
+  }, [observations, paginatedObservations, removedObservationIds, pinOverrides, currentFilter, search.results]);
 
   const allSummaries = useMemo(() => {
+    if (search.results) {
+      return search.results.summaries;
+    }
     if (currentFilter) {
       return paginatedSummaries;
     }
     return mergeAndDeduplicateByProject(summaries, paginatedSummaries);
-  }, [summaries, paginatedSummaries, currentFilter]);
+  }, [summaries, paginatedSummaries, currentFilter, search.results]);
 
   const allPrompts = useMemo(() => {
+    if (search.results) {
+      return search.results.prompts;
+    }
     if (currentFilter) {
       return paginatedPrompts;
     }
     return mergeAndDeduplicateByProject(prompts, paginatedPrompts);
-  }, [prompts, paginatedPrompts, currentFilter]);
+  }, [prompts, paginatedPrompts, currentFilter, search.results]);
 
   // Toggle context preview modal
   const toggleContextPreview = useCallback(() => {
@@ -83,6 +105,12 @@ export function App() {
     }
   }, [currentFilter, pagination.observations, pagination.summaries, pagination.prompts]);
 
+  // Running a saved search shows its matches and clears its badge count
+  const runSavedSearch = useCallback((savedSearch: SavedSearch) => {
+    savedSearches.markSeen(savedSearch.id);
+    search.search(savedSearch.query);
+  }, [savedSearches.markSeen, search.search]);
+
   // Reset paginated data and load first page when filter changes
   useEffect(() => {
     setPaginatedObservations([]);
@@ -104,6 +132,19 @@ export function App() {
         themePreference={preference}
         onThemeChange={setThemePreference}
         onContextPreviewToggle={toggleContextPreview}
+        searchQuery={search.query}
+        searchError={search.error}
+        isSearching={search.isSearching}
+        onSearch={search.search}
+        onSearchClear={search.clear}
+        savedSearches={savedSearches.savedSearches}
+        savedSearchUnseen={savedSearches.unseenCounts}
+        savedSearchTotalUnseen={savedSearches.totalUnseen}
+        savedSearchError={savedSearches.error}
+        onSavedSearchesOpen={savedSearches.refresh}
+        onSavedSearchRun={runSavedSearch}
+        onSavedSearchSave={savedSearches.save}
+        onSavedSearchDelete={savedSearches.remove}
       />
 
       <Feed
@@ -111,10 +152,37 @@ export function App() {
         summaries={allSummaries}
         prompts={allPrompts}
         onLoadMore={handleLoadMore}
-        isLoading={pagination.observations.isLoading || pagination.summaries.isLoading || pagination.prompts.isLoading}
-        hasMore={pagination.observations.hasMore || pagination.summaries.hasMore || pagination.prompts.hasMore}
+        isLoading={search.results ? search.isSearching : pagination.observations.isLoading || pagination.summaries.isLoading || pagination.prompts.isLoading}
+        hasMore={!search.results && (pagination.observations.hasMore || pagination.summaries.hasMore || pagination.prompts.hasMore)}
+        mergeSelection={merge.selection}
+        onToggleMerge={merge.toggleSelection}
+        onTogglePin={togglePin}
+        header={search.results?.facets && (
+          <SearchFacetsPanel facets={search.results.facets} onNarrow={search.narrow} />
+        )}
       />
 
+      {merge.selection.length > 0 && (
+        <div className="merge-bar">
+          <span>
+            {merge.selection.length < 2
+              ? `#${merge.selection[0]} selected as canonical, select duplicates to merge into it`
+              : `Merge ${merge.selection.slice(1).map(id => `#${id}`).join(', ')} into #${merge.selection[0]}`}
+          </span>
+          {merge.error && <span className="merge-bar-error">{merge.error}</span>}
+          <button
+            className="view-mode-toggle active"
+            onClick={merge.mergeSelection}
+            disabled={merge.selection.length < 2 || merge.isMerging}
+          >
+            {merge.isMerging ? 'merging...' : 'merge'}
+          </button>
+          <button className="view-mode-toggle" onClick={merge.clearSelection}>
+            cancel
+          </button>
+        </div>
+      )}
+
       <ContextSettingsModal
         isOpen={contextPreviewOpen}
         onClose={toggleContextPreview}
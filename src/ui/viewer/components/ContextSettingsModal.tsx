@@ -320,6 +320,44 @@ export function ContextSettingsModal({
                   onChange={(e) => updateSetting('CLAUDE_MEM_CONTEXT_SESSION_COUNT', e.target.value)}
                 />
               </FormField>
+              <FormField
+                label="Selection"
+                tooltip="Most recent observations, or highest scoring by type, age and retrievals"
+              >
+                <select
+                  value={formState.CLAUDE_MEM_CONTEXT_SELECTION || 'recent'}
+                  onChange={(e) => updateSetting('CLAUDE_MEM_CONTEXT_SELECTION', e.target.value)}
+                >
+                  <option value="recent">Most recent</option>
+                  <option value="relevance">Relevance</option>
+                </select>
+              </FormField>
+              {formState.CLAUDE_MEM_CONTEXT_SELECTION === 'relevance' && (
+                <FormField
+                  label="Half-life (days)"
+                  tooltip="Age at which an observation's recency weight halves (1-365)"
+                >
+                  <input
+                    type="number"
+                    min="1"
+                    max="365"
+                    value={formState.CLAUDE_MEM_CONTEXT_DECAY_HALF_LIFE_DAYS || '14'}
+                    onChange={(e) => updateSetting('CLAUDE_MEM_CONTEXT_DECAY_HALF_LIFE_DAYS', e.target.value)}
+                  />
+                </FormField>
+              )}
+              <FormField
+                label="Token budget"
+                tooltip="Pack pinned, summary, full observations, index lines and previous message into this many tokens (0 = use counts, or 500-100000)"
+              >
+                <input
+                  type="number"
+                  min="0"
+                  max="100000"
+                  value={formState.CLAUDE_MEM_CONTEXT_TOKEN_BUDGET || '0'}
+                  onChange={(e) => updateSetting('CLAUDE_MEM_CONTEXT_TOKEN_BUDGET', e.target.value)}
+                />
+              </FormField>
             </CollapsibleSection>
 
             {/* Section 2: Filters */}
@@ -406,7 +444,48 @@ export function ContextSettingsModal({
               </div>
             </CollapsibleSection>
 
-            {/* Section 4: Advanced */}
+            {/* Section 4: Prompt Retrieval */}
+            <CollapsibleSection
+              title="Prompt Retrieval"
+              description="Inject relevant memories on each prompt"
+              defaultOpen={false}
+            >
+              <div className="toggle-group">
+                <ToggleSwitch
+                  id="prompt-context-enabled"
+                  label="Search on every prompt"
+                  description="Add matching observations when you submit a prompt"
+                  checked={formState.CLAUDE_MEM_PROMPT_CONTEXT_ENABLED === 'true'}
+                  onChange={() => toggleBoolean('CLAUDE_MEM_PROMPT_CONTEXT_ENABLED')}
+                />
+              </div>
+              <FormField
+                label="Max observations"
+                tooltip="Most observations injected per prompt (1-20)"
+              >
+                <input
+                  type="number"
+                  min="1"
+                  max="20"
+                  value={formState.CLAUDE_MEM_PROMPT_CONTEXT_LIMIT || '3'}
+                  onChange={(e) => updateSetting('CLAUDE_MEM_PROMPT_CONTEXT_LIMIT', e.target.value)}
+                />
+              </FormField>
+              <FormField
+                label="Token budget"
+                tooltip="Estimated token cap for prompt-time context, separate from session start (100-20000)"
+              >
+                <input
+                  type="number"
+                  min="100"
+                  max="20000"
+                  value={formState.CLAUDE_MEM_PROMPT_CONTEXT_TOKEN_BUDGET || '800'}
+                  onChange={(e) => updateSetting('CLAUDE_MEM_PROMPT_CONTEXT_TOKEN_BUDGET', e.target.value)}
+                />
+              </FormField>
+            </CollapsibleSection>
+
+            {/* Section 5: Advanced */}
             <CollapsibleSection
               title="Advanced"
               description="AI provider and model selection"
@@ -424,6 +503,7 @@ export function ContextSettingsModal({
                   <option value="claude">Claude (uses your Claude CLI login)</option>
                   <option value="gemini">Gemini (uses API key)</option>
                   <option value="openrouter">OpenRouter (multi-model)</option>
+                  <option value="openai-compatible">OpenAI-compatible (self-hosted)</option>
                 </select>
               </FormField>
 
@@ -530,6 +610,55 @@ export function ContextSettingsModal({
                 </>
               )}
 
+              {formState.CLAUDE_MEM_PROVIDER === 'openai-compatible' && (
+                <>
+                  <FormField
+                    label="Base URL"
+                    tooltip="Server base URL; /chat/completions is appended (Ollama, vLLM, llama.cpp server, LM Studio)"
+                  >
+                    <input
+                      type="text"
+                      value={formState.CLAUDE_MEM_OPENAI_COMPATIBLE_BASE_URL || ''}
+                      onChange={(e) => updateSetting('CLAUDE_MEM_OPENAI_COMPATIBLE_BASE_URL', e.target.value)}
+                      placeholder="http://localhost:11434/v1"
+                    />
+                  </FormField>
+                  <FormField
+                    label="Model"
+                    tooltip="Model name as the server knows it"
+                  >
+                    <input
+                      type="text"
+                      value={formState.CLAUDE_MEM_OPENAI_COMPATIBLE_MODEL || ''}
+                      onChange={(e) => updateSetting('CLAUDE_MEM_OPENAI_COMPATIBLE_MODEL', e.target.value)}
+                      placeholder="e.g., qwen2.5-coder:14b"
+                    />
+                  </FormField>
+                  <FormField
+                    label="API Key (Optional)"
+                    tooltip="Sent as a Bearer token; most self-hosted servers don't need one"
+                  >
+                    <input
+                      type="password"
+                      value={formState.CLAUDE_MEM_OPENAI_COMPATIBLE_API_KEY || ''}
+                      onChange={(e) => updateSetting('CLAUDE_MEM_OPENAI_COMPATIBLE_API_KEY', e.target.value)}
+                      placeholder="Enter API key..."
+                    />
+                  </FormField>
+                  <FormField
+                    label="Extra Headers (Optional)"
+                    tooltip="JSON object of additional request headers, e.g. for an auth proxy"
+                  >
+                    <input
+                      type="text"
+                      value={formState.CLAUDE_MEM_OPENAI_COMPATIBLE_HEADERS || '{}'}
+                      onChange={(e) => updateSetting('CLAUDE_MEM_OPENAI_COMPATIBLE_HEADERS', e.target.value)}
+                      placeholder='{"X-Api-Team": "platform"}'
+                    />
+                  </FormField>
+                </>
+              )}
+
               <FormField
                 label="Worker Port"
                 tooltip="Port for the background worker service"
@@ -13,9 +13,14 @@ interface FeedProps {
   onLoadMore: () => void;
   isLoading: boolean;
   hasMore: boolean;
+  mergeSelection?: number[];
+  onToggleMerge?: (id: number) => void;
+  onTogglePin?: (observation: Observation) => void;
+  /** Rendered above the items, e.g. search facets */
+  header?: React.ReactNode;
 }
 
-export function Feed({ observations, summaries, prompts, onLoadMore, isLoading, hasMore }: FeedProps) {
+export function Feed({ observations, summaries, prompts, onLoadMore, isLoading, hasMore, mergeSelection = [], onToggleMerge, onTogglePin, header }: FeedProps) {
   const loadMoreRef = useRef<HTMLDivElement>(null);
   const feedRef = useRef<HTMLDivElement>(null);
   const onLoadMoreRef = useRef(onLoadMore);
@@ -64,10 +69,19 @@ export function Feed({ observations, summaries, prompts, onLoadMore, isLoading,
     <div className="feed" ref={feedRef}>
       <ScrollToTop targetRef={feedRef} />
       <div className="feed-content">
+        {header}
         {items.map(item => {
           const key = `${item.itemType}-${item.id}`;
           if (item.itemType === 'observation') {
-            return <ObservationCard key={key} observation={item} />;
+            return (
+              <ObservationCard
+                key={key}
+                observation={item}
+                mergeSelectionIndex={mergeSelection.indexOf(item.id)}
+                onToggleMerge={onToggleMerge}
+                onTogglePin={onTogglePin}
+              />
+            );
           } else if (item.itemType === 'summary') {
             return <SummaryCard key={key} summary={item} />;
           } else {
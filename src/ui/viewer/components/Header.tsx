@@ -2,6 +2,9 @@ import React from 'react';
 import { ThemeToggle } from './ThemeToggle';
 import { ThemePreference } from '../hooks/useTheme';
 import { GitHubStarsButton } from './GitHubStarsButton';
+import { SearchBar } from './SearchBar';
+import { SavedSearchesMenu } from './SavedSearchesMenu';
+import { SavedSearch } from '../types';
 import { useSpinningFavicon } from '../hooks/useSpinningFavicon';
 
 interface HeaderProps {
@@ -14,6 +17,19 @@ interface HeaderProps {
   themePreference: ThemePreference;
   onThemeChange: (theme: ThemePreference) => void;
   onContextPreviewToggle: () => void;
+  searchQuery: string;
+  searchError: string;
+  isSearching: boolean;
+  onSearch: (query: string) => void;
+  onSearchClear: () => void;
+  savedSearches: SavedSearch[];
+  savedSearchUnseen: Map<number, number>;
+  savedSearchTotalUnseen: number;
+  savedSearchError: string;
+  onSavedSearchesOpen: () => void;
+  onSavedSearchRun: (savedSearch: SavedSearch) => void;
+  onSavedSearchSave: (name: string, query: string) => void;
+  onSavedSearchDelete: (id: number) => void;
 }
 
 export function Header({
@@ -25,7 +41,20 @@ export function Header({
   queueDepth,
   themePreference,
   onThemeChange,
-  onContextPreviewToggle
+  onContextPreviewToggle,
+  searchQuery,
+  searchError,
+  isSearching,
+  onSearch,
+  onSearchClear,
+  savedSearches,
+  savedSearchUnseen,
+  savedSearchTotalUnseen,
+  savedSearchError,
+  onSavedSearchesOpen,
+  onSavedSearchRun,
+  onSavedSearchSave,
+  onSavedSearchDelete
 }: HeaderProps) {
   useSpinningFavicon(isProcessing);
 
@@ -78,6 +107,24 @@ export function Header({
           </svg>
         </a>
         <GitHubStarsButton username="thedotmack" repo="claude-mem" />
+        <SearchBar
+          query={searchQuery}
+          error={searchError}
+          isSearching={isSearching}
+          onSearch={onSearch}
+          onClear={onSearchClear}
+        />
+        <SavedSearchesMenu
+          savedSearches={savedSearches}
+          unseenCounts={savedSearchUnseen}
+          totalUnseen={savedSearchTotalUnseen}
+          currentQuery={searchQuery}
+          error={savedSearchError}
+          onOpen={onSavedSearchesOpen}
+          onRun={onSavedSearchRun}
+          onSave={onSavedSearchSave}
+          onDelete={onSavedSearchDelete}
+        />
         <select
           value={currentFilter}
           onChange={e => onFilterChange(e.target.value)}
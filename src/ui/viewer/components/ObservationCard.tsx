@@ -4,6 +4,9 @@ import { formatDate } from '../utils/formatters';
 
 interface ObservationCardProps {
   observation: Observation;
+  mergeSelectionIndex?: number;  // Position in the merge selection (0 = canonical), -1 when not selected
+  onToggleMerge?: (id: number) => void;
+  onTogglePin?: (observation: Observation) => void;
 }
 
 // Helper to strip project root from file paths
@@ -30,10 +33,11 @@ function stripProjectRoot(filePath: string): string {
   return parts.length > 3 ? parts.slice(-3).join('/') : filePath;
 }
 
-export function ObservationCard({ observation }: ObservationCardProps) {
+export function ObservationCard({ observation, mergeSelectionIndex = -1, onToggleMerge, onTogglePin }: ObservationCardProps) {
   const [showFacts, setShowFacts] = useState(false);
   const [showNarrative, setShowNarrative] = useState(false);
   const date = formatDate(observation.created_at_epoch);
+  const isPinned = !!observation.pinned;
 
   // Parse JSON fields
   const facts = observation.facts ? JSON.parse(observation.facts) : [];
@@ -45,7 +49,7 @@ export function ObservationCard({ observation }: ObservationCardProps) {
   const hasFactsContent = facts.length > 0 || concepts.length > 0 || filesRead.length > 0 || filesModified.length > 0;
 
   return (
-    <div className="card">
+    <div className={`card ${mergeSelectionIndex >= 0 ? 'merge-selected' : ''} ${isPinned ? 'pinned' : ''}`}>
       {/* Header with toggle buttons in top right */}
       <div className="card-header">
         <div className="card-header-left">
@@ -87,6 +91,32 @@ export function ObservationCard({ observation }: ObservationCardProps) {
               <span>narrative</span>
             </button>
           )}
+          {onToggleMerge && (
+            <button
+              className={`view-mode-toggle ${mergeSelectionIndex >= 0 ? 'active' : ''}`}
+              onClick={() => onToggleMerge(observation.id)}
+              title={mergeSelectionIndex === 0 ? 'Canonical observation: others are merged into this one' : 'Select for merging duplicates'}
+            >
+              <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                <circle cx="18" cy="18" r="3"></circle>
+                <circle cx="6" cy="6" r="3"></circle>
+                <path d="M6 21V9a9 9 0 0 0 9 9"></path>
+              </svg>
+              <span>{mergeSelectionIndex === 0 ? 'keep' : 'merge'}</span>
+            </button>
+          )}
+          {onTogglePin && (
+            <button
+              className={`view-mode-toggle ${isPinned ? 'active' : ''}`}
+              onClick={() => onTogglePin(observation)}
+              title={isPinned ? 'Pinned: always injected into context' : 'Pin to always inject into context'}
+            >
+              <svg width="12" height="12" viewBox="0 0 24 24" fill={isPinned ? 'currentColor' : 'none'} stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"></polygon>
+              </svg>
+              <span>{isPinned ? 'pinned' : 'pin'}</span>
+            </button>
+          )}
         </div>
       </div>
 
@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import { SavedSearch } from '../types';
+
+interface SavedSearchesMenuProps {
+  savedSearches: SavedSearch[];
+  unseenCounts: Map<number, number>;
+  totalUnseen: number;
+  currentQuery: string;
+  error: string;
+  onOpen: () => void;
+  onRun: (savedSearch: SavedSearch) => void;
+  onSave: (name: string, query: string) => void;
+  onDelete: (id: number) => void;
+}
+
+/**
+ * Header badge for saved searches
+ * Shows the number of new observations matching saved searches since they were last
+ * opened; the dropdown runs, saves and deletes saved searches.
+ */
+export function SavedSearchesMenu({
+  savedSearches,
+  unseenCounts,
+  totalUnseen,
+  currentQuery,
+  error,
+  onOpen,
+  onRun,
+  onSave,
+  onDelete
+}: SavedSearchesMenuProps) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const toggle = () => {
+    if (!isOpen) onOpen();
+    setIsOpen(!isOpen);
+  };
+
+  const saveCurrent = () => {
+    const name = prompt('Name this saved search', currentQuery);
+    if (name && name.trim()) onSave(name.trim(), currentQuery);
+  };
+
+  return (
+    <div className="saved-searches">
+      <button
+        className="settings-btn"
+        onClick={toggle}
+        title={totalUnseen > 0 ? `${totalUnseen} new matches for saved searches` : 'Saved searches'}
+      >
+        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+          <path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z"></path>
+        </svg>
+      </button>
+      {totalUnseen > 0 && (
+        <div className="queue-bubble saved-search-badge">
+          {totalUnseen}
+        </div>
+      )}
+      {isOpen && (
+        <div className="saved-searches-menu">
+          {savedSearches.length === 0 && (
+            <div className="saved-searches-empty">No saved searches</div>
+          )}
+          {savedSearches.map(savedSearch => (
+            <div key={savedSearch.id} className="saved-search-item">
+              <button
+                className="saved-search-run"
+                title={savedSearch.query}
+                onClick={() => {
+                  setIsOpen(false);
+                  onRun(savedSearch);
+                }}
+              >
+                {savedSearch.name}
+                {unseenCounts.has(savedSearch.id) && (
+                  <span className="facet-count">+{unseenCounts.get(savedSearch.id)}</span>
+                )}
+              </button>
+              <button
+                className="saved-search-delete"
+                title="Delete saved search"
+                onClick={() => onDelete(savedSearch.id)}
+              >
+                ×
+              </button>
+            </div>
+          ))}
+          {currentQuery && (
+            <button className="saved-search-save" onClick={saveCurrent}>
+              Save current search
+            </button>
+          )}
+          {error && <div className="search-error saved-search-error">{error}</div>}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,44 @@
+import React, { useState, useEffect } from 'react';
+
+interface SearchBarProps {
+  query: string;
+  error: string;
+  isSearching: boolean;
+  onSearch: (query: string) => void;
+  onClear: () => void;
+}
+
+const PLACEHOLDER = 'Search: type:bugfix file:src/** "race condition"';
+
+export function SearchBar({ query, error, isSearching, onSearch, onClear }: SearchBarProps) {
+  const [draft, setDraft] = useState(query);
+
+  // Follow searches started elsewhere (e.g. cleared by the parent)
+  useEffect(() => {
+    setDraft(query);
+  }, [query]);
+
+  return (
+    <form
+      className="search-bar"
+      onSubmit={e => {
+        e.preventDefault();
+        onSearch(draft);
+      }}
+    >
+      <input
+        type="search"
+        value={draft}
+        placeholder={PLACEHOLDER}
+        title="Filters: type: file: concept: project: after: before: in: sort: - press Enter to search"
+        className={error ? 'search-input invalid' : 'search-input'}
+        onChange={e => setDraft(e.target.value)}
+        onKeyDown={e => {
+          if (e.key === 'Escape') onClear();
+        }}
+      />
+      {isSearching && <div className="spinner search-spinner"></div>}
+      {error && <div className="search-error">{error}</div>}
+    </form>
+  );
+}
@@ -0,0 +1,61 @@
+import React from 'react';
+import { FacetCount, SearchFacets } from '../types';
+
+interface SearchFacetsPanelProps {
+  facets: SearchFacets;
+  onNarrow: (filter: string) => void;
+}
+
+const MAX_CHIPS = 8;
+
+function FacetGroup({ label, counts, onNarrow }: { label: string; counts: FacetCount[]; onNarrow: (filter: string) => void }) {
+  if (counts.length === 0) return null;
+
+  return (
+    <div className="facet-group">
+      <span className="facet-label">{label}</span>
+      {counts.slice(0, MAX_CHIPS).map(facet => (
+        <button key={facet.value} className="facet-chip" title={facet.filter} onClick={() => onNarrow(facet.filter)}>
+          {facet.value} <span className="facet-count">{facet.count}</span>
+        </button>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Facet counts over all matches of the active search
+ * Clicking a value adds its filter to the query.
+ */
+export function SearchFacetsPanel({ facets, onNarrow }: SearchFacetsPanelProps) {
+  const maxDateCount = Math.max(1, ...facets.dates.counts.map(facet => facet.count));
+
+  return (
+    <div className="search-facets">
+      <div className="facet-summary">
+        {facets.total}{facets.truncated ? '+' : ''} matches
+      </div>
+      <FacetGroup label="Type" counts={facets.types} onNarrow={onNarrow} />
+      <FacetGroup label="Concept" counts={facets.concepts} onNarrow={onNarrow} />
+      <FacetGroup label="Project" counts={facets.projects} onNarrow={onNarrow} />
+      <FacetGroup label="Directory" counts={facets.directories} onNarrow={onNarrow} />
+      {facets.dates.counts.length > 1 && (
+        <div className="facet-group">
+          <span className="facet-label">By {facets.dates.bucket}</span>
+          <div className="facet-histogram">
+            {facets.dates.counts.map(facet => (
+              <button
+                key={facet.value}
+                className="facet-bar"
+                title={`${facet.value}: ${facet.count}`}
+                disabled={facet.count === 0}
+                onClick={() => onNarrow(facet.filter)}
+                style={{ height: `${Math.max(2, Math.round((facet.count / maxDateCount) * 32))}px` }}
+              />
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
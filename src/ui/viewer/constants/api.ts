@@ -4,8 +4,12 @@
  */
 export const API_ENDPOINTS = {
   OBSERVATIONS: '/api/observations',
+  OBSERVATION: '/api/observation',
+  OBSERVATIONS_MERGE: '/api/observations/merge',
   SUMMARIES: '/api/summaries',
   PROMPTS: '/api/prompts',
+  SEARCH: '/api/search',
+  SAVED_SEARCHES: '/api/saved-searches',
   SETTINGS: '/api/settings',
   STATS: '/api/stats',
   PROCESSING_STATUS: '/api/processing-status',
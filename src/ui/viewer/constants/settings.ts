@@ -16,6 +16,10 @@ export const DEFAULT_SETTINGS = {
   CLAUDE_MEM_OPENROUTER_MODEL: 'xiaomi/mimo-v2-flash:free',
   CLAUDE_MEM_OPENROUTER_SITE_URL: '',
   CLAUDE_MEM_OPENROUTER_APP_NAME: 'claude-mem',
+  CLAUDE_MEM_OPENAI_COMPATIBLE_BASE_URL: '',
+  CLAUDE_MEM_OPENAI_COMPATIBLE_MODEL: '',
+  CLAUDE_MEM_OPENAI_COMPATIBLE_API_KEY: '',
+  CLAUDE_MEM_OPENAI_COMPATIBLE_HEADERS: '{}',
   CLAUDE_MEM_GEMINI_RATE_LIMITING_ENABLED: 'true',
 
   // Token Economics (all true for backwards compatibility)
@@ -32,11 +36,19 @@ export const DEFAULT_SETTINGS = {
   CLAUDE_MEM_CONTEXT_FULL_COUNT: '5',
   CLAUDE_MEM_CONTEXT_FULL_FIELD: 'narrative',
   CLAUDE_MEM_CONTEXT_SESSION_COUNT: '10',
+  CLAUDE_MEM_CONTEXT_SELECTION: 'recent',
+  CLAUDE_MEM_CONTEXT_DECAY_HALF_LIFE_DAYS: '14',
+  CLAUDE_MEM_CONTEXT_TOKEN_BUDGET: '0',
 
   // Feature Toggles
   CLAUDE_MEM_CONTEXT_SHOW_LAST_SUMMARY: 'true',
   CLAUDE_MEM_CONTEXT_SHOW_LAST_MESSAGE: 'false',
 
+  // Prompt-time Retrieval
+  CLAUDE_MEM_PROMPT_CONTEXT_ENABLED: 'false',
+  CLAUDE_MEM_PROMPT_CONTEXT_LIMIT: '3',
+  CLAUDE_MEM_PROMPT_CONTEXT_TOKEN_BUDGET: '800',
+
   // Exclusion Settings
   CLAUDE_MEM_EXCLUDED_PROJECTS: '',
   CLAUDE_MEM_FOLDER_MD_EXCLUDE: '[]',
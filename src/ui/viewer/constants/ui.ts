@@ -8,4 +8,7 @@ export const UI = {
 
   /** Intersection observer threshold (0-1, percentage of visibility needed to trigger) */
   LOAD_MORE_THRESHOLD: 0.1,
+
+  /** Maximum results shown for a search */
+  SEARCH_RESULT_LIMIT: 100,
 } as const;
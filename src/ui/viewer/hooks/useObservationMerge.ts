@@ -0,0 +1,53 @@
+import { useState, useCallback } from 'react';
+import { API_ENDPOINTS } from '../constants/api';
+
+/**
+ * Selection state for merging duplicate observations
+ * The first selected observation is the canonical one; the rest are merged into it.
+ * The feed updates from the observations_merged SSE event, not from the response.
+ */
+export function useObservationMerge() {
+  const [selection, setSelection] = useState<number[]>([]);
+  const [isMerging, setIsMerging] = useState(false);
+  const [error, setError] = useState('');
+
+  const toggleSelection = useCallback((id: number) => {
+    setError('');
+    setSelection(prev => prev.includes(id) ? prev.filter(selected => selected !== id) : [...prev, id]);
+  }, []);
+
+  const clearSelection = useCallback(() => {
+    setError('');
+    setSelection([]);
+  }, []);
+
+  const mergeSelection = useCallback(async () => {
+    if (selection.length < 2) return;
+
+    const [canonicalId, ...mergeIds] = selection;
+    setIsMerging(true);
+    setError('');
+
+    try {
+      const response = await fetch(API_ENDPOINTS.OBSERVATIONS_MERGE, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ canonical_id: canonicalId, merge_ids: mergeIds })
+      });
+
+      const result = await response.json() as { error?: string };
+      if (!response.ok) {
+        setError(result.error || `Merge failed (${response.status})`);
+        return;
+      }
+
+      setSelection([]);
+    } catch (err) {
+      setError(`Merge failed: ${err instanceof Error ? err.message : 'Unknown error'}`);
+    } finally {
+      setIsMerging(false);
+    }
+  }, [selection]);
+
+  return { selection, toggleSelection, clearSelection, mergeSelection, isMerging, error };
+}
@@ -0,0 +1,38 @@
+import { useState, useCallback } from 'react';
+import { Observation } from '../types';
+import { API_ENDPOINTS } from '../constants/api';
+
+/**
+ * Pin state for observations in the feed
+ * Toggles are applied optimistically as overrides on top of the loaded records
+ * and reverted if the request fails.
+ */
+export function useObservationPin() {
+  const [pinOverrides, setPinOverrides] = useState<Map<number, boolean>>(new Map());
+
+  const setOverride = useCallback((id: number, pinned: boolean) => {
+    setPinOverrides(prev => new Map(prev).set(id, pinned));
+  }, []);
+
+  const togglePin = useCallback(async (observation: Observation) => {
+    const wasPinned = pinOverrides.get(observation.id) ?? !!observation.pinned;
+    setOverride(observation.id, !wasPinned);
+
+    try {
+      const response = await fetch(`${API_ENDPOINTS.OBSERVATION}/${observation.id}/pin`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ pinned: !wasPinned })
+      });
+
+      if (!response.ok) {
+        throw new Error(`Pin failed (${response.status})`);
+      }
+    } catch (error) {
+      console.error('Failed to toggle pin:', error);
+      setOverride(observation.id, wasPinned);
+    }
+  }, [pinOverrides, setOverride]);
+
+  return { pinOverrides, togglePin };
+}
@@ -13,6 +13,8 @@ type DataItem = Observation | Summary | UserPrompt;
 
 /**
  * Generic pagination hook for observations, summaries, and prompts
+ * Pages by keyset cursor, so observations arriving over SSE while scrolling
+ * never shift later pages (no skipped or duplicated items)
  */
 function usePaginationFor(endpoint: string, dataType: DataType, currentFilter: string) {
   const [state, setState] = useState<PaginationState>({
@@ -20,21 +22,22 @@ function usePaginationFor(endpoint: string, dataType: DataType, currentFilter: s
     hasMore: true
   });
 
-  // Track offset and filter in refs to handle synchronous resets
-  const offsetRef = useRef(0);
+  // Track cursor and filter in refs to handle synchronous resets
+  // null cursor = first page
+  const cursorRef = useRef<string | null>(null);
   const lastFilterRef = useRef(currentFilter);
   const stateRef = useRef(state);
 
   /**
    * Load more items from the API
-   * Automatically resets offset to 0 if filter has changed
+   * Automatically restarts from the first page if filter has changed
    */
   const loadMore = useCallback(async (): Promise<DataItem[]> => {
     // Check if filter changed - if so, reset pagination synchronously
     const filterChanged = lastFilterRef.current !== currentFilter;
 
     if (filterChanged) {
-      offsetRef.current = 0;
+      cursorRef.current = null;
       lastFilterRef.current = currentFilter;
 
       // Reset state both in React state and ref synchronously
@@ -51,12 +54,15 @@ function usePaginationFor(endpoint: string, dataType: DataType, currentFilter: s
 
     setState(prev => ({ ...prev, isLoading: true }));
 
-    // Build query params using current offset from ref
+    // Build query params using current cursor from ref
     const params = new URLSearchParams({
-      offset: offsetRef.current.toString(),
       limit: UI.PAGINATION_PAGE_SIZE.toString()
     });
 
+    if (cursorRef.current) {
+      params.append('cursor', cursorRef.current);
+    }
+
     // Add project filter if present
     if (currentFilter) {
       params.append('project', currentFilter);
@@ -68,7 +74,7 @@ function usePaginationFor(endpoint: string, dataType: DataType, currentFilter: s
       throw new Error(`Failed to load ${dataType}: ${response.statusText}`);
     }
 
-    const data = await response.json() as { items: DataItem[], hasMore: boolean };
+    const data = await response.json() as { items: DataItem[], hasMore: boolean, nextCursor: string | null };
 
     setState(prev => ({
       ...prev,
@@ -76,8 +82,8 @@ function usePaginationFor(endpoint: string, dataType: DataType, currentFilter: s
       hasMore: data.hasMore
     }));
 
-    // Increment offset after successful load
-    offsetRef.current += UI.PAGINATION_PAGE_SIZE;
+    // Continue after the last item loaded
+    cursorRef.current = data.nextCursor;
 
     return data.items;
   }, [currentFilter, endpoint, dataType]);
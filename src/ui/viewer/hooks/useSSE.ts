@@ -1,5 +1,5 @@
 import { useState, useEffect, useRef } from 'react';
-import { Observation, Summary, UserPrompt, StreamEvent } from '../types';
+import { Observation, Summary, UserPrompt, StreamEvent, SavedSearchMatch } from '../types';
 import { API_ENDPOINTS } from '../constants/api';
 import { TIMING } from '../constants/timing';
 
@@ -8,9 +8,11 @@ export function useSSE() {
   const [summaries, setSummaries] = useState<Summary[]>([]);
   const [prompts, setPrompts] = useState<UserPrompt[]>([]);
   const [projects, setProjects] = useState<string[]>([]);
+  const [removedObservationIds, setRemovedObservationIds] = useState<Set<number>>(new Set());
   const [isConnected, setIsConnected] = useState(false);
   const [isProcessing, setIsProcessing] = useState(false);
   const [queueDepth, setQueueDepth] = useState(0);
+  const [savedSearchMatches, setSavedSearchMatches] = useState<SavedSearchMatch[]>([]);
   const eventSourceRef = useRef<EventSource | null>(null);
   const reconnectTimeoutRef = useRef<NodeJS.Timeout>();
 
@@ -81,6 +83,31 @@ export function useSSE() {
             }
             break;
 
+          case 'observations_merged':
+            if (data.observation) {
+              const canonical = data.observation;
+              const mergedIds = data.merged_ids || [];
+              console.log('[SSE] Observations merged:', canonical.id, mergedIds);
+              // Live copy of the canonical record takes precedence over the paginated one
+              setObservations(prev => [canonical, ...prev.filter(o => o.id !== canonical.id && !mergedIds.includes(o.id))]);
+              if (mergedIds.length > 0) {
+                setRemovedObservationIds(prev => new Set([...prev, ...mergedIds]));
+              }
+            }
+            break;
+
+          case 'saved_search_match':
+            if (data.saved_search && data.observation) {
+              const match: SavedSearchMatch = {
+                savedSearchId: data.saved_search.id,
+                observationId: data.observation.id,
+                title: data.observation.title
+              };
+              console.log('[SSE] Saved search match:', data.saved_search.name, match.observationId);
+              setSavedSearchMatches(prev => [match, ...prev]);
+            }
+            break;
+
           case 'processing_status':
             if (typeof data.isProcessing === 'boolean') {
               console.log('[SSE] Processing status:', data.isProcessing, 'Queue depth:', data.queueDepth);
@@ -105,5 +132,5 @@ export function useSSE() {
     };
   }, []);
 
-  return { observations, summaries, prompts, projects, isProcessing, queueDepth, isConnected };
+  return { observations, summaries, prompts, projects, removedObservationIds, savedSearchMatches, isProcessing, queueDepth, isConnected };
 }
@@ -0,0 +1,87 @@
+import { useState, useCallback, useEffect, useMemo } from 'react';
+import { SavedSearch, SavedSearchMatch } from '../types';
+import { API_ENDPOINTS } from '../constants/api';
+
+/**
+ * Saved searches and their unseen live matches
+ * Matches arrive over SSE (newest first); a saved search's matches count as seen
+ * once it is opened. Unseen counts are per tab and reset on reload.
+ */
+export function useSavedSearches(matches: SavedSearchMatch[]) {
+  const [savedSearches, setSavedSearches] = useState<SavedSearch[]>([]);
+  const [seenCounts, setSeenCounts] = useState<Map<number, number>>(new Map());
+  const [error, setError] = useState('');
+
+  const refresh = useCallback(async () => {
+    try {
+      const response = await fetch(API_ENDPOINTS.SAVED_SEARCHES);
+      if (!response.ok) {
+        throw new Error(`Loading saved searches failed (${response.status})`);
+      }
+      const data = await response.json() as { savedSearches: SavedSearch[] };
+      setSavedSearches(data.savedSearches);
+    } catch (err) {
+      console.error('Failed to load saved searches:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const matchCounts = useMemo(() => {
+    const counts = new Map<number, number>();
+    for (const match of matches) {
+      counts.set(match.savedSearchId, (counts.get(match.savedSearchId) ?? 0) + 1);
+    }
+    return counts;
+  }, [matches]);
+
+  const unseenCounts = useMemo(() => {
+    const unseen = new Map<number, number>();
+    for (const [id, count] of matchCounts) {
+      const pending = count - (seenCounts.get(id) ?? 0);
+      if (pending > 0) unseen.set(id, pending);
+    }
+    return unseen;
+  }, [matchCounts, seenCounts]);
+
+  const totalUnseen = useMemo(
+    () => [...unseenCounts.values()].reduce((sum, count) => sum + count, 0),
+    [unseenCounts]
+  );
+
+  const markSeen = useCallback((id: number) => {
+    setSeenCounts(prev => new Map(prev).set(id, matchCounts.get(id) ?? 0));
+  }, [matchCounts]);
+
+  const save = useCallback(async (name: string, query: string) => {
+    setError('');
+    const response = await fetch(API_ENDPOINTS.SAVED_SEARCHES, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, query })
+    });
+    const data = await response.json() as SavedSearch & { error?: string };
+
+    if (!response.ok) {
+      setError(data.error || `Saving search failed (${response.status})`);
+      return;
+    }
+    setSavedSearches(prev => [...prev, data]);
+  }, []);
+
+  const remove = useCallback(async (id: number) => {
+    try {
+      const response = await fetch(`${API_ENDPOINTS.SAVED_SEARCHES}/${id}`, { method: 'DELETE' });
+      if (!response.ok) {
+        throw new Error(`Delete failed (${response.status})`);
+      }
+      setSavedSearches(prev => prev.filter(savedSearch => savedSearch.id !== id));
+    } catch (err) {
+      console.error('Failed to delete saved search:', err);
+    }
+  }, []);
+
+  return { savedSearches, unseenCounts, totalUnseen, error, refresh, markSeen, save, remove };
+}
@@ -0,0 +1,96 @@
+import { useState, useCallback, useEffect } from 'react';
+import { Observation, Summary, UserPrompt, SearchFacets } from '../types';
+import { API_ENDPOINTS } from '../constants/api';
+import { UI } from '../constants/ui';
+
+// Filters that may appear once in a query: narrowing by them replaces the current value
+const SINGLE_VALUE_FILTERS = ['project:', 'after:', 'before:'];
+
+export interface SearchResults {
+  observations: Observation[];
+  summaries: Summary[];
+  prompts: UserPrompt[];
+  facets: SearchFacets | null;
+}
+
+/**
+ * Search state for the feed
+ * Queries use the structured query language (type:bugfix file:src/** "phrase");
+ * parse errors from the worker are shown as-is. results is null when no search is active.
+ * Results include facets over all matches, for narrowing the search.
+ */
+export function useSearch(currentFilter: string) {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState<SearchResults | null>(null);
+  const [isSearching, setIsSearching] = useState(false);
+  const [error, setError] = useState('');
+
+  const search = useCallback(async (q: string) => {
+    setQuery(q);
+    setError('');
+    if (!q.trim()) {
+      setResults(null);
+      return;
+    }
+
+    setIsSearching(true);
+    try {
+      const params = new URLSearchParams({ q, format: 'json', limit: String(UI.SEARCH_RESULT_LIMIT), facets: 'true' });
+      if (currentFilter) {
+        params.set('project', currentFilter);
+      }
+
+      const response = await fetch(`${API_ENDPOINTS.SEARCH}?${params}`);
+      const data = await response.json() as {
+        observations?: Observation[];
+        sessions?: Summary[];
+        prompts?: UserPrompt[];
+        facets?: SearchFacets;
+        error?: string;
+      };
+
+      if (!response.ok) {
+        setError(data.error || `Search failed (${response.status})`);
+        return;
+      }
+
+      setResults({
+        observations: data.observations ?? [],
+        summaries: data.sessions ?? [],
+        prompts: data.prompts ?? [],
+        facets: data.facets ?? null
+      });
+    } catch (err) {
+      setError(`Search failed: ${err instanceof Error ? err.message : 'Unknown error'}`);
+    } finally {
+      setIsSearching(false);
+    }
+  }, [currentFilter]);
+
+  // Re-run an active search when the project filter changes
+  useEffect(() => {
+    if (query.trim()) {
+      search(query);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [currentFilter]);
+
+  /**
+   * Add a facet's filter to the active query
+   */
+  const narrow = useCallback((filter: string) => {
+    const replacedKeys = filter.split(' ')
+      .map(token => token.slice(0, token.indexOf(':') + 1))
+      .filter(key => SINGLE_VALUE_FILTERS.includes(key));
+    const kept = query.split(/\s+/).filter(token => token && !replacedKeys.some(key => token.startsWith(key)));
+    search([...kept, filter].join(' '));
+  }, [query, search]);
+
+  const clear = useCallback(() => {
+    setQuery('');
+    setError('');
+    setResults(null);
+  }, []);
+
+  return { query, results, isSearching, error, search, narrow, clear };
+}
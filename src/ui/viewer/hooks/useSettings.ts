@@ -32,6 +32,12 @@ export function useSettings() {
           CLAUDE_MEM_OPENROUTER_SITE_URL: data.CLAUDE_MEM_OPENROUTER_SITE_URL || DEFAULT_SETTINGS.CLAUDE_MEM_OPENROUTER_SITE_URL,
           CLAUDE_MEM_OPENROUTER_APP_NAME: data.CLAUDE_MEM_OPENROUTER_APP_NAME || DEFAULT_SETTINGS.CLAUDE_MEM_OPENROUTER_APP_NAME,
 
+          // OpenAI-compatible Configuration
+          CLAUDE_MEM_OPENAI_COMPATIBLE_BASE_URL: data.CLAUDE_MEM_OPENAI_COMPATIBLE_BASE_URL || DEFAULT_SETTINGS.CLAUDE_MEM_OPENAI_COMPATIBLE_BASE_URL,
+          CLAUDE_MEM_OPENAI_COMPATIBLE_MODEL: data.CLAUDE_MEM_OPENAI_COMPATIBLE_MODEL || DEFAULT_SETTINGS.CLAUDE_MEM_OPENAI_COMPATIBLE_MODEL,
+          CLAUDE_MEM_OPENAI_COMPATIBLE_API_KEY: data.CLAUDE_MEM_OPENAI_COMPATIBLE_API_KEY || DEFAULT_SETTINGS.CLAUDE_MEM_OPENAI_COMPATIBLE_API_KEY,
+          CLAUDE_MEM_OPENAI_COMPATIBLE_HEADERS: data.CLAUDE_MEM_OPENAI_COMPATIBLE_HEADERS || DEFAULT_SETTINGS.CLAUDE_MEM_OPENAI_COMPATIBLE_HEADERS,
+
           // Token Economics Display
           CLAUDE_MEM_CONTEXT_SHOW_READ_TOKENS: data.CLAUDE_MEM_CONTEXT_SHOW_READ_TOKENS || DEFAULT_SETTINGS.CLAUDE_MEM_CONTEXT_SHOW_READ_TOKENS,
           CLAUDE_MEM_CONTEXT_SHOW_WORK_TOKENS: data.CLAUDE_MEM_CONTEXT_SHOW_WORK_TOKENS || DEFAULT_SETTINGS.CLAUDE_MEM_CONTEXT_SHOW_WORK_TOKENS,
@@ -46,10 +52,18 @@ export function useSettings() {
           CLAUDE_MEM_CONTEXT_FULL_COUNT: data.CLAUDE_MEM_CONTEXT_FULL_COUNT || DEFAULT_SETTINGS.CLAUDE_MEM_CONTEXT_FULL_COUNT,
           CLAUDE_MEM_CONTEXT_FULL_FIELD: data.CLAUDE_MEM_CONTEXT_FULL_FIELD || DEFAULT_SETTINGS.CLAUDE_MEM_CONTEXT_FULL_FIELD,
           CLAUDE_MEM_CONTEXT_SESSION_COUNT: data.CLAUDE_MEM_CONTEXT_SESSION_COUNT || DEFAULT_SETTINGS.CLAUDE_MEM_CONTEXT_SESSION_COUNT,
+          CLAUDE_MEM_CONTEXT_SELECTION: data.CLAUDE_MEM_CONTEXT_SELECTION || DEFAULT_SETTINGS.CLAUDE_MEM_CONTEXT_SELECTION,
+          CLAUDE_MEM_CONTEXT_DECAY_HALF_LIFE_DAYS: data.CLAUDE_MEM_CONTEXT_DECAY_HALF_LIFE_DAYS || DEFAULT_SETTINGS.CLAUDE_MEM_CONTEXT_DECAY_HALF_LIFE_DAYS,
+          CLAUDE_MEM_CONTEXT_TOKEN_BUDGET: data.CLAUDE_MEM_CONTEXT_TOKEN_BUDGET || DEFAULT_SETTINGS.CLAUDE_MEM_CONTEXT_TOKEN_BUDGET,
 
           // Feature Toggles
           CLAUDE_MEM_CONTEXT_SHOW_LAST_SUMMARY: data.CLAUDE_MEM_CONTEXT_SHOW_LAST_SUMMARY || DEFAULT_SETTINGS.CLAUDE_MEM_CONTEXT_SHOW_LAST_SUMMARY,
           CLAUDE_MEM_CONTEXT_SHOW_LAST_MESSAGE: data.CLAUDE_MEM_CONTEXT_SHOW_LAST_MESSAGE || DEFAULT_SETTINGS.CLAUDE_MEM_CONTEXT_SHOW_LAST_MESSAGE,
+
+          // Prompt-time Retrieval
+          CLAUDE_MEM_PROMPT_CONTEXT_ENABLED: data.CLAUDE_MEM_PROMPT_CONTEXT_ENABLED || DEFAULT_SETTINGS.CLAUDE_MEM_PROMPT_CONTEXT_ENABLED,
+          CLAUDE_MEM_PROMPT_CONTEXT_LIMIT: data.CLAUDE_MEM_PROMPT_CONTEXT_LIMIT || DEFAULT_SETTINGS.CLAUDE_MEM_PROMPT_CONTEXT_LIMIT,
+          CLAUDE_MEM_PROMPT_CONTEXT_TOKEN_BUDGET: data.CLAUDE_MEM_PROMPT_CONTEXT_TOKEN_BUDGET || DEFAULT_SETTINGS.CLAUDE_MEM_PROMPT_CONTEXT_TOKEN_BUDGET,
         });
       })
       .catch(error => {
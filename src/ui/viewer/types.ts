@@ -12,6 +12,7 @@ export interface Observation {
   files_read: string | null;
   files_modified: string | null;
   prompt_number: number | null;
+  pinned?: number;
   created_at: string;
   created_at_epoch: number;
 }
@@ -42,8 +43,44 @@ export type FeedItem =
   | (Summary & { itemType: 'summary' })
   | (UserPrompt & { itemType: 'prompt' });
 
+export interface FacetCount {
+  value: string;
+  count: number;
+  filter: string;
+}
+
+export interface SearchFacets {
+  total: number;
+  truncated: boolean;
+  types: FacetCount[];
+  concepts: FacetCount[];
+  projects: FacetCount[];
+  directories: FacetCount[];
+  dates: {
+    bucket: 'day' | 'week' | 'month';
+    counts: FacetCount[];
+  };
+}
+
+export interface SavedSearch {
+  id: number;
+  name: string;
+  query: string;
+  created_at_epoch: number;
+  updated_at_epoch: number;
+  match_count: number;
+  last_match_at_epoch: number | null;
+  last_match_observation_id: number | null;
+}
+
+export interface SavedSearchMatch {
+  savedSearchId: number;
+  observationId: number;
+  title: string | null;
+}
+
 export interface StreamEvent {
-  type: 'initial_load' | 'new_observation' | 'new_summary' | 'new_prompt' | 'processing_status';
+  type: 'initial_load' | 'new_observation' | 'new_summary' | 'new_prompt' | 'processing_status' | 'observations_merged' | 'saved_search_match';
   observations?: Observation[];
   summaries?: Summary[];
   prompts?: UserPrompt[];
@@ -51,6 +88,8 @@ export interface StreamEvent {
   observation?: Observation;
   summary?: Summary;
   prompt?: UserPrompt;
+  merged_ids?: number[];
+  saved_search?: Pick<SavedSearch, 'id' | 'name' | 'query' | 'match_count'>;
   isProcessing?: boolean;
 }
 
@@ -61,7 +100,7 @@ export interface Settings {
   CLAUDE_MEM_WORKER_HOST: string;
 
   // AI Provider Configuration
-  CLAUDE_MEM_PROVIDER?: string;  // 'auto' | 'claude' | 'gemini' | 'openrouter'
+  CLAUDE_MEM_PROVIDER?: string;  // 'auto' | 'claude' | 'gemini' | 'openrouter' | 'openai-compatible'
   CLAUDE_MEM_GEMINI_API_KEY?: string;
   CLAUDE_MEM_GEMINI_MODEL?: string;  // 'gemini-2.5-flash-lite' | 'gemini-2.5-flash' | 'gemini-3-flash-preview'
   CLAUDE_MEM_GEMINI_RATE_LIMITING_ENABLED?: string;  // 'true' | 'false'
@@ -69,6 +108,10 @@ export interface Settings {
   CLAUDE_MEM_OPENROUTER_MODEL?: string;
   CLAUDE_MEM_OPENROUTER_SITE_URL?: string;
   CLAUDE_MEM_OPENROUTER_APP_NAME?: string;
+  CLAUDE_MEM_OPENAI_COMPATIBLE_BASE_URL?: string;
+  CLAUDE_MEM_OPENAI_COMPATIBLE_MODEL?: string;
+  CLAUDE_MEM_OPENAI_COMPATIBLE_API_KEY?: string;
+  CLAUDE_MEM_OPENAI_COMPATIBLE_HEADERS?: string;  // JSON object of extra request headers
 
   // Token Economics Display
   CLAUDE_MEM_CONTEXT_SHOW_READ_TOKENS?: string;
@@ -84,10 +127,18 @@ export interface Settings {
   CLAUDE_MEM_CONTEXT_FULL_COUNT?: string;
   CLAUDE_MEM_CONTEXT_FULL_FIELD?: string;
   CLAUDE_MEM_CONTEXT_SESSION_COUNT?: string;
+  CLAUDE_MEM_CONTEXT_SELECTION?: string;  // 'recent' | 'relevance'
+  CLAUDE_MEM_CONTEXT_DECAY_HALF_LIFE_DAYS?: string;
+  CLAUDE_MEM_CONTEXT_TOKEN_BUDGET?: string;  // '0' = select by counts
 
   // Feature Toggles
   CLAUDE_MEM_CONTEXT_SHOW_LAST_SUMMARY?: string;
   CLAUDE_MEM_CONTEXT_SHOW_LAST_MESSAGE?: string;
+
+  // Prompt-time Retrieval
+  CLAUDE_MEM_PROMPT_CONTEXT_ENABLED?: string;
+  CLAUDE_MEM_PROMPT_CONTEXT_LIMIT?: string;
+  CLAUDE_MEM_PROMPT_CONTEXT_TOKEN_BUDGET?: string;
 }
 
 export interface WorkerStats {
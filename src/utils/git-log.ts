@@ -0,0 +1,105 @@
+/**
+ * Git Log Reader
+ *
+ * Reads commit metadata from a repository: message, author, author date and
+ * per-file diff stats (`git log --numstat`). No patch contents are read, so
+ * even very large commits stay small enough to hand to the memory agent.
+ */
+
+import { spawnSync } from 'child_process';
+
+const GIT_LOG_TIMEOUT_MS = 60000;
+const GIT_LOG_MAX_BUFFER = 256 * 1024 * 1024;
+
+// Record and field separators (ASCII RS/US) never appear in commit messages
+const RECORD_SEPARATOR = '\x1e';
+const FIELD_SEPARATOR = '\x1f';
+
+export interface GitFileStat {
+  path: string;
+  /** null for binary files */
+  added: number | null;
+  removed: number | null;
+}
+
+export interface GitCommit {
+  sha: string;
+  authorName: string;
+  authorEmail: string;
+  authorDateEpoch: number;
+  subject: string;
+  body: string;
+  files: GitFileStat[];
+}
+
+export interface GitLogOptions {
+  /** Most recent commits to read (git log --max-count) */
+  maxCount?: number;
+  /** Only commits after this date, in any format git accepts (git log --since) */
+  since?: string;
+}
+
+function parseStat(value: string): number | null {
+  return value === '-' ? null : Number(value);
+}
+
+function parseCommit(record: string): GitCommit | null {
+  const fields = record.split(FIELD_SEPARATOR);
+  if (fields.length < 7) return null;
+
+  const [sha, authorName, authorEmail, authorDate, subject, body, numstat] = fields;
+  const files: GitFileStat[] = [];
+  for (const line of numstat.split('\n')) {
+    const [added, removed, ...pathParts] = line.split('\t');
+    if (pathParts.length === 0) continue;
+    files.push({ path: pathParts.join('\t'), added: parseStat(added), removed: parseStat(removed) });
+  }
+
+  return {
+    sha: sha.trim(),
+    authorName,
+    authorEmail,
+    authorDateEpoch: Date.parse(authorDate),
+    subject,
+    body: body.trim(),
+    files
+  };
+}
+
+/**
+ * Read commits reachable from HEAD, oldest first, skipping merge commits
+ * SECURITY: Uses spawnSync with argument array, never a shell
+ * @throws if repoPath is not a git repository or git fails
+ */
+export function readGitLog(repoPath: string, options: GitLogOptions = {}): GitCommit[] {
+  const args = [
+    'log',
+    '--reverse',
+    '--no-merges',
+    '--numstat',
+    `--format=${RECORD_SEPARATOR}%H${FIELD_SEPARATOR}%an${FIELD_SEPARATOR}%ae${FIELD_SEPARATOR}%aI${FIELD_SEPARATOR}%s${FIELD_SEPARATOR}%b${FIELD_SEPARATOR}`
+  ];
+  if (options.maxCount) args.push(`--max-count=${options.maxCount}`);
+  if (options.since) args.push(`--since=${options.since}`);
+
+  const result = spawnSync('git', args, {
+    cwd: repoPath,
+    encoding: 'utf-8',
+    timeout: GIT_LOG_TIMEOUT_MS,
+    maxBuffer: GIT_LOG_MAX_BUFFER,
+    windowsHide: true,
+    shell: false
+  });
+
+  if (result.error) {
+    throw result.error;
+  }
+  if (result.status !== 0) {
+    throw new Error(result.stderr.trim() || 'git log failed');
+  }
+
+  return result.stdout
+    .split(RECORD_SEPARATOR)
+    .map(parseCommit)
+    .filter((commit): commit is GitCommit => commit !== null);
+}
@@ -0,0 +1,179 @@
+/**
+ * Project Identity Resolver
+ *
+ * Resolves a stable project name for a working directory, so that two repos
+ * that share a folder name get separate memory, and subdirectories of one repo
+ * share the same memory. Resolution order:
+ *
+ *   1. Override file: `.claude-mem-project` at the git toplevel (first non-comment line)
+ *   2. origin remote: normalized to `owner/repo` (host, scheme, credentials and .git dropped)
+ *   3. Git toplevel basename
+ *   4. cwd basename (not a git repo)
+ */
+
+import { spawnSync } from 'child_process';
+import { existsSync, readFileSync } from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+
+export const PROJECT_OVERRIDE_FILE = '.claude-mem-project';
+
+const GIT_COMMAND_TIMEOUT_MS = 2000;
+
+export type ProjectIdentitySource = 'override' | 'remote' | 'git-root' | 'cwd';
+
+export interface ProjectIdentity {
+  /** Project name stored on sessions, observations and summaries */
+  name: string;
+  /** Which rule produced the name */
+  source: ProjectIdentitySource;
+  /** Git toplevel, or null outside a repo */
+  root: string | null;
+  /** Normalized origin URL (host/owner/repo), or null without an origin remote */
+  remote: string | null;
+}
+
+/**
+ * Normalize a git remote URL to `host/owner/repo`
+ * Handles scp-style (git@host:owner/repo.git), ssh://, https:// with credentials, and ports.
+ * Returns null for local paths or unparseable URLs.
+ */
+export function normalizeRemoteUrl(url: string): string | null {
+  const trimmed = url.trim();
+  if (!trimmed) return null;
+
+  let host: string;
+  let repoPath: string;
+
+  const scpMatch = trimmed.match(/^(?:[^@/]+@)?([^:/]+):(?!\/)(.+)$/);
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(trimmed)) {
+    let parsed: URL;
+    try {
+      parsed = new URL(trimmed);
+    } catch {
+      return null;
+    }
+    if (parsed.protocol === 'file:') return null;
+    host = parsed.hostname;
+    repoPath = parsed.pathname;
+  } else if (scpMatch && scpMatch[1].length > 1) {
+    // Single-letter "host" is a Windows drive (C:\repo), not an scp-style remote
+    host = scpMatch[1];
+    repoPath = scpMatch[2];
+  } else {
+    return null;
+  }
+
+  const segments = repoPath
+    .replace(/\.git\/?$/i, '')
+    .split('/')
+    .filter(Boolean);
+
+  if (!host || segments.length === 0) return null;
+
+  return [host.toLowerCase(), ...segments].join('/');
+}
+
+/**
+ * Project name from a normalized remote: the path without the host (`owner/repo`)
+ */
+export function projectNameFromRemote(normalizedRemote: string): string {
+  const segments = normalizedRemote.split('/');
+  return segments.length > 1 ? segments.slice(1).join('/') : segments[0];
+}
+
+/**
+ * Read the override name from `.claude-mem-project` in a directory
+ * Blank lines and lines starting with # are ignored
+ */
+export function readProjectOverride(dir: string): string | null {
+  const overridePath = path.join(dir, PROJECT_OVERRIDE_FILE);
+  if (!existsSync(overridePath)) return null;
+
+  try {
+    const name = readFileSync(overridePath, 'utf-8')
+      .split(/\r?\n/)
+      .map(line => line.trim())
+      .find(line => line && !line.startsWith('#'));
+    return name || null;
+  } catch (error) {
+    logger.warn('PROJECT_NAME', 'Failed to read project override file', { overridePath }, error as Error);
+    return null;
+  }
+}
+
+/**
+ * Run a read-only git command in cwd, returning trimmed stdout or null on any failure
+ * SECURITY: Uses spawnSync with argument array, never a shell
+ */
+function runGit(cwd: string, args: string[]): string | null {
+  const result = spawnSync('git', args, {
+    cwd,
+    encoding: 'utf-8',
+    timeout: GIT_COMMAND_TIMEOUT_MS,
+    windowsHide: true,
+    shell: false
+  });
+
+  if (result.error || result.status !== 0) {
+    return null;
+  }
+
+  const output = result.stdout.trim();
+  return output || null;
+}
+
+/**
+ * Resolve the project identity for a working directory
+ *
+ * @param cwd - Working directory (absolute path)
+ * @param fallbackName - Name to use when cwd is not inside a git repo
+ */
+export function resolveProjectIdentity(cwd: string, fallbackName: string): ProjectIdentity {
+  if (!existsSync(cwd)) {
+    return { name: fallbackName, source: 'cwd', root: null, remote: null };
+  }
+
+  const root = runGit(cwd, ['rev-parse', '--show-toplevel']);
+  if (!root) {
+    const override = readProjectOverride(cwd);
+    if (override) {
+      return { name: override, source: 'override', root: null, remote: null };
+    }
+    return { name: fallbackName, source: 'cwd', root: null, remote: null };
+  }
+
+  const normalizedRoot = path.resolve(root);
+  const rawRemote = runGit(normalizedRoot, ['config', '--get', 'remote.origin.url']);
+  const remote = rawRemote ? normalizeRemoteUrl(rawRemote) : null;
+
+  const override = readProjectOverride(normalizedRoot);
+  if (override) {
+    return { name: override, source: 'override', root: normalizedRoot, remote };
+  }
+
+  if (remote) {
+    return { name: projectNameFromRemote(remote), source: 'remote', root: normalizedRoot, remote };
+  }
+
+  return { name: path.basename(normalizedRoot), source: 'git-root', root: normalizedRoot, remote: null };
+}
+
+/**
+ * Git toplevel of a working directory, or null outside a repo
+ */
+export function getGitRoot(cwd: string): string | null {
+  if (!existsSync(cwd)) return null;
+  const root = runGit(cwd, ['rev-parse', '--show-toplevel']);
+  return root ? path.resolve(root) : null;
+}
+
+/**
+ * The committer identity git would use in a repository (user.name / user.email)
+ */
+export function getGitAuthor(cwd: string): { name: string | null; email: string | null } {
+  return {
+    name: runGit(cwd, ['config', 'user.name']),
+    email: runGit(cwd, ['config', 'user.email'])
+  };
+}
@@ -1,6 +1,34 @@
 import path from 'path';
 import { logger } from './logger.js';
 import { detectWorktree } from './worktree.js';
+import { resolveProjectIdentity } from './project-identity.js';
+import { SettingsDefaultsManager } from '../shared/SettingsDefaultsManager.js';
+import { USER_SETTINGS_PATH } from '../shared/paths.js';
+
+/**
+ * Check whether CLAUDE_MEM_PROJECT_IDENTITY selects git-based identity
+ */
+function useGitIdentity(): boolean {
+  const settings = SettingsDefaultsManager.loadFromFile(USER_SETTINGS_PATH);
+  return settings.CLAUDE_MEM_PROJECT_IDENTITY === 'git';
+}
+
+/**
+ * Get the project name for a working directory
+ * With CLAUDE_MEM_PROJECT_IDENTITY=git, resolves via override file, origin remote
+ * or git toplevel (see project-identity.ts); otherwise uses the cwd basename.
+ *
+ * @param cwd - Current working directory (absolute path)
+ * @returns Project name or "unknown-project" if extraction fails
+ */
+export function getProjectName(cwd: string | null | undefined): string {
+  const directoryName = getDirectoryProjectName(cwd);
+  if (!cwd || directoryName === 'unknown-project' || !useGitIdentity()) {
+    return directoryName;
+  }
+
+  return resolveProjectIdentity(cwd, directoryName).name;
+}
 
 /**
  * Extract project name from working directory path
@@ -9,7 +37,7 @@ import { detectWorktree } from './worktree.js';
  * @param cwd - Current working directory (absolute path)
  * @returns Project name or "unknown-project" if extraction fails
  */
-export function getProjectName(cwd: string | null | undefined): string {
+export function getDirectoryProjectName(cwd: string | null | undefined): string {
   if (!cwd || cwd.trim() === '') {
     logger.warn('PROJECT_NAME', 'Empty cwd provided, using fallback', { cwd });
     return 'unknown-project';
@@ -71,13 +99,20 @@ export function getProjectContext(cwd: string | null | undefined): ProjectContex
 
   const worktreeInfo = detectWorktree(cwd);
 
-  if (worktreeInfo.isWorktree && worktreeInfo.parentProjectName) {
+  if (worktreeInfo.isWorktree && worktreeInfo.parentProjectName && worktreeInfo.parentRepoPath) {
+    // Git identity resolves the parent repo the same way; a worktree of a repo with
+    // an origin remote or override file shares its parent's identity
+    const parent = useGitIdentity() ? getProjectName(worktreeInfo.parentRepoPath) : worktreeInfo.parentProjectName;
+    if (parent === primary) {
+      return { primary, parent: null, isWorktree: true, allProjects: [primary] };
+    }
+
     // In a worktree: include parent first for chronological ordering
     return {
       primary,
-      parent: worktreeInfo.parentProjectName,
+      parent,
       isWorktree: true,
-      allProjects: [worktreeInfo.parentProjectName, primary]
+      allProjects: [parent, primary]
     };
   }
 
@@ -0,0 +1,173 @@
+import { describe, it, expect, mock } from 'bun:test';
+
+// Mock the ModeManager before importing the allocator (table rows use type icons)
+mock.module('../../src/services/domain/ModeManager.js', () => ({
+  ModeManager: {
+    getInstance: () => ({
+      getActiveMode: () => ({
+        name: 'code',
+        prompts: {},
+        observation_types: [{ id: 'discovery', emoji: 'I' }],
+        observation_concepts: [],
+      }),
+      getTypeIcon: () => 'I',
+      getWorkEmoji: () => 'W',
+    }),
+  },
+}));
+
+import { allocateBudget, BUDGET_SHARES } from '../../src/services/context/BudgetAllocator.js';
+import type { BudgetCandidates } from '../../src/services/context/BudgetAllocator.js';
+import type { ContextConfig, Observation, SummaryTimelineItem } from '../../src/services/context/types.js';
+
+/**
+ * Token budget allocation tests - packing of context sections into a budget
+ * Costs are estimated from the markdown rendering, so assertions compare
+ * against shares and relative sizes rather than exact token counts.
+ */
+
+function createTestObservation(id: number, narrativeLength = 400): Observation {
+  return {
+    id,
+    memory_session_id: 'session-123',
+    type: 'discovery',
+    title: `Observation ${id}`,
+    subtitle: null,
+    narrative: 'n'.repeat(narrativeLength),
+    facts: null,
+    concepts: '[]',
+    files_read: null,
+    files_modified: null,
+    discovery_tokens: 100,
+    created_at: '2025-01-01T12:00:00.000Z',
+    created_at_epoch: 1735732800000 - id,
+  };
+}
+
+function createTestSession(id: number): SummaryTimelineItem {
+  return {
+    id,
+    memory_session_id: `session-${id}`,
+    request: `Request ${id}`,
+    investigated: 'Investigated things',
+    learned: 'Learned things',
+    completed: 'Completed things',
+    next_steps: 'Next steps',
+    created_at: '2025-01-01T12:00:00.000Z',
+    created_at_epoch: 1735732800000,
+    displayEpoch: 1735732800000,
+    displayTime: '2025-01-01T12:00:00.000Z',
+    shouldShowLink: false,
+  };
+}
+
+function createTestConfig(tokenBudget: number): ContextConfig {
+  return {
+    totalObservationCount: 50,
+    fullObservationCount: 5,
+    sessionCount: 10,
+    showReadTokens: true,
+    showWorkTokens: true,
+    showSavingsAmount: true,
+    showSavingsPercent: true,
+    observationTypes: new Set(['discovery']),
+    observationConcepts: new Set(),
+    selectionMode: 'recent',
+    decayHalfLifeDays: 14,
+    tokenBudget,
+    fullObservationField: 'narrative',
+    showLastSummary: true,
+    showLastMessage: true,
+  };
+}
+
+function createCandidates(overrides: Partial<BudgetCandidates> = {}): BudgetCandidates {
+  return {
+    pinned: [],
+    lastSummary: null,
+    sessions: [],
+    observations: [],
+    priorMessages: { userMessage: '', assistantMessage: '' },
+    ...overrides,
+  };
+}
+
+function range(count: number, start = 1): number[] {
+  return Array.from({ length: count }, (_, i) => start + i);
+}
+
+describe('allocateBudget', () => {
+  it('should stay within the budget and report every section', () => {
+    const candidates = createCandidates({
+      pinned: [createTestObservation(101), createTestObservation(102)],
+      lastSummary: createTestSession(1),
+      sessions: [createTestSession(1), createTestSession(2), createTestSession(3)],
+      observations: range(20).map(id => createTestObservation(id)),
+      priorMessages: { userMessage: '', assistantMessage: 'Done with the refactor' },
+    });
+
+    const { allocation } = allocateBudget(candidates, createTestConfig(1000));
+
+    expect(allocation.budget).toBe(1000);
+    expect(allocation.used).toBeLessThanOrEqual(1000);
+    expect(allocation.sections.reduce((sum, s) => sum + s.used, 0)).toBe(allocation.used);
+    expect(allocation.sections.map(s => [s.section, s.share, s.candidates])).toEqual([
+      ['pinned', 1000 * BUDGET_SHARES.pinned, 2],
+      ['summary', 1000 * BUDGET_SHARES.summary, 4],
+      ['full', 1000 * BUDGET_SHARES.full, 20],
+      ['index', 1000 * BUDGET_SHARES.index, 20],
+      ['previous', 1000 * BUDGET_SHARES.previous, 1],
+    ]);
+  });
+
+  it('should show the most recent observations in full and the rest as index lines', () => {
+    const candidates = createCandidates({ observations: range(20).map(id => createTestObservation(id)) });
+
+    const result = allocateBudget(candidates, createTestConfig(1000));
+    const fullIds = [...result.fullObservationIds];
+
+    expect(fullIds.length).toBeGreaterThan(0);
+    expect(fullIds).toEqual(range(fullIds.length));
+    expect(result.observations.length).toBeGreaterThan(fullIds.length);
+    expect(result.observations.map(obs => obs.id)).toEqual(range(result.observations.length));
+  });
+
+  it('should skip an item that does not fit and keep packing smaller ones', () => {
+    const candidates = createCandidates({
+      observations: [createTestObservation(1, 20000), createTestObservation(2)],
+    });
+
+    const result = allocateBudget(candidates, createTestConfig(1000));
+
+    expect(result.fullObservationIds.has(1)).toBe(false);
+    expect(result.fullObservationIds.has(2)).toBe(true);
+    expect(result.observations.map(obs => obs.id)).toEqual([1, 2]);
+  });
+
+  it('should give shares left unspent to the remaining items', () => {
+    const candidates = createCandidates({ observations: range(100).map(id => createTestObservation(id)) });
+
+    const { allocation } = allocateBudget(candidates, createTestConfig(2000));
+    const full = allocation.sections.find(s => s.section === 'full')!;
+    const index = allocation.sections.find(s => s.section === 'index')!;
+
+    expect(full.used + index.used).toBeGreaterThan(full.share + index.share);
+    expect(allocation.used).toBeLessThanOrEqual(2000);
+  });
+
+  it('should drop the last summary and previous message when they do not fit', () => {
+    const summary = { ...createTestSession(1), learned: 'l'.repeat(4000) };
+    const candidates = createCandidates({
+      lastSummary: summary,
+      priorMessages: { userMessage: '', assistantMessage: 'a'.repeat(4000) },
+    });
+
+    const dropped = allocateBudget(candidates, createTestConfig(500));
+    expect(dropped.showLastSummary).toBe(false);
+    expect(dropped.priorMessages.assistantMessage).toBe('');
+
+    const kept = allocateBudget(candidates, createTestConfig(5000));
+    expect(kept.showLastSummary).toBe(true);
+    expect(kept.priorMessages.assistantMessage).toBe('a'.repeat(4000));
+  });
+});
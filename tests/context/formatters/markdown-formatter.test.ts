@@ -34,6 +34,7 @@ import {
   renderMarkdownContextIndex,
   renderMarkdownContextEconomics,
   renderMarkdownDayHeader,
+  renderMarkdownPinnedHeader,
   renderMarkdownFileHeader,
   renderMarkdownTableRow,
   renderMarkdownFullObservation,
@@ -90,6 +91,9 @@ function createTestConfig(overrides: Partial<ContextConfig> = {}): ContextConfig
     showSavingsPercent: true,
     observationTypes: new Set(['discovery', 'decision', 'bugfix']),
     observationConcepts: new Set(['concept1', 'concept2']),
+    selectionMode: 'recent',
+    decayHalfLifeDays: 14,
+    tokenBudget: 0,
     fullObservationField: 'narrative',
     showLastSummary: true,
     showLastMessage: true,
@@ -250,6 +254,14 @@ describe('MarkdownFormatter', () => {
     });
   });
 
+  describe('renderMarkdownPinnedHeader', () => {
+    it('should render pinned section as h3 heading', () => {
+      const result = renderMarkdownPinnedHeader();
+
+      expect(result).toEqual(['### Pinned', '']);
+    });
+  });
+
   describe('renderMarkdownFileHeader', () => {
     it('should render file name in bold', () => {
       const result = renderMarkdownFileHeader('src/index.ts');
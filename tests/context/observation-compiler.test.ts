@@ -1,12 +1,14 @@
 import { describe, it, expect } from 'bun:test';
-import { buildTimeline } from '../../src/services/context/index.js';
-import type { Observation, SummaryTimelineItem } from '../../src/services/context/types.js';
+import { buildTimeline, queryObservations, queryPinnedObservations, querySummaries } from '../../src/services/context/index.js';
+import { SessionStore } from '../../src/services/sqlite/SessionStore.js';
+import type { ContextConfig, Observation, SummaryTimelineItem } from '../../src/services/context/types.js';
 
 /**
  * Timeline building tests - validates real sorting and merging logic
  *
  * Removed: queryObservations, querySummaries tests (mock database - not testing real behavior)
  * Kept: buildTimeline tests (tests actual sorting algorithm)
+ * Pinned selection is tested against a real in-memory SessionStore
  */
 
 // Helper to create a minimal observation
@@ -144,3 +146,182 @@ describe('buildTimeline', () => {
       expect(timeline[1].type).toBe('observation');
     });
 });
+
+describe('Pinned observations', () => {
+  function createTestConfig(overrides: Partial<ContextConfig> = {}): ContextConfig {
+    return {
+      totalObservationCount: 1,
+      fullObservationCount: 1,
+      sessionCount: 3,
+      showReadTokens: true,
+      showWorkTokens: true,
+      showSavingsAmount: true,
+      showSavingsPercent: true,
+      observationTypes: new Set(['discovery', 'decision']),
+      observationConcepts: new Set(['how-it-works']),
+      selectionMode: 'recent',
+      decayHalfLifeDays: 14,
+      tokenBudget: 0,
+      fullObservationField: 'narrative',
+      showLastSummary: true,
+      showLastMessage: true,
+      ...overrides,
+    };
+  }
+
+  function storeTestObservation(store: SessionStore, type: string, title: string, createdAtEpoch: number): number {
+    return store.storeObservation('mem-pinned', 'pinned-project', {
+      type,
+      title,
+      subtitle: null,
+      facts: [],
+      narrative: null,
+      concepts: ['how-it-works'],
+      files_read: [],
+      files_modified: [],
+    }, 1, 0, createdAtEpoch).id;
+  }
+
+  it('should keep pinned observations out of the timeline and return them regardless of limits and filters', () => {
+    const store = new SessionStore(':memory:');
+    const sessionId = store.createSDKSession('content-pinned', 'pinned-project', 'prompt');
+    store.updateMemorySessionId(sessionId, 'mem-pinned');
+
+    const old = storeTestObservation(store, 'bugfix', 'Old pinned bugfix', 1000);
+    const recent = storeTestObservation(store, 'discovery', 'Recent discovery', 3000);
+    storeTestObservation(store, 'discovery', 'Older discovery', 2000);
+    store.setObservationPinned(old, true);
+
+    const config = createTestConfig();
+    const timeline = queryObservations(store, 'pinned-project', config);
+    const pinned = queryPinnedObservations(store, ['pinned-project']);
+
+    expect(timeline.map(obs => obs.id)).toEqual([recent]);
+    expect(pinned.map(obs => obs.id)).toEqual([old]);
+
+    store.close();
+  });
+});
+
+describe('Relevance candidate pool', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+
+  function createTestConfig(overrides: Partial<ContextConfig> = {}): ContextConfig {
+    return {
+      totalObservationCount: 2,
+      fullObservationCount: 1,
+      sessionCount: 3,
+      showReadTokens: true,
+      showWorkTokens: true,
+      showSavingsAmount: true,
+      showSavingsPercent: true,
+      observationTypes: new Set(['discovery', 'decision', 'change']),
+      observationConcepts: new Set(['how-it-works']),
+      selectionMode: 'relevance',
+      decayHalfLifeDays: 14,
+      tokenBudget: 0,
+      fullObservationField: 'narrative',
+      showLastSummary: true,
+      showLastMessage: true,
+      ...overrides,
+    };
+  }
+
+  function storeTestObservation(store: SessionStore, type: string, createdAtEpoch: number): number {
+    return store.storeObservation('mem-relevance', 'relevance-project', {
+      type,
+      title: `${type} at ${createdAtEpoch}`,
+      subtitle: null,
+      facts: [],
+      narrative: null,
+      concepts: ['how-it-works'],
+      files_read: [],
+      files_modified: [],
+    }, 1, 0, createdAtEpoch).id;
+  }
+
+  it('should consider observations older than a burst of recent ones', () => {
+    const store = new SessionStore(':memory:');
+    const sessionId = store.createSDKSession('content-relevance', 'relevance-project', 'prompt');
+    store.updateMemorySessionId(sessionId, 'mem-relevance');
+
+    const now = Date.now();
+    const decision = storeTestObservation(store, 'decision', now - 3 * DAY);
+    const retrieved = storeTestObservation(store, 'change', now - 200 * DAY);
+    store.db.prepare('UPDATE observations SET retrieval_count = 100 WHERE id = ?').run(retrieved);
+    // More recent discoveries than the old recent-first pool (count x 10) held
+    for (let i = 0; i < 30; i++) {
+      storeTestObservation(store, 'discovery', now - i * 60 * 1000);
+    }
+
+    const selected = queryObservations(store, 'relevance-project', createTestConfig());
+
+    expect(selected.map(obs => obs.id).sort((a, b) => a - b)).toEqual([decision, retrieved]);
+
+    store.close();
+  });
+});
+
+describe('Budget candidate pool', () => {
+  function createTestConfig(overrides: Partial<ContextConfig> = {}): ContextConfig {
+    return {
+      totalObservationCount: 2,
+      fullObservationCount: 1,
+      sessionCount: 1,
+      showReadTokens: true,
+      showWorkTokens: true,
+      showSavingsAmount: true,
+      showSavingsPercent: true,
+      observationTypes: new Set(['discovery']),
+      observationConcepts: new Set(['how-it-works']),
+      selectionMode: 'recent',
+      decayHalfLifeDays: 14,
+      tokenBudget: 0,
+      fullObservationField: 'narrative',
+      showLastSummary: true,
+      showLastMessage: true,
+      ...overrides,
+    };
+  }
+
+  function seedStore(): SessionStore {
+    const store = new SessionStore(':memory:');
+    const sessionId = store.createSDKSession('content-budget', 'budget-project', 'prompt');
+    store.updateMemorySessionId(sessionId, 'mem-budget');
+
+    for (let i = 1; i <= 10; i++) {
+      store.storeObservation('mem-budget', 'budget-project', {
+        type: 'discovery',
+        title: `Discovery ${i}`,
+        subtitle: null,
+        facts: [],
+        narrative: null,
+        concepts: ['how-it-works'],
+        files_read: [],
+        files_modified: [],
+      }, i, 0, i * 1000);
+      store.storeSummary('mem-budget', 'budget-project', {
+        request: `Request ${i}`,
+        investigated: '',
+        learned: '',
+        completed: '',
+        next_steps: '',
+        notes: null,
+      }, i, 0, i * 1000);
+    }
+    return store;
+  }
+
+  it('should load candidates beyond the count caps when the budget can hold them', () => {
+    const store = seedStore();
+
+    expect(queryObservations(store, 'budget-project', createTestConfig())).toHaveLength(2);
+    expect(querySummaries(store, 'budget-project', createTestConfig())).toHaveLength(2);
+
+    const config = createTestConfig({ tokenBudget: 5000 });
+    expect(queryObservations(store, 'budget-project', config)).toHaveLength(10);
+    expect(querySummaries(store, 'budget-project', config)).toHaveLength(10);
+
+    store.close();
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'bun:test';
+import { scoreObservation, rankByRelevance, selectByRelevance } from '../../src/services/context/index.js';
+import type { Observation } from '../../src/services/context/types.js';
+
+/**
+ * Relevance scoring tests - validates decay, type weights, and retrievals
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = 1735732800000;
+
+function createTestObservation(overrides: Partial<Observation> = {}): Observation {
+  return {
+    id: 1,
+    memory_session_id: 'session-123',
+    type: 'discovery',
+    title: 'Test Observation',
+    subtitle: null,
+    narrative: 'A test narrative',
+    facts: '["fact1"]',
+    concepts: '["concept1"]',
+    files_read: null,
+    files_modified: null,
+    discovery_tokens: 100,
+    created_at: new Date(NOW).toISOString(),
+    created_at_epoch: NOW,
+    ...overrides,
+  };
+}
+
+describe('scoreObservation', () => {
+  it('should halve the type weight after one half-life', () => {
+    const fresh = scoreObservation(createTestObservation({ type: 'decision' }), 14, NOW);
+    const aged = scoreObservation(createTestObservation({ type: 'decision', created_at_epoch: NOW - 14 * DAY }), 14, NOW);
+
+    expect(fresh).toBeCloseTo(1.0);
+    expect(aged).toBeCloseTo(0.5);
+  });
+
+  it('should weight decisions above changes of the same age', () => {
+    const decision = scoreObservation(createTestObservation({ type: 'decision' }), 14, NOW);
+    const change = scoreObservation(createTestObservation({ type: 'change' }), 14, NOW);
+
+    expect(decision).toBeGreaterThan(change);
+  });
+
+  it('should fall back to the default weight for unknown types', () => {
+    expect(scoreObservation(createTestObservation({ type: 'insight' }), 14, NOW)).toBeCloseTo(0.5);
+  });
+
+  it('should boost frequently retrieved observations', () => {
+    const never = scoreObservation(createTestObservation(), 14, NOW);
+    const often = scoreObservation(createTestObservation({ retrieval_count: 7 }), 14, NOW);
+
+    expect(often - never).toBeCloseTo(0.45);
+  });
+});
+
+describe('rankByRelevance', () => {
+  it('should order every candidate by score, highest first', () => {
+    const candidates = [
+      createTestObservation({ id: 1, type: 'decision', created_at_epoch: NOW - 3 * DAY }),
+      createTestObservation({ id: 2, type: 'change', created_at_epoch: NOW - 20 * DAY }),
+      createTestObservation({ id: 3, type: 'bugfix', created_at_epoch: NOW - 1 * DAY }),
+    ];
+
+    expect(rankByRelevance(candidates, 14, NOW).map(obs => obs.id)).toEqual([1, 3, 2]);
+  });
+});
+
+describe('selectByRelevance', () => {
+  it('should return all candidates when under the limit', () => {
+    const candidates = [createTestObservation({ id: 1 }), createTestObservation({ id: 2 })];
+    expect(selectByRelevance(candidates, 5, 14, NOW)).toBe(candidates);
+  });
+
+  it('should keep an old decision over a burst of recent changes', () => {
+    const candidates = [
+      createTestObservation({ id: 3, type: 'change', created_at_epoch: NOW - 1 * DAY }),
+      createTestObservation({ id: 2, type: 'change', created_at_epoch: NOW - 2 * DAY }),
+      createTestObservation({ id: 1, type: 'decision', created_at_epoch: NOW - 10 * DAY }),
+    ];
+
+    const selected = selectByRelevance(candidates, 2, 14, NOW);
+
+    expect(selected.map(obs => obs.id)).toEqual([3, 1]);
+  });
+
+  it('should return the selection most recent first', () => {
+    const candidates = [
+      createTestObservation({ id: 1, type: 'decision', created_at_epoch: NOW - 3 * DAY }),
+      createTestObservation({ id: 2, type: 'change', created_at_epoch: NOW - 20 * DAY }),
+      createTestObservation({ id: 3, type: 'bugfix', created_at_epoch: NOW - 1 * DAY }),
+    ];
+
+    const selected = selectByRelevance(candidates, 2, 14, NOW);
+
+    expect(selected.map(obs => obs.id)).toEqual([3, 1]);
+  });
+});
@@ -113,6 +113,7 @@ describe('GeminiAgent', () => {
     const mockPendingMessageStore = {
       markProcessed: mockMarkProcessed,
       confirmProcessed: mock(() => {}),  // CLAIM-CONFIRM pattern: confirm after successful storage
+      getMessagesByIds: mock(() => []),
       cleanupProcessed: mockCleanupProcessed,
       resetStuckMessages: mockResetStuckMessages
     };
@@ -37,6 +37,13 @@ const EXCLUDED_PATTERNS = [
   /user-message-hook\.ts$/,  // Deprecated - kept for reference only, not registered in hooks.json
   /cli\/hook-command\.ts$/,  // CLI hook command uses console.log/error for hook protocol output
   /cli\/handlers\/user-message\.ts$/,  // User message handler uses console.error for user-visible context
+  /cli\/project-commands\.ts$/,  // CLI projects command prints listings and migration results to the terminal
+  /cli\/backup-commands\.ts$/,  // CLI backup/restore commands print snapshot paths and restore results to the terminal
+  /cli\/doctor-commands\.ts$/,  // CLI doctor/repair commands print the integrity report to the terminal
+  /cli\/export-commands\.ts$/,  // CLI export/import commands print output paths and import counts to the terminal
+  /cli\/backfill-commands\.ts$/,  // CLI backfill command prints the transcript plan and progress to the terminal
+  /cli\/git-history-commands\.ts$/,  // CLI git-history command prints the import plan and progress to the terminal
+  /cli\/team-commands\.ts$/,  // CLI team command prints export/import counts to the terminal
 ];
 
 // Files that should always use logger (core business logic)
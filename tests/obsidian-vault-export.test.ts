@@ -0,0 +1,133 @@
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import { existsSync, mkdirSync, readFileSync, readdirSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { ClaudeMemDatabase } from '../src/services/sqlite/Database.js';
+import { createSDKSession, updateMemorySessionId } from '../src/services/sqlite/Sessions.js';
+import { storeObservation } from '../src/services/sqlite/Observations.js';
+import { storeSummary } from '../src/services/sqlite/Summaries.js';
+import { exportObsidianVault } from '../src/services/integrations/ObsidianVaultExporter.js';
+import type { ObservationInput } from '../src/services/sqlite/Observations.js';
+import type { Database } from 'bun:sqlite';
+
+/**
+ * Tests for the Obsidian vault exporter
+ *
+ * Exports an in-memory database to a temp directory and checks the notes,
+ * their frontmatter and the wiki-links between them.
+ */
+
+describe('Obsidian Vault Export', () => {
+  let db: Database;
+  let vaultDir: string;
+
+  beforeEach(() => {
+    db = new ClaudeMemDatabase(':memory:').db;
+    vaultDir = join(tmpdir(), `obsidian-vault-test-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    mkdirSync(vaultDir, { recursive: true });
+
+    const sessionId = createSDKSession(db, 'content-vault', 'acme/api', 'Add export');
+    updateMemorySessionId(db, sessionId, 'mem-vault');
+  });
+
+  afterEach(() => {
+    db.close();
+    try {
+      rmSync(vaultDir, { recursive: true, force: true });
+    } catch {
+      // Ignore cleanup errors
+    }
+  });
+
+  function createObservationInput(overrides: Partial<ObservationInput> = {}): ObservationInput {
+    return {
+      type: 'decision',
+      title: 'Use JSONL for exports',
+      subtitle: 'Streaming over JSON',
+      facts: ['Streams line by line'],
+      narrative: 'Whole projects can be large',
+      concepts: ['trade-off'],
+      files_read: ['src/services/sqlite/Export.ts'],
+      files_modified: [],
+      ...overrides
+    };
+  }
+
+  it('should write observation and summary notes with frontmatter and session links', () => {
+    const first = storeObservation(db, 'mem-vault', 'acme/api', createObservationInput(), 1, 0, 1767225600000).id;
+    const second = storeObservation(db, 'mem-vault', 'acme/api', createObservationInput({
+      type: 'bugfix',
+      title: 'Fix footer count',
+      files_modified: ['src/services/sqlite/Export.ts']
+    }), 1, 0, 1767225660000).id;
+    storeSummary(db, 'mem-vault', 'acme/api', {
+      request: 'Add export', investigated: '', learned: 'JSONL streams well', completed: '', next_steps: '', notes: null
+    }, 1, 0, 1767225700000);
+
+    const result = exportObsidianVault(db, vaultDir);
+
+    expect(result).toMatchObject({ projects: ['acme/api'], observations: 2, summaries: 1, fileNotes: 1, conceptNotes: 1 });
+
+    const note = readFileSync(join(vaultDir, 'acme api', 'Observations', `${first} Use JSONL for exports.md`), 'utf-8');
+    expect(note.startsWith('---\n')).toBe(true);
+    expect(note).toContain('type: "decision"');
+    expect(note).toContain('concepts:\n  - "trade-off"');
+    expect(note).toContain('files_modified: []');
+    expect(note).toContain('created: "2026-01-01T00:00:00.000Z"');
+    expect(note).toContain('# Use JSONL for exports');
+    expect(note).toContain('**Narrative**: Whole projects can be large');
+    expect(note).toContain(`[[acme api/Observations/${second} Fix footer count|Fix footer count]] (bugfix)`);
+    expect(note).toContain('[[acme api/Summaries/');
+    expect(note).toContain('[[acme api/Files/src/services/sqlite/Export.ts|src/services/sqlite/Export.ts]] (read)');
+    expect(note).toContain('[[acme api/Concepts/trade-off|trade-off]]');
+
+    const summaries = readdirSync(join(vaultDir, 'acme api', 'Summaries'));
+    expect(summaries).toHaveLength(1);
+    const summary = readFileSync(join(vaultDir, 'acme api', 'Summaries', summaries[0]), 'utf-8');
+    expect(summary).toContain('type: "summary"');
+    expect(summary).toContain('**Learned**: JSONL streams well');
+    expect(summary).toContain(`${first} Use JSONL for exports|Use JSONL for exports]] (decision)`);
+  });
+
+  it('should write file, concept and project index notes', () => {
+    const id = storeObservation(db, 'mem-vault', 'acme/api', createObservationInput(), 1, 0, 1767225600000).id;
+
+    exportObsidianVault(db, vaultDir);
+
+    const fileNote = readFileSync(join(vaultDir, 'acme api', 'Files', 'src', 'services', 'sqlite', 'Export.ts.md'), 'utf-8');
+    expect(fileNote).toContain('path: "src/services/sqlite/Export.ts"');
+    expect(fileNote).toContain(`[[acme api/Observations/${id} Use JSONL for exports|Use JSONL for exports]] (decision)`);
+
+    const conceptNote = readFileSync(join(vaultDir, 'acme api', 'Concepts', 'trade-off.md'), 'utf-8');
+    expect(conceptNote).toContain('name: "trade-off"');
+
+    const index = readFileSync(join(vaultDir, 'acme api', 'Index.md'), 'utf-8');
+    expect(index).toContain('### ');
+    expect(index).toContain(`${id} Use JSONL for exports`);
+  });
+
+  it('should keep file notes inside the vault', () => {
+    storeObservation(db, 'mem-vault', 'acme/api', createObservationInput({
+      title: 'Read outside the repo',
+      files_read: ['../../etc/passwd', 'C:\\Users\\dev\\notes.txt']
+    }));
+
+    exportObsidianVault(db, vaultDir);
+
+    expect(existsSync(join(vaultDir, 'acme api', 'Files', 'etc', 'passwd.md'))).toBe(true);
+    expect(existsSync(join(vaultDir, 'acme api', 'Files', 'Users', 'dev', 'notes.txt.md'))).toBe(true);
+    expect(existsSync(join(vaultDir, '..', 'etc'))).toBe(false);
+  });
+
+  it('should only export the requested projects', () => {
+    const otherId = createSDKSession(db, 'content-other', 'other', 'Other work');
+    updateMemorySessionId(db, otherId, 'mem-other');
+    storeObservation(db, 'mem-vault', 'acme/api', createObservationInput());
+    storeObservation(db, 'mem-other', 'other', createObservationInput());
+
+    const result = exportObsidianVault(db, vaultDir, ['other']);
+
+    expect(result.projects).toEqual(['other']);
+    expect(readdirSync(vaultDir)).toEqual(['other']);
+  });
+});
@@ -0,0 +1,214 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, spyOn, mock } from 'bun:test';
+import type { Server } from 'bun';
+import { OpenAICompatibleAgent, isOpenAICompatibleAvailable } from '../src/services/worker/OpenAICompatibleAgent';
+import { DatabaseManager } from '../src/services/worker/DatabaseManager';
+import { SessionManager } from '../src/services/worker/SessionManager';
+import { ModeManager } from '../src/services/domain/ModeManager';
+import { SettingsDefaultsManager } from '../src/shared/SettingsDefaultsManager';
+
+// Mock mode config
+const mockMode = {
+  name: 'code',
+  prompts: {
+    init: 'init prompt',
+    observation: 'obs prompt',
+    summary: 'summary prompt'
+  },
+  observation_types: [{ id: 'discovery' }, { id: 'bugfix' }],
+  observation_concepts: []
+};
+
+const observationXml = `
+  <observation>
+    <type>discovery</type>
+    <title>Found bug</title>
+    <subtitle>Null pointer</subtitle>
+    <narrative>Found a null pointer in the code</narrative>
+    <facts><fact>Null check missing</fact></facts>
+    <concepts><concept>bug</concept></concepts>
+    <files_read><file>src/main.ts</file></files_read>
+    <files_modified></files_modified>
+  </observation>
+`;
+
+// Local stub of an OpenAI-compatible server (stands in for Ollama/vLLM/llama.cpp)
+interface StubRequest {
+  path: string;
+  headers: Headers;
+  body: any;
+}
+
+let server: Server;
+let baseUrl: string;
+let requests: StubRequest[] = [];
+let stubResponse: () => Response;
+
+let settingsOverrides: Record<string, string> = {};
+let loadFromFileSpy: ReturnType<typeof spyOn>;
+let modeManagerSpy: ReturnType<typeof spyOn>;
+
+function makeSession(overrides: Record<string, any> = {}): any {
+  return {
+    sessionDbId: 1,
+    contentSessionId: 'test-session',
+    memorySessionId: 'mem-session-123',
+    project: 'test-project',
+    userPrompt: 'test prompt',
+    conversationHistory: [],
+    lastPromptNumber: 1,
+    cumulativeInputTokens: 0,
+    cumulativeOutputTokens: 0,
+    pendingMessages: [],
+    abortController: new AbortController(),
+    generatorPromise: null,
+    earliestPendingTimestamp: null,
+    currentProvider: null,
+    startTime: Date.now(),
+    processingMessageIds: [],
+    ...overrides
+  };
+}
+
+describe('OpenAICompatibleAgent', () => {
+  let agent: OpenAICompatibleAgent;
+  let mockStoreObservations: any;
+  let mockSyncObservation: any;
+
+  beforeAll(() => {
+    server = Bun.serve({
+      port: 0,
+      async fetch(req) {
+        requests.push({
+          path: new URL(req.url).pathname,
+          headers: req.headers,
+          body: await req.json()
+        });
+        return stubResponse();
+      }
+    });
+    baseUrl = `http://localhost:${server.port}/v1`;
+  });
+
+  afterAll(() => {
+    server.stop(true);
+  });
+
+  beforeEach(() => {
+    requests = [];
+    stubResponse = () => Response.json({
+      choices: [{ message: { role: 'assistant', content: observationXml } }],
+      usage: { prompt_tokens: 70, completion_tokens: 30, total_tokens: 100 }
+    });
+    settingsOverrides = {
+      CLAUDE_MEM_OPENAI_COMPATIBLE_BASE_URL: `${baseUrl}/`,
+      CLAUDE_MEM_OPENAI_COMPATIBLE_MODEL: 'qwen2.5-coder:14b'
+    };
+
+    modeManagerSpy = spyOn(ModeManager, 'getInstance').mockImplementation(() => ({
+      getActiveMode: () => mockMode,
+      loadMode: () => {},
+    } as any));
+
+    loadFromFileSpy = spyOn(SettingsDefaultsManager, 'loadFromFile').mockImplementation(() => ({
+      ...SettingsDefaultsManager.getAllDefaults(),
+      ...settingsOverrides
+    }));
+
+    mockStoreObservations = mock(() => ({
+      observationIds: [1],
+      summaryId: null,
+      createdAtEpoch: Date.now()
+    }));
+    mockSyncObservation = mock(() => Promise.resolve());
+
+    const mockSessionStore = {
+      storeObservations: mockStoreObservations,
+      updateMemorySessionId: mock(() => {}),
+      getSessionById: mock(() => ({ memory_session_id: 'mem-session-123' })),
+      ensureMemorySessionIdRegistered: mock(() => {})
+    };
+
+    const mockDbManager = {
+      getSessionStore: () => mockSessionStore,
+      getChromaSync: () => ({ syncObservation: mockSyncObservation, syncSummary: mock(() => Promise.resolve()) })
+    } as unknown as DatabaseManager;
+
+    const mockSessionManager = {
+      getMessageIterator: async function* () { yield* []; },
+      getPendingMessageStore: () => ({
+        confirmProcessed: mock(() => {}),
+        getMessagesByIds: mock(() => []),
+        cleanupProcessed: mock(() => 0),
+        resetStuckMessages: mock(() => 0)
+      })
+    } as unknown as SessionManager;
+
+    agent = new OpenAICompatibleAgent(mockDbManager, mockSessionManager);
+  });
+
+  afterEach(() => {
+    if (modeManagerSpy) modeManagerSpy.mockRestore();
+    if (loadFromFileSpy) loadFromFileSpy.mockRestore();
+    mock.restore();
+  });
+
+  it('should post chat completions to the configured base URL and model', async () => {
+    await agent.startSession(makeSession());
+
+    expect(requests).toHaveLength(1);
+    expect(requests[0].path).toBe('/v1/chat/completions');
+    expect(requests[0].body.model).toBe('qwen2.5-coder:14b');
+    expect(requests[0].body.messages).toEqual([{ role: 'user', content: expect.any(String) }]);
+    expect(requests[0].headers.get('authorization')).toBeNull();
+  });
+
+  it('should send the API key and custom headers', async () => {
+    settingsOverrides.CLAUDE_MEM_OPENAI_COMPATIBLE_API_KEY = 'local-key';
+    settingsOverrides.CLAUDE_MEM_OPENAI_COMPATIBLE_HEADERS = '{"X-Team": "platform", "X-Ignored": 1}';
+
+    await agent.startSession(makeSession());
+
+    expect(requests[0].headers.get('authorization')).toBe('Bearer local-key');
+    expect(requests[0].headers.get('x-team')).toBe('platform');
+    expect(requests[0].headers.get('x-ignored')).toBeNull();
+  });
+
+  it('should reuse the shared conversation history', async () => {
+    const session = makeSession({
+      conversationHistory: [{ role: 'user', content: 'prev context' }, { role: 'assistant', content: 'prev response' }],
+      lastPromptNumber: 2
+    });
+
+    await agent.startSession(session);
+
+    const roles = requests[0].body.messages.map((m: any) => m.role);
+    expect(roles).toEqual(['user', 'assistant', 'user']);
+    expect(session.conversationHistory[2].role).toBe('user');
+    expect(session.conversationHistory.at(-1)).toEqual({ role: 'assistant', content: observationXml });
+  });
+
+  it('should process responses through the shared ResponseProcessor', async () => {
+    const session = makeSession();
+
+    await agent.startSession(session);
+
+    expect(mockStoreObservations).toHaveBeenCalled();
+    expect(mockSyncObservation).toHaveBeenCalled();
+    expect(session.cumulativeInputTokens).toBe(70);
+    expect(session.cumulativeOutputTokens).toBe(30);
+  });
+
+  it('should surface server errors', async () => {
+    stubResponse = () => new Response('model not loaded', { status: 404 });
+
+    await expect(agent.startSession(makeSession())).rejects.toThrow('OpenAI-compatible API error: 404 - model not loaded');
+  });
+
+  it('should require base URL and model', async () => {
+    settingsOverrides.CLAUDE_MEM_OPENAI_COMPATIBLE_MODEL = '';
+
+    expect(isOpenAICompatibleAvailable()).toBe(false);
+    await expect(agent.startSession(makeSession())).rejects.toThrow('OpenAI-compatible provider not configured');
+    expect(requests).toHaveLength(0);
+  });
+});
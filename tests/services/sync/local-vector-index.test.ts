@@ -0,0 +1,147 @@
+/**
+ * LocalVectorIndex tests
+ * Tests the in-process SQLite vector index with the deterministic HashEmbedder
+ *
+ * Sources:
+ * - API patterns from src/services/sync/LocalVectorIndex.ts
+ * - Schema from SessionStore migration 22 (vector_documents)
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { SessionStore } from '../../../src/services/sqlite/SessionStore.js';
+import { LocalVectorIndex, type VectorDocument } from '../../../src/services/sync/LocalVectorIndex.js';
+import { HashEmbedder } from '../../../src/services/sync/Embedder.js';
+
+function doc(id: string, sqliteId: number, docType: string, text: string, extra: Record<string, string | number> = {}): VectorDocument {
+  return {
+    id,
+    document: text,
+    metadata: { sqlite_id: sqliteId, doc_type: docType, project: 'test-project', created_at_epoch: 1000 + sqliteId, ...extra }
+  };
+}
+
+describe('HashEmbedder', () => {
+  it('should produce deterministic unit vectors', async () => {
+    const embedder = new HashEmbedder(64);
+    const [a] = await embedder.embed(['Database migration for auth tokens']);
+    const [b] = await embedder.embed(['database MIGRATION for auth tokens']);
+
+    expect(embedder.id).toBe('hash-64');
+    expect(a.length).toBe(64);
+    expect(Array.from(a)).toEqual(Array.from(b));
+
+    const norm = Math.sqrt(a.reduce((sum, v) => sum + v * v, 0));
+    expect(norm).toBeCloseTo(1, 5);
+  });
+
+  it('should return a zero vector for text without tokens', async () => {
+    const [vector] = await new HashEmbedder(16).embed(['  ... ']);
+    expect(Array.from(vector).every(v => v === 0)).toBe(true);
+  });
+});
+
+describe('LocalVectorIndex', () => {
+  let dir: string;
+  let dbPath: string;
+  let index: LocalVectorIndex;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'claude-mem-vectors-'));
+    dbPath = join(dir, 'test.db');
+    // SessionStore runs the migrations that create vector_documents
+    new SessionStore(dbPath).close();
+    index = new LocalVectorIndex(new HashEmbedder(), dbPath);
+  });
+
+  afterEach(() => {
+    index.close();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should rank documents by similarity to the query', async () => {
+    await index.addDocuments([
+      doc('obs_1_narrative', 1, 'observation', 'sqlite migration adds vector documents table'),
+      doc('obs_2_narrative', 2, 'observation', 'react viewer renders the settings modal'),
+      doc('summary_3_request', 3, 'session_summary', 'fixed sqlite migration ordering bug')
+    ]);
+
+    const result = await index.query('sqlite migration', 10);
+
+    expect(result.ids.slice(0, 2).sort()).toEqual([1, 3]);
+    expect(result.ids[2]).toBe(2);
+    expect(result.metadatas[0].doc_type).toBeDefined();
+    expect(result.distances[0]).toBeLessThanOrEqual(result.distances[1]);
+  });
+
+  it('should collapse multiple documents of one record into a single ID', async () => {
+    await index.addDocuments([
+      doc('obs_1_narrative', 1, 'observation', 'auth token refresh'),
+      doc('obs_1_fact_0', 1, 'observation', 'auth token expires after one hour'),
+      doc('obs_2_narrative', 2, 'observation', 'unrelated build script change')
+    ]);
+
+    const result = await index.query('auth token', 10);
+
+    expect(result.ids).toEqual([1, 2]);
+    expect(result.metadatas.length).toBe(3);
+  });
+
+  it('should apply Chroma-style where filters', async () => {
+    await index.addDocuments([
+      doc('obs_1_narrative', 1, 'observation', 'auth token refresh'),
+      doc('prompt_2', 2, 'user_prompt', 'auth token refresh please'),
+      doc('obs_3_narrative', 3, 'observation', 'auth token refresh', { project: 'other-project' })
+    ]);
+
+    const byType = await index.query('auth', 10, { doc_type: 'user_prompt' });
+    expect(byType.ids).toEqual([2]);
+
+    const byTypeAndProject = await index.query('auth', 10, {
+      $and: [{ doc_type: 'observation' }, { project: 'other-project' }]
+    });
+    expect(byTypeAndProject.ids).toEqual([3]);
+  });
+
+  it('should upsert by document ID', async () => {
+    await index.addDocuments([doc('obs_1_narrative', 1, 'observation', 'first version')]);
+    await index.addDocuments([doc('obs_1_narrative', 1, 'observation', 'second version')]);
+
+    expect(index.count()).toBe(1);
+  });
+
+  it('should delete every document for a record', async () => {
+    await index.addDocuments([
+      doc('obs_1_narrative', 1, 'observation', 'auth token refresh'),
+      doc('obs_1_fact_0', 1, 'observation', 'auth token expires'),
+      doc('summary_1_request', 1, 'session_summary', 'auth work')
+    ]);
+
+    expect(index.deleteRecord('observation', 1)).toBe(2);
+    expect(index.count()).toBe(1);
+  });
+
+  it('should report existing IDs per document type for the current model only', async () => {
+    await index.addDocuments([
+      doc('obs_1_narrative', 1, 'observation', 'a'),
+      doc('summary_2_request', 2, 'session_summary', 'b'),
+      doc('prompt_3', 3, 'user_prompt', 'c'),
+      doc('obs_4_narrative', 4, 'observation', 'd', { project: 'other-project' })
+    ]);
+
+    const existing = index.getExistingIds('test-project');
+    expect([...existing.observations]).toEqual([1]);
+    expect([...existing.summaries]).toEqual([2]);
+    expect([...existing.prompts]).toEqual([3]);
+
+    const otherModel = new LocalVectorIndex(new HashEmbedder(32), dbPath);
+    try {
+      expect(otherModel.getExistingIds('test-project').observations.size).toBe(0);
+      expect((await otherModel.query('a', 10)).ids).toEqual([]);
+    } finally {
+      otherModel.close();
+    }
+  });
+});
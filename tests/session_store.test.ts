@@ -118,4 +118,81 @@ describe('SessionStore', () => {
     expect(stored).not.toBeNull();
     expect(stored?.created_at_epoch).toBe(pastTimestamp);
   });
+
+  describe('edit methods', () => {
+    const memoryId = 'memory-sess-edit';
+    const claudeId = 'claude-sess-edit';
+
+    beforeEach(() => {
+      const sdkId = store.createSDKSession(claudeId, 'test-project', 'initial prompt');
+      store.updateMemorySessionId(sdkId, memoryId);
+    });
+
+    const storeTestObservation = () => store.storeObservation(memoryId, 'test-project', {
+      type: 'discovery',
+      title: 'Wrong title',
+      subtitle: null,
+      facts: ['hallucinated fact'],
+      narrative: 'Original narrative',
+      concepts: [],
+      files_read: [],
+      files_modified: []
+    }, 1);
+
+    it('should update only the provided observation fields', () => {
+      const { id } = storeTestObservation();
+
+      const updated = store.updateObservation(id, { title: 'Right title', facts: ['real fact'] }) as any;
+
+      expect(updated.title).toBe('Right title');
+      expect(JSON.parse(updated.facts)).toEqual(['real fact']);
+      expect(updated.narrative).toBe('Original narrative');
+    });
+
+    it('should return null when updating a missing observation', () => {
+      expect(store.updateObservation(9999, { title: 'Nope' })).toBeNull();
+    });
+
+    it('should delete an observation', () => {
+      const { id } = storeTestObservation();
+
+      expect(store.deleteObservation(id)).toBe(true);
+      expect(store.getObservationById(id)).toBeNull();
+      expect(store.deleteObservation(id)).toBe(false);
+    });
+
+    it('should update and delete a session summary', () => {
+      const { id } = store.storeSummary(memoryId, 'test-project', {
+        request: 'Do something',
+        investigated: 'Stuff',
+        learned: 'Wrong lesson',
+        completed: 'Done',
+        next_steps: 'More',
+        notes: null
+      }, 1);
+
+      const updated = store.updateSessionSummary(id, { learned: 'Right lesson' });
+      expect(updated?.learned).toBe('Right lesson');
+      expect(updated?.request).toBe('Do something');
+
+      expect(store.deleteSessionSummary(id)).toBe(true);
+      expect(store.getSessionSummariesByIds([id])).toHaveLength(0);
+    });
+
+    it('should keep user_prompts_fts in sync when editing and deleting prompts', () => {
+      const id = store.saveUserPrompt(claudeId, 1, 'fix the flaky login test');
+      const ftsMatches = (term: string) => store.db.prepare(
+        'SELECT rowid FROM user_prompts_fts WHERE user_prompts_fts MATCH ?'
+      ).all(term) as Array<{ rowid: number }>;
+
+      const updated = store.updateUserPrompt(id, 'refactor the payment module');
+      expect(updated?.prompt_text).toBe('refactor the payment module');
+      expect(updated?.project).toBe('test-project');
+      expect(ftsMatches('flaky')).toHaveLength(0);
+      expect(ftsMatches('payment')).toHaveLength(1);
+
+      expect(store.deleteUserPrompt(id)).toBe(true);
+      expect(ftsMatches('payment')).toHaveLength(0);
+    });
+  });
 });
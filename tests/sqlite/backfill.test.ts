@@ -0,0 +1,167 @@
+/**
+ * Transcript backfill tests
+ * Tests backfill progress records with in-memory database and transcript turn parsing
+ *
+ * Sources:
+ * - API patterns from src/services/sqlite/backfill/progress.ts
+ * - Parser from src/shared/transcript-parser.ts
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import { mkdirSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { ClaudeMemDatabase } from '../../src/services/sqlite/Database.js';
+import {
+  getBackfillTranscript,
+  startBackfillTranscript,
+  markBackfillTurnQueued,
+  completeBackfillTranscript,
+  skipBackfillTranscript,
+  getBackfillCounts
+} from '../../src/services/sqlite/Backfill.js';
+import { saveUserPrompt } from '../../src/services/sqlite/Prompts.js';
+import { createSDKSession } from '../../src/services/sqlite/Sessions.js';
+import { parseTranscriptTurns } from '../../src/shared/transcript-parser.js';
+import type { BackfillTranscriptInput } from '../../src/services/sqlite/Backfill.js';
+import type { Database } from 'bun:sqlite';
+
+const NOW = 1767225600000;
+
+function makeInput(overrides: Partial<BackfillTranscriptInput> = {}): BackfillTranscriptInput {
+  return {
+    contentSessionId: 'session-1',
+    transcriptPath: '/transcripts/session-1.jsonl',
+    project: 'acme',
+    sessionDbId: 1,
+    fileSize: 100,
+    turnsTotal: 3,
+    ...overrides
+  };
+}
+
+describe('Backfill Progress', () => {
+  let db: Database;
+
+  beforeEach(() => {
+    db = new ClaudeMemDatabase(':memory:').db;
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('should keep queued turns when a transcript is started again', () => {
+    startBackfillTranscript(db, makeInput(), NOW);
+    markBackfillTurnQueued(db, 'session-1', 2, NOW);
+    startBackfillTranscript(db, makeInput({ fileSize: 200, turnsTotal: 4 }), NOW + 1);
+
+    const record = getBackfillTranscript(db, 'session-1');
+    expect(record).toMatchObject({ status: 'queued', turns_queued: 2, turns_total: 4, file_size: 200 });
+  });
+
+  it('should never move queued turns backwards', () => {
+    startBackfillTranscript(db, makeInput(), NOW);
+    markBackfillTurnQueued(db, 'session-1', 3, NOW);
+    markBackfillTurnQueued(db, 'session-1', 1, NOW);
+
+    expect(getBackfillTranscript(db, 'session-1')?.turns_queued).toBe(3);
+  });
+
+  it('should count transcripts by status', () => {
+    startBackfillTranscript(db, makeInput(), NOW);
+    completeBackfillTranscript(db, 'session-1', NOW);
+    startBackfillTranscript(db, makeInput({ contentSessionId: 'session-2' }), NOW);
+    skipBackfillTranscript(db, 'session-3', '/transcripts/session-3.jsonl', 'acme', 10, 'captured live', NOW);
+
+    expect(getBackfillCounts(db)).toEqual({ queued: 1, completed: 1, skipped: 1 });
+    expect(getBackfillTranscript(db, 'session-3')?.skip_reason).toBe('captured live');
+  });
+
+  it('should clear the skip reason when a skipped transcript is backfilled', () => {
+    skipBackfillTranscript(db, 'session-1', '/transcripts/session-1.jsonl', 'acme', 10, 'no prompts', NOW);
+    startBackfillTranscript(db, makeInput(), NOW);
+
+    expect(getBackfillTranscript(db, 'session-1')).toMatchObject({ status: 'queued', skip_reason: null });
+  });
+
+  it('should store prompts at their original time', () => {
+    createSDKSession(db, 'session-1', 'acme', 'Fix the build');
+    saveUserPrompt(db, 'session-1', 1, 'Fix the build', NOW - 1000);
+
+    const row = db.prepare('SELECT created_at_epoch FROM user_prompts WHERE content_session_id = ?')
+      .get('session-1') as { created_at_epoch: number };
+    expect(row.created_at_epoch).toBe(NOW - 1000);
+  });
+});
+
+describe('parseTranscriptTurns', () => {
+  let dir: string;
+
+  beforeEach(() => {
+    dir = join(tmpdir(), `backfill-test-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    mkdirSync(dir, { recursive: true });
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  function writeTranscript(lines: unknown[], extra: string = ''): string {
+    const filePath = join(dir, 'session.jsonl');
+    writeFileSync(filePath, lines.map(line => JSON.stringify(line)).join('\n') + '\n' + extra);
+    return filePath;
+  }
+
+  const base = { sessionId: 'abc', cwd: '/work/acme' };
+
+  it('should pair tool uses with their results within each prompt turn', () => {
+    const filePath = writeTranscript([
+      { ...base, type: 'user', timestamp: '2026-01-01T00:00:00.000Z', message: { content: 'Fix the build' } },
+      { ...base, type: 'assistant', timestamp: '2026-01-01T00:00:01.000Z', message: { content: [
+        { type: 'text', text: 'Reading the config' },
+        { type: 'tool_use', id: 't1', name: 'Read', input: { file_path: 'tsconfig.json' } }
+      ] } },
+      { ...base, type: 'user', timestamp: '2026-01-01T00:00:02.000Z', toolUseResult: { content: '{}' }, message: { content: [
+        { type: 'tool_result', tool_use_id: 't1', content: '{}' }
+      ] } },
+      { ...base, type: 'assistant', timestamp: '2026-01-01T00:00:03.000Z', message: { content: [{ type: 'text', text: 'Fixed' }] } },
+      { ...base, type: 'user', timestamp: '2026-01-01T00:01:00.000Z', message: { content: 'Thanks' } }
+    ]);
+
+    const parsed = parseTranscriptTurns(filePath);
+
+    expect(parsed.sessionId).toBe('abc');
+    expect(parsed.cwd).toBe('/work/acme');
+    expect(parsed.turns).toHaveLength(2);
+    expect(parsed.turns[0]).toMatchObject({
+      prompt: 'Fix the build',
+      timestampEpoch: NOW,
+      lastAssistantMessage: 'Fixed',
+      endedAtEpoch: NOW + 3000
+    });
+    expect(parsed.turns[0].toolUses).toEqual([{
+      toolName: 'Read',
+      toolInput: { file_path: 'tsconfig.json' },
+      toolResponse: { content: '{}' },
+      cwd: '/work/acme',
+      timestampEpoch: NOW + 2000
+    }]);
+    expect(parsed.turns[1].toolUses).toEqual([]);
+  });
+
+  it('should skip sidechain, meta, unanswered tool uses and a truncated last line', () => {
+    const filePath = writeTranscript([
+      { ...base, type: 'user', isMeta: true, message: { content: 'Caveat' } },
+      { ...base, type: 'user', message: { content: 'Refactor' } },
+      { ...base, type: 'assistant', isSidechain: true, message: { content: [{ type: 'tool_use', id: 's1', name: 'Grep', input: {} }] } },
+      { ...base, type: 'assistant', message: { content: [{ type: 'tool_use', id: 't1', name: 'Edit', input: {} }] } }
+    ], '{"type":"user","mess');
+
+    const parsed = parseTranscriptTurns(filePath);
+
+    expect(parsed.turns).toHaveLength(1);
+    expect(parsed.turns[0].prompt).toBe('Refactor');
+    expect(parsed.turns[0].toolUses).toEqual([]);
+  });
+});
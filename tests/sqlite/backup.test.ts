@@ -0,0 +1,116 @@
+/**
+ * Backup module tests
+ * Tests snapshots, rotation and restore against file-backed databases in a temp directory
+ *
+ * Sources:
+ * - API patterns from src/services/sqlite/backup/snapshot.ts
+ * - Test pattern from tests/sqlite/retention.test.ts
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import { Database } from 'bun:sqlite';
+import { mkdtempSync, rmSync, existsSync, writeFileSync, utimesSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { ClaudeMemDatabase } from '../../src/services/sqlite/Database.js';
+import { createSDKSession } from '../../src/services/sqlite/Sessions.js';
+import {
+  createSnapshot,
+  listSnapshots,
+  rotateSnapshots,
+  inspectSnapshot,
+  restoreSnapshot,
+  getSchemaVersion,
+  getSupportedSchemaVersion
+} from '../../src/services/sqlite/Backup.js';
+
+function countSessions(dbPath: string): number {
+  const db = new Database(dbPath, { readonly: true });
+  try {
+    return (db.prepare('SELECT COUNT(*) as count FROM sdk_sessions').get() as { count: number }).count;
+  } finally {
+    db.close();
+  }
+}
+
+describe('Backup Module', () => {
+  let tempDir: string;
+  let dbPath: string;
+  let backupDir: string;
+  let database: ClaudeMemDatabase;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(path.join(tmpdir(), 'claude-mem-backup-'));
+    dbPath = path.join(tempDir, 'claude-mem.db');
+    backupDir = path.join(tempDir, 'backups');
+    database = new ClaudeMemDatabase(dbPath);
+    createSDKSession(database.db, 'content-1', 'backup-project', 'first prompt');
+  });
+
+  afterEach(() => {
+    database.close();
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should write a consistent snapshot while the database is open', () => {
+    const snapshot = createSnapshot(database.db, backupDir);
+
+    expect(existsSync(snapshot.path)).toBe(true);
+    expect(snapshot.schemaVersion).toBe(getSupportedSchemaVersion());
+    expect(countSessions(snapshot.path)).toBe(1);
+    expect(inspectSnapshot(snapshot.path).integrity).toBe('ok');
+  });
+
+  it('should keep only the newest snapshots when rotating', () => {
+    const paths = [1, 2, 3].map(day => {
+      const snapshot = createSnapshot(database.db, backupDir, Date.UTC(2025, 0, day));
+      utimesSync(snapshot.path, new Date(Date.UTC(2025, 0, day)), new Date(Date.UTC(2025, 0, day)));
+      return snapshot.path;
+    });
+    writeFileSync(path.join(backupDir, 'pre-restore-old.db'), '');
+
+    const removed = rotateSnapshots(backupDir, 2);
+
+    expect(removed).toEqual([paths[0]]);
+    expect(listSnapshots(backupDir).map(s => s.path)).toEqual([paths[2], paths[1]]);
+    expect(existsSync(path.join(backupDir, 'pre-restore-old.db'))).toBe(true);
+  });
+
+  it('should restore a snapshot and keep a safety copy of the replaced database', () => {
+    const snapshot = createSnapshot(database.db, backupDir);
+    createSDKSession(database.db, 'content-2', 'backup-project', 'second prompt');
+    database.close();
+
+    const result = restoreSnapshot(snapshot.path, dbPath, backupDir);
+
+    expect(countSessions(dbPath)).toBe(1);
+    expect(result.safetyCopyPath).not.toBeNull();
+    expect(countSessions(result.safetyCopyPath!)).toBe(2);
+    expect(existsSync(`${dbPath}-wal`)).toBe(false);
+
+    database = new ClaudeMemDatabase(dbPath);
+    expect(getSchemaVersion(database.db)).toBe(getSupportedSchemaVersion());
+  });
+
+  it('should refuse a snapshot from a newer schema', () => {
+    const snapshot = createSnapshot(database.db, backupDir);
+    const future = new Database(snapshot.path);
+    future.run("INSERT INTO schema_versions (version, applied_at) VALUES (999, '2030-01-01')");
+    future.close();
+    database.close();
+
+    expect(() => restoreSnapshot(snapshot.path, dbPath, backupDir)).toThrow('newer than this claude-mem supports');
+    expect(countSessions(dbPath)).toBe(1);
+
+    database = new ClaudeMemDatabase(dbPath);
+  });
+
+  it('should refuse a file that is not a claude-mem database', () => {
+    const otherPath = path.join(tempDir, 'other.db');
+    const other = new Database(otherPath);
+    other.run('CREATE TABLE notes (id INTEGER PRIMARY KEY)');
+    other.close();
+
+    expect(() => inspectSnapshot(otherPath)).toThrow('not a claude-mem database');
+  });
+});
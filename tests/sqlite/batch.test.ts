@@ -0,0 +1,40 @@
+/**
+ * Batched ID statement tests
+ * Runs ID lists longer than one chunk against an in-memory database
+ *
+ * Sources:
+ * - API patterns from src/services/sqlite/batch.ts
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import { Database } from 'bun:sqlite';
+import { deleteRowsByIds, selectRowsByIds } from '../../src/services/sqlite/batch.js';
+
+describe('Batched ID statements', () => {
+  let db: Database;
+  const ids = Array.from({ length: 1200 }, (_, i) => i + 1);
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    db.run('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT NOT NULL)');
+    const insert = db.prepare('INSERT INTO items (id, name) VALUES (?, ?)');
+    for (const id of ids) insert.run(id, `item-${id}`);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('should select rows across chunks', () => {
+    const rows = selectRowsByIds<{ id: number; name: string }>(db, 'SELECT * FROM items WHERE id IN ($IDS) ORDER BY id', ids.slice(100));
+
+    expect(rows).toHaveLength(1100);
+    expect(rows[0]).toEqual({ id: 101, name: 'item-101' });
+    expect(rows.at(-1)!.id).toBe(1200);
+  });
+
+  it('should delete rows across chunks and count them', () => {
+    expect(deleteRowsByIds(db, 'items', ids.slice(0, 1100))).toBe(1100);
+    expect(selectRowsByIds(db, 'SELECT id FROM items WHERE id IN ($IDS)', ids)).toEqual(ids.slice(1100).map(id => ({ id })));
+  });
+});
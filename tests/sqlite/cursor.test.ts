@@ -0,0 +1,119 @@
+/**
+ * Keyset cursor tests
+ * Tests cursor encoding and cursor paging of SessionSearch against a real SQLite database
+ *
+ * Sources:
+ * - API patterns from src/services/sqlite/cursor.ts
+ * - Cursor support in src/services/sqlite/SessionSearch.ts
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { SessionStore } from '../../src/services/sqlite/SessionStore.js';
+import { SessionSearch } from '../../src/services/sqlite/SessionSearch.js';
+import {
+  decodeCursor,
+  encodeCursor,
+  InvalidCursorError,
+  isAfterPosition
+} from '../../src/services/sqlite/cursor.js';
+
+describe('Keyset cursors', () => {
+  it('should round-trip a row position', () => {
+    const cursor = encodeCursor({ created_at_epoch: 1700000000000, id: 42 });
+
+    expect(cursor).not.toContain('42');
+    expect(decodeCursor(cursor)).toEqual({ epoch: 1700000000000, id: 42 });
+  });
+
+  it('should reject cursors it did not issue', () => {
+    expect(() => decodeCursor('not a cursor')).toThrow(InvalidCursorError);
+    expect(() => decodeCursor(Buffer.from('{"o":1}').toString('base64url'))).toThrow(InvalidCursorError);
+    expect(() => decodeCursor(Buffer.from('[1.5,2]').toString('base64url'))).toThrow(InvalidCursorError);
+  });
+
+  it('should compare positions by epoch then id', () => {
+    const position = { epoch: 100, id: 5 };
+
+    expect(isAfterPosition({ created_at_epoch: 99, id: 9 }, position, 'date_desc')).toBe(true);
+    expect(isAfterPosition({ created_at_epoch: 100, id: 4 }, position, 'date_desc')).toBe(true);
+    expect(isAfterPosition({ created_at_epoch: 100, id: 5 }, position, 'date_desc')).toBe(false);
+    expect(isAfterPosition({ created_at_epoch: 100, id: 6 }, position, 'date_asc')).toBe(true);
+    expect(isAfterPosition({ created_at_epoch: 101, id: 1 }, position, 'date_desc')).toBe(false);
+  });
+});
+
+describe('SessionSearch cursor paging', () => {
+  let dir: string;
+  let store: SessionStore;
+  let search: SessionSearch;
+  const memoryId = 'memory-sess-cursor';
+
+  function storeObservation(title: string, epoch: number): number {
+    return store.storeObservation(memoryId, 'acme', {
+      type: 'discovery',
+      title,
+      subtitle: null,
+      facts: [],
+      narrative: 'Worker startup notes',
+      concepts: [],
+      files_read: [],
+      files_modified: []
+    }, 1, 0, epoch).id;
+  }
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'claude-mem-cursor-'));
+    const dbPath = join(dir, 'test.db');
+    store = new SessionStore(dbPath);
+    search = new SessionSearch(dbPath);
+
+    const sdkId = store.createSDKSession('claude-sess-cursor', 'acme', 'initial prompt');
+    store.updateMemorySessionId(sdkId, memoryId);
+  });
+
+  afterEach(() => {
+    search.close();
+    store.close();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should page filter-only results without skipping rows that share an epoch', () => {
+    const ids = [1000, 2000, 2000, 2000, 3000].map((epoch, i) => storeObservation(`Observation ${i}`, epoch));
+
+    const first = search.searchObservations(undefined, { project: 'acme', orderBy: 'date_desc', limit: 2 });
+    const last = first[first.length - 1];
+    const second = search.searchObservations(undefined, {
+      project: 'acme',
+      orderBy: 'date_desc',
+      limit: 10,
+      cursor: { epoch: last.created_at_epoch, id: last.id }
+    });
+
+    expect([...first, ...second].map(o => o.id)).toEqual([ids[4], ids[3], ids[2], ids[1], ids[0]]);
+  });
+
+  it('should not shift pages when newer rows arrive between requests', () => {
+    const ids = [1000, 2000, 3000, 4000].map((epoch, i) => storeObservation(`Worker note ${i}`, epoch));
+
+    const first = search.searchObservations('worker', { orderBy: 'date_desc', limit: 2 });
+    storeObservation('Worker note arriving live', 5000);
+    const last = first[first.length - 1];
+    const second = search.searchObservations('worker', {
+      orderBy: 'date_desc',
+      limit: 2,
+      cursor: { epoch: last.created_at_epoch, id: last.id }
+    });
+
+    expect(first.map(o => o.id)).toEqual([ids[3], ids[2]]);
+    expect(second.map(o => o.id)).toEqual([ids[1], ids[0]]);
+  });
+
+  it('should reject cursors for keyword matches ordered by relevance', () => {
+    storeObservation('Worker note', 1000);
+
+    expect(() => search.searchObservations('worker', { cursor: { epoch: 1000, id: 1 } })).toThrow(InvalidCursorError);
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Doctor module tests
+ * Tests orphan, FTS, stuck-queue and vector-drift checks and their repairs with in-memory database
+ *
+ * Sources:
+ * - API patterns from src/services/sqlite/doctor/checks.ts
+ * - Test pattern from tests/sqlite/retention.test.ts
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import { ClaudeMemDatabase } from '../../src/services/sqlite/Database.js';
+import { createSDKSession, updateMemorySessionId } from '../../src/services/sqlite/Sessions.js';
+import { storeObservation, getObservationById } from '../../src/services/sqlite/Observations.js';
+import { saveUserPrompt } from '../../src/services/sqlite/Prompts.js';
+import {
+  findOrphanedRows,
+  repairOrphanedRows,
+  checkFtsIndexes,
+  rebuildFtsIndex,
+  findStuckMessages,
+  resetStuckMessages,
+  getVectorRecordIds,
+  diffVectorIds
+} from '../../src/services/sqlite/Doctor.js';
+import type { ObservationInput } from '../../src/services/sqlite/Observations.js';
+import type { Database } from 'bun:sqlite';
+
+const NOW = 1767225600000;
+
+describe('Doctor Module', () => {
+  let db: Database;
+  let sessionDbId: number;
+  const memorySessionId = 'mem-doctor-session';
+
+  beforeEach(() => {
+    db = new ClaudeMemDatabase(':memory:').db;
+    sessionDbId = createSDKSession(db, 'content-doctor-session', 'doctor-project', 'prompt');
+    updateMemorySessionId(db, sessionDbId, memorySessionId);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  function insertPendingMessage(sessionId: number, status: string, startedEpoch: number | null): number {
+    const result = db.prepare(`
+      INSERT INTO pending_messages (session_db_id, content_session_id, message_type, status, created_at_epoch, started_processing_at_epoch)
+      VALUES (?, 'content-doctor-session', 'observation', ?, ?, ?)
+    `).run(sessionId, status, NOW, startedEpoch);
+    return Number(result.lastInsertRowid);
+  }
+
+  function createObservationInput(overrides: Partial<ObservationInput> = {}): ObservationInput {
+    return {
+      type: 'discovery',
+      title: 'Observation',
+      subtitle: null,
+      facts: [],
+      narrative: null,
+      concepts: [],
+      files_read: [],
+      files_modified: [],
+      ...overrides
+    };
+  }
+
+  describe('orphaned rows', () => {
+    it('should find rows whose session is missing and leave healthy rows alone', () => {
+      storeObservation(db, memorySessionId, 'doctor-project', createObservationInput());
+      saveUserPrompt(db, 'content-doctor-session', 1, 'healthy prompt');
+
+      db.run('PRAGMA foreign_keys = OFF');
+      const { id: orphanObsId } = storeObservation(db, 'mem-deleted-session', 'doctor-project', createObservationInput({ title: 'Orphan' }));
+      const orphanPromptId = saveUserPrompt(db, 'content-deleted-session', 1, 'orphan prompt');
+      const orphanMessageId = insertPendingMessage(9999, 'pending', null);
+      db.run('PRAGMA foreign_keys = ON');
+
+      expect(findOrphanedRows(db)).toEqual({
+        observationIds: [orphanObsId],
+        summaryIds: [],
+        promptIds: [orphanPromptId],
+        pendingMessageIds: [orphanMessageId]
+      });
+    });
+
+    it('should recreate sessions for orphaned observations and delete orphaned prompts and messages', () => {
+      db.run('PRAGMA foreign_keys = OFF');
+      const { id: orphanObsId } = storeObservation(db, 'mem-deleted-session', 'doctor-project', createObservationInput());
+      saveUserPrompt(db, 'content-deleted-session', 1, 'orphan prompt');
+      insertPendingMessage(9999, 'pending', null);
+      db.run('PRAGMA foreign_keys = ON');
+
+      const result = repairOrphanedRows(db, findOrphanedRows(db));
+
+      expect(result).toEqual({ sessionsRecreated: 1, promptsDeleted: 1, pendingMessagesDeleted: 1 });
+      expect(getObservationById(db, orphanObsId)).not.toBeNull();
+      const session = db.prepare('SELECT project, status FROM sdk_sessions WHERE memory_session_id = ?').get('mem-deleted-session');
+      expect(session).toEqual({ project: 'doctor-project', status: 'completed' });
+      expect(findOrphanedRows(db)).toEqual({ observationIds: [], summaryIds: [], promptIds: [], pendingMessageIds: [] });
+    });
+  });
+
+  describe('FTS indexes', () => {
+    it('should detect drift and fix it by rebuilding', () => {
+      const promptId = saveUserPrompt(db, 'content-doctor-session', 1, 'searchable prompt text');
+      expect(checkFtsIndexes(db).every(check => check.ok)).toBe(true);
+
+      db.prepare("INSERT INTO user_prompts_fts(user_prompts_fts, rowid, prompt_text) VALUES('delete', ?, ?)")
+        .run(promptId, 'searchable prompt text');
+
+      const drifted = checkFtsIndexes(db).find(check => check.table === 'user_prompts_fts');
+      expect(drifted?.ok).toBe(false);
+
+      rebuildFtsIndex(db, 'user_prompts_fts');
+      expect(checkFtsIndexes(db).find(check => check.table === 'user_prompts_fts')?.ok).toBe(true);
+    });
+
+    it('should refuse to rebuild unknown tables', () => {
+      expect(() => rebuildFtsIndex(db, 'observations; DROP TABLE observations')).toThrow('Unknown FTS table');
+    });
+  });
+
+  describe('stuck messages', () => {
+    it('should find and reset messages processing longer than the threshold', () => {
+      const stuckId = insertPendingMessage(sessionDbId, 'processing', NOW - 10 * 60 * 1000);
+      insertPendingMessage(sessionDbId, 'processing', NOW - 60 * 1000);
+      insertPendingMessage(sessionDbId, 'pending', null);
+
+      const stuck = findStuckMessages(db, 5 * 60 * 1000, NOW);
+      expect(stuck).toEqual([stuckId]);
+
+      expect(resetStuckMessages(db, stuck)).toBe(1);
+      const row = db.prepare('SELECT status, started_processing_at_epoch FROM pending_messages WHERE id = ?').get(stuckId);
+      expect(row).toEqual({ status: 'pending', started_processing_at_epoch: null });
+    });
+  });
+
+  describe('vector drift', () => {
+    it('should report records missing from the index and documents for deleted records', () => {
+      const { id: kept } = storeObservation(db, memorySessionId, 'doctor-project', createObservationInput());
+      const { id: unsynced } = storeObservation(db, memorySessionId, 'doctor-project', createObservationInput({ title: 'New' }));
+
+      const drift = diffVectorIds(getVectorRecordIds(db), {
+        observations: new Set([kept, 4242]),
+        summaries: new Set(),
+        prompts: new Set([77])
+      });
+
+      expect(drift.missing).toEqual({ observations: [unsynced], summaries: [], prompts: [] });
+      expect(drift.stale).toEqual({ observations: [4242], summaries: [], prompts: [77] });
+    });
+  });
+});
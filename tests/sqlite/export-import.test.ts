@@ -0,0 +1,150 @@
+/**
+ * Project export/import tests
+ * Round-trips projects through the versioned JSONL format between in-memory databases
+ *
+ * Sources:
+ * - API patterns from src/services/sqlite/export/jsonl.ts and src/services/sqlite/import/jsonl.ts
+ * - Test pattern from tests/sqlite/retention.test.ts
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { ClaudeMemDatabase } from '../../src/services/sqlite/Database.js';
+import { createSDKSession, updateMemorySessionId } from '../../src/services/sqlite/Sessions.js';
+import { storeObservation, setObservationPinned } from '../../src/services/sqlite/Observations.js';
+import { storeSummary } from '../../src/services/sqlite/Summaries.js';
+import { saveUserPrompt } from '../../src/services/sqlite/Prompts.js';
+import { exportProjectLines, EXPORT_FORMAT_VERSION } from '../../src/services/sqlite/Export.js';
+import { importProjectLines, parseProjectRemaps, readFileLines } from '../../src/services/sqlite/Import.js';
+import type { ObservationInput } from '../../src/services/sqlite/Observations.js';
+import type { Database } from 'bun:sqlite';
+
+function count(db: Database, table: string): number {
+  return (db.prepare(`SELECT COUNT(*) as count FROM ${table}`).get() as { count: number }).count;
+}
+
+describe('Project Export/Import', () => {
+  let source: Database;
+  let target: Database;
+
+  beforeEach(() => {
+    source = new ClaudeMemDatabase(':memory:').db;
+    target = new ClaudeMemDatabase(':memory:').db;
+  });
+
+  afterEach(() => {
+    source.close();
+    target.close();
+  });
+
+  function createObservationInput(overrides: Partial<ObservationInput> = {}): ObservationInput {
+    return {
+      type: 'decision',
+      title: 'Use JSONL for exports',
+      subtitle: null,
+      facts: ['Streams line by line'],
+      narrative: 'Whole projects can be large',
+      concepts: [],
+      files_read: [],
+      files_modified: [],
+      ...overrides
+    };
+  }
+
+  function seedProject(db: Database, project: string, suffix: string): number {
+    const sessionId = createSDKSession(db, `content-${suffix}`, project, 'first prompt');
+    updateMemorySessionId(db, sessionId, `mem-${suffix}`);
+    saveUserPrompt(db, `content-${suffix}`, 1, 'first prompt');
+    storeSummary(db, `mem-${suffix}`, project, {
+      request: 'Export', investigated: '', learned: '', completed: '', next_steps: '', notes: null
+    }, 1, 0, 1767225600000);
+    return storeObservation(db, `mem-${suffix}`, project, createObservationInput()).id;
+  }
+
+  it('should export only the requested projects with header and footer', () => {
+    seedProject(source, 'alpha', 'a');
+    seedProject(source, 'beta', 'b');
+
+    const lines = [...exportProjectLines(source, ['alpha'])].map(line => JSON.parse(line));
+
+    expect(lines[0]).toMatchObject({ kind: 'header', format: 'claude-mem-export', version: EXPORT_FORMAT_VERSION, projects: ['alpha'] });
+    expect(lines.slice(1, -1).map(line => line.kind)).toEqual(['session', 'prompt', 'summary', 'observation']);
+    expect(lines.at(-1)).toEqual({ kind: 'footer', counts: { sessions: 1, prompts: 1, summaries: 1, observations: 1 } });
+  });
+
+  it('should round-trip every column, including pinned state', () => {
+    const obsId = seedProject(source, 'alpha', 'a');
+    setObservationPinned(source, obsId, true, 1767225600000);
+
+    const result = importProjectLines(target, exportProjectLines(source));
+
+    expect(result.observations).toEqual({ inserted: 1, updated: 0, skipped: 0 });
+    expect(count(target, 'sdk_sessions')).toBe(1);
+    expect(count(target, 'user_prompts')).toBe(1);
+    expect(count(target, 'session_summaries')).toBe(1);
+    const imported = target.prepare('SELECT pinned, pinned_at_epoch, facts FROM observations').get();
+    expect(imported).toEqual({ pinned: 1, pinned_at_epoch: 1767225600000, facts: '["Streams line by line"]' });
+  });
+
+  it('should skip existing records by default and overwrite them on request', () => {
+    seedProject(source, 'alpha', 'a');
+    importProjectLines(target, exportProjectLines(source));
+    source.prepare('UPDATE observations SET narrative = ?').run('Edited on the source');
+
+    const skipped = importProjectLines(target, exportProjectLines(source));
+    expect(skipped.observations).toEqual({ inserted: 0, updated: 0, skipped: 1 });
+    expect(target.prepare('SELECT narrative FROM observations').get()).toEqual({ narrative: 'Whole projects can be large' });
+
+    const overwritten = importProjectLines(target, exportProjectLines(source), { conflict: 'overwrite' });
+    expect(overwritten.observations).toEqual({ inserted: 0, updated: 1, skipped: 0 });
+    expect(overwritten.touched.observations).toHaveLength(1);
+    expect(target.prepare('SELECT narrative FROM observations').get()).toEqual({ narrative: 'Edited on the source' });
+    expect(count(target, 'observations')).toBe(1);
+  });
+
+  it('should remap project names', () => {
+    seedProject(source, 'alpha', 'a');
+
+    importProjectLines(target, exportProjectLines(source), { projectMap: parseProjectRemaps(['alpha=acme/alpha']) });
+
+    expect(target.prepare('SELECT DISTINCT project FROM observations').all()).toEqual([{ project: 'acme/alpha' }]);
+    expect(target.prepare('SELECT project FROM sdk_sessions').get()).toEqual({ project: 'acme/alpha' });
+  });
+
+  it('should import a file read back a line at a time', () => {
+    seedProject(source, 'alpha', 'a');
+    const dir = mkdtempSync(path.join(tmpdir(), 'claude-mem-export-'));
+    const file = path.join(dir, 'export.jsonl');
+    try {
+      writeFileSync(file, [...exportProjectLines(source)].join('\n') + '\n');
+      const result = importProjectLines(target, readFileLines(file));
+
+      expect(result.observations.inserted).toBe(1);
+      expect(count(target, 'observations')).toBe(1);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should reject truncated files and leave the database unchanged', () => {
+    seedProject(source, 'alpha', 'a');
+    const lines = [...exportProjectLines(source)];
+
+    expect(() => importProjectLines(target, lines.slice(0, -1))).toThrow('Missing footer');
+    expect(() => importProjectLines(target, [...lines.slice(0, 2), lines.at(-1)!])).toThrow('Footer expects');
+    expect(count(target, 'sdk_sessions')).toBe(0);
+  });
+
+  it('should reject files from a newer format version', () => {
+    const header = JSON.stringify({ kind: 'header', format: 'claude-mem-export', version: EXPORT_FORMAT_VERSION + 1 });
+    expect(() => importProjectLines(target, [header])).toThrow('newer than supported');
+    expect(() => importProjectLines(target, ['{"kind":"observation"}'])).toThrow('missing header');
+  });
+
+  it('should parse remaps and reject malformed ones', () => {
+    expect(parseProjectRemaps(['a=b,c=d/e'])).toEqual({ a: 'b', c: 'd/e' });
+    expect(() => parseProjectRemaps(['nope'])).toThrow('expected old=new');
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Git history import tests
+ * Tests imported commit tracking and observation-to-commit linking with in-memory database
+ *
+ * Sources:
+ * - API patterns from src/services/sqlite/git-history/commits.ts
+ * - Test pattern from tests/sqlite/backfill.test.ts
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import { ClaudeMemDatabase } from '../../src/services/sqlite/Database.js';
+import { createSDKSession, updateMemorySessionId } from '../../src/services/sqlite/Sessions.js';
+import { storeObservation, mergeObservations } from '../../src/services/sqlite/Observations.js';
+import { PendingMessageStore } from '../../src/services/sqlite/PendingMessageStore.js';
+import {
+  getImportedCommitShas,
+  recordQueuedCommits,
+  getUnlinkedCommitSessions,
+  linkCommitObservations,
+  linkObservationsToCommits,
+  getMessageCommitSha,
+  getObservationCommits,
+  GIT_COMMIT_TOOL_NAME,
+  getGitCommitCounts
+} from '../../src/services/sqlite/GitHistory.js';
+import type { GitCommitInput } from '../../src/services/sqlite/GitHistory.js';
+import type { ObservationInput } from '../../src/services/sqlite/Observations.js';
+import type { Database } from 'bun:sqlite';
+
+const NOW = 1767225600000;
+const SHA_A = 'aaaaaaa1111111111111111111111111111111111';
+const SHA_B = 'bbbbbbb2222222222222222222222222222222222';
+
+function makeCommit(overrides: Partial<GitCommitInput> = {}): GitCommitInput {
+  return {
+    sha: SHA_A,
+    authorName: 'Dev',
+    authorDateEpoch: NOW,
+    subject: 'Add parser',
+    files: ['src/parser.ts'],
+    ...overrides
+  };
+}
+
+describe('Git History Import', () => {
+  let db: Database;
+  let sessionDbId: number;
+
+  beforeEach(() => {
+    db = new ClaudeMemDatabase(':memory:').db;
+    sessionDbId = createSDKSession(db, 'git-history-aaaaaaa11111', 'acme', 'Learn acme from its git history');
+    updateMemorySessionId(db, sessionDbId, 'mem-git');
+    recordQueuedCommits(db, sessionDbId, [
+      makeCommit(),
+      makeCommit({ sha: SHA_B, authorDateEpoch: NOW + 60000, subject: 'Fix lexer', files: ['src/lexer.ts'] })
+    ], NOW);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  function createObservationInput(overrides: Partial<ObservationInput> = {}): ObservationInput {
+    return {
+      type: 'change',
+      title: 'Observation',
+      subtitle: null,
+      facts: [],
+      narrative: null,
+      concepts: [],
+      files_read: [],
+      files_modified: [],
+      ...overrides
+    };
+  }
+
+  it('should report imported commits and sessions waiting to be linked', () => {
+    expect(getImportedCommitShas(db, [SHA_A, 'ccccccc'])).toEqual(new Set([SHA_A]));
+    expect(getUnlinkedCommitSessions(db)).toEqual([sessionDbId]);
+    expect(getGitCommitCounts(db)).toEqual({ queued: 2, linked: 0 });
+  });
+
+  it('should link observations by cited SHA, author date, then changed files, and leave the rest unlinked', () => {
+    const cited = storeObservation(db, 'mem-git', 'acme', createObservationInput({ facts: ['Commit bbbbbbb fixed the lexer'] }), 1, 0, NOW).id;
+    const dated = storeObservation(db, 'mem-git', 'acme', createObservationInput({ title: 'Parser added' }), 1, 0, NOW).id;
+    const byFile = storeObservation(db, 'mem-git', 'acme', createObservationInput({ files_modified: ['/work/acme/src/lexer.ts'] }), 1, 0, NOW + 1).id;
+    const unmatched = storeObservation(db, 'mem-git', 'acme', createObservationInput({ title: 'Project overview' }), 1, 0, NOW + 2).id;
+
+    const result = linkCommitObservations(db, sessionDbId);
+
+    expect(result).toEqual({ observations: 4, commits: 2 });
+    expect(getObservationCommits(db, cited).map(c => c.sha)).toEqual([SHA_B]);
+    expect(getObservationCommits(db, dated).map(c => c.sha)).toEqual([SHA_A]);
+    expect(getObservationCommits(db, byFile).map(c => c.sha)).toEqual([SHA_B]);
+    expect(getObservationCommits(db, unmatched)).toEqual([]);
+    expect(getUnlinkedCommitSessions(db)).toEqual([]);
+    expect(getGitCommitCounts(db)).toEqual({ queued: 0, linked: 2 });
+  });
+
+  it('should link observations to the commit of their queued message', () => {
+    const store = new PendingMessageStore(db);
+    const messageId = store.enqueue(sessionDbId, 'git-history-aaaaaaa11111', {
+      type: 'observation',
+      tool_name: GIT_COMMIT_TOOL_NAME,
+      tool_input: JSON.stringify({ sha: SHA_B, subject: 'Fix lexer' })
+    }, NOW + 60000);
+    const [message] = store.getMessagesByIds([messageId]);
+    const sha = getMessageCommitSha(message.tool_name, message.tool_input);
+    expect(sha).toBe(SHA_B);
+    expect(getMessageCommitSha('Read', message.tool_input)).toBeNull();
+
+    // Mentions the other commit's file, but its message says where it came from
+    const obsId = storeObservation(db, 'mem-git', 'acme', createObservationInput({ files_read: ['src/parser.ts'] }), 1, 0, NOW + 60000).id;
+    expect(linkObservationsToCommits(db, [obsId], [sha!, 'fffffff-never-imported'])).toBe(1);
+
+    expect(linkCommitObservations(db, sessionDbId)).toEqual({ observations: 0, commits: 2 });
+    expect(getObservationCommits(db, obsId).map(c => c.sha)).toEqual([SHA_B]);
+  });
+
+  it('should not import a commit twice', () => {
+    const otherSession = createSDKSession(db, 'git-history-other', 'acme-fork', 'Learn acme-fork');
+    recordQueuedCommits(db, otherSession, [makeCommit()], NOW);
+
+    const rows = db.prepare('SELECT session_db_id FROM git_commits WHERE sha = ?').all(SHA_A) as { session_db_id: number }[];
+    expect(rows).toEqual([{ session_db_id: sessionDbId }]);
+  });
+
+  it('should keep commit tags when observations are merged', () => {
+    const canonical = storeObservation(db, 'mem-git', 'acme', createObservationInput({ facts: ['aaaaaaa'] }), 1, 0, NOW).id;
+    const duplicate = storeObservation(db, 'mem-git', 'acme', createObservationInput({ facts: ['bbbbbbb'] }), 1, 0, NOW).id;
+    linkCommitObservations(db, sessionDbId);
+
+    mergeObservations(db, canonical, [duplicate]);
+
+    expect(getObservationCommits(db, canonical).map(c => c.sha)).toEqual([SHA_A, SHA_B]);
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Observation dedup/merge module tests
+ * Tests similarity scoring, store-time folding and manual merges with in-memory database
+ *
+ * Sources:
+ * - API patterns from src/services/sqlite/observations/merge.ts
+ * - Test pattern from tests/sqlite/transactions.test.ts
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import { ClaudeMemDatabase } from '../../src/services/sqlite/Database.js';
+import { createSDKSession, updateMemorySessionId } from '../../src/services/sqlite/Sessions.js';
+import {
+  storeObservation,
+  getObservationById,
+  scoreObservationSimilarity,
+  findDuplicateObservation,
+  mergeObservations,
+  getObservationMerges
+} from '../../src/services/sqlite/Observations.js';
+import { storeObservations } from '../../src/services/sqlite/transactions.js';
+import type { ObservationInput } from '../../src/services/sqlite/Observations.js';
+import type { Database } from 'bun:sqlite';
+
+describe('Observation Merge Module', () => {
+  let db: Database;
+  const memorySessionId = 'mem-merge-session';
+
+  beforeEach(() => {
+    db = new ClaudeMemDatabase(':memory:').db;
+    const sessionId = createSDKSession(db, 'content-merge-session', 'merge-project', 'prompt');
+    updateMemorySessionId(db, sessionId, memorySessionId);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  function createObservationInput(overrides: Partial<ObservationInput> = {}): ObservationInput {
+    return {
+      type: 'bugfix',
+      title: 'Fix null check in session parser',
+      subtitle: null,
+      facts: ['Parser crashed on empty sessions'],
+      narrative: 'The session parser dereferenced a missing transcript',
+      concepts: ['problem-solution'],
+      files_read: [],
+      files_modified: ['src/parser.ts'],
+      ...overrides
+    };
+  }
+
+  describe('scoreObservationSimilarity', () => {
+    it('should score identical observations as 1', () => {
+      const obs = createObservationInput();
+      expect(scoreObservationSimilarity(obs, obs).score).toBe(1);
+    });
+
+    it('should score unrelated observations low', () => {
+      const result = scoreObservationSimilarity(
+        createObservationInput(),
+        createObservationInput({ title: 'Add dark mode toggle', narrative: 'Theme switch in header', files_modified: ['src/ui/Header.tsx'] })
+      );
+      expect(result.score).toBeLessThan(0.2);
+      expect(result.files).toBe(0);
+    });
+
+    it('should ignore files when neither side modified any', () => {
+      const a = createObservationInput({ files_modified: [] });
+      const result = scoreObservationSimilarity(a, a);
+      expect(result.files).toBeNull();
+      expect(result.score).toBe(1);
+    });
+  });
+
+  describe('findDuplicateObservation', () => {
+    it('should match a reworded observation in the same session and type', () => {
+      const { id } = storeObservation(db, memorySessionId, 'merge-project', createObservationInput());
+
+      const match = findDuplicateObservation(db, memorySessionId, createObservationInput({
+        narrative: 'The session parser dereferenced a missing transcript file'
+      }), { threshold: 0.8 });
+
+      expect(match?.id).toBe(id);
+      expect(match!.similarity).toBeGreaterThanOrEqual(0.8);
+    });
+
+    it('should not match a different type', () => {
+      storeObservation(db, memorySessionId, 'merge-project', createObservationInput());
+
+      const match = findDuplicateObservation(db, memorySessionId, createObservationInput({ type: 'discovery' }), { threshold: 0.8 });
+
+      expect(match).toBeNull();
+    });
+  });
+
+  describe('storeObservations with dedup', () => {
+    it('should fold duplicates into the existing observation and record provenance', () => {
+      const first = storeObservations(db, memorySessionId, 'merge-project', [createObservationInput()], null, 1, 0, undefined, { threshold: 0.8 });
+
+      const second = storeObservations(db, memorySessionId, 'merge-project', [
+        createObservationInput({ facts: ['Parser crashed on empty sessions', 'Guard added before transcript read'], concepts: ['gotcha'] }),
+        createObservationInput({ type: 'discovery', title: 'Parser has no tests' })
+      ], null, 2, 0, undefined, { threshold: 0.8 });
+
+      expect(second.observationIds[0]).toBe(first.observationIds[0]);
+      expect(second.foldedIndexes).toEqual([0]);
+      expect(second.observationIds[1]).not.toBe(first.observationIds[0]);
+
+      const canonical = getObservationById(db, first.observationIds[0]) as any;
+      expect(JSON.parse(canonical.facts)).toEqual(['Parser crashed on empty sessions', 'Guard added before transcript read']);
+      expect(JSON.parse(canonical.concepts)).toEqual(['problem-solution', 'gotcha']);
+
+      const merges = getObservationMerges(db, first.observationIds[0]);
+      expect(merges).toHaveLength(1);
+      expect(merges[0].method).toBe('auto');
+      expect(merges[0].source_id).toBeNull();
+      expect(merges[0].prompt_number).toBe(2);
+    });
+
+    it('should store every observation when dedup is not requested', () => {
+      storeObservations(db, memorySessionId, 'merge-project', [createObservationInput()], null, 1);
+      const result = storeObservations(db, memorySessionId, 'merge-project', [createObservationInput()], null, 2);
+
+      expect(result.foldedIndexes).toEqual([]);
+      const count = db.prepare('SELECT COUNT(*) as count FROM observations').get() as { count: number };
+      expect(count.count).toBe(2);
+    });
+  });
+
+  describe('mergeObservations', () => {
+    it('should union fields, delete sources and keep snapshots', () => {
+      const { id: canonicalId } = storeObservation(db, memorySessionId, 'merge-project', createObservationInput());
+      const { id: sourceId } = storeObservation(db, memorySessionId, 'merge-project', createObservationInput({
+        title: 'Null check fix',
+        files_read: ['src/types.ts'],
+        files_modified: ['src/parser.ts', 'src/session.ts']
+      }));
+
+      const result = mergeObservations(db, canonicalId, [sourceId, canonicalId]);
+
+      expect(result).toEqual({ canonicalId, mergedIds: [sourceId] });
+      expect(getObservationById(db, sourceId)).toBeNull();
+
+      const canonical = getObservationById(db, canonicalId) as any;
+      expect(JSON.parse(canonical.files_read)).toEqual(['src/types.ts']);
+      expect(JSON.parse(canonical.files_modified)).toEqual(['src/parser.ts', 'src/session.ts']);
+
+      const [merge] = getObservationMerges(db, canonicalId);
+      expect(merge.method).toBe('manual');
+      expect(merge.source_id).toBe(sourceId);
+      expect(JSON.parse(merge.snapshot).title).toBe('Null check fix');
+    });
+
+    it('should carry provenance of merged sources over to the canonical observation', () => {
+      const { id: a } = storeObservation(db, memorySessionId, 'merge-project', createObservationInput());
+      const { id: b } = storeObservation(db, memorySessionId, 'merge-project', createObservationInput({ title: 'Second' }));
+      const { id: c } = storeObservation(db, memorySessionId, 'merge-project', createObservationInput({ title: 'Third' }));
+
+      mergeObservations(db, b, [c]);
+      mergeObservations(db, a, [b]);
+
+      expect(getObservationMerges(db, a).map(m => m.source_id).sort()).toEqual([b, c].sort());
+    });
+
+    it('should reject sources from another project', () => {
+      const { id: canonicalId } = storeObservation(db, memorySessionId, 'merge-project', createObservationInput());
+      const { id: otherId } = storeObservation(db, memorySessionId, 'other-project', createObservationInput());
+
+      expect(() => mergeObservations(db, canonicalId, [otherId])).toThrow('belongs to project other-project');
+      expect(getObservationById(db, otherId)).not.toBeNull();
+    });
+
+    it('should return null for a missing canonical observation', () => {
+      expect(mergeObservations(db, 9999, [1])).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Observation pinning module tests
+ * Tests pin/unpin and pinned listing with in-memory database
+ *
+ * Sources:
+ * - API patterns from src/services/sqlite/observations/pin.ts
+ * - Test pattern from tests/sqlite/observations.test.ts
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import { ClaudeMemDatabase } from '../../src/services/sqlite/Database.js';
+import { createSDKSession, updateMemorySessionId } from '../../src/services/sqlite/Sessions.js';
+import {
+  storeObservation,
+  setObservationPinned,
+  getPinnedObservations
+} from '../../src/services/sqlite/Observations.js';
+import type { ObservationInput } from '../../src/services/sqlite/Observations.js';
+import type { Database } from 'bun:sqlite';
+
+describe('Observation Pin Module', () => {
+  let db: Database;
+  const memorySessionId = 'mem-pin-session';
+
+  beforeEach(() => {
+    db = new ClaudeMemDatabase(':memory:').db;
+    const sessionId = createSDKSession(db, 'content-pin-session', 'pin-project', 'prompt');
+    updateMemorySessionId(db, sessionId, memorySessionId);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  function createObservationInput(overrides: Partial<ObservationInput> = {}): ObservationInput {
+    return {
+      type: 'decision',
+      title: 'Use SQLite for storage',
+      subtitle: null,
+      facts: [],
+      narrative: 'Chosen for zero-config local persistence',
+      concepts: ['why-it-exists'],
+      files_read: [],
+      files_modified: [],
+      ...overrides
+    };
+  }
+
+  it('should default new observations to unpinned', () => {
+    storeObservation(db, memorySessionId, 'pin-project', createObservationInput());
+
+    expect(getPinnedObservations(db, 'pin-project')).toEqual([]);
+  });
+
+  it('should pin and unpin an observation', () => {
+    const { id } = storeObservation(db, memorySessionId, 'pin-project', createObservationInput());
+
+    const pinned = setObservationPinned(db, id, true, 1000) as any;
+    expect(pinned.pinned).toBe(1);
+    expect(pinned.pinned_at_epoch).toBe(1000);
+
+    const unpinned = setObservationPinned(db, id, false) as any;
+    expect(unpinned.pinned).toBe(0);
+    expect(unpinned.pinned_at_epoch).toBeNull();
+  });
+
+  it('should list pinned observations for the project, most recently pinned first', () => {
+    const { id: first } = storeObservation(db, memorySessionId, 'pin-project', createObservationInput());
+    const { id: second } = storeObservation(db, memorySessionId, 'pin-project', createObservationInput({ title: 'Second' }));
+    const { id: other } = storeObservation(db, memorySessionId, 'other-project', createObservationInput());
+
+    setObservationPinned(db, first, true, 2000);
+    setObservationPinned(db, second, true, 1000);
+    setObservationPinned(db, other, true, 3000);
+
+    expect(getPinnedObservations(db, 'pin-project').map(obs => obs.id)).toEqual([first, second]);
+  });
+
+  it('should return null for a missing observation', () => {
+    expect(setObservationPinned(db, 9999, true)).toBeNull();
+  });
+});
@@ -6,6 +6,7 @@
  * - API patterns from src/services/sqlite/observations/store.ts
  * - API patterns from src/services/sqlite/observations/get.ts
  * - API patterns from src/services/sqlite/observations/recent.ts
+ * - API patterns from src/services/sqlite/observations/related.ts
  * - Type definitions from src/services/sqlite/observations/types.ts
  */
 
@@ -15,6 +16,8 @@ import {
   storeObservation,
   getObservationById,
   getRecentObservations,
+  recordObservationRetrievals,
+  getObservationsSharingFilesOrConcepts,
 } from '../../src/services/sqlite/Observations.js';
 import {
   createSDKSession,
@@ -228,4 +231,40 @@ describe('Observations Module', () => {
       expect(recent).toEqual([]);
     });
   });
+
+  describe('recordObservationRetrievals', () => {
+    it('should increment retrieval count and stamp last retrieval time', () => {
+      const memId = createSessionWithMemoryId('content-ret', 'session-ret');
+      const { id } = storeObservation(db, memId, 'test-project', createObservationInput());
+
+      recordObservationRetrievals(db, [id], 1000);
+      recordObservationRetrievals(db, [id], 2000);
+
+      const row = db.prepare('SELECT retrieval_count, last_retrieved_at_epoch FROM observations WHERE id = ?').get(id) as any;
+      expect(row.retrieval_count).toBe(2);
+      expect(row.last_retrieved_at_epoch).toBe(2000);
+    });
+
+    it('should be a no-op for an empty id list', () => {
+      expect(() => recordObservationRetrievals(db, [])).not.toThrow();
+    });
+  });
+
+  describe('getObservationsSharingFilesOrConcepts', () => {
+    it('should return same-project observations sharing a file or concept, newest first', () => {
+      const memId = createSessionWithMemoryId('content-rel', 'session-rel');
+      const otherMemId = createSessionWithMemoryId('content-rel-2', 'session-rel-2', 'other-project');
+      const base = { concepts: ['gotcha'], files_read: ['src/a.ts'], files_modified: ['src/b.ts'] };
+
+      const target = storeObservation(db, memId, 'test-project', createObservationInput(base), 1, 0, 1000).id;
+      const sharesFile = storeObservation(db, memId, 'test-project', createObservationInput({ concepts: [], files_read: ['src/b.ts'], files_modified: [] }), 1, 0, 2000).id;
+      const sharesConcept = storeObservation(db, memId, 'test-project', createObservationInput({ concepts: ['gotcha'], files_read: [], files_modified: [] }), 1, 0, 3000).id;
+      storeObservation(db, memId, 'test-project', createObservationInput({ concepts: ['other'], files_read: ['src/c.ts'], files_modified: [] }), 1, 0, 4000);
+      storeObservation(db, otherMemId, 'other-project', createObservationInput(base), 1, 0, 5000);
+
+      const related = getObservationsSharingFilesOrConcepts(db, target);
+
+      expect(related.map(obs => obs.id)).toEqual([sharesConcept, sharesFile]);
+    });
+  });
 });
@@ -0,0 +1,182 @@
+/**
+ * Project migration module tests
+ * Tests project listing, merge and split with in-memory database
+ *
+ * Sources:
+ * - API patterns from src/services/sqlite/projects/migrate.ts
+ * - Test pattern from tests/sqlite/observations.test.ts
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import { ClaudeMemDatabase } from '../../src/services/sqlite/Database.js';
+import { createSDKSession, updateMemorySessionId } from '../../src/services/sqlite/Sessions.js';
+import { storeObservation } from '../../src/services/sqlite/Observations.js';
+import { storeSummary } from '../../src/services/sqlite/Summaries.js';
+import { saveUserPrompt } from '../../src/services/sqlite/Prompts.js';
+import {
+  getProjectSummaries,
+  mergeProjects,
+  moveSessionsToProject,
+  findSessionsByFilePath
+} from '../../src/services/sqlite/Projects.js';
+import type { Database } from 'bun:sqlite';
+
+describe('Projects Module', () => {
+  let db: Database;
+
+  function createSession(contentSessionId: string, project: string, filesRead: string[] = []): number {
+    const sessionId = createSDKSession(db, contentSessionId, project, 'prompt');
+    const memorySessionId = `mem-${contentSessionId}`;
+    updateMemorySessionId(db, sessionId, memorySessionId);
+
+    const { id } = storeObservation(db, memorySessionId, project, {
+      type: 'discovery',
+      title: `Observation for ${contentSessionId}`,
+      subtitle: null,
+      facts: [],
+      narrative: null,
+      concepts: [],
+      files_read: filesRead,
+      files_modified: []
+    });
+    storeSummary(db, memorySessionId, project, {
+      request: 'request',
+      investigated: 'investigated',
+      learned: 'learned',
+      completed: 'completed',
+      next_steps: 'next',
+      notes: null
+    });
+
+    db.prepare(`
+      INSERT INTO vector_documents (doc_id, model, doc_type, sqlite_id, project, document, metadata, embedding, created_at_epoch)
+      VALUES (?, 'hash-256', 'observation', ?, ?, 'doc', ?, X'00', 0)
+    `).run(`obs_${id}_title`, id, project, JSON.stringify({ sqlite_id: id, doc_type: 'observation', project }));
+
+    return sessionId;
+  }
+
+  function projectOf(table: string, where: string, value: string | number): string {
+    return (db.prepare(`SELECT project FROM ${table} WHERE ${where} = ?`).get(value) as { project: string }).project;
+  }
+
+  beforeEach(() => {
+    db = new ClaudeMemDatabase(':memory:').db;
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  describe('getProjectSummaries', () => {
+    it('should count rows per project', () => {
+      createSession('a1', 'api');
+      createSession('a2', 'api');
+      createSession('b1', 'backend');
+
+      const summaries = getProjectSummaries(db);
+      const api = summaries.find(s => s.project === 'api')!;
+
+      expect(summaries.map(s => s.project).sort()).toEqual(['api', 'backend']);
+      expect(api.sessions).toBe(2);
+      expect(api.observations).toBe(2);
+      expect(api.summaries).toBe(2);
+    });
+  });
+
+  describe('mergeProjects', () => {
+    it('should rename every table into the target project', () => {
+      createSession('a1', 'api');
+      createSession('s1', 'src');
+      createSession('o1', 'other');
+
+      const result = mergeProjects(db, ['api', 'src'], 'acme/api');
+
+      expect(result).toMatchObject({ sessions: 2, observations: 2, summaries: 2, vectors: 2 });
+      expect(result.touched.observations).toHaveLength(2);
+      expect(result.touched.summaries).toHaveLength(2);
+      expect(getProjectSummaries(db).map(s => s.project).sort()).toEqual(['acme/api', 'other']);
+
+      const vector = db.prepare(`SELECT metadata FROM vector_documents WHERE project = 'acme/api' LIMIT 1`).get() as { metadata: string };
+      expect(JSON.parse(vector.metadata).project).toBe('acme/api');
+    });
+
+    it('should ignore the target in the source list', () => {
+      createSession('a1', 'api');
+
+      expect(mergeProjects(db, ['api'], 'api').sessions).toBe(0);
+    });
+  });
+
+  describe('moveSessionsToProject', () => {
+    it('should move only the selected sessions and their records', () => {
+      createSession('mine', 'api');
+      createSession('theirs', 'api');
+      saveUserPrompt(db, 'mine', 1, 'my prompt');
+      const theirPromptId = saveUserPrompt(db, 'theirs', 1, 'their prompt');
+
+      const result = moveSessionsToProject(db, 'api', 'other-org/api', ['theirs']);
+
+      expect(result).toMatchObject({ sessions: 1, observations: 1, summaries: 1, vectors: 1 });
+      expect(result.touched.observations).toEqual([
+        (db.prepare(`SELECT id FROM observations WHERE memory_session_id = 'mem-theirs'`).get() as { id: number }).id
+      ]);
+      expect(result.touched.prompts).toEqual([theirPromptId]);
+      expect(projectOf('sdk_sessions', 'content_session_id', 'mine')).toBe('api');
+      expect(projectOf('sdk_sessions', 'content_session_id', 'theirs')).toBe('other-org/api');
+      expect(projectOf('observations', 'memory_session_id', 'mem-theirs')).toBe('other-org/api');
+      expect(projectOf('session_summaries', 'memory_session_id', 'mem-theirs')).toBe('other-org/api');
+      expect(projectOf('observations', 'memory_session_id', 'mem-mine')).toBe('api');
+    });
+
+    it('should move the vectors of moved prompts', () => {
+      createSession('mine', 'api');
+      createSession('theirs', 'api');
+      const myPromptId = saveUserPrompt(db, 'mine', 1, 'my prompt');
+      const theirPromptId = saveUserPrompt(db, 'theirs', 1, 'their prompt');
+      for (const id of [myPromptId, theirPromptId]) {
+        db.prepare(`
+          INSERT INTO vector_documents (doc_id, model, doc_type, sqlite_id, project, document, metadata, embedding, created_at_epoch)
+          VALUES (?, 'hash-256', 'user_prompt', ?, 'api', 'doc', ?, X'00', 0)
+        `).run(`prompt_${id}`, id, JSON.stringify({ sqlite_id: id, doc_type: 'user_prompt', project: 'api' }));
+      }
+
+      const result = moveSessionsToProject(db, 'api', 'other-org/api', ['theirs']);
+
+      expect(result.vectors).toBe(2);
+      const vector = db.prepare(`SELECT project, metadata FROM vector_documents WHERE doc_id = ?`)
+        .get(`prompt_${theirPromptId}`) as { project: string; metadata: string };
+      expect(vector.project).toBe('other-org/api');
+      expect(JSON.parse(vector.metadata).project).toBe('other-org/api');
+      expect(projectOf('vector_documents', 'doc_id', `prompt_${myPromptId}`)).toBe('api');
+    });
+
+    it('should match sessions by memory session ID', () => {
+      createSession('theirs', 'api');
+
+      expect(moveSessionsToProject(db, 'api', 'other', ['mem-theirs']).sessions).toBe(1);
+    });
+
+    it('should not move sessions from a different project', () => {
+      createSession('theirs', 'backend');
+
+      expect(moveSessionsToProject(db, 'api', 'other', ['theirs']).sessions).toBe(0);
+    });
+  });
+
+  describe('findSessionsByFilePath', () => {
+    it('should find sessions that touched files under a path prefix', () => {
+      createSession('mine', 'api', ['/work/api/src/index.ts']);
+      createSession('theirs', 'api', ['/work/other-api/src/index.ts']);
+      createSession('elsewhere', 'backend', ['/work/other-api/README.md']);
+
+      expect(findSessionsByFilePath(db, 'api', '/work/other-api')).toEqual(['theirs']);
+    });
+
+    it('should treat LIKE wildcards in the prefix literally', () => {
+      createSession('mine', 'api', ['/work/api/src/index.ts']);
+
+      expect(findSessionsByFilePath(db, 'api', '/work/%')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Retention module tests
+ * Tests retention planning (dry run) and pruning with in-memory database
+ *
+ * Sources:
+ * - API patterns from src/services/sqlite/retention/prune.ts
+ * - Test pattern from tests/sqlite/observation-merge.test.ts
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import { ClaudeMemDatabase } from '../../src/services/sqlite/Database.js';
+import { createSDKSession, updateMemorySessionId } from '../../src/services/sqlite/Sessions.js';
+import { storeObservation, setObservationPinned, getObservationById } from '../../src/services/sqlite/Observations.js';
+import { storeSummary } from '../../src/services/sqlite/Summaries.js';
+import { saveUserPrompt } from '../../src/services/sqlite/Prompts.js';
+import {
+  planRetention,
+  applyRetention,
+  getRetentionArchiveRows,
+  hasRetentionLimits
+} from '../../src/services/sqlite/Retention.js';
+import type { RetentionPolicy } from '../../src/services/sqlite/Retention.js';
+import type { ObservationInput } from '../../src/services/sqlite/Observations.js';
+import type { Database } from 'bun:sqlite';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = 1767225600000;
+
+function makePolicy(overrides: Partial<RetentionPolicy> = {}): RetentionPolicy {
+  return { maxAgeDays: 0, maxObservations: 0, keepTypes: ['decision'], keepPinned: true, ...overrides };
+}
+
+describe('Retention Module', () => {
+  let db: Database;
+  let sessionDbId: number;
+  const memorySessionId = 'mem-retention-session';
+  const contentSessionId = 'content-retention-session';
+
+  beforeEach(() => {
+    db = new ClaudeMemDatabase(':memory:').db;
+    sessionDbId = createSDKSession(db, contentSessionId, 'retention-project', 'prompt');
+    updateMemorySessionId(db, sessionDbId, memorySessionId);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  function store(type: string, ageDays: number, project: string = 'retention-project'): number {
+    return storeObservation(db, memorySessionId, project, createObservationInput({ type }), 1, 0, NOW - ageDays * DAY).id;
+  }
+
+  function createObservationInput(overrides: Partial<ObservationInput> = {}): ObservationInput {
+    return {
+      type: 'discovery',
+      title: 'Observation',
+      subtitle: null,
+      facts: [],
+      narrative: null,
+      concepts: [],
+      files_read: [],
+      files_modified: [],
+      ...overrides
+    };
+  }
+
+  it('should do nothing without limits', () => {
+    store('discovery', 400);
+
+    const plan = planRetention(db, 'retention-project', makePolicy(), NOW);
+
+    expect(hasRetentionLimits(plan.policy)).toBe(false);
+    expect(plan.observationIds).toEqual([]);
+  });
+
+  it('should age out observations but keep protected types and pinned ones', () => {
+    const old = store('discovery', 100);
+    store('decision', 100);
+    const pinned = store('discovery', 100);
+    store('discovery', 1);
+    store('discovery', 100, 'other-project');
+    setObservationPinned(db, pinned, true);
+
+    const plan = planRetention(db, 'retention-project', makePolicy({ maxAgeDays: 30 }), NOW);
+
+    expect(plan.cutoffEpoch).toBe(NOW - 30 * DAY);
+    expect(plan.observationIds).toEqual([old]);
+  });
+
+  it('should cap unprotected observations per project, newest kept', () => {
+    const oldest = store('discovery', 3);
+    store('discovery', 2);
+    store('discovery', 1);
+    store('decision', 10);
+
+    const plan = planRetention(db, 'retention-project', makePolicy({ maxObservations: 2 }), NOW);
+
+    expect(plan.observationIds).toEqual([oldest]);
+  });
+
+  it('should age out summaries, prompts and finished queue messages', () => {
+    const { id: summaryId } = storeSummary(db, memorySessionId, 'retention-project', {
+      request: 'old', investigated: '', learned: '', completed: '', next_steps: '', notes: null
+    }, 1, 0, NOW - 100 * DAY);
+    const promptId = saveUserPrompt(db, contentSessionId, 1, 'old prompt');
+    db.prepare('UPDATE user_prompts SET created_at_epoch = ? WHERE id = ?').run(NOW - 100 * DAY, promptId);
+    db.prepare(`
+      INSERT INTO pending_messages (session_db_id, content_session_id, message_type, status, created_at_epoch)
+      VALUES (?, ?, 'observation', ?, ?)
+    `).run(sessionDbId, contentSessionId, 'processed', NOW - 100 * DAY);
+    db.prepare(`
+      INSERT INTO pending_messages (session_db_id, content_session_id, message_type, status, created_at_epoch)
+      VALUES (?, ?, 'observation', ?, ?)
+    `).run(sessionDbId, contentSessionId, 'pending', NOW - 100 * DAY);
+
+    const plan = planRetention(db, 'retention-project', makePolicy({ maxAgeDays: 30 }), NOW);
+
+    expect(plan.summaryIds).toEqual([summaryId]);
+    expect(plan.promptIds).toEqual([promptId]);
+    expect(plan.pendingMessageIds).toHaveLength(1);
+    expect(applyRetention(db, plan)).toEqual({ observations: 0, summaries: 1, prompts: 1, pendingMessages: 1 });
+  });
+
+  it('should archive rows and delete them in one pass', () => {
+    const old = store('discovery', 100);
+    const recent = store('discovery', 1);
+
+    const plan = planRetention(db, 'retention-project', makePolicy({ maxAgeDays: 30 }), NOW);
+    const archive = getRetentionArchiveRows(db, plan);
+    const result = applyRetention(db, plan);
+
+    expect(archive.observations.map(row => row.id)).toEqual([old]);
+    expect(result).toEqual({ observations: 1, summaries: 0, prompts: 0, pendingMessages: 0 });
+    expect(getObservationById(db, old)).toBeNull();
+    expect(getObservationById(db, recent)).not.toBeNull();
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Saved search tests
+ * Tests saved search storage and matching of newly stored observations
+ * against a real SQLite database
+ *
+ * Sources:
+ * - API patterns from src/services/sqlite/saved-searches/store.ts
+ * - Matching from src/services/worker/search/SavedSearchMatcher.ts
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { SessionStore } from '../../src/services/sqlite/SessionStore.js';
+import { SessionSearch } from '../../src/services/sqlite/SessionSearch.js';
+import {
+  createSavedSearch,
+  deleteSavedSearch,
+  getSavedSearchById,
+  getSavedSearches,
+  updateSavedSearch
+} from '../../src/services/sqlite/SavedSearches.js';
+import { evaluateSavedSearches } from '../../src/services/worker/search/SavedSearchMatcher.js';
+
+describe('Saved searches', () => {
+  let dir: string;
+  let store: SessionStore;
+  let search: SessionSearch;
+  const memoryId = 'memory-sess-saved';
+
+  function storeObservation(overrides: { type?: string; title?: string; concepts?: string[]; files_modified?: string[] } = {}, project = 'acme') {
+    return store.storeObservation(memoryId, project, {
+      type: overrides.type ?? 'discovery',
+      title: overrides.title ?? 'Worker startup',
+      subtitle: null,
+      facts: [],
+      narrative: 'Documented the startup sequence',
+      concepts: overrides.concepts ?? [],
+      files_read: [],
+      files_modified: overrides.files_modified ?? []
+    }, 1).id;
+  }
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'claude-mem-saved-'));
+    const dbPath = join(dir, 'test.db');
+    store = new SessionStore(dbPath);
+    search = new SessionSearch(dbPath);
+
+    const sdkId = store.createSDKSession('claude-sess-saved', 'acme', 'initial prompt');
+    store.updateMemorySessionId(sdkId, memoryId);
+  });
+
+  afterEach(() => {
+    search.close();
+    store.close();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('storage', () => {
+    it('should create, list, update and delete saved searches', () => {
+      const created = createSavedSearch(store.db, { name: 'Sync', query: 'file:src/services/sync/**' }, 1000);
+
+      expect(created).toMatchObject({ name: 'Sync', query: 'file:src/services/sync/**', match_count: 0, created_at_epoch: 1000 });
+      expect(getSavedSearches(store.db).map(s => s.id)).toEqual([created.id]);
+
+      const updated = updateSavedSearch(store.db, created.id, { name: 'Sync gotchas' }, 2000);
+      expect(updated).toMatchObject({ name: 'Sync gotchas', query: 'file:src/services/sync/**', updated_at_epoch: 2000 });
+      expect(updateSavedSearch(store.db, 999, { name: 'x' })).toBeNull();
+
+      expect(deleteSavedSearch(store.db, created.id)).toBe(true);
+      expect(deleteSavedSearch(store.db, created.id)).toBe(false);
+      expect(getSavedSearches(store.db)).toEqual([]);
+    });
+  });
+
+  describe('evaluateSavedSearches', () => {
+    it('should match filters and keywords and record matches', () => {
+      const sync = createSavedSearch(store.db, { name: 'Sync', query: 'file:src/services/sync/**' });
+      const gotchas = createSavedSearch(store.db, { name: 'Gotchas', query: 'concept:gotcha retry' });
+
+      const syncId = storeObservation({ files_modified: ['src/services/sync/ChromaSync.ts'] });
+      const gotchaId = storeObservation({ title: 'Retry loop never ends', concepts: ['gotcha'] });
+      const otherId = storeObservation({ title: 'Retry docs', files_modified: ['docs/retry.md'] });
+
+      const matches = evaluateSavedSearches(store.db, search, [syncId, gotchaId, otherId]);
+
+      expect(matches.map(m => [m.savedSearch.id, m.observationId])).toEqual([
+        [sync.id, syncId],
+        [gotchas.id, gotchaId]
+      ]);
+      expect(getSavedSearchById(store.db, gotchas.id)).toMatchObject({
+        match_count: 1,
+        last_match_observation_id: gotchaId
+      });
+    });
+
+    it('should respect project and type filters', () => {
+      createSavedSearch(store.db, { name: 'Acme bugs', query: 'project:acme type:bugfix' });
+
+      const bugId = storeObservation({ type: 'bugfix' });
+      const featureId = storeObservation({ type: 'feature' });
+      const otherProjectId = storeObservation({ type: 'bugfix' }, 'other');
+
+      const matches = evaluateSavedSearches(store.db, search, [bugId, featureId, otherProjectId]);
+
+      expect(matches.map(m => m.observationId)).toEqual([bugId]);
+      expect(matches[0].savedSearch.match_count).toBe(1);
+    });
+
+    it('should skip saved searches that cannot match observations', () => {
+      createSavedSearch(store.db, { name: 'Sessions', query: 'in:sessions startup' });
+      createSavedSearch(store.db, { name: 'Broken', query: 'fiel:src' });
+
+      const id = storeObservation();
+
+      expect(evaluateSavedSearches(store.db, search, [id])).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * SessionSearch FTS5 keyword search tests
+ * Tests BM25 ranking, snippets and query syntax against a real SQLite database
+ *
+ * Sources:
+ * - API patterns from src/services/sqlite/SessionSearch.ts
+ * - Schema from src/services/sqlite/SessionStore.ts migrations
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { SessionStore } from '../../src/services/sqlite/SessionStore.js';
+import { SessionSearch, buildFTS5MatchQuery } from '../../src/services/sqlite/SessionSearch.js';
+
+describe('buildFTS5MatchQuery', () => {
+  it('should quote plain terms', () => {
+    expect(buildFTS5MatchQuery('auth token')).toBe('"auth" "token"');
+  });
+
+  it('should keep quoted phrases and prefix terms', () => {
+    expect(buildFTS5MatchQuery('"database migration" auth*')).toBe('"database migration" "auth"*');
+  });
+
+  it('should keep uppercase operators between terms only', () => {
+    expect(buildFTS5MatchQuery('OAuth OR JWT NOT deprecated')).toBe('"OAuth" OR "JWT" NOT "deprecated"');
+    expect(buildFTS5MatchQuery('OR auth AND')).toBe('"auth"');
+  });
+
+  it('should neutralize FTS5 syntax characters', () => {
+    expect(buildFTS5MatchQuery('session-init title:foo (bar)')).toBe('"session init" "title foo" "bar"');
+  });
+
+  it('should return null when nothing is searchable', () => {
+    expect(buildFTS5MatchQuery('  -- () "" ')).toBeNull();
+  });
+});
+
+describe('SessionSearch FTS5', () => {
+  let dir: string;
+  let store: SessionStore;
+  let search: SessionSearch;
+  const memoryId = 'memory-sess-fts';
+  const claudeId = 'claude-sess-fts';
+
+  function storeObservation(title: string, narrative: string, project: string = 'test-project') {
+    return store.storeObservation(memoryId, project, {
+      type: 'discovery',
+      title,
+      subtitle: null,
+      facts: [],
+      narrative,
+      concepts: [],
+      files_read: [],
+      files_modified: []
+    }, 1).id;
+  }
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'claude-mem-fts-'));
+    const dbPath = join(dir, 'test.db');
+    store = new SessionStore(dbPath);
+    search = new SessionSearch(dbPath);
+
+    const sdkId = store.createSDKSession(claudeId, 'test-project', 'initial prompt');
+    store.updateMemorySessionId(sdkId, memoryId);
+  });
+
+  afterEach(() => {
+    search.close();
+    store.close();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should rank title matches above body matches', () => {
+    const bodyId = storeObservation('Worker startup', 'Fixed the authentication retry loop');
+    const titleId = storeObservation('Authentication flow', 'Documented the login handshake');
+
+    const results = search.searchObservations('authentication');
+
+    expect(results.map(r => r.id)).toEqual([titleId, bodyId]);
+    expect(results[0].score).toBe(1);
+    expect(results[1].score!).toBeLessThan(1);
+    expect(results[0].rank!).toBeLessThan(results[1].rank!);
+  });
+
+  it('should highlight matched terms in the snippet', () => {
+    storeObservation('Worker startup', 'Fixed the authentication retry loop');
+
+    const [result] = search.searchObservations('retry');
+
+    expect(result.snippet).toContain('**retry**');
+  });
+
+  it('should support prefix and phrase queries', () => {
+    const id = storeObservation('Database migration', 'Added the schema versions table');
+    storeObservation('Migration notes', 'Database cleanup happens later');
+
+    expect(search.searchObservations('migrat*').length).toBe(2);
+    expect(search.searchObservations('"database migration"').map(r => r.id)).toEqual([id]);
+  });
+
+  it('should apply filters alongside the keyword match', () => {
+    storeObservation('Cache layer', 'Redis cache', 'test-project');
+    storeObservation('Cache layer', 'Redis cache', 'other-project');
+
+    const results = search.searchObservations('cache', { project: 'other-project' });
+
+    expect(results).toHaveLength(1);
+    expect(results[0].project).toBe('other-project');
+  });
+
+  it('should search session summaries and user prompts', () => {
+    store.storeSummary(memoryId, 'test-project', {
+      request: 'Speed up the indexer',
+      investigated: 'Profiled batch writes',
+      learned: 'Transactions help',
+      completed: 'Batched inserts',
+      next_steps: 'None',
+      notes: null
+    }, 1);
+    store.saveUserPrompt(claudeId, 1, 'why is the indexer slow');
+
+    expect(search.searchSessions('indexer')).toHaveLength(1);
+
+    const prompts = search.searchUserPrompts('indexer');
+    expect(prompts).toHaveLength(1);
+    expect(prompts[0].snippet).toContain('**indexer**');
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import { mkdirSync, readFileSync, readdirSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { ClaudeMemDatabase } from '../src/services/sqlite/Database.js';
+import { createSDKSession, updateMemorySessionId } from '../src/services/sqlite/Sessions.js';
+import { storeObservation, setObservationPinned } from '../src/services/sqlite/Observations.js';
+import { getTeamSyncEntry } from '../src/services/sqlite/TeamSync.js';
+import {
+  exportTeamMemory,
+  importTeamMemory,
+  getTeamEntriesDir,
+  parseTeamEntry
+} from '../src/services/integrations/TeamMemorySync.js';
+import type { ObservationInput } from '../src/services/sqlite/Observations.js';
+import type { Database } from 'bun:sqlite';
+
+/**
+ * Tests for team memory sync
+ *
+ * Two in-memory databases (two teammates) share one temp repository directory:
+ * one exports, the other imports, and edits and deletes travel between them.
+ */
+
+const ALICE = { name: 'Alice', email: 'alice@example.com' };
+const NOW = 1767225600000;
+
+function getObservation(db: Database, id: number): { title: string; project: string; created_at_epoch: number } {
+  return db.prepare('SELECT title, project, created_at_epoch FROM observations WHERE id = ?').get(id) as {
+    title: string;
+    project: string;
+    created_at_epoch: number;
+  };
+}
+
+describe('Team Memory Sync', () => {
+  let alice: Database;
+  let bob: Database;
+  let repoRoot: string;
+
+  beforeEach(() => {
+    alice = new ClaudeMemDatabase(':memory:').db;
+    bob = new ClaudeMemDatabase(':memory:').db;
+    repoRoot = join(tmpdir(), `team-memory-test-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    mkdirSync(repoRoot, { recursive: true });
+
+    const sessionId = createSDKSession(alice, 'content-team', 'acme', 'Add export');
+    updateMemorySessionId(alice, sessionId, 'mem-team');
+  });
+
+  afterEach(() => {
+    alice.close();
+    bob.close();
+    try {
+      rmSync(repoRoot, { recursive: true, force: true });
+    } catch {
+      // Ignore cleanup errors
+    }
+  });
+
+  function createObservationInput(overrides: Partial<ObservationInput> = {}): ObservationInput {
+    return {
+      type: 'decision',
+      title: 'Use JSONL for exports',
+      subtitle: 'Streaming over JSON',
+      facts: ['Streams line by line'],
+      narrative: 'Whole projects can be large',
+      concepts: ['trade-off'],
+      files_read: ['src/services/sqlite/Export.ts'],
+      files_modified: [],
+      ...overrides
+    };
+  }
+
+  it('should export pinned observations by default, one deterministic file each', () => {
+    const pinned = storeObservation(alice, 'mem-team', 'acme', createObservationInput(), 1, 0, NOW).id;
+    storeObservation(alice, 'mem-team', 'acme', createObservationInput({ type: 'change', title: 'Not shared' }), 1, 0, NOW + 1);
+    setObservationPinned(alice, pinned, true);
+
+    const result = exportTeamMemory(alice, repoRoot, 'acme', {}, ALICE);
+
+    expect(result).toMatchObject({ written: 1, unchanged: 0, pendingImport: 0 });
+    const files = readdirSync(getTeamEntriesDir(repoRoot));
+    expect(files).toHaveLength(1);
+
+    const content = readFileSync(join(getTeamEntriesDir(repoRoot), files[0]), 'utf-8');
+    const entry = parseTeamEntry(content);
+    expect(files[0]).toBe(`${entry.uuid}.json`);
+    expect(entry).toMatchObject({ title: 'Use JSONL for exports', author: ALICE, created_at: new Date(NOW).toISOString() });
+    expect(Object.keys(JSON.parse(content))).toEqual([
+      'uuid', 'type', 'title', 'subtitle', 'narrative', 'facts', 'concepts', 'files_read', 'files_modified', 'created_at', 'author'
+    ]);
+
+    // Re-exporting an unchanged observation leaves the file untouched
+    expect(exportTeamMemory(alice, repoRoot, 'acme', {}, ALICE)).toMatchObject({ written: 0, unchanged: 1 });
+    expect(readFileSync(join(getTeamEntriesDir(repoRoot), files[0]), 'utf-8')).toBe(content);
+  });
+
+  it('should select observations by type and ID', () => {
+    storeObservation(alice, 'mem-team', 'acme', createObservationInput({ type: 'bugfix', title: 'Fix footer' }), 1, 0, NOW);
+    const byId = storeObservation(alice, 'mem-team', 'acme', createObservationInput({ type: 'change', title: 'Rename' }), 1, 0, NOW + 1).id;
+    storeObservation(alice, 'mem-team', 'acme', createObservationInput({ type: 'change', title: 'Other' }), 1, 0, NOW + 2);
+
+    const result = exportTeamMemory(alice, repoRoot, 'acme', { types: ['bugfix'], ids: [byId] }, ALICE);
+
+    expect(result.written).toBe(2);
+  });
+
+  it('should import a teammate\'s entries with provenance and original dates', () => {
+    storeObservation(alice, 'mem-team', 'acme', createObservationInput(), 1, 0, NOW);
+    exportTeamMemory(alice, repoRoot, 'acme', { all: true }, ALICE);
+    const [file] = readdirSync(getTeamEntriesDir(repoRoot));
+    const uuid = file.replace('.json', '');
+
+    const result = importTeamMemory(bob, repoRoot, 'acme-bob');
+
+    expect(result).toMatchObject({ inserted: 1, updated: 0, unchanged: 0, invalid: 0 });
+    const entry = getTeamSyncEntry(bob, uuid);
+    expect(entry).toMatchObject({ origin: 'imported', author_name: 'Alice', author_email: 'alice@example.com' });
+    expect(getObservation(bob, result.touched[0])).toEqual({ title: 'Use JSONL for exports', project: 'acme-bob', created_at_epoch: NOW });
+
+    // A second import is a no-op
+    expect(importTeamMemory(bob, repoRoot, 'acme-bob')).toMatchObject({ inserted: 0, unchanged: 1, touched: [] });
+  });
+
+  it('should apply edited entries and never overwrite them on export', () => {
+    const id = storeObservation(alice, 'mem-team', 'acme', createObservationInput(), 1, 0, NOW).id;
+    exportTeamMemory(alice, repoRoot, 'acme', { all: true }, ALICE);
+    const [file] = readdirSync(getTeamEntriesDir(repoRoot));
+    const filePath = join(getTeamEntriesDir(repoRoot), file);
+
+    // A teammate edits the entry and the change is merged
+    writeFileSync(filePath, readFileSync(filePath, 'utf-8').replace('Use JSONL for exports', 'Use NDJSON for exports'));
+
+    expect(exportTeamMemory(alice, repoRoot, 'acme', {}, ALICE)).toMatchObject({ written: 0, pendingImport: 1 });
+    expect(importTeamMemory(alice, repoRoot, 'acme')).toMatchObject({ updated: 1, touched: [id] });
+    expect(getObservation(alice, id).title).toBe('Use NDJSON for exports');
+    expect(getTeamSyncEntry(alice, file.replace('.json', ''))?.origin).toBe('local');
+  });
+
+  it('should keep locally deleted entries deleted', () => {
+    storeObservation(alice, 'mem-team', 'acme', createObservationInput(), 1, 0, NOW);
+    exportTeamMemory(alice, repoRoot, 'acme', { all: true }, ALICE);
+    const { touched: [imported] } = importTeamMemory(bob, repoRoot, 'acme');
+
+    bob.prepare('DELETE FROM observations WHERE id = ?').run(imported);
+
+    expect(importTeamMemory(bob, repoRoot, 'acme')).toMatchObject({ inserted: 0, deleted: 1 });
+  });
+
+  it('should skip invalid entry files', () => {
+    mkdirSync(getTeamEntriesDir(repoRoot), { recursive: true });
+    writeFileSync(join(getTeamEntriesDir(repoRoot), 'broken.json'), '{ "uuid": ');
+    writeFileSync(
+      join(getTeamEntriesDir(repoRoot), '00000000-0000-4000-8000-000000000000.json'),
+      JSON.stringify({ uuid: '11111111-1111-4111-8111-111111111111', type: 'decision' })
+    );
+
+    expect(importTeamMemory(bob, repoRoot, 'acme')).toMatchObject({ inserted: 0, invalid: 2 });
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Git Log Reader Tests
+ *
+ * Reads commits from a temporary repository.
+ * Source: src/utils/git-log.ts
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { spawnSync } from 'child_process';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { readGitLog } from '../../src/utils/git-log.js';
+
+function git(cwd: string, env: Record<string, string>, ...args: string[]): void {
+  const result = spawnSync('git', args, { cwd, encoding: 'utf-8', env: { ...process.env, ...env } });
+  if (result.status !== 0) throw new Error(result.stderr);
+}
+
+describe('readGitLog', () => {
+  let repo: string;
+
+  function commit(date: string, message: string, files: Record<string, string>): void {
+    for (const [name, content] of Object.entries(files)) {
+      writeFileSync(join(repo, name), content);
+    }
+    const env = { GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date };
+    git(repo, env, 'add', '-A');
+    git(repo, env, '-c', 'user.name=Dev', '-c', 'user.email=dev@example.com', 'commit', '-q', '-m', message);
+  }
+
+  beforeEach(() => {
+    repo = mkdtempSync(join(tmpdir(), 'claude-mem-git-log-'));
+    git(repo, {}, 'init', '-q');
+    commit('2026-01-01T10:00:00Z', 'Add readme', { 'README.md': 'one\ntwo\n' });
+    commit('2026-01-02T10:00:00Z', 'Rewrite readme\n\nThe old one was wrong.', { 'README.md': 'three\n', 'logo.bin': '\u0000\u0001' });
+  });
+
+  afterEach(() => {
+    rmSync(repo, { recursive: true, force: true });
+  });
+
+  it('reads commits oldest first with message, author date and diff stats', () => {
+    const commits = readGitLog(repo);
+
+    expect(commits).toHaveLength(2);
+    expect(commits[0]).toMatchObject({
+      authorName: 'Dev',
+      authorEmail: 'dev@example.com',
+      authorDateEpoch: Date.parse('2026-01-01T10:00:00Z'),
+      subject: 'Add readme',
+      body: '',
+      files: [{ path: 'README.md', added: 2, removed: 0 }]
+    });
+    expect(commits[0].sha).toMatch(/^[0-9a-f]{40}$/);
+    expect(commits[1].body).toBe('The old one was wrong.');
+    expect(commits[1].files).toEqual([
+      { path: 'README.md', added: 1, removed: 2 },
+      { path: 'logo.bin', added: null, removed: null }
+    ]);
+  });
+
+  it('keeps the most recent commits when limited', () => {
+    const commits = readGitLog(repo, { maxCount: 1 });
+    expect(commits.map(c => c.subject)).toEqual(['Rewrite readme']);
+  });
+
+  it('throws outside a git repository', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'claude-mem-not-git-'));
+    try {
+      expect(() => readGitLog(dir)).toThrow();
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -88,6 +88,7 @@ describe('ResponseProcessor', () => {
       getPendingMessageStore: () => ({
         markProcessed: mock(() => {}),
         confirmProcessed: mock(() => {}),  // CLAIM-CONFIRM pattern: confirm after successful storage
+        getMessagesByIds: mock(() => []),
         cleanupProcessed: mock(() => 0),
         resetStuckMessages: mock(() => 0),
       }),
@@ -439,6 +440,60 @@ describe('ResponseProcessor', () => {
       expect(summaryCall).toBeDefined();
       expect(summaryCall[0].summary.request).toBe('Build feature');
     });
+
+    it('should resync and broadcast the canonical observation for folded duplicates', async () => {
+      const session = createMockSession();
+      const responseText = `
+        <observation>
+          <type>discovery</type>
+          <title>Duplicate finding</title>
+          <facts><fact>New fact</fact></facts>
+          <concepts></concepts>
+          <files_read></files_read>
+          <files_modified></files_modified>
+        </observation>
+      `;
+
+      const canonical = { id: 7, title: 'Duplicate finding', facts: '["Old fact","New fact"]' };
+      const mockResyncObservation = mock(() => Promise.resolve());
+      mockStoreObservations = mock(() => ({
+        observationIds: [7],
+        summaryId: null,
+        createdAtEpoch: 1700000000000,
+        foldedIndexes: [0],
+      }));
+      (mockDbManager.getSessionStore as any) = () => ({
+        storeObservations: mockStoreObservations,
+        ensureMemorySessionIdRegistered: mock(() => {}),
+        getObservationById: mock(() => canonical),
+      });
+      (mockDbManager.getChromaSync as any) = () => ({
+        syncObservation: mockChromaSyncObservation,
+        resyncObservation: mockResyncObservation,
+      });
+
+      await processAgentResponse(
+        responseText,
+        session,
+        mockDbManager,
+        mockSessionManager,
+        mockWorker,
+        100,
+        null,
+        'TestAgent'
+      );
+
+      expect(mockChromaSyncObservation).not.toHaveBeenCalled();
+      expect(mockResyncObservation).toHaveBeenCalledWith(canonical);
+
+      const types = mockBroadcast.mock.calls.map((call: any[]) => call[0].type);
+      expect(types).not.toContain('new_observation');
+      const mergeCall = mockBroadcast.mock.calls.find(
+        (call: any[]) => call[0].type === 'observations_merged'
+      );
+      expect(mergeCall[0].observation).toBe(canonical);
+      expect(mergeCall[0].merged_ids).toEqual([]);
+    });
   });
 
   describe('handling empty response', () => {
@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'bun:test';
+import { DoctorService } from '../../src/services/worker/DoctorService.js';
+import { SessionStore } from '../../src/services/sqlite/SessionStore.js';
+import type { DatabaseManager } from '../../src/services/worker/DatabaseManager.js';
+
+describe('DoctorService', () => {
+  it('should refuse to start while another run is in progress', async () => {
+    const store = new SessionStore(':memory:');
+    let releaseVectors!: (ids: { observations: Set<number>; summaries: Set<number>; prompts: Set<number> }) => void;
+    const chromaSync = {
+      isDisabled: () => false,
+      getExistingChromaIds: () => new Promise(resolve => { releaseVectors = resolve; })
+    };
+    const service = new DoctorService({
+      getSessionStore: () => store,
+      getChromaSync: () => chromaSync
+    } as unknown as DatabaseManager);
+
+    const first = service.run({ categories: ['vectors'] });
+    expect(service.isRunning()).toBe(true);
+    await expect(service.run({ categories: ['fts'] })).rejects.toThrow('already in progress');
+
+    releaseVectors({ observations: new Set(), summaries: new Set(), prompts: new Set() });
+    const report = await first;
+    expect(report.issues).toBe(0);
+    expect(service.isRunning()).toBe(false);
+
+    store.close();
+  });
+});
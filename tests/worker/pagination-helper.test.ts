@@ -0,0 +1,101 @@
+/**
+ * PaginationHelper tests
+ * Tests offset and keyset cursor paging of the viewer data endpoints against a real SQLite database
+ *
+ * Sources:
+ * - API patterns from src/services/worker/PaginationHelper.ts
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { SessionStore } from '../../src/services/sqlite/SessionStore.js';
+import { decodeCursor } from '../../src/services/sqlite/cursor.js';
+import { PaginationHelper } from '../../src/services/worker/PaginationHelper.js';
+import type { DatabaseManager } from '../../src/services/worker/DatabaseManager.js';
+
+describe('PaginationHelper', () => {
+  let dir: string;
+  let store: SessionStore;
+  let helper: PaginationHelper;
+  let epoch: number;
+  const memoryId = 'memory-sess-pages';
+
+  function storeObservation(title: string, project = 'acme'): number {
+    epoch += 1000;
+    return store.storeObservation(memoryId, project, {
+      type: 'discovery',
+      title,
+      subtitle: null,
+      facts: [],
+      narrative: null,
+      concepts: [],
+      files_read: [],
+      files_modified: []
+    }, 1, 0, epoch).id;
+  }
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'claude-mem-pages-'));
+    store = new SessionStore(join(dir, 'test.db'));
+    helper = new PaginationHelper({ getSessionStore: () => store } as unknown as DatabaseManager);
+    epoch = 1700000000000;
+
+    const sdkId = store.createSDKSession('claude-sess-pages', 'acme', 'initial prompt');
+    store.updateMemorySessionId(sdkId, memoryId);
+  });
+
+  afterEach(() => {
+    store.close();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should page by cursor without repeating items when new observations arrive', () => {
+    const ids = ['a', 'b', 'c', 'd', 'e'].map(title => storeObservation(title));
+
+    const first = helper.getObservations(0, 2);
+    // Offset paging would now repeat the last item of the first page
+    storeObservation('live');
+    const second = helper.getObservations(0, 2, undefined, decodeCursor(first.nextCursor!));
+    const third = helper.getObservations(0, 2, undefined, decodeCursor(second.nextCursor!));
+
+    expect(first.items.map(o => o.id)).toEqual([ids[4], ids[3]]);
+    expect(second.items.map(o => o.id)).toEqual([ids[2], ids[1]]);
+    expect(third.items.map(o => o.id)).toEqual([ids[0]]);
+    expect(third.hasMore).toBe(false);
+    expect(third.nextCursor).toBeNull();
+  });
+
+  it('should apply the project filter alongside the cursor', () => {
+    const acme = [storeObservation('a'), storeObservation('b')];
+    storeObservation('other', 'other');
+    const acmeNewest = storeObservation('c');
+
+    const first = helper.getObservations(0, 1, 'acme');
+    const rest = helper.getObservations(0, 10, 'acme', decodeCursor(first.nextCursor!));
+
+    expect(first.items.map(o => o.id)).toEqual([acmeNewest]);
+    expect(rest.items.map(o => o.id)).toEqual([acme[1], acme[0]]);
+  });
+
+  it('should keep offset paging for clients without cursors', () => {
+    const ids = ['a', 'b', 'c'].map(title => storeObservation(title));
+
+    const page = helper.getObservations(1, 1);
+
+    expect(page.items.map(o => o.id)).toEqual([ids[1]]);
+    expect(page).toMatchObject({ hasMore: true, offset: 1, limit: 1 });
+  });
+
+  it('should page user prompts by cursor', () => {
+    const ids = [1, 2, 3].map(n => store.saveUserPrompt('claude-sess-pages', n, `prompt ${n}`));
+    store.db.run('UPDATE user_prompts SET created_at_epoch = 1000');
+
+    const first = helper.getPrompts(0, 2);
+    const second = helper.getPrompts(0, 2, undefined, decodeCursor(first.nextCursor!));
+
+    expect([...first.items, ...second.items].map(p => p.id)).toEqual([ids[2], ids[1], ids[0]]);
+    expect(second.nextCursor).toBeNull();
+  });
+});
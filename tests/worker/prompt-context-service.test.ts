@@ -0,0 +1,115 @@
+import { describe, it, expect, mock, beforeEach } from 'bun:test';
+import { PromptContextService } from '../../src/services/worker/PromptContextService.js';
+import type { SearchOrchestrator } from '../../src/services/worker/search/SearchOrchestrator.js';
+import type { ObservationSearchResult, StrategySearchResult } from '../../src/services/worker/search/types.js';
+
+function chromaResult(observations: ObservationSearchResult[]): StrategySearchResult {
+  return {
+    results: { observations, sessions: [], prompts: [] },
+    usedChroma: true,
+    fellBack: false,
+    strategy: 'chroma'
+  };
+}
+
+describe('PromptContextService', () => {
+  let searchMock: ReturnType<typeof mock>;
+  let service: PromptContextService;
+
+  beforeEach(() => {
+    searchMock = mock(() => Promise.resolve(chromaResult([createTestObservation(1), createTestObservation(2), createTestObservation(3)])));
+    service = new PromptContextService({ search: searchMock } as unknown as SearchOrchestrator);
+  });
+
+  function createTestObservation(id: number, narrative: string = `Narrative for ${id}`): ObservationSearchResult {
+    return {
+      id,
+      memory_session_id: 'session-123',
+      project: 'test-project',
+      text: null,
+      type: 'discovery',
+      title: `Observation ${id}`,
+      subtitle: null,
+      facts: '[]',
+      narrative,
+      concepts: '[]',
+      files_read: '[]',
+      files_modified: '[]',
+      prompt_number: 1,
+      discovery_tokens: 0,
+      created_at: '2025-01-01T12:00:00.000Z',
+      created_at_epoch: Date.now() - 1000 * 60 * 60
+    } as ObservationSearchResult;
+  }
+
+  it('should search observations for the prompt and render the top matches', async () => {
+    const result = await service.buildContext({
+      prompt: 'how does auth work',
+      project: 'test-project',
+      limit: 2,
+      tokenBudget: 1000
+    });
+
+    expect(searchMock).toHaveBeenCalledTimes(1);
+    const args = searchMock.mock.calls[0][0] as any;
+    expect(args.query).toBe('how does auth work');
+    expect(args.project).toBe('test-project');
+    expect(args.searchType).toBe('observations');
+
+    expect(result.observationIds).toEqual([1, 2]);
+    expect(result.context).toContain('#1');
+    expect(result.context).toContain('Observation 2');
+    expect(result.context).not.toContain('#3');
+  });
+
+  it('should not inject the same observation twice in one session', async () => {
+    const first = await service.buildContext({ prompt: 'auth', contentSessionId: 's1', limit: 2, tokenBudget: 1000 });
+    const second = await service.buildContext({ prompt: 'auth again', contentSessionId: 's1', limit: 2, tokenBudget: 1000 });
+    const otherSession = await service.buildContext({ prompt: 'auth', contentSessionId: 's2', limit: 2, tokenBudget: 1000 });
+
+    expect(first.observationIds).toEqual([1, 2]);
+    expect(second.observationIds).toEqual([3]);
+    expect(otherSession.observationIds).toEqual([1, 2]);
+  });
+
+  it('should skip observations already injected at session start', async () => {
+    service.markInjected('s1', [1, 3]);
+
+    const result = await service.buildContext({ prompt: 'auth', contentSessionId: 's1', limit: 2, tokenBudget: 1000 });
+
+    expect(result.observationIds).toEqual([2]);
+  });
+
+  it('should skip observations that do not fit the token budget', async () => {
+    searchMock.mockImplementation(() => Promise.resolve(chromaResult([
+      createTestObservation(1, 'x'.repeat(400)),
+      createTestObservation(2, 'short')
+    ])));
+
+    const result = await service.buildContext({ prompt: 'auth', limit: 5, tokenBudget: 80 });
+
+    expect(result.observationIds).toEqual([2]);
+    expect(result.tokens).toBeLessThanOrEqual(80);
+  });
+
+  it('should return empty context for a filter-only fallback', async () => {
+    searchMock.mockImplementation(() => Promise.resolve({
+      ...chromaResult([createTestObservation(1)]),
+      usedChroma: false,
+      fellBack: true,
+      strategy: 'sqlite'
+    }));
+
+    const result = await service.buildContext({ prompt: 'auth', limit: 3, tokenBudget: 1000 });
+
+    expect(result.context).toBe('');
+    expect(result.observationIds).toEqual([]);
+  });
+
+  it('should not search for an empty prompt', async () => {
+    const result = await service.buildContext({ prompt: '   ', limit: 3, tokenBudget: 1000 });
+
+    expect(searchMock).not.toHaveBeenCalled();
+    expect(result.context).toBe('');
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Search evaluation tests
+ * Tests the golden-query format, retrieval metrics and the strategy evaluation
+ * harness over a fixture database embedded with the deterministic HashEmbedder
+ *
+ * Sources:
+ * - Harness from src/services/worker/search/evaluation/
+ * - Fixture data from tests/worker/search/fixtures/search-eval/
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'bun:test';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  buildEvaluationFixture,
+  evaluateStrategies,
+  formatEvaluationReport,
+  latencyStats,
+  loadGoldenQueries,
+  parseGoldenQueries,
+  recallAtK,
+  reciprocalRank,
+  type EvaluationFixture,
+  type EvaluationReport,
+  type FixtureObservation,
+  type GoldenQuery
+} from '../../../src/services/worker/search/evaluation/index.js';
+
+const FIXTURE_DIR = join(import.meta.dir, 'fixtures', 'search-eval');
+
+function loadFixtureObservations(): FixtureObservation[] {
+  return JSON.parse(readFileSync(join(FIXTURE_DIR, 'observations.json'), 'utf-8'));
+}
+
+describe('parseGoldenQueries', () => {
+  it('should parse JSONL and skip blank lines and comments', () => {
+    const queries = parseGoldenQueries([
+      '# comment',
+      '{"id": "a", "query": "worker startup", "expected": [1, 2]}',
+      '',
+      '{"id": "b", "query": "type:bugfix", "expected": [3], "k": 2}'
+    ].join('\n'));
+
+    expect(queries).toEqual([
+      { id: 'a', query: 'worker startup', expected: [1, 2] },
+      { id: 'b', query: 'type:bugfix', expected: [3], k: 2 }
+    ]);
+  });
+
+  it('should name the line of an invalid entry', () => {
+    expect(() => parseGoldenQueries('\n{"id": "a", "query": "x"', 'golden.jsonl')).toThrow('golden.jsonl:2: invalid JSON');
+    expect(() => parseGoldenQueries('{"id": "a", "query": "x", "expected": []}')).toThrow(':1: expected must be');
+    expect(() => parseGoldenQueries('{"id": "a", "query": "x", "expected": [1], "k": 0}')).toThrow(':1: k must be');
+    expect(() => parseGoldenQueries('{"id": "a", "query": "fiel:src", "expected": [1]}')).toThrow(':1: Unknown filter');
+    expect(() => parseGoldenQueries([
+      '{"id": "a", "query": "x", "expected": [1]}',
+      '{"id": "a", "query": "y", "expected": [2]}'
+    ].join('\n'))).toThrow(':2: duplicate id "a"');
+  });
+});
+
+describe('metrics', () => {
+  it('should compute recall@k and reciprocal rank within the cutoff', () => {
+    expect(recallAtK([5, 1, 7, 2], [1, 2], 2)).toBe(0.5);
+    expect(recallAtK([5, 1, 7, 2], [1, 2], 4)).toBe(1);
+    expect(reciprocalRank([5, 1, 7, 2], [2, 1], 4)).toBe(0.5);
+    expect(reciprocalRank([5, 1, 7, 2], [2], 3)).toBe(0);
+  });
+
+  it('should summarize latency with nearest-rank percentiles', () => {
+    expect(latencyStats([4, 1, 3, 2])).toEqual({ meanMs: 2.5, p50Ms: 2, p95Ms: 4, maxMs: 4 });
+    expect(latencyStats([])).toEqual({ meanMs: 0, p50Ms: 0, p95Ms: 0, maxMs: 0 });
+  });
+});
+
+describe('Search evaluation harness', () => {
+  let dir: string;
+  let fixture: EvaluationFixture;
+  let queries: GoldenQuery[];
+  let report: EvaluationReport;
+
+  beforeAll(async () => {
+    dir = mkdtempSync(join(tmpdir(), 'claude-mem-search-eval-'));
+    fixture = await buildEvaluationFixture(join(dir, 'eval.db'), loadFixtureObservations());
+    queries = loadGoldenQueries(join(FIXTURE_DIR, 'golden-queries.jsonl'));
+    report = await evaluateStrategies(fixture.strategies, queries);
+  });
+
+  afterAll(async () => {
+    await fixture.close();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should evaluate every strategy against the golden queries', () => {
+    expect(report.k).toBe(5);
+    expect(report.queryCount).toBe(queries.length);
+    expect(report.strategies.map(s => s.strategy)).toEqual(['sqlite', 'fts5', 'chroma', 'hybrid']);
+
+    for (const strategy of report.strategies) {
+      expect(strategy.queries.length + strategy.skipped.length).toBe(queries.length);
+      expect(strategy.latency.maxMs).toBeGreaterThanOrEqual(strategy.latency.p50Ms);
+    }
+  });
+
+  it('should skip queries a strategy cannot handle', () => {
+    const [sqlite, fts5] = report.strategies;
+    const filterOnly = ['sync-gotchas', 'recent-bugfixes'];
+
+    expect(sqlite.queries.map(q => q.queryId)).toEqual(filterOnly);
+    expect(fts5.skipped).toEqual(filterOnly);
+  });
+
+  it('should meet recall and MRR floors on the fixture', () => {
+    const byName = Object.fromEntries(report.strategies.map(s => [s.strategy, s]));
+
+    expect(byName.sqlite.recallAtK).toBe(1);
+    expect(byName.fts5.recallAtK).toBe(1);
+    expect(byName.fts5.mrr).toBe(1);
+    expect(byName.hybrid.recallAtK).toBeGreaterThanOrEqual(0.85);
+    expect(byName.hybrid.mrr).toBeGreaterThanOrEqual(byName.chroma.mrr);
+  });
+
+  it('should produce the same rankings on every run', async () => {
+    const rerun = await evaluateStrategies(fixture.strategies, queries);
+    const rankings = (r: EvaluationReport) => r.strategies.map(s => s.queries.map(q => q.returned));
+
+    expect(rankings(rerun)).toEqual(rankings(report));
+  });
+
+  it('should format the report as a table', () => {
+    const text = formatEvaluationReport(report);
+
+    expect(text).toContain(`Search evaluation: ${queries.length} golden queries, k=5`);
+    expect(text).toContain('| Strategy | Queries | Recall@k | MRR | p50 ms | p95 ms |');
+    expect(text).toMatch(/\| fts5 \| 7\/9 \| 1\.000 \| 1\.000 \|/);
+  });
+});
+
+describe('buildEvaluationFixture', () => {
+  it('should reject observations whose id does not match their position', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'claude-mem-search-eval-'));
+    const [first] = loadFixtureObservations();
+
+    try {
+      await expect(buildEvaluationFixture(join(dir, 'eval.db'), [{ ...first, id: 2 }]))
+        .rejects.toThrow('Fixture observation 1 has id 2, expected 1');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, it, expect } from 'bun:test';
+import { computeSearchFacets, formatSearchFacets, chooseDateBucket } from '../../../src/services/worker/search/Facets.js';
+import type { ObservationSearchResult, SessionSummarySearchResult } from '../../../src/services/worker/search/types.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = Date.parse('2026-09-01T12:00:00Z');
+
+describe('Search Facets', () => {
+  function createTestObservation(overrides: Partial<ObservationSearchResult> = {}): ObservationSearchResult {
+    return {
+      id: 1,
+      memory_session_id: 'mem-1',
+      project: 'acme',
+      text: null,
+      type: 'bugfix',
+      title: 'Fix race',
+      subtitle: null,
+      facts: null,
+      narrative: null,
+      concepts: '["gotcha"]',
+      files_read: '["src/services/queue.ts"]',
+      files_modified: '["src/services/worker.ts"]',
+      prompt_number: 1,
+      discovery_tokens: 0,
+      created_at: new Date(START).toISOString(),
+      created_at_epoch: START,
+      ...overrides
+    } as ObservationSearchResult;
+  }
+
+  describe('computeSearchFacets', () => {
+    it('should count types, concepts, directories and projects over all matches', () => {
+      const facets = computeSearchFacets({
+        observations: [
+          createTestObservation(),
+          createTestObservation({ id: 2, type: 'feature', concepts: '["gotcha","pattern"]', files_read: '["docs/my notes/a.md"]', files_modified: '[]' }),
+          createTestObservation({ id: 3, project: 'other', files_read: '[]', files_modified: '["README.md"]' })
+        ],
+        sessions: [{ id: 1, project: 'acme', created_at_epoch: START } as SessionSummarySearchResult],
+        prompts: []
+      });
+
+      expect(facets.total).toBe(4);
+      expect(facets.truncated).toBe(false);
+      expect(facets.types).toEqual([
+        { value: 'bugfix', count: 2, filter: 'type:bugfix' },
+        { value: 'feature', count: 1, filter: 'type:feature' }
+      ]);
+      expect(facets.concepts[0]).toEqual({ value: 'gotcha', count: 3, filter: 'concept:gotcha' });
+      expect(facets.projects).toEqual([
+        { value: 'acme', count: 3, filter: 'project:acme' },
+        { value: 'other', count: 1, filter: 'project:other' }
+      ]);
+      // Files in the same directory count an observation once; bare file names have no directory
+      expect(facets.directories).toEqual([
+        { value: 'docs/my notes', count: 1, filter: 'file:"docs/my notes/**"' },
+        { value: 'src/services', count: 1, filter: 'file:src/services/**' }
+      ]);
+    });
+
+    it('should build a date histogram with empty buckets', () => {
+      const facets = computeSearchFacets({
+        observations: [
+          createTestObservation({ created_at_epoch: START }),
+          createTestObservation({ id: 2, created_at_epoch: START + 2 * DAY })
+        ],
+        sessions: [],
+        prompts: []
+      });
+
+      expect(facets.dates).toEqual({
+        bucket: 'day',
+        counts: [
+          { value: '2026-09-01', count: 1, filter: 'after:2026-09-01 before:2026-09-02' },
+          { value: '2026-09-02', count: 0, filter: 'after:2026-09-02 before:2026-09-03' },
+          { value: '2026-09-03', count: 1, filter: 'after:2026-09-03 before:2026-09-04' }
+        ]
+      });
+    });
+
+    it('should use weekly buckets starting on Monday for longer spans', () => {
+      const facets = computeSearchFacets({
+        observations: [
+          createTestObservation({ created_at_epoch: START }),
+          createTestObservation({ id: 2, created_at_epoch: START + 40 * DAY })
+        ],
+        sessions: [],
+        prompts: []
+      });
+
+      expect(facets.dates.bucket).toBe('week');
+      expect(facets.dates.counts[0].value).toBe('2026-08-31');
+      expect(facets.dates.counts.reduce((sum, facet) => sum + facet.count, 0)).toBe(2);
+    });
+
+    it('should return empty facets for no matches', () => {
+      const facets = computeSearchFacets({ observations: [], sessions: [], prompts: [] });
+
+      expect(facets.total).toBe(0);
+      expect(facets.dates).toEqual({ bucket: 'day', counts: [] });
+    });
+  });
+
+  describe('chooseDateBucket', () => {
+    it('should pick day, week or month by span', () => {
+      expect(chooseDateBucket(10 * DAY)).toBe('day');
+      expect(chooseDateBucket(90 * DAY)).toBe('week');
+      expect(chooseDateBucket(400 * DAY)).toBe('month');
+    });
+  });
+
+  describe('formatSearchFacets', () => {
+    it('should list non-empty values with their filters', () => {
+      const lines = formatSearchFacets(computeSearchFacets({ observations: [createTestObservation()], sessions: [], prompts: [] }, true));
+
+      expect(lines[0]).toBe('Narrow with (counts over 1+ matches):');
+      expect(lines).toContain('- Types: `type:bugfix` (1)');
+      expect(lines).toContain('- Dates (by day): `after:2026-09-01 before:2026-09-02` (1)');
+    });
+  });
+});
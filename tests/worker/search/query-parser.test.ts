@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'bun:test';
+import { parseSearchQuery, globToLikePattern, SearchQueryError } from '../../../src/services/worker/search/QueryParser.js';
+
+function parseError(input: string): SearchQueryError {
+  try {
+    parseSearchQuery(input);
+  } catch (error) {
+    if (error instanceof SearchQueryError) return error;
+    throw error;
+  }
+  throw new Error(`Expected "${input}" to fail`);
+}
+
+describe('parseSearchQuery', () => {
+  it('should parse filters and keep the rest as query text', () => {
+    const options = parseSearchQuery('type:bugfix file:src/services/** concept:gotcha after:2026-09-01 "race condition"');
+
+    expect(options).toEqual({
+      query: '"race condition"',
+      obsType: ['bugfix'],
+      files: ['src/services/%'],
+      concepts: ['gotcha'],
+      dateRange: { start: Date.parse('2026-09-01') }
+    });
+  });
+
+  it('should combine repeated and comma-separated values', () => {
+    const options = parseSearchQuery('type:bugfix,feature type:decision concept:a concept:b auth* OR jwt');
+
+    expect(options.obsType).toEqual(['bugfix', 'feature', 'decision']);
+    expect(options.concepts).toEqual(['a', 'b']);
+    expect(options.query).toBe('auth* OR jwt');
+  });
+
+  it('should parse project, in, sort, before and quoted values', () => {
+    const options = parseSearchQuery('project:acme/api in:Sessions sort:newest before:2026-10-01 file:"my docs/*.md"');
+
+    expect(options).toEqual({
+      project: 'acme/api',
+      searchType: 'sessions',
+      orderBy: 'date_desc',
+      dateRange: { end: Date.parse('2026-10-01') - 1 },
+      files: ['my docs/%.md']
+    });
+  });
+
+  it('should return no options for an empty query', () => {
+    expect(parseSearchQuery('   ')).toEqual({});
+  });
+
+  it('should keep colons inside quoted text', () => {
+    expect(parseSearchQuery('"error: timeout" retry').query).toBe('"error: timeout" retry');
+  });
+
+  it('should report unknown filters with their position', () => {
+    const error = parseError('retry fiel:src');
+
+    expect(error.position).toBe(6);
+    expect(error.message).toContain('Unknown filter "fiel:"');
+    expect(error.message).toContain('file:');
+  });
+
+  it('should reject missing and invalid values', () => {
+    expect(parseError('type:').message).toContain('Missing value for type:');
+    expect(parseError('after:yesterday').message).toContain('Invalid date "yesterday"');
+    expect(parseError('in:files').message).toContain('expected observations, sessions, prompts');
+    expect(parseError('sort:best').message).toContain('expected relevance, newest, oldest');
+  });
+
+  it('should reject repeated single-value filters and inverted date ranges', () => {
+    expect(parseError('project:a project:b').message).toContain('project: appears more than once');
+    expect(parseError('after:2026-10-01 before:2026-09-01').position).toBe(0);
+  });
+
+  it('should reject unterminated quotes', () => {
+    const error = parseError('retry "race condition');
+
+    expect(error.position).toBe(6);
+    expect(error.message).toContain('Unterminated quote');
+  });
+});
+
+describe('globToLikePattern', () => {
+  it('should translate glob wildcards to LIKE wildcards', () => {
+    expect(globToLikePattern('src/**/*.ts')).toBe('src/%/%.ts');
+    expect(globToLikePattern('file?.ts')).toBe('file_.ts');
+    expect(globToLikePattern('src/parser.ts')).toBe('src/parser.ts');
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Search cursor tests
+ * Tests per-type keyset cursors for date-ordered search results
+ *
+ * Sources:
+ * - API patterns from src/services/worker/search/SearchCursor.ts
+ */
+
+import { describe, it, expect } from 'bun:test';
+import {
+  decodeSearchCursor,
+  encodeSearchCursor,
+  nextSearchCursor
+} from '../../../src/services/worker/search/SearchCursor.js';
+import { InvalidCursorError } from '../../../src/services/sqlite/cursor.js';
+
+const row = (id: number, epoch: number) => ({ id, created_at_epoch: epoch });
+
+describe('SearchCursor', () => {
+  it('should round-trip positions, exhausted types and absent types', () => {
+    const cursor = { observations: { epoch: 2000, id: 7 }, sessions: null };
+
+    expect(decodeSearchCursor(encodeSearchCursor(cursor))).toEqual(cursor);
+  });
+
+  it('should reject malformed cursors', () => {
+    expect(() => decodeSearchCursor('%%%')).toThrow(InvalidCursorError);
+    expect(() => decodeSearchCursor(Buffer.from('[1, 2]').toString('base64url'))).toThrow(InvalidCursorError);
+    expect(() => decodeSearchCursor(Buffer.from('{"o": "x"}').toString('base64url'))).toThrow(InvalidCursorError);
+  });
+
+  describe('nextSearchCursor', () => {
+    it('should continue each type after its last shown row', () => {
+      const observations = [row(9, 3000), row(8, 2000)];
+      const sessions = [row(4, 2500), row(3, 1000)];
+
+      const next = nextSearchCursor({ observations, sessions }, { observations, sessions }, {}, 2);
+
+      expect(next).toEqual({ observations: { epoch: 2000, id: 8 }, sessions: { epoch: 1000, id: 3 } });
+    });
+
+    it('should mark types with a short final page as exhausted', () => {
+      const observations = [row(9, 3000), row(8, 2000)];
+      const prompts = [row(1, 500)];
+
+      const next = nextSearchCursor({ observations, prompts }, { observations, prompts }, {}, 2);
+
+      expect(next).toEqual({ observations: { epoch: 2000, id: 8 }, prompts: null });
+    });
+
+    it('should keep the previous position of a type with no rows shown', () => {
+      const previous = { observations: { epoch: 5000, id: 20 } };
+      const observations = [row(19, 4000), row(18, 3500)];
+      const sessions = [row(6, 4500), row(5, 4200)];
+
+      // A merged page of two: both sessions are newer than either observation
+      const next = nextSearchCursor({ observations, sessions }, { observations: [], sessions }, previous, 2);
+
+      expect(next).toEqual({ observations: { epoch: 5000, id: 20 }, sessions: { epoch: 4200, id: 5 } });
+    });
+
+    it('should return null when every type is exhausted', () => {
+      const observations = [row(1, 1000)];
+
+      expect(nextSearchCursor({ observations, sessions: [] }, { observations, sessions: [] }, {}, 2)).toBeNull();
+    });
+  });
+});
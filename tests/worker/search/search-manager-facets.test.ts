@@ -0,0 +1,86 @@
+import { describe, it, expect, mock } from 'bun:test';
+import { SearchManager } from '../../../src/services/worker/SearchManager.js';
+import type { SessionSearch } from '../../../src/services/sqlite/SessionSearch.js';
+import type { SessionStore } from '../../../src/services/sqlite/SessionStore.js';
+import type { ChromaSync } from '../../../src/services/sync/ChromaSync.js';
+import type { FormattingService } from '../../../src/services/worker/FormattingService.js';
+import type { TimelineService } from '../../../src/services/worker/TimelineService.js';
+import type { ObservationSearchResult } from '../../../src/services/worker/search/types.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('SearchManager facets on the Chroma path', () => {
+  function createTestObservation(id: number): ObservationSearchResult {
+    return {
+      id,
+      memory_session_id: 'session-123',
+      project: 'test-project',
+      text: null,
+      type: 'discovery',
+      title: `Observation ${id}`,
+      subtitle: null,
+      facts: '[]',
+      narrative: null,
+      concepts: '[]',
+      files_read: '[]',
+      files_modified: '[]',
+      prompt_number: 1,
+      discovery_tokens: 0,
+      created_at: new Date(Date.now() - DAY).toISOString(),
+      created_at_epoch: Date.now() - DAY
+    } as ObservationSearchResult;
+  }
+
+  /**
+   * A SearchManager whose Chroma query returns one hit per epoch, hydrated as observations
+   */
+  function createManager(hitEpochs: number[]): SearchManager {
+    const ids = hitEpochs.map((_, idx) => idx + 1);
+    const chromaSync = {
+      isDisabled: () => false,
+      queryChroma: mock(() => Promise.resolve({
+        ids,
+        distances: ids.map(() => 0.1),
+        metadatas: hitEpochs.map(epoch => ({ doc_type: 'observation', created_at_epoch: epoch }))
+      }))
+    };
+    const sessionStore = {
+      getObservationsByIds: (obsIds: number[]) => obsIds.map(createTestObservation)
+    };
+
+    return new SearchManager(
+      {} as SessionSearch,
+      sessionStore as unknown as SessionStore,
+      chromaSync as unknown as ChromaSync,
+      {} as FormattingService,
+      {} as TimelineService
+    );
+  }
+
+  it('should not mark facets truncated when Chroma returned every match', async () => {
+    const manager = createManager([Date.now() - DAY, Date.now() - 2 * DAY]);
+
+    const result = await manager.search({ query: 'auth', type: 'observations', facets: 'true', format: 'json' });
+
+    expect(result.facets.total).toBe(2);
+    expect(result.facets.truncated).toBe(false);
+  });
+
+  it('should mark facets truncated when the recency window dropped matches', async () => {
+    const manager = createManager([Date.now() - DAY, Date.now() - 200 * DAY]);
+
+    const result = await manager.search({ query: 'auth', type: 'observations', facets: 'true', format: 'json' });
+
+    expect(result.facets.total).toBe(1);
+    expect(result.facets.truncated).toBe(true);
+  });
+
+  it('should mark facets truncated when Chroma hit its result cap', async () => {
+    const manager = createManager(Array.from({ length: 100 }, () => Date.now() - DAY));
+
+    const result = await manager.search({ query: 'auth', type: 'observations', facets: 'true', format: 'json' });
+
+    expect(result.facets.total).toBe(100);
+    expect(result.facets.truncated).toBe(true);
+  });
+});
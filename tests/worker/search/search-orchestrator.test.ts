@@ -118,7 +118,8 @@ describe('SearchOrchestrator', () => {
         ids: [1],
         distances: [0.1],
         metadatas: [{ sqlite_id: 1, doc_type: 'observation', created_at_epoch: Date.now() - 1000 }]
-      }))
+      })),
+      isDisabled: mock(() => false)
     };
   });
 
@@ -150,16 +151,53 @@ describe('SearchOrchestrator', () => {
         expect(mockChromaSync.queryChroma).toHaveBeenCalled();
       });
 
-      it('should fall back to SQLite when Chroma fails', async () => {
+      it('should fall back to FTS5 keyword search when Chroma fails', async () => {
         mockChromaSync.queryChroma = mock(() => Promise.reject(new Error('Chroma unavailable')));
 
         const result = await orchestrator.search({
           query: 'test query'
         });
 
-        // Chroma failed, should have fallen back
+        // Chroma failed, should have fallen back with the query intact
         expect(result.fellBack).toBe(true);
         expect(result.usedChroma).toBe(false);
+        expect(result.strategy).toBe('fts5');
+        expect(mockSessionSearch.searchObservations.mock.calls[0][0]).toBe('test query');
+      });
+
+      it('should use FTS5 when Chroma is disabled', async () => {
+        mockChromaSync.isDisabled = mock(() => true);
+
+        const result = await orchestrator.search({
+          query: 'test query'
+        });
+
+        expect(result.strategy).toBe('fts5');
+        expect(result.fellBack).toBe(false);
+        expect(mockChromaSync.queryChroma).not.toHaveBeenCalled();
+      });
+
+      it('should use hybrid rank fusion for orderBy=relevance', async () => {
+        const result = await orchestrator.search({
+          query: 'test query',
+          orderBy: 'relevance'
+        });
+
+        expect(result.strategy).toBe('hybrid');
+        expect(result.usedChroma).toBe(true);
+        expect(mockSessionSearch.searchObservations.mock.calls[0][0]).toBe('test query');
+        expect(mockChromaSync.queryChroma).toHaveBeenCalled();
+        expect(result.results.observations[0].score).toBeGreaterThan(0);
+      });
+
+      it('should use FTS5 when strategyHint is fts5', async () => {
+        const result = await orchestrator.search({
+          query: 'test query',
+          strategyHint: 'fts5'
+        });
+
+        expect(result.strategy).toBe('fts5');
+        expect(mockChromaSync.queryChroma).not.toHaveBeenCalled();
       });
 
       it('should normalize comma-separated concepts', async () => {
@@ -313,14 +351,16 @@ describe('SearchOrchestrator', () => {
     });
 
     describe('search', () => {
-      it('should return empty results for query search without Chroma', async () => {
+      it('should use FTS5 keyword search for query search without Chroma', async () => {
         const result = await orchestrator.search({
-          query: 'semantic query'
+          query: 'keyword query'
         });
 
-        // No Chroma available, can't do semantic search
-        expect(result.results.observations).toHaveLength(0);
+        // No Chroma available, keyword search answers the query
+        expect(result.strategy).toBe('fts5');
+        expect(result.results.observations).toHaveLength(1);
         expect(result.usedChroma).toBe(false);
+        expect(mockSessionSearch.searchObservations.mock.calls[0][0]).toBe('keyword query');
       });
 
       it('should still work for filter-only queries', async () => {
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'bun:test';
+import { rankSimilarObservations } from '../../../src/services/worker/search/SimilarObservations.js';
+import type { ObservationRow } from '../../../src/services/sqlite/types.js';
+
+describe('rankSimilarObservations', () => {
+  const target = createTestObservation();
+
+  function createTestObservation(overrides: Partial<ObservationRow> = {}): ObservationRow {
+    return {
+      id: 1,
+      memory_session_id: 'mem-1',
+      project: 'acme',
+      text: null,
+      type: 'bugfix',
+      title: 'Fix sync retry',
+      subtitle: null,
+      facts: null,
+      narrative: null,
+      concepts: '["gotcha","retry"]',
+      files_read: '["src/services/sync/Embedder.ts"]',
+      files_modified: '["src/services/sync/ChromaSync.ts"]',
+      prompt_number: 1,
+      discovery_tokens: 0,
+      created_at: '2026-09-01T12:00:00.000Z',
+      created_at_epoch: 1000,
+      ...overrides
+    };
+  }
+
+  it('should explain each match by vector rank, shared files and shared concepts', () => {
+    const candidate = createTestObservation({
+      id: 2,
+      concepts: '["gotcha"]',
+      files_read: '["src/services/sync/ChromaSync.ts"]',
+      files_modified: '["src/services/sync/ChromaSync.ts","src/services/sync/Embedder.ts"]'
+    });
+
+    const [similar] = rankSimilarObservations(target, [candidate], [2], 10);
+
+    expect(similar.vector_rank).toBe(1);
+    expect(similar.shared_files_modified).toEqual(['src/services/sync/ChromaSync.ts']);
+    expect(similar.shared_concepts).toEqual(['gotcha']);
+    expect(similar.reasons).toEqual([
+      'semantically similar (vector rank 1)',
+      'both modified src/services/sync/ChromaSync.ts',
+      'shared files: src/services/sync/Embedder.ts',
+      'shared concepts: gotcha'
+    ]);
+    // 0.5 * 1 (vector) + 0.3 * 1 (all files shared) + 0.2 * 0.5 (one of two concepts)
+    expect(similar.score).toBe(0.9);
+  });
+
+  it('should rank by combined score and drop the target and unrelated candidates', () => {
+    const vectorOnly = createTestObservation({ id: 2, concepts: '[]', files_read: '[]', files_modified: '[]' });
+    const filesAndConcepts = createTestObservation({ id: 3 });
+    const unrelated = createTestObservation({ id: 4, concepts: '["other"]', files_read: '[]', files_modified: '["README.md"]' });
+
+    const ranked = rankSimilarObservations(target, [target, unrelated, vectorOnly, filesAndConcepts], [1, 5, 2], 10);
+
+    expect(ranked.map(similar => similar.observation.id)).toEqual([3, 2]);
+    expect(ranked[1].reasons).toEqual(['semantically similar (vector rank 2)']);
+    expect(ranked[1].score).toBe(0.25);
+  });
+
+  it('should score lower vector ranks lower and respect the limit', () => {
+    const first = createTestObservation({ id: 2, concepts: '[]', files_read: '[]', files_modified: '[]' });
+    const second = createTestObservation({ id: 3, concepts: '[]', files_read: '[]', files_modified: '[]' });
+
+    const ranked = rankSimilarObservations(target, [second, first], [2, 3], 1);
+
+    expect(ranked).toHaveLength(1);
+    expect(ranked[0].observation.id).toBe(2);
+  });
+
+  it('should summarize long lists of shared files', () => {
+    const files = ['a.ts', 'b.ts', 'c.ts', 'd.ts', 'e.ts'];
+    const wide = createTestObservation({ files_read: JSON.stringify(files), files_modified: '[]', concepts: '[]' });
+    const candidate = createTestObservation({ id: 2, files_read: JSON.stringify(files), files_modified: '[]', concepts: '[]' });
+
+    const [similar] = rankSimilarObservations(wide, [candidate], [], 10);
+
+    expect(similar.reasons).toEqual(['shared files: a.ts, b.ts, c.ts (+2 more)']);
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, it, expect, mock, beforeEach } from 'bun:test';
+import { FTS5SearchStrategy } from '../../../../src/services/worker/search/strategies/FTS5SearchStrategy.js';
+import type { StrategySearchOptions, ObservationSearchResult, SessionSummarySearchResult, UserPromptSearchResult } from '../../../../src/services/worker/search/types.js';
+
+// Mock observation data
+const mockObservation: ObservationSearchResult = {
+  id: 1,
+  memory_session_id: 'session-123',
+  project: 'test-project',
+  text: 'Test observation text',
+  type: 'decision',
+  title: 'Test Decision',
+  subtitle: 'A test subtitle',
+  facts: '["fact1", "fact2"]',
+  narrative: 'Test narrative',
+  concepts: '["concept1", "concept2"]',
+  files_read: '["file1.ts"]',
+  files_modified: '["file2.ts"]',
+  prompt_number: 1,
+  discovery_tokens: 100,
+  created_at: '2025-01-01T12:00:00.000Z',
+  created_at_epoch: 1735732800000,
+  rank: -4.2,
+  score: 1,
+  snippet: 'A **test** decision'
+};
+
+const mockSession: SessionSummarySearchResult = {
+  id: 1,
+  memory_session_id: 'session-123',
+  project: 'test-project',
+  request: 'Test request',
+  investigated: 'Test investigated',
+  learned: 'Test learned',
+  completed: 'Test completed',
+  next_steps: 'Test next steps',
+  files_read: '["file1.ts"]',
+  files_edited: '["file2.ts"]',
+  notes: 'Test notes',
+  prompt_number: 1,
+  discovery_tokens: 500,
+  created_at: '2025-01-01T12:00:00.000Z',
+  created_at_epoch: 1735732800000
+};
+
+const mockPrompt: UserPromptSearchResult = {
+  id: 1,
+  content_session_id: 'content-session-123',
+  prompt_number: 1,
+  prompt_text: 'Test prompt text',
+  created_at: '2025-01-01T12:00:00.000Z',
+  created_at_epoch: 1735732800000
+};
+
+describe('FTS5SearchStrategy', () => {
+  let strategy: FTS5SearchStrategy;
+  let mockSessionSearch: any;
+
+  beforeEach(() => {
+    mockSessionSearch = {
+      searchObservations: mock(() => [mockObservation]),
+      searchSessions: mock(() => [mockSession]),
+      searchUserPrompts: mock(() => [mockPrompt])
+    };
+    strategy = new FTS5SearchStrategy(mockSessionSearch);
+  });
+
+  describe('canHandle', () => {
+    it('should return true when query text is present', () => {
+      expect(strategy.canHandle({ query: 'auth' })).toBe(true);
+    });
+
+    it('should return false for filter-only searches', () => {
+      expect(strategy.canHandle({ project: 'test-project' })).toBe(false);
+    });
+  });
+
+  describe('search', () => {
+    it('should pass the query text to all SessionSearch methods', async () => {
+      const result = await strategy.search({ query: 'test' });
+
+      expect(mockSessionSearch.searchObservations.mock.calls[0][0]).toBe('test');
+      expect(mockSessionSearch.searchSessions.mock.calls[0][0]).toBe('test');
+      expect(mockSessionSearch.searchUserPrompts.mock.calls[0][0]).toBe('test');
+      expect(result.strategy).toBe('fts5');
+      expect(result.usedChroma).toBe(false);
+      expect(result.fellBack).toBe(false);
+      expect(result.results.observations[0].snippet).toBe('A **test** decision');
+    });
+
+    it('should default to relevance ordering', async () => {
+      await strategy.search({ query: 'test' });
+
+      const options = mockSessionSearch.searchObservations.mock.calls[0][1];
+      expect(options.orderBy).toBe('relevance');
+    });
+
+    it('should pass observation filters through', async () => {
+      const options: StrategySearchOptions = {
+        query: 'test',
+        searchType: 'observations',
+        obsType: ['decision'],
+        concepts: ['concept1'],
+        files: ['file1.ts'],
+        project: 'test-project',
+        orderBy: 'date_desc'
+      };
+
+      await strategy.search(options);
+
+      const passed = mockSessionSearch.searchObservations.mock.calls[0][1];
+      expect(passed.type).toEqual(['decision']);
+      expect(passed.concepts).toEqual(['concept1']);
+      expect(passed.files).toEqual(['file1.ts']);
+      expect(passed.project).toBe('test-project');
+      expect(passed.orderBy).toBe('date_desc');
+      expect(mockSessionSearch.searchSessions).not.toHaveBeenCalled();
+      expect(mockSessionSearch.searchUserPrompts).not.toHaveBeenCalled();
+    });
+
+    it('should return empty results without query text', async () => {
+      const result = await strategy.search({ project: 'test-project' });
+
+      expect(result.results.observations).toHaveLength(0);
+      expect(mockSessionSearch.searchObservations).not.toHaveBeenCalled();
+    });
+
+    it('should return empty results when SessionSearch throws', async () => {
+      mockSessionSearch.searchObservations = mock(() => {
+        throw new Error('fts5: syntax error');
+      });
+
+      const result = await strategy.search({ query: 'test' });
+
+      expect(result.strategy).toBe('fts5');
+      expect(result.results.observations).toHaveLength(0);
+    });
+  });
+});
@@ -145,6 +145,14 @@ describe('HybridSearchStrategy', () => {
       expect(strategy.canHandle(options)).toBe(true);
     });
 
+    it('should return true when query and relevance ordering are present', () => {
+      const options: StrategySearchOptions = {
+        query: 'semantic query',
+        orderBy: 'relevance'
+      };
+      expect(strategy.canHandle(options)).toBe(true);
+    });
+
     it('should return false for query-only (no filters)', () => {
       const options: StrategySearchOptions = {
         query: 'semantic query'
@@ -175,15 +183,98 @@ describe('HybridSearchStrategy', () => {
       expect(result.strategy).toBe('hybrid');
     });
 
-    it('should return empty result for generic hybrid search (use specific methods)', async () => {
-      const options: StrategySearchOptions = {
-        query: 'test query'
-      };
-
-      const result = await strategy.search(options);
-
-      // Generic search returns empty - use findByConcept/findByType/findByFile instead
-      expect(result.results.observations).toHaveLength(0);
+    describe('reciprocal rank fusion', () => {
+      beforeEach(() => {
+        // Keyword ranking: 1, 3
+        mockSessionSearch.searchObservations = mock(() => [
+          { ...mockObservation1, snippet: 'first **match**' },
+          mockObservation3
+        ]);
+        mockSessionSearch.searchSessions = mock(() => []);
+        mockSessionSearch.searchUserPrompts = mock(() => []);
+
+        // Vector ranking: 2, 1 (one observation can have several documents)
+        mockChromaSync.queryChroma = mock(() => Promise.resolve({
+          ids: [2, 1],
+          distances: [0.1, 0.2, 0.3],
+          metadatas: [
+            { sqlite_id: 2, doc_type: 'observation', created_at_epoch: Date.now() - 1000 },
+            { sqlite_id: 2, doc_type: 'observation', created_at_epoch: Date.now() - 1000 },
+            { sqlite_id: 1, doc_type: 'observation', created_at_epoch: Date.now() - 1000 }
+          ]
+        }));
+      });
+
+      it('should fuse keyword and vector rankings', async () => {
+        const result = await strategy.search({ query: 'test query', searchType: 'observations' });
+
+        expect(result.results.observations.map(obs => obs.id)).toEqual([1, 2, 3]);
+        expect(result.usedChroma).toBe(true);
+        expect(result.fellBack).toBe(false);
+        expect(result.strategy).toBe('hybrid');
+      });
+
+      it('should attach normalized scores and keep keyword snippets', async () => {
+        const result = await strategy.search({ query: 'test query', searchType: 'observations' });
+        const [first, second, third] = result.results.observations;
+
+        expect(first.score!).toBeGreaterThan(second.score!);
+        expect(second.score!).toBeGreaterThan(third.score!);
+        expect(first.score!).toBeLessThanOrEqual(1);
+        expect(third.score!).toBeGreaterThan(0);
+        expect(first.snippet).toBe('first **match**');
+      });
+
+      it('should respect fusion weights', async () => {
+        const keywordHeavy = await strategy.search({
+          query: 'test query',
+          searchType: 'observations',
+          fusion: { keyword: 3, vector: 1 }
+        });
+        expect(keywordHeavy.results.observations.map(obs => obs.id)).toEqual([1, 3, 2]);
+
+        const vectorOnly = await strategy.search({
+          query: 'test query',
+          searchType: 'observations',
+          fusion: { keyword: 0 }
+        });
+        expect(vectorOnly.results.observations.map(obs => obs.id)).toEqual([2, 1]);
+      });
+
+      it('should fall back to keyword ranking when Chroma fails', async () => {
+        mockChromaSync.queryChroma = mock(() => Promise.reject(new Error('Chroma connection failed')));
+
+        const result = await strategy.search({ query: 'test query', searchType: 'observations' });
+
+        expect(result.results.observations.map(obs => obs.id)).toEqual([1, 3]);
+        expect(result.usedChroma).toBe(false);
+        expect(result.fellBack).toBe(true);
+      });
+
+      it('should apply the limit after fusion', async () => {
+        const result = await strategy.search({ query: 'test query', searchType: 'observations', limit: 1 });
+
+        expect(result.results.observations.map(obs => obs.id)).toEqual([1]);
+      });
+
+      it('should page through the fused results with offset', async () => {
+        const pages: number[][] = [];
+        for (const offset of [0, 1, 2, 3]) {
+          const result = await strategy.search({ query: 'test query', searchType: 'observations', limit: 1, offset });
+          pages.push(result.results.observations.map(obs => obs.id));
+        }
+
+        expect(pages).toEqual([[1], [2], [3], []]);
+      });
+
+      it('should rank past the first batch when the page lies beyond it', async () => {
+        await strategy.search({ query: 'test query', searchType: 'observations', limit: 20, offset: 200 });
+
+        const keywordArgs = (mockSessionSearch.searchObservations as any).mock.calls[0][1];
+        const vectorArgs = (mockChromaSync.queryChroma as any).mock.calls[0];
+        expect(keywordArgs.limit).toBe(220);
+        expect(vectorArgs[1]).toBe(220);
+      });
     });
   });
 